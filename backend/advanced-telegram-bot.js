@@ -4,17 +4,34 @@
  */
 
 const TelegramBot = require('node-telegram-bot-api');
-const ZaiClient = require('./src/ai/zaiClient');
+const { aiRouter } = require('./src/ai/aiRouter');
 const MayaPersona = require('./src/ai/mayaPersona');
 const MCPTools = require('./src/ai/mcpTools');
 const UserProfilingSystem = require('./src/ai/userProfiling');
 const SupabaseDB = require('./database/supabase');
+const { telegramPayments } = require('./src/payments/telegramPayments');
+const { BookingService, bookingService } = require('./src/bookings/bookingService');
+const { identityService } = require('./src/auth/identityService');
+const { accountLinkService, LINK_CODE_TTL_MS } = require('./src/auth/accountLinkService');
+const { InsightScheduler } = require('./src/insights/insightScheduler');
+const { createSessionStore } = require('./src/sessions/sessionStore');
+const { BotCore } = require('./src/bot/botCore');
 require('dotenv').config();
 
+// Telegram retries a webhook update for about a day; remember processed ones as long
+const UPDATE_DEDUPE_TTL_MS = 24 * 60 * 60 * 1000;
+
 class AdvancedTelegramBot {
-  constructor() {
-    this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { 
-      polling: true,
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'polling' (one instance) or 'webhook' (updates arrive through
+   *   POST /api/telegram/webhook, so any number of instances can run); TELEGRAM_BOT_MODE
+   * @param {Object} [options.sessions] - Session store shared by all instances (see src/sessions)
+   */
+  constructor({ mode = process.env.TELEGRAM_BOT_MODE || 'polling', sessions = null } = {}) {
+    this.mode = mode === 'webhook' ? 'webhook' : 'polling';
+    this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, {
+      polling: this.mode === 'polling',
       request: {
         agentOptions: {
           keepAlive: true,
@@ -23,8 +40,8 @@ class AdvancedTelegramBot {
       }
     });
 
-    // Initialize AI components
-    this.zaiClient = new ZaiClient();
+    // Initialize AI components (provider failover and timeouts are handled by the router)
+    this.ai = aiRouter;
     this.mayaPersona = new MayaPersona();
     this.mcpTools = new MCPTools();
     this.userProfiling = new UserProfilingSystem();
@@ -32,9 +49,12 @@ class AdvancedTelegramBot {
     // Initialize Supabase for persistent memory
     this.db = new SupabaseDB();
 
-    // Bot state management (temporary cache)
-    this.userStates = new Map();
-    this.activeSessions = new Map();
+    // Proactive insights (price drops, pre-departure checklists, weather), sent through this bot
+    this.insights = new InsightScheduler({ telegram: { getBot: () => this.bot } });
+
+    // Conversation state lives in the session store so every instance sees it; it expires
+    // after 30 minutes without activity
+    this.sessions = sessions || createSessionStore();
 
     // Bot statistics
     this.stats = {
@@ -47,81 +67,54 @@ class AdvancedTelegramBot {
 
     this.setupBotHandlers();
     this.startPeriodicTasks();
-    
-    console.log('🤖 Advanced Maya Telegram Bot initialized successfully!');
+    if (this.mode === 'webhook') {
+      this.registerWebhook();
+    }
+
+    console.log(`🤖 Advanced Maya Telegram Bot initialized successfully (${this.mode} mode)!`);
     console.log('💾 Supabase persistent memory enabled!');
   }
 
   /**
-   * Setup bot command handlers
+   * Setup bot command handlers on the shared bot core (safe handling, routing, /help list)
    */
   setupBotHandlers() {
-    // Start command with advanced welcome
-    this.bot.onText(/\/start/, async (msg) => {
-      await this.handleStartCommand(msg);
-    });
-
-    // Help command with dynamic help
-    this.bot.onText(/\/help/, async (msg) => {
-      await this.handleHelpCommand(msg);
-    });
-
-    // Profile command
-    this.bot.onText(/\/profile/, async (msg) => {
-      await this.handleProfileCommand(msg);
-    });
-
-    // Trip planning command
-    this.bot.onText(/\/trip/, async (msg) => {
-      await this.handleTripCommand(msg);
-    });
-
-    // Budget analysis command
-    this.bot.onText(/\/budget/, async (msg) => {
-      await this.handleBudgetCommand(msg);
-    });
-
-    // Weather command
-    this.bot.onText(/\/weather/, async (msg) => {
-      await this.handleWeatherCommand(msg);
+    this.core = new BotCore({
+      bot: this.bot,
+      polling: this.mode === 'polling',
+      ai: this.ai,
+      onError: error => this.handleBotError(error)
     });
 
-    // Recommendations command
-    this.bot.onText(/\/recommend/, async (msg) => {
-      await this.handleRecommendCommand(msg);
-    });
+    this.core.command('trip', 'تخطيط رحلة جديدة', msg => this.handleTripCommand(msg));
+    this.core.command('budget', 'تحليل الميزانية', msg => this.handleBudgetCommand(msg));
+    this.core.command('weather', 'حالة الطقس', msg => this.handleWeatherCommand(msg));
+    this.core.command('recommend', 'توصيات مخصصة لك', msg => this.handleRecommendCommand(msg));
+    this.core.command('profile', 'ملفك الشخصي', msg => this.handleProfileCommand(msg));
+    this.core.command('settings', 'الإعدادات', msg => this.handleSettingsCommand(msg));
+    this.core.command('payment', 'نظام الدفع', msg => this.handlePaymentCommand(msg));
+    this.core.command('bookings', 'حجوزاتي', msg => this.handleBookingsCommand(msg));
 
-    // Settings command
-    this.bot.onText(/\/settings/, async (msg) => {
-      await this.handleSettingsCommand(msg);
-    });
+    // Account linking: /link issues a code, /link CODE redeems one from WhatsApp or the web
+    this.core.command('link', 'ربط حسابك على WhatsApp أو الموقع', (msg, code) => this.handleLinkCommand(msg, code || undefined));
 
-    // Payment command
-    this.bot.onText(/\/payment/, async (msg) => {
-      await this.handlePaymentCommand(msg);
-    });
+    // Proactive insights: /insights [on|off|quiet 22-8|tz Asia/Dubai|limit 3], /unsubscribe
+    this.core.command('insights', 'تنبيهات الأسعار والسفر والطقس', (msg, args) => this.handleInsightsCommand(msg, args));
+    this.core.command('unsubscribe', 'إيقاف التنبيهات', msg => this.handleInsightsCommand(msg, 'off'));
 
     // Handle all other messages as AI conversation
-    this.bot.on('message', async (msg) => {
-      if (!msg.text || msg.text.startsWith('/')) return;
+    this.core.text(async (msg) => {
       await this.handleAIConversation(msg);
+      return true;
     });
 
-    // Handle callback queries
-    this.bot.on('callback_query', async (callbackQuery) => {
-      await this.handleCallbackQuery(callbackQuery);
-    });
+    // Every button goes through this bot's callback handler
+    this.core.action(() => true, callbackQuery => this.handleCallbackQuery(callbackQuery));
 
-    // Error handling with auto-recovery
-    this.bot.on('error', (error) => {
-      console.error('❌ Telegram Bot Error:', error);
-      this.handleBotError(error);
-    });
+    // Telegram Payments: pre-checkout validation and successful payment records
+    telegramPayments.attach(this.bot, { track: listener => this.core.track(listener) });
 
-    this.bot.on('polling_error', (error) => {
-      console.error('❌ Telegram Bot Polling Error:', error);
-      this.handleBotError(error);
-    });
+    this.core.listen();
 
     // Graceful shutdown
     process.on('SIGINT', () => this.shutdown());
@@ -142,7 +135,7 @@ class AdvancedTelegramBot {
     };
 
     // If too many errors, restart polling
-    if (this.stats.errors > 10) {
+    if (this.mode === 'polling' && this.stats.errors > 10) {
       console.log('⚠️ Too many errors detected. Restarting bot polling...');
       this.restartBot();
     }
@@ -169,7 +162,9 @@ class AdvancedTelegramBot {
   async shutdown() {
     console.log('🛑 Shutting down Maya Telegram Bot...');
     try {
-      await this.bot.stopPolling();
+      if (this.mode === 'polling') {
+        await this.bot.stopPolling();
+      }
       console.log('✅ Bot stopped gracefully');
       process.exit(0);
     } catch (error) {
@@ -179,86 +174,64 @@ class AdvancedTelegramBot {
   }
 
   /**
-   * Handle start command with advanced user onboarding
+   * Point Telegram at this deployment's webhook (TELEGRAM_BOT_WEBHOOK_URL). Telegram sends
+   * TELEGRAM_WEBHOOK_SECRET back with every update so the route can reject forged ones.
    */
-  async handleStartCommand(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const telegramId = msg.from.id;
-    const userName = msg.from.first_name || 'صديقي';
+  async registerWebhook() {
+    const url = process.env.TELEGRAM_BOT_WEBHOOK_URL;
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!url || !secret) {
+      console.error('❌ Webhook mode needs TELEGRAM_BOT_WEBHOOK_URL and TELEGRAM_WEBHOOK_SECRET');
+      return false;
+    }
 
     try {
-      // Get or create user profile from Supabase
-      let userProfile = await this.db.getUserProfile(telegramId);
-      
-      if (!userProfile) {
-        // Create new user in Supabase
-        userProfile = await this.db.createUserProfile(telegramId, {
-          name: userName,
-          username: msg.from.username
-        });
-        console.log(`✅ New user created: ${userName} (${telegramId})`);
-      } else {
-        console.log(`👋 Welcome back: ${userName} (${telegramId})`);
-      }
+      await this.bot.setWebHook(url, { secret_token: secret });
+      console.log(`✅ Telegram webhook registered: ${url}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to register Telegram webhook:', error);
+      return false;
+    }
+  }
 
-      // Also create in memory profiling system
-      let memoryProfile = this.userProfiling.getProfile(userId);
-      if (!memoryProfile) {
-        await this.userProfiling.createUserProfile(userId, {
-          name: userName,
-          telegramId: msg.from.id,
-          username: msg.from.username
-        });
-      }
+  /**
+   * Handle an update posted to the webhook. Telegram delivers again when a response is slow
+   * or lost, and the retry may reach another instance, so each update_id is claimed once in
+   * the shared session store. The claim is released when handling fails, so the delivery
+   * Telegram makes after the error response is handled.
+   * @returns {Promise<boolean>} false when the update was already handled
+   * @throws When a handler fails
+   */
+  async handleWebhookUpdate(update) {
+    const key = `update:${update.update_id}`;
+    const claimed = await this.sessions.claim(key, { ttlMs: UPDATE_DEDUPE_TTL_MS });
+    if (!claimed) {
+      return false;
+    }
 
-      // Update user state
-      this.userStates.set(userId, {
-        stage: 'welcome',
-        lastActivity: new Date(),
-        context: {},
-        turnCount: 0
-      });
+    try {
+      await this.core.processUpdate(update);
+    } catch (error) {
+      await this.sessions.delete(key);
+      throw error;
+    }
+    return true;
+  }
 
-      // Generate personalized welcome message
-      const welcomeMessage = await this.generatePersonalizedWelcome(userProfile, userName);
-      
-      // Send welcome message with advanced keyboard
-      await this.bot.sendMessage(chatId, welcomeMessage, {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '🚀 تخطيط رحلة جديدة', callback_data: 'new_trip' },
-              { text: '💰 تحليل الميزانية', callback_data: 'budget_analysis' }
-            ],
-            [
-              { text: '🌍 نصائح الوجهات', callback_data: 'destination_tips' },
-              { text: '🌤️ حالة الطقس', callback_data: 'weather_check' }
-            ],
-            [
-              { text: '👤 ملفي الشخصي', callback_data: 'my_profile' },
-              { text: '⚙️ الإعدادات', callback_data: 'settings' }
-            ],
-            [
-              { text: '💳 الدفع الآمن', callback_data: 'payment_system' },
-              { text: '❓ المساعدة الذكية', callback_data: 'smart_help' }
-            ],
-            [
-              { text: '🌐 فتح التطبيق الكامل', web_app: { url: process.env.WEB_APP_URL || 'http://localhost:3000' } }
-            ]
-          ]
-        }
-      });
+  /**
+   * Conversation state (stage, context, turn count) for a user, shared across instances
+   */
+  async getUserState(userId) {
+    return this.sessions.get(`state:${userId}`);
+  }
 
-      // Update statistics
-      this.stats.totalUsers++;
-      this.stats.activeConversations++;
+  async setUserState(userId, state) {
+    await this.sessions.set(`state:${userId}`, state);
+  }
 
-    } catch (error) {
-      console.error('Error in start command:', error);
-      await this.bot.sendMessage(chatId, 'مرحباً! أنا مايا، مساعدتك الذكية للسفر. كيف يمكنني مساعدتك اليوم؟');
-    }
+  async clearUserState(userId) {
+    await this.sessions.delete(`state:${userId}`);
   }
 
   /**
@@ -336,7 +309,7 @@ class AdvancedTelegramBot {
       if (endKeywords.some(keyword => message.toLowerCase().includes(keyword))) {
         // Clear conversation from Supabase (optional - or just mark as ended)
         await this.db.clearOldConversations(telegramId);
-        this.userStates.delete(userId);
+        await this.clearUserState(userId);
         
         await this.bot.sendMessage(chatId, 
           '✅ تم إنهاء المحادثة بنجاح!\n\n' +
@@ -356,7 +329,7 @@ class AdvancedTelegramBot {
       }
 
       // Limit conversation turns to prevent infinite loops
-      const userState = this.userStates.get(userId) || { stage: 'general', lastActivity: new Date(), context: {}, turnCount: 0 };
+      const userState = await this.getUserState(userId) || { stage: 'general', lastActivity: new Date(), context: {}, turnCount: 0 };
       userState.turnCount = (userState.turnCount || 0) + 1;
       userState.lastActivity = new Date();
 
@@ -383,20 +356,17 @@ class AdvancedTelegramBot {
           }
         );
         userState.turnCount = 0;
-        this.userStates.set(userId, userState);
+        await this.setUserState(userId, userState);
         return;
       }
 
-      this.userStates.set(userId, userState);
+      await this.setUserState(userId, userState);
       
       // Analyze conversation for insights
       const conversationAnalysis = await this.userProfiling.analyzeConversation(userId, {
         messages: [{ content: message, timestamp: new Date().toISOString() }]
       });
 
-      // Get user analytics for smarter responses
-      const analytics = await this.db.getUserAnalytics(telegramId);
-      
       // Enhanced system prompt with conversation control and user history
       let systemPrompt = this.mayaPersona.generateSystemPrompt({
         user_name: memoryProfile?.basicInfo?.name || msg.from.first_name,
@@ -406,16 +376,11 @@ class AdvancedTelegramBot {
         cultural_background: memoryProfile?.personalization?.culturalBackground || 'arabic'
       });
 
-      // Add user history context
-      if (analytics && analytics.travelHistory && analytics.travelHistory.length > 0) {
-        const recentTrips = analytics.travelHistory.slice(-3).map(t => t.destination).join(', ');
-        systemPrompt += `\n\nUSER HISTORY: User has previously traveled to: ${recentTrips}. Use this to make better recommendations.`;
-      }
+      // Add user history context (shared with the WhatsApp assistant)
+      systemPrompt = this.mayaPersona.personalizePrompt(systemPrompt, userProfile);
 
-      if (analytics && analytics.preferences) {
-        const prefs = Object.entries(analytics.preferences).map(([k, v]) => `${k}: ${v}`).join(', ');
-        systemPrompt += `\nUSER PREFERENCES: ${prefs}`;
-      }
+      // What the message asks for, read by the NLU (the AI first, the keyword rules as fallback)
+      systemPrompt += `\n\n${this.mayaPersona.describeMessage(await this.mayaPersona.analyzeMessage(message))}`;
 
       systemPrompt += '\n\nIMPORTANT: Be concise and actionable. After providing information, ask ONE clear question or offer specific options. Avoid asking multiple questions in a row. If user seems satisfied, offer to complete the booking or move to next step.';
 
@@ -426,17 +391,12 @@ class AdvancedTelegramBot {
         { role: 'user', content: message }
       ];
 
-      // Get AI response with timeout
-      const aiResponse = await Promise.race([
-        this.zaiClient.chatCompletion(messages, {
-          maxTokens: 800,
-          temperature: 0.7,
-          enableKvCacheOffload: true
-        }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('AI response timeout')), 30000)
-        )
-      ]);
+      // Get AI response (the router times out and fails over between providers)
+      const aiResponse = await this.ai.chatCompletion(messages, {
+        maxTokens: 800,
+        temperature: 0.7,
+        enableKvCacheOffload: true
+      });
 
       if (aiResponse.success) {
         // Save conversation to Supabase
@@ -538,39 +498,6 @@ class AdvancedTelegramBot {
            userConfirmation.some(conf => userMessage.toLowerCase().includes(conf));
   }
 
-  /**
-   * Generate personalized welcome message
-   */
-  async generatePersonalizedWelcome(userProfile, userName) {
-    const welcomeMessages = [
-      `🌍 مرحباً ${userName}! أنا مايا، خبيرة السفر الشخصية الخاصة بك ✨\n\n`,
-      `🎯 أنا هنا لمساعدتك في تخطيط رحلة مثالية تناسب تفضيلاتك وميزانيتك\n\n`,
-      `🧠 ذكائي الاصطناعي المتقدم يساعدني في:\n`,
-      `• 📍 اقتراح أفضل الوجهات\n`,
-      `• 💰 تحليل ميزانيتك بذكاء\n`,
-      `• 🏨 العثور على أفضل الإقامات\n`,
-      `• 🍽️ توصيات المطاعم الحلال\n`,
-      `• ⏰ أوقات الصلاة في وجهتك\n`,
-      `• 🌤️ حالة الطقس المحدثة\n`,
-      `• 🛡️ نصائح الأمان والسفر\n\n`,
-      `💬 تحدث معي بشكل طبيعي وسأساعدك في كل شيء!\n\n`,
-      `🚀 ما الذي تود التخطيط له اليوم؟`
-    ];
-
-    // Add personalized touches based on user profile
-    if (userProfile.preferences.travelStyle === 'luxury') {
-      welcomeMessages.push(`\n💎 أرى أنك تحب السفر الفاخر - لدي توصيات رائعة لك!`);
-    } else if (userProfile.preferences.travelStyle === 'budget') {
-      welcomeMessages.push(`\n💡 سأساعدك في العثور على أفضل العروض والتوفير!`);
-    }
-
-    if (userProfile.personalization.religiousRequirements.includes('halal_food')) {
-      welcomeMessages.push(`\n🕌 سأتأكد من توفر الطعام الحلال في جميع توصياتي!`);
-    }
-
-    return welcomeMessages.join('');
-  }
-
   /**
    * Handle trip planning command
    */
@@ -580,7 +507,7 @@ class AdvancedTelegramBot {
     const telegramId = msg.from.id;
 
     // Set user state
-    this.userStates.set(userId, {
+    await this.setUserState(userId, {
       stage: 'trip_planning',
       lastActivity: new Date(),
       context: { currentGoal: 'trip_planning' },
@@ -645,6 +572,11 @@ ${offersText}
       parse_mode: 'HTML',
       reply_markup: { inline_keyboard: keyboard }
     });
+
+    // First stage of the offer funnel (view → selection → booking)
+    for (const offer of (offers || []).slice(0, 3)) {
+      await this.db.trackOfferInteraction(telegramId, offer.id, 'view', { price: offer.price });
+    }
   }
 
   /**
@@ -731,13 +663,11 @@ ${offersText}
     const data = callbackQuery.data;
 
     try {
-      // Answer callback query first
-      await this.bot.answerCallbackQuery(callbackQuery.id);
+      // The bot core has answered the callback query already
 
       // Handle conversation control callbacks
       if (data === 'end_conversation') {
-        this.conversationHistory.set(userId, []);
-        this.userStates.delete(userId);
+        await this.clearUserState(userId);
         await this.bot.sendMessage(chatId, 
           '✅ تم إنهاء المحادثة!\n\n🌟 يسعدني مساعدتك في أي وقت. اكتب /start للبدء من جديد.',
           {
@@ -752,11 +682,10 @@ ${offersText}
       }
 
       if (data === 'new_conversation' || data === 'new_topic') {
-        this.conversationHistory.set(userId, []);
-        const userState = this.userStates.get(userId) || {};
+        const userState = await this.getUserState(userId) || {};
         userState.turnCount = 0;
         userState.context = {};
-        this.userStates.set(userId, userState);
+        await this.setUserState(userId, userState);
         await this.bot.sendMessage(chatId, 
           '🔄 بداية جديدة! كيف يمكنني مساعدتك؟',
           {
@@ -791,8 +720,7 @@ ${offersText}
       }
 
       if (data === 'cancel_booking') {
-        this.conversationHistory.set(userId, []);
-        this.userStates.delete(userId);
+        await this.clearUserState(userId);
         await this.bot.sendMessage(chatId, 
           '❌ تم إلغاء العملية.\n\n' +
           'هل تريد البدء من جديد؟',
@@ -808,6 +736,22 @@ ${offersText}
         return;
       }
 
+      // Booking lifecycle: hold an offer, pay for a hold, cancel a hold
+      if (data.startsWith('book_offer_')) {
+        await this.handleOfferBooking(chatId, userId, data.replace('book_offer_', ''));
+        return;
+      }
+
+      if (data.startsWith('pay_booking_')) {
+        await this.handleBookingPayment(chatId, userId, data.replace('pay_booking_', ''));
+        return;
+      }
+
+      if (data.startsWith('cancel_hold_')) {
+        await this.handleBookingCancellation(chatId, userId, data.replace('cancel_hold_', ''));
+        return;
+      }
+
       // Handle offer selection
       if (data.startsWith('offer_')) {
         await this.handleOfferSelection(chatId, userId, data);
@@ -863,7 +807,7 @@ ${offersText}
       }
 
       // Track interaction
-      await this.db.trackOfferInteraction(telegramId, offerId, 'click');
+      await this.db.trackOfferInteraction(telegramId, offerId, 'click', { price: offer.price });
 
       const includes = Array.isArray(offer.includes) ? offer.includes.join('\n• ') : '';
       const discount = offer.discount_percentage > 0 
@@ -905,14 +849,14 @@ ${offer.valid_until ? `⏰ <b>العرض ساري حتى:</b> ${new Date(offer.v
       });
 
       // Update user state
-      const userState = this.userStates.get(userId) || {};
+      const userState = await this.getUserState(userId) || {};
       userState.context = {
         ...userState.context,
         selectedOffer: offerId,
         destination: offer.destination,
         budget: offer.price
       };
-      this.userStates.set(userId, userState);
+      await this.setUserState(userId, userState);
 
     } catch (error) {
       console.error('Error handling offer selection:', error);
@@ -925,53 +869,260 @@ ${offer.valid_until ? `⏰ <b>العرض ساري حتى:</b> ${new Date(offer.v
    */
   async handleBookingConfirmation(chatId, userId) {
     const telegramId = parseInt(userId);
-    const userState = this.userStates.get(userId);
+    const userState = await this.getUserState(userId);
+    const context = userState?.context || {};
+
+    if (context.selectedOffer) {
+      await this.handleOfferBooking(chatId, userId, context.selectedOffer);
+      return;
+    }
+
+    const price = parseFloat(String(context.budget || '').replace(/[^\d.]/g, ''));
+    if (!context.destination || !(price > 0)) {
+      await this.bot.sendMessage(chatId,
+        '📋 لإتمام الحجز أحتاج إلى الوجهة والميزانية.\n\n' +
+        'أخبرني إلى أين تريد السفر وكم ميزانيتك، أو اختر أحد العروض.',
+        {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: '🚀 تخطيط رحلة', callback_data: 'new_trip' },
+              { text: '📋 العروض', callback_data: 'show_more_offers' }
+            ]]
+          }
+        }
+      );
+      return;
+    }
+
+    const booking = await this.holdBooking(chatId, {
+      telegramId,
+      destination: context.destination,
+      startDate: this.bookingStartDate(context.date),
+      travelers: context.travelers || 1,
+      totalPrice: price,
+      currency: context.currency || 'SAR'
+    });
+    if (!booking) return;
+
+    // Save to travel history in Supabase
+    await this.db.addToTravelHistory(telegramId, {
+      destination: context.destination,
+      budget: context.budget,
+      date: booking.start_date
+    });
+
+    // Reset conversation after booking
+    await this.db.clearOldConversations(telegramId);
+    const newState = { stage: 'booking', lastActivity: new Date(), context: { bookingId: booking.id }, turnCount: 0 };
+    await this.setUserState(userId, newState);
+    this.stats.successfulBookings++;
+  }
+
+  /**
+   * Hold a travel offer for the user and offer to pay for it
+   */
+  async handleOfferBooking(chatId, userId, offerId) {
+    const telegramId = parseInt(userId);
+    const context = (await this.getUserState(userId))?.context || {};
+
+    const booking = await this.holdBooking(chatId, {
+      telegramId,
+      offerId,
+      startDate: this.bookingStartDate(context.date),
+      travelers: context.travelers || 1
+    });
+    if (!booking) return;
+
+    await this.db.trackOfferInteraction(telegramId, offerId, 'book');
+
+    await this.db.clearOldConversations(telegramId);
+    await this.setUserState(userId, { stage: 'booking', lastActivity: new Date(), context: { bookingId: booking.id }, turnCount: 0 });
+    this.stats.successfulBookings++;
+  }
+
+  /**
+   * Trips without a chosen date are held from two weeks out; the date can be changed in the mini app
+   */
+  bookingStartDate(date) {
+    const parsed = date ? new Date(date) : null;
+    if (parsed && !Number.isNaN(parsed.getTime()) && parsed.getTime() > Date.now()) {
+      return parsed.toISOString().slice(0, 10);
+    }
+    return BookingService.addDays(new Date(), 14);
+  }
 
-    await this.bot.sendMessage(chatId, 
-      '✅ ممتاز! دعني أجهز تفاصيل الحجز...\n\n' +
+  /**
+   * Place a booking hold and send its summary with payment options
+   * @returns {Promise<Object|null>} The booking, or null when it could not be held
+   */
+  async holdBooking(chatId, params) {
+    let booking;
+    try {
+      booking = await bookingService.hold({ channel: 'telegram', ...params });
+    } catch (error) {
+      const reason = error.statusCode === 409
+        ? '😔 عذراً، لا توجد أماكن متاحة لهذا العرض حالياً.'
+        : 'عذراً، لم أتمكن من إنشاء الحجز. يرجى المحاولة مرة أخرى.';
+      await this.bot.sendMessage(chatId, reason);
+      return null;
+    }
+
+    const holdMinutes = Math.round((new Date(booking.hold_expires_at).getTime() - Date.now()) / 60000);
+    await this.bot.sendMessage(chatId,
+      '✅ تم حجز مكانك مؤقتاً!\n\n' +
       '📋 ملخص الحجز:\n' +
-      '• الوجهة: ' + (userState?.context?.destination || 'غير محدد') + '\n' +
-      '• التاريخ: ' + (userState?.context?.date || 'غير محدد') + '\n' +
-      '• الميزانية: ' + (userState?.context?.budget || 'غير محدد') + '\n\n' +
-      '💳 اختر طريقة الدفع:',
+      `• رقم الحجز: ${booking.booking_reference}\n` +
+      `• الوجهة: ${booking.destination}\n` +
+      `• التاريخ: ${booking.start_date} → ${booking.end_date}\n` +
+      `• المسافرون: ${booking.travelers}\n` +
+      `• الإجمالي: ${Number(booking.total_price)} ${booking.currency}\n\n` +
+      `⏳ يرجى إتمام الدفع خلال ${holdMinutes} دقيقة وإلا سيُلغى الحجز تلقائياً.`,
       {
         reply_markup: {
           inline_keyboard: [
-            [
-              { text: '💳 بطاقة ائتمان', callback_data: 'payment_credit_card' },
-              { text: '🏦 تحويل بنكي', callback_data: 'payment_bank_transfer' }
-            ],
-            [
-              { text: '📱 Apple Pay', callback_data: 'payment_apple_pay' },
-              { text: '💰 PayPal', callback_data: 'payment_paypal' }
-            ],
-            [
-              { text: '🔙 رجوع', callback_data: 'modify_options' }
-            ]
+            [{ text: '💳 الدفع عبر تيليجرام', callback_data: `pay_booking_${booking.id}` }],
+            [{ text: '❌ إلغاء الحجز', callback_data: `cancel_hold_${booking.id}` }]
           ]
         }
       }
     );
+    return booking;
+  }
 
-    // Save to travel history in Supabase
-    if (userState?.context?.destination) {
-      await this.db.addToTravelHistory(telegramId, {
-        destination: userState.context.destination,
-        budget: userState.context.budget,
-        date: userState.context.date || new Date().toISOString()
+  /**
+   * Whether a booking belongs to this Telegram user, directly or through a linked WhatsApp number
+   */
+  async isOwnBooking(userId, booking) {
+    if (String(booking.telegram_id) === String(userId)) return true;
+    if (!booking.whatsapp_phone) return false;
+
+    const profile = await identityService.findProfile('telegram_id', Number(userId));
+    return Boolean(profile && profile.whatsapp_phone === booking.whatsapp_phone);
+  }
+
+  /**
+   * Send a Telegram invoice for a held booking
+   */
+  async handleBookingPayment(chatId, userId, bookingId) {
+    const booking = await bookingService.getBooking(bookingId);
+    if (!booking || !(await this.isOwnBooking(userId, booking))) {
+      await this.bot.sendMessage(chatId, 'عذراً، لم أتمكن من العثور على هذا الحجز.');
+      return;
+    }
+
+    try {
+      await telegramPayments.sendInvoice({
+        chatId,
+        bookingId,
+        title: `Maya Trips - ${booking.destination}`,
+        description: `Booking ${booking.booking_reference}`
       });
+    } catch (error) {
+      const message = error.statusCode === 409
+        ? '⌛ انتهت صلاحية هذا الحجز أو تم دفعه مسبقاً. يمكنك إنشاء حجز جديد.'
+        : 'عذراً، لم أتمكن من إنشاء فاتورة الدفع. يرجى المحاولة لاحقاً.';
+      await this.bot.sendMessage(chatId, message);
+    }
+  }
+
+  /**
+   * Cancel an unpaid hold
+   */
+  async handleBookingCancellation(chatId, userId, bookingId) {
+    const booking = await bookingService.getBooking(bookingId);
+    if (!booking || !(await this.isOwnBooking(userId, booking))) {
+      await this.bot.sendMessage(chatId, 'عذراً، لم أتمكن من العثور على هذا الحجز.');
+      return;
     }
 
-    // Track offer booking if selected
-    if (userState?.context?.selectedOffer) {
-      await this.db.trackOfferInteraction(telegramId, userState.context.selectedOffer, 'book');
+    try {
+      await bookingService.cancel(bookingId, { reason: 'customer_request', requestedBy: `telegram:${userId}` });
+      await this.bot.sendMessage(chatId, `❌ تم إلغاء الحجز ${booking.booking_reference}.`);
+    } catch (error) {
+      const message = error.statusCode === 409
+        ? '💳 هذا الحجز مدفوع. لإلغائه واسترداد المبلغ يرجى التواصل مع الدعم.'
+        : 'عذراً، لم أتمكن من إلغاء الحجز. يرجى المحاولة مرة أخرى.';
+      await this.bot.sendMessage(chatId, message);
     }
+  }
 
-    // Reset conversation after booking
-    await this.db.clearOldConversations(telegramId);
-    const newState = { stage: 'booking', lastActivity: new Date(), context: {}, turnCount: 0 };
-    this.userStates.set(userId, newState);
-    this.stats.successfulBookings++;
+  /**
+   * List the user's recent bookings
+   */
+  async handleBookingsCommand(msg) {
+    const chatId = msg.chat.id;
+    const statusLabels = {
+      pending: '⏳ بانتظار الدفع',
+      confirmed: '✅ مؤكد',
+      cancelled: '❌ ملغى',
+      expired: '⌛ منتهي',
+      completed: '🏁 مكتمل'
+    };
+
+    try {
+      // Include bookings made on a linked WhatsApp number
+      const identity = await identityService.resolveTelegramUser(msg.from);
+      const bookings = await bookingService.listBookings({
+        telegramId: msg.from.id,
+        whatsappPhone: identity.whatsappPhone,
+        limit: 5
+      });
+      if (bookings.length === 0) {
+        await this.bot.sendMessage(chatId, '📭 ليس لديك حجوزات بعد. اكتب /trip لتخطيط رحلتك الأولى!');
+        return;
+      }
+
+      const lines = bookings.map(booking => {
+        const status = bookingService.isHoldExpired(booking) ? 'expired' : booking.status;
+        return `• ${booking.booking_reference} - ${booking.destination} (${booking.start_date})\n  ${statusLabels[status] || status} - ${Number(booking.total_price)} ${booking.currency}`;
+      });
+      const payable = bookings.filter(b => b.status === 'pending' && !bookingService.isHoldExpired(b));
+
+      await this.bot.sendMessage(chatId, `📋 حجوزاتك:\n\n${lines.join('\n\n')}`, {
+        reply_markup: {
+          inline_keyboard: payable.map(b => [
+            { text: `💳 دفع ${b.booking_reference}`, callback_data: `pay_booking_${b.id}` },
+            { text: '❌ إلغاء', callback_data: `cancel_hold_${b.id}` }
+          ])
+        }
+      });
+    } catch (error) {
+      console.error('Error listing bookings:', error);
+      await this.bot.sendMessage(chatId, 'عذراً، لم أتمكن من تحميل حجوزاتك.');
+    }
+  }
+
+  /**
+   * Issue a link code, or redeem one issued on WhatsApp or the web
+   */
+  async handleLinkCommand(msg, code) {
+    const chatId = msg.chat.id;
+
+    try {
+      const identity = await identityService.resolveTelegramUser(msg.from);
+
+      if (!code) {
+        const issued = await accountLinkService.issueCode(identity.id, 'telegram');
+        const minutes = Math.round(LINK_CODE_TTL_MS / 60000);
+        await this.bot.sendMessage(chatId,
+          `🔗 رمز الربط: <code>${issued.code}</code>\n\n` +
+          `أرسل "ربط ${issued.code}" إلى مايا على WhatsApp، أو أدخله في صفحة الحساب على الموقع، خلال ${minutes} دقائق.\n` +
+          'سيتم دمج محادثاتك وتفضيلاتك وحجوزاتك في حساب واحد.',
+          { parse_mode: 'HTML' }
+        );
+        return;
+      }
+
+      await accountLinkService.redeemCode(code, identity.id, 'telegram');
+      await this.bot.sendMessage(chatId, '✅ تم ربط حساباتك! أصبحت محادثاتك وتفضيلاتك وحجوزاتك في مكان واحد.');
+    } catch (error) {
+      const messages = {
+        400: '❌ رمز الربط غير صالح أو منتهي الصلاحية. اطلب رمزاً جديداً.',
+        409: '⚠️ هذه الحسابات مرتبطة بالفعل، أو أن أحدها مرتبط بحساب آخر.'
+      };
+      if (!messages[error.statusCode]) console.error('Error linking accounts:', error);
+      await this.bot.sendMessage(chatId, messages[error.statusCode] || 'عذراً، لم أتمكن من ربط الحسابات. يرجى المحاولة مرة أخرى.');
+    }
   }
 
   /**
@@ -998,7 +1149,7 @@ ${offer.valid_until ? `⏰ <b>العرض ساري حتى:</b> ${new Date(offer.v
       current_goal: 'destination_info'
     });
 
-    const aiResponse = await this.zaiClient.chatCompletion([
+    const aiResponse = await this.ai.chatCompletion([
       { role: 'system', content: systemPrompt },
       { role: 'user', content: `أريد معلومات عن ${destination} للسفر` }
     ], { maxTokens: 800 });
@@ -1078,73 +1229,102 @@ ${offer.valid_until ? `⏰ <b>العرض ساري حتى:</b> ${new Date(offer.v
    * Start periodic tasks
    */
   startPeriodicTasks() {
-    // Clean up old conversation history every hour
-    setInterval(() => {
-      this.cleanupConversationHistory();
-    }, 60 * 60 * 1000);
-
-    // Update user activity status every 5 minutes
-    setInterval(() => {
-      this.updateUserActivity();
-    }, 5 * 60 * 1000);
-
-    // Send periodic insights to users
+    // Send periodic insights to users who opted in (hourly, so pushes held for quiet hours go out soon after)
     setInterval(() => {
       this.sendPeriodicInsights();
-    }, 24 * 60 * 60 * 1000); // Daily
+    }, 60 * 60 * 1000);
   }
 
   /**
-   * Cleanup old conversation history
+   * Send periodic insights to users who opted in
    */
-  cleanupConversationHistory() {
-    const cutoffTime = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
-    
-    for (const [userId, history] of this.conversationHistory.entries()) {
-      const filteredHistory = history.filter(msg => 
-        new Date(msg.timestamp) > cutoffTime
-      );
-      
-      if (filteredHistory.length === 0) {
-        this.conversationHistory.delete(userId);
-      } else {
-        this.conversationHistory.set(userId, filteredHistory);
-      }
+  async sendPeriodicInsights() {
+    try {
+      return await this.insights.run();
+    } catch (error) {
+      console.error('Error sending periodic insights:', error);
+      return null;
     }
   }
 
   /**
-   * Update user activity
+   * Opt in or out of proactive insights, or change their quiet hours, timezone and daily limit
    */
-  updateUserActivity() {
-    const now = new Date();
-    const inactiveThreshold = 30 * 60 * 1000; // 30 minutes
-    
-    for (const [userId, state] of this.userStates.entries()) {
-      if (now - state.lastActivity > inactiveThreshold) {
-        this.userStates.delete(userId);
-        this.activeSessions.delete(userId);
+  async handleInsightsCommand(msg, args = '') {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id;
+    const [action = '', value = ''] = (args || '').trim().split(/\s+/);
+
+    try {
+      if (action === 'off') {
+        const wasSubscribed = await this.insights.unsubscribe(telegramId);
+        await this.bot.sendMessage(chatId, wasSubscribed
+          ? '🔕 تم إيقاف التنبيهات. يمكنك تفعيلها مجدداً بإرسال /insights on'
+          : 'التنبيهات غير مفعلة. لتفعيلها أرسل /insights on');
+        return;
       }
-    }
-    
-    this.stats.activeConversations = this.activeSessions.size;
-  }
 
-  /**
-   * Send periodic insights to active users
-   */
-  async sendPeriodicInsights() {
-    // This would send personalized travel insights to users
-    // Implementation would depend on user preferences and activity
+      if (action === 'on') {
+        await this.insights.subscribe(telegramId);
+      } else if (action === 'quiet') {
+        const hours = value.match(/^(\d{1,2})-(\d{1,2})$/);
+        if (!hours) {
+          await this.bot.sendMessage(chatId, 'اكتب ساعات الهدوء هكذا: /insights quiet 22-8');
+          return;
+        }
+        await this.insights.updateSettings(telegramId, { quietStart: Number(hours[1]), quietEnd: Number(hours[2]) });
+      } else if (action === 'tz') {
+        await this.insights.updateSettings(telegramId, { timezone: value });
+      } else if (action === 'limit') {
+        await this.insights.updateSettings(telegramId, { maxPerDay: Number(value) });
+      }
+
+      const subscription = await this.insights.getSubscription(telegramId);
+      if (!subscription || !subscription.enabled) {
+        await this.bot.sendMessage(chatId,
+          '🔔 <b>تنبيهات مايا الذكية</b>\n\n' +
+          'أرسل لك تنبيهات مخصصة عند:\n' +
+          '• 📉 انخفاض سعر عرض شاهدته\n' +
+          '• 🧳 اقتراب موعد رحلتك (قائمة ما قبل السفر)\n' +
+          '• 🌦️ تغيّر الطقس في وجهتك\n\n' +
+          'لتفعيلها أرسل /insights on',
+          { parse_mode: 'HTML' }
+        );
+        return;
+      }
+
+      await this.bot.sendMessage(chatId,
+        '🔔 <b>التنبيهات مفعلة</b>\n\n' +
+        `🌍 المنطقة الزمنية: ${subscription.timezone}\n` +
+        `🌙 ساعات الهدوء: ${subscription.quiet_start}:00 - ${subscription.quiet_end}:00\n` +
+        `📊 الحد الأقصى: ${subscription.max_per_day} تنبيهات يومياً\n\n` +
+        'للتعديل:\n' +
+        '/insights quiet 22-8 - ساعات الهدوء\n' +
+        '/insights tz Asia/Dubai - المنطقة الزمنية\n' +
+        '/insights limit 3 - عدد التنبيهات يومياً\n' +
+        '/unsubscribe - إيقاف التنبيهات',
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        await this.bot.sendMessage(chatId, error.statusCode === 404
+          ? 'التنبيهات غير مفعلة. لتفعيلها أرسل /insights on'
+          : `❌ ${error.message}`);
+        return;
+      }
+      console.error('Error updating insight settings:', error);
+      await this.bot.sendMessage(chatId, 'عذراً، لم أتمكن من تحديث إعدادات التنبيهات. يرجى المحاولة مرة أخرى.');
+    }
   }
 
   /**
    * Get bot statistics
    */
-  getStats() {
+  async getStats() {
     return {
       ...this.stats,
-      activeUsers: this.userStates.size,
+      mode: this.mode,
+      activeUsers: await this.sessions.count('state:'),
       totalProfiles: this.userProfiling.getAllProfiles().length
     };
   }
@@ -1302,71 +1482,6 @@ ${userProfile.personalization.interests.length > 0 ?
     });
   }
 
-  /**
-   * Handle help command
-   */
-  async handleHelpCommand(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-
-    const helpMessage = `
-❓ <b>مساعدة مايا الذكية</b>
-
-🤖 <b>كيف أستخدم مايا؟</b>
-مايا مساعدتك الذكية للسفر. يمكنك:
-• التحدث معي بشكل طبيعي
-• استخدام الأوامر السريعة
-• الضغط على الأزرار التفاعلية
-
-📋 <b>الأوامر المتاحة:</b>
-/start - بدء المحادثة
-/help - عرض هذه المساعدة
-/trip - تخطيط رحلة جديدة
-/budget - تحليل الميزانية
-/weather - حالة الطقس
-/profile - ملفك الشخصي
-/settings - الإعدادات
-/payment - نظام الدفع
-
-🎯 <b>مثال على الاستخدام:</b>
-"أريد رحلة إلى تركيا لمدة أسبوع بميزانية 5000 ريال"
-
-🧠 <b>ذكاء مايا:</b>
-• تحليل تفضيلاتك الشخصية
-• اقتراح وجهات مناسبة
-• حساب التكاليف بدقة
-• توفير نصائح مخصصة
-• دعم الطعام الحلال
-• أوقات الصلاة في وجهتك
-
-💬 <b>نصائح للاستخدام الأمثل:</b>
-• كن محدداً في طلباتك
-• اذكر ميزانيتك التقريبية
-• أخبرني عن اهتماماتك
-• اسأل عن أي شيء متعلق بالسفر
-`;
-
-    await this.bot.sendMessage(chatId, helpMessage, {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: '🚀 تخطيط رحلة', callback_data: 'new_trip' },
-            { text: '💰 تحليل الميزانية', callback_data: 'budget_analysis' }
-          ],
-          [
-            { text: '🌤️ حالة الطقس', callback_data: 'weather_check' },
-            { text: '👤 ملفي الشخصي', callback_data: 'my_profile' }
-          ],
-          [
-            { text: '💬 أمثلة على الاستخدام', callback_data: 'usage_examples' },
-            { text: '📞 الدعم الفني', callback_data: 'technical_support' }
-          ]
-        ]
-      }
-    });
-  }
-
   /**
    * Handle recommend command
    */
@@ -1424,12 +1539,14 @@ ${recommendations.recommendations.accommodations.slice(0, 2).map(acc =>
   }
 }
 
-// Initialize the advanced bot
-const advancedBot = new AdvancedTelegramBot();
-
-// Export for use in other modules
+// Export for use in other modules (server.js creates the instance)
 module.exports = AdvancedTelegramBot;
 
+// Run standalone with `node advanced-telegram-bot.js`
+if (require.main === module) {
+  new AdvancedTelegramBot();
+}
+
 // Keep the process alive
 process.on('SIGINT', () => {
   console.log('🤖 Shutting down Advanced Maya Telegram Bot...');
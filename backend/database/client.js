@@ -0,0 +1,46 @@
+/**
+ * Shared service-role database client
+ * Returns the Supabase client when configured, otherwise an in-memory stand-in
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const MemoryClient = require('./memoryClient');
+
+let sharedClient = null;
+
+/**
+ * Check whether real Supabase credentials are present
+ */
+function isSupabaseConfigured() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return Boolean(url && key && !url.includes('your_supabase') && !key.includes('your_supabase'));
+}
+
+/**
+ * Get the process-wide service client
+ */
+function getServiceClient() {
+  if (!sharedClient) {
+    if (isSupabaseConfigured()) {
+      sharedClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    } else {
+      console.log('⚠️ Supabase not configured - using in-memory storage');
+      sharedClient = new MemoryClient();
+    }
+  }
+  return sharedClient;
+}
+
+/**
+ * Replace the shared client (used by tests and scripts)
+ */
+function setServiceClient(client) {
+  sharedClient = client;
+}
+
+module.exports = {
+  getServiceClient,
+  setServiceClient,
+  isSupabaseConfigured
+};
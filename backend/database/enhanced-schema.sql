@@ -135,6 +135,7 @@ CREATE TABLE IF NOT EXISTS public.trips (
   start_date DATE NOT NULL,
   end_date DATE NOT NULL,
   budget DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'USD',
   actual_cost DECIMAL(10,2),
   status TEXT NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'ongoing', 'completed', 'cancelled')),
   travel_style TEXT,
@@ -155,6 +156,7 @@ CREATE TABLE IF NOT EXISTS public.trips (
   -- Media and documents
   image_url TEXT,
   documents JSONB, -- Store flight tickets, hotel confirmations, etc.
+  telegram_id BIGINT, -- owner when the trip was planned in the Telegram mini app
   
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -294,7 +296,8 @@ CREATE TABLE IF NOT EXISTS public.expenses (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   trip_id UUID REFERENCES public.trips(id) ON DELETE CASCADE,
   user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
-  category TEXT NOT NULL, -- 'accommodation', 'transportation', 'food', 'activities', 'shopping', 'misc'
+  telegram_id BIGINT,
+  category TEXT NOT NULL, -- 'accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'
   subcategory TEXT,
   amount DECIMAL(10,2) NOT NULL,
   currency TEXT DEFAULT 'SAR',
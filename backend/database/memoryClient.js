@@ -0,0 +1,321 @@
+/**
+ * In-memory Supabase Client for Maya Travel Agent
+ * Implements the subset of the supabase-js query builder used by the backend,
+ * so services keep one code path whether or not Supabase is configured.
+ */
+
+const crypto = require('crypto');
+
+class MemoryQueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.operation = 'select';
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.ordering = [];
+    this.rowLimit = null;
+    this.rowRange = null;
+    this.returnRows = false;
+    this.countMode = null;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.countMode = options.count || null;
+    } else {
+      this.returnRows = true;
+    }
+    return this;
+  }
+
+  insert(rows, options = {}) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.options = options;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.options = options;
+    return this;
+  }
+
+  update(patch, options = {}) {
+    this.operation = 'update';
+    this.payload = patch;
+    this.options = options;
+    return this;
+  }
+
+  delete(options = {}) {
+    this.operation = 'delete';
+    this.options = options;
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(row => looseEqual(row[column], value)); }
+  neq(column, value) { return this.addFilter(row => !looseEqual(row[column], value)); }
+  gt(column, value) { return this.addFilter(row => row[column] > value); }
+  gte(column, value) { return this.addFilter(row => row[column] >= value); }
+  lt(column, value) { return this.addFilter(row => row[column] < value); }
+  lte(column, value) { return this.addFilter(row => row[column] <= value); }
+  in(column, values) { return this.addFilter(row => values.some(v => looseEqual(row[column], v))); }
+  is(column, value) { return this.addFilter(row => (row[column] ?? null) === value); }
+  like(column, pattern) { return this.addFilter(row => likeMatch(row[column], pattern, false)); }
+  ilike(column, pattern) { return this.addFilter(row => likeMatch(row[column], pattern, true)); }
+
+  contains(column, value) {
+    return this.addFilter(row => {
+      const current = row[column];
+      if (Array.isArray(value)) {
+        return Array.isArray(current) && value.every(v => current.includes(v));
+      }
+      return current && typeof current === 'object' &&
+        Object.entries(value).every(([k, v]) => looseEqual(current[k], v));
+    });
+  }
+
+  /**
+   * Approximates Postgres full-text search: every query word must prefix a word of the
+   * column. Generated tsvector columns do not exist in memory, so when the row has no
+   * such column its text fields are searched instead.
+   */
+  textSearch(column, query) {
+    const terms = String(query).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return this.addFilter(row => {
+      const source = row[column] !== undefined
+        ? row[column]
+        : Object.values(row).filter(value => typeof value === 'string').join(' ');
+      const words = String(source ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+      return terms.every(term => words.some(word => word.startsWith(term)));
+    });
+  }
+
+  /**
+   * Supports the PostgREST `or` syntax for the operators used in this codebase,
+   * e.g. `title.ilike.%foo%,destination.eq.bar`
+   */
+  or(expression) {
+    const clauses = expression.split(',').map(part => {
+      const [column, operator, ...rest] = part.split('.');
+      return { column, operator, value: rest.join('.') };
+    });
+    return this.addFilter(row => clauses.some(({ column, operator, value }) => {
+      switch (operator) {
+        case 'eq': return looseEqual(row[column], value);
+        case 'neq': return !looseEqual(row[column], value);
+        case 'ilike': return likeMatch(row[column], value, true);
+        case 'like': return likeMatch(row[column], value, false);
+        case 'gt': return row[column] > value;
+        case 'gte': return row[column] >= value;
+        case 'lt': return row[column] < value;
+        case 'lte': return row[column] <= value;
+        case 'is': return (row[column] ?? null) === (value === 'null' ? null : value);
+        default: return false;
+      }
+    }));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowRange = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  addFilter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      result = { data: null, error: { message: error.message, code: error.code || 'MEMORY_ERROR' } };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  execute() {
+    const rows = this.client.getTable(this.table);
+    let affected;
+
+    switch (this.operation) {
+      case 'insert':
+        affected = this.payload.map(row => {
+          const record = this.client.applyDefaults(row);
+          if (rows.some(existing => existing.id === record.id)) {
+            const error = new Error(`duplicate key value violates unique constraint "${this.table}_pkey"`);
+            error.code = '23505';
+            throw error;
+          }
+          rows.push(record);
+          return record;
+        });
+        break;
+
+      case 'upsert': {
+        const conflictColumns = (this.options.onConflict || 'id').split(',').map(c => c.trim());
+        affected = this.payload.map(row => {
+          const existing = rows.find(candidate =>
+            conflictColumns.every(column => row[column] !== undefined && looseEqual(candidate[column], row[column]))
+          );
+          if (existing) {
+            if (!this.options.ignoreDuplicates) Object.assign(existing, row);
+            return existing;
+          }
+          const record = this.client.applyDefaults(row);
+          rows.push(record);
+          return record;
+        });
+        break;
+      }
+
+      case 'update':
+        affected = rows.filter(row => this.matches(row));
+        affected.forEach(row => Object.assign(row, this.payload));
+        break;
+
+      case 'delete':
+        affected = rows.filter(row => this.matches(row));
+        this.client.tables.set(this.table, rows.filter(row => !affected.includes(row)));
+        break;
+
+      default:
+        affected = rows.filter(row => this.matches(row));
+    }
+
+    if (this.operation !== 'select' && !this.returnRows) {
+      return { data: null, error: null, count: null };
+    }
+
+    let data = this.operation === 'select' ? this.sort(affected) : affected;
+    const count = this.countMode ? data.length : null;
+
+    if (this.rowRange) {
+      data = data.slice(this.rowRange[0], this.rowRange[1] + 1);
+    }
+    if (this.rowLimit !== null) {
+      data = data.slice(0, this.rowLimit);
+    }
+    data = data.map(row => clone(row));
+
+    if (this.singleMode) {
+      if (data.length === 1) return { data: data[0], error: null, count };
+      if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count };
+      return {
+        data: null,
+        error: {
+          code: 'PGRST116',
+          message: `JSON object requested, multiple (or no) rows returned (${data.length})`
+        },
+        count
+      };
+    }
+
+    return { data, error: null, count };
+  }
+
+  sort(rows) {
+    if (this.ordering.length === 0) return rows.slice();
+    return rows.slice().sort((a, b) => {
+      for (const { column, ascending } of this.ordering) {
+        if (a[column] === b[column]) continue;
+        if (a[column] === undefined || a[column] === null) return 1;
+        if (b[column] === undefined || b[column] === null) return -1;
+        const direction = a[column] > b[column] ? 1 : -1;
+        return ascending ? direction : -direction;
+      }
+      return 0;
+    });
+  }
+}
+
+class MemoryClient {
+  constructor(seed = {}) {
+    this.tables = new Map();
+    for (const [table, rows] of Object.entries(seed)) {
+      this.tables.set(table, rows.map(row => this.applyDefaults(row)));
+    }
+  }
+
+  from(table) {
+    return new MemoryQueryBuilder(this, table);
+  }
+
+  getTable(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    return this.tables.get(table);
+  }
+
+  applyDefaults(row) {
+    return {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...clone(row)
+    };
+  }
+
+  /**
+   * Remove all rows (or the rows of a single table)
+   */
+  reset(table = null) {
+    if (table) {
+      this.tables.delete(table);
+    } else {
+      this.tables.clear();
+    }
+  }
+}
+
+function looseEqual(a, b) {
+  if (a === b) return true;
+  if (a === undefined || a === null || b === undefined || b === null) return false;
+  return String(a) === String(b);
+}
+
+function likeMatch(value, pattern, caseInsensitive) {
+  if (value === undefined || value === null) return false;
+  const escaped = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, caseInsensitive ? 'i' : '').test(String(value));
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryClient;
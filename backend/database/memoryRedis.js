@@ -0,0 +1,94 @@
+/**
+ * In-memory Redis Client for Maya Travel Agent
+ * Implements the subset of Redis commands the session store uses (GET, SET with
+ * PX/NX, DEL, PTTL, SCAN) with ioredis' promise-based signatures, so the Redis
+ * session store can be exercised without a Redis server. Several stores sharing
+ * one MemoryRedis behave like instances sharing one Redis.
+ */
+
+class MemoryRedis {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock (ms), for expiry
+   */
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.data = new Map();
+  }
+
+  // Drop a key whose expiry has passed
+  entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * SET key value [EX seconds | PX milliseconds] [NX]
+   * @returns {Promise<string|null>} 'OK', or null when NX found the key
+   */
+  async set(key, value, ...args) {
+    let expiresAt = null;
+    let onlyIfAbsent = false;
+
+    for (let i = 0; i < args.length; i++) {
+      const option = String(args[i]).toUpperCase();
+      if (option === 'PX') expiresAt = this.now() + Number(args[++i]);
+      else if (option === 'EX') expiresAt = this.now() + Number(args[++i]) * 1000;
+      else if (option === 'NX') onlyIfAbsent = true;
+      else throw new Error(`ERR syntax error: ${args[i]}`);
+    }
+
+    if (onlyIfAbsent && this.entry(key)) return null;
+    this.data.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys.flat()) {
+      if (this.entry(key)) removed++;
+      this.data.delete(key);
+    }
+    return removed;
+  }
+
+  /**
+   * Milliseconds to live: -1 without expiry, -2 for a missing key
+   */
+  async pttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - this.now();
+  }
+
+  /**
+   * SCAN cursor [MATCH pattern] [COUNT count]; returns every match in one page
+   * @returns {Promise<[string, Array<string>]>}
+   */
+  async scan(cursor, ...args) {
+    let pattern = '*';
+    for (let i = 0; i < args.length; i++) {
+      if (String(args[i]).toUpperCase() === 'MATCH') pattern = args[++i];
+      else if (String(args[i]).toUpperCase() === 'COUNT') i++;
+    }
+
+    const matcher = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+    const keys = [...this.data.keys()].filter(key => this.entry(key) && matcher.test(key));
+    return ['0', keys];
+  }
+
+  async quit() {
+    return 'OK';
+  }
+}
+
+module.exports = MemoryRedis;
@@ -1,14 +1,36 @@
 /**
  * Supabase Database Client for Maya Travel Agent
- * Persistent storage for user profiles, conversations, and travel offers
+ * Persistent storage for user profiles, conversations, and travel offers.
+ * One store serves one channel: users are Telegram IDs by default, or WhatsApp
+ * numbers for `new SupabaseDB({ channel: 'whatsapp' })`.
  */
 
 const { createClient } = require('@supabase/supabase-js');
 
+// Profile column identifying a user on each channel
+const CHANNEL_KEYS = {
+  telegram: 'telegram_id',
+  whatsapp: 'whatsapp_phone'
+};
+
 class SupabaseDB {
-  constructor() {
-    // Check if Supabase is configured
-    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || 
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.channel] - 'telegram' (default) or 'whatsapp'
+   * @param {Object} [options.client] - Supabase-compatible client to use instead of the configured one
+   */
+  constructor({ channel = 'telegram', client = null } = {}) {
+    if (!CHANNEL_KEYS[channel]) {
+      throw new Error(`Unsupported channel: ${channel}`);
+    }
+    this.channel = channel;
+    this.keyColumn = CHANNEL_KEYS[channel];
+    this.lastMessageAt = 0;
+
+    if (client) {
+      this.supabase = client;
+      this.memoryStorage = null;
+    } else if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || 
         process.env.SUPABASE_URL.includes('your_supabase') || 
         process.env.SUPABASE_SERVICE_ROLE_KEY.includes('your_supabase')) {
       console.log('⚠️ Supabase not configured - using in-memory storage');
@@ -77,17 +99,18 @@ class SupabaseDB {
 
   /**
    * Get or create user profile (using profiles table)
+   * @param {number|string} userId - Telegram ID, or WhatsApp number on a WhatsApp store
    */
-  async getUserProfile(telegramId) {
+  async getUserProfile(userId) {
     if (!this.supabase) {
-      return this.memoryStorage.profiles.get(telegramId) || null;
+      return this.memoryStorage.profiles.get(userId) || null;
     }
     
     try {
       const { data, error } = await this.supabase
         .from('profiles')
         .select('*')
-        .eq('telegram_id', telegramId)
+        .eq(this.keyColumn, userId)
         .single();
 
       if (error && error.code !== 'PGRST116') {
@@ -104,10 +127,10 @@ class SupabaseDB {
   /**
    * Create new user profile (using profiles table)
    */
-  async createUserProfile(telegramId, userData) {
+  async createUserProfile(userId, userData) {
     if (!this.supabase) {
       const profile = {
-        telegram_id: telegramId,
+        [this.keyColumn]: userId,
         username: userData.username || null,
         avatar_url: userData.avatar_url || null,
         preferences: userData.preferences || {},
@@ -115,7 +138,7 @@ class SupabaseDB {
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
-      this.memoryStorage.profiles.set(telegramId, profile);
+      this.memoryStorage.profiles.set(userId, profile);
       return profile;
     }
     
@@ -123,7 +146,7 @@ class SupabaseDB {
       const { data, error } = await this.supabase
         .from('profiles')
         .insert([{
-          telegram_id: telegramId,
+          [this.keyColumn]: userId,
           username: userData.username || null,
           avatar_url: userData.avatar_url || null,
           preferences: userData.preferences || {},
@@ -145,12 +168,12 @@ class SupabaseDB {
   /**
    * Update user profile (using profiles table)
    */
-  async updateUserProfile(telegramId, updates) {
+  async updateUserProfile(userId, updates) {
     if (!this.supabase) {
-      const profile = this.memoryStorage.profiles.get(telegramId);
+      const profile = this.memoryStorage.profiles.get(userId);
       if (!profile) return null;
       const updated = { ...profile, ...updates, updated_at: new Date().toISOString() };
-      this.memoryStorage.profiles.set(telegramId, updated);
+      this.memoryStorage.profiles.set(userId, updated);
       return updated;
     }
     
@@ -161,7 +184,7 @@ class SupabaseDB {
           ...updates,
           updated_at: new Date().toISOString()
         })
-        .eq('telegram_id', telegramId)
+        .eq(this.keyColumn, userId)
         .select()
         .single();
 
@@ -173,34 +196,52 @@ class SupabaseDB {
     }
   }
 
+  /**
+   * Timestamp for a new message, strictly after the previous one: a question and its
+   * answer are often saved within the same millisecond and history is ordered by time
+   */
+  nextMessageTimestamp() {
+    this.lastMessageAt = Math.max(Date.now(), this.lastMessageAt + 1);
+    return new Date(this.lastMessageAt).toISOString();
+  }
+
   /**
    * Save conversation message (using messages table)
    */
-  async saveConversationMessage(telegramId, message, isUser = true) {
+  async saveConversationMessage(userId, message, isUser = true) {
     if (!this.supabase) {
-      if (!this.memoryStorage.messages.has(telegramId)) {
-        this.memoryStorage.messages.set(telegramId, []);
+      if (!this.memoryStorage.messages.has(userId)) {
+        this.memoryStorage.messages.set(userId, []);
       }
       const msg = {
-        telegram_id: telegramId,
+        [this.keyColumn]: userId,
         content: message,
         role: isUser ? 'user' : 'assistant',
-        is_telegram: true,
+        channel: this.channel,
+        is_telegram: this.channel === 'telegram',
         created_at: new Date().toISOString()
       };
-      this.memoryStorage.messages.get(telegramId).push(msg);
+      this.memoryStorage.messages.get(userId).push(msg);
       return msg;
     }
     
     try {
+      // WhatsApp messages are only reachable through the profile, so make sure there is one
+      let profile = await this.getUserProfile(userId);
+      if (!profile && this.channel !== 'telegram') {
+        profile = await this.createUserProfile(userId, {});
+      }
+
       const { data, error } = await this.supabase
         .from('messages')
         .insert([{
-          telegram_id: telegramId,
+          telegram_id: this.channel === 'telegram' ? userId : null,
+          profile_id: profile ? profile.id : null,
           content: message,
           role: isUser ? 'user' : 'assistant',
-          is_telegram: true,
-          created_at: new Date().toISOString()
+          channel: this.channel,
+          is_telegram: this.channel === 'telegram',
+          created_at: this.nextMessageTimestamp()
         }])
         .select()
         .single();
@@ -213,12 +254,25 @@ class SupabaseDB {
     }
   }
 
+  /**
+   * Narrow a messages query to one user's conversation. With a profile this includes
+   * what was said on accounts linked to it; null when the user has no messages yet.
+   */
+  filterUserMessages(query, userId, profile) {
+    if (this.channel === 'telegram') {
+      return profile
+        ? query.or(`profile_id.eq.${profile.id},telegram_id.eq.${Number(userId)}`)
+        : query.eq('telegram_id', userId).eq('is_telegram', true);
+    }
+    return profile ? query.eq('profile_id', profile.id) : null;
+  }
+
   /**
    * Get conversation history (using messages table)
    */
-  async getConversationHistory(telegramId, limit = 20) {
+  async getConversationHistory(userId, limit = 20) {
     if (!this.supabase) {
-      const messages = this.memoryStorage.messages.get(telegramId) || [];
+      const messages = this.memoryStorage.messages.get(userId) || [];
       return messages.slice(-limit).map(msg => ({
         message: msg.content,
         is_user: msg.role === 'user',
@@ -227,11 +281,11 @@ class SupabaseDB {
     }
     
     try {
-      const { data, error } = await this.supabase
-        .from('messages')
-        .select('*')
-        .eq('telegram_id', telegramId)
-        .eq('is_telegram', true)
+      const profile = await this.getUserProfile(userId);
+      const query = this.filterUserMessages(this.supabase.from('messages').select('*'), userId, profile);
+      if (!query) return [];
+
+      const { data, error } = await query
         .order('created_at', { ascending: false })
         .limit(limit);
 
@@ -254,17 +308,23 @@ class SupabaseDB {
   /**
    * Clear old conversation history (keep last 30 days)
    */
-  async clearOldConversations(telegramId) {
+  async clearOldConversations(userId) {
+    if (!this.supabase) {
+      const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+      const messages = this.memoryStorage.messages.get(userId) || [];
+      this.memoryStorage.messages.set(userId, messages.filter(msg => Date.parse(msg.created_at) >= cutoff));
+      return true;
+    }
+
     try {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-      const { error } = await this.supabase
-        .from('messages')
-        .delete()
-        .eq('telegram_id', telegramId)
-        .eq('is_telegram', true)
-        .lt('created_at', thirtyDaysAgo.toISOString());
+      const profile = await this.getUserProfile(userId);
+      const query = this.filterUserMessages(this.supabase.from('messages').delete(), userId, profile);
+      if (!query) return true;
+
+      const { error } = await query.lt('created_at', thirtyDaysAgo.toISOString());
 
       if (error) throw error;
       return true;
@@ -467,14 +527,17 @@ class SupabaseDB {
 
   /**
    * Track user interaction with offer
+   * @param {Object} [details]
+   * @param {number} [details.price] - Price the user saw, for price-drop insights
    */
-  async trackOfferInteraction(telegramId, offerId, interactionType) {
+  async trackOfferInteraction(telegramId, offerId, interactionType, { price = null } = {}) {
     if (!this.supabase) {
       const interaction = {
         id: String(Date.now()),
         telegram_id: telegramId,
         offer_id: offerId,
         interaction_type: interactionType, // 'view', 'click', 'book'
+        price,
         timestamp: new Date().toISOString()
       };
       if (!this.memoryStorage.interactions) {
@@ -491,6 +554,7 @@ class SupabaseDB {
           telegram_id: telegramId,
           offer_id: offerId,
           interaction_type: interactionType, // 'view', 'click', 'book'
+          price,
           timestamp: new Date().toISOString()
         }])
         .select()
@@ -0,0 +1,38 @@
+/**
+ * Maya Destinations Import
+ * Loads a JSON or CSV catalog into the destinations table (upserted by slug):
+ *   node import-destinations.js [file] [--dry-run]
+ * Without a file the bundled catalog (database/seeds/destinations.json) is imported.
+ */
+
+require('dotenv').config();
+
+const { destinationService } = require('./src/destinations/destinationService');
+const { readCatalogFile, DEFAULT_CATALOG_PATH } = require('./src/destinations/catalogFile');
+const { isSupabaseConfigured } = require('./database/client');
+
+async function main(args) {
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(arg => !arg.startsWith('--')) || DEFAULT_CATALOG_PATH;
+
+  if (!dryRun && !isSupabaseConfigured()) {
+    console.error('❌ Supabase is not configured (SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY); use --dry-run to validate only');
+    return 1;
+  }
+
+  const records = await readCatalogFile(file);
+  const { imported, skipped } = await destinationService.importDestinations(records, { dryRun });
+
+  console.log(`${dryRun ? '🔎 Validated' : '✅ Imported'} ${imported} of ${records.length} destinations from ${file}`);
+  for (const { index, name, error } of skipped) {
+    console.error(`⚠️ Record ${index + 1}${name ? ` (${name})` : ''}: ${error}`);
+  }
+  return skipped.length > 0 ? 2 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,17 @@
+/**
+ * Maya MCP Server (stdio)
+ * Lets MCP clients (desktop assistants, IDEs) launch Maya's travel tools as a subprocess:
+ *   node mcp-server.js
+ * The same tools are served over HTTP at POST /api/mcp.
+ */
+
+require('dotenv').config();
+
+// stdout carries protocol messages only; send console and logger output to stderr
+console.log = console.error;
+console.info = console.error;
+
+const { mcpServer } = require('./src/mcp/mcpServer');
+const { serveStdio } = require('./src/mcp/stdioTransport');
+
+serveStdio(mcpServer).then(() => process.exit(0));
@@ -0,0 +1,44 @@
+/**
+ * Admin Authentication Middleware for Maya Trips API
+ * Guards operational endpoints with a shared admin API key
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check whether the request carries the admin API key
+ */
+const hasAdminKey = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) return false;
+
+  const provided = Buffer.from(req.get('x-admin-key') || '');
+  const secret = Buffer.from(expected);
+  return provided.length === secret.length && crypto.timingSafeEqual(provided, secret);
+};
+
+/**
+ * Require the `X-Admin-Key` header to match ADMIN_API_KEY
+ */
+const requireAdminKey = (req, res, next) => {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is not configured'
+    });
+  }
+
+  if (!hasAdminKey(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  hasAdminKey,
+  requireAdminKey
+};
@@ -0,0 +1,94 @@
+/**
+ * Authentication Middleware for Maya Trips API
+ * Accepts a bearer token from any client (mini app access token or Supabase web
+ * session) and exposes the caller as `req.user` (see AuthService.authenticate).
+ * `req.telegramId` is kept for routes whose data is keyed by Telegram ID.
+ */
+
+const { authService } = require('../src/auth/authService');
+const { hasAdminKey } = require('./adminAuth');
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const attachUser = async (req, token) => {
+  const user = await authService.authenticate(token);
+  req.user = user;
+  req.telegramId = user.telegramId;
+};
+
+const sendAuthError = (res, error) => {
+  const status = error.statusCode === 401 ? 401 : 500;
+  res.status(status).json({
+    success: false,
+    error: status === 401 ? error.message : 'Authentication failed'
+  });
+};
+
+/**
+ * Require a signed-in user
+ */
+const requireUser = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authorization token is required'
+    });
+  }
+
+  try {
+    await attachUser(req, token);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+  next();
+};
+
+/**
+ * Require a signed-in user who signs in with Telegram (data keyed by Telegram ID)
+ */
+const requireTelegramUser = (req, res, next) => requireUser(req, res, () => {
+  if (!req.telegramId) {
+    return res.status(403).json({
+      success: false,
+      error: 'This feature needs a Telegram account'
+    });
+  }
+  next();
+});
+
+/**
+ * Accept the admin key (sets `req.isAdmin`, for bots and jobs) or a signed-in user
+ */
+const requireUserOrAdmin = (req, res, next) => {
+  if (hasAdminKey(req)) {
+    req.isAdmin = true;
+    return next();
+  }
+  return requireUser(req, res, next);
+};
+
+/**
+ * Identify the caller when a token is sent, without requiring one
+ */
+const optionalUser = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (token) {
+    try {
+      await attachUser(req, token);
+    } catch (error) {
+      return sendAuthError(res, error);
+    }
+  }
+  next();
+};
+
+module.exports = {
+  requireUser,
+  requireTelegramUser,
+  requireUserOrAdmin,
+  optionalUser
+};
@@ -0,0 +1,45 @@
+/**
+ * Telegram Webhook Secret Middleware for Maya Trips API
+ * Telegram sends the secret registered with setWebhook (TELEGRAM_WEBHOOK_SECRET) in
+ * `X-Telegram-Bot-Api-Secret-Token` with every update; anything else is a forgery.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check whether the request carries the webhook secret
+ */
+const hasTelegramSecret = (req) => {
+  const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!expected) return false;
+
+  const provided = Buffer.from(req.get('x-telegram-bot-api-secret-token') || '');
+  const secret = Buffer.from(expected);
+  return provided.length === secret.length && crypto.timingSafeEqual(provided, secret);
+};
+
+/**
+ * Require the `X-Telegram-Bot-Api-Secret-Token` header to match TELEGRAM_WEBHOOK_SECRET
+ */
+const requireTelegramSecret = (req, res, next) => {
+  if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(503).json({
+      success: false,
+      error: 'Telegram webhook is not enabled'
+    });
+  }
+
+  if (!hasTelegramSecret(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid secret token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  hasTelegramSecret,
+  requireTelegramSecret
+};
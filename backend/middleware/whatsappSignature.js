@@ -0,0 +1,59 @@
+/**
+ * WhatsApp Webhook Signature Middleware for Maya Trips API
+ * Meta signs every webhook with the app secret: `X-Hub-Signature-256: sha256=<HMAC of the raw body>`.
+ * The raw body is kept by `captureRawBody`, the `verify` hook of the JSON parser.
+ */
+
+const crypto = require('crypto');
+const { whatsappNumbers } = require('../src/whatsapp/numberRegistry');
+
+/**
+ * JSON parser `verify` hook that keeps the exact bytes that were signed
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Signature header value for a body
+ */
+const signWebhookBody = (body, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Require a valid `X-Hub-Signature-256` from one of the registered numbers' apps.
+ * Without any app secret the webhook is refused with a 503.
+ * @param {Object} [options]
+ * @param {Function} [options.secrets] - App secrets; defaults to the number registry's
+ */
+const createWhatsAppSignatureVerifier = ({ secrets = () => whatsappNumbers.appSecrets() } = {}) => (req, res, next) => {
+  const appSecrets = secrets();
+
+  if (appSecrets.length === 0) {
+    return res.status(503).json({ success: false, error: 'WhatsApp app secret is not configured' });
+  }
+
+  const provided = Buffer.from(req.get('x-hub-signature-256') || '');
+  if (!req.rawBody || provided.length === 0) {
+    return res.status(401).json({ success: false, error: 'Missing signature' });
+  }
+
+  const valid = appSecrets.some(secret => {
+    const expected = Buffer.from(signWebhookBody(req.rawBody, secret));
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+  if (!valid) {
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  next();
+};
+
+const verifyWhatsAppSignature = createWhatsAppSignatureVerifier();
+
+module.exports = {
+  captureRawBody,
+  signWebhookBody,
+  createWhatsAppSignatureVerifier,
+  verifyWhatsAppSignature
+};
@@ -0,0 +1,87 @@
+/**
+ * Account Routes for Maya Trips
+ * Linking the Telegram, WhatsApp and web accounts of one traveler: a link code is
+ * issued in one channel and redeemed in another, merging the two profiles.
+ * All routes act on the signed-in user (Bearer token, see middleware/auth.js).
+ */
+
+const express = require('express');
+const { AccountLinkService, accountLinkService, LINK_CODE_TTL_MS } = require('../src/auth/accountLinkService');
+const { identityService } = require('../src/auth/identityService');
+const { requireUser } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// Shape a profile's linked channels for API responses
+function serializeLinks(profile, currentChannel) {
+  return {
+    profileId: profile.id,
+    current: currentChannel,
+    channels: {
+      telegram: profile.telegram_id ? { id: Number(profile.telegram_id), username: profile.username || null } : null,
+      whatsapp: profile.whatsapp_phone ? { phone: profile.whatsapp_phone } : null,
+      web: profile.auth_user_id ? { email: profile.email || null } : null
+    }
+  };
+}
+
+router.use(requireUser);
+
+// Channels linked to the signed-in user's profile
+router.get('/links', async (req, res) => {
+  try {
+    const profile = await accountLinkService.loadProfile(req.user.id);
+    res.json({ success: true, links: serializeLinks(profile, AccountLinkService.channelFor(req.user.provider)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load linked accounts');
+  }
+});
+
+// Issue a one-time code to redeem in another channel
+router.post('/link-codes', async (req, res) => {
+  try {
+    const { code, expiresAt } = await accountLinkService.issueCode(req.user.id, AccountLinkService.channelFor(req.user.provider));
+    res.status(201).json({ success: true, code, expiresAt, expiresIn: LINK_CODE_TTL_MS / 1000 });
+  } catch (error) {
+    sendError(res, error, 'Failed to create link code');
+  }
+});
+
+// Redeem a code issued in another channel (failed attempts count towards the auth rate limit)
+router.post('/link', authLimiter, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Link code is required' });
+    }
+
+    const channel = AccountLinkService.channelFor(req.user.provider);
+    const profile = await accountLinkService.redeemCode(code, req.user.id, channel);
+    res.json({ success: true, links: serializeLinks(profile, channel) });
+  } catch (error) {
+    sendError(res, error, 'Failed to link accounts');
+  }
+});
+
+// Detach a channel into a profile of its own
+router.delete('/links/:channel', async (req, res) => {
+  try {
+    const currentChannel = AccountLinkService.channelFor(req.user.provider);
+    await accountLinkService.unlink(req.user.id, req.params.channel, { currentChannel });
+    const profile = await identityService.getProfile(req.user.id);
+    res.json({ success: true, links: serializeLinks(profile, currentChannel) });
+  } catch (error) {
+    sendError(res, error, 'Failed to unlink account');
+  }
+});
+
+module.exports = router;
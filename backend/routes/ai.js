@@ -1,39 +1,49 @@
 /**
  * AI Routes for Maya Trips
- * Z.ai GLM-4.6 Integration
+ * Requests go through the AI router (Z.ai GLM-4.6, Gemini, ...) with failover; pass
+ * `provider` to try a specific provider first. Responses report which provider answered.
  */
 
 const express = require('express');
 const router = express.Router();
-const ZaiClient = require('../src/ai/zaiClient');
-const { Tools, getToolSchemas } = require('../src/ai/tools');
+const { aiRouter } = require('../src/ai/aiRouter');
+const { travelAgent } = require('../src/ai/agent');
+const { CurrencyService, currencyService } = require('../src/currency/currencyService');
 const { buildCulturalSystemPrompt } = require('../src/ai/culture');
 const { multimodalLimiter } = require('../middleware/rateLimiter');
+const { requireUser } = require('../middleware/auth');
 
-// Initialize Z.ai client
-const zaiClient = new ZaiClient();
-
-// Middleware for API key validation
-const validateApiKey = (req, res, next) => {
-  if (!process.env.ZAI_API_KEY) {
+// Require a configured AI provider and pick the one the request prefers
+const selectProvider = (req, res, next) => {
+  if (!aiRouter.isConfigured()) {
     return res.status(500).json({
       success: false,
-      error: 'Z.ai API key not configured'
+      error: 'No AI provider configured'
+    });
+  }
+
+  try {
+    req.ai = aiRouter.prefer((req.body && req.body.provider) || req.query.provider);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      available: error.meta ? error.meta.available : undefined
     });
   }
   next();
 };
 
-// Apply API key validation to all routes
-router.use(validateApiKey);
+router.use(selectProvider);
 
 /**
  * POST /api/ai/chat
  * General chat with Maya AI
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireUser, async (req, res) => {
   try {
-    const { message, userId, conversationHistory = [], useTools = false, region = 'ar' } = req.body;
+    const { message, conversationHistory = [], useTools = false, region = 'ar', maxSteps = null } = req.body;
+    const userId = req.user.id;
 
     if (!message) {
       return res.status(400).json({
@@ -47,69 +57,14 @@ router.post('/chat', async (req, res) => {
     let response;
     if (!useTools) {
       const systemCulture = { role: 'system', content: buildCulturalSystemPrompt(region) };
-      response = await zaiClient.chatCompletion([
+      response = await req.ai.chatCompletion([
         systemCulture,
         ...conversationHistory,
         { role: 'user', content: message }
       ], { maxTokens: 900 });
     } else {
-      // Basic tool-calling orchestration loop (single step for simplicity)
-      const toolSchemas = getToolSchemas();
-      const toolListStr = toolSchemas.map(t => `- ${t.name}: ${t.description}`).join('\n');
-
-      const toolAwareHistory = [
-        ...conversationHistory,
-        { role: 'system', content: `You can call tools by replying in JSON with {"tool":"name","arguments":{...}}. Available tools:\n${toolListStr}\nIf no tool is needed, answer normally.` }
-      ];
-
-      const first = await zaiClient.chatCompletion([
-        { role: 'system', content: 'You are Maya, a helpful travel assistant.' },
-        { role: 'system', content: buildCulturalSystemPrompt(region) },
-        ...toolAwareHistory,
-        { role: 'user', content: message }
-      ], {
-        maxTokens: 500,
-        enableKvCacheOffload: true,
-        attentionImpl: 'flash-attn-3'
-      });
-
-      if (!first.success) {
-        response = first;
-      } else {
-        const content = first.content?.trim() || '';
-        let toolCall = null;
-        try {
-          if (content.startsWith('{') && content.endsWith('}')) {
-            toolCall = JSON.parse(content);
-          }
-        } catch (_e) {}
-
-        if (toolCall && toolCall.tool && typeof Tools[toolCall.tool] === 'function') {
-          let toolResult;
-          try {
-            toolResult = await Tools[toolCall.tool](toolCall.arguments || {});
-          } catch (e) {
-            toolResult = { error: e.message || 'Tool execution failed' };
-          }
-
-          // Feed tool result back to the model for final answer
-          const second = await zaiClient.chatCompletion([
-            { role: 'system', content: 'You are Maya, a helpful travel assistant.' },
-            { role: 'system', content: buildCulturalSystemPrompt(region) },
-            ...toolAwareHistory,
-            { role: 'user', content: message },
-            { role: 'tool', content: JSON.stringify({ tool: toolCall.tool, result: toolResult }) }
-          ], {
-            maxTokens: 700,
-            enableKvCacheOffload: true,
-            attentionImpl: 'flash-attn-3'
-          });
-          response = second;
-        } else {
-          // No tool call, just return the first content
-          response = first;
-        }
-      }
+      // Agent loop: the model may chain several tool calls before answering
+      response = await travelAgent.run({ message, conversationHistory, region, maxSteps, ai: req.ai });
     }
 
     if (response.success) {
@@ -117,13 +72,17 @@ router.post('/chat', async (req, res) => {
         success: true,
         reply: response.content,
         timestamp: new Date().toISOString(),
-        model: 'glm-4.6'
+        provider: response.provider,
+        model: response.model,
+        ...(useTools ? { trace: response.trace, steps: response.steps, stopReason: response.stop_reason } : {})
       });
     } else {
       res.status(500).json({
         success: false,
         error: response.error || 'AI service error',
-        reply: response.content
+        reply: response.content,
+        attempts: response.attempts,
+        ...(useTools ? { trace: response.trace } : {})
       });
     }
 
@@ -141,7 +100,7 @@ router.post('/chat', async (req, res) => {
  * POST /api/ai/travel-recommendations
  * Generate travel recommendations
  */
-router.post('/travel-recommendations', async (req, res) => {
+router.post('/travel-recommendations', requireUser, async (req, res) => {
   try {
     const { destination, budget, duration, preferences = [] } = req.body;
 
@@ -154,7 +113,7 @@ router.post('/travel-recommendations', async (req, res) => {
 
     console.log(`🗺️ Travel Recommendations - ${destination}, Budget: $${budget}, Duration: ${duration} days`);
 
-    const response = await zaiClient.generateTravelRecommendations(
+    const response = await req.ai.generateTravelRecommendations(
       destination, 
       budget, 
       duration, 
@@ -165,6 +124,7 @@ router.post('/travel-recommendations', async (req, res) => {
       res.json({
         success: true,
         recommendations: response.content,
+        provider: response.provider,
         destination,
         budget,
         duration,
@@ -192,9 +152,9 @@ router.post('/travel-recommendations', async (req, res) => {
  * POST /api/ai/budget-analysis
  * Generate budget analysis
  */
-router.post('/budget-analysis', async (req, res) => {
+router.post('/budget-analysis', requireUser, async (req, res) => {
   try {
-    const { tripData, totalBudget } = req.body;
+    const { tripData, totalBudget, currency = tripData?.currency || 'USD' } = req.body;
 
     if (!tripData || !totalBudget) {
       return res.status(400).json({
@@ -203,18 +163,42 @@ router.post('/budget-analysis', async (req, res) => {
       });
     }
 
-    console.log(`💰 Budget Analysis - ${tripData.destination}, Budget: $${totalBudget}`);
+    // Budgets in other currencies are also given to the model in USD
+    let budget;
+    try {
+      const budgetCurrency = CurrencyService.normalize(currency);
+      const amount = currencyService.round(totalBudget, budgetCurrency);
+      const usd = budgetCurrency === 'USD' ? null : await currencyService.convert(amount, budgetCurrency, 'USD');
+      budget = { amount, currency: budgetCurrency, usd };
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.log(`💰 Budget Analysis - ${tripData.destination}, Budget: ${currencyService.format(budget.amount, budget.currency)}`);
 
-    const response = await zaiClient.generateBudgetAnalysis(tripData, totalBudget);
+    const response = await req.ai.generateBudgetAnalysis(tripData, budget.amount, {
+      currency: budget.currency,
+      usdEquivalent: budget.usd ? budget.usd.converted : null
+    });
 
     if (response.success) {
-      res.json({
+      const result = {
         success: true,
         analysis: response.content,
+        provider: response.provider,
         tripData,
-        totalBudget,
+        totalBudget: budget.amount,
+        currency: budget.currency,
         timestamp: new Date().toISOString()
-      });
+      };
+      if (budget.usd) {
+        result.totalBudgetUsd = budget.usd.converted;
+        result.exchangeRate = { rate: budget.usd.rate, provider: budget.usd.provider, fetched_at: budget.usd.fetched_at };
+      }
+      res.json(result);
     } else {
       res.status(500).json({
         success: false,
@@ -237,7 +221,7 @@ router.post('/budget-analysis', async (req, res) => {
  * POST /api/ai/destination-insights
  * Generate destination insights
  */
-router.post('/destination-insights', async (req, res) => {
+router.post('/destination-insights', requireUser, async (req, res) => {
   try {
     const { destination, travelType = 'leisure' } = req.body;
 
@@ -250,12 +234,13 @@ router.post('/destination-insights', async (req, res) => {
 
     console.log(`🌍 Destination Insights - ${destination}, Type: ${travelType}`);
 
-    const response = await zaiClient.generateDestinationInsights(destination, travelType);
+    const response = await req.ai.generateDestinationInsights(destination, travelType);
 
     if (response.success) {
       res.json({
         success: true,
         insights: response.content,
+        provider: response.provider,
         destination,
         travelType,
         timestamp: new Date().toISOString()
@@ -282,7 +267,7 @@ router.post('/destination-insights', async (req, res) => {
  * POST /api/ai/payment-recommendations
  * Generate payment recommendations
  */
-router.post('/payment-recommendations', async (req, res) => {
+router.post('/payment-recommendations', requireUser, async (req, res) => {
   try {
     const { tripDetails, paymentMethod = 'credit_card' } = req.body;
 
@@ -295,12 +280,13 @@ router.post('/payment-recommendations', async (req, res) => {
 
     console.log(`💳 Payment Recommendations - ${tripDetails.destination}, Method: ${paymentMethod}`);
 
-    const response = await zaiClient.generatePaymentRecommendations(tripDetails, paymentMethod);
+    const response = await req.ai.generatePaymentRecommendations(tripDetails, paymentMethod);
 
     if (response.success) {
       res.json({
         success: true,
         recommendations: response.content,
+        provider: response.provider,
         tripDetails,
         paymentMethod,
         timestamp: new Date().toISOString()
@@ -328,7 +314,7 @@ router.post('/payment-recommendations', async (req, res) => {
  * Analyze images/videos for trip planning insights
  * Rate limited: 20 requests per hour
  */
-router.post('/multimodal/analyze', multimodalLimiter, async (req, res) => {
+router.post('/multimodal/analyze', requireUser, multimodalLimiter, async (req, res) => {
   try {
     const { prompt, imageUrls = [], videoUrl = null, options = {} } = req.body || {};
 
@@ -347,12 +333,13 @@ router.post('/multimodal/analyze', multimodalLimiter, async (req, res) => {
       attentionImpl: options.attentionImpl || null
     };
 
-    const response = await zaiClient.analyzeMedia({ prompt, imageUrls, videoUrl }, analysisOptions);
+    const response = await req.ai.analyzeMedia({ prompt, imageUrls, videoUrl }, analysisOptions);
 
     if (response.success) {
       return res.json({
         success: true,
         analysis: response.content,
+        provider: response.provider,
         providerData: response.data || null,
         timestamp: new Date().toISOString()
       });
@@ -381,12 +368,12 @@ router.get('/health', async (req, res) => {
   try {
     console.log('🏥 AI Health Check...');
     
-    const healthStatus = await zaiClient.healthCheck();
+    const healthStatus = await aiRouter.healthCheck();
 
     res.json({
       success: healthStatus.success,
       status: healthStatus.status,
-      service: 'Z.ai GLM-4.6',
+      providers: healthStatus.providers,
       timestamp: new Date().toISOString(),
       error: healthStatus.error || null
     });
@@ -396,8 +383,7 @@ router.get('/health', async (req, res) => {
     res.status(500).json({
       success: false,
       status: 'unhealthy',
-      error: error.message,
-      service: 'Z.ai GLM-4.6'
+      error: error.message
     });
   }
 });
@@ -407,10 +393,12 @@ router.get('/health', async (req, res) => {
  * Get available models and capabilities
  */
 router.get('/models', (req, res) => {
+  const providers = aiRouter.getStatus();
   res.json({
     success: true,
+    providers,
     models: {
-      primary: 'glm-4.6',
+      primary: providers.length > 0 ? providers[0].model : null,
       capabilities: [
         'text_generation',
         'travel_planning',
@@ -0,0 +1,64 @@
+/**
+ * Analytics Routes for Maya Trips
+ * Event ingestion from the web and mini app clients, and aggregates for the
+ * analytics dashboard (admin key required)
+ */
+
+const express = require('express');
+const { analyticsService } = require('../src/analytics/analyticsService');
+const { EVENT_SCHEMAS } = require('../src/analytics/eventSchemas');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const { analyticsLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// Record one event, or a batch as { events: [...] }
+router.post('/events', analyticsLimiter, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const events = Array.isArray(body.events) ? body.events : [body];
+    const result = await analyticsService.ingest(events, { userAgent: req.get('user-agent') });
+
+    if (result.accepted === 0) {
+      return res.status(400).json({ success: false, error: 'No valid events', rejected: result.rejected });
+    }
+    res.status(202).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to record events');
+  }
+});
+
+// Event types and their properties, for client developers
+router.get('/schemas', (req, res) => {
+  res.json({ success: true, schemas: EVENT_SCHEMAS });
+});
+
+// Events and active users per day (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/summary', requireAdminKey, async (req, res) => {
+  try {
+    const summary = await analyticsService.getSummary({ from: req.query.from, to: req.query.to });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to load analytics summary');
+  }
+});
+
+// Offer view → selection → booking funnel (?from=&to=)
+router.get('/funnel', requireAdminKey, async (req, res) => {
+  try {
+    const funnel = await analyticsService.getOfferFunnel({ from: req.query.from, to: req.query.to });
+    res.json({ success: true, ...funnel });
+  } catch (error) {
+    sendError(res, error, 'Failed to load offer funnel');
+  }
+});
+
+module.exports = router;
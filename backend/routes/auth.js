@@ -0,0 +1,80 @@
+/**
+ * Auth Routes for Maya Trips
+ * Session refresh and sign-out for mini app sessions, and the caller's identity
+ * for any accepted token (mini app or Supabase web session).
+ */
+
+const express = require('express');
+const { authService } = require('../src/auth/authService');
+const { requireUser } = require('../middleware/auth');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const { authLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'Refresh token is required' });
+    }
+
+    const tokens = await authService.refresh(refreshToken);
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh session');
+  }
+});
+
+// The signed-in user
+router.get('/me', requireUser, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// Sign out of the current session
+router.post('/logout', requireUser, async (req, res) => {
+  try {
+    const revoked = req.user.sessionId ? await authService.revokeSession(req.user.sessionId) : 0;
+    res.json({ success: true, revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign out');
+  }
+});
+
+// Sign out of every session of the signed-in user
+router.post('/logout-all', requireUser, async (req, res) => {
+  try {
+    const revoked = await authService.revokeAllSessions(req.user.id);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign out');
+  }
+});
+
+// Revoke a user's sessions, or one session (admin key required)
+router.post('/revoke', requireAdminKey, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.body || {};
+    if (!userId && !sessionId) {
+      return res.status(400).json({ success: false, error: 'userId or sessionId is required' });
+    }
+
+    const revoked = sessionId
+      ? await authService.revokeSession(sessionId, 'admin')
+      : await authService.revokeAllSessions(userId, 'admin');
+    res.json({ success: true, revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke sessions');
+  }
+});
+
+module.exports = router;
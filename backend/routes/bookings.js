@@ -0,0 +1,192 @@
+/**
+ * Booking Routes for Maya Trips
+ * Holds, confirmation, changes and cancellation of bookings.
+ * Mini app users act on their own bookings (Bearer token, see middleware/auth.js);
+ * requests with the admin key can act for any customer.
+ */
+
+const express = require('express');
+const { bookingService } = require('../src/bookings/bookingService');
+const { hasAdminKey, requireAdminKey } = require('../middleware/adminAuth');
+const { requireTelegramUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape a booking for API responses
+function serializeBooking(booking) {
+  return {
+    id: booking.id,
+    reference: booking.booking_reference,
+    status: bookingService.isHoldExpired(booking) ? 'expired' : booking.status,
+    payment_status: booking.payment_status,
+    payment_id: booking.payment_id || null,
+    offer_id: booking.offer_id || null,
+    destination: booking.destination,
+    start_date: booking.start_date,
+    end_date: booking.end_date,
+    travelers: Number(booking.travelers || 1),
+    total_price: Number(booking.total_price),
+    currency: booking.currency,
+    channel: booking.channel || null,
+    hold_expires_at: booking.hold_expires_at || null,
+    notes: booking.notes || null,
+    created_at: booking.created_at,
+    updated_at: booking.updated_at
+  };
+}
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// Admin key or mini app token
+function authenticate(req, res, next) {
+  if (hasAdminKey(req)) {
+    req.isAdmin = true;
+    return next();
+  }
+  return requireTelegramUser(req, res, next);
+}
+
+// Bookings made on any channel linked to the caller's profile are theirs
+function ownsBooking(user, booking) {
+  return Number(booking.telegram_id) === user.telegramId ||
+    (Boolean(user.whatsappPhone) && booking.whatsapp_phone === user.whatsappPhone);
+}
+
+// Load the booking in :id, hiding other customers' bookings
+async function loadBooking(req, res, next) {
+  try {
+    const booking = await bookingService.getBooking(req.params.id);
+    if (!booking || (!req.isAdmin && !ownsBooking(req.user, booking))) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+    req.booking = booking;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to load booking');
+  }
+}
+
+// Release inventory held by unpaid bookings past their hold time (for cron jobs)
+router.post('/expire-holds', requireAdminKey, async (req, res) => {
+  try {
+    const expired = await bookingService.expireHolds({ limit: Math.min(Number(req.body.limit) || 100, 500) });
+    res.json({ success: true, expired: expired.length, booking_ids: expired });
+  } catch (error) {
+    sendError(res, error, 'Failed to expire holds');
+  }
+});
+
+router.use(authenticate);
+
+// List the caller's bookings
+router.get('/', async (req, res) => {
+  try {
+    const owner = req.isAdmin
+      ? { telegramId: req.query.telegramId || null, whatsappPhone: req.query.whatsappPhone || null }
+      : { telegramId: req.telegramId, whatsappPhone: req.user.whatsappPhone };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const bookings = await bookingService.listBookings({ ...owner, status: req.query.status || null, limit, offset });
+
+    res.json({
+      success: true,
+      bookings: bookings.map(serializeBooking),
+      pagination: { limit, offset }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list bookings');
+  }
+});
+
+// Hold a booking until it is paid
+router.post('/', async (req, res) => {
+  try {
+    const { offerId, startDate, endDate, travelers, notes } = req.body;
+    const params = { offerId, startDate, endDate, travelers, notes };
+
+    if (req.isAdmin) {
+      const { telegramId, whatsappPhone, channel, destination, totalPrice, currency } = req.body;
+      Object.assign(params, { telegramId, whatsappPhone, channel: channel || 'web', destination, totalPrice, currency });
+    } else {
+      if (!offerId) {
+        return res.status(400).json({ success: false, error: 'Offer ID is required' });
+      }
+      Object.assign(params, { telegramId: req.telegramId, channel: 'miniapp' });
+    }
+
+    const booking = await bookingService.hold(params);
+
+    res.status(201).json({
+      success: true,
+      booking: serializeBooking(booking),
+      message: 'Booking held until payment'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create booking');
+  }
+});
+
+router.get('/:id', loadBooking, (req, res) => {
+  res.json({ success: true, booking: serializeBooking(req.booking) });
+});
+
+// Change dates, travelers or notes of an unpaid booking
+router.patch('/:id', loadBooking, async (req, res) => {
+  try {
+    const { startDate, endDate, travelers, notes } = req.body;
+    const booking = await bookingService.modify(req.booking.id, { startDate, endDate, travelers, notes });
+
+    res.json({ success: true, booking: serializeBooking(booking) });
+  } catch (error) {
+    sendError(res, error, 'Failed to modify booking');
+  }
+});
+
+// Confirm with a completed payment (e.g. after returning from a checkout page)
+router.post('/:id/confirm', loadBooking, async (req, res) => {
+  try {
+    const { paymentId } = req.body;
+    if (!paymentId) {
+      return res.status(400).json({ success: false, error: 'Payment ID is required' });
+    }
+
+    const booking = await bookingService.confirm(req.booking.id, { paymentId });
+    res.json({ success: true, booking: serializeBooking(booking), message: 'Booking confirmed' });
+  } catch (error) {
+    sendError(res, error, 'Failed to confirm booking');
+  }
+});
+
+// Cancel a booking; refunding a paid booking is for the support team
+router.post('/:id/cancel', loadBooking, async (req, res) => {
+  try {
+    const { reason, refund = false } = req.body;
+    if (refund && !req.isAdmin) {
+      return res.status(403).json({ success: false, error: 'Refunds must be requested from support' });
+    }
+
+    const result = await bookingService.cancel(req.booking.id, {
+      reason: reason || 'customer_request',
+      refund: Boolean(refund),
+      requestedBy: req.isAdmin ? req.body.requestedBy || 'admin' : `telegram:${req.telegramId}`
+    });
+
+    res.json({
+      success: true,
+      booking: serializeBooking(result.booking),
+      refund: result.refund,
+      message: 'Booking cancelled'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel booking');
+  }
+});
+
+module.exports = router;
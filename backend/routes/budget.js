@@ -0,0 +1,92 @@
+/**
+ * Budget Routes for Maya Trips
+ * Expenses logged against the caller's trips and budget summaries, scoped to the
+ * caller (Bearer token, see middleware/auth.js).
+ */
+
+const express = require('express');
+const { budgetService } = require('../src/budget/budgetService');
+const { requireTelegramUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape an expense for API responses
+function serializeExpense(expense) {
+  return {
+    id: expense.id,
+    trip_id: expense.trip_id,
+    category: expense.category,
+    amount: Number(expense.amount),
+    currency: expense.currency,
+    description: expense.description,
+    date: expense.date,
+    created_at: expense.created_at
+  };
+}
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+router.use(requireTelegramUser);
+
+// Budget summary (?tripId=&currency=) — per trip, plus combined totals in `currency`
+router.get('/summary', async (req, res) => {
+  try {
+    const summary = await budgetService.getSummary({
+      telegramId: req.telegramId,
+      tripId: req.query.tripId || null,
+      currency: req.query.currency || 'USD'
+    });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to load budget summary');
+  }
+});
+
+// List the caller's expenses (?tripId=&limit=&offset=)
+router.get('/expenses', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { expenses, total } = await budgetService.listExpenses({
+      telegramId: req.telegramId,
+      tripId: req.query.tripId || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      expenses: expenses.map(serializeExpense),
+      pagination: { limit, offset, total, has_more: offset + expenses.length < total }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list expenses');
+  }
+});
+
+router.post('/expenses', async (req, res) => {
+  try {
+    const { expense, summary, alerts } = await budgetService.addExpense(req.telegramId, req.body);
+    res.status(201).json({ success: true, expense: serializeExpense(expense), summary, alerts });
+  } catch (error) {
+    sendError(res, error, 'Failed to add expense');
+  }
+});
+
+router.delete('/expenses/:id', async (req, res) => {
+  try {
+    const expense = await budgetService.deleteExpense(req.params.id, req.telegramId);
+    res.json({ success: true, expense: serializeExpense(expense), message: 'Expense deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete expense');
+  }
+});
+
+module.exports = router;
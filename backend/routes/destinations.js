@@ -0,0 +1,78 @@
+/**
+ * Destination Routes for Maya Trips
+ * Public, read-only access to the destinations catalog
+ */
+
+const express = require('express');
+const { destinationService } = require('../src/destinations/destinationService');
+
+const router = express.Router();
+
+// Shape a destination for API responses
+function serializeDestination(destination) {
+  return {
+    id: destination.id,
+    slug: destination.slug,
+    name: destination.name,
+    country: destination.country,
+    region: destination.region || null,
+    image_url: destination.image_url || null,
+    rating: Number(destination.rating) || 0,
+    price_range: destination.price_range,
+    best_time: destination.best_time,
+    best_months: destination.best_months || [],
+    description: destination.description,
+    halal_friendly: Boolean(destination.halal_friendly),
+    tags: destination.tags || []
+  };
+}
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// ?q=&region=&price_range=$,$$&month=&halal_friendly=true&sort=rating|name|price&limit=&offset=
+async function searchDestinations(req, res) {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { destinations, total } = await destinationService.search({
+      q: req.query.q || '',
+      region: req.query.region || null,
+      priceRange: req.query.price_range || null,
+      month: req.query.month || null,
+      halalFriendly: req.query.halal_friendly === 'true',
+      sort: req.query.sort || 'rating',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      destinations: destinations.map(serializeDestination),
+      pagination: { limit, offset, total, has_more: offset + destinations.length < total }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to search destinations');
+  }
+}
+
+router.get('/', searchDestinations);
+router.get('/search', searchDestinations);
+
+// One destination by ID or slug
+router.get('/:id', async (req, res) => {
+  try {
+    const destination = await destinationService.getDestination(req.params.id);
+    res.json({ success: true, destination: serializeDestination(destination) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load destination');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * MCP Routes for Maya Trips
+ * Model Context Protocol over HTTP: one JSON-RPC message per POST, answered as JSON.
+ * Clients send MCP_API_KEY as `Authorization: Bearer <key>`; without a key the endpoint is off.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { mcpServer } = require('../src/mcp/mcpServer');
+
+const router = express.Router();
+
+const requireMcpKey = (req, res, next) => {
+  const expected = process.env.MCP_API_KEY;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'MCP API is not configured'
+    });
+  }
+
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const secret = Buffer.from(expected);
+  if (provided.length !== secret.length || !crypto.timingSafeEqual(provided, secret)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid MCP API key'
+    });
+  }
+
+  next();
+};
+
+/**
+ * POST /api/mcp
+ * JSON-RPC request → 200 with the response; notification → 202 with no body
+ */
+router.post('/', requireMcpKey, async (req, res) => {
+  const response = await mcpServer.handleMessage(req.body);
+  if (!response) {
+    return res.status(202).end();
+  }
+  res.json(response);
+});
+
+// No server-initiated stream: clients must POST
+router.get('/', (req, res) => {
+  res.set('Allow', 'POST').status(405).json({
+    success: false,
+    error: 'Method not allowed'
+  });
+});
+
+module.exports = router;
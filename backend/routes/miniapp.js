@@ -4,19 +4,16 @@
  * @module routes/miniapp
  * @requires express
  * @requires crypto
- * @requires jsonwebtoken
- * @requires @supabase/supabase-js
  */
 
 const express = require('express');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
-const { createClient } = require('@supabase/supabase-js');
+const { identityService } = require('../src/auth/identityService');
+const { authService } = require('../src/auth/authService');
+const { requireUser } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
 const router = express.Router();
 
-// Supabase service client (service role)
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-
 /**
  * Verify Telegram WebApp initData signature
  * @description Validates the authenticity of data received from Telegram WebApp
@@ -86,7 +83,7 @@ class MiniAppService {
    */
   static async sendPaymentLink(amount, description, chatId) {
     try {
-      const PaymentService = require('./payment');
+      const PaymentService = require('../src/payments/paymentService');
       
       // Create payment link
       const paymentResult = await PaymentService.createStripePayment(amount, 'USD', description);
@@ -213,8 +210,8 @@ class MiniAppService {
   }
 }
 
-// Telegram WebApp auth via initData
-router.post('/auth/telegram', async (req, res) => {
+// Telegram WebApp auth via initData: opens a session (access token + refresh token)
+router.post('/auth/telegram', authLimiter, async (req, res) => {
   try {
     const { initData } = req.body;
     const user = verifyTelegramInitData(initData, process.env.TELEGRAM_BOT_TOKEN);
@@ -222,30 +219,34 @@ router.post('/auth/telegram', async (req, res) => {
       return res.status(401).json({ error: 'Invalid Telegram data' });
     }
 
-    const { id, username, photo_url } = user;
-
-    // Upsert profile
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .upsert({ telegram_id: id, username, avatar_url: photo_url })
-      .select()
-      .single();
-
-    if (error) return res.status(500).json({ error: error.message });
+    const identity = await identityService.resolveTelegramUser(user);
+    const session = await authService.createSession(identity, { userAgent: req.get('user-agent') });
 
-    // Issue short-lived JWT with sub = telegram_id for RLS
-    const token = jwt.sign(
-      { sub: String(id) },
-      process.env.JWT_SECRET || 'dev_jwt_secret',
-      { expiresIn: '1h' }
-    );
-
-    res.json({ token, profile });
+    res.json({ ...session, profile: identity });
   } catch (e) {
     res.status(500).json({ error: 'Internal server error', message: e.message });
   }
 });
 
+// Everything below acts for the signed-in user
+router.use(['/send-message', '/send-payment-link', '/share-trip', '/user-trips', '/sync-user', '/send-notification'], requireUser);
+
+/**
+ * Chat to deliver to: the caller's own Telegram chat. A different chat_id is refused.
+ * @returns {number|null} null after answering with an error
+ */
+function resolveChatId(req, res, chatId) {
+  if (!req.telegramId) {
+    res.status(403).json({ success: false, error: 'This feature needs a Telegram account' });
+    return null;
+  }
+  if (chatId !== undefined && chatId !== null && Number(chatId) !== req.telegramId) {
+    res.status(403).json({ success: false, error: 'Messages can only be sent to your own chat' });
+    return null;
+  }
+  return req.telegramId;
+}
+
 // Send message to user
 router.post('/send-message', async (req, res) => {
   try {
@@ -258,7 +259,10 @@ router.post('/send-message', async (req, res) => {
       });
     }
 
-    const result = await MiniAppService.sendMessage(message, chat_id);
+    const chatId = resolveChatId(req, res, chat_id);
+    if (chatId === null) return;
+
+    const result = await MiniAppService.sendMessage(message, chatId);
     
     if (result.success) {
       res.json({
@@ -292,7 +296,10 @@ router.post('/send-payment-link', async (req, res) => {
       });
     }
 
-    const result = await MiniAppService.sendPaymentLink(amount, description, chat_id);
+    const chatId = resolveChatId(req, res, chat_id);
+    if (chatId === null) return;
+
+    const result = await MiniAppService.sendPaymentLink(amount, description, chatId);
     
     if (result.success) {
       res.json({
@@ -327,7 +334,10 @@ router.post('/share-trip', async (req, res) => {
       });
     }
 
-    const result = await MiniAppService.shareTrip(trip, chat_id);
+    const chatId = resolveChatId(req, res, chat_id);
+    if (chatId === null) return;
+
+    const result = await MiniAppService.shareTrip(trip, chatId);
     
     if (result.success) {
       res.json({
@@ -352,9 +362,7 @@ router.post('/share-trip', async (req, res) => {
 // Get user trips
 router.get('/user-trips', async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    const result = await MiniAppService.getUserTrips(user_id);
+    const result = await MiniAppService.getUserTrips(req.user.id);
     
     if (result.success) {
       res.json({
@@ -379,7 +387,7 @@ router.get('/user-trips', async (req, res) => {
 // Sync user data
 router.post('/sync-user', async (req, res) => {
   try {
-    const userData = req.body;
+    const userData = { ...req.body, user_id: req.user.id };
     
     const result = await MiniAppService.syncUserData(userData);
     
@@ -440,7 +448,10 @@ router.post('/send-notification', async (req, res) => {
       });
     }
 
-    const result = await MiniAppService.sendNotification(message, type, chat_id);
+    const chatId = resolveChatId(req, res, chat_id);
+    if (chatId === null) return;
+
+    const result = await MiniAppService.sendNotification(message, type, chatId);
     
     if (result.success) {
       res.json({
@@ -1,103 +1,39 @@
 const express = require('express');
 const router = express.Router();
 
-// Payment service integration
-class PaymentService {
-  // Stripe integration with payment links
-  static async createStripePayment(amount, currency = 'USD', description = 'Maya Trips Payment') {
-    try {
-      // Create Stripe payment link using MCP tool
-      const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-      
-      // Create a price for the payment
-      const price = await stripe.prices.create({
-        unit_amount: Math.round(amount * 100), // Convert to cents
-        currency: currency.toLowerCase(),
-        product_data: {
-          name: description,
-          description: `Maya Trips - ${description}`,
-        },
-      });
-
-      // Create payment link
-      const paymentLink = await stripe.paymentLinks.create({
-        line_items: [
-          {
-            price: price.id,
-            quantity: 1,
-          },
-        ],
-        after_completion: {
-          type: 'redirect',
-          redirect: {
-            url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success`,
-          },
-        },
-        allow_promotion_codes: true,
-        billing_address_collection: 'auto',
-        payment_method_types: ['card'],
-      });
-
-      return { 
-        success: true, 
-        data: {
-          id: paymentLink.id,
-          url: paymentLink.url,
-          amount: amount,
-          currency: currency,
-          description: description,
-          status: 'created'
-        }
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
-  // PayPal integration
-  static async createPayPalPayment(amount, currency = 'USD', description = 'Maya Trips Payment') {
-    try {
-      // This would integrate with PayPal API
-      const payment = {
-        id: `PAY-${Date.now()}`,
-        amount: {
-          total: amount.toString(),
-          currency
-        },
-        description,
-        state: 'created',
-        create_time: new Date().toISOString()
-      };
-      
-      return { success: true, data: payment };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
+const PaymentService = require('../src/payments/paymentService');
+const { paymentLedger } = require('../src/payments/paymentLedger');
+const { telegramPayments } = require('../src/payments/telegramPayments');
+const { refundService } = require('../src/payments/refundService');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const { requireUserOrAdmin } = require('../middleware/auth');
+const { requireTelegramSecret } = require('../middleware/telegramSecret');
+
+// Shape a ledger record for API responses
+function serializePayment(payment) {
+  return {
+    id: payment.id,
+    provider_payment_id: payment.provider_payment_id,
+    method: payment.payment_method,
+    booking_id: payment.booking_id || null,
+    status: payment.status,
+    amount: Number(payment.amount),
+    currency: payment.currency,
+    amount_refunded: Number(payment.amount_refunded || 0),
+    description: payment.description,
+    status_history: payment.status_history || [],
+    created_at: payment.created_at,
+    updated_at: payment.updated_at
+  };
+}
 
-  // Telegram Bot payment integration
-  static async createTelegramPayment(amount, currency = 'USD', description = 'Maya Trips Payment', chatId) {
-    try {
-      // This would integrate with Telegram Bot API for payments
-      const payment = {
-        id: `tg_${Date.now()}`,
-        amount,
-        currency,
-        description,
-        chat_id: chatId,
-        status: 'pending',
-        created_at: new Date().toISOString()
-      };
-      
-      return { success: true, data: payment };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
+// Users only see their own payments; anyone else's answer like a missing one
+function canAccessPayment(req, payment) {
+  return req.isAdmin || (Boolean(req.user) && payment.profile_id === req.user.id);
 }
 
 // Create Stripe payment link
-router.post('/create-payment-link', async (req, res) => {
+router.post('/create-payment-link', requireUserOrAdmin, async (req, res) => {
   try {
     const { amount, currency, description, customerEmail } = req.body;
     
@@ -108,7 +44,7 @@ router.post('/create-payment-link', async (req, res) => {
       });
     }
 
-    const paymentResult = await PaymentService.createStripePayment(amount, currency, description);
+    const paymentResult = await PaymentService.createStripePayment(amount, currency, description, { profileId: req.user?.id || null });
     
     if (paymentResult.success) {
       res.json({
@@ -132,11 +68,12 @@ router.post('/create-payment-link', async (req, res) => {
 });
 
 // Create payment intent
-router.post('/create-payment', async (req, res) => {
+router.post('/create-payment', requireUserOrAdmin, async (req, res) => {
   try {
-    const { amount, currency, paymentMethod, description, chatId } = req.body;
+    const { amount, currency, paymentMethod, description, chatId, bookingId, whatsappPhone } = req.body;
     
-    if (!amount || amount <= 0) {
+    // Booking payments are charged the booking's stored total
+    if (!bookingId && (!amount || amount <= 0)) {
       return res.status(400).json({
         success: false,
         error: 'Amount is required and must be greater than 0'
@@ -144,17 +81,29 @@ router.post('/create-payment', async (req, res) => {
     }
 
     let paymentResult;
+    // The payment belongs to the signed-in user; WhatsApp numbers let refunds and other notices reach them there
+    const options = { bookingId, profileId: req.user?.id || null };
+    if (whatsappPhone) options.metadata = { whatsapp_phone: whatsappPhone };
     
     switch (paymentMethod) {
       case 'stripe':
-        paymentResult = await PaymentService.createStripePayment(amount, currency, description);
+        paymentResult = await PaymentService.createStripePayment(amount, currency, description, options);
         break;
       case 'paypal':
-        paymentResult = await PaymentService.createPayPalPayment(amount, currency, description);
+        paymentResult = await PaymentService.createPayPalPayment(amount, currency, description, options);
         break;
-      case 'telegram':
-        paymentResult = await PaymentService.createTelegramPayment(amount, currency, description, chatId);
+      case 'telegram': {
+        // Users can only send the invoice to their own chat
+        if (!req.isAdmin && (!req.telegramId || (chatId && Number(chatId) !== req.telegramId))) {
+          return res.status(403).json({
+            success: false,
+            error: 'Telegram invoices can only be sent to your own chat'
+          });
+        }
+        const invoiceChatId = req.isAdmin ? chatId : req.telegramId;
+        paymentResult = await PaymentService.createTelegramPayment(amount, currency, description, invoiceChatId, options);
         break;
+      }
       default:
         return res.status(400).json({
           success: false,
@@ -183,30 +132,22 @@ router.post('/create-payment', async (req, res) => {
   }
 });
 
-// Confirm payment
-router.post('/confirm-payment', async (req, res) => {
+// Get payment status
+router.get('/payment-status/:paymentId', requireUserOrAdmin, async (req, res) => {
   try {
-    const { paymentId, paymentMethod } = req.body;
+    const { paymentId } = req.params;
     
-    if (!paymentId || !paymentMethod) {
-      return res.status(400).json({
+    const payment = await paymentLedger.resolve(paymentId);
+    if (!payment || !canAccessPayment(req, payment)) {
+      return res.status(404).json({
         success: false,
-        error: 'Payment ID and method are required'
+        error: 'Payment not found'
       });
     }
 
-    // Simulate payment confirmation
-    const confirmation = {
-      id: paymentId,
-      status: 'succeeded',
-      confirmed_at: new Date().toISOString(),
-      method: paymentMethod
-    };
-
     res.json({
       success: true,
-      confirmation,
-      message: 'Payment confirmed successfully'
+      payment: serializePayment(payment)
     });
   } catch (error) {
     res.status(500).json({
@@ -217,75 +158,55 @@ router.post('/confirm-payment', async (req, res) => {
   }
 });
 
-// Get payment status
-router.get('/payment-status/:paymentId', async (req, res) => {
+// Refund a payment in full or in part (support team only)
+router.post('/refund', requireAdminKey, async (req, res) => {
   try {
-    const { paymentId } = req.params;
-    
-    // Simulate payment status check
-    const status = {
-      id: paymentId,
-      status: 'succeeded',
-      amount: 100.00,
-      currency: 'USD',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    const { paymentId, amount, reason, note, requestedBy } = req.body;
+
+    if (!paymentId || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment ID and reason are required'
+      });
+    }
+
+    if (amount !== undefined && amount !== null && (typeof amount !== 'number' || amount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a number greater than 0'
+      });
+    }
+
+    const result = await refundService.refund({ paymentId, amount, reason, note, requestedBy });
 
     res.json({
       success: true,
-      payment: status
+      refund: result.refund,
+      payment: serializePayment(result.payment),
+      notification: result.notification,
+      message: result.payment.status === 'refunded' ? 'Payment fully refunded' : 'Partial refund issued'
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Internal server error',
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Refund failed',
       message: error.message
     });
   }
 });
 
-// Telegram Bot webhook for payments
-router.post('/telegram-webhook', async (req, res) => {
+// Telegram Bot webhook for payments; only Telegram knows the webhook secret
+router.post('/telegram-webhook', requireTelegramSecret, async (req, res) => {
   try {
-    const { update } = req.body;
-    
-    if (update.pre_checkout_query) {
-      // Handle pre-checkout query
-      const { id, from, currency, total_amount } = update.pre_checkout_query;
-      
-      // Validate payment
-      const isValid = total_amount > 0 && currency === 'USD';
-      
-      if (isValid) {
-        // Approve payment
-        res.json({
-          success: true,
-          message: 'Payment approved',
-          pre_checkout_query_id: id
-        });
-      } else {
-        // Reject payment
-        res.status(400).json({
-          success: false,
-          error: 'Invalid payment amount or currency'
-        });
-      }
-    } else if (update.message && update.message.successful_payment) {
-      // Handle successful payment
-      const { successful_payment } = update.message;
-      
-      res.json({
-        success: true,
-        message: 'Payment processed successfully',
-        payment: successful_payment
-      });
-    } else {
-      res.json({
-        success: true,
-        message: 'Webhook received'
-      });
-    }
+    // Telegram posts the update itself; `{ update }` envelopes are still accepted
+    const update = req.body.update || req.body;
+
+    const result = await telegramPayments.handleUpdate(update);
+
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
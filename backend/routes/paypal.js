@@ -0,0 +1,100 @@
+const express = require('express');
+const { paypalPayments } = require('../src/payments/paypalPayments');
+const { paypalClient } = require('../src/payments/paypalClient');
+
+const router = express.Router();
+
+function frontendUrl(path, params) {
+  const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${base}${path}?${new URLSearchParams(params).toString()}`;
+}
+
+// PayPal redirects the payer here after approval (`token` is the order ID)
+router.get('/return', async (req, res) => {
+  const orderId = req.query.token;
+  if (!orderId) {
+    return res.status(400).json({ success: false, error: 'Missing PayPal order token' });
+  }
+
+  try {
+    const payment = await paypalPayments.capture(orderId);
+
+    if (payment.status === 'failed') {
+      return res.redirect(frontendUrl('/payment/cancel', { payment_id: payment.id, reason: 'declined' }));
+    }
+    res.redirect(frontendUrl('/payment/success', {
+      payment_id: payment.id,
+      amount: Number(payment.amount),
+      currency: payment.currency,
+      status: payment.status
+    }));
+  } catch (error) {
+    res.redirect(frontendUrl('/payment/cancel', { order_id: orderId, reason: 'capture_failed' }));
+  }
+});
+
+// PayPal redirects the payer here when they cancel
+router.get('/cancel', async (req, res) => {
+  const orderId = req.query.token;
+
+  try {
+    const payment = orderId ? await paypalPayments.cancel(orderId) : null;
+    res.redirect(frontendUrl('/payment/cancel', {
+      ...(payment ? { payment_id: payment.id } : {}),
+      reason: 'cancelled'
+    }));
+  } catch (error) {
+    res.redirect(frontendUrl('/payment/cancel', { reason: 'cancelled' }));
+  }
+});
+
+// Capture an approved order (for clients that handle the return themselves)
+router.post('/capture', async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    if (!orderId) {
+      return res.status(400).json({ success: false, error: 'Order ID is required' });
+    }
+
+    const payment = await paypalPayments.capture(orderId);
+    res.json({
+      success: payment.status === 'succeeded',
+      payment: {
+        id: payment.id,
+        provider_payment_id: payment.provider_payment_id,
+        status: payment.status,
+        amount: Number(payment.amount),
+        currency: payment.currency
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Failed to capture PayPal order',
+      message: error.message
+    });
+  }
+});
+
+// PayPal webhook; every delivery is verified with PayPal before it is applied
+router.post('/webhook', async (req, res) => {
+  let verified;
+  try {
+    verified = await paypalClient.verifyWebhookSignature(req.headers, req.body);
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to verify webhook', message: error.message });
+  }
+  if (!verified) {
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const outcome = await paypalPayments.handleWebhookEvent(req.body);
+    res.json({ received: true, outcome });
+  } catch (error) {
+    // A non-2xx response makes PayPal redeliver the event
+    res.status(500).json({ error: 'Failed to handle webhook', message: error.message });
+  }
+});
+
+module.exports = router;
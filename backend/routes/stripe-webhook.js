@@ -1,11 +1,12 @@
 const express = require('express');
 const Stripe = require('stripe');
-const { createClient } = require('@supabase/supabase-js');
+const { stripeWebhookProcessor } = require('../src/payments/stripeWebhookProcessor');
+const { stripeEventStore } = require('../src/payments/stripeEventStore');
+const { requireAdminKey } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2022-11-15' });
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
 // Webhook endpoint must receive raw body (configured in server.js)
 router.post('/webhook', async (req, res) => {
@@ -18,27 +19,55 @@ router.post('/webhook', async (req, res) => {
   }
 
   try {
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      await supabase
-        .from('payments')
-        .update({ status: 'completed', updated_at: new Date().toISOString() })
-        .eq('stripe_session_id', session.id);
-    }
-
-    if (event.type === 'checkout.session.async_payment_failed' || event.type === 'payment_intent.payment_failed') {
-      const session = event.data.object;
-      await supabase
-        .from('payments')
-        .update({ status: 'failed', updated_at: new Date().toISOString() })
-        .eq('stripe_session_id', session.id || session?.metadata?.stripe_session_id || null);
-    }
-
-    return res.json({ received: true });
+    const result = await stripeWebhookProcessor.process(event);
+    return res.json({ received: true, duplicate: result.duplicate, status: result.status });
   } catch (e) {
+    // A non-2xx response makes Stripe retry the delivery
     return res.status(500).json({ error: 'Failed to handle webhook', message: e.message });
   }
 });
 
-module.exports = router;
+// List stored events, optionally filtered by status (processed, ignored, failed)
+router.get('/admin/events', requireAdminKey, async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const events = await stripeEventStore.list({
+      status: status || null,
+      limit: Math.min(parseInt(limit, 10) || 50, 200)
+    });
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+});
 
+// Replay every failed event
+router.post('/admin/replay-failed', requireAdminKey, async (req, res) => {
+  try {
+    const results = await stripeWebhookProcessor.replayFailed();
+    res.json({
+      success: true,
+      replayed: results.length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+});
+
+// Replay a single failed event
+router.post('/admin/events/:eventId/replay', requireAdminKey, async (req, res) => {
+  try {
+    const result = await stripeWebhookProcessor.replay(req.params.eventId);
+    res.json({ success: true, eventId: req.params.eventId, ...result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Telegram Bot Webhook Routes for Maya Trips
+ * In webhook mode (TELEGRAM_BOT_MODE=webhook) Telegram posts every update here
+ * instead of each instance long polling, so the bot can run on several instances
+ * behind a load balancer. Telegram sends the secret registered with setWebhook in
+ * X-Telegram-Bot-Api-Secret-Token; requests without it are rejected.
+ */
+
+const express = require('express');
+const { requireTelegramSecret } = require('../middleware/telegramSecret');
+
+const router = express.Router();
+
+/**
+ * Receive an update for the bot registered as `telegramBot` on the app (server.js)
+ */
+router.post('/', requireTelegramSecret, async (req, res) => {
+  const bot = req.app.get('telegramBot');
+
+  if (!bot || bot.mode !== 'webhook') {
+    return res.status(503).json({ success: false, error: 'Telegram webhook is not enabled' });
+  }
+  if (!req.body || typeof req.body.update_id !== 'number') {
+    return res.status(400).json({ success: false, error: 'Invalid update' });
+  }
+
+  try {
+    const processed = await bot.handleWebhookUpdate(req.body);
+    res.json({ success: true, duplicate: !processed });
+  } catch (error) {
+    // A non-2xx response makes Telegram deliver the update again
+    console.error('❌ Telegram webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to handle update' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * Trip Routes for Maya Trips
+ * Trips planned in the mini app, scoped to the caller (Bearer token, see
+ * middleware/auth.js).
+ */
+
+const express = require('express');
+const { tripService } = require('../src/trips/tripService');
+const { requireTelegramUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape a trip for API responses
+function serializeTrip(trip) {
+  return {
+    id: trip.id,
+    destination: trip.destination,
+    start_date: trip.start_date,
+    end_date: trip.end_date,
+    budget: Number(trip.budget),
+    currency: trip.currency || 'USD',
+    status: trip.status,
+    travelers: trip.travelers || 1,
+    itinerary: trip.itinerary || null,
+    image_url: trip.image_url || null,
+    created_at: trip.created_at,
+    updated_at: trip.updated_at
+  };
+}
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+router.use(requireTelegramUser);
+
+// List the caller's trips (?status=planned|ongoing|completed&limit=&offset=)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { trips, total } = await tripService.listTrips({
+      telegramId: req.telegramId,
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      trips: trips.map(serializeTrip),
+      pagination: { limit, offset, total, has_more: offset + trips.length < total }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list trips');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const trip = await tripService.createTrip(req.telegramId, req.body);
+    res.status(201).json({ success: true, trip: serializeTrip(trip) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create trip');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const trip = await tripService.getTrip(req.params.id, req.telegramId);
+    res.json({ success: true, trip: serializeTrip(trip) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load trip');
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const trip = await tripService.updateTrip(req.params.id, req.telegramId, req.body);
+    res.json({ success: true, trip: serializeTrip(trip) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update trip');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const trip = await tripService.deleteTrip(req.params.id, req.telegramId);
+    res.json({ success: true, trip: serializeTrip(trip), message: 'Trip deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete trip');
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,36 @@
 /**
  * WhatsApp Webhook Routes
- * Handle incoming messages and webhook verification
+ * Handle incoming messages and webhook verification.
+ * Commands (offers, bookings, linking) are handled here; everything else goes to
+ * the conversation handler, which keeps the chat history and trip-planning state
+ * in the database. Photos, locations and PDFs go to the media handler; voice notes
+ * are transcribed and handled like text.
+ * Outgoing messages are tracked by the delivery service; admins can query their
+ * delivery status per customer (X-Admin-Key).
+ * Webhooks must be signed with the app secret (X-Hub-Signature-256) and are routed
+ * by `metadata.phone_number_id`: each business number replies from its own number,
+ * with its own persona and language.
  */
 
 const express = require('express');
 const router = express.Router();
-const WhatsAppClient = require('../src/whatsapp/whatsappClient');
-const ZaiClient = require('../src/ai/zaiClient');
-
-const whatsappClient = new WhatsAppClient();
-const zaiClient = new ZaiClient();
-
-// Store conversation history (in production, use database)
-const conversations = new Map();
+const { whatsappNumbers } = require('../src/whatsapp/numberRegistry');
+const { whatsappConversationHandler } = require('../src/whatsapp/conversationHandler');
+const { WhatsAppMediaHandler } = require('../src/whatsapp/mediaHandler');
+const PaymentService = require('../src/payments/paymentService');
+const { BookingService, bookingService } = require('../src/bookings/bookingService');
+const { identityService } = require('../src/auth/identityService');
+const { accountLinkService, LINK_CODE_TTL_MS } = require('../src/auth/accountLinkService');
+const { whatsappDelivery, MESSAGE_STATUSES } = require('../src/whatsapp/deliveryService');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const { verifyWhatsAppSignature } = require('../middleware/whatsappSignature');
+
+const whatsappMediaHandler = new WhatsAppMediaHandler({ client: whatsappNumbers.clientFor() });
+
+const UNSUPPORTED_MESSAGES = {
+  ar: 'عذراً، هذا النوع من الرسائل غير مدعوم حالياً. يمكنك إرسال نص أو رسالة صوتية أو صورة أو موقع أو ملف PDF.',
+  en: 'Sorry, this type of message is not supported yet. You can send text, a voice note, a photo, a location or a PDF.'
+};
 
 /**
  * Webhook verification (GET)
@@ -38,7 +56,7 @@ router.get('/webhook', (req, res) => {
  * Webhook endpoint (POST)
  * Receive incoming messages from WhatsApp
  */
-router.post('/webhook', async (req, res) => {
+router.post('/webhook', verifyWhatsAppSignature, async (req, res) => {
   try {
     const body = req.body;
 
@@ -56,18 +74,26 @@ router.post('/webhook', async (req, res) => {
         if (change.field !== 'messages') continue;
 
         const value = change.value;
-        
+
+        // The business number this change is for
+        const phoneNumberId = value.metadata ? value.metadata.phone_number_id : null;
+        const number = whatsappNumbers.resolve(phoneNumberId);
+        if (!number) {
+          console.warn(`⚠️ WhatsApp webhook for unknown number ${phoneNumberId} ignored`);
+          continue;
+        }
+
         // Handle messages
         if (value.messages) {
           for (const message of value.messages) {
-            await handleIncomingMessage(message, value.metadata);
+            await handleIncomingMessage(message, number, value.contacts);
           }
         }
 
         // Handle message status updates
         if (value.statuses) {
           for (const status of value.statuses) {
-            handleMessageStatus(status);
+            await handleMessageStatus(status);
           }
         }
       }
@@ -81,90 +107,133 @@ router.post('/webhook', async (req, res) => {
 /**
  * Handle incoming message
  */
-async function handleIncomingMessage(message, metadata) {
+async function handleIncomingMessage(message, number, contacts = []) {
   try {
+    const client = whatsappNumbers.clientFor(number.phoneNumberId);
+    const language = number.language;
     const from = message.from;
+    const contact = contacts.find(c => c.wa_id === from);
+    const name = contact && contact.profile ? contact.profile.name : null;
     const messageId = message.id;
     const timestamp = message.timestamp;
 
     console.log(`📱 WhatsApp message from ${from}`);
 
     // Mark as read
-    await whatsappClient.markAsRead(messageId);
+    await client.markAsRead(messageId);
+
+    // Free-form replies from this number are allowed for 24 hours from now
+    await whatsappDelivery.recordInbound(from, timestamp, number.phoneNumberId);
 
-    // Get message text
+    // Get message text (and the ID of the button or list row that was tapped)
     let messageText = '';
+    let replyId = null;
     
     if (message.type === 'text') {
       messageText = message.text.body;
     } else if (message.type === 'button') {
       messageText = message.button.text;
+      replyId = message.button.payload || null;
     } else if (message.type === 'interactive') {
       if (message.interactive.type === 'button_reply') {
         messageText = message.interactive.button_reply.title;
+        replyId = message.interactive.button_reply.id;
       } else if (message.interactive.type === 'list_reply') {
         messageText = message.interactive.list_reply.title;
+        replyId = message.interactive.list_reply.id;
       }
+    } else if (message.type === 'audio') {
+      // Voice notes continue as the transcribed text
+      const transcript = await whatsappMediaHandler.transcribe(message.audio, { client });
+      if (!transcript.success) {
+        await sendReply(client, from, transcript.reply);
+        return;
+      }
+      messageText = transcript.text;
+    } else if (WhatsAppMediaHandler.handles(message.type)) {
+      await sendReply(client, from, await whatsappMediaHandler.handleMessage(from, message, { name, client }));
+      return;
     } else {
       // Unsupported message type
-      await whatsappClient.sendMessage(from, 'عذراً، هذا النوع من الرسائل غير مدعوم حالياً. يرجى إرسال رسالة نصية.');
+      await client.sendMessage(from, UNSUPPORTED_MESSAGES[language] || UNSUPPORTED_MESSAGES.ar);
       return;
     }
 
     // Handle commands
     if (messageText.toLowerCase() === '/start' || messageText.toLowerCase() === 'start') {
-      await handleStartCommand(from);
+      await handleStartCommand(client, from, language);
       return;
     }
 
-    if (messageText.toLowerCase() === '/help' || messageText.toLowerCase() === 'مساعدة') {
-      await handleHelpCommand(from);
+    if (['/help', 'help', 'مساعدة'].includes(messageText.toLowerCase())) {
+      await handleHelpCommand(client, from, language);
       return;
     }
 
-    // Get conversation history
-    let history = conversations.get(from) || [];
-
-    // Prepare messages for AI
-    const aiMessages = [
-      { 
-        role: 'system', 
-        content: 'أنت مايا، مساعدة سفر ذكية ومحترفة عبر WhatsApp. تتحدثين العربية بطلاقة وتساعدين المسافرين في تخطيط رحلاتهم. كوني ودودة ومفيدة وموجزة. الرسائل عبر WhatsApp يجب أن تكون قصيرة ومباشرة.' 
-      },
-      ...history.slice(-10),
-      { role: 'user', content: messageText }
-    ];
+    // Bookings: browse offers, hold one, list or cancel bookings
+    if (replyId && replyId.startsWith('book_offer_')) {
+      await handleOfferBooking(client, from, replyId.replace('book_offer_', ''));
+      return;
+    }
 
-    // Get AI response
-    const aiResponse = await zaiClient.chatCompletion(aiMessages, {
-      maxTokens: 500,
-      temperature: 0.7
-    });
+    const command = messageText.trim().toLowerCase();
+    if (['offers', '/offers', 'عروض', 'العروض'].includes(command)) {
+      await handleOffersCommand(client, from);
+      return;
+    }
 
-    if (aiResponse.success) {
-      // Save to history
-      history.push(
-        { role: 'user', content: messageText },
-        { role: 'assistant', content: aiResponse.content }
-      );
-      conversations.set(from, history.slice(-20));
+    if (['bookings', '/bookings', 'حجوزاتي'].includes(command)) {
+      await handleBookingsCommand(client, from);
+      return;
+    }
 
-      // Send response
-      await whatsappClient.sendMessage(from, aiResponse.content);
-    } else {
-      await whatsappClient.sendMessage(from, 'عذراً، حدث خطأ في معالجة رسالتك. يرجى المحاولة مرة أخرى.');
+    const cancelMatch = messageText.match(/^(?:\/?cancel|إلغاء|الغاء)\s+(MAYA-[0-9A-F]{8})$/i);
+    if (cancelMatch) {
+      await handleBookingCancellation(client, from, cancelMatch[1]);
+      return;
+    }
+
+    // Account linking: "ربط" issues a code, "ربط CODE" redeems one from Telegram or the web
+    const linkMatch = messageText.trim().match(/^(?:\/?link|ربط)(?:\s+([A-Za-z0-9-]+))?$/i);
+    if (linkMatch) {
+      await handleLinkCommand(client, from, linkMatch[1]);
+      return;
     }
 
+    // Conversation (AI answers and the trip-planning flow)
+    await sendReply(client, from, await whatsappConversationHandler.handleMessage(from, messageText, { replyId, name, number }));
+
   } catch (error) {
     console.error('❌ Error handling message:', error);
   }
 }
 
+/**
+ * Send a handler's reply, with its buttons when it has some
+ */
+async function sendReply(client, from, reply) {
+  if (reply.buttons) {
+    await client.sendInteractive(from, reply.text, reply.buttons);
+  } else {
+    await client.sendMessage(from, reply.text);
+  }
+}
+
 /**
  * Handle /start command
  */
-async function handleStartCommand(from) {
-  const welcomeMessage = `🌍 مرحباً! أنا مايا، مساعدتك الذكية للسفر ✨
+async function handleStartCommand(client, from, language = 'ar') {
+  const welcomeMessage = language === 'en'
+    ? `🌍 Hi! I'm Maya, your smart travel assistant ✨
+
+🧠 I can help you with:
+• 📍 Planning the perfect trip
+• 💰 Budget analysis
+• 🏨 Hotel recommendations
+• 🍽️ Halal restaurants
+
+Ask me anything about travel!`
+    : `🌍 مرحباً! أنا مايا، مساعدتك الذكية للسفر ✨
 
 🧠 أنا هنا لمساعدتك في:
 • 📍 تخطيط رحلات مثالية
@@ -174,44 +243,310 @@ async function handleStartCommand(from) {
 
 اسألني أي سؤال عن السفر!`;
 
-  const buttons = [
-    { id: 'plan_trip', title: '🚀 تخطيط رحلة' },
-    { id: 'destinations', title: '🌍 وجهات مقترحة' },
-    { id: 'help', title: '❓ مساعدة' }
-  ];
+  const buttons = language === 'en'
+    ? [
+      { id: 'plan_trip', title: '🚀 Plan a trip' },
+      { id: 'destinations', title: '🌍 Destinations' },
+      { id: 'help', title: '❓ Help' }
+    ]
+    : [
+      { id: 'plan_trip', title: '🚀 تخطيط رحلة' },
+      { id: 'destinations', title: '🌍 وجهات مقترحة' },
+      { id: 'help', title: '❓ مساعدة' }
+    ];
 
-  await whatsappClient.sendInteractive(from, welcomeMessage, buttons);
+  await client.sendInteractive(from, welcomeMessage, buttons);
 }
 
 /**
  * Handle /help command
  */
-async function handleHelpCommand(from) {
-  const helpMessage = `❓ كيف يمكنني مساعدتك؟
+async function handleHelpCommand(client, from, language = 'ar') {
+  const helpMessage = language === 'en'
+    ? `❓ How can I help?
+
+You can:
+• Ask me about any destination
+• Get hotel and restaurant recommendations
+• Check the weather
+• Analyze your trip budget
+• Book one of our offers
+
+Just type your question, or send:
+🎙️ A voice note
+📷 A photo of a place and I'll tell you where it is and how to visit
+📍 Your location for nearby attractions
+📄 Your ticket or passport (PDF)
+
+Commands:
+/start - Start over
+/help - Help
+offers - Latest offers to book
+bookings - Your bookings
+/link - Link your Telegram or web account`
+    : `❓ كيف يمكنني مساعدتك؟
 
 يمكنك:
 • سؤالي عن أي وجهة سياحية
 • طلب توصيات للفنادق والمطاعم
 • الاستفسار عن الطقس
 • تحليل ميزانية رحلتك
+• حجز أحد عروضنا
 
-فقط اكتب سؤالك بشكل طبيعي!
+فقط اكتب سؤالك بشكل طبيعي، أو أرسل:
+🎙️ رسالة صوتية
+📷 صورة مكان لأخبرك أين هو وكيف تخطط لزيارته
+📍 موقعك لأقترح معالم قريبة
+📄 تذكرتك أو جواز سفرك (PDF)
 
 الأوامر المتاحة:
 /start - بداية جديدة
-/help - المساعدة`;
+/help - المساعدة
+عروض - أحدث العروض للحجز
+حجوزاتي - حجوزاتك
+ربط - ربط حسابك على تيليجرام أو الموقع`;
+
+  await client.sendMessage(from, helpMessage);
+}
+
+/**
+ * Show bookable offers as reply buttons (WhatsApp allows three)
+ */
+async function handleOffersCommand(client, from) {
+  const offers = await bookingService.listBookableOffers({ limit: 3 });
+  if (offers.length === 0) {
+    await client.sendMessage(from, 'لا توجد عروض متاحة حالياً. أخبرني بوجهتك وسأساعدك في التخطيط!');
+    return;
+  }
+
+  const lines = offers.map(offer =>
+    `🌟 ${offer.title}\n📍 ${offer.destination} - ${offer.duration_days} أيام\n💰 ${Number(offer.price)} ${offer.currency || 'SAR'} للشخص`
+  );
+  const buttons = offers.map(offer => ({ id: `book_offer_${offer.id}`, title: `احجز ${offer.destination}` }));
+
+  await client.sendInteractive(from, `✨ أحدث العروض:\n\n${lines.join('\n\n')}\n\nاختر عرضاً لحجزه:`, buttons);
+}
+
+/**
+ * Hold an offer for this number and send a payment link for it
+ */
+async function handleOfferBooking(client, from, offerId) {
+  let booking;
+  try {
+    booking = await bookingService.hold({
+      whatsappPhone: from,
+      channel: 'whatsapp',
+      offerId,
+      // Held from two weeks out; the date can be changed before paying
+      startDate: BookingService.addDays(new Date(), 14)
+    });
+  } catch (error) {
+    await client.sendMessage(from, error.statusCode === 409
+      ? '😔 عذراً، لا توجد أماكن متاحة لهذا العرض حالياً.'
+      : 'عذراً، لم أتمكن من إنشاء الحجز. يرجى المحاولة مرة أخرى.');
+    return;
+  }
+
+  const payment = await PaymentService.createStripePayment(null, null, `Maya Trips - ${booking.destination}`, {
+    bookingId: booking.id,
+    metadata: { whatsapp_phone: from }
+  });
+
+  const holdMinutes = Math.round((new Date(booking.hold_expires_at).getTime() - Date.now()) / 60000);
+  let summary = `✅ تم حجز مكانك مؤقتاً!\n\n` +
+    `رقم الحجز: ${booking.booking_reference}\n` +
+    `الوجهة: ${booking.destination}\n` +
+    `التاريخ: ${booking.start_date} → ${booking.end_date}\n` +
+    `الإجمالي: ${Number(booking.total_price)} ${booking.currency}\n\n`;
 
-  await whatsappClient.sendMessage(from, helpMessage);
+  summary += payment.success
+    ? `💳 ادفع خلال ${holdMinutes} دقيقة لتأكيد الحجز:\n${payment.data.url}`
+    : `⏳ سيبقى الحجز ${holdMinutes} دقيقة. تعذر إنشاء رابط الدفع الآن، سيتواصل معك فريقنا.`;
+  summary += `\n\nللإلغاء أرسل: إلغاء ${booking.booking_reference}`;
+
+  await client.sendMessage(from, summary);
 }
 
 /**
- * Handle message status updates
+ * List this number's recent bookings
  */
-function handleMessageStatus(status) {
-  console.log(`📊 Message ${status.id} status: ${status.status}`);
-  // You can track message delivery, read status, etc.
+async function handleBookingsCommand(client, from) {
+  // Include bookings made on a linked Telegram account
+  const identity = await identityService.resolveWhatsAppUser(from);
+  const bookings = await bookingService.listBookings({ whatsappPhone: from, telegramId: identity.telegramId, limit: 5 });
+  if (bookings.length === 0) {
+    await client.sendMessage(from, '📭 ليس لديك حجوزات بعد. أرسل "عروض" لرؤية أحدث العروض.');
+    return;
+  }
+
+  const statusLabels = {
+    pending: 'بانتظار الدفع',
+    confirmed: 'مؤكد',
+    cancelled: 'ملغى',
+    expired: 'منتهي',
+    completed: 'مكتمل'
+  };
+  const lines = bookings.map(booking => {
+    const status = bookingService.isHoldExpired(booking) ? 'expired' : booking.status;
+    return `• ${booking.booking_reference} - ${booking.destination} (${booking.start_date}) - ${statusLabels[status] || status}`;
+  });
+
+  await client.sendMessage(from, `📋 حجوزاتك:\n\n${lines.join('\n')}`);
 }
 
+/**
+ * Whether a booking belongs to this number, directly or through a linked Telegram account
+ */
+async function isOwnBooking(from, booking) {
+  if (booking.whatsapp_phone === from) return true;
+  if (!booking.telegram_id) return false;
+
+  const identity = await identityService.resolveWhatsAppUser(from);
+  return Number(booking.telegram_id) === identity.telegramId;
+}
+
+/**
+ * Cancel an unpaid booking by its reference
+ */
+async function handleBookingCancellation(client, from, reference) {
+  const booking = await bookingService.getBookingByReference(reference);
+  if (!booking || !(await isOwnBooking(from, booking))) {
+    await client.sendMessage(from, 'عذراً، لم أتمكن من العثور على هذا الحجز.');
+    return;
+  }
+
+  try {
+    await bookingService.cancel(booking.id, { reason: 'customer_request', requestedBy: `whatsapp:${from}` });
+    await client.sendMessage(from, `❌ تم إلغاء الحجز ${booking.booking_reference}.`);
+  } catch (error) {
+    await client.sendMessage(from, error.statusCode === 409
+      ? '💳 هذا الحجز مدفوع. لإلغائه واسترداد المبلغ يرجى التواصل مع الدعم.'
+      : 'عذراً، لم أتمكن من إلغاء الحجز. يرجى المحاولة مرة أخرى.');
+  }
+}
+
+/**
+ * Issue a link code, or redeem one issued on Telegram or the web
+ */
+async function handleLinkCommand(client, from, code) {
+  try {
+    const identity = await identityService.resolveWhatsAppUser(from);
+
+    if (!code) {
+      const issued = await accountLinkService.issueCode(identity.id, 'whatsapp');
+      const minutes = Math.round(LINK_CODE_TTL_MS / 60000);
+      await client.sendMessage(from,
+        `🔗 رمز الربط: ${issued.code}\n\n` +
+        `أرسل "/link ${issued.code}" إلى بوت مايا على تيليجرام، أو أدخله في صفحة الحساب على الموقع، خلال ${minutes} دقائق.\n` +
+        'سيتم دمج محادثاتك وتفضيلاتك وحجوزاتك في حساب واحد.'
+      );
+      return;
+    }
+
+    await accountLinkService.redeemCode(code, identity.id, 'whatsapp');
+    await client.sendMessage(from, '✅ تم ربط حساباتك! أصبحت محادثاتك وتفضيلاتك وحجوزاتك في مكان واحد.');
+  } catch (error) {
+    const messages = {
+      400: '❌ رمز الربط غير صالح أو منتهي الصلاحية. أرسل "ربط" في القناة الأخرى للحصول على رمز جديد.',
+      409: '⚠️ هذه الحسابات مرتبطة بالفعل، أو أن أحدها مرتبط بحساب آخر.'
+    };
+    if (!messages[error.statusCode]) console.error('❌ Error linking accounts:', error);
+    await client.sendMessage(from, messages[error.statusCode] || 'عذراً، لم أتمكن من ربط الحسابات. يرجى المحاولة مرة أخرى.');
+  }
+}
+
+/**
+ * Handle message status updates (sent, delivered, read, failed)
+ */
+async function handleMessageStatus(status) {
+  try {
+    const message = await whatsappDelivery.recordStatus(status);
+    console.log(`📊 Message ${status.id} status: ${status.status}${message ? ` (${message.status})` : ''}`);
+  } catch (error) {
+    console.error('❌ Error recording message status:', error);
+  }
+}
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode && error.statusCode < 500 ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// Shape an outbox message for API responses
+function serializeDelivery(message) {
+  const payload = message.payload || {};
+  return {
+    id: message.id,
+    message_id: message.wa_message_id || null,
+    recipient: message.recipient,
+    type: message.message_type,
+    preview: payload.text?.body?.slice(0, 100) || payload.interactive?.body?.text?.slice(0, 100) || payload.template?.name || null,
+    status: message.status,
+    attempts: Number(message.attempts || 0),
+    template_fallback: Boolean(message.template_fallback),
+    error: message.last_error || null,
+    error_code: message.error_code ?? null,
+    next_attempt_at: message.next_attempt_at || null,
+    sent_at: message.sent_at || null,
+    delivered_at: message.delivered_at || null,
+    read_at: message.read_at || null,
+    failed_at: message.failed_at || null,
+    created_at: message.created_at
+  };
+}
+
+/**
+ * Outgoing messages, newest first (filter by phone and status)
+ */
+router.get('/messages', requireAdminKey, async (req, res) => {
+  try {
+    const { phone = null, status = null } = req.query;
+    if (status && !Object.values(MESSAGE_STATUSES).includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const messages = await whatsappDelivery.listMessages({ phone, status, limit, offset });
+    res.json({ success: true, messages: messages.map(serializeDelivery), pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'Failed to list messages');
+  }
+});
+
+/**
+ * Delivery state of one customer: session window, counts per status and recent messages
+ */
+router.get('/delivery/:phone', requireAdminKey, async (req, res) => {
+  try {
+    const summary = await whatsappDelivery.getDeliverySummary(req.params.phone);
+    res.json({
+      success: true,
+      phone: summary.phone,
+      session: summary.session,
+      counts: summary.counts,
+      messages: summary.messages.map(serializeDelivery)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load delivery status');
+  }
+});
+
+/**
+ * Resend messages whose retry time has come (for cron jobs; the server also retries on a timer)
+ */
+router.post('/retries', requireAdminKey, async (req, res) => {
+  try {
+    const result = await whatsappDelivery.processRetries({ limit: Math.min(Number(req.body.limit) || 50, 500) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to retry messages');
+  }
+});
+
 /**
  * Test endpoint
  */
@@ -226,7 +561,7 @@ router.post('/test', async (req, res) => {
       });
     }
 
-    const result = await whatsappClient.sendMessage(to, message);
+    const result = await whatsappNumbers.clientFor().sendMessage(to, message);
     res.json(result);
 
   } catch (error) {
@@ -241,7 +576,7 @@ router.post('/test', async (req, res) => {
  * Health check
  */
 router.get('/health', async (req, res) => {
-  const health = await whatsappClient.healthCheck();
+  const health = await whatsappNumbers.clientFor().healthCheck();
   res.json(health);
 });
 
@@ -14,10 +14,16 @@ const {
   generalLimiter,
   aiLimiter,
   paymentLimiter,
-  webhookLimiter,
-  analyticsLimiter
+  webhookLimiter
 } = require('./middleware/rateLimiter');
 
+const { bookingService } = require('./src/bookings/bookingService');
+const { whatsappDelivery } = require('./src/whatsapp/deliveryService');
+const { destinationService } = require('./src/destinations/destinationService');
+const { readCatalogFile, DEFAULT_CATALOG_PATH } = require('./src/destinations/catalogFile');
+const { isSupabaseConfigured } = require('./database/client');
+const { captureRawBody } = require('./middleware/whatsappSignature');
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -30,6 +36,8 @@ app.use(cors({
 
 // Stripe webhook requires raw body; mount raw parser just for that route
 app.use('/api/payment/webhook', bodyParser.raw({ type: 'application/json' }));
+// WhatsApp webhooks are signed over the raw body; keep it next to the parsed JSON
+app.use('/api/whatsapp/webhook', express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -83,73 +91,21 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Trip routes
-app.get('/api/trips', (req, res) => {
-    res.json({
-        trips: [],
-        message: 'Trips endpoint ready'
-    });
-});
+// Session refresh, sign-out and the signed-in user
+const authRoutes = require('./routes/auth');
+app.use('/api/auth', authRoutes);
 
-// AI Assistant routes
-app.post('/api/ai/chat', (req, res) => {
-    const { message } = req.body;
-    
-    // Placeholder AI response
-    res.json({
-        response: `مرحباً! أنا Maya، مساعد السفر الذكي الخاص بك. سأساعدك في تخطيط رحلتك المثالية. ${message}`,
-        timestamp: new Date().toISOString()
-    });
-});
+// Linking Telegram, WhatsApp and web accounts
+const accountRoutes = require('./routes/account');
+app.use('/api/account', accountRoutes);
 
-// Destinations routes
-app.get('/api/destinations', (req, res) => {
-    res.json({
-        destinations: [
-            {
-                id: 1,
-                name: 'Tokyo',
-                country: 'Japan',
-                image: 'https://images.unsplash.com/photo-1540959733332-eab4deabeeaf?w=400',
-                rating: 4.8,
-                priceRange: '$$$',
-                bestTime: 'Mar-May, Sep-Nov'
-            },
-            {
-                id: 2,
-                name: 'Paris',
-                country: 'France',
-                image: 'https://images.unsplash.com/photo-1502602898536-47ad22581b52?w=400',
-                rating: 4.9,
-                priceRange: '$$$$',
-                bestTime: 'Apr-Jun, Sep-Oct'
-            }
-        ]
-    });
-});
+// Destinations catalog (search, filters, details)
+const destinationRoutes = require('./routes/destinations');
+app.use('/api/destinations', destinationRoutes);
 
-// Analytics ingestion (in-memory demo) with rate limiting
-const analyticsEvents = [];
-app.post('/api/analytics/events', analyticsLimiter, (req, res) => {
-    const { type, userId, payload } = req.body || {};
-    analyticsEvents.push({
-        type: type || 'unknown',
-        userId: userId || null,
-        payload: payload || {},
-        ts: Date.now(),
-        ua: req.headers['user-agent'] || ''
-    });
-    res.json({ success: true });
-});
-
-app.get('/api/analytics/summary', (req, res) => {
-    const byType = analyticsEvents.reduce((acc, ev) => {
-        acc[ev.type] = (acc[ev.type] || 0) + 1;
-        return acc;
-    }, {});
-    const total = analyticsEvents.length;
-    res.json({ total, byType, last10: analyticsEvents.slice(-10).reverse() });
-});
+// Analytics ingestion and dashboard aggregates (ingestion is rate limited)
+const analyticsRoutes = require('./routes/analytics');
+app.use('/api/analytics', analyticsRoutes);
 
 // Payment routes with rate limiting
 const paymentRoutes = require('./routes/payment');
@@ -159,6 +115,26 @@ app.use('/api/payment', paymentLimiter, paymentRoutes);
 const stripeWebhook = require('./routes/stripe-webhook');
 app.use('/api/payment/webhook', webhookLimiter, stripeWebhook);
 
+// PayPal checkout return/cancel and webhook routes
+const paypalRoutes = require('./routes/paypal');
+app.use('/api/payment/paypal', paypalRoutes);
+
+// Booking routes (holds, confirmation, cancellation)
+const bookingRoutes = require('./routes/bookings');
+app.use('/api/bookings', bookingRoutes);
+
+// Trip routes (mini app users' own trips)
+const tripRoutes = require('./routes/trips');
+app.use('/api/trips', tripRoutes);
+
+// Budget routes (expenses and summaries for mini app users' trips)
+const budgetRoutes = require('./routes/budget');
+app.use('/api/budget', budgetRoutes);
+
+// Telegram bot webhook (TELEGRAM_BOT_MODE=webhook); mounted before the mini app routes under /api/telegram
+const telegramWebhookRoutes = require('./routes/telegram-webhook');
+app.use('/api/telegram/webhook', webhookLimiter, telegramWebhookRoutes);
+
 // Mini App routes
 const miniappRoutes = require('./routes/miniapp');
 app.use('/api/telegram', miniappRoutes);
@@ -167,13 +143,19 @@ app.use('/api/telegram', miniappRoutes);
 const aiRoutes = require('./routes/ai');
 app.use('/api/ai', aiLimiter, aiRoutes);
 
+// MCP server (travel tools for external MCP clients) with AI rate limiting
+const mcpRoutes = require('./routes/mcp');
+app.use('/api/mcp', aiLimiter, mcpRoutes);
+
 // WhatsApp routes with webhook rate limiting
 const whatsappRoutes = require('./routes/whatsapp');
 app.use('/api/whatsapp', webhookLimiter, whatsappRoutes);
 
 // Advanced Telegram Bot (only start if token is provided)
 if (process.env.TELEGRAM_BOT_TOKEN) {
-  const advancedTelegramBot = require('./advanced-telegram-bot');
+  const AdvancedTelegramBot = require('./advanced-telegram-bot');
+  // The webhook route hands updates to this instance
+  app.set('telegramBot', new AdvancedTelegramBot());
   console.log('🤖 Advanced Maya Telegram Bot integration enabled');
   console.log('🧠 AI Persona: Maya - Professional Travel Agent');
   console.log('🛠️ MCP Tools: Weather, Flights, Hotels, Halal Restaurants, Prayer Times');
@@ -201,6 +183,19 @@ app.use('*', (req, res) => {
 
 // Start server
 app.listen(PORT, () => {
+    // Give the inventory of unpaid holds back once they run out
+    bookingService.startExpiryTimer();
+
+    // Resend WhatsApp messages that failed temporarily
+    whatsappDelivery.startRetryTimer();
+
+    // Without Supabase the catalog lives in memory; start it from the bundled seed file
+    if (!isSupabaseConfigured()) {
+      readCatalogFile(DEFAULT_CATALOG_PATH)
+        .then(records => destinationService.importDestinations(records))
+        .catch(error => console.error('Failed to seed destinations:', error.message));
+    }
+
     console.log(`🚀 Maya Trips server running on port ${PORT}`);
     console.log(`📱 Frontend: http://localhost:3000`);
     console.log(`🔧 Backend API: http://localhost:${PORT}`);
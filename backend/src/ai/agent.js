@@ -0,0 +1,185 @@
+/**
+ * Travel Agent Loop for Maya Travel Agent
+ * Lets the model chain tool calls: each step the model either answers or asks for one or
+ * more tools as JSON; arguments are validated against the tool schemas, results are fed
+ * back, and the loop stops at an answer or the step budget. Every call is recorded in a trace.
+ * Tools come from the shared tool registry, the same one the MCP server exposes.
+ */
+
+const { aiRouter } = require('./aiRouter');
+const { toolRegistry, validateArguments } = require('./toolRegistry');
+const { buildCulturalSystemPrompt } = require('./culture');
+
+const DEFAULT_MAX_STEPS = 5;
+const MAX_CALLS_PER_STEP = 3;
+const MAX_RESULT_CHARS = 4000;
+// Tool turns are short; the KV offload / attention hints are ignored by providers that lack them
+const COMPLETION_OPTIONS = { maxTokens: 700, enableKvCacheOffload: true, attentionImpl: 'flash-attn-3' };
+
+/**
+ * Read tool calls from a model reply. Accepts `{"tool": "...", "arguments": {...}}`,
+ * `{"tool_calls": [...]}` or an array of calls, optionally inside a ```json fence.
+ * @returns {Array<{tool: string, arguments: Object}>|null} null when the reply is an answer
+ */
+function parseToolCalls(content) {
+  let text = String(content || '').trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  if (fenced) text = fenced[1].trim();
+  if (!/^[[{]/.test(text)) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (_e) {
+    return null;
+  }
+
+  const calls = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.tool_calls) ? parsed.tool_calls : [parsed]);
+  const normalized = calls
+    .filter(call => call && typeof call === 'object' && (call.tool || call.name))
+    .map(call => ({ tool: String(call.tool || call.name), arguments: call.arguments ?? call.args ?? {} }));
+
+  return normalized.length > 0 ? normalized : null;
+}
+
+function truncateResult(result) {
+  const json = JSON.stringify(result);
+  return json && json.length > MAX_RESULT_CHARS ? `${json.slice(0, MAX_RESULT_CHARS)}…` : json;
+}
+
+class TravelAgent {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.ai] - AI router (or a single provider) with chatCompletion
+   * @param {ToolRegistry} [options.registry] - Tools the model may call
+   * @param {number} [options.maxSteps] - Default step budget (AGENT_MAX_STEPS)
+   */
+  constructor({ ai = aiRouter, registry = toolRegistry, maxSteps = null } = {}) {
+    this.ai = ai;
+    this.registry = registry;
+    this.maxSteps = maxSteps;
+  }
+
+  get toolSchemas() {
+    return this.registry.getSchemas();
+  }
+
+  get stepLimit() {
+    return this.maxSteps ?? (Number(process.env.AGENT_MAX_STEPS) || DEFAULT_MAX_STEPS);
+  }
+
+  buildSystemPrompt() {
+    const toolList = this.toolSchemas
+      .map(schema => `- ${schema.name}: ${schema.description}\n  arguments: ${JSON.stringify(schema.parameters || {})}`)
+      .join('\n');
+
+    return `You can look things up before answering by calling tools.
+To call tools, reply with ONLY JSON: {"tool_calls":[{"tool":"name","arguments":{...}}]} (at most ${MAX_CALLS_PER_STEP} calls).
+Tool results come back in the next message; you may then call more tools or answer.
+When you have what you need, answer the user normally in plain text, not JSON.
+Available tools:
+${toolList}`;
+  }
+
+  /**
+   * Validate and run one tool call
+   * @returns {Promise<Object>} Trace entry
+   */
+  async executeCall(call, step) {
+    const startedAt = Date.now();
+    const outcome = await this.registry.call(call.tool, call.arguments);
+    return {
+      step,
+      tool: call.tool,
+      arguments: call.arguments,
+      ...outcome,
+      duration_ms: Date.now() - startedAt
+    };
+  }
+
+  /**
+   * Answer a message, calling tools as the model asks for them
+   * @param {Object} params
+   * @param {string} params.message - User message
+   * @param {Array} [params.conversationHistory] - Previous messages
+   * @param {string} [params.region] - Cultural region for the system prompt
+   * @param {number} [params.maxSteps] - Model calls allowed, capped at the agent's limit
+   * @param {Object} [params.ai] - AI router to use for this request (e.g. with a preferred provider)
+   * @returns {Promise<Object>} `{ success, content, trace, steps, stop_reason, provider, model, error? }`
+   */
+  async run({ message, conversationHistory = [], region = 'ar', maxSteps = null, ai = null }) {
+    const model = ai || this.ai;
+    const limit = Math.max(1, Math.min(Number(maxSteps) || this.stepLimit, this.stepLimit));
+    const trace = [];
+
+    const messages = [
+      { role: 'system', content: 'You are Maya, a helpful travel assistant.' },
+      { role: 'system', content: buildCulturalSystemPrompt(region) },
+      { role: 'system', content: this.buildSystemPrompt() },
+      ...conversationHistory,
+      { role: 'user', content: message }
+    ];
+
+    let response = null;
+    for (let step = 1; step <= limit; step++) {
+      response = await model.chatCompletion(messages, COMPLETION_OPTIONS);
+      if (!response.success) {
+        return this.result(response, trace, step, 'error');
+      }
+
+      const calls = parseToolCalls(response.content);
+      if (!calls) {
+        return this.result(response, trace, step, 'answer');
+      }
+
+      const entries = [];
+      for (const call of calls.slice(0, MAX_CALLS_PER_STEP)) {
+        entries.push(await this.executeCall(call, step));
+      }
+      trace.push(...entries);
+
+      // Results go back as a user turn: the `tool` role needs native tool_call IDs on most providers
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({
+        role: 'user',
+        content: `Tool results:\n${entries.map(entry => truncateResult({
+          tool: entry.tool,
+          status: entry.status,
+          ...(entry.error ? { error: entry.error } : {}),
+          ...(entry.result !== undefined ? { result: entry.result } : {})
+        })).join('\n')}`
+      });
+    }
+
+    // Out of steps: ask for an answer from what has been gathered so far
+    messages.push({ role: 'system', content: 'Tool budget reached. Answer the user now in plain text using the results above; do not call tools.' });
+    response = await model.chatCompletion(messages, COMPLETION_OPTIONS);
+    if (response.success && parseToolCalls(response.content)) {
+      response = { ...response, content: 'عذراً، لم أتمكن من إكمال البحث. يرجى إعادة صياغة طلبك.' };
+    }
+    return this.result(response, trace, limit + 1, response.success ? 'max_steps' : 'error');
+  }
+
+  result(response, trace, steps, stopReason) {
+    return {
+      success: Boolean(response.success),
+      content: response.content,
+      error: response.success ? undefined : (response.error || 'AI service error'),
+      trace,
+      steps,
+      stop_reason: stopReason,
+      provider: response.provider || null,
+      model: response.model || null
+    };
+  }
+}
+
+// Singleton instance
+const travelAgent = new TravelAgent();
+
+module.exports = {
+  TravelAgent,
+  travelAgent,
+  validateArguments,
+  parseToolCalls
+};
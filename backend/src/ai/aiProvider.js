@@ -0,0 +1,279 @@
+/**
+ * AI Provider base class for Maya Travel Agent
+ * The travel prompts shared by every model provider. A provider only implements
+ * `chatCompletion(messages, options)`, resolving to `{ success, content, data?, error? }`.
+ */
+
+class AIProvider {
+  /**
+   * @param {string} name - Provider name used by the AI router (e.g. zai, gemini, mock)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs to be called
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Array} messages - OpenAI-style message objects
+   * @param {Object} options - temperature, maxTokens and provider-specific hints; `jsonSchema`
+   *   asks for a JSON reply (providers with a JSON mode switch it on, the schema itself
+   *   belongs in the prompt)
+   * @returns {Promise<Object>} `{ success, content, data?, error? }`
+   */
+  async chatCompletion(_messages, _options = {}) {
+    throw new Error(`${this.constructor.name} does not implement chatCompletion`);
+  }
+
+  /**
+   * Analyze visual media (image or video) with an accompanying prompt.
+   * Providers without a multimodal interface reason over the media URLs as text.
+   * @param {Object} params - Analysis parameters
+   * @param {string} params.prompt - User prompt/question
+   * @param {string[]} [params.imageUrls] - One or more image URLs (http(s) or base64 data: URLs)
+   * @param {string} [params.videoUrl] - Optional video URL
+   * @param {Object} [options] - Additional model options
+   * @returns {Promise<Object>} Analysis result
+   */
+  async analyzeMedia({ prompt, imageUrls = [], videoUrl = null }, options = {}) {
+    // Compose a robust instruction so text-only fallback is still useful
+    const systemPrompt = `You are Maya, an expert travel assistant with strong visual understanding.
+    When images or video are provided, carefully describe relevant travel context (landmarks, conditions, activities, safety, accessibility) and extract actionable trip-planning insights.
+    Be concise and practical. Prefer Arabic unless explicitly asked for English.`;
+
+    // Some providers support mixed content arrays; we send a conservative structure
+    // Inline images (data: URLs) are too large to reason over as text; they are only counted
+    const mediaDescriptionLines = [];
+    const linkedImages = imageUrls.filter(url => !url.startsWith('data:'));
+    if (linkedImages.length > 0) {
+      mediaDescriptionLines.push(`Images provided: ${linkedImages.join(', ')}`);
+    }
+    if (linkedImages.length < imageUrls.length) {
+      mediaDescriptionLines.push(`Inline images attached: ${imageUrls.length - linkedImages.length} (not viewable as text)`);
+    }
+    if (videoUrl) {
+      mediaDescriptionLines.push(`Video provided: ${videoUrl}`);
+    }
+
+    const mediaContext = mediaDescriptionLines.length > 0
+      ? `\nMedia context:\n${mediaDescriptionLines.join('\n')}`
+      : '';
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `${prompt || 'Analyze the provided media for trip planning.'}${mediaContext}` }
+    ];
+
+    return await this.chatCompletion(messages, {
+      temperature: options.temperature ?? 0.4,
+      maxTokens: options.maxTokens ?? 900,
+      enableKvCacheOffload: options.enableKvCacheOffload,
+      attentionImpl: options.attentionImpl
+    });
+  }
+
+  /**
+   * Generate travel recommendations
+   * @param {string} destination - Travel destination
+   * @param {string} budget - Budget range
+   * @param {string} duration - Trip duration
+   * @param {Array} preferences - User preferences
+   * @returns {Promise<Object>} Travel recommendations
+   */
+  async generateTravelRecommendations(destination, budget, duration, preferences = []) {
+    const systemPrompt = `You are Maya, an expert AI travel assistant specializing in Arabic and English travel planning.
+    Provide detailed, practical travel recommendations with:
+    - 3-5 must-visit attractions
+    - Local food recommendations
+    - Transportation options
+    - Budget-friendly tips
+    - Cultural insights
+    - Safety advice
+    Respond in Arabic unless specifically asked in English.`;
+
+    const userPrompt = `Plan a ${duration} trip to ${destination} with a budget of ${budget}.
+    Preferences: ${preferences.join(', ')}.
+    Provide a comprehensive travel guide with practical tips.`;
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    return await this.chatCompletion(messages, {
+      temperature: 0.8,
+      maxTokens: 1500
+    });
+  }
+
+  /**
+   * Generate budget analysis and recommendations
+   * @param {Object} tripData - Trip details
+   * @param {number} totalBudget - Total budget
+   * @param {Object} [budgetCurrency] - Currency of the budget
+   * @param {string} [budgetCurrency.currency] - ISO currency code
+   * @param {number} [budgetCurrency.usdEquivalent] - Budget converted to USD, when not in USD
+   * @returns {Promise<Object>} Budget analysis
+   */
+  async generateBudgetAnalysis(tripData, totalBudget, { currency = 'USD', usdEquivalent = null } = {}) {
+    const systemPrompt = `You are Maya, a financial travel advisor. Analyze trip costs and provide:
+    - Detailed budget breakdown
+    - Cost-saving recommendations
+    - Alternative options
+    - Emergency fund suggestions
+    - Currency exchange tips`;
+
+    const userPrompt = `Analyze this trip budget:
+    Destination: ${tripData.destination}
+    Duration: ${tripData.duration} days
+    Travelers: ${tripData.travelers} people
+    Total Budget: ${totalBudget} ${currency}${usdEquivalent !== null ? ` (≈ ${usdEquivalent} USD)` : ''}
+
+    Provide a detailed financial analysis and recommendations, quoting amounts in ${currency}.`;
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    return await this.chatCompletion(messages, {
+      temperature: 0.6,
+      maxTokens: 1200
+    });
+  }
+
+  /**
+   * Generate AI chat response for general conversation
+   * @param {string} userMessage - User's message
+   * @param {Array} conversationHistory - Previous messages
+   * @param {string} [context] - Extra system prompt section, e.g. MayaPersona.describeMessage
+   * @returns {Promise<Object>} AI response
+   */
+  async generateChatResponse(userMessage, conversationHistory = [], context = '') {
+    const systemPrompt = `You are Maya, a friendly and knowledgeable AI travel assistant.
+    You help users with:
+    - Travel planning and recommendations
+    - Budget analysis
+    - Destination information
+    - Cultural insights
+    - Travel tips and advice
+
+    Be conversational, helpful, and provide practical advice.
+    Respond in Arabic unless specifically asked in English.`;
+
+    const messages = [
+      { role: 'system', content: context ? `${systemPrompt}\n\n${context}` : systemPrompt },
+      ...conversationHistory,
+      { role: 'user', content: userMessage }
+    ];
+
+    return await this.chatCompletion(messages, {
+      temperature: 0.7,
+      maxTokens: 1000
+    });
+  }
+
+  /**
+   * Generate destination insights
+   * @param {string} destination - Destination name
+   * @param {string} travelType - Type of travel (business, leisure, adventure, etc.)
+   * @returns {Promise<Object>} Destination insights
+   */
+  async generateDestinationInsights(destination, travelType = 'leisure') {
+    const systemPrompt = `You are Maya, a travel destination expert. Provide comprehensive insights about destinations including:
+    - Best time to visit
+    - Weather conditions
+    - Cultural highlights
+    - Local customs and etiquette
+    - Transportation options
+    - Accommodation recommendations
+    - Safety considerations
+    - Hidden gems and off-the-beaten-path attractions`;
+
+    const userPrompt = `Provide detailed insights about ${destination} for ${travelType} travel.
+    Include practical information, cultural tips, and recommendations for first-time visitors.`;
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    return await this.chatCompletion(messages, {
+      temperature: 0.8,
+      maxTokens: 1800
+    });
+  }
+
+  /**
+   * Generate payment and booking recommendations
+   * @param {Object} tripDetails - Trip information
+   * @param {string} paymentMethod - Preferred payment method
+   * @returns {Promise<Object>} Payment recommendations
+   */
+  async generatePaymentRecommendations(tripDetails, paymentMethod = 'credit_card') {
+    const systemPrompt = `You are Maya, a travel financial advisor. Provide payment and booking advice including:
+    - Best payment methods for travel
+    - Currency exchange strategies
+    - Travel insurance recommendations
+    - Booking timing advice
+    - Cost-saving payment tips
+    - Security considerations`;
+
+    const userPrompt = `Provide payment and booking recommendations for:
+    Destination: ${tripDetails.destination}
+    Budget: $${tripDetails.budget}
+    Duration: ${tripDetails.duration} days
+    Preferred payment: ${paymentMethod}
+
+    Include practical tips for secure and cost-effective payments.`;
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    return await this.chatCompletion(messages, {
+      temperature: 0.6,
+      maxTokens: 1000
+    });
+  }
+
+  /**
+   * Health check with a tiny completion
+   * @returns {Promise<Object>} API status
+   */
+  async healthCheck() {
+    try {
+      const testMessages = [
+        { role: 'system', content: 'You are a helpful assistant.' },
+        { role: 'user', content: 'Hello, are you working?' }
+      ];
+
+      const response = await this.chatCompletion(testMessages, {
+        maxTokens: 50,
+        temperature: 0.1
+      });
+
+      return {
+        success: response.success,
+        status: response.success ? 'healthy' : 'unhealthy',
+        error: response.error || null
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        status: 'unhealthy',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = AIProvider;
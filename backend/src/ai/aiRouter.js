@@ -0,0 +1,259 @@
+/**
+ * AI Router for Maya Travel Agent
+ * Sends each AI request to the first healthy provider (AI_PROVIDERS order, or a provider
+ * preferred for the request) and fails over on errors or timeouts. Providers that keep
+ * failing are skipped by a circuit breaker until it resets. Results carry `provider`,
+ * the name of the provider that answered.
+ */
+
+const ZaiClient = require('./zaiClient');
+const GeminiClient = require('./geminiClient');
+const MockAIProvider = require('./mockProvider');
+const { ErrorHandler, AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const PROVIDER_FACTORIES = {
+  zai: () => new ZaiClient(),
+  gemini: () => new GeminiClient(),
+  mock: () => new MockAIProvider()
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const FALLBACK_CONTENT = 'عذراً، حدث خطأ في معالجة طلبك. يرجى المحاولة مرة أخرى.';
+
+/**
+ * Build the provider chain from a comma-separated list, skipping providers without credentials
+ * @param {string} [names] - e.g. "zai,gemini"; defaults to AI_PROVIDERS
+ */
+function createProviders(names = process.env.AI_PROVIDERS || 'zai,gemini') {
+  const providers = [];
+  for (const name of names.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      logger.warn('Unknown AI provider ignored', { provider: name });
+      continue;
+    }
+    const provider = factory();
+    if (typeof provider.isConfigured === 'function' && !provider.isConfigured()) {
+      logger.warn('AI provider not configured, skipping', { provider: name });
+      continue;
+    }
+    providers.push(provider);
+  }
+  return providers;
+}
+
+class AIRouter {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.providers] - Providers in failover order; defaults to AI_PROVIDERS
+   * @param {number} [options.timeoutMs] - Per-provider timeout (AI_PROVIDER_TIMEOUT_MS)
+   * @param {ErrorHandler} [options.breaker] - Circuit breaker state
+   */
+  constructor({ providers = null, timeoutMs = null, breaker = null } = {}) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.preferred = null;
+    this.breaker = breaker || new ErrorHandler({
+      errorThreshold: Number(process.env.AI_BREAKER_THRESHOLD) || 3,
+      timeWindow: 60000,
+      resetAfter: Number(process.env.AI_BREAKER_RESET_MS) || 60000
+    });
+  }
+
+  get providerList() {
+    if (!this.providers) {
+      this.providers = createProviders();
+    }
+    return this.providers;
+  }
+
+  get timeout() {
+    return this.timeoutMs ?? (Number(process.env.AI_PROVIDER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+  }
+
+  /**
+   * Replace the provider chain and reset circuit breakers
+   */
+  setProviders(providers) {
+    this.providers = providers;
+    this.breaker.circuitBreakers.clear();
+    this.breaker.errorCounts.clear();
+  }
+
+  isConfigured() {
+    return this.providerList.length > 0;
+  }
+
+  getProvider(name) {
+    return this.providerList.find(provider => provider.name === name) || null;
+  }
+
+  /**
+   * A router that tries the named provider first, then fails over as usual
+   * @throws {AppError} 400 for a provider that is not configured
+   */
+  prefer(name) {
+    if (!name) return this;
+    if (!this.getProvider(name)) {
+      throw new AppError(`Unknown AI provider: ${name}`, 400, true, {
+        available: this.providerList.map(provider => provider.name)
+      });
+    }
+    const view = Object.create(this);
+    view.preferred = name;
+    return view;
+  }
+
+  orderedProviders() {
+    const providers = this.providerList;
+    if (!this.preferred) return providers;
+    return [
+      ...providers.filter(provider => provider.name === this.preferred),
+      ...providers.filter(provider => provider.name !== this.preferred)
+    ];
+  }
+
+  breakerKey(name) {
+    return `AI_PROVIDER:${name}`;
+  }
+
+  isCircuitOpen(name) {
+    return this.breaker.isCircuitBreakerOpen(this.breakerKey(name));
+  }
+
+  recordFailure(name, error) {
+    const key = this.breakerKey(name);
+    this.breaker.trackError(key);
+    logger.warn('AI provider failed', { provider: name, error });
+
+    if (this.breaker.shouldTriggerCircuitBreaker(key) && !this.breaker.isCircuitBreakerOpen(key)) {
+      this.breaker.triggerCircuitBreaker(key);
+      logger.warn('AI provider circuit opened', { provider: name, reset_after_ms: this.breaker.resetAfter });
+    }
+  }
+
+  /**
+   * Call a provider method with failover
+   * @param {string} method - Provider method, e.g. chatCompletion
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} The provider result plus `provider`, `model` and `attempts`
+   */
+  async run(method, args = []) {
+    const attempts = [];
+    let lastResult = null;
+
+    for (const provider of this.orderedProviders()) {
+      if (typeof provider[method] !== 'function') continue;
+      if (this.isCircuitOpen(provider.name)) {
+        attempts.push({ provider: provider.name, success: false, skipped: 'circuit_open' });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      let error;
+      try {
+        const result = await this.breaker.withTimeout(() => provider[method](...args), this.timeout);
+        if (result && result.success !== false) {
+          attempts.push({ provider: provider.name, success: true, ms: Date.now() - startedAt });
+          return {
+            ...result,
+            provider: provider.name,
+            model: result.model || provider.model || null,
+            attempts
+          };
+        }
+        lastResult = result;
+        error = (result && result.error) || 'Provider returned no result';
+      } catch (err) {
+        error = err.message;
+      }
+
+      attempts.push({ provider: provider.name, success: false, error, ms: Date.now() - startedAt });
+      this.recordFailure(provider.name, error);
+    }
+
+    logger.error('All AI providers failed', null, { method, attempts });
+    return {
+      success: false,
+      error: attempts.length > 0 ? 'All AI providers failed' : 'No AI provider available',
+      content: (lastResult && lastResult.content) || FALLBACK_CONTENT,
+      provider: null,
+      model: null,
+      attempts
+    };
+  }
+
+  async chatCompletion(messages, options = {}) {
+    return this.run('chatCompletion', [messages, options]);
+  }
+
+  async analyzeMedia(params, options = {}) {
+    return this.run('analyzeMedia', [params, options]);
+  }
+
+  async generateTravelRecommendations(destination, budget, duration, preferences = []) {
+    return this.run('generateTravelRecommendations', [destination, budget, duration, preferences]);
+  }
+
+  async generateBudgetAnalysis(tripData, totalBudget, budgetCurrency = {}) {
+    return this.run('generateBudgetAnalysis', [tripData, totalBudget, budgetCurrency]);
+  }
+
+  async generateChatResponse(userMessage, conversationHistory = [], context = '') {
+    return this.run('generateChatResponse', [userMessage, conversationHistory, context]);
+  }
+
+  async generateDestinationInsights(destination, travelType = 'leisure') {
+    return this.run('generateDestinationInsights', [destination, travelType]);
+  }
+
+  async generatePaymentRecommendations(tripDetails, paymentMethod = 'credit_card') {
+    return this.run('generatePaymentRecommendations', [tripDetails, paymentMethod]);
+  }
+
+  /**
+   * Failover order, models and circuit state of each provider
+   */
+  getStatus() {
+    return this.orderedProviders().map(provider => ({
+      name: provider.name,
+      model: provider.model || null,
+      circuit_open: this.isCircuitOpen(provider.name)
+    }));
+  }
+
+  /**
+   * Check every provider (no failover); healthy when at least one answers
+   */
+  async healthCheck() {
+    const providers = {};
+    for (const provider of this.providerList) {
+      try {
+        const result = typeof provider.healthCheck === 'function'
+          ? await this.breaker.withTimeout(() => provider.healthCheck(), this.timeout)
+          : { success: false, status: 'unknown', error: 'Health check not supported' };
+        providers[provider.name] = { ...result, circuit_open: this.isCircuitOpen(provider.name) };
+      } catch (error) {
+        providers[provider.name] = { success: false, status: 'unhealthy', error: error.message, circuit_open: this.isCircuitOpen(provider.name) };
+      }
+    }
+
+    const success = Object.values(providers).some(result => result.success);
+    return {
+      success,
+      status: success ? 'healthy' : 'unhealthy',
+      providers,
+      error: success ? null : 'No healthy AI provider'
+    };
+  }
+}
+
+// Singleton instance
+const aiRouter = new AIRouter();
+
+module.exports = {
+  AIRouter,
+  aiRouter,
+  createProviders
+};
@@ -1,10 +1,18 @@
 /**
  * Maya AI Persona - Professional Travel Agent
  * Advanced personality system for Maya Trips AI Assistant
+ * Intent, emotion and urgency come from the NLU (./nlu)
  */
 
+const { nlu: defaultNLU } = require('./nlu');
+
 class MayaPersona {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {NLU} [options.nlu] - Message understanding
+   */
+  constructor({ nlu = defaultNLU } = {}) {
+    this.nlu = nlu;
     this.personality = {
       name: "مايا",
       title: "خبيرة السفر الشخصية",
@@ -130,6 +138,51 @@ ${current_goal ? `الهدف الحالي: ${current_goal}` : ""}
 تذكري: أنت خبيرة سفر حقيقية تريد أن تقدم أفضل تجربة سفر ممكنة!`;
   }
 
+  /**
+   * Add what the stored profile knows about the user (past trips, saved preferences)
+   * to a system prompt. Used by every channel so recommendations agree.
+   * @param {string} systemPrompt
+   * @param {Object|null} profile - Row of the profiles table
+   */
+  personalizePrompt(systemPrompt, profile) {
+    if (!profile) return systemPrompt;
+
+    let prompt = systemPrompt;
+    const travelHistory = profile.travel_history || [];
+    if (travelHistory.length > 0) {
+      const recentTrips = travelHistory.slice(-3).map(t => t.destination).join(', ');
+      prompt += `\n\nUSER HISTORY: User has previously traveled to: ${recentTrips}. Use this to make better recommendations.`;
+    }
+
+    const preferences = Object.entries(profile.preferences || {});
+    if (preferences.length > 0) {
+      const prefs = preferences
+        .map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join(', ');
+      prompt += `\nUSER PREFERENCES: ${prefs}`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * The reading of the current message (from analyzeMessage) as a system prompt section:
+   * intent, emotion, urgency, the approach to take and the details already given
+   * @param {Object} context - Result of analyzeMessage
+   */
+  describeMessage(context) {
+    let prompt = `CURRENT MESSAGE: intent ${context.intent}, emotion ${context.emotion}, urgency ${context.urgency}. Approach: ${context.suggested_approach}.`;
+
+    const details = Object.entries(context.entities || {})
+      .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    if (details.length > 0) {
+      prompt += `\nDETAILS GIVEN: ${details.join(', ')}`;
+    }
+
+    return prompt;
+  }
+
   /**
    * Build personality description string
    */
@@ -206,17 +259,27 @@ ${Object.entries(this.specializations.budget_optimization).map(([key, value]) =>
   }
 
   /**
-   * Generate contextual response based on conversation
+   * Generate contextual response based on conversation; see analyzeMessage
    */
-  generateContextualResponse(message, userContext, conversationHistory) {
-    const emotion = this.detectEmotion(message);
-    const intent = this.detectIntent(message);
-    const urgency = this.detectUrgency(message);
+  async generateContextualResponse(message, userContext = {}, conversationHistory = []) {
+    return this.analyzeMessage(message, userContext);
+  }
 
+  /**
+   * Contextual response from the NLU: the AI when it is available, the keyword rules
+   * otherwise. Also returns the confidence and the entities found in the message.
+   */
+  async analyzeMessage(message, userContext = {}) {
+    return this.contextFor(await this.nlu.analyze(message), userContext);
+  }
+
+  contextFor({ emotion, intent, urgency, confidence, entities }, userContext) {
     return {
       emotion,
       intent,
       urgency,
+      confidence,
+      entities,
       suggested_approach: this.getSuggestedApproach(emotion, intent, urgency),
       data_to_collect: this.getDataToCollect(intent, userContext),
       follow_up_questions: this.generateFollowUpQuestions(intent, userContext)
@@ -224,68 +287,25 @@ ${Object.entries(this.specializations.budget_optimization).map(([key, value]) =>
   }
 
   /**
-   * Detect emotion in user message
+   * Detect emotion in user message with the keyword rules alone, for callers that
+   * cannot wait for the AI; conversations use analyzeMessage
    */
   detectEmotion(message) {
-    const positiveWords = ['ممتاز', 'رائع', 'جميل', 'أحب', 'أريد', 'مشوق'];
-    const negativeWords = ['مشكلة', 'صعب', 'مكلف', 'لا أستطيع', 'مش عاجبني'];
-    const urgentWords = ['عاجل', 'بسرعة', 'فوراً', 'أحتاج', 'ضروري'];
-
-    const lowerMessage = message.toLowerCase();
-
-    if (urgentWords.some(word => lowerMessage.includes(word))) {
-      return 'urgent';
-    }
-    if (negativeWords.some(word => lowerMessage.includes(word))) {
-      return 'concerned';
-    }
-    if (positiveWords.some(word => lowerMessage.includes(word))) {
-      return 'excited';
-    }
-
-    return 'neutral';
+    return this.nlu.analyzeRules(message).emotion;
   }
 
   /**
-   * Detect user intent
+   * Detect user intent with the keyword rules alone
    */
   detectIntent(message) {
-    const intents = {
-      trip_planning: ['أريد رحلة', 'خطط لي', 'سفر', 'رحلة'],
-      budget_inquiry: ['ميزانية', 'تكلفة', 'سعر', 'كم يكلف'],
-      destination_info: ['معلومات', 'أخبرني عن', 'كيف', 'متى'],
-      booking_help: ['حجز', 'احجز', 'أريد أحجز'],
-      problem_solving: ['مشكلة', 'مساعدة', 'لا أعرف', 'محتاج مساعدة']
-    };
-
-    const lowerMessage = message.toLowerCase();
-    
-    for (const [intent, keywords] of Object.entries(intents)) {
-      if (keywords.some(keyword => lowerMessage.includes(keyword))) {
-        return intent;
-      }
-    }
-
-    return 'general_inquiry';
+    return this.nlu.analyzeRules(message).intent;
   }
 
   /**
-   * Detect urgency level
+   * Detect urgency level with the keyword rules alone
    */
   detectUrgency(message) {
-    const urgentIndicators = ['عاجل', 'بسرعة', 'فوراً', 'أحتاج الآن'];
-    const timeIndicators = ['غداً', 'بعد غد', 'الأسبوع', 'الشهر'];
-
-    const lowerMessage = message.toLowerCase();
-    
-    if (urgentIndicators.some(indicator => lowerMessage.includes(indicator))) {
-      return 'high';
-    }
-    if (timeIndicators.some(indicator => lowerMessage.includes(indicator))) {
-      return 'medium';
-    }
-    
-    return 'low';
+    return this.nlu.analyzeRules(message).urgency;
   }
 
   /**
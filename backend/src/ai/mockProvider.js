@@ -0,0 +1,59 @@
+/**
+ * Mock AI Provider for Maya Travel Agent
+ * Deterministic local provider for tests and offline development (AI_PROVIDERS=mock).
+ * Replies are scripted or echo the last user message; every call is recorded.
+ */
+
+const AIProvider = require('./aiProvider');
+
+class MockAIProvider extends AIProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Provider name reported by the router
+   * @param {Array} [options.responses] - Scripted replies, used in order: a string, a result
+   *   object (`{ success, content, error }`) or an Error to throw
+   * @param {Function} [options.reply] - `(messages, options) => string` for replies after the script
+   * @param {boolean} [options.fail] - Answer every call with a failed result
+   * @param {number} [options.delayMs] - Delay before answering, to exercise timeouts
+   */
+  constructor({ name = 'mock', responses = [], reply = null, fail = false, delayMs = 0 } = {}) {
+    super(name);
+    this.model = 'mock-1';
+    this.responses = [...responses];
+    this.reply = reply;
+    this.fail = fail;
+    this.delayMs = delayMs;
+    this.calls = [];
+  }
+
+  async chatCompletion(messages, options = {}) {
+    this.calls.push({ messages: [...messages], options });
+
+    if (this.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    }
+
+    if (this.fail) {
+      return { success: false, error: `${this.name} provider failure`, content: null };
+    }
+
+    if (this.responses.length > 0) {
+      const next = this.responses.shift();
+      if (next instanceof Error) throw next;
+      if (typeof next === 'string') return { success: true, content: next, data: null };
+      return { success: true, data: null, ...next };
+    }
+
+    const content = this.reply
+      ? this.reply(messages, options)
+      : `[${this.name}] ${MockAIProvider.lastUserMessage(messages)}`;
+    return { success: true, content, data: null };
+  }
+
+  static lastUserMessage(messages = []) {
+    const last = [...messages].reverse().find(message => message.role === 'user');
+    return last ? String(last.content) : '';
+  }
+}
+
+module.exports = MockAIProvider;
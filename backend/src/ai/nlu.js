@@ -0,0 +1,383 @@
+/**
+ * Message Understanding for Maya Travel Agent
+ * Reads what a traveler wants from one message: the intent and how sure we are of it,
+ * the emotion and urgency, and the trip entities (destination, dates, budget, party
+ * size, interests). The AI provider answers against a JSON schema; without an AI, or
+ * when it fails or its reply does not fit the schema, keyword rules answer instead.
+ * The rules fold Arabic spelling variants, know English and Gulf, Egyptian and
+ * Levantine wording, and do not take a refusal ("لا أريد رحلة") as a request.
+ */
+
+const { aiRouter } = require('./aiRouter');
+const { validateArguments } = require('../../utils/schemaValidator');
+const { MAX_TRIP_DAYS, MAX_TRAVELERS } = require('../trips/tripService');
+const {
+  fold,
+  wordsPattern,
+  parseDates,
+  parseBudget,
+  parseTravelers,
+  parseDestination
+} = require('../trips/slotParsers');
+const logger = require('../../utils/logger');
+
+const INTENTS = [
+  'trip_planning',
+  'budget_inquiry',
+  'destination_info',
+  'booking_help',
+  'problem_solving',
+  'greeting',
+  'general_inquiry'
+];
+const EMOTIONS = ['urgent', 'concerned', 'excited', 'neutral'];
+const URGENCY_LEVELS = ['high', 'medium', 'low'];
+
+// What the rules are worth next to the model's own confidence
+const RULE_CONFIDENCE = { matched: 0.6, supported: 0.7, fallback: 0.3 };
+
+const INTENT_WORDS = {
+  booking_help: [
+    'حجز', 'الحجز', 'حجزي', 'احجز', 'نحجز', 'تذكره', 'تذاكر', 'تذكرتي',
+    'book', 'booking', 'reservation', 'reserve', 'ticket', 'tickets'
+  ],
+  budget_inquiry: [
+    'ميزانيه', 'ميزانيتي', 'الميزانيه', 'تكلفه', 'التكلفه', 'تكاليف', 'سعر', 'اسعار', 'الاسعار',
+    'يكلف', 'تكلف', 'بتكلف', 'كم سعر', 'بكم', 'بكام', 'قديش', 'رخيص', 'ارخص', 'غالي', 'مصاريف',
+    'budget', 'cost', 'costs', 'price', 'prices', 'how much', 'cheap', 'cheapest', 'expensive', 'afford'
+  ],
+  problem_solving: [
+    'مشكله', 'مشكلتي', 'ساعدني', 'مساعده', 'ضاع', 'ضاعت', 'فاتتني', 'فاتني', 'تاخرت', 'تاخر',
+    'الغوا', 'الغيت', 'استرداد', 'استرجاع', 'شكوي',
+    'problem', 'issue', 'help me', 'lost', 'missed', 'delayed', 'refund', 'complaint', 'stuck'
+  ],
+  trip_planning: [
+    'رحله', 'رحلات', 'سفر', 'السفر', 'للسفر', 'سفره', 'اسافر', 'نسافر', 'سافر', 'خطط', 'خطه',
+    'عطله', 'اجازه', 'اجازتي', 'نروح', 'اروح', 'زياره', 'لزياره', 'ازور', 'نزور',
+    'trip', 'travel', 'travelling', 'traveling', 'vacation', 'holiday', 'plan', 'getaway', 'visit', 'go to'
+  ],
+  destination_info: [
+    'معلومات', 'اخبرني', 'احكيلي', 'قولي', 'افضل وقت', 'طقس', 'الطقس', 'الجو', 'تاشيره', 'فيزا',
+    'اماكن', 'معالم', 'امان', 'امن', 'العمله', 'اللغه',
+    'weather', 'visa', 'tell me about', 'best time', 'things to do', 'safe', 'attractions', 'currency'
+  ],
+  greeting: [
+    'مرحبا', 'السلام عليكم', 'السلام', 'اهلا', 'اهلين', 'هلا', 'صباح الخير', 'مساء الخير', 'هاي',
+    'hi', 'hello', 'hey', 'good morning', 'good evening'
+  ]
+};
+
+// Words that make a message a question without a question mark: anywhere in the
+// first two words, or (English auxiliaries) as the first word
+const QUESTION_WORDS = [
+  'كيف', 'كيفاش', 'ماذا', 'متي', 'اين', 'وين', 'فين', 'هل', 'كم', 'ليش', 'ليه', 'لماذا',
+  'ايش', 'وش', 'شو', 'ايه', 'قديش', 'بكام', 'ما هو', 'ما هي', 'ما افضل',
+  'what', 'how', 'when', 'where', 'which', 'why'
+];
+const QUESTION_OPENERS = ['is', 'are', 'can', 'could', 'do', 'does', 'should', 'will'];
+const WANT_WORDS = [
+  'اريد', 'نريد', 'ابغي', 'ابي', 'نبي', 'نبغي', 'بدي', 'بدنا', 'عايز', 'عاوز', 'عايزين', 'ودي', 'احتاج',
+  'want', 'wanna', 'need', 'like'
+];
+const NEGATION_WORDS = ['لا', 'مش', 'مو', 'مب', 'ما', 'لن', 'لست', 'ما بدي', "don't", 'dont', 'do not', 'not', 'never', 'no'];
+const DATE_WORDS = ['متي', 'تاريخ', 'موعد', 'يوم', 'ايام', 'شهر', 'اسبوع', 'when', 'date', 'dates', 'month', 'week'];
+
+const EMOTION_WORDS = {
+  urgent: ['عاجل', 'بسرعه', 'فورا', 'ضروري', 'حالا', 'طارئ', 'urgent', 'asap', 'immediately', 'emergency', 'right now'],
+  concerned: [
+    'مشكله', 'صعب', 'مكلف', 'لا استطيع', 'مش عاجبني', 'قلق', 'قلقان', 'خايف', 'خائف', 'متضايق', 'زعلان',
+    'للاسف', 'سيء', 'worried', 'afraid', 'problem', "can't", 'cannot', 'upset', 'disappointed', 'bad'
+  ],
+  excited: [
+    'ممتاز', 'رائع', 'جميل', 'احب', 'متحمس', 'متحمسه', 'مشوق', 'حلو', 'واو', 'يا سلام',
+    'excited', 'amazing', 'great', 'love', 'wonderful', 'awesome', "can't wait"
+  ]
+};
+const URGENCY_WORDS = {
+  high: [...EMOTION_WORDS.urgent, 'اليوم', 'الليله', 'today', 'tonight'],
+  medium: ['غدا', 'بكره', 'بكرا', 'بعد غد', 'الاسبوع', 'الشهر', 'tomorrow', 'this week', 'next week', 'this month']
+};
+
+// Interests in their Arabic form → other ways of saying them
+const INTERESTS = {
+  'شاطئ': ['الشاطئ', 'شاطي', 'شواطئ', 'الشواطئ', 'شواطي', 'بحر', 'البحر', 'beach', 'beaches', 'sea'],
+  'جبال': ['الجبال', 'جبل', 'mountains', 'mountain', 'hiking'],
+  'تسوق': ['التسوق', 'shopping', 'shop', 'مولات'],
+  'مغامرة': ['المغامره', 'مغامرات', 'adventure'],
+  'استرخاء': ['الاسترخاء', 'راحه', 'relax', 'relaxation', 'spa'],
+  'ثقافة': ['الثقافه', 'متاحف', 'المتاحف', 'culture', 'museums'],
+  'تاريخ': ['التاريخ', 'تاريخيه', 'اثار', 'الاثار', 'history', 'historical']
+};
+
+const pattern = words => wordsPattern(words, 'u');
+const INTENT_PATTERNS = Object.entries(INTENT_WORDS).map(([intent, words]) => [intent, pattern(words)]);
+const QUESTION_PATTERN = new RegExp(
+  `^\\s*(?:(?:\\S+\\s+)?${pattern(QUESTION_WORDS).source}|${pattern(QUESTION_OPENERS).source})`,
+  'u'
+);
+const NEGATED_REQUEST = new RegExp(
+  `${pattern(NEGATION_WORDS).source}\\s+(?:\\S+\\s+)?${pattern([...WANT_WORDS, ...INTENT_WORDS.trip_planning, ...INTENT_WORDS.booking_help]).source}`,
+  'u'
+);
+const DATE_PATTERN = pattern(DATE_WORDS);
+const EMOTION_PATTERNS = Object.entries(EMOTION_WORDS).map(([emotion, words]) => [emotion, pattern(words)]);
+const URGENCY_PATTERNS = Object.entries(URGENCY_WORDS).map(([level, words]) => [level, pattern(words)]);
+const INTEREST_PATTERNS = Object.entries(INTERESTS).map(([name, words]) => [name, new RegExp(pattern([name, ...words]).source, 'gu')]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Reply format asked of the model (and checked before its answer is used)
+const NLU_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: INTENTS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    emotion: { type: 'string', enum: EMOTIONS },
+    urgency: { type: 'string', enum: URGENCY_LEVELS },
+    entities: {
+      type: 'object',
+      properties: {
+        destination: { type: ['string', 'null'] },
+        startDate: { type: ['string', 'null'], format: 'date' },
+        endDate: { type: ['string', 'null'], format: 'date' },
+        days: { type: ['integer', 'null'] },
+        budget: {
+          type: ['object', 'null'],
+          properties: { amount: { type: 'number' }, currency: { type: ['string', 'null'] } }
+        },
+        travelers: { type: ['integer', 'null'] },
+        interests: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  required: ['intent', 'confidence', 'entities']
+};
+
+const EMPTY_ENTITIES = {
+  destination: null,
+  startDate: null,
+  endDate: null,
+  days: null,
+  budget: null,
+  travelers: null,
+  interests: []
+};
+
+/**
+ * Entities the slot parsers find in a message
+ */
+function ruleEntities(text, now) {
+  const entities = { ...EMPTY_ENTITIES, destination: parseDestination(text) };
+
+  const dates = parseDates(text, { now });
+  if (dates && !dates.error) {
+    entities.startDate = dates.startDate || null;
+    entities.endDate = dates.endDate || null;
+    entities.days = dates.nights || dates.days || null;
+  }
+  const budget = parseBudget(text);
+  if (budget && !budget.error) entities.budget = { amount: budget.amount, currency: budget.currency };
+  const travelers = parseTravelers(text);
+  if (travelers && !travelers.error) entities.travelers = travelers.travelers;
+
+  const folded = fold(text);
+  entities.interests = INTEREST_PATTERNS
+    .map(([name, regex]) => ({ name, index: folded.search(regex) }))
+    .filter(found => found.index >= 0)
+    .sort((a, b) => a.index - b.index)
+    .map(found => found.name);
+  return entities;
+}
+
+/**
+ * The intent, emotion, urgency and entities of a message from keyword rules alone
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.now] - Reference time for dates without a year
+ * @returns {Object} Analysis with `source: 'rules'` and the `signals` the rules saw
+ */
+function analyzeWithRules(text, { now = Date.now() } = {}) {
+  const message = String(text || '');
+  const folded = fold(message);
+  const entities = ruleEntities(message, now);
+
+  const signals = {
+    question: /[?؟]/.test(message) || QUESTION_PATTERN.test(folded),
+    negated: NEGATED_REQUEST.test(folded),
+    dates: Boolean(entities.startDate || entities.endDate || entities.days) || DATE_PATTERN.test(folded)
+  };
+  const matched = new Set(INTENT_PATTERNS.filter(([, regex]) => regex.test(folded)).map(([intent]) => intent));
+  signals.greeting = matched.has('greeting');
+  signals.budget = matched.has('budget_inquiry') || Boolean(entities.budget);
+
+  if (signals.negated) {
+    matched.delete('trip_planning');
+    matched.delete('booking_help');
+  }
+  // "بميزانية 5000" states a budget; it asks about one only as a question
+  if (entities.budget && !signals.question) matched.delete('budget_inquiry');
+
+  const order = signals.question
+    ? ['booking_help', 'problem_solving', 'budget_inquiry', 'destination_info', 'trip_planning']
+    : ['booking_help', 'problem_solving', 'trip_planning', 'budget_inquiry', 'destination_info'];
+  let intent = order.find(candidate => matched.has(candidate)) || null;
+  let confidence = RULE_CONFIDENCE.matched;
+
+  if (!intent && entities.destination && !signals.negated) {
+    // A place on its own: a question is about the place, anything else is where to go
+    intent = signals.question ? 'destination_info' : 'trip_planning';
+  } else if (!intent && matched.has('greeting')) {
+    intent = 'greeting';
+  } else if (!intent) {
+    intent = 'general_inquiry';
+    confidence = RULE_CONFIDENCE.fallback;
+  }
+  if (intent === 'trip_planning' && (entities.destination || entities.startDate || entities.budget)) {
+    confidence = RULE_CONFIDENCE.supported;
+  }
+
+  const emotion = (EMOTION_PATTERNS.find(([, regex]) => regex.test(folded)) || ['neutral'])[0];
+  const urgency = (URGENCY_PATTERNS.find(([, regex]) => regex.test(folded)) || ['low'])[0];
+
+  return { intent, confidence, emotion, urgency, entities, signals, source: 'rules' };
+}
+
+/**
+ * JSON object in a model reply, optionally inside a ```json fence or surrounded by text
+ */
+function parseJsonReply(content) {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const body = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  try {
+    return JSON.parse(body);
+  } catch (_e) {
+    return null;
+  }
+}
+
+const validDate = value => typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+const inRange = (value, max) => Number.isInteger(value) && value > 0 && value <= max;
+
+/**
+ * The model's entities with anything malformed dropped; known places get their Arabic name
+ */
+function cleanEntities(entities = {}) {
+  const clean = { ...EMPTY_ENTITIES };
+  if (typeof entities.destination === 'string' && entities.destination.trim()) {
+    const destination = entities.destination.trim();
+    clean.destination = parseDestination(destination) || destination;
+  }
+  if (validDate(entities.startDate)) clean.startDate = entities.startDate;
+  if (validDate(entities.endDate)) clean.endDate = entities.endDate;
+  if (inRange(entities.days, MAX_TRIP_DAYS)) clean.days = entities.days;
+  const budget = entities.budget;
+  if (budget && typeof budget.amount === 'number' && budget.amount > 0) {
+    const currency = typeof budget.currency === 'string' ? budget.currency.toUpperCase() : null;
+    clean.budget = { amount: budget.amount, currency: CURRENCY_CODE.test(currency) ? currency : null };
+  }
+  if (inRange(entities.travelers, MAX_TRAVELERS)) clean.travelers = entities.travelers;
+  if (Array.isArray(entities.interests)) {
+    clean.interests = entities.interests.filter(interest => typeof interest === 'string' && interest.trim());
+  }
+  return clean;
+}
+
+class NLU {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.ai] - AI router (or a provider) with chatCompletion; null for rules only
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ ai = aiRouter, now = () => Date.now() } = {}) {
+    this.ai = ai;
+    this.now = now;
+  }
+
+  hasAI() {
+    return Boolean(this.ai) && (typeof this.ai.isConfigured !== 'function' || this.ai.isConfigured());
+  }
+
+  /**
+   * Keyword-rule analysis, without calling the AI
+   */
+  analyzeRules(text) {
+    return analyzeWithRules(text, { now: this.now() });
+  }
+
+  /**
+   * Understand a message: the AI when there is one, the keyword rules otherwise
+   * @param {string} text
+   * @returns {Promise<{intent: string, confidence: number, emotion: string, urgency: string,
+   *   entities: Object, source: string}>} Entities the model missed are filled in from the rules
+   */
+  async analyze(text) {
+    const rules = this.analyzeRules(text);
+    if (!this.hasAI() || !String(text || '').trim()) return rules;
+
+    try {
+      const result = await this.ai.chatCompletion(this.buildMessages(text), {
+        temperature: 0,
+        maxTokens: 400,
+        jsonSchema: NLU_SCHEMA
+      });
+      const reply = result && result.success ? parseJsonReply(result.content) : null;
+      const problems = reply ? validateArguments({ parameters: NLU_SCHEMA }, reply) : ['no JSON reply'];
+      if (problems.length > 0) {
+        logger.warn('NLU reply unusable, using keyword rules', { problems, error: result && result.error });
+        return rules;
+      }
+
+      const entities = cleanEntities(reply.entities);
+      for (const [name, value] of Object.entries(rules.entities)) {
+        const missing = entities[name] === null || (Array.isArray(entities[name]) && entities[name].length === 0);
+        if (missing) entities[name] = value;
+      }
+      return {
+        intent: reply.intent,
+        confidence: Math.min(1, Math.max(0, reply.confidence)),
+        emotion: reply.emotion || rules.emotion,
+        urgency: reply.urgency || rules.urgency,
+        entities,
+        signals: rules.signals,
+        source: 'ai'
+      };
+    } catch (error) {
+      logger.warn('NLU request failed, using keyword rules', { error: error.message });
+      return rules;
+    }
+  }
+
+  buildMessages(text) {
+    const today = new Date(this.now()).toISOString().slice(0, 10);
+    return [
+      {
+        role: 'system',
+        content: `You read messages sent to Maya, a travel assistant, in Arabic (any dialect) or English.
+Reply with ONLY a JSON object matching this schema:
+${JSON.stringify(NLU_SCHEMA)}
+
+- intent: trip_planning (wants a trip planned), budget_inquiry (asks about costs), destination_info (asks about a place: weather, visas, best time, sights), booking_help (wants to book or change a booking), problem_solving (something went wrong), greeting, or general_inquiry.
+- A refusal or negation ("لا أريد رحلة", "I don't want to travel") is not trip_planning.
+- confidence: 0 to 1, how sure you are of the intent.
+- Dates as YYYY-MM-DD; today is ${today}. Dates without a year are the next time they occur.
+- budget.currency as an ISO code (SAR, AED, EGP, USD...) or null; travelers is the number of people.
+- Use null for entities the message does not give.`
+      },
+      { role: 'user', content: String(text) }
+    ];
+  }
+}
+
+const nlu = new NLU();
+
+module.exports = {
+  NLU,
+  nlu,
+  analyzeWithRules,
+  INTENTS,
+  EMOTIONS,
+  URGENCY_LEVELS,
+  NLU_SCHEMA
+};
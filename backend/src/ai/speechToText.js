@@ -0,0 +1,145 @@
+/**
+ * Speech-to-Text for Maya Travel Agent
+ * Transcribes voice notes. Providers implement `transcribe(audio, options)`, resolving to
+ * `{ success, text?, language?, error? }`; SPEECH_TO_TEXT_PROVIDER picks one. Without a
+ * configured provider voice notes are not transcribed and users are asked to type.
+ */
+
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// File extensions speech APIs use to detect the audio format
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+class SpeechToTextProvider {
+  /**
+   * @param {string} name - Provider name used by SPEECH_TO_TEXT_PROVIDER
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Buffer} _audio - Audio bytes
+   * @param {Object} [_options]
+   * @param {string} [_options.mimeType] - e.g. "audio/ogg; codecs=opus" (WhatsApp voice notes)
+   * @param {string} [_options.language] - ISO 639-1 hint, e.g. "ar"
+   * @returns {Promise<Object>} `{ success, text?, language?, error? }`
+   */
+  async transcribe(_audio, _options = {}) {
+    throw new Error(`${this.constructor.name} does not implement transcribe`);
+  }
+}
+
+/**
+ * Whisper through an OpenAI-compatible /audio/transcriptions endpoint
+ */
+class WhisperSpeechToText extends SpeechToTextProvider {
+  constructor({ apiKey = process.env.STT_API_KEY, baseUrl = process.env.STT_API_BASE_URL, model = process.env.STT_MODEL } = {}) {
+    super('whisper');
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl || 'https://api.openai.com/v1';
+    this.model = model || 'whisper-1';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && !this.apiKey.includes('your_');
+  }
+
+  async transcribe(audio, { mimeType = 'audio/ogg', language = null } = {}) {
+    const type = String(mimeType).split(';')[0].trim();
+    const fields = { model: this.model, response_format: 'json' };
+    if (language) fields.language = language;
+
+    const { body, contentType } = multipartBody(fields, {
+      name: 'file',
+      filename: `voice.${AUDIO_EXTENSIONS[type] || 'ogg'}`,
+      contentType: type,
+      data: audio
+    });
+
+    try {
+      const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': contentType
+        },
+        body
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Transcription API Error ${response.status}: ${errorText}`);
+      }
+
+      const data = await response.json();
+      return { success: true, text: (data.text || '').trim(), language: data.language || language };
+    } catch (error) {
+      logger.warn('Voice note transcription failed', { provider: this.name, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * multipart/form-data body with text fields and one file
+ */
+function multipartBody(fields, file) {
+  const boundary = `----maya${crypto.randomBytes(12).toString('hex')}`;
+  const parts = Object.entries(fields).map(([name, value]) =>
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+  );
+  parts.push(
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`),
+    file.data,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  );
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+const SPEECH_TO_TEXT_PROVIDERS = {
+  whisper: () => new WhisperSpeechToText()
+};
+
+/**
+ * The configured speech-to-text provider, or null when there is none
+ * @param {string} [name] - Defaults to SPEECH_TO_TEXT_PROVIDER
+ */
+function createSpeechToText(name = process.env.SPEECH_TO_TEXT_PROVIDER) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return null;
+
+  const factory = SPEECH_TO_TEXT_PROVIDERS[key];
+  if (!factory) {
+    logger.warn('Unknown speech-to-text provider ignored', { provider: key });
+    return null;
+  }
+  const provider = factory();
+  if (!provider.isConfigured()) {
+    logger.warn('Speech-to-text provider not configured, skipping', { provider: key });
+    return null;
+  }
+  return provider;
+}
+
+module.exports = {
+  SpeechToTextProvider,
+  WhisperSpeechToText,
+  SPEECH_TO_TEXT_PROVIDERS,
+  createSpeechToText
+};
@@ -0,0 +1,141 @@
+/**
+ * Tool Registry for Maya Travel Agent
+ * One typed catalogue of the travel tools (the agent tools and the MCP tools), shared by the
+ * agent loop and the MCP server. Each tool has a name, a description, a JSON schema for its
+ * arguments and a handler; calls are validated against the schema before the handler runs.
+ */
+
+const { Tools, getToolSchemas } = require('./tools');
+const MCPTools = require('./mcpTools');
+const { validateArguments } = require('../../utils/schemaValidator');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Unique tool name
+ * @property {string} description - What the tool does, shown to the model and MCP clients
+ * @property {Object} inputSchema - JSON schema of the arguments (`type: 'object'`)
+ * @property {function(Object): Promise<Object>} handler - Runs the tool
+ */
+
+/**
+ * @typedef {Object} ToolCallResult
+ * @property {'ok'|'invalid_arguments'|'unknown_tool'|'error'} status
+ * @property {*} [result] - Handler result
+ * @property {string} [error] - Why the call did not succeed
+ */
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Build a registry from handlers by name and agent-style schemas (`parameters`);
+   * schemas without a handler are left out
+   */
+  static fromHandlers(handlers = {}, schemas = []) {
+    const registry = new ToolRegistry();
+    for (const schema of schemas) {
+      if (typeof handlers[schema.name] !== 'function') continue;
+      registry.register({
+        name: schema.name,
+        description: schema.description,
+        inputSchema: schema.parameters,
+        handler: handlers[schema.name]
+      });
+    }
+    return registry;
+  }
+
+  /**
+   * Add a tool
+   * @param {ToolDefinition} tool
+   * @throws {AppError} 500 for an incomplete definition or a name already registered
+   */
+  register({ name, description = '', inputSchema = { type: 'object', properties: {} }, handler }) {
+    if (!name || typeof handler !== 'function') {
+      throw new AppError('A tool needs a name and a handler', 500, false, { tool: name });
+    }
+    if (this.tools.has(name)) {
+      throw new AppError(`Tool already registered: ${name}`, 500, false, { tool: name });
+    }
+    this.tools.set(name, { name, description, inputSchema, handler });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Tools as MCP `tools/list` entries: `{ name, description, inputSchema }`
+   */
+  list() {
+    return [...this.tools.values()].map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+
+  /**
+   * Tools as agent prompt schemas: `{ name, description, parameters }`
+   */
+  getSchemas() {
+    return [...this.tools.values()].map(({ name, description, inputSchema }) => ({ name, description, parameters: inputSchema }));
+  }
+
+  /**
+   * Validate the arguments and run a tool. Never throws: failures come back as a status.
+   * A result with `error` or `success: false` counts as a failed call.
+   * @param {string} name - Tool name
+   * @param {Object} [args] - Tool arguments
+   * @returns {Promise<ToolCallResult>}
+   */
+  async call(name, args = {}) {
+    const tool = this.get(name);
+    if (!tool) {
+      return { status: 'unknown_tool', error: `Unknown tool: ${name}` };
+    }
+
+    const problems = validateArguments(tool, args);
+    if (problems.length > 0) {
+      return { status: 'invalid_arguments', error: problems.join('; ') };
+    }
+
+    try {
+      const result = await tool.handler(args);
+      const failed = result && typeof result === 'object' && (result.error || result.success === false);
+      if (failed) {
+        return { status: 'error', result, error: result.error || 'Tool failed' };
+      }
+      return { status: 'ok', result };
+    } catch (error) {
+      logger.warn('Tool call failed', { tool: name, error: error.message });
+      return { status: 'error', error: error.message || 'Tool execution failed' };
+    }
+  }
+}
+
+/**
+ * Registry with the agent tools followed by the MCP travel tools
+ */
+function createDefaultRegistry() {
+  const registry = ToolRegistry.fromHandlers(Tools, getToolSchemas());
+  for (const tool of new MCPTools().getToolDefinitions()) {
+    registry.register(tool);
+  }
+  return registry;
+}
+
+// Singleton instance
+const toolRegistry = createDefaultRegistry();
+
+module.exports = {
+  ToolRegistry,
+  toolRegistry,
+  createDefaultRegistry,
+  validateArguments
+};
@@ -1,4 +1,5 @@
-const fetch = require('node-fetch');
+const { currencyService } = require('../currency/currencyService');
+const { destinationService } = require('../destinations/destinationService');
 
 /**
  * Simple tool registry providing external knowledge/actions.
@@ -19,25 +20,24 @@ const Tools = {
 
   async convertCurrency(params = {}) {
     const { amount = 1, from = 'USD', to = 'EUR' } = params;
-    // Static rate for demo purposes
-    const rate = 0.9;
-    return { amount, from, to, rate, converted: Math.round(amount * rate * 100) / 100 };
+    try {
+      return await currencyService.convert(amount, from, to);
+    } catch (e) {
+      return { amount, from, to, error: e.message || 'Currency conversion failed' };
+    }
   },
 
   async searchDestinations(params = {}) {
     const { query = '' } = params;
-    // Query local destinations endpoint if server is running
     try {
-      const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
-      const res = await fetch(`${apiUrl}/api/destinations`);
-      const data = await res.json();
-      const items = (data.destinations || []).filter((d) =>
-        d.name.toLowerCase().includes(query.toLowerCase()) ||
-        (d.country || '').toLowerCase().includes(query.toLowerCase())
-      );
-      return { query, results: items };
+      const { destinations } = await destinationService.search({ q: query, limit: 10 });
+      return {
+        query,
+        results: destinations.map(({ id, slug, name, country, region, rating, price_range, best_time, halal_friendly }) =>
+          ({ id, slug, name, country, region, rating, price_range, best_time, halal_friendly }))
+      };
     } catch (e) {
-      return { query, results: [], error: 'Failed to fetch destinations' };
+      return { query, results: [], error: 'Failed to search destinations' };
     }
   },
 
@@ -63,22 +63,22 @@ function getToolSchemas() {
     {
       name: 'getWeather',
       description: 'Get simple weather forecast for a destination and date',
-      parameters: { type: 'object', properties: { destination: { type: 'string' }, date: { type: 'string' } } }
+      parameters: { type: 'object', properties: { destination: { type: 'string' }, date: { type: 'string' } }, required: ['destination'] }
     },
     {
       name: 'convertCurrency',
-      description: 'Convert an amount from one currency to another (approximate)',
-      parameters: { type: 'object', properties: { amount: { type: 'number' }, from: { type: 'string' }, to: { type: 'string' } } }
+      description: 'Convert an amount from one currency to another at the latest exchange rate',
+      parameters: { type: 'object', properties: { amount: { type: 'number' }, from: { type: 'string' }, to: { type: 'string' } }, required: ['amount', 'from', 'to'] }
     },
     {
       name: 'searchDestinations',
-      description: 'Search destinations by name or country',
-      parameters: { type: 'object', properties: { query: { type: 'string' } } }
+      description: 'Search the destinations catalog by name, country, region or description',
+      parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] }
     },
     {
       name: 'getSafetyInfo',
       description: 'Get safety advisories for a destination',
-      parameters: { type: 'object', properties: { destination: { type: 'string' } } }
+      parameters: { type: 'object', properties: { destination: { type: 'string' } }, required: ['destination'] }
     }
   ];
 }
@@ -0,0 +1,254 @@
+/**
+ * Analytics Service for Maya Travel Agent
+ * Stores client events in the `analytics_events` table (validated against a schema
+ * per event type, written in batches) and computes daily aggregates and the
+ * offer funnel (view → selection → booking) from `offer_interactions`.
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { validateArguments } = require('../../utils/schemaValidator');
+const { getEventSchema } = require('./eventSchemas');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const MAX_BATCH_SIZE = 100;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+// Events may be queued on the client for a while before they are sent
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// offer_interactions.interaction_type for each funnel stage
+const FUNNEL_STAGES = [
+  { stage: 'view', interaction: 'view' },
+  { stage: 'selection', interaction: 'click' },
+  { stage: 'booking', interaction: 'book' }
+];
+
+class AnalyticsService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ client = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.now = now;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Validate one client event into an `analytics_events` row
+   * @param {Object} event - { type, userId?, sessionId?, properties? (or payload), occurredAt? }
+   * @param {Object} [context] - { userAgent }
+   * @throws {AppError} 400 describing the first problem found
+   */
+  validateEvent(event, { userAgent = null } = {}) {
+    if (!event || typeof event !== 'object') {
+      throw new AppError('Event must be an object', 400);
+    }
+
+    const schema = getEventSchema(event.type);
+    if (!schema) {
+      throw new AppError(`Unknown event type: ${event.type}`, 400);
+    }
+
+    const properties = event.properties ?? event.payload ?? {};
+    const problems = validateArguments(schema, properties);
+    if (problems.length > 0) {
+      throw new AppError(`Invalid ${event.type} event: ${problems.join('; ')}`, 400);
+    }
+
+    const receivedAt = this.now();
+    let occurredAt = receivedAt;
+    if (event.occurredAt !== undefined) {
+      occurredAt = Date.parse(event.occurredAt);
+      if (Number.isNaN(occurredAt) || occurredAt > receivedAt + MAX_CLOCK_SKEW_MS || occurredAt < receivedAt - MAX_EVENT_AGE_MS) {
+        throw new AppError('occurredAt must be a timestamp from the last 7 days', 400);
+      }
+    }
+
+    return {
+      event_type: event.type,
+      user_id: event.userId ? String(event.userId) : null,
+      session_id: event.sessionId ? String(event.sessionId) : null,
+      properties,
+      occurred_at: new Date(occurredAt).toISOString(),
+      received_at: new Date(receivedAt).toISOString(),
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null
+    };
+  }
+
+  /**
+   * Store a batch of events in one write. Invalid events are skipped and reported.
+   * @param {Array<Object>} events
+   * @param {Object} [context] - { userAgent }
+   * @returns {Promise<{accepted: number, rejected: Array<{index: number, error: string}>}>}
+   */
+  async ingest(events, context = {}) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new AppError('At least one event is required', 400);
+    }
+    if (events.length > MAX_BATCH_SIZE) {
+      throw new AppError(`At most ${MAX_BATCH_SIZE} events can be sent at once`, 400);
+    }
+
+    const rows = [];
+    const rejected = [];
+    events.forEach((event, index) => {
+      try {
+        rows.push(this.validateEvent(event, context));
+      } catch (error) {
+        rejected.push({ index, error: error.message });
+      }
+    });
+
+    if (rows.length > 0) {
+      const { error } = await this.db.from('analytics_events').insert(rows);
+      if (error) throw new AppError(`Failed to store analytics events: ${error.message}`, 500);
+    }
+
+    if (rejected.length > 0) {
+      logger.warn('Analytics events rejected', { accepted: rows.length, rejected: rejected.length });
+    }
+    return { accepted: rows.length, rejected };
+  }
+
+  /**
+   * Parse an inclusive YYYY-MM-DD date range, defaulting to the last 30 days
+   * @returns {{from: string, to: string, start: string, end: string, days: string[]}}
+   *   `start`/`end` bound the range as timestamps (end exclusive); `days` lists every date in it
+   */
+  parseRange({ from = null, to = null } = {}) {
+    const parse = (value, field) => {
+      const text = String(value);
+      const time = Date.parse(`${text}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text) {
+        throw new AppError(`${field} must be a date in YYYY-MM-DD format`, 400);
+      }
+      return time;
+    };
+
+    const today = Date.parse(new Date(this.now()).toISOString().slice(0, 10));
+    const end = to ? parse(to, 'to') : today;
+    const start = from ? parse(from, 'from') : end - (DEFAULT_RANGE_DAYS - 1) * DAY_MS;
+    if (start > end) {
+      throw new AppError('from must be on or before to', 400);
+    }
+    if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      throw new AppError(`Date ranges can cover at most ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    const days = [];
+    for (let day = start; day <= end; day += DAY_MS) {
+      days.push(new Date(day).toISOString().slice(0, 10));
+    }
+    return {
+      from: days[0],
+      to: days[days.length - 1],
+      start: new Date(start).toISOString(),
+      end: new Date(end + DAY_MS).toISOString(),
+      days
+    };
+  }
+
+  /**
+   * All rows of a table in a time range, read page by page
+   */
+  async fetchRange(table, timeColumn, range, columns) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.db
+        .from(table)
+        .select(columns)
+        .gte(timeColumn, range.start)
+        .lt(timeColumn, range.end)
+        .order(timeColumn, { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw new AppError(`Failed to read ${table}: ${error.message}`, 500);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * Event counts and active users per day. A user is identified by `user_id`,
+   * or by `session_id` for anonymous visitors.
+   * @returns {Promise<{from: string, to: string, total_events: number, active_users: number, by_type: Object, daily: Array<{date: string, events: number, active_users: number}>}>}
+   */
+  async getSummary(params = {}) {
+    const range = this.parseRange(params);
+    const events = await this.fetchRange('analytics_events', 'occurred_at', range, 'event_type, user_id, session_id, occurred_at');
+
+    const byType = {};
+    const users = new Set();
+    const daily = new Map(range.days.map(date => [date, { date, events: 0, users: new Set() }]));
+
+    for (const event of events) {
+      byType[event.event_type] = (byType[event.event_type] || 0) + 1;
+      const bucket = daily.get(String(event.occurred_at).slice(0, 10));
+      if (bucket) bucket.events++;
+
+      const user = event.user_id ? `user:${event.user_id}` : event.session_id ? `session:${event.session_id}` : null;
+      if (user) {
+        users.add(user);
+        if (bucket) bucket.users.add(user);
+      }
+    }
+
+    return {
+      from: range.from,
+      to: range.to,
+      total_events: events.length,
+      active_users: users.size,
+      by_type: byType,
+      daily: [...daily.values()].map(({ date, events: count, users: dayUsers }) => ({ date, events: count, active_users: dayUsers.size }))
+    };
+  }
+
+  /**
+   * Offer funnel from bot interactions: distinct users who viewed an offer, selected one
+   * and booked one, with each stage's conversion from the stage before. A user counts at
+   * a stage only after reaching the stage before it, so no stage is larger than the last.
+   * @returns {Promise<{from: string, to: string, stages: Array<{stage: string, users: number, conversion_rate: number|null}>}>}
+   */
+  async getOfferFunnel(params = {}) {
+    const range = this.parseRange(params);
+    const interactions = await this.fetchRange('offer_interactions', 'timestamp', range, 'telegram_id, interaction_type, timestamp');
+
+    const usersByInteraction = new Map(FUNNEL_STAGES.map(({ interaction }) => [interaction, new Set()]));
+    for (const interaction of interactions) {
+      usersByInteraction.get(interaction.interaction_type)?.add(String(interaction.telegram_id));
+    }
+
+    let reached = null;
+    const stages = FUNNEL_STAGES.map(({ stage, interaction }) => {
+      const users = [...usersByInteraction.get(interaction)].filter(user => !reached || reached.has(user));
+      const previous = reached ? reached.size : null;
+      reached = new Set(users);
+      return {
+        stage,
+        users: users.length,
+        conversion_rate: previous ? Math.round((users.length / previous) * 1000) / 10 : null
+      };
+    });
+
+    return { from: range.from, to: range.to, stages };
+  }
+}
+
+// Singleton instance
+const analyticsService = new AnalyticsService();
+
+module.exports = {
+  AnalyticsService,
+  analyticsService,
+  FUNNEL_STAGES,
+  MAX_BATCH_SIZE
+};
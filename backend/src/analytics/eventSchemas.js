@@ -0,0 +1,74 @@
+/**
+ * Analytics Event Schemas for Maya Travel Agent
+ * Every event type the clients may send, with the properties it carries.
+ * Properties are checked with the same validator as tool arguments; unknown
+ * event types and unknown properties are rejected.
+ */
+
+const str = description => ({ type: 'string', description });
+const num = description => ({ type: 'number', description });
+const bool = description => ({ type: 'boolean', description });
+
+const EVENT_SCHEMAS = {
+  page_view: {
+    description: 'A screen of the web or mini app was opened',
+    properties: { page: str('Screen or path'), referrer: str('Previous screen or referrer URL') },
+    required: ['page']
+  },
+  chat_message: {
+    description: 'The user sent a message to Maya',
+    properties: { length: num('Message length in characters') },
+    required: []
+  },
+  chat_reply: {
+    description: 'Maya answered a chat message',
+    properties: { success: bool('Whether a reply was produced'), duration_ms: num('Time to reply') },
+    required: ['success']
+  },
+  destination_search: {
+    description: 'The destinations catalog was searched',
+    properties: { query: str('Search text'), results: num('Number of results') },
+    required: ['results']
+  },
+  destination_view: {
+    description: 'A destination was opened',
+    properties: { destination_id: str('Destination ID or slug') },
+    required: ['destination_id']
+  },
+  trip_created: {
+    description: 'A trip was planned',
+    properties: { trip_id: str('Trip ID'), destination: str('Destination') },
+    required: ['destination']
+  },
+  expense_added: {
+    description: 'An expense was logged against a trip',
+    properties: { trip_id: str('Trip ID'), category: str('Expense category') },
+    required: ['category']
+  },
+  booking_started: {
+    description: 'The user started booking an offer',
+    properties: { offer_id: str('Offer ID'), booking_id: str('Booking ID') },
+    required: []
+  }
+};
+
+/**
+ * Schema for an event type, in tool-argument form, or null for unknown types
+ */
+function getEventSchema(type) {
+  const schema = EVENT_SCHEMAS[type];
+  if (!schema) return null;
+  return {
+    parameters: {
+      type: 'object',
+      properties: schema.properties,
+      required: schema.required,
+      additionalProperties: false
+    }
+  };
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  getEventSchema
+};
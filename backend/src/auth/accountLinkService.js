@@ -0,0 +1,310 @@
+/**
+ * Account Link Service for Maya Travel Agent
+ * Joins the profiles a traveler has on different channels (Telegram, WhatsApp, web)
+ * into one. A one-time code is issued in one channel and redeemed in another; the
+ * redeeming profile is merged into the issuing one:
+ *  - its channel IDs move over, so data keyed by them (mini app trips, bookings,
+ *    budgets) follows
+ *  - preferences and travel history are combined (the issuing profile wins on conflicts)
+ *  - conversation history and open sessions are re-pointed, and trips planned on
+ *    WhatsApp go to the linked Telegram account
+ *  - the absorbed profile is kept as a tombstone with `merged_into` set
+ *
+ * Unlinking detaches one channel into a profile of its own. Preferences and history
+ * merged earlier stay with the profile they were merged into.
+ */
+
+const crypto = require('crypto');
+const { getServiceClient } = require('../../database/client');
+const { IdentityService, identityService } = require('./identityService');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Profile column holding each channel's ID
+const CHANNEL_COLUMNS = {
+  telegram: 'telegram_id',
+  whatsapp: 'whatsapp_phone',
+  web: 'auth_user_id'
+};
+
+// Counters summed when two profiles are merged
+const SUMMED_COLUMNS = ['total_bookings', 'total_spent'];
+
+const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+class AccountLinkService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {IdentityService} [options.identities] - Profile resolution; defaults to one on the same client
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ client = null, identities = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.identities = identities || (client ? new IdentityService({ client }) : identityService);
+    this.now = now;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Upper-case the code and drop separators, so "abcd-efgh" and "ABCDEFGH" match
+   */
+  static normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Channel of an authenticated identity (`provider` from IdentityService)
+   */
+  static channelFor(provider) {
+    return provider === 'supabase' ? 'web' : provider;
+  }
+
+  static formatCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  }
+
+  static assertChannel(channel) {
+    if (!CHANNEL_COLUMNS[channel]) {
+      throw new AppError(`Unknown channel: ${channel}. Use one of: ${Object.keys(CHANNEL_COLUMNS).join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Channels linked to a profile
+   * @returns {Array<string>}
+   */
+  static linkedChannels(profile) {
+    return Object.entries(CHANNEL_COLUMNS)
+      .filter(([, column]) => profile[column] !== null && profile[column] !== undefined)
+      .map(([channel]) => channel);
+  }
+
+  async loadProfile(profileId) {
+    const profile = await this.identities.getProfile(profileId);
+    if (!profile) throw new AppError('Profile not found', 404);
+    return profile;
+  }
+
+  /**
+   * Issue a one-time link code for a profile. Earlier unused codes stop working.
+   * @param {string} profileId
+   * @param {string} channel - Channel the code is shown in (telegram, whatsapp or web)
+   * @returns {Promise<{code: string, expiresAt: string}>}
+   */
+  async issueCode(profileId, channel) {
+    AccountLinkService.assertChannel(channel);
+    const profile = await this.loadProfile(profileId);
+
+    const { error: clearError } = await this.db
+      .from('account_link_codes')
+      .delete()
+      .eq('profile_id', profile.id)
+      .is('redeemed_at', null);
+    if (clearError) throw new AppError(`Failed to issue link code: ${clearError.message}`, 500);
+
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    const expiresAt = new Date(this.now() + LINK_CODE_TTL_MS).toISOString();
+
+    const { error } = await this.db.from('account_link_codes').insert({
+      code_hash: hashCode(code),
+      profile_id: profile.id,
+      channel,
+      expires_at: expiresAt,
+      redeemed_at: null
+    });
+    if (error) throw new AppError(`Failed to issue link code: ${error.message}`, 500);
+
+    return { code: AccountLinkService.formatCode(code), expiresAt };
+  }
+
+  /**
+   * Redeem a link code from another channel, merging the redeeming profile into the issuing one
+   * @param {string} code
+   * @param {string} profileId - Profile of the person redeeming
+   * @param {string} channel - Channel the code is redeemed in
+   * @returns {Promise<Object>} The merged profile
+   */
+  async redeemCode(code, profileId, channel) {
+    AccountLinkService.assertChannel(channel);
+    const normalized = AccountLinkService.normalizeCode(code);
+    if (normalized.length !== CODE_LENGTH) {
+      throw new AppError('Invalid or expired link code', 400);
+    }
+
+    const { data: link, error } = await this.db
+      .from('account_link_codes')
+      .select('*')
+      .eq('code_hash', hashCode(normalized))
+      .maybeSingle();
+    if (error) throw new AppError(`Failed to load link code: ${error.message}`, 500);
+    if (!link || link.redeemed_at || Date.parse(link.expires_at) <= this.now()) {
+      throw new AppError('Invalid or expired link code', 400);
+    }
+    if (link.channel === channel) {
+      throw new AppError(`Redeem the code in a different channel than ${channel}`, 400);
+    }
+
+    const [target, source] = await Promise.all([this.loadProfile(link.profile_id), this.loadProfile(profileId)]);
+    if (target.id === source.id) {
+      throw new AppError('These accounts are already linked', 409);
+    }
+    for (const [linked, column] of Object.entries(CHANNEL_COLUMNS)) {
+      if (target[column] && source[column] && String(target[column]) !== String(source[column])) {
+        throw new AppError(`Both profiles already have a ${linked} account; unlink one first`, 409);
+      }
+    }
+
+    // Claim the code before merging so two redemptions cannot both succeed
+    const { data: claimed, error: claimError } = await this.db
+      .from('account_link_codes')
+      .update({ redeemed_at: new Date(this.now()).toISOString(), redeemed_by: source.id })
+      .eq('id', link.id)
+      .is('redeemed_at', null)
+      .select('id');
+    if (claimError) throw new AppError(`Failed to redeem link code: ${claimError.message}`, 500);
+    if (!claimed || claimed.length === 0) {
+      throw new AppError('Invalid or expired link code', 400);
+    }
+
+    const merged = await this.mergeProfiles(target, source);
+    logger.info('Accounts linked', { profileId: target.id, mergedProfileId: source.id, channels: AccountLinkService.linkedChannels(merged) });
+    return merged;
+  }
+
+  /**
+   * Merge `source` into `target`. Steps are ordered so a failure part-way never leaves a
+   * channel ID on two profiles.
+   */
+  async mergeProfiles(target, source) {
+    const now = new Date(this.now()).toISOString();
+    const moved = {};
+    for (const column of Object.values(CHANNEL_COLUMNS)) {
+      if (source[column] && !target[column]) moved[column] = source[column];
+    }
+
+    // Free the channel IDs (unique columns) and mark the source as absorbed
+    const { error: sourceError } = await this.db
+      .from('profiles')
+      .update({ telegram_id: null, whatsapp_phone: null, auth_user_id: null, merged_into: target.id, updated_at: now })
+      .eq('id', source.id);
+    if (sourceError) throw new AppError(`Failed to merge profiles: ${sourceError.message}`, 500);
+
+    const patch = {
+      ...moved,
+      username: target.username || source.username || null,
+      avatar_url: target.avatar_url || source.avatar_url || null,
+      email: target.email || source.email || null,
+      preferences: { ...(source.preferences || {}), ...(target.preferences || {}) },
+      travel_history: [...(target.travel_history || []), ...(source.travel_history || [])]
+        .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || ''))),
+      updated_at: now
+    };
+    for (const column of SUMMED_COLUMNS) {
+      if (target[column] !== undefined || source[column] !== undefined) {
+        patch[column] = Number(target[column] || 0) + Number(source[column] || 0);
+      }
+    }
+
+    const { data: merged, error: targetError } = await this.db
+      .from('profiles')
+      .update(patch)
+      .eq('id', target.id)
+      .select()
+      .single();
+    if (targetError) throw new AppError(`Failed to merge profiles: ${targetError.message}`, 500);
+
+    // Conversation history (older Telegram rows only carry telegram_id) and open sessions
+    const repoints = [
+      this.db.from('messages').update({ profile_id: target.id }).eq('profile_id', source.id),
+      this.db.from('auth_sessions').update({ profile_id: target.id }).eq('profile_id', source.id)
+    ];
+    if (merged.telegram_id) {
+      repoints.push(this.db.from('messages').update({ profile_id: target.id }).eq('telegram_id', merged.telegram_id).is('profile_id', null));
+    }
+    // Trips planned on WhatsApp before a Telegram account was linked show up in the mini app
+    if (merged.telegram_id && merged.whatsapp_phone) {
+      repoints.push(this.db.from('trips').update({ telegram_id: merged.telegram_id }).eq('whatsapp_phone', merged.whatsapp_phone).is('telegram_id', null));
+    }
+    for (const { error } of await Promise.all(repoints)) {
+      if (error) throw new AppError(`Failed to move history to the merged profile: ${error.message}`, 500);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Detach one channel from a profile into a new profile of its own
+   * @param {string} profileId
+   * @param {string} channel - telegram, whatsapp or web
+   * @param {Object} [options]
+   * @param {string} [options.currentChannel] - Channel the request came from, which cannot be unlinked
+   * @returns {Promise<Object>} The profile left behind
+   */
+  async unlink(profileId, channel, { currentChannel = null } = {}) {
+    AccountLinkService.assertChannel(channel);
+    const profile = await this.loadProfile(profileId);
+    const column = CHANNEL_COLUMNS[channel];
+
+    if (!profile[column]) {
+      throw new AppError(`No ${channel} account is linked`, 404);
+    }
+    if (channel === currentChannel) {
+      throw new AppError(`Sign in through another channel to unlink ${channel}`, 400);
+    }
+    if (AccountLinkService.linkedChannels(profile).length < 2) {
+      throw new AppError('The only linked account cannot be unlinked', 400);
+    }
+
+    const now = new Date(this.now()).toISOString();
+    const { data: remaining, error } = await this.db
+      .from('profiles')
+      .update({ [column]: null, updated_at: now })
+      .eq('id', profile.id)
+      .select()
+      .single();
+    if (error) throw new AppError(`Failed to unlink account: ${error.message}`, 500);
+
+    const { error: insertError } = await this.db.from('profiles').insert({
+      [column]: profile[column],
+      username: profile.username || null,
+      email: channel === 'web' ? profile.email || null : null,
+      preferences: {},
+      travel_history: []
+    });
+    if (insertError) throw new AppError(`Failed to unlink account: ${insertError.message}`, 500);
+
+    // Mini app sessions belong to the Telegram account; they must not keep reaching this profile
+    if (channel === 'telegram') {
+      const { error: revokeError } = await this.db
+        .from('auth_sessions')
+        .update({ revoked_at: now, revoked_reason: 'unlinked' })
+        .eq('profile_id', profile.id)
+        .eq('provider', 'telegram')
+        .is('revoked_at', null);
+      if (revokeError) throw new AppError(`Failed to revoke unlinked sessions: ${revokeError.message}`, 500);
+    }
+
+    logger.info('Account unlinked', { profileId: profile.id, channel });
+    return remaining;
+  }
+}
+
+// Singleton instance
+const accountLinkService = new AccountLinkService();
+
+module.exports = {
+  AccountLinkService,
+  accountLinkService,
+  CHANNEL_COLUMNS,
+  LINK_CODE_TTL_MS
+};
@@ -0,0 +1,293 @@
+/**
+ * Authentication Service for Maya Travel Agent
+ * Verifies the bearer tokens the API accepts and resolves them to one internal user:
+ *  - our own access tokens, issued to mini app users by POST /api/telegram/auth/telegram
+ *    (short-lived, tied to a revocable session with a rotating refresh token)
+ *  - Supabase Auth access tokens from the web app
+ *
+ * Sessions live in `auth_sessions`. A refresh token is `<session id>.<secret>`; only a
+ * hash of the secret is stored. Presenting an already-rotated refresh token revokes
+ * the whole session, since it means the token was copied.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getServiceClient, isSupabaseConfigured } = require('../../database/client');
+const { IdentityService, identityService } = require('./identityService');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const ISSUER = 'maya-trips';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TEST_JWT_SECRET = 'test_jwt_secret';
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+function sameHash(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+class AuthService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {IdentityService} [options.identities] - Profile resolution; defaults to one on the same client
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ client = null, identities = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.identities = identities || (client ? new IdentityService({ client }) : identityService);
+    this.now = now;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Signing secret for our tokens. Only the test suite may run without JWT_SECRET.
+   */
+  getSecret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (process.env.NODE_ENV === 'test') return TEST_JWT_SECRET;
+    throw new AppError('JWT_SECRET is not configured', 500, false);
+  }
+
+  nowSeconds() {
+    return Math.floor(this.now() / 1000);
+  }
+
+  /**
+   * Short-lived access token. `sub` stays the Telegram ID so RLS policies keyed on it keep working.
+   */
+  signAccessToken(identity, sessionId) {
+    return jwt.sign(
+      { sub: String(identity.telegramId), uid: identity.id, sid: sessionId, typ: 'access', iat: this.nowSeconds() },
+      this.getSecret(),
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS, issuer: ISSUER, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  tokenPair(identity, sessionId, refreshSecret) {
+    return {
+      token: this.signAccessToken(identity, sessionId),
+      refreshToken: `${sessionId}.${refreshSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      sessionId
+    };
+  }
+
+  /**
+   * Open a session for a mini app user
+   * @param {Object} identity - From IdentityService.resolveTelegramUser
+   * @param {Object} [context] - { userAgent }
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+   */
+  async createSession(identity, { userAgent = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = this.now();
+
+    const { error } = await this.db.from('auth_sessions').insert({
+      id: sessionId,
+      profile_id: identity.id,
+      provider: identity.provider,
+      refresh_token_hash: hashSecret(secret),
+      previous_token_hash: null,
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+      expires_at: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+      last_used_at: new Date(now).toISOString(),
+      revoked_at: null
+    });
+    if (error) throw new AppError(`Failed to create session: ${error.message}`, 500);
+
+    return this.tokenPair(identity, sessionId, secret);
+  }
+
+  async getSession(sessionId) {
+    const { data, error } = await this.db
+      .from('auth_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load session: ${error.message}`, 500);
+    return data || null;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * @throws {AppError} 401 when the token is unknown, expired, revoked or reused
+   */
+  async refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await this.getSession(sessionId);
+    if (!session) throw new AppError('Invalid refresh token', 401);
+    if (session.revoked_at) throw new AppError('Session has been revoked', 401);
+
+    const presented = hashSecret(secret);
+    if (sameHash(presented, session.previous_token_hash)) {
+      await this.revokeSession(sessionId, 'refresh_token_reuse');
+      logger.warn('Refresh token reuse detected; session revoked', { sessionId, profileId: session.profile_id });
+      throw new AppError('Refresh token has already been used', 401);
+    }
+    if (!sameHash(presented, session.refresh_token_hash)) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+    if (Date.parse(session.expires_at) <= this.now()) {
+      throw new AppError('Session has expired', 401);
+    }
+
+    const identity = await this.identities.getIdentity(session.profile_id, session.provider);
+    if (!identity) {
+      await this.revokeSession(sessionId, 'user_deleted');
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    // Rotate only if nobody else rotated first, so two refreshes of one token cannot both succeed
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const now = this.now();
+    const { data, error } = await this.db
+      .from('auth_sessions')
+      .update({
+        refresh_token_hash: hashSecret(nextSecret),
+        previous_token_hash: presented,
+        expires_at: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+        last_used_at: new Date(now).toISOString()
+      })
+      .eq('id', sessionId)
+      .eq('refresh_token_hash', presented)
+      .select();
+
+    if (error) throw new AppError(`Failed to refresh session: ${error.message}`, 500);
+    if (!data || data.length === 0) {
+      throw new AppError('Refresh token has already been used', 401);
+    }
+
+    return this.tokenPair(identity, sessionId, nextSecret);
+  }
+
+  /**
+   * Revoke one session: its refresh token stops working and so do access tokens issued for it
+   * @returns {Promise<number>} Sessions revoked (0 if it was already revoked)
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    const { data, error } = await this.db
+      .from('auth_sessions')
+      .update({ revoked_at: new Date(this.now()).toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw new AppError(`Failed to revoke session: ${error.message}`, 500);
+    return (data || []).length;
+  }
+
+  /**
+   * Revoke every open session of a user ("sign out everywhere")
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllSessions(profileId, reason = 'logout_all') {
+    const { data, error } = await this.db
+      .from('auth_sessions')
+      .update({ revoked_at: new Date(this.now()).toISOString(), revoked_reason: reason })
+      .eq('profile_id', profileId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw new AppError(`Failed to revoke sessions: ${error.message}`, 500);
+    const count = (data || []).length;
+    logger.info('Sessions revoked', { profileId, count, reason });
+    return count;
+  }
+
+  /**
+   * Verify a bearer token of either kind and resolve the user behind it
+   * @returns {Promise<Object>} Identity ({ id, telegramId, authUserId, email, username, provider, sessionId })
+   * @throws {AppError} 401 for missing, invalid, expired or revoked tokens
+   */
+  async authenticate(token) {
+    const decoded = token ? jwt.decode(token) : null;
+    if (!decoded || typeof decoded !== 'object') {
+      throw new AppError('Invalid or expired token', 401);
+    }
+
+    // Anything we did not sign goes to Supabase; our own tokens must carry a session and a profile
+    if (decoded.iss && decoded.iss !== ISSUER) {
+      return this.authenticateSupabaseToken(token);
+    }
+    return this.authenticateAppToken(token);
+  }
+
+  async authenticateAppToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { issuer: ISSUER, clockTimestamp: this.nowSeconds() });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid or expired token', 401);
+    }
+
+    if (payload.typ !== 'access' || !payload.sid || !payload.uid) {
+      throw new AppError('Invalid or expired token', 401);
+    }
+
+    const session = await this.getSession(payload.sid);
+    if (!session || session.revoked_at) {
+      throw new AppError('Session has been revoked', 401);
+    }
+
+    const identity = await this.identities.getIdentity(payload.uid, 'telegram');
+    if (!identity) {
+      throw new AppError('Invalid or expired token', 401);
+    }
+
+    return { ...identity, sessionId: payload.sid };
+  }
+
+  /**
+   * Supabase access tokens are checked locally when SUPABASE_JWT_SECRET is set,
+   * otherwise by asking Supabase Auth
+   */
+  async authenticateSupabaseToken(token) {
+    let user;
+    if (process.env.SUPABASE_JWT_SECRET) {
+      try {
+        const payload = jwt.verify(token, process.env.SUPABASE_JWT_SECRET, {
+          audience: 'authenticated',
+          clockTimestamp: this.nowSeconds()
+        });
+        user = { id: payload.sub, email: payload.email, user_metadata: payload.user_metadata };
+      } catch (error) {
+        throw new AppError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid or expired token', 401);
+      }
+    } else if (isSupabaseConfigured()) {
+      const { data, error } = await this.db.auth.getUser(token);
+      if (error || !data || !data.user) {
+        throw new AppError('Invalid or expired token', 401);
+      }
+      user = data.user;
+    } else {
+      throw new AppError('Web sign-in is not configured', 401);
+    }
+
+    const identity = await this.identities.resolveSupabaseUser(user);
+    return { ...identity, sessionId: null };
+  }
+}
+
+// Singleton instance
+const authService = new AuthService();
+
+module.exports = {
+  AuthService,
+  authService,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS
+};
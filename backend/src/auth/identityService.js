@@ -0,0 +1,163 @@
+/**
+ * Identity Service for Maya Travel Agent
+ * Resolves every way of reaching Maya (Telegram, WhatsApp, Supabase web session) to one
+ * internal user: a row of the `profiles` table. `profiles.id` is the user ID the
+ * rest of the API sees; `telegram_id`, `whatsapp_phone` and `auth_user_id` record the
+ * channels linked to it. Profiles absorbed by account linking keep a `merged_into`
+ * pointer so IDs issued before the merge still resolve.
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { AppError } = require('../../utils/errorHandler');
+
+// Shape a profile as the identity attached to authenticated requests
+function toIdentity(profile, provider) {
+  return {
+    id: profile.id,
+    telegramId: profile.telegram_id ? Number(profile.telegram_id) : null,
+    whatsappPhone: profile.whatsapp_phone || null,
+    authUserId: profile.auth_user_id || null,
+    email: profile.email || null,
+    username: profile.username || null,
+    provider
+  };
+}
+
+class IdentityService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   */
+  constructor({ client = null } = {}) {
+    this.client = client;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  async findProfile(column, value) {
+    const { data, error } = await this.db
+      .from('profiles')
+      .select('*')
+      .eq(column, value)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load profile: ${error.message}`, 500);
+    return data || null;
+  }
+
+  async findOrCreate(column, value, fields) {
+    const existing = await this.findProfile(column, value);
+    if (existing) {
+      // Refresh details that change on the provider side, never blanking stored ones
+      const changes = Object.fromEntries(
+        Object.entries(fields).filter(([key, next]) => next != null && next !== existing[key])
+      );
+      if (Object.keys(changes).length === 0) return existing;
+
+      const { data, error } = await this.db
+        .from('profiles')
+        .update(changes)
+        .eq('id', existing.id)
+        .select()
+        .single();
+      if (error) throw new AppError(`Failed to update profile: ${error.message}`, 500);
+      return data;
+    }
+
+    const { data, error } = await this.db
+      .from('profiles')
+      .upsert({ [column]: value, ...fields }, { onConflict: column })
+      .select()
+      .single();
+    if (error) throw new AppError(`Failed to create profile: ${error.message}`, 500);
+    return data;
+  }
+
+  /**
+   * Profile of a Telegram user, created on first sign-in
+   * @param {Object} user - Telegram user ({ id, username?, photo_url? })
+   */
+  async resolveTelegramUser(user) {
+    const telegramId = Number(user && user.id);
+    if (!Number.isSafeInteger(telegramId) || telegramId <= 0) {
+      throw new AppError('Invalid Telegram user', 401);
+    }
+
+    const profile = await this.findOrCreate('telegram_id', telegramId, {
+      username: user.username || null,
+      avatar_url: user.photo_url || null
+    });
+    return toIdentity(profile, 'telegram');
+  }
+
+  /**
+   * Profile of a WhatsApp number, created on its first message
+   * @param {string} phone - Number as WhatsApp sends it (digits, with country code)
+   */
+  async resolveWhatsAppUser(phone, { name = null } = {}) {
+    const whatsappPhone = IdentityService.normalizePhone(phone);
+    if (!whatsappPhone) {
+      throw new AppError('Invalid WhatsApp number', 400);
+    }
+
+    const profile = await this.findOrCreate('whatsapp_phone', whatsappPhone, { username: name });
+    return toIdentity(profile, 'whatsapp');
+  }
+
+  /**
+   * Digits only, as WhatsApp identifies senders; null if it cannot be a phone number
+   */
+  static normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 7 && digits.length <= 15 ? digits : null;
+  }
+
+  /**
+   * Profile of a Supabase Auth user (web sign-in), created on first request
+   * @param {Object} user - Supabase user ({ id, email?, user_metadata? })
+   */
+  async resolveSupabaseUser(user) {
+    if (!user || !user.id) {
+      throw new AppError('Invalid Supabase user', 401);
+    }
+
+    const metadata = user.user_metadata || {};
+    const profile = await this.findOrCreate('auth_user_id', user.id, {
+      email: user.email || null,
+      username: metadata.full_name || metadata.name || null,
+      avatar_url: metadata.avatar_url || null
+    });
+    return toIdentity(profile, 'supabase');
+  }
+
+  /**
+   * Identity for a profile ID carried in one of our access tokens
+   * @returns {Promise<Object|null>} null when the profile no longer exists
+   */
+  async getIdentity(profileId, provider) {
+    const profile = await this.getProfile(profileId);
+    return profile ? toIdentity(profile, provider) : null;
+  }
+
+  /**
+   * Live profile for an ID, following `merged_into` from profiles absorbed by linking
+   */
+  async getProfile(profileId) {
+    let profile = await this.findProfile('id', profileId);
+    for (let hops = 0; profile && profile.merged_into && hops < 5; hops++) {
+      profile = await this.findProfile('id', profile.merged_into);
+    }
+    return profile && !profile.merged_into ? profile : null;
+  }
+}
+
+// Singleton instance
+const identityService = new IdentityService();
+
+module.exports = {
+  IdentityService,
+  identityService,
+  toIdentity
+};
@@ -0,0 +1,667 @@
+/**
+ * Booking Service for Maya Travel Agent
+ * Booking lifecycle on the `bookings` table: an unpaid hold reserves seats or rooms
+ * on its `travel_offers` row, a successful payment confirms it, and holds that are
+ * not paid in time expire and give their inventory back
+ */
+
+const crypto = require('crypto');
+const { getServiceClient } = require('../../database/client');
+const { paymentLedger, PAYMENT_STATUSES } = require('../payments/paymentLedger');
+const { CurrencyService, currencyService } = require('../currency/currencyService');
+const { AppError } = require('../../utils/errorHandler');
+const { isUuid } = require('../../utils/uuid');
+const logger = require('../../utils/logger');
+
+const BOOKING_STATUSES = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  COMPLETED: 'completed'
+};
+
+const BOOKING_PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+const BOOKING_CHANNELS = ['telegram', 'whatsapp', 'miniapp', 'web'];
+
+// travel_offers.currency defaults to riyals, matching how the bots quote offer prices
+const DEFAULT_OFFER_CURRENCY = 'SAR';
+const DEFAULT_HOLD_MINUTES = 30;
+const INVENTORY_RETRIES = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BookingService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Object} [options.ledger] - Payment ledger, used to check payments before confirming
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ client = null, ledger = paymentLedger, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.ledger = ledger;
+    this.now = now;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Minutes an unpaid booking holds its inventory (BOOKING_HOLD_MINUTES)
+   */
+  get holdMinutes() {
+    return Number(process.env.BOOKING_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+  }
+
+  static generateReference() {
+    return `MAYA-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD (or ISO) date
+   * @returns {string} YYYY-MM-DD
+   */
+  static parseDate(value, field) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new AppError(`${field} must be a valid date`, 400);
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  static addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  static parseTravelers(value) {
+    const travelers = Number(value);
+    if (!Number.isInteger(travelers) || travelers < 1) {
+      throw new AppError('Travelers must be a positive whole number', 400);
+    }
+    return travelers;
+  }
+
+  isHoldExpired(booking) {
+    return booking.status === BOOKING_STATUSES.EXPIRED || Boolean(
+      booking.status === BOOKING_STATUSES.PENDING &&
+      booking.payment_status !== BOOKING_PAYMENT_STATUSES.PAID &&
+      booking.hold_expires_at &&
+      new Date(booking.hold_expires_at).getTime() <= this.now()
+    );
+  }
+
+  async getBooking(id) {
+    if (!isUuid(id)) return null;
+
+    const { data, error } = await this.db
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load booking: ${error.message}`, 500);
+    return data;
+  }
+
+  async requireBooking(id) {
+    const booking = await this.getBooking(id);
+    if (!booking) {
+      throw new AppError('Booking not found', 404, true, { booking_id: id });
+    }
+    return booking;
+  }
+
+  /**
+   * Bookings for one customer, newest first
+   * @param {Object} owner - `telegramId` and/or `whatsappPhone`; with both (linked
+   *   accounts), bookings made on either channel are listed
+   */
+  async listBookings({ telegramId = null, whatsappPhone = null, status = null, limit = 20, offset = 0 } = {}) {
+    if (!telegramId && !whatsappPhone) {
+      throw new AppError('A Telegram ID or WhatsApp number is required', 400);
+    }
+
+    let query = this.db.from('bookings').select('*');
+    if (telegramId && whatsappPhone) {
+      query = query.or(`telegram_id.eq.${Number(telegramId)},whatsapp_phone.eq.${String(whatsappPhone).replace(/\D/g, '')}`);
+    } else {
+      query = telegramId ? query.eq('telegram_id', telegramId) : query.eq('whatsapp_phone', whatsappPhone);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new AppError(`Failed to list bookings: ${error.message}`, 500);
+    return data || [];
+  }
+
+  async getBookingByReference(reference) {
+    const { data, error } = await this.db
+      .from('bookings')
+      .select('*')
+      .eq('booking_reference', String(reference).toUpperCase())
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load booking: ${error.message}`, 500);
+    return data;
+  }
+
+  /**
+   * Active, unexpired offers that still have inventory, highest priority first
+   */
+  async listBookableOffers({ limit = 10 } = {}) {
+    const { data, error } = await this.db
+      .from('travel_offers')
+      .select('*')
+      .eq('is_active', true)
+      .order('priority', { ascending: false })
+      .limit(limit * 3);
+
+    if (error) throw new AppError(`Failed to list offers: ${error.message}`, 500);
+
+    return (data || [])
+      .filter(offer => !offer.valid_until || new Date(offer.valid_until).getTime() >= this.now())
+      .filter(offer => offer.available_slots === null || offer.available_slots === undefined || Number(offer.available_slots) > 0)
+      .slice(0, limit);
+  }
+
+  async getOffer(offerId) {
+    const { data, error } = await this.db
+      .from('travel_offers')
+      .select('*')
+      .eq('id', offerId)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load offer: ${error.message}`, 500);
+    if (!data) {
+      throw new AppError('Offer not found', 404, true, { offer_id: offerId });
+    }
+    return data;
+  }
+
+  /**
+   * Change an offer's available_slots by `change` (negative reserves, positive releases).
+   * Offers without an available_slots value have unlimited inventory. The update is
+   * guarded on the value read, so concurrent holds cannot oversell.
+   */
+  async adjustInventory(offerId, change) {
+    for (let attempt = 0; attempt < INVENTORY_RETRIES; attempt++) {
+      const offer = await this.getOffer(offerId);
+      if (offer.available_slots === null || offer.available_slots === undefined || change === 0) {
+        return offer;
+      }
+
+      const available = Number(offer.available_slots);
+      if (available + change < 0) {
+        throw new AppError('Not enough availability for this offer', 409, true, {
+          offer_id: offerId,
+          available,
+          requested: -change
+        });
+      }
+
+      const { data, error } = await this.db
+        .from('travel_offers')
+        .update({ available_slots: available + change, updated_at: new Date(this.now()).toISOString() })
+        .eq('id', offerId)
+        .eq('available_slots', available)
+        .select()
+        .maybeSingle();
+
+      if (error) throw new AppError(`Failed to update offer inventory: ${error.message}`, 500);
+      if (data) return data;
+    }
+
+    throw new AppError('Offer inventory changed concurrently, please retry', 409, true, { offer_id: offerId });
+  }
+
+  async reserveInventory(offerId, count) {
+    return await this.adjustInventory(offerId, -count);
+  }
+
+  async releaseInventory(offerId, count) {
+    try {
+      return await this.adjustInventory(offerId, count);
+    } catch (error) {
+      // The booking is already gone; a lost release only under-sells the offer
+      logger.error('Failed to release offer inventory', error, { offer_id: offerId, count });
+      return null;
+    }
+  }
+
+  /**
+   * Place an unpaid hold. Offer bookings are priced from the offer (per traveler) and
+   * reserve inventory; custom bookings need a destination and total price.
+   * @param {Object} params
+   * @param {number} [params.telegramId] - Telegram user the booking belongs to
+   * @param {string} [params.whatsappPhone] - WhatsApp number the booking belongs to
+   * @param {string} [params.channel] - Where the booking was made (telegram, whatsapp, miniapp, web)
+   * @param {string} [params.offerId] - travel_offers.id
+   * @param {string} params.startDate - First day of the trip
+   * @param {string} [params.endDate] - Last day; offers default to their duration
+   * @param {number} [params.travelers]
+   * @returns {Promise<Object>} The booking
+   */
+  async hold({
+    telegramId = null,
+    whatsappPhone = null,
+    channel = 'telegram',
+    offerId = null,
+    destination = null,
+    startDate,
+    endDate = null,
+    travelers = 1,
+    totalPrice = null,
+    currency = 'USD',
+    notes = null
+  }) {
+    if (!telegramId && !whatsappPhone) {
+      throw new AppError('A Telegram ID or WhatsApp number is required', 400);
+    }
+    if (!BOOKING_CHANNELS.includes(channel)) {
+      throw new AppError(`Invalid channel. Supported: ${BOOKING_CHANNELS.join(', ')}`, 400);
+    }
+
+    const count = BookingService.parseTravelers(travelers);
+    const start = BookingService.parseDate(startDate, 'Start date');
+    if (start < new Date(this.now()).toISOString().slice(0, 10)) {
+      throw new AppError('Start date must not be in the past', 400);
+    }
+
+    let offer = null;
+    let price;
+    let priceCurrency;
+    if (offerId) {
+      offer = await this.getOffer(offerId);
+      if (offer.is_active === false || (offer.valid_until && new Date(offer.valid_until).getTime() < this.now())) {
+        throw new AppError('This offer is no longer available', 409, true, { offer_id: offerId });
+      }
+      priceCurrency = CurrencyService.normalize(offer.currency || DEFAULT_OFFER_CURRENCY);
+      price = currencyService.round(Number(offer.price) * count, priceCurrency);
+      destination = offer.destination;
+    } else {
+      if (!destination || !(Number(totalPrice) > 0)) {
+        throw new AppError('Destination and total price are required for bookings without an offer', 400);
+      }
+      priceCurrency = CurrencyService.normalize(currency);
+      price = currencyService.round(totalPrice, priceCurrency);
+    }
+
+    const end = endDate
+      ? BookingService.parseDate(endDate, 'End date')
+      : BookingService.addDays(start, offer ? Number(offer.duration_days || 1) : 1);
+    if (end < start) {
+      throw new AppError('End date must be on or after the start date', 400);
+    }
+
+    if (offer) {
+      await this.reserveInventory(offer.id, count);
+    }
+
+    const { data, error } = await this.db
+      .from('bookings')
+      .insert({
+        telegram_id: telegramId,
+        whatsapp_phone: whatsappPhone,
+        channel,
+        offer_id: offer ? offer.id : null,
+        destination,
+        start_date: start,
+        end_date: end,
+        travelers: count,
+        total_price: price,
+        currency: priceCurrency,
+        status: BOOKING_STATUSES.PENDING,
+        payment_status: BOOKING_PAYMENT_STATUSES.PENDING,
+        booking_reference: BookingService.generateReference(),
+        hold_expires_at: new Date(this.now() + this.holdMinutes * 60 * 1000).toISOString(),
+        notes
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (offer) await this.releaseInventory(offer.id, count);
+      throw new AppError(`Failed to create booking: ${error.message}`, 500);
+    }
+
+    logger.info('Booking held', {
+      booking_id: data.id,
+      offer_id: data.offer_id,
+      channel,
+      travelers: count,
+      hold_expires_at: data.hold_expires_at
+    });
+    return data;
+  }
+
+  /**
+   * Check that a booking can still be paid for
+   * @throws {AppError} 409 when it is paid, cancelled or its hold has expired
+   */
+  assertPayable(booking) {
+    if (booking.payment_status === BOOKING_PAYMENT_STATUSES.PAID) {
+      throw new AppError('Booking is already paid', 409, true, { booking_id: booking.id });
+    }
+    if (booking.status === BOOKING_STATUSES.CANCELLED) {
+      throw new AppError('Booking is cancelled', 409, true, { booking_id: booking.id });
+    }
+    if (this.isHoldExpired(booking)) {
+      throw new AppError('Booking hold has expired', 409, true, { booking_id: booking.id });
+    }
+    return booking;
+  }
+
+  /**
+   * Load a booking that is about to be paid for
+   */
+  async getPayableBooking(id) {
+    return this.assertPayable(await this.requireBooking(id));
+  }
+
+  /**
+   * Confirm a booking with a succeeded payment for its full price. Safe to call again
+   * with the same payment.
+   * @param {string} id - Booking ID
+   * @param {Object} params
+   * @param {string} params.paymentId - Ledger payment that paid for the booking
+   * @param {Object} [params.updates] - Extra booking columns (e.g. telegram_payment_charge_id)
+   */
+  async confirm(id, { paymentId, updates = {} }) {
+    const booking = await this.requireBooking(id);
+    const payment = paymentId ? await this.ledger.getPayment(paymentId) : null;
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404, true, { booking_id: id, payment_id: paymentId });
+    }
+    if (booking.payment_id === payment.id && booking.status === BOOKING_STATUSES.CONFIRMED) {
+      return booking;
+    }
+    if (payment.booking_id !== booking.id) {
+      throw new AppError('Payment is not for this booking', 409, true, { booking_id: id, payment_id: payment.id });
+    }
+    if (payment.status !== PAYMENT_STATUSES.SUCCEEDED) {
+      throw new AppError(`Payment is ${payment.status}`, 409, true, { booking_id: id, payment_id: payment.id });
+    }
+
+    const currency = booking.currency || 'USD';
+    if (String(payment.currency).toUpperCase() !== currency.toUpperCase() ||
+        currencyService.toMinorUnits(payment.amount, currency) < currencyService.toMinorUnits(booking.total_price, currency)) {
+      throw new AppError('Payment does not cover the booking price', 409, true, {
+        booking_id: id,
+        payment_id: payment.id,
+        expected: { amount: Number(booking.total_price), currency },
+        received: { amount: Number(payment.amount), currency: payment.currency }
+      });
+    }
+
+    if (booking.payment_status === BOOKING_PAYMENT_STATUSES.PAID) {
+      throw new AppError('Booking is already paid by another payment', 409, true, { booking_id: id, payment_id: payment.id });
+    }
+    if (booking.status === BOOKING_STATUSES.CANCELLED || booking.status === BOOKING_STATUSES.COMPLETED) {
+      throw new AppError(`Booking is ${booking.status}`, 409, true, { booking_id: id, payment_id: payment.id });
+    }
+
+    // A payment that lands after the hold lapsed takes the inventory back if it is still there
+    const reserved = booking.status === BOOKING_STATUSES.EXPIRED && booking.offer_id;
+    if (reserved) {
+      await this.reserveInventory(booking.offer_id, Number(booking.travelers || 1));
+    }
+
+    const { data, error } = await this.db
+      .from('bookings')
+      .update({
+        ...updates,
+        status: BOOKING_STATUSES.CONFIRMED,
+        payment_status: BOOKING_PAYMENT_STATUSES.PAID,
+        payment_method: payment.payment_method,
+        payment_id: payment.id,
+        hold_expires_at: null,
+        updated_at: new Date(this.now()).toISOString()
+      })
+      .eq('id', id)
+      .eq('status', booking.status)
+      .eq('payment_status', booking.payment_status)
+      .select()
+      .maybeSingle();
+
+    if (error || !data) {
+      if (reserved) await this.releaseInventory(booking.offer_id, Number(booking.travelers || 1)).catch(() => null);
+      if (error) throw new AppError(`Failed to confirm booking: ${error.message}`, 500);
+      // Expired, cancelled or paid by another payment in the meantime
+      return await this.confirm(id, { paymentId, updates });
+    }
+
+    logger.info('Booking confirmed', { booking_id: id, payment_id: payment.id, method: payment.payment_method });
+    return data;
+  }
+
+  /**
+   * Confirm the booking behind a succeeded payment, if it has one. Used by the payment
+   * providers: the money has already moved, so conflicts are logged for reconciliation
+   * instead of failing the provider callback.
+   * @returns {Promise<Object|null>} The confirmed booking
+   */
+  async recordPayment(payment, updates = {}) {
+    if (!payment || !payment.booking_id) return null;
+
+    try {
+      return await this.confirm(payment.booking_id, { paymentId: payment.id, updates });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      logger.error('Paid booking could not be confirmed', error, {
+        booking_id: payment.booking_id,
+        payment_id: payment.id,
+        ...(error.meta || {})
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Change the dates, party size or notes of an unpaid hold. Offer bookings are
+   * re-priced and their inventory adjusted.
+   */
+  async modify(id, { startDate, endDate, travelers, notes } = {}) {
+    const booking = await this.requireBooking(id);
+    if (booking.status !== BOOKING_STATUSES.PENDING || booking.payment_status === BOOKING_PAYMENT_STATUSES.PAID) {
+      throw new AppError('Only unpaid pending bookings can be modified', 409, true, { booking_id: id, status: booking.status });
+    }
+    if (this.isHoldExpired(booking)) {
+      throw new AppError('Booking hold has expired', 409, true, { booking_id: id });
+    }
+
+    const offer = booking.offer_id ? await this.getOffer(booking.offer_id) : null;
+    const updates = {};
+
+    const start = startDate !== undefined ? BookingService.parseDate(startDate, 'Start date') : booking.start_date;
+    let end = endDate !== undefined ? BookingService.parseDate(endDate, 'End date') : booking.end_date;
+    if (startDate !== undefined) {
+      if (start < new Date(this.now()).toISOString().slice(0, 10)) {
+        throw new AppError('Start date must not be in the past', 400);
+      }
+      if (endDate === undefined && offer) {
+        end = BookingService.addDays(start, Number(offer.duration_days || 1));
+      }
+      updates.start_date = start;
+    }
+    if (end < start) {
+      throw new AppError('End date must be on or after the start date', 400);
+    }
+    if (end !== booking.end_date) {
+      updates.end_date = end;
+    }
+
+    const previous = Number(booking.travelers || 1);
+    const count = travelers !== undefined ? BookingService.parseTravelers(travelers) : previous;
+    if (count !== previous) {
+      if (offer) {
+        await this.adjustInventory(offer.id, previous - count);
+        updates.total_price = currencyService.round(Number(offer.price) * count, booking.currency);
+      }
+      updates.travelers = count;
+    }
+    if (notes !== undefined) {
+      updates.notes = notes;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return booking;
+    }
+
+    const { data, error } = await this.db
+      .from('bookings')
+      .update({ ...updates, updated_at: new Date(this.now()).toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (offer && count !== previous) await this.adjustInventory(offer.id, count - previous).catch(() => null);
+      throw new AppError(`Failed to modify booking: ${error.message}`, 500);
+    }
+
+    logger.info('Booking modified', { booking_id: id, changes: Object.keys(updates) });
+    return data;
+  }
+
+  /**
+   * Cancel a booking and give its inventory back. Paid bookings are only cancelled
+   * together with a full refund.
+   * @param {string} id - Booking ID
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why the booking was cancelled
+   * @param {boolean} [options.refund] - Refund the payment of a paid booking
+   * @param {string} [options.requestedBy] - Who asked, recorded with the refund
+   * @returns {Promise<{booking: Object, refund: Object|null}>}
+   */
+  async cancel(id, { reason = 'customer_request', refund = false, requestedBy = null } = {}) {
+    const booking = await this.requireBooking(id);
+    if (booking.status === BOOKING_STATUSES.CANCELLED || booking.status === BOOKING_STATUSES.EXPIRED) {
+      return { booking, refund: null };
+    }
+    if (booking.status === BOOKING_STATUSES.COMPLETED) {
+      throw new AppError('Completed bookings cannot be cancelled', 409, true, { booking_id: id });
+    }
+
+    let refundResult = null;
+    if (booking.payment_status === BOOKING_PAYMENT_STATUSES.PAID) {
+      if (!refund) {
+        throw new AppError('Paid bookings must be cancelled with a refund', 409, true, { booking_id: id });
+      }
+      // Loaded here: the refund service depends on the payment providers, which depend on this service
+      const { refundService } = require('../payments/refundService');
+      refundResult = await refundService.refund({
+        paymentId: booking.payment_id,
+        reason: 'booking_cancelled',
+        note: reason,
+        requestedBy
+      });
+    }
+
+    const { data, error } = await this.db
+      .from('bookings')
+      .update({
+        status: BOOKING_STATUSES.CANCELLED,
+        cancellation_reason: reason,
+        cancelled_at: new Date(this.now()).toISOString(),
+        hold_expires_at: null,
+        updated_at: new Date(this.now()).toISOString()
+      })
+      .eq('id', id)
+      .eq('status', booking.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to cancel booking: ${error.message}`, 500);
+    if (!data) {
+      // Confirmed or expired in the meantime
+      return await this.cancel(id, { reason, refund, requestedBy });
+    }
+
+    if (booking.offer_id) {
+      await this.releaseInventory(booking.offer_id, Number(booking.travelers || 1));
+    }
+
+    logger.info('Booking cancelled', { booking_id: id, reason, refunded: Boolean(refundResult) });
+    return { booking: data, refund: refundResult ? refundResult.refund : null };
+  }
+
+  /**
+   * Expire unpaid holds whose time has run out and release their inventory
+   * @returns {Promise<string[]>} IDs of the expired bookings
+   */
+  async expireHolds({ limit = 100 } = {}) {
+    const { data, error } = await this.db
+      .from('bookings')
+      .select('*')
+      .eq('status', BOOKING_STATUSES.PENDING)
+      .eq('payment_status', BOOKING_PAYMENT_STATUSES.PENDING)
+      .lte('hold_expires_at', new Date(this.now()).toISOString())
+      .limit(limit);
+
+    if (error) throw new AppError(`Failed to load expired holds: ${error.message}`, 500);
+
+    const expired = [];
+    for (const booking of data || []) {
+      // Guarded on status so a payment confirming at the same moment wins
+      const { data: updated, error: updateError } = await this.db
+        .from('bookings')
+        .update({ status: BOOKING_STATUSES.EXPIRED, updated_at: new Date(this.now()).toISOString() })
+        .eq('id', booking.id)
+        .eq('status', BOOKING_STATUSES.PENDING)
+        .eq('payment_status', BOOKING_PAYMENT_STATUSES.PENDING)
+        .select()
+        .maybeSingle();
+
+      if (updateError) {
+        logger.error('Failed to expire booking hold', null, { booking_id: booking.id, error: updateError.message });
+        continue;
+      }
+      if (!updated) continue;
+
+      if (booking.offer_id) {
+        await this.releaseInventory(booking.offer_id, Number(booking.travelers || 1));
+      }
+      expired.push(booking.id);
+    }
+
+    if (expired.length > 0) {
+      logger.info('Expired unpaid booking holds', { count: expired.length });
+    }
+    return expired;
+  }
+
+  /**
+   * Expire holds on an interval; returns the timer so callers can stop it
+   */
+  startExpiryTimer(intervalMs = 60 * 1000) {
+    const timer = setInterval(() => {
+      this.expireHolds().catch(error => logger.error('Booking hold expiry failed', error));
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+    return timer;
+  }
+}
+
+// Singleton instance
+const bookingService = new BookingService();
+
+module.exports = {
+  BookingService,
+  bookingService,
+  BOOKING_STATUSES,
+  BOOKING_PAYMENT_STATUSES,
+  BOOKING_CHANNELS
+};
@@ -0,0 +1,383 @@
+/**
+ * Telegram Bot Core for Maya Travel Agent
+ * One place for what every Maya bot needs: the safe handler (logging, metrics and
+ * a friendly error reply), command, callback and free-text routing, and the /start
+ * and /help replies, which are built from what the command modules register so they
+ * stay in step with the features that are actually enabled. Behavior lives in
+ * command modules ({ name, register(core) }, see ./modules).
+ */
+
+const TelegramBot = require('node-telegram-bot-api');
+
+const logger = require('../../utils/logger');
+const { errorHandler } = require('../../utils/errorHandler');
+const conversationManager = require('../../utils/conversationManager');
+const healthMonitor = require('../../utils/healthMonitor');
+const { aiRouter } = require('../ai/aiRouter');
+
+const AI_PROVIDERS = ['zai', 'gemini', 'none'];
+
+const DEFAULT_FEATURES = {
+  payments: true,
+  offers: true
+};
+
+const SUPPORT_CONTACT = '📞 الدعم الفني:\n📧 support@mayatrips.com\n💬 @MayaTripsSupport';
+
+/**
+ * The AI a bot answers with: the named provider first (failing over to the others),
+ * the whole chain when that provider has no credentials, or null for 'none'
+ * @param {string|Object} ai - 'zai', 'gemini', 'none', or a router-like object
+ * @param {AIRouter} [router]
+ */
+function resolveAI(ai, router = aiRouter) {
+  if (ai && typeof ai === 'object') return ai;
+  if (!ai || ai === 'none' || !router.isConfigured()) return null;
+  if (!AI_PROVIDERS.includes(ai)) {
+    throw new Error(`Unknown bot AI provider: ${ai} (expected ${AI_PROVIDERS.join(', ')})`);
+  }
+  return router.getProvider(ai) ? router.prefer(ai) : router;
+}
+
+// `/name`, `/name@bot` or `/name args`
+function commandPattern(name) {
+  return new RegExp(`^\\/${name}(?:@\\w+)?(?:\\s+([\\s\\S]+))?$`);
+}
+
+class BotCore {
+  /**
+   * @param {Object} [options]
+   * @param {TelegramBot} [options.bot] - Bot to use instead of one created from `token`
+   * @param {string} [options.token] - Bot token (TELEGRAM_BOT_TOKEN)
+   * @param {boolean} [options.polling] - Long poll for updates (otherwise feed them with processUpdate)
+   * @param {string|Object} [options.ai] - AI provider, see resolveAI
+   * @param {Object} [options.features] - Feature flags ({ payments, offers })
+   * @param {Object} [options.conversations] - Conversation manager
+   * @param {Object} [options.health] - Health monitor
+   * @param {Function} [options.onError] - Called with bot and polling errors
+   */
+  constructor({
+    bot = null,
+    token = process.env.TELEGRAM_BOT_TOKEN,
+    polling = true,
+    ai = 'zai',
+    features = {},
+    conversations = conversationManager,
+    health = healthMonitor,
+    onError = null
+  } = {}) {
+    this.polling = polling;
+    this.bot = bot || new TelegramBot(token, {
+      polling: polling ? { interval: 300, autoStart: true, params: { timeout: 10 } } : false
+    });
+    this.aiName = typeof ai === 'string' ? ai : (ai ? 'custom' : 'none');
+    this.ai = resolveAI(ai);
+    this.features = { ...DEFAULT_FEATURES, ...features };
+    this.conversations = conversations;
+    this.health = health;
+    this.onError = onError;
+
+    this.commands = new Map();
+    this.actions = [];
+    this.textHandlers = [];
+    this.messageHandlers = [];
+    this.menu = [];
+    this.modules = [];
+    this.listening = false;
+    // Listener promises collected while processUpdate is feeding an update
+    this.pending = null;
+
+    this.registerBuiltins();
+  }
+
+  /**
+   * Register a command module
+   * @param {{ name: string, register: Function }} module
+   */
+  use(module) {
+    module.register(this);
+    this.modules.push(module.name);
+    return this;
+  }
+
+  /**
+   * Register a slash command; a later registration with the same name replaces the earlier one
+   * @param {string} name - Without the slash
+   * @param {string|null} description - Line for /help; null keeps the command out of it
+   * @param {Function} handler - (msg, args) where args is the text after the command
+   * @param {Object} [options]
+   * @param {RegExp} [options.pattern] - Match to use instead of the default command pattern
+   */
+  command(name, description, handler, { pattern = commandPattern(name) } = {}) {
+    this.commands.set(name, { description, handler, pattern });
+    return this;
+  }
+
+  /**
+   * Register a callback button handler
+   * @param {string|RegExp|Function} matcher - Exact callback_data, a pattern, or a predicate
+   * @param {Function} handler - (callbackQuery, match)
+   */
+  action(matcher, handler) {
+    this.actions.push({ matcher, handler });
+    return this;
+  }
+
+  /**
+   * Register a free-text handler. Handlers run in registration order until one
+   * returns true, so the general conversation module goes last.
+   * @param {Function} handler - (msg) => Promise<boolean>
+   */
+  text(handler) {
+    this.textHandlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Register a handler for every non-text message (payments, media)
+   */
+  message(handler) {
+    this.messageHandlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Add buttons to the /start menu
+   */
+  addMenu(...buttons) {
+    this.menu.push(...buttons);
+    return this;
+  }
+
+  reply(chatId, text, keyboard = null) {
+    return this.bot.sendMessage(chatId, text, keyboard ? { reply_markup: keyboard } : {});
+  }
+
+  /**
+   * Wrap a handler so failures are logged, counted and answered with a friendly message.
+   * The failure is then rethrown for processUpdate; see track.
+   * @param {Function} handler - Receives a message or a callback query
+   */
+  safeHandler(handler) {
+    return async (update, ...args) => {
+      const startTime = Date.now();
+      const chatId = (update.message || update).chat?.id;
+      const userId = update.from ? update.from.id : null;
+      const command = update.text || update.data;
+
+      try {
+        logger.userAction(userId, 'command', { command, chat_id: chatId });
+
+        await handler(update, ...args);
+
+        const duration = Date.now() - startTime;
+        this.health.recordRequest(true, duration);
+        logger.performance('command_handler', duration, { command, user_id: userId });
+      } catch (error) {
+        this.health.recordRequest(false, Date.now() - startTime);
+        this.health.recordError(error);
+
+        const errorResponse = await errorHandler.handle(error, { user_id: userId, chat_id: chatId, command });
+        if (chatId) {
+          try {
+            await this.bot.sendMessage(chatId, errorResponse.error.message);
+          } catch (sendError) {
+            logger.error('Failed to send error message', sendError);
+          }
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Wrap a bot listener so processUpdate can wait for it. Outside processUpdate (polling)
+   * its failure has been handled by the listener and is dropped.
+   * @param {Function} listener - Async listener that handles its own errors, then rethrows
+   */
+  track(listener) {
+    return (...args) => {
+      const handled = Promise.resolve(listener(...args));
+      if (this.pending) {
+        this.pending.push(handled);
+      } else {
+        handled.catch(() => {});
+      }
+      return handled;
+    };
+  }
+
+  /**
+   * Feed an update (webhook mode) and wait for every listener it reaches
+   * @throws The first listener failure, so the caller can have Telegram deliver it again
+   */
+  async processUpdate(update) {
+    const pending = [];
+    // The bot emits synchronously, so only this update's listeners land in `pending`
+    this.pending = pending;
+    try {
+      this.bot.processUpdate(update);
+    } finally {
+      this.pending = null;
+    }
+
+    const failure = (await Promise.allSettled(pending)).find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * /start and /help; a module may register its own versions
+   */
+  registerBuiltins() {
+    this.command('start', 'بدء المحادثة', msg => this.sendWelcome(msg.chat.id));
+    this.command('help', 'عرض هذه المساعدة', msg => this.sendHelp(msg.chat.id));
+    // The help button shows whichever /help is registered last
+    this.action('help', query => this.commands.get('help').handler({ chat: query.message.chat, from: query.from }, ''));
+  }
+
+  async sendWelcome(chatId) {
+    const features = [
+      '✈️ تخطيط رحلاتك المثالية',
+      '💰 إدارة ميزانيتك بذكاء',
+      '🗺️ اكتشاف وجهات جديدة',
+      this.features.offers && '🎁 عروض سفر مختارة لك',
+      this.features.payments && '🔗 دفع آمن للحجوزات',
+      this.ai ? '🤖 نصائح سفر شخصية بالذكاء الاصطناعي' : '🤖 نصائح سفر شخصية'
+    ].filter(Boolean);
+
+    const buttons = [...this.menu, { text: '❓ المساعدة', callback_data: 'help' }];
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+      rows.push(buttons.slice(i, i + 2));
+    }
+    rows.push([{ text: '🌐 فتح التطبيق', web_app: { url: process.env.WEB_APP_URL || 'http://localhost:3000' } }]);
+
+    await this.reply(chatId,
+      '🌍 مرحباً بك في Maya Trips!\n\n' +
+      'أنا مساعد السفر الذكي الذي سيساعدك في:\n\n' +
+      `${features.join('\n')}\n\n` +
+      '🚀 اختر من القائمة أو اكتب لي مباشرة. متاح 24/7 لخدمتك!',
+      { inline_keyboard: rows }
+    );
+  }
+
+  /**
+   * `/name - description` for every command shown in /help
+   */
+  commandList() {
+    return [...this.commands.entries()]
+      .filter(([, command]) => command.description)
+      .map(([name, command]) => `/${name} - ${command.description}`);
+  }
+
+  async sendHelp(chatId) {
+    await this.reply(chatId,
+      '🆘 مساعدة Maya Trips\n\n' +
+      `الأوامر المتاحة:\n${this.commandList().join('\n')}\n\n` +
+      '💬 يمكنك أيضاً كتابة اسم وجهة أو أي سؤال عن السفر.\n\n' +
+      SUPPORT_CONTACT
+    );
+  }
+
+  /**
+   * Route a callback button. The query is answered first so the button stops
+   * spinning even when the handler is slow.
+   */
+  async handleCallbackQuery(query) {
+    try {
+      await this.bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      logger.warn('Failed to answer callback query', { error: error.message });
+    }
+
+    const data = query.data || '';
+    for (const { matcher, handler } of this.actions) {
+      let match = null;
+      if (typeof matcher === 'string') match = matcher === data ? [data] : null;
+      else if (matcher instanceof RegExp) match = data.match(matcher);
+      else match = matcher(data) ? [data] : null;
+
+      if (match) {
+        await handler(query, match);
+        return;
+      }
+    }
+
+    await this.reply(query.message.chat.id, 'شكراً! كيف يمكنني مساعدتك؟');
+  }
+
+  async handleMessage(msg) {
+    if (typeof msg.text === 'string') {
+      for (const handler of this.textHandlers) {
+        if (await handler(msg)) return;
+      }
+      return;
+    }
+
+    for (const handler of this.messageHandlers) {
+      await handler(msg);
+    }
+  }
+
+  /**
+   * Attach the registered handlers to the bot (once, after the modules are in)
+   */
+  listen() {
+    if (this.listening) return this;
+    this.listening = true;
+
+    for (const { handler, pattern } of this.commands.values()) {
+      this.bot.onText(pattern, this.track(this.safeHandler((msg, match) => handler(msg, match[1] ? match[1].trim() : ''))));
+    }
+    this.bot.on('callback_query', this.track(this.safeHandler(query => this.handleCallbackQuery(query))));
+    const onMessage = this.safeHandler(msg => this.handleMessage(msg));
+    this.bot.on('message', this.track(async (msg) => {
+      // Commands are handled (and logged) by their onText handler
+      if (typeof msg.text === 'string' && msg.text.startsWith('/')) return;
+      await onMessage(msg);
+    }));
+
+    for (const event of ['polling_error', 'error']) {
+      this.bot.on(event, (error) => {
+        errorHandler.handle(error, { source: event === 'error' ? 'telegram_bot' : 'telegram_polling' });
+        if (this.onError) this.onError(error);
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Startup health checks (Telegram, database and the AI provider in use)
+   */
+  async checkHealth() {
+    await this.health.checkTelegramHealth(this.bot);
+    await this.health.checkSupabaseHealth();
+    const ai = this.ai ? await this.ai.healthCheck() : null;
+
+    const health = this.health.getHealth();
+    logger.info('Initial health check complete', {
+      status: health.status,
+      telegram: health.apis.telegram.status,
+      database: health.apis.supabase.status,
+      ai: this.aiName,
+      ai_status: ai ? ai.status : 'disabled'
+    });
+    return { ...health, ai };
+  }
+
+  async stop() {
+    if (this.polling) {
+      await this.bot.stopPolling();
+    }
+  }
+}
+
+module.exports = {
+  BotCore,
+  resolveAI,
+  commandPattern,
+  AI_PROVIDERS,
+  DEFAULT_FEATURES
+};
@@ -0,0 +1,85 @@
+/**
+ * Maya Telegram Bot for Maya Travel Agent
+ * Builds the standalone bot from the shared core and command modules. The AI
+ * provider and feature flags come from the environment (or options):
+ *  - TELEGRAM_BOT_AI: zai (default), gemini or none
+ *  - TELEGRAM_BOT_PAYMENTS, TELEGRAM_BOT_OFFERS: true (default) or false
+ * telegram-bot.js, telegram-bot-gemini.js and telegram-bot-no-ai.js all start it.
+ */
+
+const logger = require('../../utils/logger');
+const { errorHandler } = require('../../utils/errorHandler');
+const { BotCore, DEFAULT_FEATURES } = require('./botCore');
+const system = require('./modules/system');
+const planning = require('./modules/planning');
+const offers = require('./modules/offers');
+const payments = require('./modules/payments');
+const chat = require('./modules/chat');
+
+function flag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return !['false', '0', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * AI provider and feature flags from the environment
+ */
+function botOptionsFromEnv(env = process.env) {
+  return {
+    ai: (env.TELEGRAM_BOT_AI || 'zai').trim().toLowerCase(),
+    features: {
+      payments: flag(env.TELEGRAM_BOT_PAYMENTS, DEFAULT_FEATURES.payments),
+      offers: flag(env.TELEGRAM_BOT_OFFERS, DEFAULT_FEATURES.offers)
+    }
+  };
+}
+
+/**
+ * A bot with the modules its features call for, listening for updates
+ * @param {Object} [options] - BotCore options; `ai` and `features` override the environment
+ */
+function createMayaBot(options = {}) {
+  const fromEnv = botOptionsFromEnv();
+  const core = new BotCore({
+    ...fromEnv,
+    ...options,
+    features: { ...fromEnv.features, ...options.features }
+  });
+
+  core.use(planning);
+  if (core.features.offers) core.use(offers);
+  if (core.features.payments) core.use(payments);
+  core.use(system);
+  // Free text nobody else claimed
+  core.use(chat);
+
+  return core.listen();
+}
+
+/**
+ * Start the standalone bot: graceful shutdown and startup health checks
+ */
+function runMayaBot(options = {}) {
+  const core = createMayaBot(options);
+
+  errorHandler.setupGracefulShutdown(async () => {
+    logger.info('Stopping Telegram bot...');
+    await core.stop();
+    logger.info('Bot stopped successfully');
+  });
+
+  logger.info('Performing initial health checks...');
+  core.checkHealth().catch(error => logger.error('Initial health check failed', error));
+
+  logger.info('🤖 Maya Travel Bot started successfully!', {
+    ai: core.ai ? core.aiName : 'none',
+    modules: core.modules
+  });
+  return core;
+}
+
+module.exports = {
+  createMayaBot,
+  runMayaBot,
+  botOptionsFromEnv
+};
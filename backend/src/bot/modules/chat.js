@@ -0,0 +1,88 @@
+/**
+ * Conversation Bot Module for Maya Travel Agent
+ * Free text that no other module claimed; trip planning is answered by the planning
+ * module before it gets here. Every message is read by the NLU (the AI when there is
+ * one, the keyword rules otherwise). With an AI provider the message is answered by
+ * the AI with the recent history and that reading; without one it replies with the
+ * built-in destination guides and menus. Registered last.
+ */
+
+const MayaPersona = require('../../ai/mayaPersona');
+const { NLU } = require('../../ai/nlu');
+const { findDestination, budgetKeyboard, DESTINATION_GUIDES } = require('./planning');
+
+const menuKeyboard = core => ({
+  inline_keyboard: [
+    [
+      { text: '🚀 تخطيط رحلة', callback_data: 'new_trip' },
+      { text: '💰 الميزانية', callback_data: 'budget' }
+    ],
+    [
+      core.features.offers
+        ? { text: '🎁 العروض', callback_data: 'offers' }
+        : { text: '📊 الإحصائيات', callback_data: 'stats' },
+      { text: '❓ المساعدة', callback_data: 'help' }
+    ]
+  ]
+});
+
+/**
+ * Reply without AI
+ * @returns {{ text: string, keyboard: Object|null }}
+ */
+function cannedReply(core, text, understanding) {
+  const destination = findDestination(text);
+  if (destination) {
+    return { text: DESTINATION_GUIDES[destination], keyboard: null };
+  }
+  if (understanding.intent === 'budget_inquiry') {
+    return { text: '💰 دعني أساعدك في تخطيط ميزانيتك!\n\nاختر نطاق ميزانيتك:', keyboard: budgetKeyboard() };
+  }
+  return { text: '👋 شكراً لرسالتك!\n\nكيف يمكنني مساعدتك اليوم؟', keyboard: menuKeyboard(core) };
+}
+
+/**
+ * Reply with AI, given the recent history and the NLU's reading of the message
+ */
+async function aiReply(core, persona, userId, text) {
+  const { conversations, ai } = core;
+  const understanding = await persona.analyzeMessage(text);
+  const history = await conversations.getHistory(userId, 10);
+  const conversationHistory = history.slice(0, -1).map(entry => ({
+    role: entry.is_user ? 'user' : 'assistant',
+    content: entry.message
+  }));
+  const response = await ai.generateChatResponse(text, conversationHistory, persona.describeMessage(understanding));
+  return response.success
+    ? { text: response.content, keyboard: null }
+    : { text: 'شكراً لرسالتك! كيف يمكنني مساعدتك؟', keyboard: menuKeyboard(core) };
+}
+
+function register(core) {
+  const { conversations } = core;
+  const persona = new MayaPersona({ nlu: new NLU({ ai: core.ai }) });
+
+  core.text(async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    await conversations.addMessage(userId, msg.text, true);
+
+    let reply;
+    if (core.ai) {
+      await core.bot.sendChatAction(chatId, 'typing');
+      reply = await aiReply(core, persona, userId, msg.text);
+    } else {
+      reply = cannedReply(core, msg.text, await persona.analyzeMessage(msg.text));
+    }
+
+    await core.reply(chatId, reply.text, reply.keyboard);
+    await conversations.addMessage(userId, reply.text, false);
+    return true;
+  });
+}
+
+module.exports = {
+  name: 'chat',
+  register
+};
@@ -0,0 +1,103 @@
+/**
+ * Travel Offers Bot Module for Maya Travel Agent
+ * Lists offers (personalized once the user has a profile), records interest and
+ * holds a place through the booking service. Enabled by the `offers` feature flag.
+ */
+
+const { BookingService, bookingService } = require('../../bookings/bookingService');
+
+const OFFERS_PER_PAGE = 3;
+
+// Holds from the bot start two weeks out; the user can change dates in the mini app
+const DEFAULT_LEAD_DAYS = 14;
+
+function formatOffer(offer) {
+  const lines = [`📍 ${offer.title}`, `💰 السعر: $${offer.price}${offer.discount_percentage ? ` (خصم ${offer.discount_percentage}%)` : ''}`];
+  if (offer.duration_days) lines.push(`⏱️ المدة: ${offer.duration_days} أيام`);
+  if (Array.isArray(offer.includes) && offer.includes.length > 0) {
+    lines.push(`✨ يشمل:\n${offer.includes.map(item => `• ${item}`).join('\n')}`);
+  }
+  return lines.join('\n');
+}
+
+const offerButtons = offer => [
+  { text: '✅ أعجبني', callback_data: `offer_like_${offer.id}` },
+  { text: '💳 احجز الآن', callback_data: `offer_book_${offer.id}` }
+];
+
+function register(core) {
+  const { conversations } = core;
+
+  const sendOffers = async (chatId, userId) => {
+    const offers = (await conversations.getRecommendations(userId) || []).slice(0, OFFERS_PER_PAGE);
+    if (offers.length === 0) {
+      await core.reply(chatId, '😔 لا توجد عروض متاحة حالياً. سأخبرك عند توفر عروض جديدة!');
+      return;
+    }
+
+    await core.reply(chatId,
+      `🎁 عروض مختارة لك:\n\n${offers.map(formatOffer).join('\n\n')}`,
+      { inline_keyboard: offers.map(offerButtons) }
+    );
+  };
+
+  core.addMenu({ text: '🎁 العروض المتاحة', callback_data: 'offers' });
+
+  core.command('offers', 'العروض المتاحة', msg => sendOffers(msg.chat.id, msg.from.id));
+  core.action(data => data === 'offers' || data === 'more_offers', query => sendOffers(query.message.chat.id, query.from.id));
+
+  core.action(/^offer_like_(.+)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    let offer;
+    try {
+      offer = await bookingService.getOffer(match[1]);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      await core.reply(chatId, 'عذراً، لم أتمكن من العثور على هذا العرض.');
+      return;
+    }
+
+    await conversations.db.trackOfferInteraction(query.from.id, offer.id, 'click', { price: offer.price });
+    await core.reply(chatId, '👍 تم حفظ اهتمامك بهذا العرض!');
+  });
+
+  core.action(/^offer_book_(.+)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    let booking;
+    try {
+      booking = await bookingService.hold({
+        channel: 'telegram',
+        telegramId: query.from.id,
+        offerId: match[1],
+        startDate: BookingService.addDays(new Date(), DEFAULT_LEAD_DAYS),
+        travelers: 1
+      });
+    } catch (error) {
+      await core.reply(chatId, error.statusCode === 409
+        ? '😔 عذراً، لا توجد أماكن متاحة لهذا العرض حالياً.'
+        : 'عذراً، لم أتمكن من إنشاء الحجز. يرجى المحاولة مرة أخرى.');
+      return;
+    }
+
+    await conversations.db.trackOfferInteraction(query.from.id, match[1], 'book');
+
+    const holdMinutes = Math.round((new Date(booking.hold_expires_at).getTime() - Date.now()) / 60000);
+    await core.reply(chatId,
+      '✅ تم حجز مكانك مؤقتاً!\n\n' +
+      `• رقم الحجز: ${booking.booking_reference}\n` +
+      `• الوجهة: ${booking.destination}\n` +
+      `• التاريخ: ${booking.start_date} → ${booking.end_date}\n` +
+      `• الإجمالي: ${Number(booking.total_price)} ${booking.currency}\n\n` +
+      `⏳ يرجى إتمام الدفع خلال ${holdMinutes} دقيقة وإلا سيُلغى الحجز تلقائياً.`,
+      core.features.payments
+        ? { inline_keyboard: [[{ text: '💳 الدفع عبر تيليجرام', callback_data: `pay_booking_${booking.id}` }]] }
+        : null
+    );
+  });
+}
+
+module.exports = {
+  name: 'offers',
+  register,
+  formatOffer
+};
@@ -0,0 +1,139 @@
+/**
+ * Payments Bot Module for Maya Travel Agent
+ * /payment, amounts typed into the chat, Stripe payment links, Telegram invoices for
+ * amounts and held bookings, and the receipt after a successful payment. Enabled by
+ * the `payments` feature flag.
+ */
+
+const PaymentService = require('../../payments/paymentService');
+const { telegramPayments } = require('../../payments/telegramPayments');
+const { bookingService } = require('../../bookings/bookingService');
+const { identityService } = require('../../auth/identityService');
+
+const AMOUNT_PATTERN = /^(\d+(?:\.\d{1,2})?)$/;
+const MAX_AMOUNT = 10000;
+
+const PROMPT_AMOUNT = '💳 نظام الدفع الآمن\n\nأدخل المبلغ المطلوب:\nمثال: 100.50';
+
+function register(core) {
+  // Pre-checkout validation and payment records for invoices sent by this bot
+  telegramPayments.attach(core.bot, { track: listener => core.track(listener) });
+
+  core.addMenu({ text: '💳 الدفع', callback_data: 'payment' });
+
+  core.command('payment', 'إنشاء رابط دفع آمن', msg => core.reply(msg.chat.id,
+    '💳 نظام الدفع الآمن - Maya Trips\n\n' +
+    '✨ الميزات:\n' +
+    '• 🔒 حماية SSL متقدمة\n' +
+    '• 💳 دعم جميع بطاقات الائتمان\n' +
+    '• 🌍 دعم العملات المتعددة\n' +
+    '• ⚡ تأكيد فوري للدفع\n\n' +
+    'أدخل المبلغ المطلوب:\nمثال: 100.50'
+  ));
+
+  core.action(/^payment(?:_(stripe|direct|paypal|telegram))?$/, query => core.reply(query.message.chat.id, PROMPT_AMOUNT));
+
+  // An amount on its own starts a payment
+  core.text(async (msg) => {
+    const match = msg.text.trim().match(AMOUNT_PATTERN);
+    if (!match) return false;
+
+    const amount = parseFloat(match[1]);
+    if (!(amount > 0 && amount <= MAX_AMOUNT)) {
+      await core.reply(msg.chat.id, '❌ المبلغ غير صحيح. يرجى إدخال مبلغ بين $0.01 و $10,000');
+      return true;
+    }
+
+    await core.reply(msg.chat.id,
+      `💳 تأكيد الدفع\n\nالمبلغ: $${amount.toFixed(2)}\nالوصف: Maya Trips Payment\n\nاختر طريقة الدفع:`,
+      {
+        inline_keyboard: [
+          [
+            { text: '🔗 رابط دفع Stripe', callback_data: `link_stripe_${amount}` },
+            { text: '📱 Telegram', callback_data: `pay_telegram_${amount}` }
+          ]
+        ]
+      }
+    );
+    return true;
+  });
+
+  core.action(/^link_stripe_(\d+(?:\.\d+)?)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    const amount = parseFloat(match[1]);
+
+    try {
+      const response = await fetch(`${process.env.API_URL || 'http://localhost:5000'}/api/payment/create-payment-link`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Admin-Key': process.env.ADMIN_API_KEY || ''
+        },
+        body: JSON.stringify({ amount, currency: 'USD', description: 'Maya Trips Payment' })
+      });
+      const result = await response.json();
+
+      if (!result.success || !result.paymentLink) {
+        await core.reply(chatId, `❌ خطأ في إنشاء رابط الدفع: ${result.error}`);
+        return;
+      }
+      await core.reply(chatId,
+        `🔗 تم إنشاء رابط الدفع بنجاح!\n\nالمبلغ: $${amount.toFixed(2)}\nالرابط: ${result.paymentLink.url}`,
+        { inline_keyboard: [[{ text: '🔗 فتح الرابط', url: result.paymentLink.url }]] }
+      );
+    } catch (error) {
+      await core.reply(chatId, '❌ خطأ في الشبكة. يرجى المحاولة مرة أخرى.');
+    }
+  });
+
+  core.action(/^pay_booking_(.+)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    const booking = await bookingService.getBooking(match[1]);
+    if (!booking || String(booking.telegram_id) !== String(query.from.id)) {
+      await core.reply(chatId, 'عذراً، لم أتمكن من العثور على هذا الحجز.');
+      return;
+    }
+
+    try {
+      await telegramPayments.sendInvoice({
+        chatId,
+        bookingId: booking.id,
+        title: `Maya Trips - ${booking.destination}`,
+        description: `Booking ${booking.booking_reference}`
+      });
+    } catch (error) {
+      await core.reply(chatId, error.statusCode === 409
+        ? '⌛ انتهت صلاحية هذا الحجز أو تم دفعه مسبقاً. يمكنك إنشاء حجز جديد.'
+        : 'عذراً، لم أتمكن من إنشاء فاتورة الدفع. يرجى المحاولة لاحقاً.');
+    }
+  });
+
+  core.action(/^pay_(?:stripe|paypal|telegram)_(\d+(?:\.\d+)?)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    const amount = parseFloat(match[1]);
+
+    const identity = await identityService.resolveTelegramUser(query.from);
+    const result = await PaymentService.createTelegramPayment(amount, 'USD', 'Maya Trips Payment', chatId, {
+      profileId: identity.id
+    });
+    await core.reply(chatId, result.success
+      ? `✅ تم إرسال الفاتورة بنجاح!\n\nمعرف الدفع: ${result.data.id}\nالمبلغ: $${amount.toFixed(2)}\n\nاضغط على زر الدفع في الفاتورة لإتمام العملية.`
+      : `❌ خطأ في الدفع: ${result.error}`);
+  });
+
+  core.message(async (msg) => {
+    if (!msg.successful_payment) return;
+    const payment = msg.successful_payment;
+    await core.reply(msg.chat.id,
+      '🎉 تم الدفع بنجاح!\n\n' +
+      `المبلغ: ${(payment.total_amount / 100).toFixed(2)} ${payment.currency}\n` +
+      `معرف الدفع: ${payment.telegram_payment_charge_id}\n\n` +
+      'شكراً لاستخدام Maya Trips! 🚀'
+    );
+  });
+}
+
+module.exports = {
+  name: 'payments',
+  register
+};
@@ -0,0 +1,226 @@
+/**
+ * Trip Planning Bot Module for Maya Travel Agent
+ * /trip and /budget, the destination and budget buttons, and the answers of the
+ * trip-planning wizard (registered first, so a bare number answering "how many
+ * travelers?" is not taken for a payment amount). With an AI provider the replies
+ * carry destination insights, a budget analysis and an AI itinerary; without one
+ * they use the built-in guides below.
+ */
+
+const { TripWizard } = require('../../trips/tripWizard');
+const { formatOffer } = require('./offers');
+
+const DESTINATIONS = {
+  turkey: 'تركيا',
+  dubai: 'دبي',
+  malaysia: 'ماليزيا',
+  thailand: 'تايلاند'
+};
+
+const DESTINATION_GUIDES = {
+  'تركيا': '🇹🇷 تركيا وجهة رائعة!\n\n✨ أفضل الأماكن:\n• إسطنبول - المدينة التي تجمع بين الشرق والغرب\n• كابادوكيا - المناظر الطبيعية الخلابة\n• أنطاليا - الشواطئ الجميلة\n\n💰 الميزانية المقترحة: $1000-2000 لمدة أسبوع\n📅 أفضل وقت: أبريل-يونيو أو سبتمبر-نوفمبر',
+  'دبي': '🇦🇪 دبي - مدينة المستقبل!\n\n✨ أفضل الأماكن:\n• برج خليفة - أطول برج في العالم\n• دبي مول - أكبر مول تجاري\n• نخلة جميرا - جزيرة اصطناعية\n\n💰 الميزانية المقترحة: $1500-3000 لمدة أسبوع\n📅 أفضل وقت: نوفمبر-مارس',
+  'ماليزيا': '🇲🇾 ماليزيا - آسيا الساحرة!\n\n✨ أفضل الأماكن:\n• كوالالمبور - العاصمة الحديثة\n• لنكاوي - جزيرة الأحلام\n• بينانج - الطعام والثقافة\n\n💰 الميزانية المقترحة: $800-1500 لمدة أسبوع\n📅 أفضل وقت: ديسمبر-فبراير',
+  'تايلاند': '🇹🇭 تايلاند - أرض الابتسامات!\n\n✨ أفضل الأماكن:\n• بانكوك - العاصمة النابضة\n• بوكيت - الشواطئ الاستوائية\n• شيانغ ماي - الثقافة والطبيعة\n\n💰 الميزانية المقترحة: $700-1200 لمدة أسبوع\n📅 أفضل وقت: نوفمبر-فبراير'
+};
+
+const BUDGET_LEVELS = {
+  low: {
+    range: 'أقل من $500',
+    amount: 500,
+    advice: '✅ نصائح:\n• اختر hostels أو فنادق 2-3 نجوم\n• استخدم المواصلات العامة\n• تناول الطعام في المطاعم المحلية\n• ابحث عن الأنشطة المجانية\n• احجز مبكراً للحصول على أفضل الأسعار'
+  },
+  medium: {
+    range: '$500-1000',
+    amount: 750,
+    advice: '✅ نصائح:\n• فنادق 3-4 نجوم\n• مزيج من المواصلات العامة والخاصة\n• تنوع في المطاعم\n• بعض الأنشطة المدفوعة\n• خطط جيداً للحصول على قيمة أفضل'
+  },
+  high: {
+    range: '$1000-3000',
+    amount: 2000,
+    advice: '✅ نصائح:\n• فنادق 4-5 نجوم\n• مواصلات خاصة\n• مطاعم راقية\n• جميع الأنشطة السياحية\n• تجارب فاخرة'
+  },
+  premium: {
+    range: 'أكثر من $3000',
+    amount: 5000,
+    advice: '✅ نصائح:\n• فنادق 5 نجوم فاخرة\n• سائق خاص\n• مطاعم عالمية\n• تجارب VIP\n• خدمات كونسيرج'
+  }
+};
+
+const destinationKeyboard = () => ({
+  inline_keyboard: [
+    [
+      { text: '🇹🇷 تركيا', callback_data: 'dest_turkey' },
+      { text: '🇦🇪 دبي', callback_data: 'dest_dubai' }
+    ],
+    [
+      { text: '🇲🇾 ماليزيا', callback_data: 'dest_malaysia' },
+      { text: '🇹🇭 تايلاند', callback_data: 'dest_thailand' }
+    ]
+  ]
+});
+
+const budgetKeyboard = () => ({
+  inline_keyboard: [
+    [
+      { text: '💵 أقل من $500', callback_data: 'budget_low' },
+      { text: '💵 $500-1000', callback_data: 'budget_medium' }
+    ],
+    [
+      { text: '💵 $1000-3000', callback_data: 'budget_high' },
+      { text: '💵 أكثر من $3000', callback_data: 'budget_premium' }
+    ]
+  ]
+});
+
+/**
+ * The destination named in a message, in Arabic
+ */
+function findDestination(text) {
+  const lower = text.toLowerCase();
+  const arabic = Object.keys(DESTINATION_GUIDES).find(name => text.includes(name));
+  if (arabic) return arabic;
+  // Button keys double as the English names
+  const english = Object.keys(DESTINATIONS).find(name => lower.includes(name));
+  return english ? DESTINATIONS[english] : null;
+}
+
+const resumeKeyboard = () => ({
+  inline_keyboard: [[
+    { text: '▶️ متابعة', callback_data: 'wizard_resume' },
+    { text: '🔄 رحلة جديدة', callback_data: 'wizard_restart' }
+  ]]
+});
+
+/**
+ * A wizard step as a Telegram reply: the buttons for the question being asked, and
+ * an offer after a finished plan when offers are enabled
+ */
+async function present(core, userId, step) {
+  if (step.slot === 'destination') return { text: step.text, keyboard: destinationKeyboard() };
+  if (step.slot === 'budget') return { text: step.text, keyboard: budgetKeyboard() };
+  if (step.slot === 'resume') return { text: step.text, keyboard: resumeKeyboard() };
+
+  if (step.done && core.features.offers) {
+    const [offer] = await core.conversations.getRecommendations(userId) || [];
+    if (offer) {
+      return {
+        text: `${step.text}\n\n🎁 لدي عرض رائع لك:\n\n${formatOffer(offer)}`,
+        keyboard: {
+          inline_keyboard: [
+            [
+              { text: '✅ أعجبني', callback_data: `offer_like_${offer.id}` },
+              { text: '💳 احجز الآن', callback_data: `offer_book_${offer.id}` }
+            ],
+            [{ text: '🔍 عروض أخرى', callback_data: 'more_offers' }]
+          ]
+        }
+      };
+    }
+  }
+  return { text: step.text, keyboard: null };
+}
+
+function register(core) {
+  const { conversations } = core;
+  const wizard = new TripWizard({ conversations, ai: core.ai });
+  const typing = chatId => () => core.bot.sendChatAction(chatId, 'typing');
+
+  const send = async (chatId, userId, step, intro = null) => {
+    const reply = await present(core, userId, step);
+    await core.reply(chatId, intro ? `${intro}\n\n${reply.text}` : reply.text, reply.keyboard);
+    return reply;
+  };
+
+  const startTrip = async (chatId, userId) => send(chatId, userId, await wizard.start(userId), '🚀 تخطيط رحلة جديدة');
+
+  const askBudget = chatId => core.reply(chatId, '💰 إدارة الميزانية\n\nما هي ميزانيتك للسفر؟', budgetKeyboard());
+
+  core.addMenu(
+    { text: '🚀 تخطيط رحلة جديدة', callback_data: 'new_trip' },
+    { text: '💰 إدارة الميزانية', callback_data: 'budget' }
+  );
+
+  core.command('trip', 'تخطيط رحلة جديدة', msg => startTrip(msg.chat.id, msg.from.id));
+  core.command('budget', 'إدارة الميزانية', msg => askBudget(msg.chat.id));
+
+  core.action('new_trip', query => startTrip(query.message.chat.id, query.from.id));
+  core.action('budget', query => askBudget(query.message.chat.id));
+  core.action('wizard_resume', async (query) => {
+    const chatId = query.message.chat.id;
+    await send(chatId, query.from.id, await wizard.resume(query.from.id, { beforePlan: typing(chatId) }));
+  });
+  core.action('wizard_restart', async (query) => {
+    await send(query.message.chat.id, query.from.id, await wizard.restart(query.from.id));
+  });
+
+  core.action(/^dest_(\w+)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    const destination = DESTINATIONS[match[1]] || match[1];
+    const step = await wizard.fill(query.from.id, { destination }, { beforePlan: typing(chatId) });
+
+    let message = DESTINATION_GUIDES[destination] || `✈️ اخترت ${destination}!`;
+    if (core.ai) {
+      await core.bot.sendChatAction(chatId, 'typing');
+      const insights = await core.ai.generateDestinationInsights(destination, 'leisure');
+      if (insights.success) {
+        message = `✈️ ${destination} - وجهة رائعة!\n\n${insights.content}`;
+      }
+    }
+    await send(chatId, query.from.id, step, message);
+  });
+
+  core.action(/^budget_(low|medium|high|premium)$/, async (query, match) => {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const level = BUDGET_LEVELS[match[1]];
+    const context = await conversations.getContext(userId);
+    const { destination, travelers, startDate, endDate } = context.data;
+
+    let message = level.advice;
+    if (core.ai && destination) {
+      await core.bot.sendChatAction(chatId, 'typing');
+      const analysis = await core.ai.generateBudgetAnalysis({
+        destination,
+        duration: startDate && endDate ? TripWizard.nights(context.data) : 7,
+        travelers: travelers || 1
+      }, level.amount);
+      if (analysis.success) {
+        message = analysis.content;
+      }
+    }
+
+    const intro = `💰 ميزانيتك: ${level.range}\n\n${message}`;
+    // Outside a trip plan the button only gives advice
+    if (!wizard.isActive(context)) {
+      await core.reply(chatId, intro);
+      return;
+    }
+    const step = await wizard.fill(userId, { ...TripWizard.budgetValues(level.amount, 'USD'), budget: level.range }, { beforePlan: typing(chatId) });
+    await send(chatId, userId, step, intro);
+  });
+
+  // Answers while a plan is in progress, and a destination named from idle
+  core.text(async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const step = await wizard.handle(userId, msg.text, { beforePlan: typing(chatId) });
+    if (!step) return false;
+
+    await conversations.addMessage(userId, msg.text, true);
+    const reply = await send(chatId, userId, step);
+    await conversations.addMessage(userId, reply.text, false);
+    return true;
+  });
+}
+
+module.exports = {
+  name: 'planning',
+  register,
+  findDestination,
+  destinationKeyboard,
+  budgetKeyboard,
+  DESTINATIONS,
+  DESTINATION_GUIDES,
+  BUDGET_LEVELS
+};
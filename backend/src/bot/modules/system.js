@@ -0,0 +1,69 @@
+/**
+ * System Bot Module for Maya Travel Agent
+ * The user's conversation statistics, system health, settings and support contact
+ */
+
+const AI_LABELS = {
+  zai: 'Z.ai',
+  gemini: 'Google Gemini'
+};
+
+const SUPPORT_MESSAGE = '📞 الدعم الفني\n\nتواصل معنا:\n📧 support@mayatrips.com\n💬 @MayaTripsSupport';
+
+function register(core) {
+  const { conversations, health } = core;
+
+  const sendStats = async (chatId, userId) => {
+    const summary = await conversations.getSummary(userId);
+    const system = health.getMetricsSummary();
+
+    await core.reply(chatId,
+      '📊 إحصائياتك\n\n' +
+      `💬 عدد الرسائل: ${summary.messageCount}\n` +
+      `⏱️ مدة الجلسة: ${Math.floor(summary.sessionDuration / 60000)} دقيقة\n` +
+      `📝 البيانات المجمعة: ${summary.dataCollected} عنصر\n` +
+      '\n🤖 حالة النظام:\n' +
+      `✅ الحالة: ${system.status === 'healthy' ? 'جيد' : 'متدهور'}\n` +
+      `⏰ وقت التشغيل: ${system.uptime}\n` +
+      `📈 معدل النجاح: ${system.successRate}`
+    );
+  };
+
+  const sendHealth = async (chatId) => {
+    const status = health.getHealth();
+    const mark = api => (api && api.status === 'healthy' ? '✅' : '⚠️');
+    const ai = core.ai ? (AI_LABELS[core.aiName] || core.aiName) : 'غير مفعّل';
+
+    await core.reply(chatId,
+      '🏥 حالة النظام\n\n' +
+      `الحالة: ${status.status === 'healthy' ? '✅ جيد' : '⚠️ متدهور'}\n` +
+      `وقت التشغيل: ${status.uptime.formatted}\n\n` +
+      '📡 الخدمات:\n' +
+      `• Telegram: ${mark(status.apis.telegram)}\n` +
+      `• Database: ${mark(status.apis.supabase)}\n` +
+      `• AI: ${ai}\n\n` +
+      '📊 الأداء:\n' +
+      `• الطلبات: ${status.requests.total}\n` +
+      `• النجاح: ${status.requests.successful}\n` +
+      `• متوسط الاستجابة: ${status.performance.avgResponseTime.toFixed(2)}ms`
+    );
+  };
+
+  core.addMenu(
+    { text: '📊 الإحصائيات', callback_data: 'stats' },
+    { text: '🏥 حالة النظام', callback_data: 'health' }
+  );
+
+  core.command('stats', 'عرض إحصائياتك', msg => sendStats(msg.chat.id, msg.from.id));
+  core.command('support', 'التواصل مع الدعم الفني', msg => core.reply(msg.chat.id, SUPPORT_MESSAGE));
+
+  core.action('stats', query => sendStats(query.message.chat.id, query.from.id));
+  core.action('health', query => sendHealth(query.message.chat.id));
+  core.action('support', query => core.reply(query.message.chat.id, SUPPORT_MESSAGE));
+  core.action('settings', query => core.reply(query.message.chat.id, '⚙️ الإعدادات\n\n🔔 الإشعارات: مفعلة\n🌍 اللغة: العربية\n💰 العملة: USD'));
+}
+
+module.exports = {
+  name: 'system',
+  register
+};
@@ -0,0 +1,64 @@
+/**
+ * Budget Alert Notifier for Maya Travel Agent
+ * Pushes overspend alerts to the trip owner's Telegram chat
+ * (a private chat's ID is the user's Telegram ID)
+ */
+
+const { telegramPayments } = require('../payments/telegramPayments');
+const { currencyService } = require('../currency/currencyService');
+const logger = require('../../utils/logger');
+
+class BudgetAlertNotifier {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.telegram] - Provides `getBot()` for Telegram messages
+   */
+  constructor({ telegram = telegramPayments } = {}) {
+    this.telegram = telegram;
+  }
+
+  /**
+   * Alert text for a trip summary
+   * @param {Object} summary - From BudgetService.summarizeTrip
+   * @param {{level: string}} alert - Threshold that was reached
+   */
+  formatMessage(summary, alert) {
+    const spent = currencyService.format(summary.spent, summary.currency);
+    const budget = currencyService.format(summary.budget, summary.currency);
+
+    if (alert.level === 'exceeded') {
+      return `🚨 تجاوزت ميزانية رحلتك إلى ${summary.destination}\n\n` +
+        `المصروف: ${spent} من ${budget}\n` +
+        `الزيادة: ${currencyService.format(-summary.remaining, summary.currency)}\n\n` +
+        'راجع مصاريفك في تطبيق مايا.';
+    }
+
+    return `⚠️ استخدمت ${summary.percent_used}% من ميزانية رحلتك إلى ${summary.destination}\n\n` +
+      `المصروف: ${spent} من ${budget}\n` +
+      `المتبقي: ${currencyService.format(summary.remaining, summary.currency)}`;
+  }
+
+  /**
+   * Send an alert to the trip owner. Never throws: a failed alert must not undo
+   * the expense that triggered it.
+   * @returns {Promise<{sent: boolean, error?: string}>}
+   */
+  async notify(telegramId, trip, summary, alert) {
+    try {
+      await this.telegram.getBot().sendMessage(telegramId, this.formatMessage(summary, alert));
+      logger.info('Budget alert sent', { trip_id: trip.id, telegram_id: telegramId, level: alert.level });
+      return { sent: true };
+    } catch (error) {
+      logger.error('Failed to send budget alert', error, { trip_id: trip.id, level: alert.level });
+      return { sent: false, error: error.message };
+    }
+  }
+}
+
+// Singleton instance
+const budgetAlertNotifier = new BudgetAlertNotifier();
+
+module.exports = {
+  BudgetAlertNotifier,
+  budgetAlertNotifier
+};
@@ -0,0 +1,316 @@
+/**
+ * Budget Service for Maya Travel Agent
+ * Expenses a mini app user logs against their trips (`expenses` table), per-trip
+ * summaries with per-category totals, and overspend alerts. Expenses may be paid in
+ * any currency; summaries convert them to the trip's currency.
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { CurrencyService, currencyService } = require('../currency/currencyService');
+const { tripService } = require('../trips/tripService');
+const { AppError } = require('../../utils/errorHandler');
+const { isUuid } = require('../../utils/uuid');
+const logger = require('../../utils/logger');
+
+const EXPENSE_CATEGORIES = ['accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'];
+
+// Share of the budget at which an alert is raised
+const ALERT_THRESHOLDS = [
+  { level: 'warning', ratio: 0.8 },
+  { level: 'exceeded', ratio: 1 }
+];
+
+const MAX_DESCRIPTION_LENGTH = 500;
+// expenses.amount is DECIMAL(10,2)
+const MAX_AMOUNT = 99999999.99;
+
+class BudgetService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Object} [options.currency] - CurrencyService used to convert expenses to the trip currency
+   * @param {Object} [options.trips] - TripService used for trip lookups and ownership checks
+   * @param {Object} [options.notifier] - BudgetAlertNotifier; created on first use
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ client = null, currency = currencyService, trips = tripService, notifier = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.currency = currency;
+    this.trips = trips;
+    this.alertNotifier = notifier;
+    this.now = now;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  get notifier() {
+    if (!this.alertNotifier) {
+      const { budgetAlertNotifier } = require('./budgetAlertNotifier');
+      this.alertNotifier = budgetAlertNotifier;
+    }
+    return this.alertNotifier;
+  }
+
+  /**
+   * Validate an expense from a request body (camelCase) into table columns
+   * @param {Object} input - tripId, category, amount, currency, description, date
+   * @param {string} tripCurrency - Currency used when the expense names none
+   * @returns {Object} Columns to write
+   */
+  static validateExpense(input = {}, tripCurrency = 'USD') {
+    const category = String(input.category || '').trim().toLowerCase();
+    if (!EXPENSE_CATEGORIES.includes(category)) {
+      throw new AppError(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`, 400);
+    }
+
+    const currency = input.currency ? CurrencyService.normalize(input.currency) : tripCurrency;
+
+    const amount = typeof input.amount === 'string' && input.amount.trim() !== '' ? Number(input.amount) : input.amount;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Amount must be a number greater than zero', 400);
+    }
+    if (amount > MAX_AMOUNT) {
+      throw new AppError(`Amount must not exceed ${MAX_AMOUNT}`, 400);
+    }
+
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (!description) {
+      throw new AppError('Description is required', 400);
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new AppError(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`, 400);
+    }
+
+    return {
+      category,
+      amount: currencyService.round(amount, currency),
+      currency,
+      description,
+      date: input.date ? BudgetService.parseDate(input.date) : null
+    };
+  }
+
+  static parseDate(value) {
+    const text = String(value);
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+      throw new AppError('Date must be a date in YYYY-MM-DD format', 400);
+    }
+    return text;
+  }
+
+  /**
+   * Log an expense against one of the caller's trips. Raises an overspend alert
+   * when the expense takes the trip past a threshold.
+   * @returns {Promise<{expense: Object, summary: Object, alerts: Array}>}
+   */
+  async addExpense(telegramId, input = {}) {
+    if (!input.tripId) {
+      throw new AppError('Trip ID is required', 400);
+    }
+    const trip = await this.trips.getTrip(input.tripId, telegramId);
+    const fields = BudgetService.validateExpense(input, trip.currency || 'USD');
+
+    const before = await this.summarizeTrip(trip);
+
+    const { data: expense, error } = await this.db
+      .from('expenses')
+      .insert({
+        ...fields,
+        date: fields.date || new Date(this.now()).toISOString().slice(0, 10),
+        trip_id: trip.id,
+        telegram_id: telegramId,
+        created_at: new Date(this.now()).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw new AppError(`Failed to save expense: ${error.message}`, 500);
+
+    const summary = await this.summarizeTrip(trip);
+    const alerts = BudgetService.crossedThresholds(before, summary);
+    for (const alert of alerts) {
+      await this.notifier.notify(telegramId, trip, summary, alert);
+    }
+
+    logger.info('Expense added', { trip_id: trip.id, expense_id: expense.id, telegram_id: telegramId });
+    return { expense, summary, alerts };
+  }
+
+  /**
+   * The caller's expenses, newest first
+   * @returns {Promise<{expenses: Array, total: number}>}
+   */
+  async listExpenses({ telegramId, tripId = null, limit = 50, offset = 0 }) {
+    if (tripId) {
+      await this.trips.getTrip(tripId, telegramId);
+    }
+
+    let query = this.db
+      .from('expenses')
+      .select('*', { count: 'exact' })
+      .eq('telegram_id', telegramId);
+    if (tripId) {
+      query = query.eq('trip_id', tripId);
+    }
+
+    const { data, error, count } = await query
+      .order('date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new AppError(`Failed to list expenses: ${error.message}`, 500);
+    return { expenses: data || [], total: count ?? (data || []).length };
+  }
+
+  async deleteExpense(id, telegramId) {
+    if (!isUuid(id)) {
+      throw new AppError('Expense not found', 404, true, { expense_id: id });
+    }
+
+    const { data: expense, error: loadError } = await this.db
+      .from('expenses')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (loadError) throw new AppError(`Failed to load expense: ${loadError.message}`, 500);
+    if (!expense || Number(expense.telegram_id) !== Number(telegramId)) {
+      throw new AppError('Expense not found', 404, true, { expense_id: id });
+    }
+
+    const { error } = await this.db
+      .from('expenses')
+      .delete()
+      .eq('id', expense.id);
+
+    if (error) throw new AppError(`Failed to delete expense: ${error.message}`, 500);
+    return expense;
+  }
+
+  /**
+   * Budget summary for one trip, or for all of the caller's trips
+   * @param {Object} params
+   * @param {number} params.telegramId - Caller
+   * @param {string} [params.tripId] - Limit the summary to this trip
+   * @param {string} [params.currency] - Currency of the combined totals; defaults to USD
+   * @returns {Promise<Object>} Per-trip summaries plus combined totals in `currency`
+   */
+  async getSummary({ telegramId, tripId = null, currency = 'USD' }) {
+    const target = CurrencyService.normalize(currency);
+    const trips = tripId
+      ? [await this.trips.getTrip(tripId, telegramId)]
+      : (await this.trips.listTrips({ telegramId, limit: 100 })).trips;
+
+    const summaries = [];
+    for (const trip of trips) {
+      summaries.push(await this.summarizeTrip(trip));
+    }
+
+    const totals = { currency: target, budget: 0, spent: 0, remaining: 0, by_category: {} };
+    for (const summary of summaries) {
+      const { rate } = await this.currency.getRate(summary.currency, target);
+      totals.budget += summary.budget * rate;
+      totals.spent += summary.spent * rate;
+      for (const [category, amount] of Object.entries(summary.by_category)) {
+        totals.by_category[category] = (totals.by_category[category] || 0) + amount * rate;
+      }
+    }
+    totals.budget = this.currency.round(totals.budget, target);
+    totals.spent = this.currency.round(totals.spent, target);
+    totals.remaining = this.currency.round(totals.budget - totals.spent, target);
+    for (const category of Object.keys(totals.by_category)) {
+      totals.by_category[category] = this.currency.round(totals.by_category[category], target);
+    }
+
+    return {
+      trips: summaries,
+      totals: { ...totals, ...BudgetService.status(totals.spent, totals.budget) }
+    };
+  }
+
+  /**
+   * Spent and remaining budget for a trip, in the trip's currency
+   */
+  async summarizeTrip(trip) {
+    const tripCurrency = trip.currency || 'USD';
+    const { data, error } = await this.db
+      .from('expenses')
+      .select('*')
+      .eq('trip_id', trip.id);
+
+    if (error) throw new AppError(`Failed to load expenses: ${error.message}`, 500);
+
+    const rates = new Map();
+    const byCategory = {};
+    let spent = 0;
+
+    for (const expense of data || []) {
+      const from = expense.currency || tripCurrency;
+      if (!rates.has(from)) {
+        rates.set(from, (await this.currency.getRate(from, tripCurrency)).rate);
+      }
+      const amount = Number(expense.amount) * rates.get(from);
+      byCategory[expense.category] = (byCategory[expense.category] || 0) + amount;
+      spent += amount;
+    }
+
+    for (const category of Object.keys(byCategory)) {
+      byCategory[category] = this.currency.round(byCategory[category], tripCurrency);
+    }
+
+    const budget = Number(trip.budget) || 0;
+    spent = this.currency.round(spent, tripCurrency);
+
+    return {
+      trip_id: trip.id,
+      destination: trip.destination,
+      currency: tripCurrency,
+      budget,
+      spent,
+      remaining: this.currency.round(budget - spent, tripCurrency),
+      by_category: byCategory,
+      expense_count: (data || []).length,
+      ...BudgetService.status(spent, budget)
+    };
+  }
+
+  /**
+   * How much of a budget is used, and the matching status
+   * @returns {{percent_used: number|null, status: 'on_track'|'warning'|'exceeded'}}
+   */
+  static status(spent, budget) {
+    if (!budget) {
+      return { percent_used: null, status: spent > 0 ? 'exceeded' : 'on_track' };
+    }
+    const ratio = spent / budget;
+    const reached = ALERT_THRESHOLDS.filter(threshold => ratio >= threshold.ratio).pop();
+    return {
+      percent_used: Math.round(ratio * 1000) / 10,
+      status: reached ? reached.level : 'on_track'
+    };
+  }
+
+  /**
+   * Thresholds passed between two summaries of the same trip
+   * @returns {Array<{level: string, ratio: number}>}
+   */
+  static crossedThresholds(before, after) {
+    if (!after.budget) return [];
+    return ALERT_THRESHOLDS
+      .filter(threshold => before.spent < after.budget * threshold.ratio && after.spent >= after.budget * threshold.ratio)
+      .slice(-1);
+  }
+}
+
+// Singleton instance
+const budgetService = new BudgetService();
+
+module.exports = {
+  BudgetService,
+  budgetService,
+  EXPENSE_CATEGORIES,
+  ALERT_THRESHOLDS
+};
@@ -0,0 +1,181 @@
+/**
+ * Currency Service for Maya Travel Agent
+ * One place for exchange rates and currency amounts: pluggable rate providers,
+ * cached timestamped rate tables and ISO-4217 minor-unit rounding
+ */
+
+const { createProviders } = require('./rateProviders');
+const { minorUnitExponent, toMinorUnits, fromMinorUnits } = require('./minorUnits');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+class CurrencyService {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.providers] - Rate providers, tried in order; defaults to CURRENCY_RATE_PROVIDERS
+   * @param {number} [options.ttlMs] - How long a fetched rate table is reused
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ providers = null, ttlMs = null, now = () => Date.now() } = {}) {
+    this.providers = providers;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.cache = new Map();
+  }
+
+  get rateProviders() {
+    if (!this.providers) {
+      this.providers = createProviders();
+    }
+    return this.providers;
+  }
+
+  get cacheTtl() {
+    return this.ttlMs ?? (Number(process.env.CURRENCY_RATES_TTL_MS) || DEFAULT_TTL_MS);
+  }
+
+  /**
+   * Replace the provider chain and drop cached rates
+   */
+  setProviders(providers) {
+    this.providers = providers;
+    this.clearCache();
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Upper-case and check a currency code
+   * @throws {AppError} 400 for anything that is not a three-letter code
+   */
+  static normalize(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      throw new AppError(`Invalid currency code: ${currency}`, 400);
+    }
+    return code;
+  }
+
+  /**
+   * Rate table for a base currency, served from cache while fresh.
+   * If every provider fails, a stale table is returned (flagged `stale`) rather than nothing.
+   * @returns {Promise<{base: string, rates: Object, provider: string, fetched_at: string, as_of: string|null, stale: boolean}>}
+   */
+  async getRates(base = 'USD') {
+    const code = CurrencyService.normalize(base);
+    const cached = this.cache.get(code);
+    if (cached && this.now() - cached.fetchedAt < this.cacheTtl) {
+      return this.serialize(cached, false);
+    }
+
+    const errors = [];
+    for (const provider of this.rateProviders) {
+      try {
+        const result = await provider.getRates(code);
+        const entry = {
+          base: code,
+          rates: { ...result.rates, [code]: 1 },
+          provider: provider.name,
+          asOf: result.asOf || null,
+          fetchedAt: this.now()
+        };
+        this.cache.set(code, entry);
+        return this.serialize(entry, false);
+      } catch (error) {
+        errors.push(`${provider.name}: ${error.message}`);
+        logger.warn('Exchange rate provider failed', { provider: provider.name, base: code, error: error.message });
+      }
+    }
+
+    if (cached) {
+      return this.serialize(cached, true);
+    }
+    throw new AppError(`Exchange rates unavailable for ${code}`, 503, true, { errors });
+  }
+
+  serialize(entry, stale) {
+    return {
+      base: entry.base,
+      rates: entry.rates,
+      provider: entry.provider,
+      fetched_at: new Date(entry.fetchedAt).toISOString(),
+      as_of: entry.asOf,
+      stale
+    };
+  }
+
+  /**
+   * Rate for one currency pair
+   * @returns {Promise<{from: string, to: string, rate: number, provider: string, fetched_at: string, stale: boolean}>}
+   */
+  async getRate(from, to) {
+    const source = CurrencyService.normalize(from);
+    const target = CurrencyService.normalize(to);
+    if (source === target) {
+      return { from: source, to: target, rate: 1, provider: 'identity', fetched_at: new Date(this.now()).toISOString(), stale: false };
+    }
+
+    const table = await this.getRates(source);
+    const rate = Number(table.rates[target]);
+    if (!rate) {
+      throw new AppError(`Unsupported currency: ${target}`, 400, true, { base: source, provider: table.provider });
+    }
+    return { from: source, to: target, rate, provider: table.provider, fetched_at: table.fetched_at, stale: table.stale };
+  }
+
+  /**
+   * Convert an amount, rounded to the target currency's minor unit
+   */
+  async convert(amount, from, to) {
+    const value = Number(amount);
+    if (!Number.isFinite(value)) {
+      throw new AppError('Amount must be a number', 400);
+    }
+
+    const quote = await this.getRate(from, to);
+    return {
+      amount: value,
+      ...quote,
+      converted: this.round(value * quote.rate, quote.to)
+    };
+  }
+
+  /**
+   * Round an amount to the currency's minor unit (2 decimals for USD, 0 for JPY, 3 for KWD)
+   */
+  round(amount, currency) {
+    return fromMinorUnits(toMinorUnits(amount, currency), currency);
+  }
+
+  /**
+   * Format an amount with the currency's number of decimals, e.g. "1500 JPY", "12.500 KWD"
+   */
+  format(amount, currency) {
+    const code = String(currency).toUpperCase();
+    return `${Number(amount).toFixed(minorUnitExponent(code))} ${code}`;
+  }
+
+  minorUnitExponent(currency) {
+    return minorUnitExponent(currency);
+  }
+
+  toMinorUnits(amount, currency) {
+    return toMinorUnits(amount, currency);
+  }
+
+  fromMinorUnits(amount, currency) {
+    return fromMinorUnits(amount, currency);
+  }
+}
+
+// Singleton instance
+const currencyService = new CurrencyService();
+
+module.exports = {
+  CurrencyService,
+  currencyService
+};
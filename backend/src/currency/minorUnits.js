@@ -0,0 +1,38 @@
+/**
+ * Minor Unit Helpers for Maya Travel Agent
+ * Payment providers take amounts in the currency's smallest unit (cents, fils, yen)
+ */
+
+// Currencies whose minor unit is not 1/100. XTR is Telegram Stars.
+const MINOR_UNIT_EXPONENTS = {
+  JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0, UGX: 0, XTR: 0,
+  BHD: 3, JOD: 3, KWD: 3, OMR: 3, TND: 3
+};
+
+/**
+ * Number of decimal places used by a currency
+ */
+function minorUnitExponent(currency) {
+  return MINOR_UNIT_EXPONENTS[String(currency).toUpperCase()] ?? 2;
+}
+
+/**
+ * Convert an amount to the currency's smallest unit
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * Math.pow(10, minorUnitExponent(currency)));
+}
+
+/**
+ * Convert an amount in the currency's smallest unit back to a decimal amount
+ */
+function fromMinorUnits(amount, currency) {
+  return Number(amount) / Math.pow(10, minorUnitExponent(currency));
+}
+
+module.exports = {
+  MINOR_UNIT_EXPONENTS,
+  minorUnitExponent,
+  toMinorUnits,
+  fromMinorUnits
+};
@@ -0,0 +1,109 @@
+/**
+ * Exchange Rate Providers for Maya Travel Agent
+ * A provider turns a base currency into a rate table:
+ *   { name, async getRates(base) → { base, rates: { EUR: 0.92, ... }, asOf } }
+ * CurrencyService tries its providers in order, so a static table can back up a live API.
+ */
+
+const axios = require('axios');
+
+/**
+ * exchangerate-api.com open endpoint (no key required)
+ */
+class ExchangeRateApiProvider {
+  constructor({ baseUrl = 'https://api.exchangerate-api.com/v4/latest', timeout = 5000 } = {}) {
+    this.name = 'exchangerate-api';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  async getRates(base) {
+    const response = await axios.get(`${this.baseUrl}/${encodeURIComponent(base)}`, { timeout: this.timeout });
+    const data = response.data || {};
+    if (!data.rates || typeof data.rates !== 'object') {
+      throw new Error(`exchangerate-api returned no rates for ${base}`);
+    }
+    return {
+      base: (data.base || base).toUpperCase(),
+      rates: data.rates,
+      asOf: data.time_last_updated ? new Date(data.time_last_updated * 1000).toISOString() : data.date || null
+    };
+  }
+}
+
+// Approximate USD rates, used when no live provider is reachable
+const STATIC_USD_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CHF: 0.88,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 150,
+  CNY: 7.2,
+  KRW: 1350,
+  INR: 83.5,
+  PKR: 278,
+  IDR: 15800,
+  MYR: 4.7,
+  SGD: 1.34,
+  THB: 36,
+  TRY: 34,
+  SAR: 3.75,
+  AED: 3.6725,
+  QAR: 3.64,
+  KWD: 0.307,
+  BHD: 0.376,
+  OMR: 0.385,
+  JOD: 0.709,
+  EGP: 48.5,
+  MAD: 9.9,
+  TND: 3.1
+};
+
+/**
+ * Fixed rate table; cross rates are derived through USD
+ */
+class StaticRateProvider {
+  constructor({ rates = STATIC_USD_RATES, asOf = null } = {}) {
+    this.name = 'static';
+    this.usdRates = rates;
+    this.asOf = asOf;
+  }
+
+  async getRates(base) {
+    const baseRate = this.usdRates[base];
+    if (!baseRate) {
+      throw new Error(`No static rate for ${base}`);
+    }
+
+    const rates = {};
+    for (const [code, rate] of Object.entries(this.usdRates)) {
+      rates[code] = rate / baseRate;
+    }
+    return { base, rates, asOf: this.asOf };
+  }
+}
+
+const PROVIDERS = {
+  'exchangerate-api': () => new ExchangeRateApiProvider(),
+  static: () => new StaticRateProvider()
+};
+
+/**
+ * Build the provider chain named in CURRENCY_RATE_PROVIDERS (comma separated)
+ */
+function createProviders(names = process.env.CURRENCY_RATE_PROVIDERS || 'exchangerate-api,static') {
+  return names
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => PROVIDERS[name])
+    .map(name => PROVIDERS[name]());
+}
+
+module.exports = {
+  ExchangeRateApiProvider,
+  StaticRateProvider,
+  STATIC_USD_RATES,
+  createProviders
+};
@@ -0,0 +1,107 @@
+/**
+ * Destination Catalog Files for Maya Travel Agent
+ * Reads catalog records from JSON (an array, or `{ destinations: [...] }`) or CSV
+ * (header row, RFC 4180 quoting) for DestinationService.importDestinations.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { AppError } = require('../../utils/errorHandler');
+
+// Catalog shipped with the backend (npm run destinations:import)
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '../../database/seeds/destinations.json');
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new AppError('CSV has an unterminated quoted field', 400);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return records.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
+
+/**
+ * Parse catalog records from file contents
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ */
+function parseCatalog(text, format) {
+  if (format === 'csv') {
+    return parseCsv(text);
+  }
+  if (format !== 'json') {
+    throw new AppError(`Unsupported catalog format: ${format}`, 400);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new AppError(`Invalid JSON catalog: ${error.message}`, 400);
+  }
+  const records = Array.isArray(data) ? data : data?.destinations;
+  if (!Array.isArray(records)) {
+    throw new AppError('JSON catalog must be an array or have a "destinations" array', 400);
+  }
+  return records;
+}
+
+/**
+ * Read catalog records from a .json or .csv file
+ */
+async function readCatalogFile(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase();
+  const text = await fs.readFile(filePath, 'utf8');
+  return parseCatalog(text, format);
+}
+
+module.exports = {
+  DEFAULT_CATALOG_PATH,
+  parseCsv,
+  parseCatalog,
+  readCatalogFile
+};
@@ -0,0 +1,275 @@
+/**
+ * Destination Service for Maya Travel Agent
+ * The destinations catalog on the `destinations` table: full-text search with
+ * region, price range, travel month and halal-friendly filters, detail lookups
+ * and bulk import (upserted by slug).
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { AppError } = require('../../utils/errorHandler');
+const { isUuid } = require('../../utils/uuid');
+const logger = require('../../utils/logger');
+
+const PRICE_RANGES = ['$', '$$', '$$$', '$$$$'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const SORTS = {
+  rating: { column: 'rating', ascending: false },
+  name: { column: 'name', ascending: true },
+  price: { column: 'price_range', ascending: true }
+};
+
+// Columns a catalog record may set
+const IMPORT_FIELDS = ['name', 'country', 'region', 'image_url', 'rating', 'price_range', 'best_months', 'best_time', 'description', 'halal_friendly', 'tags'];
+
+class DestinationService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   */
+  constructor({ client = null } = {}) {
+    this.client = client;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * URL-safe identifier, e.g. "Kuala Lumpur", "Malaysia" → "kuala-lumpur-malaysia"
+   */
+  static slugify(...parts) {
+    return parts
+      .join(' ')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Parse a month: 1–12, "3", "mar" or "March"
+   * @returns {number|null}
+   */
+  static parseMonth(value) {
+    const number = Number(value);
+    if (Number.isInteger(number) && number >= 1 && number <= 12) return number;
+    const index = MONTHS.indexOf(String(value || '').trim().slice(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Expand best months from a list or a description such as "Mar-May, Sep-Nov" or "Nov-Mar"
+   * @returns {number[]} Sorted month numbers
+   */
+  static parseMonths(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+    const months = new Set();
+
+    for (const part of parts) {
+      const [from, to = from] = String(part).split(/\s*[-–]\s*/);
+      const start = DestinationService.parseMonth(from);
+      const end = DestinationService.parseMonth(to);
+      if (!start || !end) {
+        throw new AppError(`Invalid month range: ${String(part).trim()}`, 400);
+      }
+      for (let month = start; ; month = (month % 12) + 1) {
+        months.add(month);
+        if (month === end) break;
+      }
+    }
+    return [...months].sort((a, b) => a - b);
+  }
+
+  /**
+   * Describe month numbers as ranges, e.g. [3, 4, 5, 9, 10, 11] → "Mar-May, Sep-Nov"
+   */
+  static formatMonths(months) {
+    const ranges = [];
+    for (const month of [...months].sort((a, b) => a - b)) {
+      const last = ranges[ranges.length - 1];
+      if (last && month === last[1] + 1) last[1] = month;
+      else ranges.push([month, month]);
+    }
+    // Join a range running into January with one ending in December (Nov-Mar)
+    if (ranges.length > 1 && ranges[0][0] === 1 && ranges[ranges.length - 1][1] === 12) {
+      ranges[0][0] = ranges.pop()[0];
+    }
+
+    const label = month => MONTHS[month - 1].charAt(0).toUpperCase() + MONTHS[month - 1].slice(1);
+    return ranges
+      .map(([from, to]) => (from === to ? label(from) : `${label(from)}-${label(to)}`))
+      .join(', ');
+  }
+
+  static parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', '1', 'y'].includes(String(value || '').trim().toLowerCase());
+  }
+
+  /**
+   * Validate a catalog record (from an import file) into table columns
+   * @returns {Object} Row keyed by slug
+   */
+  static normalize(record = {}) {
+    const row = {};
+    for (const field of IMPORT_FIELDS) {
+      const value = typeof record[field] === 'string' ? record[field].trim() : record[field];
+      if (value !== undefined && value !== '') row[field] = value;
+    }
+
+    if (!row.name || !row.country || !row.description) {
+      throw new AppError('Name, country and description are required', 400);
+    }
+    if (row.price_range !== undefined && !PRICE_RANGES.includes(row.price_range)) {
+      throw new AppError(`Price range must be one of: ${PRICE_RANGES.join(', ')}`, 400);
+    }
+    if (row.rating !== undefined) {
+      const rating = Number(row.rating);
+      if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+        throw new AppError('Rating must be between 0 and 5', 400);
+      }
+      row.rating = rating;
+    }
+    if (row.best_months !== undefined || row.best_time !== undefined) {
+      row.best_months = DestinationService.parseMonths(row.best_months ?? row.best_time);
+      row.best_time = row.best_time || DestinationService.formatMonths(row.best_months);
+    }
+    if (row.halal_friendly !== undefined) {
+      row.halal_friendly = DestinationService.parseBoolean(row.halal_friendly);
+    }
+    if (typeof row.tags === 'string') {
+      row.tags = row.tags.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+    }
+
+    return {
+      slug: DestinationService.slugify(row.name, row.country),
+      ...row
+    };
+  }
+
+  /**
+   * Build a prefix-matching tsquery from free text, e.g. "kuala lum" → "kuala:* & lum:*"
+   */
+  static toTsQuery(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .map(term => `${term}:*`)
+      .join(' & ');
+  }
+
+  /**
+   * Search the catalog
+   * @param {Object} [params]
+   * @param {string} [params.q] - Free text, matched against name, country, region and description
+   * @param {string} [params.region] - Exact region, case-insensitive
+   * @param {string|string[]} [params.priceRange] - One or more of $, $$, $$$, $$$$
+   * @param {number|string} [params.month] - Only destinations best visited in this month
+   * @param {boolean} [params.halalFriendly] - Only halal-friendly destinations
+   * @param {string} [params.sort] - rating (default), name or price
+   * @returns {Promise<{destinations: Array, total: number}>}
+   */
+  async search({ q = '', region = null, priceRange = null, month = null, halalFriendly = null, sort = 'rating', limit = 20, offset = 0 } = {}) {
+    let query = this.db
+      .from('destinations')
+      .select('*', { count: 'exact' });
+
+    const tsQuery = DestinationService.toTsQuery(q);
+    if (tsQuery) {
+      query = query.textSearch('search_vector', tsQuery, { config: 'simple' });
+    }
+    if (region) {
+      query = query.ilike('region', String(region).trim());
+    }
+    if (priceRange) {
+      const ranges = Array.isArray(priceRange) ? priceRange : String(priceRange).split(',');
+      const invalid = ranges.find(range => !PRICE_RANGES.includes(range));
+      if (invalid !== undefined) {
+        throw new AppError(`Price range must be one of: ${PRICE_RANGES.join(', ')}`, 400);
+      }
+      query = query.in('price_range', ranges);
+    }
+    if (month !== null && month !== undefined && month !== '') {
+      const number = DestinationService.parseMonth(month);
+      if (!number) throw new AppError(`Invalid month: ${month}`, 400);
+      query = query.contains('best_months', [number]);
+    }
+    if (halalFriendly) {
+      query = query.eq('halal_friendly', true);
+    }
+
+    const order = SORTS[sort];
+    if (!order) {
+      throw new AppError(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`, 400);
+    }
+
+    const { data, error, count } = await query
+      .order(order.column, { ascending: order.ascending })
+      .order('name', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new AppError(`Failed to search destinations: ${error.message}`, 500);
+    return { destinations: data || [], total: count ?? (data || []).length };
+  }
+
+  /**
+   * One destination by ID or slug
+   * @throws {AppError} 404 when there is no such destination
+   */
+  async getDestination(idOrSlug) {
+    const column = isUuid(idOrSlug) ? 'id' : 'slug';
+    const { data, error } = await this.db
+      .from('destinations')
+      .select('*')
+      .eq(column, idOrSlug)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load destination: ${error.message}`, 500);
+    if (!data) {
+      throw new AppError('Destination not found', 404, true, { destination: idOrSlug });
+    }
+    return data;
+  }
+
+  /**
+   * Upsert catalog records by slug. Invalid records are reported and skipped.
+   * @param {Array<Object>} records - Raw records (JSON objects or CSV rows)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Validate only
+   * @returns {Promise<{imported: number, skipped: Array<{index: number, name: string|null, error: string}>}>}
+   */
+  async importDestinations(records, { dryRun = false } = {}) {
+    const rows = [];
+    const skipped = [];
+
+    records.forEach((record, index) => {
+      try {
+        rows.push(DestinationService.normalize(record));
+      } catch (error) {
+        skipped.push({ index, name: record?.name || null, error: error.message });
+      }
+    });
+
+    if (!dryRun && rows.length > 0) {
+      const { error } = await this.db
+        .from('destinations')
+        .upsert(rows, { onConflict: 'slug' });
+
+      if (error) throw new AppError(`Failed to import destinations: ${error.message}`, 500);
+    }
+
+    logger.info('Destinations imported', { imported: rows.length, skipped: skipped.length, dry_run: dryRun });
+    return { imported: rows.length, skipped };
+  }
+}
+
+// Singleton instance
+const destinationService = new DestinationService();
+
+module.exports = {
+  DestinationService,
+  destinationService,
+  PRICE_RANGES
+};
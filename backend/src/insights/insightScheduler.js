@@ -0,0 +1,716 @@
+/**
+ * Insight Scheduler for Maya Travel Agent
+ * Proactive Telegram pushes for users who opted in (`/insights on`):
+ *  - price drops on offers the user viewed or opened (`offer_interactions.price`
+ *    is the price they saw)
+ *  - pre-departure checklists a few days before a confirmed booking's `start_date`
+ *  - weather changes at the destination of a trip starting within a week
+ *
+ * Each run plans jobs into `insight_jobs` (one per dedupe key, so nothing is sent
+ * twice) and sends the ones that are due. Sends respect the user's quiet hours in
+ * their timezone and a daily cap; held-back jobs are moved to the next allowed time.
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { telegramPayments } = require('../payments/telegramPayments');
+const { currencyService } = require('../currency/currencyService');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const INSIGHT_KINDS = {
+  PRICE_DROP: 'price_drop',
+  PRE_DEPARTURE: 'pre_departure',
+  WEATHER: 'weather'
+};
+
+const JOB_STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+const DEFAULT_SETTINGS = {
+  timezone: 'Asia/Riyadh',
+  quiet_start: 22,
+  quiet_end: 8,
+  max_per_day: 2
+};
+
+const MAX_PER_DAY_LIMIT = 10;
+const MAX_SEND_ATTEMPTS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Views older than this no longer count as interest in an offer
+const INTEREST_WINDOW_DAYS = 30;
+
+// Weather is watched for trips starting within this many days
+const WEATHER_WINDOW_DAYS = 7;
+
+/**
+ * Local calendar date (YYYY-MM-DD) and minutes past midnight in a timezone
+ */
+function localTime(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(ms));
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Rough weather condition of a forecast, so small changes do not trigger a push
+ */
+function classifyForecast(forecast = []) {
+  if (forecast.length === 0) return null;
+
+  const temperatures = forecast.map(entry => Number(entry.temperature));
+  const precipitation = forecast.reduce((total, entry) => total + Number(entry.precipitation || 0), 0);
+  const description = forecast.map(entry => entry.description || '').join(' ');
+
+  if (/storm|thunder|عاصف|رعد/i.test(description)) return 'storm';
+  if (precipitation >= 1) return 'rain';
+  if (Math.max(...temperatures) >= 40) return 'heat';
+  if (Math.min(...temperatures) <= 5) return 'cold';
+  return 'fair';
+}
+
+const WEATHER_LABELS = {
+  storm: '⛈️ عواصف رعدية',
+  rain: '🌧️ أمطار',
+  heat: '🔥 حرارة شديدة',
+  cold: '❄️ برد شديد',
+  fair: '☀️ طقس معتدل'
+};
+
+const WEATHER_ADVICE = {
+  storm: 'تابع تحديثات رحلتك واحتفظ بخطة بديلة للأنشطة الخارجية.',
+  rain: 'خذ معك مظلة وسترة مقاومة للماء، وخطط لأنشطة داخلية.',
+  heat: 'اشرب الماء باستمرار وتجنب الخروج وقت الظهيرة.',
+  cold: 'احزم ملابس شتوية دافئة.',
+  fair: 'استمتع بالأنشطة الخارجية!'
+};
+
+const CHECKLISTS = {
+  week: [
+    'تأكد من صلاحية جواز السفر (6 أشهر على الأقل)',
+    'تحقق من متطلبات التأشيرة',
+    'اشترِ تأمين السفر',
+    'جهز العملة المحلية أو بطاقة سفر',
+    'أبلغ البنك بسفرك'
+  ],
+  day: [
+    'أنجز تسجيل الدخول للرحلة عبر الإنترنت',
+    'جهز الجواز والتذاكر وتأكيد الحجز',
+    'اشحن الهاتف وخذ محول الكهرباء',
+    'كن في المطار قبل 3 ساعات من الإقلاع'
+  ]
+};
+
+class InsightScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Object} [options.telegram] - Provides `getBot()` for Telegram messages
+   * @param {Object} [options.tools] - Travel tools (getWeatherData); created on first use
+   * @param {Function} [options.now] - Clock (ms)
+   * @param {Array<number>} [options.preDepartureDays] - Days before departure to send checklists (INSIGHT_PRE_DEPARTURE_DAYS)
+   * @param {number} [options.priceDropPercent] - Smallest drop worth a push (INSIGHT_PRICE_DROP_PERCENT)
+   */
+  constructor({
+    client = null,
+    telegram = telegramPayments,
+    tools = null,
+    now = () => Date.now(),
+    preDepartureDays = null,
+    priceDropPercent = null
+  } = {}) {
+    this.client = client;
+    this.telegram = telegram;
+    this.travelTools = tools;
+    this.now = now;
+    this.preDepartureDays = (preDepartureDays || String(process.env.INSIGHT_PRE_DEPARTURE_DAYS || '7,1').split(','))
+      .map(Number)
+      .filter(days => Number.isInteger(days) && days > 0)
+      .sort((a, b) => a - b);
+    this.priceDropPercent = priceDropPercent ?? (Number(process.env.INSIGHT_PRICE_DROP_PERCENT) || 5);
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  get tools() {
+    if (!this.travelTools) {
+      const MCPTools = require('../ai/mcpTools');
+      this.travelTools = new MCPTools();
+    }
+    return this.travelTools;
+  }
+
+  timestamp(ms = this.now()) {
+    return new Date(ms).toISOString();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Subscriptions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A user's insight settings, or null if they never opted in
+   */
+  async getSubscription(telegramId) {
+    const { data, error } = await this.db
+      .from('insight_subscriptions')
+      .select('*')
+      .eq('telegram_id', Number(telegramId))
+      .maybeSingle();
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Opt in to insights (again); keeps earlier settings
+   */
+  async subscribe(telegramId, settings = {}) {
+    const existing = await this.getSubscription(telegramId);
+    const patch = this.validateSettings(settings);
+
+    const { data, error } = await this.db
+      .from('insight_subscriptions')
+      .upsert({
+        ...DEFAULT_SETTINGS,
+        ...(existing || {}),
+        ...patch,
+        telegram_id: Number(telegramId),
+        enabled: true,
+        subscribed_at: this.timestamp(),
+        unsubscribed_at: null,
+        updated_at: this.timestamp()
+      }, { onConflict: 'telegram_id' })
+      .select()
+      .single();
+    if (error) throw error;
+
+    logger.info('Insights enabled', { telegram_id: Number(telegramId) });
+    return data;
+  }
+
+  /**
+   * Opt out; pending pushes are dropped
+   * @returns {Promise<boolean>} Whether the user was subscribed
+   */
+  async unsubscribe(telegramId) {
+    const existing = await this.getSubscription(telegramId);
+    if (!existing || !existing.enabled) return false;
+
+    const { error } = await this.db
+      .from('insight_subscriptions')
+      .update({ enabled: false, unsubscribed_at: this.timestamp(), updated_at: this.timestamp() })
+      .eq('telegram_id', Number(telegramId));
+    if (error) throw error;
+
+    await this.db
+      .from('insight_jobs')
+      .update({ status: JOB_STATUSES.SKIPPED, last_error: 'Unsubscribed', updated_at: this.timestamp() })
+      .eq('telegram_id', Number(telegramId))
+      .eq('status', JOB_STATUSES.PENDING);
+
+    logger.info('Insights disabled', { telegram_id: Number(telegramId) });
+    return true;
+  }
+
+  /**
+   * Change timezone, quiet hours or the daily cap of a subscribed user
+   */
+  async updateSettings(telegramId, settings) {
+    const existing = await this.getSubscription(telegramId);
+    if (!existing || !existing.enabled) {
+      throw new AppError('Insights are not enabled', 404);
+    }
+
+    const { data, error } = await this.db
+      .from('insight_subscriptions')
+      .update({ ...this.validateSettings(settings), updated_at: this.timestamp() })
+      .eq('telegram_id', Number(telegramId))
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Settings as columns; throws a 400 AppError for invalid values
+   * @param {{timezone?: string, quietStart?: number, quietEnd?: number, maxPerDay?: number}} settings
+   */
+  validateSettings({ timezone, quietStart, quietEnd, maxPerDay } = {}) {
+    const patch = {};
+
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) throw new AppError(`Unknown timezone: ${timezone}`, 400);
+      patch.timezone = timezone;
+    }
+    for (const [key, value] of [['quiet_start', quietStart], ['quiet_end', quietEnd]]) {
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value < 0 || value > 23) {
+        throw new AppError('Quiet hours must be whole hours between 0 and 23', 400);
+      }
+      patch[key] = value;
+    }
+    if (maxPerDay !== undefined) {
+      if (!Number.isInteger(maxPerDay) || maxPerDay < 1 || maxPerDay > MAX_PER_DAY_LIMIT) {
+        throw new AppError(`Daily limit must be between 1 and ${MAX_PER_DAY_LIMIT}`, 400);
+      }
+      patch.max_per_day = maxPerDay;
+    }
+    return patch;
+  }
+
+  async listSubscribers() {
+    const { data, error } = await this.db
+      .from('insight_subscriptions')
+      .select('*')
+      .eq('enabled', true);
+    if (error) throw error;
+    return data || [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Planning
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queue a push unless one with the same dedupe key exists
+   * @returns {Promise<boolean>} Whether the job is new
+   */
+  async enqueue(job) {
+    const { data: existing } = await this.db
+      .from('insight_jobs')
+      .select('id')
+      .eq('dedupe_key', job.dedupe_key)
+      .maybeSingle();
+    if (existing) return false;
+
+    const { error } = await this.db
+      .from('insight_jobs')
+      .insert({
+        status: JOB_STATUSES.PENDING,
+        attempts: 0,
+        send_after: this.timestamp(),
+        expires_at: null,
+        ...job,
+        created_at: this.timestamp(),
+        updated_at: this.timestamp()
+      });
+
+    if (error) {
+      // Planned by another instance in the meantime
+      if (error.code === '23505') return false;
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Queue every insight that is due for the subscribed users
+   * @returns {Promise<{price_drop: number, pre_departure: number, weather: number}>} New jobs per kind
+   */
+  async planJobs() {
+    const subscribers = await this.listSubscribers();
+    const planned = { price_drop: 0, pre_departure: 0, weather: 0 };
+    if (subscribers.length === 0) return planned;
+
+    const byTelegramId = new Map(subscribers.map(subscriber => [Number(subscriber.telegram_id), subscriber]));
+    planned.price_drop = await this.planPriceDrops(byTelegramId);
+
+    const bookings = await this.listUpcomingBookings([...byTelegramId.keys()]);
+    planned.pre_departure = await this.planPreDepartures(bookings, byTelegramId);
+    planned.weather = await this.planWeatherChanges(bookings, byTelegramId);
+    return planned;
+  }
+
+  /**
+   * Offers that became cheaper than the price the user last saw
+   */
+  async planPriceDrops(subscribers) {
+    const { data: interactions, error } = await this.db
+      .from('offer_interactions')
+      .select('*')
+      .in('telegram_id', [...subscribers.keys()])
+      .gte('timestamp', this.timestamp(this.now() - INTEREST_WINDOW_DAYS * DAY_MS))
+      .order('timestamp', { ascending: true });
+    if (error) throw error;
+
+    // The last price each user saw per offer; booked offers are no longer of interest
+    const seen = new Map();
+    const booked = new Set();
+    for (const interaction of interactions || []) {
+      const key = `${interaction.telegram_id}:${interaction.offer_id}`;
+      if (interaction.interaction_type === 'book') booked.add(key);
+      else if (interaction.price !== null && interaction.price !== undefined) seen.set(key, interaction);
+    }
+    for (const key of booked) seen.delete(key);
+    if (seen.size === 0) return 0;
+
+    const offerIds = [...new Set([...seen.values()].map(interaction => interaction.offer_id))];
+    const { data: offers, error: offersError } = await this.db
+      .from('travel_offers')
+      .select('*')
+      .in('id', offerIds)
+      .eq('is_active', true);
+    if (offersError) throw offersError;
+    const offersById = new Map((offers || []).map(offer => [String(offer.id), offer]));
+
+    let planned = 0;
+    for (const interaction of seen.values()) {
+      const offer = offersById.get(String(interaction.offer_id));
+      if (!offer) continue;
+
+      const previous = Number(interaction.price);
+      const price = Number(offer.price);
+      if (!(previous > 0) || price > previous * (1 - this.priceDropPercent / 100)) continue;
+
+      const isNew = await this.enqueue({
+        telegram_id: Number(interaction.telegram_id),
+        kind: INSIGHT_KINDS.PRICE_DROP,
+        dedupe_key: `price_drop:${interaction.telegram_id}:${offer.id}:${price}`,
+        payload: {
+          offer_id: offer.id,
+          title: offer.title,
+          destination: offer.destination,
+          duration_days: offer.duration_days,
+          currency: offer.currency || 'SAR',
+          previous_price: previous,
+          price
+        },
+        expires_at: offer.valid_until || null
+      });
+      if (isNew) planned++;
+    }
+    return planned;
+  }
+
+  /**
+   * Confirmed bookings of subscribers that have not started yet
+   */
+  async listUpcomingBookings(telegramIds) {
+    // A day of slack: it may already be tomorrow in the user's timezone
+    const since = addDays(this.timestamp().slice(0, 10), -1);
+    const { data, error } = await this.db
+      .from('bookings')
+      .select('*')
+      .in('telegram_id', telegramIds)
+      .eq('status', 'confirmed')
+      .gte('start_date', since);
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Checklists on the configured days before departure (the nearest one that has come)
+   */
+  async planPreDepartures(bookings, subscribers) {
+    let planned = 0;
+    for (const booking of bookings) {
+      const subscriber = subscribers.get(Number(booking.telegram_id));
+      const daysLeft = daysBetween(localTime(this.now(), subscriber.timezone).date, booking.start_date);
+      if (daysLeft < 1) continue;
+
+      const days = this.preDepartureDays.find(candidate => daysLeft <= candidate);
+      if (days === undefined) continue;
+
+      const isNew = await this.enqueue({
+        telegram_id: Number(booking.telegram_id),
+        kind: INSIGHT_KINDS.PRE_DEPARTURE,
+        dedupe_key: `pre_departure:${booking.id}:${days}`,
+        payload: {
+          booking_id: booking.id,
+          booking_reference: booking.booking_reference,
+          destination: booking.destination,
+          start_date: booking.start_date,
+          checklist: days > 2 ? 'week' : 'day'
+        },
+        expires_at: `${booking.start_date}T23:59:59.000Z`
+      });
+      if (isNew) planned++;
+    }
+    return planned;
+  }
+
+  /**
+   * Compare each upcoming trip's forecast with the last one seen and queue a push when
+   * the weather turns (the first forecast of a trip is only remembered)
+   */
+  async planWeatherChanges(bookings, subscribers) {
+    let planned = 0;
+    for (const booking of bookings) {
+      const subscriber = subscribers.get(Number(booking.telegram_id));
+      const daysLeft = daysBetween(localTime(this.now(), subscriber.timezone).date, booking.start_date);
+      if (daysLeft < 0 || daysLeft > WEATHER_WINDOW_DAYS) continue;
+
+      const weather = await this.tools.getWeatherData({ destination: booking.destination, duration: 8 });
+      const condition = weather.success ? classifyForecast(weather.data.forecast) : null;
+      if (!condition) continue;
+
+      const { data: previous } = await this.db
+        .from('insight_forecasts')
+        .select('*')
+        .eq('booking_id', booking.id)
+        .maybeSingle();
+
+      await this.db
+        .from('insight_forecasts')
+        .upsert({
+          booking_id: booking.id,
+          condition,
+          temperature: weather.data.current_weather?.temperature ?? null,
+          checked_at: this.timestamp()
+        }, { onConflict: 'booking_id' });
+
+      if (!previous || previous.condition === condition) continue;
+
+      const isNew = await this.enqueue({
+        telegram_id: Number(booking.telegram_id),
+        kind: INSIGHT_KINDS.WEATHER,
+        dedupe_key: `weather:${booking.id}:${previous.condition}:${condition}:${this.timestamp().slice(0, 10)}`,
+        payload: {
+          booking_id: booking.id,
+          destination: booking.destination,
+          start_date: booking.start_date,
+          previous_condition: previous.condition,
+          condition,
+          temperature: weather.data.current_weather?.temperature ?? null
+        },
+        expires_at: `${booking.start_date}T23:59:59.000Z`
+      });
+      if (isNew) planned++;
+    }
+    return planned;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sending
+  // ---------------------------------------------------------------------------
+
+  /**
+   * When a user may next be messaged, or null if now is fine
+   */
+  async nextAllowedTime(subscription) {
+    const now = this.now();
+
+    // Quiet hours, in the user's timezone
+    const start = Number(subscription.quiet_start ?? DEFAULT_SETTINGS.quiet_start) * 60;
+    const end = Number(subscription.quiet_end ?? DEFAULT_SETTINGS.quiet_end) * 60;
+    const { minutes } = localTime(now, subscription.timezone || DEFAULT_SETTINGS.timezone);
+    const quiet = start < end
+      ? minutes >= start && minutes < end
+      : start !== end && (minutes >= start || minutes < end);
+    if (quiet) {
+      return now + (((end - minutes) + 1440) % 1440) * 60 * 1000;
+    }
+
+    // Daily cap over the last 24 hours
+    const { data: recent, error } = await this.db
+      .from('insight_jobs')
+      .select('sent_at')
+      .eq('telegram_id', Number(subscription.telegram_id))
+      .eq('status', JOB_STATUSES.SENT)
+      .gt('sent_at', this.timestamp(now - DAY_MS))
+      .order('sent_at', { ascending: true });
+    if (error) throw error;
+
+    const cap = Number(subscription.max_per_day || DEFAULT_SETTINGS.max_per_day);
+    if ((recent || []).length >= cap) {
+      return new Date(recent[recent.length - cap].sent_at).getTime() + DAY_MS;
+    }
+    return null;
+  }
+
+  /**
+   * Text and buttons of a push
+   */
+  formatMessage(job) {
+    const payload = job.payload || {};
+    const footer = '\n\n🔕 لإيقاف هذه التنبيهات أرسل /unsubscribe';
+
+    switch (job.kind) {
+      case INSIGHT_KINDS.PRICE_DROP:
+        return {
+          text: `📉 انخفض سعر عرض شاهدته!\n\n` +
+            `🌟 ${payload.title}\n📍 ${payload.destination} - ${payload.duration_days} أيام\n` +
+            `💰 ${currencyService.format(payload.price, payload.currency)} بدلاً من ${currencyService.format(payload.previous_price, payload.currency)}` +
+            footer,
+          reply_markup: { inline_keyboard: [[{ text: '👀 عرض التفاصيل', callback_data: `offer_${payload.offer_id}` }]] }
+        };
+      case INSIGHT_KINDS.PRE_DEPARTURE: {
+        const items = CHECKLISTS[payload.checklist] || CHECKLISTS.day;
+        return {
+          text: `🧳 رحلتك إلى ${payload.destination} تبدأ في ${payload.start_date}\n\n` +
+            `قائمة ما قبل السفر:\n${items.map(item => `☐ ${item}`).join('\n')}` +
+            (payload.booking_reference ? `\n\nرقم الحجز: ${payload.booking_reference}` : '') +
+            footer
+        };
+      }
+      case INSIGHT_KINDS.WEATHER:
+        return {
+          text: `🌦️ تغيّر الطقس المتوقع في ${payload.destination}\n\n` +
+            `${WEATHER_LABELS[payload.previous_condition] || payload.previous_condition} ← ${WEATHER_LABELS[payload.condition] || payload.condition}\n` +
+            (payload.temperature !== null && payload.temperature !== undefined ? `🌡️ ${Math.round(payload.temperature)}°C\n` : '') +
+            `\n💡 ${WEATHER_ADVICE[payload.condition] || ''}` +
+            footer,
+          reply_markup: { inline_keyboard: [[{ text: '🌤️ تفاصيل الطقس', callback_data: `weather_${payload.destination}` }]] }
+        };
+      default:
+        return null;
+    }
+  }
+
+  async updateJob(id, patch) {
+    const { error } = await this.db
+      .from('insight_jobs')
+      .update({ ...patch, updated_at: this.timestamp() })
+      .eq('id', id);
+    if (error) {
+      logger.error('Failed to update insight job', null, { job_id: id, error: error.message });
+    }
+  }
+
+  /**
+   * Send one due job, or move it to the next allowed time
+   * @returns {Promise<string>} 'sent', 'deferred', 'skipped' or 'failed'
+   */
+  async dispatch(job, subscription) {
+    if (!subscription || !subscription.enabled) {
+      await this.updateJob(job.id, { status: JOB_STATUSES.SKIPPED, last_error: 'Unsubscribed' });
+      return 'skipped';
+    }
+    if (job.expires_at && new Date(job.expires_at).getTime() <= this.now()) {
+      await this.updateJob(job.id, { status: JOB_STATUSES.SKIPPED, last_error: 'Expired' });
+      return 'skipped';
+    }
+
+    const nextAllowed = await this.nextAllowedTime(subscription);
+    if (nextAllowed) {
+      await this.updateJob(job.id, { send_after: this.timestamp(nextAllowed) });
+      return 'deferred';
+    }
+
+    const message = this.formatMessage(job);
+    if (!message) {
+      await this.updateJob(job.id, { status: JOB_STATUSES.SKIPPED, last_error: `Unknown insight kind: ${job.kind}` });
+      return 'skipped';
+    }
+
+    // Claimed by counting the attempt, so another instance does not send it too
+    const attempts = Number(job.attempts || 0) + 1;
+    const { data: claimed } = await this.db
+      .from('insight_jobs')
+      .update({ attempts, updated_at: this.timestamp() })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUSES.PENDING)
+      .eq('attempts', Number(job.attempts || 0))
+      .select()
+      .maybeSingle();
+    if (!claimed) return 'skipped';
+
+    try {
+      const { text, ...options } = message;
+      await this.telegram.getBot().sendMessage(job.telegram_id, text, options);
+      await this.updateJob(job.id, { status: JOB_STATUSES.SENT, sent_at: this.timestamp(), last_error: null });
+      return 'sent';
+    } catch (error) {
+      // The user blocked the bot: stop planning pushes for them
+      if (error.response && error.response.statusCode === 403) {
+        await this.unsubscribe(job.telegram_id);
+        await this.updateJob(job.id, { status: JOB_STATUSES.FAILED, last_error: error.message });
+        return 'failed';
+      }
+
+      const retry = attempts < MAX_SEND_ATTEMPTS;
+      logger.warn('Insight push failed', { job_id: job.id, attempts, error: error.message });
+      await this.updateJob(job.id, retry
+        ? { last_error: error.message, send_after: this.timestamp(this.now() + HOUR_MS) }
+        : { status: JOB_STATUSES.FAILED, last_error: error.message });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Send the pushes whose time has come
+   * @returns {Promise<{sent: number, deferred: number, skipped: number, failed: number}>}
+   */
+  async dispatchDue({ limit = 100 } = {}) {
+    const { data: jobs, error } = await this.db
+      .from('insight_jobs')
+      .select('*')
+      .eq('status', JOB_STATUSES.PENDING)
+      .lte('send_after', this.timestamp())
+      .order('send_after', { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+
+    const summary = { sent: 0, deferred: 0, skipped: 0, failed: 0 };
+    const subscriptions = new Map();
+    for (const job of jobs || []) {
+      const telegramId = Number(job.telegram_id);
+      if (!subscriptions.has(telegramId)) {
+        subscriptions.set(telegramId, await this.getSubscription(telegramId));
+      }
+      summary[await this.dispatch(job, subscriptions.get(telegramId))]++;
+    }
+    return summary;
+  }
+
+  /**
+   * Plan new insights, then send the due ones
+   */
+  async run() {
+    const planned = await this.planJobs();
+    const summary = { planned, ...(await this.dispatchDue()) };
+
+    if (summary.sent > 0 || Object.values(planned).some(count => count > 0)) {
+      logger.info('Insight run finished', summary);
+    }
+    return summary;
+  }
+}
+
+// Singleton instance
+const insightScheduler = new InsightScheduler();
+
+module.exports = {
+  InsightScheduler,
+  insightScheduler,
+  INSIGHT_KINDS,
+  JOB_STATUSES,
+  classifyForecast
+};
@@ -0,0 +1,138 @@
+/**
+ * MCP Server for Maya Travel Agent
+ * Serves the travel tool registry over the Model Context Protocol (JSON-RPC 2.0):
+ * `initialize`, `ping`, `tools/list` and `tools/call`. Transport-independent: the stdio
+ * entrypoint (mcp-server.js) and POST /api/mcp both hand messages to `handleMessage`.
+ */
+
+const { toolRegistry } = require('../ai/toolRegistry');
+const logger = require('../../utils/logger');
+const { version } = require('../../package.json');
+
+// Newest first; a client asking for another version gets the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+class MCPServer {
+  /**
+   * @param {Object} [options]
+   * @param {ToolRegistry} [options.registry] - Tools to serve
+   * @param {string} [options.name] - Server name reported on initialize
+   */
+  constructor({ registry = toolRegistry, name = 'maya-travel-agent' } = {}) {
+    this.registry = registry;
+    this.serverInfo = { name, version };
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * @param {Object} message - Request or notification
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handleMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) ||
+        message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return this.error(message && message.id !== undefined ? message.id : null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    const { id, method, params = {} } = message;
+    const isNotification = id === undefined;
+
+    if (isNotification) {
+      // notifications/initialized, notifications/cancelled: nothing to do for a stateless server
+      return null;
+    }
+
+    try {
+      switch (method) {
+        case 'initialize':
+          return this.result(id, this.initialize(params));
+        case 'ping':
+          return this.result(id, {});
+        case 'tools/list':
+          return this.result(id, { tools: this.registry.list() });
+        case 'tools/call':
+          return await this.callTool(id, params);
+        default:
+          return this.error(id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+      }
+    } catch (error) {
+      logger.error('MCP request failed', error, { method });
+      return this.error(id, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+    }
+  }
+
+  /**
+   * Parse and handle one serialized message, as read from a transport
+   * @returns {Promise<Object|null>}
+   */
+  async handleRaw(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (_e) {
+      return this.error(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error');
+    }
+    return this.handleMessage(message);
+  }
+
+  initialize(params = {}) {
+    const requested = params.protocolVersion;
+    return {
+      protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: this.serverInfo,
+      instructions: 'Travel tools from Maya: weather, flights, hotels, currency, visas, prayer times, halal food, itineraries and budgets.'
+    };
+  }
+
+  /**
+   * Run a tool. Unknown tools are protocol errors; bad arguments and tool failures are
+   * reported in the result with `isError` so the calling model can correct itself.
+   */
+  async callTool(id, params = {}) {
+    const { name, arguments: args = {} } = params;
+    if (typeof name !== 'string' || !this.registry.has(name)) {
+      return this.error(id, JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const outcome = await this.registry.call(name, args);
+    const isError = outcome.status !== 'ok';
+    const payload = outcome.result !== undefined ? outcome.result : { error: outcome.error };
+
+    if (isError) {
+      logger.warn('MCP tool call failed', { tool: name, status: outcome.status, error: outcome.error });
+    }
+
+    return this.result(id, {
+      content: [{ type: 'text', text: outcome.status === 'invalid_arguments' ? `Invalid arguments: ${outcome.error}` : JSON.stringify(payload) }],
+      ...(payload && typeof payload === 'object' && !Array.isArray(payload) ? { structuredContent: payload } : {}),
+      isError
+    });
+  }
+
+  result(id, result) {
+    return { jsonrpc: '2.0', id, result };
+  }
+
+  error(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+  }
+}
+
+// Singleton instance
+const mcpServer = new MCPServer();
+
+module.exports = {
+  MCPServer,
+  mcpServer,
+  PROTOCOL_VERSIONS,
+  JSONRPC_ERRORS
+};
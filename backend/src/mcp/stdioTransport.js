@@ -0,0 +1,36 @@
+/**
+ * MCP stdio Transport for Maya Travel Agent
+ * Newline-delimited JSON-RPC over stdin/stdout. Messages are handled in arrival order;
+ * nothing but protocol messages may be written to the output stream.
+ */
+
+const readline = require('readline');
+
+/**
+ * Serve an MCP server until the input stream ends
+ * @param {MCPServer} server - Server handling the messages
+ * @param {Object} [streams]
+ * @param {stream.Readable} [streams.input] - Defaults to process.stdin
+ * @param {stream.Writable} [streams.output] - Defaults to process.stdout
+ * @returns {Promise<void>} Resolves once the input is closed and every reply is written
+ */
+function serveStdio(server, { input = process.stdin, output = process.stdout } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let queue = Promise.resolve();
+
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    queue = queue.then(async () => {
+      const response = await server.handleRaw(line);
+      if (response) {
+        output.write(`${JSON.stringify(response)}\n`);
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    lines.on('close', () => queue.then(resolve));
+  });
+}
+
+module.exports = { serveStdio };
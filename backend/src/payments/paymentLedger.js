@@ -0,0 +1,308 @@
+/**
+ * Payment Ledger for Maya Travel Agent
+ * Persists every payment in the `payments` table and moves it through
+ * explicit state transitions: created → pending → succeeded/failed → refunded
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { toMinorUnits, fromMinorUnits } = require('../currency/minorUnits');
+const { AppError } = require('../../utils/errorHandler');
+const { isUuid } = require('../../utils/uuid');
+const logger = require('../../utils/logger');
+
+const PAYMENT_STATUSES = {
+  CREATED: 'created',
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+// Allowed next states for each state
+const TRANSITIONS = {
+  created: ['pending', 'failed'],
+  pending: ['succeeded', 'failed'],
+  succeeded: ['refunded'],
+  failed: [],
+  refunded: []
+};
+
+class PaymentLedger {
+  /**
+   * @param {Object} [client] - Supabase-compatible client; defaults to the shared service client
+   */
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Check whether a status change is allowed
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Write a new payment record in the `created` state
+   */
+  async record({
+    paymentMethod,
+    providerPaymentId = null,
+    amount,
+    currency = 'USD',
+    description = null,
+    userId = null,
+    profileId = null,
+    stripeSessionId = null,
+    bookingId = null,
+    metadata = {}
+  }) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.db
+      .from('payments')
+      .insert([{
+        user_id: userId,
+        profile_id: profileId,
+        amount,
+        currency: currency.toUpperCase(),
+        status: PAYMENT_STATUSES.CREATED,
+        payment_method: paymentMethod,
+        provider_payment_id: providerPaymentId,
+        stripe_session_id: stripeSessionId,
+        booking_id: bookingId,
+        description,
+        metadata,
+        status_history: [{ status: PAYMENT_STATUSES.CREATED, at: now }],
+        amount_refunded: 0,
+        refunds: [],
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) throw new AppError(`Failed to record payment: ${error.message}`, 500);
+
+    logger.info('Payment recorded', {
+      payment_id: data.id,
+      method: paymentMethod,
+      amount,
+      currency: data.currency
+    });
+    return data;
+  }
+
+  /**
+   * Get a payment by its ledger ID
+   */
+  async getPayment(id) {
+    if (!isUuid(id)) return null;
+
+    const { data, error } = await this.db
+      .from('payments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load payment: ${error.message}`, 500);
+    return data;
+  }
+
+  /**
+   * Get the most recent payment whose column matches a value
+   */
+  async findBy(column, value) {
+    if (value === undefined || value === null) return null;
+
+    const { data, error } = await this.db
+      .from('payments')
+      .select('*')
+      .eq(column, value)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw new AppError(`Failed to load payment: ${error.message}`, 500);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Get the most recent payment whose metadata contains the given keys and values
+   */
+  async findByMetadata(metadata) {
+    const { data, error } = await this.db
+      .from('payments')
+      .select('*')
+      .contains('metadata', metadata)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw new AppError(`Failed to load payment: ${error.message}`, 500);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Get a payment by the provider's identifier (payment link, order or charge ID)
+   */
+  async findByProviderId(providerPaymentId) {
+    return await this.findBy('provider_payment_id', providerPaymentId);
+  }
+
+  /**
+   * Resolve a ledger ID or provider ID to a payment record
+   */
+  async resolve(paymentId) {
+    return (await this.getPayment(paymentId)) || (await this.findByProviderId(paymentId));
+  }
+
+  /**
+   * Move a payment to a new status
+   * @param {string} id - Ledger ID
+   * @param {string} nextStatus - Target status
+   * @param {Object} [details] - Extra columns to set and a reason for the history entry
+   */
+  async transition(id, nextStatus, { reason = null, updates = {} } = {}) {
+    const payment = await this.getPayment(id);
+    if (!payment) {
+      throw new AppError('Payment not found', 404, true, { payment_id: id });
+    }
+
+    if (!PaymentLedger.canTransition(payment.status, nextStatus)) {
+      throw new AppError(
+        `Invalid payment transition: ${payment.status} -> ${nextStatus}`,
+        409,
+        true,
+        { payment_id: id, from: payment.status, to: nextStatus }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const history = [...(payment.status_history || []), { status: nextStatus, at: now, reason }];
+
+    // Guard on the current status so concurrent transitions cannot both win
+    const { data, error } = await this.db
+      .from('payments')
+      .update({ ...updates, status: nextStatus, status_history: history, updated_at: now })
+      .eq('id', id)
+      .eq('status', payment.status)
+      .select();
+
+    if (error) throw new AppError(`Failed to update payment: ${error.message}`, 500);
+    if (!data || data.length === 0) {
+      throw new AppError('Payment was modified concurrently', 409, true, { payment_id: id });
+    }
+
+    logger.info(`Payment transition: ${payment.status} -> ${nextStatus}`, {
+      payment_id: id,
+      reason
+    });
+    return data[0];
+  }
+
+  /**
+   * Merge details into a payment without changing its status
+   */
+  async annotate(id, metadata = {}, updates = {}) {
+    const payment = await this.getPayment(id);
+    if (!payment) {
+      throw new AppError('Payment not found', 404, true, { payment_id: id });
+    }
+
+    const { data, error } = await this.db
+      .from('payments')
+      .update({
+        ...updates,
+        metadata: { ...(payment.metadata || {}), ...metadata },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new AppError(`Failed to update payment: ${error.message}`, 500);
+    return data;
+  }
+
+  /**
+   * Record a refund issued with the provider. The payment moves to `refunded`
+   * once its refunds cover the full amount; partial refunds keep it `succeeded`.
+   * @param {string} id - Ledger ID
+   * @param {Object} refund - Refund details (amount in major units, reason code, provider refund ID)
+   */
+  async recordRefund(id, { amount, reason, providerRefundId = null, status = 'succeeded', note = null, requestedBy = null }) {
+    const entry = {
+      id: providerRefundId,
+      amount: Number(amount),
+      reason,
+      status,
+      note,
+      requested_by: requestedBy,
+      at: new Date().toISOString()
+    };
+
+    // Retry when another refund lands between our read and write
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const payment = await this.getPayment(id);
+      if (!payment) {
+        throw new AppError('Payment not found', 404, true, { payment_id: id });
+      }
+
+      const refunds = [...(payment.refunds || []), entry];
+      const refundedMinor = refunds.reduce((sum, r) => sum + toMinorUnits(r.amount, payment.currency), 0);
+      // Provider webhooks may already have reported a larger total
+      const amountRefunded = Math.max(Number(payment.amount_refunded || 0), fromMinorUnits(refundedMinor, payment.currency));
+
+      const { data, error } = await this.db
+        .from('payments')
+        .update({ refunds, amount_refunded: amountRefunded, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('updated_at', payment.updated_at)
+        .select();
+
+      if (error) throw new AppError(`Failed to record refund: ${error.message}`, 500);
+      if (!data || data.length === 0) continue;
+
+      logger.info('Refund recorded', { payment_id: id, amount: entry.amount, reason, amount_refunded: amountRefunded });
+
+      const updated = data[0];
+      if (amountRefunded >= Number(updated.amount) && updated.status === PAYMENT_STATUSES.SUCCEEDED) {
+        return await this.transition(id, PAYMENT_STATUSES.REFUNDED, { reason });
+      }
+      return updated;
+    }
+
+    throw new AppError('Payment was modified concurrently', 409, true, { payment_id: id });
+  }
+
+  /**
+   * Confirm a payment, walking it through `pending` if needed.
+   * Confirming an already succeeded payment is a no-op.
+   */
+  async confirm(id, { reason = 'confirmed', updates = {} } = {}) {
+    const payment = await this.getPayment(id);
+    if (!payment) {
+      throw new AppError('Payment not found', 404, true, { payment_id: id });
+    }
+
+    if (payment.status === PAYMENT_STATUSES.SUCCEEDED) {
+      return payment;
+    }
+    if (payment.status === PAYMENT_STATUSES.CREATED) {
+      await this.transition(id, PAYMENT_STATUSES.PENDING, { reason });
+    }
+    return await this.transition(id, PAYMENT_STATUSES.SUCCEEDED, { reason, updates });
+  }
+}
+
+// Singleton instance
+const paymentLedger = new PaymentLedger();
+
+module.exports = {
+  PaymentLedger,
+  paymentLedger,
+  PAYMENT_STATUSES,
+  TRANSITIONS
+};
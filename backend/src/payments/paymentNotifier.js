@@ -0,0 +1,114 @@
+/**
+ * Payment Notifier for Maya Travel Agent
+ * Tells customers about payment events on the channel they paid from
+ * (Telegram bot chat or WhatsApp number)
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { telegramPayments } = require('./telegramPayments');
+const { minorUnitExponent } = require('../currency/minorUnits');
+const logger = require('../../utils/logger');
+
+class PaymentNotifier {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.telegram] - Provides `getBot()` for Telegram messages
+   * @param {Object} [options.whatsapp] - WhatsAppClient; created on first use
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   */
+  constructor({ telegram = telegramPayments, whatsapp = null, client = null } = {}) {
+    this.telegram = telegram;
+    this.whatsappClient = whatsapp;
+    this.client = client;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  get whatsapp() {
+    if (!this.whatsappClient) {
+      const WhatsAppClient = require('../whatsapp/whatsappClient');
+      this.whatsappClient = new WhatsAppClient();
+    }
+    return this.whatsappClient;
+  }
+
+  /**
+   * Work out where the customer behind a payment can be reached
+   * @returns {Promise<{channel: 'telegram'|'whatsapp', to: string|number}|null>}
+   */
+  async resolveRecipient(payment) {
+    const metadata = payment.metadata || {};
+
+    if (metadata.whatsapp_phone) {
+      return { channel: 'whatsapp', to: metadata.whatsapp_phone };
+    }
+    if (metadata.chat_id) {
+      return { channel: 'telegram', to: metadata.chat_id };
+    }
+
+    if (payment.booking_id) {
+      const { data: booking } = await this.db
+        .from('bookings')
+        .select('telegram_id')
+        .eq('id', payment.booking_id)
+        .maybeSingle();
+
+      if (booking?.telegram_id) {
+        return { channel: 'telegram', to: booking.telegram_id };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a message to the customer behind a payment. Never throws: a failed
+   * notification must not undo the payment operation that triggered it.
+   * @returns {Promise<{sent: boolean, channel?: string, error?: string}>}
+   */
+  async notify(payment, message) {
+    try {
+      const recipient = await this.resolveRecipient(payment);
+      if (!recipient) {
+        return { sent: false, error: 'No contact channel on payment' };
+      }
+
+      if (recipient.channel === 'whatsapp') {
+        const result = await this.whatsapp.sendMessage(String(recipient.to), message);
+        return result.success
+          ? { sent: true, channel: 'whatsapp' }
+          : { sent: false, channel: 'whatsapp', error: result.error };
+      }
+
+      await this.telegram.getBot().sendMessage(recipient.to, message);
+      return { sent: true, channel: 'telegram' };
+    } catch (error) {
+      logger.error('Failed to notify customer about payment', error, { payment_id: payment.id });
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell the customer a refund was issued
+   */
+  async notifyRefund(payment, refund) {
+    const fullyRefunded = payment.status === 'refunded';
+    const message =
+      `💸 تم ${fullyRefunded ? 'استرداد دفعتك بالكامل' : 'استرداد جزء من دفعتك'}\n\n` +
+      `المبلغ المسترد: ${Number(refund.amount).toFixed(minorUnitExponent(payment.currency))} ${payment.currency}\n` +
+      `معرف الدفع: ${payment.id}\n\n` +
+      'قد يستغرق ظهور المبلغ في حسابك عدة أيام عمل.';
+
+    return await this.notify(payment, message);
+  }
+}
+
+// Singleton instance
+const paymentNotifier = new PaymentNotifier();
+
+module.exports = {
+  PaymentNotifier,
+  paymentNotifier
+};
@@ -0,0 +1,162 @@
+/**
+ * Payment Service for Maya Travel Agent
+ * Creates payments with each provider and records them in the payment ledger
+ */
+
+const { paymentLedger } = require('./paymentLedger');
+const { telegramPayments } = require('./telegramPayments');
+const { paypalPayments } = require('./paypalPayments');
+const { CurrencyService, currencyService } = require('../currency/currencyService');
+const { bookingService } = require('../bookings/bookingService');
+
+class PaymentService {
+  /**
+   * Work out what to charge: a booking's stored price when paying for a booking,
+   * otherwise the given amount, rounded to the currency's minor unit
+   */
+  static async resolveCharge(amount, currency, bookingId = null) {
+    if (bookingId) {
+      const booking = await bookingService.getPayableBooking(bookingId);
+      amount = Number(booking.total_price);
+      currency = booking.currency || 'USD';
+    }
+    const code = CurrencyService.normalize(currency);
+    return { amount: currencyService.round(amount, code), currency: code };
+  }
+
+  // Stripe integration with payment links
+  static async createStripePayment(amount, currency = 'USD', description = 'Maya Trips Payment', options = {}) {
+    try {
+      const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+      ({ amount, currency } = await PaymentService.resolveCharge(amount, currency, options.bookingId));
+
+      // Create a price for the payment
+      const price = await stripe.prices.create({
+        unit_amount: currencyService.toMinorUnits(amount, currency), // cents, yen, fils...
+        currency: currency.toLowerCase(),
+        product_data: {
+          name: description,
+          description: `Maya Trips - ${description}`,
+        },
+      });
+
+      // Create payment link
+      const paymentLink = await stripe.paymentLinks.create({
+        line_items: [
+          {
+            price: price.id,
+            quantity: 1,
+          },
+        ],
+        after_completion: {
+          type: 'redirect',
+          redirect: {
+            url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success`,
+          },
+        },
+        allow_promotion_codes: true,
+        billing_address_collection: 'auto',
+        payment_method_types: ['card'],
+      });
+
+      const record = await paymentLedger.record({
+        paymentMethod: 'stripe',
+        providerPaymentId: paymentLink.id,
+        amount,
+        currency,
+        description,
+        userId: options.userId,
+        profileId: options.profileId,
+        bookingId: options.bookingId,
+        metadata: { url: paymentLink.url, ...options.metadata }
+      });
+
+      return {
+        success: true,
+        data: {
+          id: record.id,
+          provider_payment_id: paymentLink.id,
+          booking_id: record.booking_id || null,
+          url: paymentLink.url,
+          amount: amount,
+          currency: currency,
+          description: description,
+          status: record.status
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // PayPal integration: creates an Orders v2 order the payer approves at PayPal
+  static async createPayPalPayment(amount, currency = 'USD', description = 'Maya Trips Payment', options = {}) {
+    try {
+      ({ amount, currency } = await PaymentService.resolveCharge(amount, currency, options.bookingId));
+      const { payment, order, approvalUrl } = await paypalPayments.createOrder({
+        amount,
+        currency,
+        description,
+        userId: options.userId,
+        profileId: options.profileId,
+        bookingId: options.bookingId,
+        metadata: options.metadata
+      });
+
+      return {
+        success: true,
+        data: {
+          id: payment.id,
+          provider_payment_id: order.id,
+          booking_id: payment.booking_id || null,
+          approval_url: approvalUrl,
+          amount: {
+            total: amount.toString(),
+            currency
+          },
+          description,
+          state: payment.status,
+          create_time: payment.created_at
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Telegram Bot payment integration: sends a real invoice to the chat
+  static async createTelegramPayment(amount, currency = 'USD', description = 'Maya Trips Payment', chatId, options = {}) {
+    try {
+      const { payment, invoice } = await telegramPayments.sendInvoice({
+        chatId,
+        bookingId: options.bookingId,
+        amount,
+        currency,
+        title: options.title,
+        description,
+        userId: options.userId,
+        profileId: options.profileId,
+        metadata: options.metadata
+      });
+
+      return {
+        success: true,
+        data: {
+          id: payment.id,
+          booking_id: payment.booking_id,
+          amount: Number(payment.amount),
+          currency: payment.currency,
+          description,
+          chat_id: chatId,
+          invoice_message_id: invoice?.message_id || null,
+          status: payment.status,
+          created_at: payment.created_at
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = PaymentService;
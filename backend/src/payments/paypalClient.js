@@ -0,0 +1,229 @@
+/**
+ * PayPal REST Client for Maya Travel Agent
+ * OAuth client-credentials auth and the PayPal payments endpoints we use
+ */
+
+const axios = require('axios');
+const { minorUnitExponent } = require('../currency/minorUnits');
+
+const API_BASES = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+};
+
+class PayPalClient {
+  /**
+   * @param {Object} [options] - Explicit credentials and API host; unset values are read
+   * from PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET and PAYPAL_API_BASE / PAYPAL_MODE on use
+   */
+  constructor({ clientId = null, clientSecret = null, baseUrl = null } = {}) {
+    this.options = { clientId, clientSecret, baseUrl };
+    this.token = null;
+    this.tokenBaseUrl = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  get clientId() {
+    return this.options.clientId || process.env.PAYPAL_CLIENT_ID;
+  }
+
+  get clientSecret() {
+    return this.options.clientSecret || process.env.PAYPAL_CLIENT_SECRET;
+  }
+
+  get baseUrl() {
+    const base = this.options.baseUrl ||
+      process.env.PAYPAL_API_BASE ||
+      API_BASES[process.env.PAYPAL_MODE] ||
+      API_BASES.sandbox;
+    return base.replace(/\/$/, '');
+  }
+
+  get isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  /**
+   * Format an amount the way PayPal expects it ("10.00", "1000" for JPY)
+   */
+  static formatAmount(amount, currency) {
+    return Number(amount).toFixed(minorUnitExponent(currency));
+  }
+
+  /**
+   * Get an OAuth access token, reusing it until shortly before it expires
+   */
+  async getAccessToken() {
+    const baseUrl = this.baseUrl;
+    if (this.token && this.tokenBaseUrl === baseUrl && Date.now() < this.tokenExpiresAt) {
+      return this.token;
+    }
+
+    const response = await axios.post(
+      `${baseUrl}/v1/oauth2/token`,
+      'grant_type=client_credentials',
+      {
+        auth: { username: this.clientId, password: this.clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    this.token = response.data.access_token;
+    this.tokenBaseUrl = baseUrl;
+    this.tokenExpiresAt = Date.now() + Math.max((response.data.expires_in || 0) - 60, 0) * 1000;
+    return this.token;
+  }
+
+  async request(method, path, data = undefined, headers = {}) {
+    const token = await this.getAccessToken();
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...headers
+        }
+      });
+      return response.data;
+    } catch (error) {
+      const details = error.response?.data;
+      const message = details?.details?.[0]?.description || details?.message || error.message;
+      const wrapped = new Error(`PayPal ${method.toUpperCase()} ${path} failed: ${message}`);
+      wrapped.status = error.response?.status;
+      wrapped.details = details;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Create an Orders v2 order for immediate capture
+   * @param {Object} params
+   * @param {number} params.amount - Order total
+   * @param {string} params.currency - ISO currency code
+   * @param {string} params.referenceId - Our ledger ID, echoed back as custom_id in webhooks
+   * @param {string} params.description - Shown to the payer
+   * @param {string} params.returnUrl - Where PayPal sends the payer after approval
+   * @param {string} params.cancelUrl - Where PayPal sends the payer after cancelling
+   */
+  async createOrder({ amount, currency, referenceId, description, returnUrl, cancelUrl }) {
+    return await this.request('post', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: referenceId,
+        custom_id: referenceId,
+        description: description ? description.slice(0, 127) : undefined,
+        amount: {
+          currency_code: currency.toUpperCase(),
+          value: PayPalClient.formatAmount(amount, currency)
+        }
+      }],
+      payment_source: {
+        paypal: {
+          experience_context: {
+            brand_name: 'Maya Trips',
+            user_action: 'PAY_NOW',
+            shipping_preference: 'NO_SHIPPING',
+            return_url: returnUrl,
+            cancel_url: cancelUrl
+          }
+        }
+      }
+    }, { 'PayPal-Request-Id': `order-${referenceId}` });
+  }
+
+  async getOrder(orderId) {
+    return await this.request('get', `/v2/checkout/orders/${encodeURIComponent(orderId)}`);
+  }
+
+  /**
+   * Capture an approved order
+   */
+  async captureOrder(orderId) {
+    return await this.request(
+      'post',
+      `/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`,
+      {},
+      { 'PayPal-Request-Id': `capture-${orderId}` }
+    );
+  }
+
+  /**
+   * Link the payer must visit to approve an order
+   */
+  static approvalUrl(order) {
+    const link = (order.links || []).find(l => l.rel === 'payer-action' || l.rel === 'approve');
+    return link ? link.href : null;
+  }
+
+  /**
+   * Verify a webhook delivery with PayPal's verify-webhook-signature API
+   * @param {Object} headers - Request headers (lower-cased, as Express provides them)
+   * @param {Object} event - Parsed webhook body
+   * @returns {Promise<boolean>}
+   */
+  async verifyWebhookSignature(headers, event, webhookId = process.env.PAYPAL_WEBHOOK_ID) {
+    if (!webhookId) {
+      throw new Error('PAYPAL_WEBHOOK_ID is not configured');
+    }
+
+    const required = [
+      'paypal-auth-algo',
+      'paypal-cert-url',
+      'paypal-transmission-id',
+      'paypal-transmission-sig',
+      'paypal-transmission-time'
+    ];
+    if (required.some(name => !headers[name])) {
+      return false;
+    }
+
+    const result = await this.request('post', '/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: webhookId,
+      webhook_event: event
+    });
+    return result.verification_status === 'SUCCESS';
+  }
+
+  /**
+   * Refund a captured payment, fully or partially
+   * @param {string} captureId - PayPal capture ID
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Amount to refund; omit for a full refund
+   * @param {string} [options.currency] - Currency of the amount
+   * @param {string} [options.note] - Note shown to the payer
+   * @param {string} [options.requestId] - Idempotency key (PayPal-Request-Id)
+   */
+  async refundCapture(captureId, { amount = null, currency = 'USD', note = null, requestId = null } = {}) {
+    const body = {};
+    if (amount !== null) {
+      body.amount = { value: PayPalClient.formatAmount(amount, currency), currency_code: currency.toUpperCase() };
+    }
+    if (note) {
+      body.note_to_payer = note.slice(0, 255);
+    }
+
+    return await this.request(
+      'post',
+      `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+      body,
+      requestId ? { 'PayPal-Request-Id': requestId } : {}
+    );
+  }
+}
+
+// Singleton instance
+const paypalClient = new PayPalClient();
+
+module.exports = {
+  PayPalClient,
+  paypalClient
+};
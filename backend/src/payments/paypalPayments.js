@@ -0,0 +1,283 @@
+/**
+ * PayPal Checkout for Maya Travel Agent
+ * Orders v2 flow: create order → payer approves at PayPal → capture on return,
+ * with webhooks as the backstop for captures that finish asynchronously
+ */
+
+const { paypalClient, PayPalClient } = require('./paypalClient');
+const { paymentLedger, PaymentLedger, PAYMENT_STATUSES } = require('./paymentLedger');
+const { bookingService } = require('../bookings/bookingService');
+const { toMinorUnits } = require('../currency/minorUnits');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+class PayPalPayments {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.paypal] - PayPal REST client
+   * @param {Object} [options.ledger] - Payment ledger
+   * @param {Object} [options.bookings] - Booking service, confirms bookings once captured
+   */
+  constructor({ paypal = paypalClient, ledger = paymentLedger, bookings = bookingService } = {}) {
+    this.paypal = paypal;
+    this.ledger = ledger;
+    this.bookings = bookings;
+
+    this.webhookHandlers = {
+      'CHECKOUT.ORDER.APPROVED': this.handleOrderApproved.bind(this),
+      'PAYMENT.CAPTURE.COMPLETED': this.handleCaptureCompleted.bind(this),
+      'PAYMENT.CAPTURE.PENDING': this.handleCapturePending.bind(this),
+      'PAYMENT.CAPTURE.DENIED': this.handleCaptureDenied.bind(this),
+      'PAYMENT.CAPTURE.DECLINED': this.handleCaptureDenied.bind(this),
+      'PAYMENT.CAPTURE.REFUNDED': this.handleCaptureRefunded.bind(this)
+    };
+  }
+
+  /**
+   * URLs PayPal sends the payer back to; both are handled by routes/paypal.js
+   */
+  redirectUrls() {
+    const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    return {
+      returnUrl: `${base}/api/payment/paypal/return`,
+      cancelUrl: `${base}/api/payment/paypal/cancel`
+    };
+  }
+
+  /**
+   * Record a payment and create the PayPal order for it
+   * @returns {Promise<{payment: Object, order: Object, approvalUrl: string}>}
+   */
+  async createOrder({ amount, currency = 'USD', description = 'Maya Trips Payment', userId = null, profileId = null, bookingId = null, metadata = {} }) {
+    const payment = await this.ledger.record({
+      paymentMethod: 'paypal',
+      amount,
+      currency,
+      description,
+      userId,
+      profileId,
+      bookingId,
+      metadata
+    });
+
+    let order;
+    try {
+      order = await this.paypal.createOrder({
+        amount,
+        currency,
+        referenceId: payment.id,
+        description,
+        ...this.redirectUrls()
+      });
+    } catch (error) {
+      await this.ledger.transition(payment.id, PAYMENT_STATUSES.FAILED, { reason: 'create_order_failed' });
+      throw new AppError(`Failed to create PayPal order: ${error.message}`, 502);
+    }
+
+    const approvalUrl = PayPalClient.approvalUrl(order);
+    const updated = await this.ledger.annotate(
+      payment.id,
+      { approval_url: approvalUrl, paypal_order_status: order.status },
+      { provider_payment_id: order.id }
+    );
+
+    return { payment: updated, order, approvalUrl };
+  }
+
+  async findOrderPayment(orderId) {
+    const payment = await this.ledger.findByProviderId(orderId);
+    if (!payment || payment.payment_method !== 'paypal') {
+      throw new AppError('PayPal order not found', 404, true, { order_id: orderId });
+    }
+    return payment;
+  }
+
+  /**
+   * Capture an order the payer has approved. Safe to call more than once.
+   */
+  async capture(orderId) {
+    let payment = await this.findOrderPayment(orderId);
+    if (payment.status === PAYMENT_STATUSES.SUCCEEDED) {
+      return payment;
+    }
+    if (payment.status === PAYMENT_STATUSES.CREATED) {
+      payment = await this.ledger.transition(payment.id, PAYMENT_STATUSES.PENDING, { reason: 'payer_approved' });
+    }
+
+    let order;
+    try {
+      order = await this.paypal.captureOrder(orderId);
+    } catch (error) {
+      const issue = error.details?.details?.[0]?.issue;
+      if (issue !== 'ORDER_ALREADY_CAPTURED') {
+        logger.error('PayPal capture failed', error, { order_id: orderId, payment_id: payment.id, issue });
+        throw new AppError(`Failed to capture PayPal order: ${error.message}`, 502, true, { issue });
+      }
+      // A webhook or an earlier return already captured it
+      order = await this.paypal.getOrder(orderId);
+    }
+
+    return await this.applyCapture(payment, order.purchase_units?.[0]?.payments?.captures?.[0], order.status);
+  }
+
+  /**
+   * Whether a capture moved exactly the amount and currency the ledger expects
+   */
+  captureMatches(payment, capture) {
+    const currency = String(capture.amount?.currency_code || '').toUpperCase();
+    const value = Number(capture.amount?.value);
+    return currency === String(payment.currency).toUpperCase() &&
+      Number.isFinite(value) &&
+      toMinorUnits(value, currency) === toMinorUnits(payment.amount, currency);
+  }
+
+  /**
+   * Update the ledger from a capture object. A completed capture for a different
+   * amount or currency is kept on the record but not confirmed.
+   */
+  async applyCapture(payment, capture, orderStatus = null) {
+    if (!capture) {
+      throw new AppError('PayPal order has no capture', 502, true, { payment_id: payment.id });
+    }
+
+    const annotated = await this.ledger.annotate(payment.id, {
+      paypal_capture_id: capture.id,
+      paypal_capture_status: capture.status,
+      ...(capture.amount ? { paypal_capture_amount: capture.amount } : {}),
+      ...(orderStatus ? { paypal_order_status: orderStatus } : {})
+    });
+
+    switch (capture.status) {
+      case 'COMPLETED': {
+        if (!this.captureMatches(payment, capture)) {
+          // The money has moved, so this needs a human to reconcile it
+          logger.error('PayPal capture does not match its payment', null, {
+            payment_id: payment.id,
+            booking_id: payment.booking_id,
+            paypal_capture_id: capture.id,
+            expected: { currency: payment.currency, value: Number(payment.amount) },
+            received: capture.amount || null
+          });
+          return await this.ledger.annotate(payment.id, { paypal_capture_mismatch: true });
+        }
+        const confirmed = await this.ledger.confirm(payment.id, { reason: 'paypal_capture_completed' });
+        await this.bookings.recordPayment(confirmed);
+        return confirmed;
+      }
+      case 'DECLINED':
+      case 'FAILED':
+        return await this.moveTo(annotated, PAYMENT_STATUSES.FAILED, `paypal_capture_${capture.status.toLowerCase()}`);
+      default:
+        // PENDING captures settle later and arrive as PAYMENT.CAPTURE.COMPLETED
+        return await this.moveTo(annotated, PAYMENT_STATUSES.PENDING, 'paypal_capture_pending');
+    }
+  }
+
+  /**
+   * The payer cancelled at PayPal
+   */
+  async cancel(orderId) {
+    const payment = await this.findOrderPayment(orderId);
+    return await this.moveTo(payment, PAYMENT_STATUSES.FAILED, 'payer_cancelled');
+  }
+
+  async moveTo(payment, status, reason) {
+    if (payment.status === status || !PaymentLedger.canTransition(payment.status, status)) {
+      return payment;
+    }
+    return await this.ledger.transition(payment.id, status, { reason });
+  }
+
+  /**
+   * Apply a verified webhook event. Handlers are idempotent, so PayPal's
+   * redeliveries are harmless.
+   * @returns {Promise<Object>} outcome
+   */
+  async handleWebhookEvent(event) {
+    const handler = this.webhookHandlers[event.event_type];
+    if (!handler) {
+      return { action: 'ignored', reason: 'unhandled_event_type' };
+    }
+
+    const outcome = await handler(event.resource || {});
+    logger.info(`PayPal webhook ${event.event_type}`, { event_id: event.id, ...outcome });
+    return outcome;
+  }
+
+  /**
+   * Find the payment a capture or refund belongs to
+   */
+  async findCapturePayment(resource, captureId = resource.id) {
+    return (resource.custom_id && await this.ledger.getPayment(resource.custom_id)) ||
+      (await this.ledger.findByProviderId(resource.supplementary_data?.related_ids?.order_id)) ||
+      (await this.ledger.findByMetadata({ paypal_capture_id: captureId }));
+  }
+
+  async handleOrderApproved(order) {
+    const payment = await this.ledger.findByProviderId(order.id);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+    if (payment.status === PAYMENT_STATUSES.SUCCEEDED) {
+      return { action: 'unchanged', payment_id: payment.id };
+    }
+
+    const updated = await this.capture(order.id);
+    return { action: 'captured', payment_id: payment.id, status: updated.status };
+  }
+
+  async handleCaptureCompleted(capture) {
+    const payment = await this.findCapturePayment(capture);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    const updated = await this.applyCapture(payment, capture);
+    return { action: 'capture_completed', payment_id: payment.id, status: updated.status };
+  }
+
+  async handleCapturePending(capture) {
+    const payment = await this.findCapturePayment(capture);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    const updated = await this.applyCapture(payment, capture);
+    return { action: 'capture_pending', payment_id: payment.id, status: updated.status };
+  }
+
+  async handleCaptureDenied(capture) {
+    const payment = await this.findCapturePayment(capture);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    const updated = await this.applyCapture(payment, { ...capture, status: 'DECLINED' });
+    return { action: 'capture_denied', payment_id: payment.id, status: updated.status };
+  }
+
+  async handleCaptureRefunded(refund) {
+    // The refund links back to its capture with rel "up"
+    const upLink = (refund.links || []).find(l => l.rel === 'up');
+    const captureId = upLink ? upLink.href.split('/').pop() : null;
+    const payment = await this.findCapturePayment({ custom_id: refund.custom_id }, captureId);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    // Refunds issued through our API are already in the ledger
+    if ((payment.refunds || []).some(r => r.id === refund.id)) {
+      return { action: 'unchanged', payment_id: payment.id, refund_id: refund.id };
+    }
+    if (payment.status !== PAYMENT_STATUSES.SUCCEEDED) {
+      return { action: 'skipped', payment_id: payment.id, reason: `payment is ${payment.status}` };
+    }
+
+    const updated = await this.ledger.recordRefund(payment.id, {
+      amount: Number(refund.amount?.value),
+      reason: 'other',
+      note: 'Refunded in PayPal',
+      providerRefundId: refund.id,
+      status: String(refund.status || 'completed').toLowerCase()
+    });
+    return { action: 'refund_recorded', payment_id: payment.id, status: updated.status };
+  }
+}
+
+// Singleton instance
+const paypalPayments = new PayPalPayments();
+
+module.exports = {
+  PayPalPayments,
+  paypalPayments
+};
@@ -0,0 +1,231 @@
+/**
+ * Refund Service for Maya Travel Agent
+ * Issues full and partial refunds with the provider that took the payment,
+ * records them in the ledger and tells the customer
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { paymentLedger, PAYMENT_STATUSES } = require('./paymentLedger');
+const { paymentNotifier } = require('./paymentNotifier');
+const { telegramPayments } = require('./telegramPayments');
+const { paypalClient } = require('./paypalClient');
+const { toMinorUnits, fromMinorUnits } = require('../currency/minorUnits');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const REFUND_REASONS = [
+  'requested_by_customer',
+  'booking_cancelled',
+  'duplicate',
+  'fraudulent',
+  'service_issue',
+  'price_adjustment',
+  'other'
+];
+
+// Stripe only accepts these three reasons; our own code is kept in metadata
+const STRIPE_REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+class RefundService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.ledger] - Payment ledger
+   * @param {Object} [options.notifier] - Payment notifier
+   * @param {Object} [options.telegram] - Telegram payments (Stars refunds)
+   * @param {Object} [options.paypal] - PayPal client (capture refunds)
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   */
+  constructor({
+    ledger = paymentLedger,
+    notifier = paymentNotifier,
+    telegram = telegramPayments,
+    paypal = paypalClient,
+    client = null
+  } = {}) {
+    this.ledger = ledger;
+    this.notifier = notifier;
+    this.telegram = telegram;
+    this.paypal = paypal;
+    this.client = client;
+
+    this.providers = {
+      stripe: this.refundStripe.bind(this),
+      paypal: this.refundPayPal.bind(this),
+      telegram: this.refundTelegram.bind(this)
+    };
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Refund a payment
+   * @param {Object} params
+   * @param {string} params.paymentId - Ledger ID or provider payment ID
+   * @param {number} [params.amount] - Amount to refund; defaults to everything not yet refunded
+   * @param {string} params.reason - One of REFUND_REASONS
+   * @param {string} [params.note] - Free-text note for the customer and the audit trail
+   * @param {string} [params.requestedBy] - Support agent issuing the refund
+   * @returns {Promise<{payment: Object, refund: Object, notification: Object}>}
+   */
+  async refund({ paymentId, amount = null, reason, note = null, requestedBy = null }) {
+    if (!REFUND_REASONS.includes(reason)) {
+      throw new AppError(`Invalid refund reason. Supported: ${REFUND_REASONS.join(', ')}`, 400);
+    }
+
+    const payment = await this.ledger.resolve(paymentId);
+    if (!payment) {
+      throw new AppError('Payment not found', 404, true, { payment_id: paymentId });
+    }
+    if (payment.status !== PAYMENT_STATUSES.SUCCEEDED) {
+      throw new AppError(`Only succeeded payments can be refunded (payment is ${payment.status})`, 409, true, {
+        payment_id: payment.id
+      });
+    }
+
+    const currency = payment.currency;
+    const remainingMinor = toMinorUnits(payment.amount, currency) - toMinorUnits(payment.amount_refunded || 0, currency);
+    const refundMinor = amount === null || amount === undefined
+      ? remainingMinor
+      : toMinorUnits(amount, currency);
+
+    if (!(refundMinor > 0)) {
+      throw new AppError('Refund amount must be greater than 0', 400);
+    }
+    if (refundMinor > remainingMinor) {
+      throw new AppError(
+        `Refund exceeds the refundable amount (${fromMinorUnits(remainingMinor, currency)} ${currency})`,
+        400,
+        true,
+        { payment_id: payment.id }
+      );
+    }
+
+    const provider = this.providers[payment.payment_method];
+    if (!provider) {
+      throw new AppError(`Refunds are not supported for ${payment.payment_method} payments`, 400);
+    }
+
+    const refundAmount = fromMinorUnits(refundMinor, currency);
+    let result;
+    try {
+      result = await provider(payment, refundAmount, {
+        reason,
+        note,
+        full: refundMinor === remainingMinor && !Number(payment.amount_refunded),
+        idempotencyKey: `${payment.id}:refund:${(payment.refunds || []).length + 1}`
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Provider refund failed', error, { payment_id: payment.id, method: payment.payment_method });
+      throw new AppError(`Refund failed at ${payment.payment_method}: ${error.message}`, 502, true, {
+        payment_id: payment.id
+      });
+    }
+
+    const updated = await this.ledger.recordRefund(payment.id, {
+      amount: refundAmount,
+      reason,
+      note,
+      requestedBy,
+      providerRefundId: result.providerRefundId,
+      status: result.status
+    });
+
+    if (payment.booking_id) {
+      await this.updateBooking(payment.booking_id, updated);
+    }
+
+    const refund = {
+      provider_refund_id: result.providerRefundId,
+      amount: refundAmount,
+      currency,
+      reason,
+      status: result.status
+    };
+    const notification = await this.notifier.notifyRefund(updated, refund);
+
+    return { payment: updated, refund, notification };
+  }
+
+  async updateBooking(bookingId, payment) {
+    const { error } = await this.db
+      .from('bookings')
+      .update({
+        payment_status: payment.status === PAYMENT_STATUSES.REFUNDED ? 'refunded' : 'partially_refunded',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bookingId);
+
+    if (error) {
+      logger.error('Failed to update booking after refund', null, { booking_id: bookingId, error: error.message });
+    }
+  }
+
+  async refundStripe(payment, amount, { reason, idempotencyKey }) {
+    if (!payment.stripe_payment_intent_id) {
+      throw new AppError('Stripe payment has no payment intent to refund', 409, true, { payment_id: payment.id });
+    }
+
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    const refund = await stripe.refunds.create({
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: toMinorUnits(amount, payment.currency),
+      reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : 'requested_by_customer',
+      metadata: { payment_id: payment.id, reason_code: reason }
+    }, { idempotencyKey });
+
+    return { providerRefundId: refund.id, status: refund.status };
+  }
+
+  async refundPayPal(payment, amount, { note, idempotencyKey }) {
+    const captureId = payment.metadata?.paypal_capture_id;
+    if (!captureId) {
+      throw new AppError('PayPal payment has no capture to refund', 409, true, { payment_id: payment.id });
+    }
+
+    const refund = await this.paypal.refundCapture(captureId, {
+      amount,
+      currency: payment.currency,
+      note,
+      requestId: idempotencyKey
+    });
+
+    return { providerRefundId: refund.id, status: String(refund.status || 'completed').toLowerCase() };
+  }
+
+  async refundTelegram(payment, amount, { full }) {
+    // Only Telegram Stars can be refunded through the Bot API; card payments
+    // are refunded in the payment provider's dashboard
+    if (payment.currency !== 'XTR') {
+      throw new AppError(
+        `Telegram payments in ${payment.currency} must be refunded through the payment provider`,
+        409,
+        true,
+        { payment_id: payment.id }
+      );
+    }
+    if (!full) {
+      throw new AppError('Telegram Stars payments can only be refunded in full', 400, true, { payment_id: payment.id });
+    }
+
+    const chargeId = payment.metadata?.telegram_payment_charge_id;
+    const userId = payment.metadata?.paid_by;
+    if (!chargeId || !userId) {
+      throw new AppError('Telegram payment has no charge to refund', 409, true, { payment_id: payment.id });
+    }
+
+    await this.telegram.refundStarPayment(userId, chargeId);
+    return { providerRefundId: chargeId, status: 'succeeded' };
+  }
+}
+
+// Singleton instance
+const refundService = new RefundService();
+
+module.exports = {
+  RefundService,
+  refundService,
+  REFUND_REASONS
+};
@@ -0,0 +1,165 @@
+/**
+ * Stripe Event Store for Maya Travel Agent
+ * Records every webhook event by `event.id` so retried deliveries are no-ops
+ * and each event's outcome can be inspected and replayed
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { AppError } = require('../../utils/errorHandler');
+
+const EVENT_STATUSES = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed'
+};
+
+// A `processing` claim older than this is treated as abandoned (crashed worker)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+class StripeEventStore {
+  /**
+   * @param {Object} [client] - Supabase-compatible client; defaults to the shared service client
+   */
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Get a stored event
+   */
+  async get(eventId) {
+    const { data, error } = await this.db
+      .from('stripe_events')
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load Stripe event: ${error.message}`, 500);
+    return data;
+  }
+
+  /**
+   * Claim an event for processing.
+   * @returns {Promise<{claimed: boolean, record: Object}>} claimed is false when the
+   * event was already handled or is being handled by another worker
+   */
+  async claim(event) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.db
+      .from('stripe_events')
+      .insert([{
+        id: event.id,
+        type: event.type,
+        status: EVENT_STATUSES.PROCESSING,
+        attempts: 1,
+        payload: event,
+        outcome: null,
+        error: null,
+        received_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single();
+
+    if (!error) return { claimed: true, record: data };
+    if (error.code !== '23505') {
+      throw new AppError(`Failed to store Stripe event: ${error.message}`, 500);
+    }
+
+    const existing = await this.get(event.id);
+    if (!this.isRetryable(existing)) {
+      return { claimed: false, record: existing };
+    }
+    return await this.reclaim(existing);
+  }
+
+  /**
+   * Re-claim a failed or abandoned event, guarding on its current state
+   */
+  async reclaim(record) {
+    const { data, error } = await this.db
+      .from('stripe_events')
+      .update({
+        status: EVENT_STATUSES.PROCESSING,
+        attempts: (record.attempts || 0) + 1,
+        error: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', record.id)
+      .eq('status', record.status)
+      .eq('attempts', record.attempts)
+      .select();
+
+    if (error) throw new AppError(`Failed to claim Stripe event: ${error.message}`, 500);
+    if (!data || data.length === 0) {
+      return { claimed: false, record: await this.get(record.id) };
+    }
+    return { claimed: true, record: data[0] };
+  }
+
+  isRetryable(record) {
+    if (!record) return false;
+    if (record.status === EVENT_STATUSES.FAILED) return true;
+    return record.status === EVENT_STATUSES.PROCESSING &&
+      Date.now() - new Date(record.updated_at).getTime() > STALE_CLAIM_MS;
+  }
+
+  /**
+   * Record the outcome of a handled event
+   */
+  async complete(eventId, outcome, status = EVENT_STATUSES.PROCESSED) {
+    return await this.finish(eventId, { status, outcome, error: null, processed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Record a processing failure
+   */
+  async fail(eventId, error) {
+    return await this.finish(eventId, { status: EVENT_STATUSES.FAILED, error: error.message || String(error) });
+  }
+
+  async finish(eventId, fields) {
+    const { data, error } = await this.db
+      .from('stripe_events')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) throw new AppError(`Failed to update Stripe event: ${error.message}`, 500);
+    return data;
+  }
+
+  /**
+   * List events, newest first
+   */
+  async list({ status = null, limit = 50 } = {}) {
+    let query = this.db
+      .from('stripe_events')
+      .select('id, type, status, attempts, outcome, error, received_at, processed_at, updated_at')
+      .order('received_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new AppError(`Failed to list Stripe events: ${error.message}`, 500);
+    return data || [];
+  }
+}
+
+// Singleton instance
+const stripeEventStore = new StripeEventStore();
+
+module.exports = {
+  StripeEventStore,
+  stripeEventStore,
+  EVENT_STATUSES
+};
@@ -0,0 +1,225 @@
+/**
+ * Stripe Webhook Processor for Maya Travel Agent
+ * Applies Stripe events to the payment ledger exactly once, using the event store
+ */
+
+const { paymentLedger, PaymentLedger, PAYMENT_STATUSES } = require('./paymentLedger');
+const { stripeEventStore, EVENT_STATUSES } = require('./stripeEventStore');
+const { fromMinorUnits } = require('../currency/minorUnits');
+const { bookingService } = require('../bookings/bookingService');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+class StripeWebhookProcessor {
+  constructor({ store = stripeEventStore, ledger = paymentLedger, bookings = bookingService } = {}) {
+    this.store = store;
+    this.ledger = ledger;
+    this.bookings = bookings;
+
+    this.handlers = {
+      'checkout.session.completed': this.handleCheckoutCompleted.bind(this),
+      'checkout.session.async_payment_succeeded': this.handleCheckoutCompleted.bind(this),
+      'checkout.session.async_payment_failed': this.handleCheckoutFailed.bind(this),
+      'checkout.session.expired': this.handleCheckoutExpired.bind(this),
+      'payment_intent.payment_failed': this.handlePaymentIntentFailed.bind(this),
+      'charge.refunded': this.handleChargeRefunded.bind(this),
+      'charge.dispute.created': this.handleDisputeCreated.bind(this)
+    };
+  }
+
+  /**
+   * Process a verified Stripe event. Events already handled are not reprocessed.
+   * @returns {Promise<{duplicate: boolean, status: string, outcome: Object}>}
+   */
+  async process(event) {
+    const { claimed, record } = await this.store.claim(event);
+    if (!claimed) {
+      logger.info('Skipping duplicate Stripe event', { event_id: event.id, status: record?.status });
+      return { duplicate: true, status: record?.status, outcome: record?.outcome || null };
+    }
+    return await this.run(event);
+  }
+
+  /**
+   * Re-run a failed event from its stored payload
+   */
+  async replay(eventId) {
+    const record = await this.store.get(eventId);
+    if (!record) {
+      throw new AppError('Stripe event not found', 404, true, { event_id: eventId });
+    }
+    if (record.status !== EVENT_STATUSES.FAILED) {
+      throw new AppError(`Only failed events can be replayed (event is ${record.status})`, 409, true, {
+        event_id: eventId
+      });
+    }
+
+    const { claimed } = await this.store.reclaim(record);
+    if (!claimed) {
+      throw new AppError('Stripe event is already being processed', 409, true, { event_id: eventId });
+    }
+    return await this.run(record.payload);
+  }
+
+  /**
+   * Replay every failed event, oldest first
+   */
+  async replayFailed({ limit = 50 } = {}) {
+    const failed = (await this.store.list({ status: EVENT_STATUSES.FAILED, limit })).reverse();
+    const results = [];
+
+    for (const event of failed) {
+      try {
+        const result = await this.replay(event.id);
+        results.push({ id: event.id, type: event.type, ...result });
+      } catch (error) {
+        results.push({ id: event.id, type: event.type, status: EVENT_STATUSES.FAILED, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async run(event) {
+    const handler = this.handlers[event.type];
+
+    try {
+      if (!handler) {
+        const outcome = { action: 'ignored', reason: 'unhandled_event_type' };
+        await this.store.complete(event.id, outcome, EVENT_STATUSES.IGNORED);
+        return { duplicate: false, status: EVENT_STATUSES.IGNORED, outcome };
+      }
+
+      const outcome = await handler(event.data.object);
+      const status = outcome.action === 'ignored' ? EVENT_STATUSES.IGNORED : EVENT_STATUSES.PROCESSED;
+      await this.store.complete(event.id, outcome, status);
+
+      logger.info(`Stripe event ${event.type} ${status}`, { event_id: event.id, ...outcome });
+      return { duplicate: false, status, outcome };
+    } catch (error) {
+      logger.error(`Stripe event ${event.type} failed`, error, { event_id: event.id });
+      await this.store.fail(event.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the ledger payment behind a Checkout Session
+   */
+  async findSessionPayment(session) {
+    return (await this.ledger.findBy('stripe_session_id', session.id)) ||
+      (await this.ledger.getPayment(session.client_reference_id)) ||
+      (await this.ledger.findByProviderId(session.payment_link));
+  }
+
+  /**
+   * Move a payment to a status if the state machine allows it, otherwise report why not
+   */
+  async moveTo(payment, status, options) {
+    if (payment.status === status) {
+      return { action: 'unchanged', payment_id: payment.id, status };
+    }
+    if (!PaymentLedger.canTransition(payment.status, status)) {
+      return { action: 'skipped', payment_id: payment.id, reason: `payment is ${payment.status}` };
+    }
+    await this.ledger.transition(payment.id, status, options);
+    return { action: 'transitioned', payment_id: payment.id, from: payment.status, to: status };
+  }
+
+  async handleCheckoutCompleted(session) {
+    const payment = await this.findSessionPayment(session);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    const updates = {
+      stripe_session_id: session.id,
+      stripe_payment_intent_id: session.payment_intent || null
+    };
+
+    // Delayed payment methods complete the session before the money arrives
+    if (session.payment_status === 'unpaid') {
+      return await this.moveTo(payment, PAYMENT_STATUSES.PENDING, { reason: 'checkout.session.completed', updates });
+    }
+
+    if (payment.status === PAYMENT_STATUSES.CREATED) {
+      await this.ledger.transition(payment.id, PAYMENT_STATUSES.PENDING, { reason: 'checkout.session.completed' });
+      payment.status = PAYMENT_STATUSES.PENDING;
+    }
+    const outcome = await this.moveTo(payment, PAYMENT_STATUSES.SUCCEEDED, { reason: 'checkout.session.completed', updates });
+
+    if (payment.booking_id && outcome.action === 'transitioned') {
+      const booking = await this.bookings.recordPayment(await this.ledger.getPayment(payment.id));
+      outcome.booking_id = payment.booking_id;
+      outcome.booking_status = booking ? booking.status : null;
+    }
+    return outcome;
+  }
+
+  async handleCheckoutFailed(session) {
+    const payment = await this.findSessionPayment(session);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    return await this.moveTo(payment, PAYMENT_STATUSES.FAILED, { reason: 'checkout.session.async_payment_failed' });
+  }
+
+  async handleCheckoutExpired(session) {
+    // Payment links stay usable after one of their sessions expires, so only
+    // payments tied to this exact session are failed
+    const payment = await this.ledger.findBy('stripe_session_id', session.id);
+    if (!payment) return { action: 'ignored', reason: 'no_session_payment' };
+
+    return await this.moveTo(payment, PAYMENT_STATUSES.FAILED, { reason: 'checkout.session.expired' });
+  }
+
+  async handlePaymentIntentFailed(paymentIntent) {
+    const payment = await this.ledger.findBy('stripe_payment_intent_id', paymentIntent.id);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    return await this.moveTo(payment, PAYMENT_STATUSES.FAILED, {
+      reason: paymentIntent.last_payment_error?.code || 'payment_intent.payment_failed'
+    });
+  }
+
+  async handleChargeRefunded(charge) {
+    const payment = await this.ledger.findBy('stripe_payment_intent_id', charge.payment_intent);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    // Stripe reports the running total, which also covers refunds made in the dashboard
+    const amountRefunded = fromMinorUnits(charge.amount_refunded, payment.currency);
+    await this.ledger.annotate(payment.id, {
+      stripe_charge_id: charge.id,
+      stripe_amount_refunded: charge.amount_refunded
+    }, {
+      amount_refunded: Math.max(Number(payment.amount_refunded || 0), amountRefunded)
+    });
+
+    if (charge.amount_refunded < charge.amount) {
+      return { action: 'partial_refund_recorded', payment_id: payment.id, amount_refunded: charge.amount_refunded };
+    }
+    return await this.moveTo(payment, PAYMENT_STATUSES.REFUNDED, { reason: 'charge.refunded' });
+  }
+
+  async handleDisputeCreated(dispute) {
+    const payment = await this.ledger.findBy('stripe_payment_intent_id', dispute.payment_intent);
+    if (!payment) return { action: 'ignored', reason: 'no_matching_payment' };
+
+    await this.ledger.annotate(payment.id, {
+      dispute: {
+        id: dispute.id,
+        reason: dispute.reason,
+        status: dispute.status,
+        amount: dispute.amount,
+        created: dispute.created
+      }
+    });
+
+    logger.warn('Stripe dispute opened', { payment_id: payment.id, dispute_id: dispute.id, reason: dispute.reason });
+    return { action: 'dispute_recorded', payment_id: payment.id, dispute_id: dispute.id };
+  }
+}
+
+// Singleton instance
+const stripeWebhookProcessor = new StripeWebhookProcessor();
+
+module.exports = {
+  StripeWebhookProcessor,
+  stripeWebhookProcessor
+};
@@ -0,0 +1,360 @@
+/**
+ * Telegram Payments for Maya Travel Agent
+ * Sends invoices with the Bot API, answers pre-checkout queries against the
+ * stored booking and records successful payments in the ledger and booking
+ */
+
+const TelegramBot = require('node-telegram-bot-api');
+const axios = require('axios');
+const { paymentLedger, PAYMENT_STATUSES } = require('./paymentLedger');
+const { toMinorUnits } = require('../currency/minorUnits');
+const { BookingService, bookingService, BOOKING_PAYMENT_STATUSES } = require('../bookings/bookingService');
+const { AppError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+class TelegramPayments {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.bot] - node-telegram-bot-api instance; a non-polling bot is created on demand
+   * @param {Object} [options.ledger] - Payment ledger
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Object} [options.bookings] - Booking service; defaults to one on the same client and ledger
+   */
+  constructor({ bot = null, ledger = paymentLedger, client = null, bookings = null } = {}) {
+    this.bot = bot;
+    this.ledger = ledger;
+    this.client = client;
+    this.bookings = bookings || (client ? new BookingService({ client, ledger }) : bookingService);
+  }
+
+  /**
+   * Use an existing bot instance (e.g. the polling bot) for Bot API calls
+   */
+  setBot(bot) {
+    this.bot = bot;
+  }
+
+  getBot() {
+    if (!this.bot) {
+      if (!process.env.TELEGRAM_BOT_TOKEN) {
+        throw new AppError('Telegram bot is not configured', 503);
+      }
+      this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
+    }
+    return this.bot;
+  }
+
+  /**
+   * Register pre-checkout and successful payment handlers on a polling bot
+   * @param {Object} bot - node-telegram-bot-api instance
+   * @param {Object} [options]
+   * @param {Function} [options.track] - BotCore#track; failures are then rethrown so a
+   *   webhook update is delivered again
+   */
+  attach(bot, { track = null } = {}) {
+    this.setBot(bot);
+    const listen = (event, listener) => bot.on(event, track ? track(listener) : listener);
+
+    listen('pre_checkout_query', async (query) => {
+      try {
+        await this.handlePreCheckoutQuery(query);
+      } catch (error) {
+        logger.error('Failed to answer pre-checkout query', error, { query_id: query.id });
+        if (track) throw error;
+      }
+    });
+
+    listen('successful_payment', async (message) => {
+      try {
+        await this.handleSuccessfulPayment(message);
+      } catch (error) {
+        logger.error('Failed to record Telegram payment', error, {
+          charge_id: message.successful_payment?.telegram_payment_charge_id
+        });
+        if (track) throw error;
+      }
+    });
+  }
+
+  async getBooking(bookingId) {
+    return await this.bookings.getBooking(bookingId);
+  }
+
+  /**
+   * The amount and currency an invoice must be paid with. A booking is the
+   * source of truth when the payment belongs to one.
+   */
+  expectedCharge(payment, booking) {
+    const source = booking
+      ? { amount: booking.total_price, currency: booking.currency || 'USD' }
+      : { amount: payment.amount, currency: payment.currency };
+
+    const currency = String(source.currency).toUpperCase();
+    return { currency, total_amount: toMinorUnits(source.amount, currency) };
+  }
+
+  /**
+   * Record a payment and send a Telegram invoice for it
+   * @param {Object} params
+   * @param {number|string} params.chatId - Chat to send the invoice to
+   * @param {string} [params.bookingId] - Booking being paid; its total and currency are charged
+   * @param {number} [params.amount] - Amount for payments without a booking
+   * @param {string} [params.currency] - Currency for payments without a booking
+   * @param {string} [params.profileId] - Profile of the user paying; only they can look the payment up
+   * @param {Object} [params.metadata] - Extra details kept on the payment record (e.g. whatsapp_phone)
+   * @returns {Promise<{payment: Object, invoice: Object}>}
+   */
+  async sendInvoice({
+    chatId,
+    bookingId = null,
+    amount = null,
+    currency = 'USD',
+    title = 'Maya Trips',
+    description = 'Maya Trips Payment',
+    userId = null,
+    profileId = null,
+    metadata = {}
+  }) {
+    if (!chatId) {
+      throw new AppError('Chat ID is required for Telegram payments', 400);
+    }
+
+    let booking = null;
+    if (bookingId) {
+      booking = await this.getBooking(bookingId);
+      if (!booking) {
+        throw new AppError('Booking not found', 404, true, { booking_id: bookingId });
+      }
+      this.bookings.assertPayable(booking);
+      amount = Number(booking.total_price);
+      currency = booking.currency || 'USD';
+    }
+
+    if (!amount || amount <= 0) {
+      throw new AppError('Amount is required and must be greater than 0', 400);
+    }
+
+    // Telegram Stars (XTR) invoices are paid in-app and take an empty provider token
+    const isStars = String(currency).toUpperCase() === 'XTR';
+    const providerToken = isStars ? '' : process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN;
+    if (!isStars && !providerToken) {
+      throw new AppError('Telegram payments are not configured', 503);
+    }
+
+    const payment = await this.ledger.record({
+      paymentMethod: 'telegram',
+      amount,
+      currency,
+      description,
+      userId,
+      profileId,
+      bookingId,
+      metadata: { ...metadata, chat_id: chatId }
+    });
+
+    const charge = this.expectedCharge(payment, booking);
+
+    let invoice;
+    try {
+      // The ledger ID is the invoice payload, so later updates can be matched to it
+      invoice = await this.getBot().sendInvoice(
+        chatId,
+        title,
+        description,
+        payment.id,
+        providerToken,
+        charge.currency,
+        [{ label: description, amount: charge.total_amount }]
+      );
+    } catch (error) {
+      await this.ledger.transition(payment.id, PAYMENT_STATUSES.FAILED, { reason: 'send_invoice_failed' });
+      throw new AppError(`Failed to send Telegram invoice: ${error.message}`, 502);
+    }
+
+    const pending = await this.ledger.transition(payment.id, PAYMENT_STATUSES.PENDING, {
+      reason: 'invoice_sent',
+      updates: {
+        metadata: { ...payment.metadata, invoice_message_id: invoice?.message_id || null }
+      }
+    });
+
+    return { payment: pending, invoice };
+  }
+
+  /**
+   * Check a pre-checkout query against the stored payment and booking
+   * @returns {Promise<{ok: boolean, error_message?: string, payment_id?: string}>}
+   */
+  async validatePreCheckout(query) {
+    const payment = await this.ledger.getPayment(query.invoice_payload);
+    if (!payment || payment.payment_method !== 'telegram') {
+      return { ok: false, error_message: 'This invoice is no longer valid.' };
+    }
+    if (payment.status !== PAYMENT_STATUSES.PENDING && payment.status !== PAYMENT_STATUSES.CREATED) {
+      return { ok: false, error_message: 'This invoice has already been processed.', payment_id: payment.id };
+    }
+
+    let booking = null;
+    if (payment.booking_id) {
+      booking = await this.getBooking(payment.booking_id);
+      if (!booking || booking.status === 'cancelled' || this.bookings.isHoldExpired(booking)) {
+        return { ok: false, error_message: 'This booking is no longer available.', payment_id: payment.id };
+      }
+      if (booking.payment_status === BOOKING_PAYMENT_STATUSES.PAID) {
+        return { ok: false, error_message: 'This booking has already been paid.', payment_id: payment.id };
+      }
+    }
+
+    const expected = this.expectedCharge(payment, booking);
+    if (String(query.currency).toUpperCase() !== expected.currency ||
+        Number(query.total_amount) !== expected.total_amount) {
+      logger.warn('Pre-checkout amount mismatch', {
+        payment_id: payment.id,
+        booking_id: payment.booking_id,
+        expected,
+        received: { currency: query.currency, total_amount: query.total_amount }
+      });
+      return { ok: false, error_message: 'The price of this booking has changed. Please request a new invoice.', payment_id: payment.id };
+    }
+
+    return { ok: true, payment_id: payment.id };
+  }
+
+  /**
+   * Validate and answer a pre-checkout query (Telegram requires an answer within 10 seconds)
+   */
+  async handlePreCheckoutQuery(query) {
+    let result;
+    try {
+      result = await this.validatePreCheckout(query);
+    } catch (error) {
+      logger.error('Pre-checkout validation failed', error, { query_id: query.id });
+      result = { ok: false, error_message: 'We could not verify this payment. Please try again.' };
+    }
+
+    await this.getBot().answerPreCheckoutQuery(
+      query.id,
+      result.ok,
+      result.ok ? {} : { error_message: result.error_message }
+    );
+
+    logger.info(`Pre-checkout query ${result.ok ? 'approved' : 'rejected'}`, {
+      query_id: query.id,
+      payment_id: result.payment_id,
+      reason: result.error_message
+    });
+    return result;
+  }
+
+  /**
+   * Record a successful payment against its ledger entry and booking. A charge that
+   * differs from the expected amount or currency is kept on the record but not confirmed.
+   * @returns {Promise<{payment: Object, booking: Object|null}|null>} null when the payload
+   * matches no payment or the charge does not match it
+   */
+  async handleSuccessfulPayment(message) {
+    const successfulPayment = message.successful_payment;
+    const payment = await this.ledger.getPayment(successfulPayment.invoice_payload);
+
+    if (!payment) {
+      // The money has already moved, so this needs a human to reconcile it
+      logger.error('Successful Telegram payment without a ledger entry', null, {
+        invoice_payload: successfulPayment.invoice_payload,
+        telegram_payment_charge_id: successfulPayment.telegram_payment_charge_id
+      });
+      return null;
+    }
+
+    const charge = {
+      telegram_payment_charge_id: successfulPayment.telegram_payment_charge_id,
+      provider_payment_charge_id: successfulPayment.provider_payment_charge_id,
+      total_amount: successfulPayment.total_amount,
+      currency: successfulPayment.currency,
+      paid_by: message.from?.id || null
+    };
+
+    const booking = payment.booking_id ? await this.getBooking(payment.booking_id) : null;
+    const expected = this.expectedCharge(payment, booking);
+    if (String(charge.currency).toUpperCase() !== expected.currency || Number(charge.total_amount) !== expected.total_amount) {
+      await this.ledger.annotate(payment.id, { ...charge, charge_mismatch: expected });
+      // Pre-checkout should have stopped this, so it needs a human to reconcile it
+      logger.error('Telegram payment does not match its invoice', null, {
+        payment_id: payment.id,
+        booking_id: payment.booking_id,
+        expected,
+        received: { currency: charge.currency, total_amount: charge.total_amount },
+        telegram_payment_charge_id: charge.telegram_payment_charge_id
+      });
+      return null;
+    }
+
+    await this.ledger.annotate(payment.id, charge, {
+      provider_payment_id: successfulPayment.telegram_payment_charge_id
+    });
+    const confirmed = await this.ledger.confirm(payment.id, { reason: 'successful_payment' });
+
+    const paidBooking = await this.bookings.recordPayment(confirmed, {
+      telegram_payment_charge_id: successfulPayment.telegram_payment_charge_id
+    });
+
+    logger.info('Telegram payment recorded', {
+      payment_id: payment.id,
+      booking_id: payment.booking_id,
+      telegram_payment_charge_id: successfulPayment.telegram_payment_charge_id
+    });
+    return { payment: confirmed, booking: paidBooking };
+  }
+
+  /**
+   * Refund a Telegram Stars payment in full. Payments in other currencies are
+   * settled by the payment provider and cannot be refunded through the Bot API.
+   */
+  async refundStarPayment(userId, telegramPaymentChargeId) {
+    const bot = this.getBot();
+
+    if (typeof bot.refundStarPayment === 'function') {
+      return await bot.refundStarPayment(userId, telegramPaymentChargeId);
+    }
+
+    // node-telegram-bot-api has no wrapper for this method yet
+    const response = await axios.post(
+      `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/refundStarPayment`,
+      { user_id: userId, telegram_payment_charge_id: telegramPaymentChargeId }
+    );
+    if (!response.data?.ok) {
+      throw new Error(response.data?.description || 'refundStarPayment failed');
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Route a raw Bot API update to the matching payment handler
+   */
+  async handleUpdate(update) {
+    if (update.pre_checkout_query) {
+      const result = await this.handlePreCheckoutQuery(update.pre_checkout_query);
+      return { type: 'pre_checkout_query', ...result };
+    }
+
+    if (update.message?.successful_payment) {
+      const result = await this.handleSuccessfulPayment(update.message);
+      return {
+        type: 'successful_payment',
+        recorded: Boolean(result),
+        payment_id: result?.payment.id || null,
+        booking_id: result?.booking?.id || null
+      };
+    }
+
+    return { type: 'ignored' };
+  }
+}
+
+// Singleton instance
+const telegramPayments = new TelegramPayments();
+
+module.exports = {
+  TelegramPayments,
+  telegramPayments,
+  BOOKING_PAYMENT_STATUSES
+};
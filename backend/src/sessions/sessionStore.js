@@ -0,0 +1,154 @@
+/**
+ * Session Store for Maya Travel Agent
+ * Short-lived per-user state (the Telegram bot's conversation stage and context,
+ * processed update IDs) that every bot instance must see.
+ *  - memory: a Map in this process; fine for a single instance
+ *  - redis: shared by all instances (SESSION_STORE=redis, REDIS_URL; needs ioredis)
+ * Values are stored as JSON, so both stores hand back plain copies.
+ */
+
+const logger = require('../../utils/logger');
+
+// Sessions end after 30 minutes without activity
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+
+class MemorySessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Default time to live
+   * @param {Function} [options.now] - Clock (ms)
+   */
+  constructor({ ttlMs = DEFAULT_SESSION_TTL_MS, now = () => Date.now() } = {}) {
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  // Live entry for a key, dropping it once expired
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, { ttlMs = this.ttlMs } = {}) {
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: this.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Store a value only if the key is free
+   * @returns {Promise<boolean>} Whether this call stored it
+   */
+  async claim(key, { ttlMs = this.ttlMs, value = true } = {}) {
+    if (this.entry(key)) return false;
+    await this.set(key, value, { ttlMs });
+    return true;
+  }
+
+  /**
+   * Number of live keys starting with a prefix
+   */
+  async count(prefix = '') {
+    return [...this.entries.keys()].filter(key => key.startsWith(prefix) && this.entry(key)).length;
+  }
+}
+
+class RedisSessionStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redis - ioredis-compatible client (get, set, del, scan)
+   * @param {string} [options.prefix] - Prefix for every key, so deployments can share a Redis
+   * @param {number} [options.ttlMs] - Default time to live
+   */
+  constructor({ redis, prefix = 'maya:session:', ttlMs = DEFAULT_SESSION_TTL_MS }) {
+    this.redis = redis;
+    this.prefix = prefix;
+    this.ttlMs = ttlMs;
+  }
+
+  async get(key) {
+    const value = await this.redis.get(this.prefix + key);
+    return value === null || value === undefined ? null : JSON.parse(value);
+  }
+
+  async set(key, value, { ttlMs = this.ttlMs } = {}) {
+    await this.redis.set(this.prefix + key, JSON.stringify(value), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.redis.del(this.prefix + key);
+  }
+
+  async claim(key, { ttlMs = this.ttlMs, value = true } = {}) {
+    const result = await this.redis.set(this.prefix + key, JSON.stringify(value), 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  async count(prefix = '') {
+    let cursor = '0';
+    let total = 0;
+    do {
+      const [next, keys] = await this.redis.scan(cursor, 'MATCH', `${this.prefix}${prefix}*`, 'COUNT', 500);
+      total += keys.length;
+      cursor = String(next);
+    } while (cursor !== '0');
+    return total;
+  }
+}
+
+/**
+ * The store configured by SESSION_STORE (memory by default)
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'memory' or 'redis'
+ * @param {string} [options.url] - Redis connection URL (REDIS_URL)
+ * @param {Object} [options.redis] - Redis client to use instead of connecting to `url`
+ * @param {string} [options.prefix] - Key prefix for the Redis store
+ * @param {number} [options.ttlMs]
+ */
+function createSessionStore({
+  driver = process.env.SESSION_STORE || 'memory',
+  url = process.env.REDIS_URL,
+  redis = null,
+  prefix,
+  ttlMs
+} = {}) {
+  if (driver === 'memory') {
+    return new MemorySessionStore({ ttlMs });
+  }
+  if (driver !== 'redis') {
+    throw new Error(`Unknown session store: ${driver}`);
+  }
+
+  let client = redis;
+  if (!client) {
+    if (!url) throw new Error('SESSION_STORE=redis requires REDIS_URL');
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('SESSION_STORE=redis requires the ioredis package (npm install ioredis)');
+    }
+    client = new Redis(url);
+    client.on('error', error => logger.error('Redis session store error', error));
+  }
+  return new RedisSessionStore({ redis: client, prefix, ttlMs });
+}
+
+module.exports = {
+  MemorySessionStore,
+  RedisSessionStore,
+  createSessionStore,
+  DEFAULT_SESSION_TTL_MS
+};
@@ -0,0 +1,465 @@
+/**
+ * Trip Slot Parsers for Maya Travel Agent
+ * Read the answers of the trip-planning conversation from free text in Arabic or
+ * English: destinations, travel dates (month names, ISO and day/month/year dates,
+ * ranges and durations), budgets with their currency, and traveler counts.
+ * Arabic-Indic digits and the common spelling variants of Arabic letters are
+ * accepted everywhere.
+ */
+
+const { MAX_TRIP_DAYS, MAX_TRAVELERS } = require('./tripService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Canonical (Arabic) name → other ways of writing it
+const DESTINATIONS = {
+  'تركيا': ['turkey', 'turkiye', 'türkiye'],
+  'إسطنبول': ['istanbul'],
+  'دبي': ['dubai'],
+  'أبوظبي': ['abu dhabi', 'أبو ظبي'],
+  'مصر': ['egypt'],
+  'القاهرة': ['cairo'],
+  'السعودية': ['saudi arabia', 'saudi', 'ksa'],
+  'ماليزيا': ['malaysia'],
+  'كوالالمبور': ['kuala lumpur', 'كوالا لمبور'],
+  'تايلاند': ['thailand'],
+  'بانكوك': ['bangkok'],
+  'إندونيسيا': ['indonesia'],
+  'بالي': ['bali'],
+  'المالديف': ['maldives'],
+  'جورجيا': ['georgia'],
+  'أذربيجان': ['azerbaijan'],
+  'المغرب': ['morocco'],
+  'اليونان': ['greece'],
+  'إيطاليا': ['italy'],
+  'فرنسا': ['france'],
+  'باريس': ['paris'],
+  'لندن': ['london'],
+  'سويسرا': ['switzerland']
+};
+
+// Short replies that are not place names
+const NOT_DESTINATIONS = ['نعم', 'لا', 'مرحبا', 'اهلا', 'شكرا', 'تمام', 'اوكي', 'yes', 'no', 'hi', 'hello', 'hey', 'ok', 'okay', 'thanks', 'anywhere', 'اي', 'مكان'];
+
+// "I want to travel to …" in front of a destination
+const TRAVEL_PHRASE = /^(?:(?:أ|ا)ريد|(?:أ|ا)بغى|(?:أ|ا)بي|نريد|نبغى|ودي|i\s+want|i'?d\s+like|we\s+want|we'?d\s+like)?\s*(?:(?:أ|ا)ن\s+)?(?:السفر|(?:أ|ا)سافر|نسافر|الذهاب|(?:أ|ا)روح|نروح|رحلة|to\s+go|to\s+travel|to\s+visit|go|travel|visit|a\s+trip)?\s*(?:(?:إ|ا)لى|ل|to)\s+/iu;
+
+const MONTHS = [
+  ['january', 'jan', 'يناير', 'كانون الثاني'],
+  ['february', 'feb', 'فبراير', 'شباط'],
+  ['march', 'mar', 'مارس', 'آذار'],
+  ['april', 'apr', 'أبريل', 'إبريل', 'نيسان'],
+  ['may', 'مايو', 'أيار'],
+  ['june', 'jun', 'يونيو', 'يونيه', 'حزيران'],
+  ['july', 'jul', 'يوليو', 'يوليه', 'تموز'],
+  ['august', 'aug', 'أغسطس', 'آب'],
+  ['september', 'sept', 'sep', 'سبتمبر', 'أيلول'],
+  ['october', 'oct', 'أكتوبر', 'تشرين الأول'],
+  ['november', 'nov', 'نوفمبر', 'تشرين الثاني'],
+  ['december', 'dec', 'ديسمبر', 'كانون الأول']
+];
+
+// [words, days each]; numbers in front multiply, e.g. "3 weeks"
+const DURATION_UNITS = [
+  [['يوم', 'ايام', 'day', 'days', 'ليلة', 'ليال', 'ليالي', 'night', 'nights'], 1],
+  [['أسبوع', 'أسابيع', 'week', 'weeks'], 7],
+  [['شهر', 'أشهر', 'شهور', 'month', 'months'], 30]
+];
+// Durations written as words
+const DURATION_WORDS = {
+  'يومين': 2,
+  'ليلتين': 2,
+  'أسبوع': 7,
+  'أسبوعين': 14,
+  'شهر': 30,
+  'شهرين': 60,
+  'a week': 7,
+  'one week': 7,
+  'two weeks': 14,
+  'a fortnight': 14,
+  'a month': 30,
+  'a weekend': 2,
+  'weekend': 2,
+  'نهاية الأسبوع': 2
+};
+
+// ISO code → ways of writing the currency, most specific first
+const CURRENCIES = [
+  ['QAR', ['ريال قطري', 'qar']],
+  ['OMR', ['ريال عماني', 'omr']],
+  ['SAR', ['ريال سعودي', 'ر.س', 'sar', 'ريال', 'ريالات', 'riyal', 'riyals', 'sr']],
+  ['AED', ['درهم', 'دراهم', 'aed', 'dirham', 'dirhams']],
+  ['KWD', ['دينار كويتي', 'kwd']],
+  ['BHD', ['دينار بحريني', 'bhd']],
+  ['JOD', ['دينار أردني', 'jod', 'دينار', 'dinar', 'dinars']],
+  ['GBP', ['£', 'جنيه إسترليني', 'gbp', 'pound', 'pounds']],
+  ['EGP', ['جنيه مصري', 'جنيه', 'egp']],
+  ['EUR', ['€', 'يورو', 'eur', 'euro', 'euros']],
+  ['USD', ['$', 'دولار', 'دولارات', 'usd', 'dollar', 'dollars']]
+];
+
+const AMOUNT_MULTIPLIERS = [
+  [['k', 'ألف', 'آلاف', 'الاف', 'thousand'], 1000],
+  [['مليون', 'million', 'm'], 1000000]
+];
+// Amounts written as words
+const AMOUNT_WORDS = { 'ألفين': 2000, 'ألف': 1000, 'مليون': 1000000 };
+
+const TRAVELER_WORDS = ['أشخاص', 'شخص', 'مسافر', 'مسافرين', 'أفراد', 'فرد', 'بالغ', 'بالغين', 'كبار', 'أطفال', 'طفل', 'people', 'persons', 'person', 'travelers', 'travellers', 'traveler', 'traveller', 'adults', 'adult', 'kids', 'kid', 'children', 'child', 'pax'];
+const CHILD_WORDS = ['طفل', 'child', 'kid'];
+const NUMBER_WORDS = {
+  'واحد': 1, 'اثنين': 2, 'اثنان': 2, 'ثلاثة': 3, 'ثلاث': 3, 'أربعة': 4, 'أربع': 4, 'خمسة': 5, 'خمس': 5,
+  'ستة': 6, 'ست': 6, 'سبعة': 7, 'ثمانية': 8, 'تسعة': 9, 'عشرة': 10,
+  'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10
+};
+// Counts written as a single word
+const COUNT_WORDS = {
+  'شخصين': 2, 'فردين': 2, 'زوجين': 2, 'طفلين': 2, 'couple': 2, 'two of us': 2,
+  'وحدي': 1, 'لوحدي': 1, 'بمفردي': 1, 'alone': 1, 'solo': 1, 'just me': 1, 'me only': 1, 'myself': 1
+};
+
+/**
+ * Fold the spelling variants the parsers treat as equal: Arabic-Indic digits, hamza
+ * forms of alef, alef maqsura, taa marbuta, diacritics and tatweel, and letter case
+ */
+function fold(text) {
+  return String(text || '')
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x6F0))
+    .replace(/\u066B/g, '.')
+    .replace(/\u066C/g, ',')
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .toLowerCase();
+}
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex alternation of words (folded, longest first), for use between word boundaries
+ */
+function alternation(words) {
+  return [...new Set(words.map(fold))]
+    .sort((a, b) => b.length - a.length)
+    .map(escape)
+    .join('|');
+}
+
+// Word boundaries that work for Arabic; Arabic words may carry a one-letter prefix (و، ب، ل)
+const START = '(?<![\\p{L}\\p{N}])(?:[وبل](?=\\p{L}))?';
+const END = '(?![\\p{L}])';
+
+/**
+ * Pattern matching any of the words as whole words in folded text
+ */
+function wordsPattern(words, flags = 'u') {
+  return new RegExp(`${START}(?:${alternation(words)})${END}`, flags);
+}
+
+const MONTH_PATTERN = alternation(MONTHS.flat());
+const MONTH_BY_NAME = new Map(MONTHS.flatMap((names, index) => names.map(name => [fold(name), index + 1])));
+const RANGE_SEPARATOR = '(?:-|–|—|to|till|until|through|الي|حتي|لغايه)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+const YEAR = '(?:\\s*,?\\s*(\\d{4}))?';
+
+// Date patterns, each turned into { day, month, year } parts
+const DATE_PATTERNS = [
+  // 2027-03-10
+  {
+    regex: /(?<!\d)(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/gu,
+    parts: m => [{ day: +m[3], month: +m[2], year: +m[1] }]
+  },
+  // 10/3/2027 (day first)
+  {
+    regex: /(?<!\d)(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?!\d)/gu,
+    parts: m => [{ day: +m[1], month: +m[2], year: +m[3] }]
+  },
+  // 10 March, 10-17 March 2027, من 10 إلى 17 مايو
+  {
+    regex: new RegExp(`(?<!\\d)(\\d{1,2})(?!\\d)${ORDINAL}(?:\\s*${RANGE_SEPARATOR}\\s*(\\d{1,2})${ORDINAL})?\\s*(?:of\\s+)?${START}(${MONTH_PATTERN})${END}${YEAR}`, 'gu'),
+    parts: (m) => {
+      const month = MONTH_BY_NAME.get(m[3]);
+      const year = m[4] ? +m[4] : null;
+      return m[2]
+        ? [{ day: +m[1], month, year }, { day: +m[2], month, year }]
+        : [{ day: +m[1], month, year }];
+    }
+  },
+  // March 10, March 10-17, 2027
+  {
+    regex: new RegExp(`${START}(${MONTH_PATTERN})${END}\\s*(\\d{1,2})${ORDINAL}(?!\\d)(?:\\s*${RANGE_SEPARATOR}\\s*(\\d{1,2})${ORDINAL}(?!\\d))?${YEAR}`, 'gu'),
+    parts: (m) => {
+      const month = MONTH_BY_NAME.get(m[1]);
+      const year = m[4] ? +m[4] : null;
+      return m[3]
+        ? [{ day: +m[2], month, year }, { day: +m[3], month, year }]
+        : [{ day: +m[2], month, year }];
+    }
+  }
+];
+
+const DURATION_PATTERN = new RegExp(
+  `(?<!\\d)(\\d{1,3})\\s*${START}(${alternation(DURATION_UNITS.flatMap(([words]) => words))})${END}`, 'gu'
+);
+const DURATION_UNIT_DAYS = new Map(DURATION_UNITS.flatMap(([words, days]) => words.map(word => [fold(word), days])));
+// "شهر مايو" is the month of May, not a month-long trip
+const DURATION_WORD_PATTERN = new RegExp(`${START}(${alternation(Object.keys(DURATION_WORDS))})${END}(?!\\s*${START}(?:${MONTH_PATTERN})${END})`, 'u');
+const DURATION_WORD_DAYS = new Map(Object.entries(DURATION_WORDS).map(([word, days]) => [fold(word), days]));
+
+const toISO = time => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Midnight UTC of a calendar date, or null if the date does not exist (e.g. 31 April)
+ */
+function utcDate(year, month, day) {
+  const time = Date.UTC(year, month - 1, day);
+  const date = new Date(time);
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? time : null;
+}
+
+/**
+ * A date part on a calendar: as written when it has a year, otherwise its next
+ * occurrence on or after `from`
+ */
+function placeDate({ day, month, year }, from) {
+  if (year) return utcDate(year, month, day);
+
+  const fromYear = new Date(from).getUTCFullYear();
+  for (let candidate = fromYear; candidate <= fromYear + 4; candidate++) {
+    const time = utcDate(candidate, month, day);
+    if (time !== null && time >= from) return time;
+  }
+  return null;
+}
+
+/**
+ * Date mentions in order of appearance, and the text left once they are removed
+ * @returns {{ parts: Array<{day: number, month: number, year: number|null}>, rest: string }}
+ */
+function findDateParts(folded) {
+  const matches = [];
+  for (const pattern of DATE_PATTERNS) {
+    for (const match of folded.matchAll(pattern.regex)) {
+      matches.push({ start: match.index, end: match.index + match[0].length, parts: pattern.parts(match) });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const parts = [];
+  let rest = '';
+  let last = 0;
+  for (const match of matches) {
+    if (match.start < last) continue;
+    parts.push(...match.parts);
+    rest += `${folded.slice(last, match.start)} `;
+    last = match.end;
+  }
+  return { parts, rest: rest + folded.slice(last) };
+}
+
+/**
+ * Trip length in days from "7 أيام", "أسبوعين", "2 weeks", "a week"…; null if none is given
+ */
+function findDuration(folded) {
+  let days = 0;
+  for (const match of folded.matchAll(DURATION_PATTERN)) {
+    days += Number(match[1]) * DURATION_UNIT_DAYS.get(match[2]);
+  }
+  if (days > 0) return days;
+
+  const word = folded.match(DURATION_WORD_PATTERN);
+  return word ? DURATION_WORD_DAYS.get(word[1]) : null;
+}
+
+/**
+ * Travel dates from a message
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time; dates without a year are the next ones after it
+ * @param {string} [options.startDate] - Start date given earlier, when the message may only hold the end or a duration
+ * @param {number} [options.days] - Duration given earlier, when the message may only hold the start
+ * @returns {{startDate: string, endDate: string, nights: number}|{startDate: string}|{days: number}|{error: string}|null}
+ *   Both dates; only one half (ask for the other); an error (`invalid`, `past`, `order`,
+ *   `too_long`); or null when the message holds no dates at all
+ */
+function parseDates(text, { now = Date.now(), startDate = null, days = null } = {}) {
+  const folded = fold(text);
+  const { parts, rest } = findDateParts(folded);
+  const duration = findDuration(rest);
+  const current = new Date(now);
+  const today = Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate());
+
+  let start;
+  let end;
+  if (parts.length === 0) {
+    if (!duration) return null;
+    if (!startDate) return { days: duration };
+    start = Date.parse(startDate);
+    end = start + duration * DAY_MS;
+  } else {
+    const first = placeDate(parts[0], today);
+    if (first === null) return { error: 'invalid' };
+    if (first < today && !startDate) return { error: 'past' };
+
+    if (parts.length > 1) {
+      start = first;
+      end = placeDate(parts[parts.length - 1], start);
+    } else if (duration || days) {
+      start = first;
+      end = start + (duration || days) * DAY_MS;
+    } else if (startDate) {
+      // The start came earlier, so this is the return date
+      start = Date.parse(startDate);
+      end = placeDate(parts[0], start);
+    } else {
+      return { startDate: toISO(first) };
+    }
+    if (end === null) return { error: 'invalid' };
+  }
+
+  if (start < today) return { error: 'past' };
+  if (end < start) return { error: 'order' };
+  const nights = Math.round((end - start) / DAY_MS);
+  if (nights > MAX_TRIP_DAYS) return { error: 'too_long' };
+  return { startDate: toISO(start), endDate: toISO(end), nights };
+}
+
+const TRAVELER_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}.])(\\d{1,3}|${alternation(Object.keys(NUMBER_WORDS))})\\s*${START}(${alternation(TRAVELER_WORDS)})${END}`, 'gu'
+);
+const NUMBER_WORD_VALUES = new Map(Object.entries(NUMBER_WORDS).map(([word, value]) => [fold(word), value]));
+const COUNT_WORD_PATTERN = new RegExp(`${START}(${alternation(Object.keys(COUNT_WORDS))})${END}`, 'gu');
+const COUNT_WORD_VALUES = new Map(Object.entries(COUNT_WORDS).map(([word, value]) => [fold(word), value]));
+const CHILD_PATTERN = new RegExp(`${START}(?:a\\s+|an\\s+)?(${alternation(CHILD_WORDS)})${END}`, 'gu');
+
+const CURRENCY_MATCHERS = CURRENCIES.flatMap(([code, names]) => names.map((name) => {
+  const folded = fold(name);
+  // Symbols and abbreviations with dots are matched anywhere
+  const pattern = /^[\p{L} ]+$/u.test(folded)
+    ? new RegExp(`${START}${escape(folded)}${END}`, 'u')
+    : new RegExp(escape(folded), 'u');
+  return { code, length: folded.length, pattern };
+})).sort((a, b) => b.length - a.length);
+
+const MULTIPLIER_PATTERN = alternation(AMOUNT_MULTIPLIERS.flatMap(([words]) => words));
+const MULTIPLIER_BY_WORD = new Map(AMOUNT_MULTIPLIERS.flatMap(([words, factor]) => words.map(word => [fold(word), factor])));
+const AMOUNT_PATTERN = new RegExp(`(?<![\\d.])(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?(?:\\s*(${MULTIPLIER_PATTERN})${END})?`, 'u');
+const AMOUNT_WORD_PATTERN = new RegExp(`${START}(${alternation(Object.keys(AMOUNT_WORDS))})${END}`, 'u');
+const AMOUNT_WORD_VALUES = new Map(Object.entries(AMOUNT_WORDS).map(([word, value]) => [fold(word), value]));
+
+/**
+ * Currency named in a message, as an ISO code; null if none is
+ */
+function findCurrency(text) {
+  const folded = fold(text);
+  const found = CURRENCY_MATCHERS.find(({ pattern }) => pattern.test(folded));
+  return found ? found.code : null;
+}
+
+/**
+ * Budget from a message: "5000 ريال", "$1,500", "٣ آلاف درهم", "2.5k EUR"
+ * @returns {{amount: number, currency: string|null}|{error: string}|null} currency is null
+ *   when none is named; null when the message holds no amount
+ */
+function parseBudget(text) {
+  // Numbers that belong to dates, durations or traveler counts are not amounts
+  const folded = findDateParts(fold(text)).rest
+    .replace(DURATION_PATTERN, ' ')
+    .replace(TRAVELER_PATTERN, ' ');
+  let amount = null;
+
+  const match = folded.match(AMOUNT_PATTERN);
+  if (match) {
+    amount = Number(`${match[1].replace(/,/g, '')}.${match[2] || 0}`);
+    if (match[3]) amount *= MULTIPLIER_BY_WORD.get(match[3]);
+  } else {
+    const word = folded.match(AMOUNT_WORD_PATTERN);
+    if (word) amount = AMOUNT_WORD_VALUES.get(word[1]);
+  }
+
+  if (amount === null) return null;
+  if (!(amount > 0) || !Number.isFinite(amount)) return { error: 'invalid' };
+  return { amount, currency: findCurrency(text) };
+}
+
+
+/**
+ * Number of travelers: "2 بالغين وطفل", "لشخصين", "3 people", "وحدي"; with `loose`
+ * (the question was just asked) a bare number is enough
+ * @returns {{travelers: number}|{error: string}|null}
+ */
+function parseTravelers(text, { loose = false } = {}) {
+  let rest = fold(text);
+  let travelers = 0;
+
+  rest = rest.replace(TRAVELER_PATTERN, (whole, count) => {
+    travelers += /^\d+$/.test(count) ? Number(count) : NUMBER_WORD_VALUES.get(count);
+    return ' ';
+  });
+  rest = rest.replace(COUNT_WORD_PATTERN, (whole, word) => {
+    travelers += COUNT_WORD_VALUES.get(word);
+    return ' ';
+  });
+  // "and a child" with no number counts one, on top of counted adults
+  if (travelers > 0) {
+    rest = rest.replace(CHILD_PATTERN, () => {
+      travelers += 1;
+      return ' ';
+    });
+  }
+
+  if (travelers === 0 && loose) {
+    const bare = rest.trim().match(/^(\d{1,3})$/u);
+    if (bare) travelers = Number(bare[1]);
+    else if (NUMBER_WORD_VALUES.has(rest.trim())) travelers = NUMBER_WORD_VALUES.get(rest.trim());
+  }
+
+  if (travelers === 0) return null;
+  if (travelers > MAX_TRAVELERS) return { error: 'too_many' };
+  return { travelers };
+}
+
+const DESTINATION_MATCHERS = Object.entries(DESTINATIONS).flatMap(([name, aliases]) =>
+  [name, ...aliases].map(alias => ({ name, pattern: new RegExp(`${START}${escape(fold(alias))}${END}`, 'u') }))
+);
+const STOP_WORDS = new Set(NOT_DESTINATIONS.map(fold));
+
+/**
+ * Destination named in a message. Known destinations are found anywhere in the
+ * text; with `loose` (the question was just asked) an unknown place is accepted
+ * when it is a single word or follows "to" / "إلى".
+ * @returns {string|null} Known destinations in their Arabic form, others as written
+ */
+function parseDestination(text, { loose = false } = {}) {
+  const folded = fold(text);
+  let first = null;
+  for (const { name, pattern } of DESTINATION_MATCHERS) {
+    const match = folded.match(pattern);
+    if (match && (!first || match.index < first.index)) first = { name, index: match.index };
+  }
+  if (first) return first.name;
+  if (!loose) return null;
+
+  const trimmed = String(text || '').trim();
+  const withoutPhrase = trimmed.replace(TRAVEL_PHRASE, '');
+  const place = withoutPhrase.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+  const words = place.split(/\s+/).filter(Boolean);
+  const maxWords = withoutPhrase !== trimmed ? 3 : 1;
+
+  if (place.length < 2 || place.length > 40 || words.length > maxWords) return null;
+  if (!/^[\p{L}\p{M}' -]+$/u.test(place) || STOP_WORDS.has(fold(place))) return null;
+  return place;
+}
+
+module.exports = {
+  fold,
+  parseDates,
+  parseBudget,
+  parseTravelers,
+  parseDestination,
+  findCurrency,
+  wordsPattern,
+  DESTINATIONS
+};
@@ -0,0 +1,263 @@
+/**
+ * Trip Service for Maya Travel Agent
+ * Trips a mini app user plans on the `trips` table: create, list with pagination and
+ * status filter, update and delete. Every trip belongs to one Telegram user
+ * (`telegram_id`); other users' trips are reported as not found. Trips planned on
+ * WhatsApp by a number with no linked Telegram account are kept by `whatsapp_phone`
+ * until the accounts are linked.
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { CurrencyService, currencyService } = require('../currency/currencyService');
+const { AppError } = require('../../utils/errorHandler');
+const { isUuid } = require('../../utils/uuid');
+const logger = require('../../utils/logger');
+
+const TRIP_STATUSES = ['planned', 'ongoing', 'completed'];
+
+const DEFAULT_CURRENCY = 'USD';
+const MAX_DESTINATION_LENGTH = 200;
+const MAX_TRIP_DAYS = 365;
+const MAX_TRAVELERS = 20;
+const MAX_ITINERARY_LENGTH = 20000;
+// trips.budget is DECIMAL(10,2)
+const MAX_BUDGET = 99999999.99;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TripService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ client = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.now = now;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Parse a calendar date in YYYY-MM-DD form
+   * @returns {string} YYYY-MM-DD
+   */
+  static parseDate(value, field) {
+    const text = String(value || '');
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+      throw new AppError(`${field} must be a date in YYYY-MM-DD format`, 400);
+    }
+    return text;
+  }
+
+  static parseBudget(value, currency) {
+    const budget = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof budget !== 'number' || !Number.isFinite(budget) || budget < 0) {
+      throw new AppError('Budget must be a number of zero or more', 400);
+    }
+    if (budget > MAX_BUDGET) {
+      throw new AppError(`Budget must not exceed ${MAX_BUDGET}`, 400);
+    }
+    return currencyService.round(budget, currency);
+  }
+
+  static parseTravelers(value) {
+    const travelers = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(travelers) || travelers < 1 || travelers > MAX_TRAVELERS) {
+      throw new AppError(`Travelers must be a whole number from 1 to ${MAX_TRAVELERS}`, 400);
+    }
+    return travelers;
+  }
+
+  static parseStatus(value) {
+    if (!TRIP_STATUSES.includes(value)) {
+      throw new AppError(`Status must be one of: ${TRIP_STATUSES.join(', ')}`, 400);
+    }
+    return value;
+  }
+
+  /**
+   * Validate trip fields from a request body (camelCase) into table columns
+   * @param {Object} input - destination, startDate, endDate, budget, currency, travelers, status,
+   *   imageUrl, itinerary
+   * @param {Object} [existing] - Current row, for updates: only given fields are validated,
+   *   and the date order is checked against the stored dates
+   * @returns {Object} Columns to write
+   */
+  static validate(input = {}, existing = null) {
+    const row = {};
+    const has = field => input[field] !== undefined;
+
+    if (!existing || has('destination')) {
+      const destination = typeof input.destination === 'string' ? input.destination.trim() : '';
+      if (!destination) {
+        throw new AppError('Destination is required', 400);
+      }
+      if (destination.length > MAX_DESTINATION_LENGTH) {
+        throw new AppError(`Destination must be at most ${MAX_DESTINATION_LENGTH} characters`, 400);
+      }
+      row.destination = destination;
+    }
+
+    if (!existing || has('startDate')) row.start_date = TripService.parseDate(input.startDate, 'Start date');
+    if (!existing || has('endDate')) row.end_date = TripService.parseDate(input.endDate, 'End date');
+
+    const startDate = row.start_date || existing.start_date;
+    const endDate = row.end_date || existing.end_date;
+    if (endDate < startDate) {
+      throw new AppError('End date must be on or after the start date', 400);
+    }
+    if ((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS > MAX_TRIP_DAYS) {
+      throw new AppError(`Trips can last at most ${MAX_TRIP_DAYS} days`, 400);
+    }
+
+    if (!existing || has('currency')) {
+      row.currency = has('currency') ? CurrencyService.normalize(input.currency) : DEFAULT_CURRENCY;
+    }
+    if (!existing || has('budget')) {
+      row.budget = TripService.parseBudget(input.budget ?? 0, row.currency || existing.currency || DEFAULT_CURRENCY);
+    }
+
+    if (has('travelers')) row.travelers = TripService.parseTravelers(input.travelers);
+
+    if (has('status')) row.status = TripService.parseStatus(input.status);
+    else if (!existing) row.status = 'planned';
+
+    if (has('imageUrl')) {
+      const imageUrl = input.imageUrl ? String(input.imageUrl).trim() : null;
+      if (imageUrl && !/^https?:\/\/\S+$/i.test(imageUrl)) {
+        throw new AppError('Image URL must be an http(s) URL', 400);
+      }
+      row.image_url = imageUrl;
+    }
+
+    if (has('itinerary')) {
+      const itinerary = input.itinerary ? String(input.itinerary).trim() : null;
+      if (itinerary && itinerary.length > MAX_ITINERARY_LENGTH) {
+        throw new AppError(`Itinerary must be at most ${MAX_ITINERARY_LENGTH} characters`, 400);
+      }
+      row.itinerary = itinerary;
+    }
+
+    return row;
+  }
+
+  /**
+   * One user's trips, most recent start date first
+   * @returns {Promise<{trips: Array, total: number}>}
+   */
+  async listTrips({ telegramId, status = null, limit = 20, offset = 0 }) {
+    if (!telegramId) {
+      throw new AppError('A Telegram ID is required', 400);
+    }
+
+    let query = this.db
+      .from('trips')
+      .select('*', { count: 'exact' })
+      .eq('telegram_id', telegramId);
+    if (status) {
+      query = query.eq('status', TripService.parseStatus(status));
+    }
+
+    const { data, error, count } = await query
+      .order('start_date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new AppError(`Failed to list trips: ${error.message}`, 500);
+    return { trips: data || [], total: count ?? (data || []).length };
+  }
+
+  /**
+   * A trip owned by the given user
+   * @throws {AppError} 404 when the trip does not exist or belongs to someone else
+   */
+  async getTrip(id, telegramId) {
+    if (!isUuid(id)) {
+      throw new AppError('Trip not found', 404, true, { trip_id: id });
+    }
+
+    const { data, error } = await this.db
+      .from('trips')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new AppError(`Failed to load trip: ${error.message}`, 500);
+    if (!data || Number(data.telegram_id) !== Number(telegramId)) {
+      throw new AppError('Trip not found', 404, true, { trip_id: id });
+    }
+    return data;
+  }
+
+  /**
+   * @param {number|null} telegramId - Owner; null for a WhatsApp number with no linked Telegram account
+   * @param {Object} input - See validate
+   * @param {Object} [options]
+   * @param {string} [options.whatsappPhone] - WhatsApp number the trip was planned from
+   */
+  async createTrip(telegramId, input, { whatsappPhone = null } = {}) {
+    const timestamp = new Date(this.now()).toISOString();
+    const row = {
+      ...TripService.validate(input),
+      telegram_id: telegramId,
+      created_at: timestamp,
+      updated_at: timestamp
+    };
+    if (whatsappPhone) row.whatsapp_phone = whatsappPhone;
+
+    const { data, error } = await this.db
+      .from('trips')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw new AppError(`Failed to create trip: ${error.message}`, 500);
+    logger.info('Trip created', { trip_id: data.id, telegram_id: telegramId });
+    return data;
+  }
+
+  async updateTrip(id, telegramId, input) {
+    const trip = await this.getTrip(id, telegramId);
+    const changes = TripService.validate(input, trip);
+    if (Object.keys(changes).length === 0) {
+      throw new AppError('Nothing to update', 400);
+    }
+
+    const { data, error } = await this.db
+      .from('trips')
+      .update({ ...changes, updated_at: new Date(this.now()).toISOString() })
+      .eq('id', trip.id)
+      .select()
+      .single();
+
+    if (error) throw new AppError(`Failed to update trip: ${error.message}`, 500);
+    return data;
+  }
+
+  async deleteTrip(id, telegramId) {
+    const trip = await this.getTrip(id, telegramId);
+
+    const { error } = await this.db
+      .from('trips')
+      .delete()
+      .eq('id', trip.id);
+
+    if (error) throw new AppError(`Failed to delete trip: ${error.message}`, 500);
+    logger.info('Trip deleted', { trip_id: trip.id, telegram_id: telegramId });
+    return trip;
+  }
+}
+
+// Singleton instance
+const tripService = new TripService();
+
+module.exports = {
+  TripService,
+  tripService,
+  TRIP_STATUSES,
+  MAX_TRIP_DAYS,
+  MAX_TRAVELERS
+};
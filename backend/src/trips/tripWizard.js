@@ -0,0 +1,423 @@
+/**
+ * Trip Planning Wizard for Maya Travel Agent
+ * Walks a traveler through the ConversationManager planning states, one slot at a
+ * time: destination, dates, budget, travelers and interests. Each slot is declared
+ * once (its state, question, parser and re-prompts) and the next question is always
+ * the first slot still empty, so answers can arrive in any order: a message that
+ * also names the dates or the number of travelers fills those slots too, and
+ * buttons fill slots directly. A flow left past the conversation timeout can be
+ * resumed. The last answer saves the trip and replies with a day-by-day itinerary
+ * (from the AI when there is one).
+ *
+ * Replies are channel-neutral ({ text, slot }); the Telegram bot and the WhatsApp
+ * handler add their own buttons for the slot being asked.
+ */
+
+const { tripService, MAX_TRIP_DAYS, MAX_TRAVELERS } = require('./tripService');
+const { parseDates, parseBudget, parseTravelers, parseDestination, fold } = require('./slotParsers');
+const { NLU } = require('../ai/nlu');
+const logger = require('../../utils/logger');
+
+const DEFAULT_CURRENCY = 'USD';
+// Failed answers to one question before the re-prompt mentions cancelling
+const MAX_ATTEMPTS = 3;
+// Days spelled out in the itinerary written without AI
+const MAX_OUTLINE_DAYS = 10;
+
+// Intents that start planning when the message names a destination
+const START_INTENTS = ['trip_planning', 'booking_help'];
+
+const CANCEL_WORDS = ['إلغاء', 'الغاء', 'توقف', 'cancel', 'stop'];
+const RESUME_WORDS = ['متابعة', 'استكمال', 'أكمل', 'اكمل', 'continue', 'resume'];
+const SKIP_WORDS = ['تخطي', 'تخطى', 'لا شيء', 'لا يهم', 'أي شيء', 'skip', 'none', 'anything'];
+
+const formatMoney = (amount, currency) =>
+  `${Number(amount).toLocaleString('en-US', { maximumFractionDigits: 3 })} ${currency}`;
+
+const DATE_ERRORS = {
+  invalid: '📅 هذا التاريخ غير موجود في التقويم. أرسل التواريخ من جديد:',
+  past: '⏳ هذا التاريخ مضى. اختر تاريخاً قادماً:',
+  order: '↩️ تاريخ العودة قبل تاريخ السفر. أرسل التاريخين من جديد:',
+  too_long: `📅 أقصى مدة للرحلة ${MAX_TRIP_DAYS} يوماً. أرسل تواريخ أقصر:`
+};
+
+/**
+ * The planning questions, in the order they are asked. Each slot:
+ *  - state: ConversationManager state while it is being asked
+ *  - filled(data): whether the collected data answers it
+ *  - prompt(data): the question
+ *  - parse(text, data, wizard): { values } to store, or { error } (the re-prompt),
+ *    optionally with values for a partial answer
+ *  - extract(text, data, wizard): values it can take from an answer to another question
+ */
+const SLOTS = [
+  {
+    name: 'destination',
+    state: 'COLLECTING_DESTINATION',
+    filled: data => Boolean(data.destination),
+    prompt: () => '🌍 إلى أين تريد السفر؟\n\nاختر وجهة أو اكتب اسم المدينة/البلد:',
+    parse: (text) => {
+      const destination = parseDestination(text, { loose: true });
+      return destination
+        ? { values: { destination } }
+        : { error: '🤔 لم أتعرف على الوجهة. اختر من القائمة أو اكتب اسم البلد أو المدينة بوضوح:' };
+    }
+  },
+  {
+    name: 'dates',
+    state: 'COLLECTING_DATES',
+    filled: data => Boolean(data.startDate && data.endDate),
+    prompt: data => `📅 متى تخطط للسفر إلى ${data.destination}؟\nمثال: من 15 يناير إلى 25 يناير، أو 2027-03-10 لمدة أسبوع`,
+    parse: (text, data, wizard) => {
+      const dates = parseDates(text, { now: wizard.now(), startDate: data.pendingStart, days: data.pendingDays });
+      if (!dates) {
+        return { error: '📅 لم أفهم التاريخ. اكتب مثلاً: من 15 يناير إلى 25 يناير، أو 2027-03-10 لمدة أسبوع' };
+      }
+      if (dates.error) return { error: DATE_ERRORS[dates.error] };
+      if (dates.days) {
+        return { values: { pendingDays: dates.days }, error: `📅 رحلة لمدة ${dates.days} أيام. متى تبدأ؟ (مثال: 15 يناير)` };
+      }
+      if (!dates.endDate) {
+        return { values: { pendingStart: dates.startDate }, error: `📅 تبدأ رحلتك ${dates.startDate}. متى تعود، أو كم مدة الرحلة؟ (مثال: 7 أيام)` };
+      }
+      return { values: TripWizard.datesValues(dates.startDate, dates.endDate) };
+    },
+    extract: (text, data, wizard) => {
+      const dates = parseDates(text, { now: wizard.now() });
+      return dates && dates.endDate ? TripWizard.datesValues(dates.startDate, dates.endDate) : null;
+    }
+  },
+  {
+    name: 'budget',
+    state: 'COLLECTING_BUDGET',
+    filled: data => data.budgetAmount !== undefined && data.budgetAmount !== null,
+    prompt: () => '💰 ما هي ميزانيتك التقريبية للرحلة؟\nمثال: 5000 ريال أو $1500',
+    parse: (text, data, wizard) => {
+      const budget = parseBudget(text);
+      if (!budget || budget.error) {
+        return { error: '💰 لم أفهم الميزانية. اكتب المبلغ والعملة، مثال: 5000 ريال أو $1500' };
+      }
+      return { values: TripWizard.budgetValues(budget.amount, budget.currency || wizard.defaultCurrency) };
+    },
+    // Only an amount with its currency is clearly a budget
+    extract: (text) => {
+      const budget = parseBudget(text);
+      return budget && budget.currency ? TripWizard.budgetValues(budget.amount, budget.currency) : null;
+    }
+  },
+  {
+    name: 'travelers',
+    state: 'COLLECTING_TRAVELERS',
+    filled: data => Boolean(data.travelers),
+    prompt: () => '👥 كم عدد المسافرين؟\nمثال: شخصين، أو 2 بالغين وطفل',
+    parse: (text) => {
+      const travelers = parseTravelers(text, { loose: true });
+      if (!travelers) return { error: '👥 كم شخصاً سيسافر؟ اكتب رقماً، مثال: 2' };
+      if (travelers.error) return { error: `👥 يمكنني التخطيط لـ ${MAX_TRAVELERS} مسافراً كحد أقصى. كم عددكم؟` };
+      return { values: travelers };
+    },
+    extract: text => {
+      const travelers = parseTravelers(text);
+      return travelers && !travelers.error ? travelers : null;
+    }
+  },
+  {
+    name: 'preferences',
+    state: 'COLLECTING_PREFERENCES',
+    filled: data => Array.isArray(data.preferences),
+    prompt: () => '🎯 ما هي اهتماماتك في السفر؟\nمثال: شواطئ، مغامرات، ثقافة، تسوق\n(أو اكتب "تخطي")',
+    parse: (text) => {
+      const folded = fold(text.trim());
+      if (SKIP_WORDS.some(word => fold(word) === folded)) return { values: { preferences: [] } };
+
+      const preferences = text
+        .split(/[,،؛;\n]|\s+و(?=\S)|\s+and\s+/u)
+        .map(item => item.trim())
+        .filter(item => item && item.length <= 60)
+        .slice(0, 10);
+      return preferences.length > 0
+        ? { values: { preferences } }
+        : { error: '🎯 اكتب اهتماماً واحداً على الأقل، مثال: شواطئ، ثقافة — أو "تخطي"' };
+    }
+  }
+];
+
+class TripWizard {
+  /**
+   * @param {Object} options
+   * @param {ConversationManager} options.conversations - Keeps the state and the collected answers
+   * @param {Object} [options.ai] - AI for the itinerary (generateTravelRecommendations); null for the built-in outline
+   * @param {TripService} [options.trips] - Where finished plans are saved
+   * @param {string} [options.defaultCurrency] - Currency of a budget given without one
+   * @param {NLU} [options.nlu] - Decides whether a message asks for a trip; defaults to one on `ai`
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ conversations, ai = null, trips = tripService, defaultCurrency = DEFAULT_CURRENCY, nlu = null, now = () => Date.now() }) {
+    this.conversations = conversations;
+    this.ai = ai;
+    this.nlu = nlu || new NLU({ ai, now });
+    this.trips = trips;
+    this.defaultCurrency = defaultCurrency;
+    this.now = now;
+  }
+
+  static datesValues(startDate, endDate) {
+    return { startDate, endDate, dates: `${startDate} → ${endDate}`, pendingStart: null, pendingDays: null };
+  }
+
+  static budgetValues(amount, currency) {
+    return { budgetAmount: amount, currency, budget: formatMoney(amount, currency) };
+  }
+
+  stateOf(slot) {
+    return this.conversations.states[slot.state];
+  }
+
+  /**
+   * Whether the context is in the middle of the planning flow
+   */
+  isActive(context) {
+    const { states } = this.conversations;
+    return Boolean(context.state) &&
+      [...SLOTS.map(slot => this.stateOf(slot)), states.GENERATING_PLAN].includes(context.state);
+  }
+
+  /**
+   * Start planning, or offer to resume a flow that timed out
+   * @returns {Promise<{text: string, slot: string}>}
+   */
+  async start(userId) {
+    const context = await this.conversations.getContext(userId);
+    if (context.suspended) {
+      const destination = context.suspended.data && context.suspended.data.destination;
+      return {
+        text: `⏸️ لديك رحلة لم تكتمل${destination ? ` إلى ${destination}` : ''}. هل تريد المتابعة من حيث توقفت؟`,
+        slot: 'resume'
+      };
+    }
+    return this.restart(userId);
+  }
+
+  /**
+   * Forget any flow (current or timed out) and ask the first question
+   */
+  async restart(userId) {
+    await this.conversations.resetState(userId);
+    await this.conversations.setState(userId, this.stateOf(SLOTS[0]));
+    return { text: SLOTS[0].prompt({}), slot: SLOTS[0].name };
+  }
+
+  /**
+   * Continue a flow that timed out from its next unanswered question
+   * @param {Object} [options] - See handle
+   */
+  async resume(userId, options = {}) {
+    const context = await this.conversations.resumeState(userId);
+    if (!context) return this.restart(userId);
+
+    const step = await this.advance(userId, {}, options);
+    return { ...step, text: `👋 أهلاً بعودتك! لنكمل التخطيط${context.data.destination ? ` لرحلتك إلى ${context.data.destination}` : ''}.\n\n${step.text}` };
+  }
+
+  /**
+   * The destination of a message asking for a trip there, or null. Questions are left
+   * to the other handlers; other messages that name a known place go to the NLU, which
+   * tells a request ("أريد السفر إلى دبي") from a refusal ("لا أريد السفر إلى دبي").
+   */
+  async planRequest(text) {
+    const rules = this.nlu.analyzeRules(text);
+    if (!rules.entities.destination || rules.signals.question) return null;
+    const { intent, entities } = await this.nlu.analyze(text);
+    return START_INTENTS.includes(intent) ? entities.destination : null;
+  }
+
+  /**
+   * Store answers given another way (a button, a scanned ticket) and ask the next question
+   * @param {Object} values - Slot values, e.g. { destination } or datesValues(...)
+   * @param {Object} [options] - See handle
+   */
+  async fill(userId, values, options = {}) {
+    return this.advance(userId, values, options);
+  }
+
+  /**
+   * Answer a message: the next question, a re-prompt, or the finished plan. Returns
+   * null when the traveler is not planning and the message does not start a plan
+   * (see planRequest), so other handlers can answer.
+   * @param {Object} [options]
+   * @param {{telegramId?: number, whatsappPhone?: string}} [options.owner] - Owner of the saved
+   *   trip; defaults to the user ID on the conversation's channel
+   * @param {Function} [options.beforePlan] - Called before the itinerary is generated (e.g. a typing indicator)
+   * @returns {Promise<{text: string, slot: string|null, done?: boolean, cancelled?: boolean, trip?: Object}|null>}
+   */
+  async handle(userId, text, options = {}) {
+    const context = await this.conversations.getContext(userId);
+    const answer = text.trim();
+    const word = answer.toLowerCase();
+
+    if (!this.isActive(context)) {
+      if (context.suspended && RESUME_WORDS.includes(word)) {
+        return this.resume(userId, options);
+      }
+      const destination = await this.planRequest(answer);
+      if (!destination) return null;
+
+      await this.conversations.resetState(userId);
+      return this.advance(userId, { destination, ...this.extract(answer, { destination }, 'destination') }, options);
+    }
+
+    if (CANCEL_WORDS.includes(word)) {
+      await this.conversations.resetState(userId);
+      return {
+        text: '👌 تم إلغاء تخطيط الرحلة. اسألني أي شيء عن السفر، أو أرسل وجهتك للبدء من جديد.',
+        slot: null,
+        cancelled: true
+      };
+    }
+
+    const slot = SLOTS.find(candidate => !candidate.filled(context.data));
+    if (!slot) return this.finish(userId, options);
+
+    const result = slot.parse(answer, context.data, this);
+    const values = { ...result.values, ...this.extract(answer, context.data, slot.name) };
+    if (!result.error) {
+      return this.advance(userId, values, options);
+    }
+
+    const attempts = (context.data.attempts || 0) + 1;
+    await this.conversations.setState(userId, this.stateOf(slot), { ...values, attempts });
+    const hint = attempts >= MAX_ATTEMPTS ? '\n\nيمكنك كتابة "إلغاء" لإيقاف التخطيط.' : '';
+    return { text: result.error + hint, slot: slot.name };
+  }
+
+  /**
+   * Values other empty slots can take from an answer to `current`
+   */
+  extract(text, data, current) {
+    const values = {};
+    for (const slot of SLOTS) {
+      if (slot.name === current || !slot.extract || slot.filled(data)) continue;
+      Object.assign(values, slot.extract(text, data, this));
+    }
+    return values;
+  }
+
+  /**
+   * Store values and ask the first unanswered question, or finish when there is none
+   */
+  async advance(userId, values, options = {}) {
+    const context = await this.conversations.getContext(userId);
+    const data = { ...context.data, ...values };
+    if (context.data.attempts) values = { ...values, attempts: 0 };
+
+    const next = SLOTS.find(slot => !slot.filled(data));
+    if (!next) {
+      await this.conversations.setState(userId, this.conversations.states.GENERATING_PLAN, values);
+      return this.finish(userId, options);
+    }
+
+    await this.conversations.setState(userId, this.stateOf(next), values);
+    return { text: next.prompt(data), slot: next.name };
+  }
+
+  /**
+   * Generate the itinerary, save the trip and close the flow
+   */
+  async finish(userId, { owner = null, beforePlan = null } = {}) {
+    const context = await this.conversations.getContext(userId);
+    const plan = context.data;
+    await this.conversations.updateProfileFromConversation(userId);
+
+    if (beforePlan) await beforePlan();
+    const itinerary = await this.buildItinerary(plan);
+    const trip = await this.saveTrip(userId, plan, itinerary, owner);
+    await this.conversations.resetState(userId);
+
+    const travelers = plan.travelers === 1 ? 'مسافر واحد' : `${plan.travelers} مسافرين`;
+    const text = `🎯 خطة رحلتك إلى ${plan.destination}\n` +
+      `📅 ${plan.dates} (${TripWizard.nights(plan)} ليالٍ)\n` +
+      `👥 ${travelers}\n` +
+      `💰 ${plan.budget}\n\n` +
+      `${itinerary}` +
+      (trip ? '\n\n💾 حفظت الرحلة في رحلاتك.' : '');
+    return { text, slot: null, done: true, trip };
+  }
+
+  static nights(plan) {
+    return Math.round((Date.parse(plan.endDate) - Date.parse(plan.startDate)) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Day-by-day plan from the AI, or the built-in outline without one (or when it fails)
+   */
+  async buildItinerary(plan) {
+    if (this.ai) {
+      const days = TripWizard.nights(plan) + 1;
+      const travelers = `${plan.travelers} ${plan.travelers === 1 ? 'traveler' : 'travelers'}`;
+      const response = await this.ai.generateTravelRecommendations(
+        plan.destination,
+        plan.budget,
+        `${days}-day (${plan.startDate} to ${plan.endDate})`,
+        [...plan.preferences, travelers]
+      );
+      if (response.success) return response.content;
+      logger.warn('Trip itinerary generation failed', { error: response.error });
+    }
+    return TripWizard.outline(plan);
+  }
+
+  /**
+   * Itinerary skeleton from the collected answers
+   */
+  static outline(plan) {
+    const days = TripWizard.nights(plan) + 1;
+    const interests = plan.preferences.length > 0 ? plan.preferences : ['المعالم الرئيسية', 'الأسواق المحلية', 'المطبخ المحلي'];
+    const lines = [];
+
+    for (let day = 1; day <= Math.min(days, MAX_OUTLINE_DAYS); day++) {
+      let activity;
+      if (days === 1) activity = `جولة في ${plan.destination}`;
+      else if (day === 1) activity = `الوصول إلى ${plan.destination} والاستقرار`;
+      else if (day === days) activity = 'وقت حر ثم المغادرة';
+      else activity = `استكشاف ${interests[(day - 2) % interests.length]}`;
+      lines.push(`اليوم ${day}: ${activity}`);
+    }
+    if (days > MAX_OUTLINE_DAYS) {
+      lines.push(`… ${days - MAX_OUTLINE_DAYS} أيام أخرى على راحتك، ثم المغادرة`);
+    }
+
+    const daily = plan.budgetAmount / plan.travelers / days;
+    return `📋 مخطط مبدئي:\n${lines.join('\n')}\n\n💡 الميزانية: حوالي ${formatMoney(Math.round(daily), plan.currency)} للشخص في اليوم`;
+  }
+
+  /**
+   * Save the plan as a trip; a plan that cannot be saved is still shown
+   * @returns {Promise<Object|null>} The trip row
+   */
+  async saveTrip(userId, plan, itinerary, owner) {
+    const { telegramId = null, whatsappPhone = null } = owner || (this.conversations.channel === 'whatsapp'
+      ? { whatsappPhone: String(userId) }
+      : { telegramId: userId });
+    if (!telegramId && !whatsappPhone) return null;
+
+    try {
+      return await this.trips.createTrip(telegramId, {
+        destination: plan.destination,
+        startDate: plan.startDate,
+        endDate: plan.endDate,
+        budget: plan.budgetAmount,
+        currency: plan.currency,
+        travelers: plan.travelers,
+        itinerary
+      }, { whatsappPhone });
+    } catch (error) {
+      logger.warn('Planned trip could not be saved', { user_id: userId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  TripWizard,
+  SLOTS
+};
@@ -0,0 +1,186 @@
+/**
+ * WhatsApp Conversation Handler for Maya Travel Agent
+ * Answers free-form WhatsApp messages. Conversations go through a WhatsApp
+ * ConversationManager, so history and the trip-planning state are stored with the
+ * profile rather than in the process: they survive restarts and every server
+ * instance sees the same conversation.
+ *  - naming a destination (or tapping "plan trip") starts the trip-planning wizard,
+ *    which collects destination, dates, budget, travelers and interests, then saves
+ *    the trip and sends an itinerary; the Telegram bot runs the same wizard
+ *  - anything else is answered by the AI with the personalized prompt the Telegram
+ *    bot uses (saved preferences and past trips) and the NLU's reading of the message,
+ *    plus the persona and reply language of the business number the customer wrote to
+ */
+
+const { aiRouter } = require('../ai/aiRouter');
+const MayaPersona = require('../ai/mayaPersona');
+const { NLU } = require('../ai/nlu');
+const { ConversationManager } = require('../../utils/conversationManager');
+const { identityService } = require('../auth/identityService');
+const { TripWizard } = require('../trips/tripWizard');
+
+// Messages of history sent to the AI with each question
+const CONTEXT_MESSAGES = 10;
+
+// WhatsApp allows three reply buttons; their titles are what comes back as the message text
+const DESTINATION_BUTTONS = [
+  { id: 'dest_turkey', title: '🇹🇷 تركيا' },
+  { id: 'dest_dubai', title: '🇦🇪 دبي' },
+  { id: 'dest_malaysia', title: '🇲🇾 ماليزيا' }
+];
+
+const RESUME_BUTTONS = [
+  { id: 'wizard_resume', title: '▶️ متابعة' },
+  { id: 'wizard_restart', title: '🔄 رحلة جديدة' }
+];
+
+const WHATSAPP_STYLE = '\n\nIMPORTANT: This is WhatsApp. Keep replies short and direct (a few lines), without HTML or Markdown headings. End with at most ONE question.';
+
+const REPLY_LANGUAGES = {
+  ar: 'Arabic',
+  en: 'English'
+};
+
+class WhatsAppConversationHandler {
+  /**
+   * @param {Object} [options]
+   * @param {ConversationManager} [options.conversations] - Defaults to a WhatsApp ConversationManager
+   * @param {Object} [options.ai] - AI router (chatCompletion, generateTravelRecommendations)
+   * @param {MayaPersona} [options.persona] - Defaults to one reading messages with the NLU on `ai`
+   * @param {Object} [options.identities] - Profile resolution, so first-time senders get a profile
+   * @param {TripWizard} [options.wizard] - Trip-planning wizard; defaults to one on these conversations
+   */
+  constructor({ conversations = null, ai = aiRouter, persona = null, identities = identityService, wizard = null } = {}) {
+    this.conversations = conversations || new ConversationManager({ channel: 'whatsapp' });
+    this.ai = ai;
+    const nlu = new NLU({ ai });
+    this.persona = persona || new MayaPersona({ nlu });
+    this.identities = identities;
+    this.wizard = wizard || new TripWizard({ conversations: this.conversations, ai, nlu });
+  }
+
+  /**
+   * Maya's reply to one incoming message
+   * @param {string} from - Sender's WhatsApp number
+   * @param {string} text - Message text (or the title of the tapped button)
+   * @param {Object} [options]
+   * @param {string} [options.replyId] - ID of the tapped button or list row
+   * @param {string} [options.name] - Sender's WhatsApp profile name
+   * @param {Object} [options.number] - Business number written to (name, language, persona)
+   * @returns {Promise<{text: string, buttons?: Array<{id: string, title: string}>, failed?: boolean}>}
+   */
+  async handleMessage(from, text, { replyId = null, name = null, number = null } = {}) {
+    const identity = await this.identities.resolveWhatsAppUser(from, { name });
+
+    const context = await this.conversations.getContext(from, { refresh: true });
+    const history = context.history.slice(-CONTEXT_MESSAGES);
+
+    // A trip planned by a number linked to Telegram shows up in the mini app too
+    const owner = identity && { telegramId: identity.telegramId, whatsappPhone: identity.whatsappPhone };
+    const step = await this.planStep(from, text, replyId, owner);
+    const reply = step
+      ? this.present(step)
+      : await this.chat(text, context.profile, history, name, number);
+
+    // A failed answer is not part of the conversation
+    if (!reply.failed) {
+      await this.record(from, text, reply.text);
+    }
+    return reply;
+  }
+
+  /**
+   * Add a message and Maya's answer to the conversation history
+   */
+  async record(from, text, replyText) {
+    await this.conversations.addMessage(from, text, true);
+    await this.conversations.addMessage(from, replyText, false);
+  }
+
+  /**
+   * The trip-planning wizard's answer; null when the message is not about planning
+   */
+  planStep(from, text, replyId, owner) {
+    switch (replyId) {
+      case 'plan_trip':
+        return this.wizard.start(from);
+      case 'wizard_resume':
+        return this.wizard.resume(from, { owner });
+      case 'wizard_restart':
+        return this.wizard.restart(from);
+      default:
+        return this.wizard.handle(from, text, { owner });
+    }
+  }
+
+  /**
+   * A wizard step as a WhatsApp reply, with buttons for the question being asked
+   */
+  present(step) {
+    if (step.slot === 'destination') return { text: step.text, buttons: DESTINATION_BUTTONS };
+    if (step.slot === 'resume') return { text: step.text, buttons: RESUME_BUTTONS };
+    if (step.done) return { text: `${step.text}\n\nأرسل "عروض" لحجز أحد عروضنا.` };
+    return { text: step.text };
+  }
+
+  /**
+   * Free-form answer, personalized with the stored profile and guided by the NLU
+   */
+  async chat(text, profile, history, name, number = null) {
+    const conversationHistory = history.map(entry => ({
+      role: entry.is_user ? 'user' : 'assistant',
+      content: entry.message
+    }));
+
+    let systemPrompt = this.persona.generateSystemPrompt({
+      user_name: name || (profile && profile.username) || '',
+      user_preferences: (profile && profile.preferences) || {},
+      conversation_history: conversationHistory,
+      cultural_background: 'arabic'
+    });
+    systemPrompt = this.persona.personalizePrompt(systemPrompt, profile);
+    systemPrompt += `\n\n${this.persona.describeMessage(await this.persona.analyzeMessage(text))}`;
+    systemPrompt += WHATSAPP_STYLE + this.numberInstructions(number);
+
+    const response = await this.ai.chatCompletion([
+      { role: 'system', content: systemPrompt },
+      ...conversationHistory,
+      { role: 'user', content: text }
+    ], {
+      maxTokens: 500,
+      temperature: 0.7
+    });
+
+    return response.success
+      ? { text: response.content }
+      : { text: 'عذراً، حدث خطأ في معالجة رسالتك. يرجى المحاولة مرة أخرى.', failed: true };
+  }
+
+  /**
+   * Prompt instructions for the business number the customer wrote to
+   */
+  numberInstructions(number) {
+    if (!number) return '';
+
+    let instructions = '';
+    if (number.name) {
+      instructions += `\n\nYou are answering on the "${number.name}" WhatsApp number.`;
+    }
+    if (number.persona) {
+      instructions += `\n\n${number.persona}`;
+    }
+    const language = REPLY_LANGUAGES[number.language];
+    if (language) {
+      instructions += `\n\nReply in ${language} unless the customer writes in another language.`;
+    }
+    return instructions;
+  }
+}
+
+// Singleton instance
+const whatsappConversationHandler = new WhatsAppConversationHandler();
+
+module.exports = {
+  WhatsAppConversationHandler,
+  whatsappConversationHandler
+};
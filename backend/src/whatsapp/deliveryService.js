@@ -0,0 +1,463 @@
+/**
+ * WhatsApp Delivery Service for Maya Travel Agent
+ * Outbox for messages sent to WhatsApp (`whatsapp_messages` table). Each send is
+ * recorded and follows the status webhooks: queued → sent → delivered → read, or failed.
+ *  - temporary failures (rate limits, outages) are retried with exponential backoff
+ *  - free-form messages cannot be sent more than 24 hours after the customer last
+ *    wrote; those go out as the approved fallback template instead
+ *    (WHATSAPP_FALLBACK_TEMPLATE, with the message text as its one body parameter)
+ * Messages remember the business number they were sent from, so retries go out
+ * from the same number; session windows are tracked per business number.
+ */
+
+const { getServiceClient } = require('../../database/client');
+const { whatsappNumbers } = require('./numberRegistry');
+const logger = require('../../utils/logger');
+
+const MESSAGE_STATUSES = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+// Status webhooks can arrive out of order; a status never moves back
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+// Customers can be sent free-form messages for 24 hours after their last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Cloud API error for a free-form message outside the session window
+const SESSION_EXPIRED_ERROR = 131047;
+
+// Cloud API errors worth retrying: throttling and temporary outages
+const RETRYABLE_ERRORS = [1, 2, 4, 80007, 130429, 131000, 131016, 131048, 131056];
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Template parameters may not contain newlines, tabs or long runs of spaces
+const TEMPLATE_PARAMETER_MAX = 1000;
+
+class WhatsAppDeliveryService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Supabase-compatible client; defaults to the shared service client
+   * @param {Object} [options.whatsapp] - WhatsAppClient for retries; defaults to the client of the message's number
+   * @param {Object} [options.numbers] - Number registry that provides those clients
+   * @param {Function} [options.now] - Clock (ms)
+   * @param {number} [options.maxAttempts] - Sends per message before it fails (WHATSAPP_MAX_SEND_ATTEMPTS)
+   * @param {{name: string, language: string}|null} [options.fallbackTemplate] - Defaults to WHATSAPP_FALLBACK_TEMPLATE
+   */
+  constructor({ client = null, whatsapp = null, numbers = whatsappNumbers, now = () => Date.now(), maxAttempts = null, fallbackTemplate } = {}) {
+    this.client = client;
+    this.whatsappClient = whatsapp;
+    this.numbers = numbers;
+    this.now = now;
+    this.maxAttempts = maxAttempts ?? (Number(process.env.WHATSAPP_MAX_SEND_ATTEMPTS) || 5);
+    this.fallbackTemplate = fallbackTemplate !== undefined
+      ? fallbackTemplate
+      : process.env.WHATSAPP_FALLBACK_TEMPLATE
+        ? { name: process.env.WHATSAPP_FALLBACK_TEMPLATE, language: process.env.WHATSAPP_FALLBACK_TEMPLATE_LANGUAGE || 'ar' }
+        : null;
+  }
+
+  get db() {
+    return this.client || getServiceClient();
+  }
+
+  /**
+   * Client that resends a message, from the number it was first sent from.
+   * Resends use `post`, which bypasses the outbox.
+   */
+  senderFor(message) {
+    return this.whatsappClient || this.numbers.clientFor(message.phone_number_id || null);
+  }
+
+  static normalizePhone(phone) {
+    return String(phone || '').replace(/[^0-9]/g, '');
+  }
+
+  timestamp(ms = this.now()) {
+    return new Date(ms).toISOString();
+  }
+
+  /**
+   * Delay before the next attempt: 30s, 1m, 2m, ... up to an hour
+   */
+  retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+  }
+
+  isRetryable({ code, httpStatus }) {
+    if (code !== null && code !== undefined) return RETRYABLE_ERRORS.includes(Number(code));
+    // No API error: network failure, timeout or a gateway error
+    return !httpStatus || httpStatus === 429 || httpStatus >= 500;
+  }
+
+  /**
+   * The fallback template carrying a free-form message's text, or null without one
+   */
+  templateFor(payload) {
+    if (!this.fallbackTemplate) return null;
+
+    const text = payload.type === 'text' ? payload.text.body : payload.interactive?.body?.text || '';
+    return {
+      messaging_product: 'whatsapp',
+      to: payload.to,
+      type: 'template',
+      template: {
+        name: this.fallbackTemplate.name,
+        language: { code: this.fallbackTemplate.language },
+        components: [{
+          type: 'body',
+          parameters: [{
+            type: 'text',
+            text: text.replace(/\s*\n\s*/g, ' - ').replace(/\s{4,}/g, ' ').slice(0, TEMPLATE_PARAMETER_MAX)
+          }]
+        }]
+      }
+    };
+  }
+
+  /**
+   * Remember when a customer last wrote, which opens a 24-hour session window
+   * @param {string} phone
+   * @param {number|string} [timestamp] - Webhook timestamp (Unix seconds); defaults to now
+   * @param {string} [phoneNumberId] - Business number the customer wrote to
+   */
+  async recordInbound(phone, timestamp = null, phoneNumberId = null) {
+    const at = timestamp ? Number(timestamp) * 1000 : this.now();
+    const { error } = await this.db
+      .from('whatsapp_contacts')
+      .upsert({
+        phone: WhatsAppDeliveryService.normalizePhone(phone),
+        phone_number_id: phoneNumberId ? String(phoneNumberId) : '',
+        last_inbound_at: this.timestamp(at),
+        updated_at: this.timestamp()
+      }, { onConflict: 'phone,phone_number_id' });
+
+    if (error) {
+      logger.warn('Failed to record WhatsApp inbound message', { error: error.message });
+    }
+  }
+
+  /**
+   * Whether free-form messages can be sent to a number
+   * @param {string} phone
+   * @param {string} [phoneNumberId] - Business number to send from; without it, the latest window on any number
+   * @returns {Promise<{open: boolean|null, lastInboundAt: string|null}>} open is null when the customer never wrote
+   */
+  async getSession(phone, phoneNumberId = null) {
+    let query = this.db
+      .from('whatsapp_contacts')
+      .select('*')
+      .eq('phone', WhatsAppDeliveryService.normalizePhone(phone));
+    if (phoneNumberId) query = query.eq('phone_number_id', String(phoneNumberId));
+
+    const { data: contacts } = await query.order('last_inbound_at', { ascending: false }).limit(1);
+    const data = contacts && contacts[0];
+
+    if (!data || !data.last_inbound_at) {
+      return { open: null, lastInboundAt: null };
+    }
+    return {
+      open: this.now() - new Date(data.last_inbound_at).getTime() < SESSION_WINDOW_MS,
+      lastInboundAt: data.last_inbound_at
+    };
+  }
+
+  /**
+   * Record and send a message. Never throws: when the outbox cannot be written the
+   * message is still sent, just untracked.
+   * @param {Object} sender - WhatsAppClient that posts the message
+   * @param {Object} payload - Cloud API message object
+   * @returns {Promise<Object>} The send result plus `outboxId`; failures that will be retried carry `retryAt`
+   */
+  async send(sender, payload) {
+    let message;
+    try {
+      let outgoing = payload;
+      let templateFallback = false;
+
+      if (payload.type !== 'template') {
+        const session = await this.getSession(payload.to, sender.phoneNumberId);
+        if (session.open === false) {
+          outgoing = this.templateFor(payload);
+          templateFallback = true;
+        }
+      }
+
+      const { data, error } = await this.db
+        .from('whatsapp_messages')
+        .insert({
+          recipient: payload.to,
+          phone_number_id: sender.phoneNumberId || null,
+          message_type: payload.type,
+          payload: outgoing || payload,
+          template_fallback: templateFallback,
+          status: MESSAGE_STATUSES.QUEUED,
+          attempts: 0,
+          created_at: this.timestamp(),
+          updated_at: this.timestamp()
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      message = data;
+
+      if (!outgoing) {
+        const closed = await this.fail(message, { code: SESSION_EXPIRED_ERROR, message: 'Session window closed and no fallback template is configured' });
+        return { success: false, error: closed.last_error, outboxId: message.id };
+      }
+    } catch (error) {
+      logger.error('WhatsApp outbox unavailable, sending untracked', error);
+      return sender.post(payload);
+    }
+
+    const { message: updated } = await this.attempt(message, sender);
+    const tracked = { outboxId: message.id, templateFallback: Boolean(updated.template_fallback) };
+    if (updated.status === MESSAGE_STATUSES.SENT) {
+      return { success: true, messageId: updated.wa_message_id, ...tracked };
+    }
+    return {
+      success: false,
+      error: updated.last_error,
+      ...tracked,
+      ...(updated.status === MESSAGE_STATUSES.QUEUED ? { retryAt: updated.next_attempt_at } : {})
+    };
+  }
+
+  /**
+   * Send a recorded message once and record the outcome
+   * @returns {Promise<{result: Object, message: Object}>} The Cloud API result and the updated message
+   */
+  async attempt(message, sender) {
+    const attempts = Number(message.attempts || 0) + 1;
+    const result = await sender.post(message.payload);
+
+    if (result.success) {
+      const sent = await this.update(message.id, {
+        status: MESSAGE_STATUSES.SENT,
+        wa_message_id: result.messageId || null,
+        attempts,
+        next_attempt_at: null,
+        last_error: null,
+        error_code: null,
+        sent_at: this.timestamp()
+      });
+      return { result, message: sent };
+    }
+
+    const updated = await this.handleFailure({ ...message, attempts }, {
+      code: result.errorCode,
+      message: result.error,
+      httpStatus: result.httpStatus
+    }, sender);
+    return { result, message: updated };
+  }
+
+  /**
+   * Retry, switch to the fallback template, or give up on a failed send
+   * @returns {Promise<Object>} The updated message
+   */
+  async handleFailure(message, error, sender = this.senderFor(message)) {
+    if (Number(error.code) === SESSION_EXPIRED_ERROR && message.payload.type !== 'template') {
+      const template = this.templateFor(message.payload);
+      if (!template) {
+        return this.fail(message, error);
+      }
+      const switched = await this.update(message.id, { payload: template, template_fallback: true, attempts: message.attempts });
+      return (await this.attempt({ ...message, ...switched }, sender)).message;
+    }
+
+    if (this.isRetryable(error) && message.attempts < this.maxAttempts) {
+      return this.update(message.id, {
+        status: MESSAGE_STATUSES.QUEUED,
+        attempts: message.attempts,
+        next_attempt_at: this.timestamp(this.now() + this.retryDelay(message.attempts)),
+        last_error: error.message || null,
+        error_code: error.code ?? null
+      });
+    }
+
+    return this.fail(message, error);
+  }
+
+  async fail(message, error) {
+    logger.warn('WhatsApp message failed', { outbox_id: message.id, recipient: message.recipient, code: error.code, error: error.message });
+    return this.update(message.id, {
+      status: MESSAGE_STATUSES.FAILED,
+      attempts: message.attempts,
+      next_attempt_at: null,
+      last_error: error.message || 'Send failed',
+      error_code: error.code ?? null,
+      failed_at: this.timestamp()
+    });
+  }
+
+  async update(id, patch) {
+    const { data, error } = await this.db
+      .from('whatsapp_messages')
+      .update({ ...patch, updated_at: this.timestamp() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to update WhatsApp outbox', null, { outbox_id: id, error: error.message });
+      return { id, ...patch };
+    }
+    return data;
+  }
+
+  /**
+   * Apply a status webhook (`value.statuses[]`)
+   * @returns {Promise<Object|null>} The updated message, or null for messages not sent through the outbox
+   */
+  async recordStatus(status) {
+    const { data: message } = await this.db
+      .from('whatsapp_messages')
+      .select('*')
+      .eq('wa_message_id', status.id)
+      .maybeSingle();
+
+    if (!message) return null;
+
+    const at = status.timestamp ? this.timestamp(Number(status.timestamp) * 1000) : this.timestamp();
+
+    if (status.status === MESSAGE_STATUSES.FAILED) {
+      // A later status already proved delivery
+      if (STATUS_RANK[message.status] >= STATUS_RANK.delivered) return message;
+
+      const [apiError = {}] = status.errors || [];
+      return this.handleFailure(message, {
+        code: apiError.code ?? null,
+        message: apiError.error_data?.details || apiError.message || apiError.title || 'Delivery failed',
+        // A failure reported by webhook is not a network error
+        httpStatus: 400
+      });
+    }
+
+    const rank = STATUS_RANK[status.status];
+    if (rank === undefined || rank <= (STATUS_RANK[message.status] ?? Infinity)) {
+      return message;
+    }
+
+    const patch = { status: status.status };
+    if (status.status === MESSAGE_STATUSES.DELIVERED || status.status === MESSAGE_STATUSES.READ) {
+      patch.delivered_at = message.delivered_at || at;
+    }
+    if (status.status === MESSAGE_STATUSES.READ) {
+      patch.read_at = at;
+    }
+    return this.update(message.id, patch);
+  }
+
+  /**
+   * Resend messages whose retry time has come
+   * @returns {Promise<{retried: number, sent: number, failed: number}>}
+   */
+  async processRetries({ limit = 50 } = {}) {
+    const { data, error } = await this.db
+      .from('whatsapp_messages')
+      .select('*')
+      .eq('status', MESSAGE_STATUSES.QUEUED)
+      .lte('next_attempt_at', this.timestamp())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Failed to load WhatsApp retries', null, { error: error.message });
+      return { retried: 0, sent: 0, failed: 0 };
+    }
+
+    const summary = { retried: 0, sent: 0, failed: 0 };
+    for (const message of data || []) {
+      // Claimed by clearing its retry time, so another instance does not send it too
+      const { data: claimed } = await this.db
+        .from('whatsapp_messages')
+        .update({ next_attempt_at: null, updated_at: this.timestamp() })
+        .eq('id', message.id)
+        .eq('status', MESSAGE_STATUSES.QUEUED)
+        .eq('next_attempt_at', message.next_attempt_at)
+        .select()
+        .maybeSingle();
+      if (!claimed) continue;
+
+      summary.retried++;
+      const { message: updated } = await this.attempt(claimed, this.senderFor(claimed));
+      if (updated.status === MESSAGE_STATUSES.SENT) summary.sent++;
+      else if (updated.status === MESSAGE_STATUSES.FAILED) summary.failed++;
+    }
+
+    if (summary.retried > 0) {
+      logger.info('Retried WhatsApp messages', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Retry on an interval; returns the timer so callers can stop it
+   */
+  startRetryTimer(intervalMs = 30 * 1000) {
+    const timer = setInterval(() => {
+      this.processRetries().catch(error => logger.error('WhatsApp retry run failed', error));
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+    return timer;
+  }
+
+  /**
+   * Messages sent to a number, newest first
+   */
+  async listMessages({ phone = null, status = null, limit = 20, offset = 0 } = {}) {
+    let query = this.db
+      .from('whatsapp_messages')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (phone) query = query.eq('recipient', WhatsAppDeliveryService.normalizePhone(phone));
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Delivery state of one customer: session window, counts per status and recent messages
+   */
+  async getDeliverySummary(phone, { limit = 20 } = {}) {
+    const recipient = WhatsAppDeliveryService.normalizePhone(phone);
+    const counts = {};
+    for (const status of Object.values(MESSAGE_STATUSES)) {
+      const { count, error } = await this.db
+        .from('whatsapp_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('recipient', recipient)
+        .eq('status', status);
+      if (error) throw error;
+      counts[status] = count || 0;
+    }
+
+    return {
+      phone: recipient,
+      session: await this.getSession(recipient),
+      counts,
+      messages: await this.listMessages({ phone: recipient, limit })
+    };
+  }
+}
+
+// Singleton instance
+const whatsappDelivery = new WhatsAppDeliveryService();
+
+module.exports = {
+  WhatsAppDeliveryService,
+  whatsappDelivery,
+  MESSAGE_STATUSES,
+  SESSION_EXPIRED_ERROR
+};
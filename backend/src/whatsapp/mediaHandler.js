@@ -0,0 +1,293 @@
+/**
+ * WhatsApp Media Handler for Maya Travel Agent
+ * Answers the messages that are not text:
+ *  - photos are analyzed by the vision model ("where is this place, plan a trip here")
+ *  - shared locations get nearby attractions
+ *  - PDF tickets and passports are read for trip details; a ticket starts the
+ *    trip-planning flow with its destination and dates already filled in
+ *  - voice notes are transcribed (see src/ai/speechToText.js) and then handled as text
+ * Exchanges are added to the conversation history like text messages.
+ */
+
+const { aiRouter } = require('../ai/aiRouter');
+const MCPTools = require('../ai/mcpTools');
+const { createSpeechToText } = require('../ai/speechToText');
+const { whatsappConversationHandler } = require('./conversationHandler');
+const { TripWizard } = require('../trips/tripWizard');
+const { identityService } = require('../auth/identityService');
+const { extractPdfText, parseTravelDocument, maskDocumentNumber } = require('./travelDocuments');
+const logger = require('../../utils/logger');
+
+const MEDIA_TYPES = ['image', 'location', 'document'];
+
+// Larger documents are not downloaded (WhatsApp allows up to 100 MB)
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const NEARBY_RADIUS_KM = 5;
+
+// Document text sent to the AI when no ticket or passport details were recognized
+const MAX_DOCUMENT_TEXT = 4000;
+
+// Many countries require six months of passport validity on entry
+const PASSPORT_VALIDITY_MONTHS = 6;
+
+const IMAGE_PROMPT = 'Where is this place? Name it if you recognize it, then suggest how to plan a trip there: best time to visit, how many days, and the top things to do. Reply in the language of the user\'s caption (Arabic if there is none), short enough for a WhatsApp message.';
+
+class WhatsAppMediaHandler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - WhatsApp client, used to download media (unless a call passes its own)
+   * @param {Object} [options.ai] - AI router (analyzeMedia, chatCompletion)
+   * @param {Object|null} [options.speechToText] - Speech-to-text provider; defaults to SPEECH_TO_TEXT_PROVIDER
+   * @param {Object} [options.tools] - Travel tools (getNearbyAttractions)
+   * @param {Object} [options.conversation] - Conversation handler that keeps the history and planning state
+   * @param {Object} [options.identities] - Profile resolution, so first-time senders get a profile
+   * @param {Function} [options.now] - Clock, for passport validity
+   */
+  constructor({
+    client,
+    ai = aiRouter,
+    speechToText = createSpeechToText(),
+    tools = null,
+    conversation = whatsappConversationHandler,
+    identities = identityService,
+    now = () => new Date()
+  }) {
+    this.client = client;
+    this.ai = ai;
+    this.speechToText = speechToText;
+    this.tools = tools || new MCPTools();
+    this.conversation = conversation;
+    this.identities = identities;
+    this.now = now;
+  }
+
+  /**
+   * Whether messages of this type are answered by handleMessage
+   */
+  static handles(type) {
+    return MEDIA_TYPES.includes(type);
+  }
+
+  /**
+   * Maya's reply to a photo, location or document
+   * @param {string} from - Sender's WhatsApp number
+   * @param {Object} message - WhatsApp webhook message
+   * @param {Object} [options]
+   * @param {string} [options.name] - Sender's WhatsApp profile name
+   * @param {Object} [options.client] - Client of the business number the media was sent to
+   * @returns {Promise<{text: string, buttons?: Array, failed?: boolean}>}
+   */
+  async handleMessage(from, message, { name = null, client = this.client } = {}) {
+    await this.identities.resolveWhatsAppUser(from, { name });
+
+    let exchange;
+    switch (message.type) {
+      case 'image':
+        exchange = await this.handleImage(message.image, client);
+        break;
+      case 'location':
+        exchange = await this.handleLocation(message.location);
+        break;
+      case 'document':
+        exchange = await this.handleDocument(from, message.document, client);
+        break;
+      default:
+        return { text: 'عذراً، هذا النوع من الرسائل غير مدعوم حالياً.', failed: true };
+    }
+
+    const { text, reply } = exchange;
+    if (!reply.failed) {
+      await this.conversation.record(from, text, reply.text);
+    }
+    return reply;
+  }
+
+  /**
+   * Transcribe a voice note so it can be handled as a text message
+   * @param {Object} audio - Webhook audio object
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Client of the business number the voice note was sent to
+   * @returns {Promise<{success: true, text: string} | {success: false, reply: Object}>}
+   */
+  async transcribe(audio, { client = this.client } = {}) {
+    if (!this.speechToText) {
+      return { success: false, reply: { text: '🎙️ لا يمكنني الاستماع للرسائل الصوتية حالياً. يرجى كتابة رسالتك.' } };
+    }
+
+    const media = await client.downloadMedia(audio.id);
+    if (!media.success) {
+      return { success: false, reply: { text: 'عذراً، لم أتمكن من تحميل الرسالة الصوتية. يرجى المحاولة مرة أخرى.' } };
+    }
+
+    const result = await this.speechToText.transcribe(media.data, { mimeType: audio.mime_type || media.mimeType });
+    const text = result.success ? String(result.text || '').trim() : '';
+    if (!text) {
+      return { success: false, reply: { text: '🎙️ لم أتمكن من فهم الرسالة الصوتية. يرجى إعادة المحاولة أو كتابة رسالتك.' } };
+    }
+    return { success: true, text };
+  }
+
+  /**
+   * Identify the place in a photo and suggest a trip there
+   */
+  async handleImage(image, client = this.client) {
+    const caption = (image.caption || '').trim();
+    const text = caption ? `📷 صورة: ${caption}` : '📷 صورة';
+
+    const media = await client.downloadMedia(image.id);
+    if (!media.success) {
+      return { text, reply: { text: 'عذراً، لم أتمكن من تحميل الصورة. يرجى إرسالها مرة أخرى.', failed: true } };
+    }
+
+    const mimeType = image.mime_type || media.mimeType || 'image/jpeg';
+    const analysis = await this.ai.analyzeMedia({
+      prompt: caption ? `${caption}\n\n${IMAGE_PROMPT}` : IMAGE_PROMPT,
+      imageUrls: [`data:${mimeType};base64,${media.data.toString('base64')}`]
+    }, { maxTokens: 600 });
+
+    if (!analysis.success) {
+      logger.warn('WhatsApp image analysis failed', { error: analysis.error });
+      return { text, reply: { text: 'عذراً، لم أتمكن من تحليل الصورة الآن. يرجى المحاولة لاحقاً.', failed: true } };
+    }
+    return { text, reply: { text: analysis.content } };
+  }
+
+  /**
+   * Attractions near a shared location
+   */
+  async handleLocation(location) {
+    const { latitude, longitude } = location;
+    const place = location.name || location.address || `${latitude}, ${longitude}`;
+    const text = `📍 موقع: ${place} (${latitude}, ${longitude})`;
+
+    const result = await this.tools.getNearbyAttractions({ location: place, latitude, longitude, radius: NEARBY_RADIUS_KM });
+    const attractions = (result.success && result.data.attractions) || [];
+    if (attractions.length === 0) {
+      return { text, reply: { text: `📍 لم أجد معالم سياحية قريبة من ${place}. أخبرني بما تبحث عنه وسأساعدك.` } };
+    }
+
+    const lines = attractions.map(attraction =>
+      `• ${attraction.name}${attraction.distance ? ` - ${attraction.distance}` : ''}${attraction.rating ? ` ⭐ ${attraction.rating}` : ''}`
+    );
+    return {
+      text,
+      reply: { text: `📍 معالم قريبة من ${place}:\n\n${lines.join('\n')}\n\nاسألني عن أي منها أو عن مطاعم قريبة.` }
+    };
+  }
+
+  /**
+   * Read a PDF ticket, itinerary or passport
+   */
+  async handleDocument(from, document, client = this.client) {
+    const text = `📄 ${document.filename || 'مستند'}`;
+
+    if (document.mime_type !== 'application/pdf') {
+      return { text, reply: { text: '📄 يمكنني قراءة ملفات PDF فقط (تذاكر، حجوزات، جواز السفر).', failed: true } };
+    }
+
+    const media = await client.downloadMedia(document.id, { maxBytes: MAX_DOCUMENT_BYTES });
+    if (media.tooLarge || (media.success && media.data.length > MAX_DOCUMENT_BYTES)) {
+      return { text, reply: { text: '📄 الملف كبير جداً. يرجى إرسال ملف أصغر من 10 ميجابايت.', failed: true } };
+    }
+    if (!media.success) {
+      return { text, reply: { text: 'عذراً، لم أتمكن من تحميل الملف. يرجى إرساله مرة أخرى.', failed: true } };
+    }
+
+    const content = await extractPdfText(media.data);
+    if (!content) {
+      return { text, reply: { text: '📄 لم أتمكن من قراءة نص هذا الملف (قد يكون صورة ممسوحة ضوئياً). أرسل صورة واضحة له بدلاً من ذلك.', failed: true } };
+    }
+
+    const details = parseTravelDocument(content, { now: this.now() });
+    switch (details.type) {
+      case 'passport':
+        return { text: '📄 جواز سفر', reply: await this.describePassport(from, details) };
+      case 'ticket':
+        return { text, reply: await this.describeTicket(from, details) };
+      default:
+        return { text, reply: await this.summarizeDocument(content) };
+    }
+  }
+
+  /**
+   * Passport summary with a validity warning; nationality and expiry are kept for visa advice
+   */
+  async describePassport(from, passport) {
+    const { conversations } = this.conversation;
+    const context = await conversations.getContext(from, { refresh: true });
+    await conversations.db.updateUserProfile(from, {
+      preferences: {
+        ...((context.profile && context.profile.preferences) || {}),
+        nationality: passport.nationality,
+        passport_expiry: passport.expiryDate
+      }
+    });
+
+    const validUntil = new Date(this.now());
+    validUntil.setUTCMonth(validUntil.getUTCMonth() + PASSPORT_VALIDITY_MONTHS);
+    const expiry = new Date(`${passport.expiryDate}T00:00:00Z`);
+    const validity = expiry < this.now()
+      ? '⛔ الجواز منتهي الصلاحية. يجب تجديده قبل السفر.'
+      : expiry < validUntil
+        ? `⚠️ صلاحية الجواز أقل من ${PASSPORT_VALIDITY_MONTHS} أشهر، وكثير من الدول تشترط ذلك للدخول.`
+        : '✅ الجواز صالح لأكثر من 6 أشهر.';
+
+    return {
+      text: `🛂 جواز سفر ${passport.nationality}\n` +
+        `الرقم: ${maskDocumentNumber(passport.documentNumber)}\n` +
+        `ينتهي في: ${passport.expiryDate}\n\n` +
+        `${validity}\n\nسأراعي جنسيتك عند الحديث عن التأشيرات.`
+    };
+  }
+
+  /**
+   * Ticket summary; with a destination it continues into trip planning
+   */
+  async describeTicket(from, ticket) {
+    const lines = ['✈️ تفاصيل الحجز:'];
+    if (ticket.bookingReference) lines.push(`رقم الحجز: ${ticket.bookingReference}`);
+    if (ticket.flights.length > 0) lines.push(`الرحلات: ${ticket.flights.join('، ')}`);
+    if (ticket.route) lines.push(`المسار: ${ticket.route.from} → ${ticket.route.to}`);
+    if (ticket.dates.length > 0) lines.push(`التواريخ: ${ticket.dates.join('، ')}`);
+
+    if (!ticket.destination) {
+      return { text: `${lines.join('\n')}\n\nإلى أين وجهتك؟ أرسلها لأساعدك في التخطيط.` };
+    }
+
+    // Continue the planning wizard from what the ticket already answers: a return
+    // ticket gives both dates, a one-way ticket the start
+    const { wizard } = this.conversation;
+    const [first] = ticket.dates;
+    const last = ticket.dates[ticket.dates.length - 1];
+    const values = { destination: ticket.destination };
+    if (ticket.dates.length > 1) Object.assign(values, TripWizard.datesValues(first, last));
+    else if (first) values.pendingStart = first;
+
+    await wizard.conversations.resetState(from);
+    const step = await wizard.fill(from, values);
+    return { text: `${lines.join('\n')}\n\n✈️ لنخطط لرحلتك إلى ${ticket.destination}!\n${step.text}` };
+  }
+
+  /**
+   * Travel details of an unrecognized document, summarized by the AI
+   */
+  async summarizeDocument(content) {
+    const response = await this.ai.chatCompletion([
+      {
+        role: 'system',
+        content: 'You are Maya, a travel assistant. Summarize the travel details in this document (bookings, dates, places, names of hotels or airlines) in a few short lines of Arabic. If it contains no travel details, say so.'
+      },
+      { role: 'user', content: content.slice(0, MAX_DOCUMENT_TEXT) }
+    ], { maxTokens: 400, temperature: 0.3 });
+
+    return response.success
+      ? { text: `📄 ${response.content}` }
+      : { text: '📄 لم أتمكن من قراءة تفاصيل هذا الملف الآن. يرجى المحاولة لاحقاً.', failed: true };
+  }
+}
+
+module.exports = {
+  WhatsAppMediaHandler,
+  MAX_DOCUMENT_BYTES
+};
@@ -0,0 +1,133 @@
+/**
+ * WhatsApp Number Registry for Maya Travel Agent
+ * The business numbers one deployment answers on. Each number has its own access
+ * token and app secret (numbers may belong to different Meta apps) and its own
+ * persona and reply language. Webhooks are routed by `metadata.phone_number_id`.
+ *
+ * Numbers come from WHATSAPP_NUMBERS, a JSON array:
+ *   [{ "phoneNumberId": "1234", "accessToken": "...", "appSecret": "...",
+ *      "name": "Maya Trips KSA", "language": "ar", "persona": "Extra instructions" }]
+ * plus the single number configured by WHATSAPP_PHONE_NUMBER_ID / WHATSAPP_ACCESS_TOKEN /
+ * WHATSAPP_APP_SECRET. The first number is the default for outgoing messages.
+ */
+
+const WhatsAppClient = require('./whatsappClient');
+const logger = require('../../utils/logger');
+
+const LANGUAGES = ['ar', 'en'];
+
+/**
+ * Number settings from the environment
+ */
+function numbersFromEnv(env = process.env) {
+  const numbers = [];
+
+  if (env.WHATSAPP_PHONE_NUMBER_ID && !env.WHATSAPP_PHONE_NUMBER_ID.includes('your_whatsapp')) {
+    numbers.push({
+      phoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: env.WHATSAPP_ACCESS_TOKEN,
+      appSecret: env.WHATSAPP_APP_SECRET && !env.WHATSAPP_APP_SECRET.includes('your_whatsapp') ? env.WHATSAPP_APP_SECRET : null
+    });
+  }
+
+  if (env.WHATSAPP_NUMBERS) {
+    try {
+      const configured = JSON.parse(env.WHATSAPP_NUMBERS);
+      if (!Array.isArray(configured)) throw new Error('WHATSAPP_NUMBERS must be a JSON array');
+      numbers.push(...configured);
+    } catch (error) {
+      logger.error('Invalid WHATSAPP_NUMBERS ignored', error);
+    }
+  }
+  return numbers;
+}
+
+class WhatsAppNumberRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.numbers] - Number settings; defaults to the environment
+   * @param {Function} [options.createClient] - Builds the client for a number
+   */
+  constructor({ numbers = null, createClient = null } = {}) {
+    this.configured = numbers;
+    this.createClient = createClient || (number => new WhatsAppClient({
+      phoneNumberId: number.phoneNumberId,
+      accessToken: number.accessToken
+    }));
+    this.numberMap = null;
+    this.clients = new Map();
+  }
+
+  /**
+   * Settings by phone number ID; later entries for the same ID fill in missing settings
+   */
+  get numbers() {
+    if (!this.numberMap) {
+      this.numberMap = new Map();
+      for (const entry of this.configured || numbersFromEnv()) {
+        const id = entry && entry.phoneNumberId ? String(entry.phoneNumberId) : null;
+        if (!id) {
+          logger.warn('WhatsApp number without phoneNumberId ignored');
+          continue;
+        }
+        const number = { ...(this.numberMap.get(id) || {}), ...entry, phoneNumberId: id };
+        number.language = LANGUAGES.includes(number.language) ? number.language : 'ar';
+        this.numberMap.set(id, number);
+      }
+    }
+    return this.numberMap;
+  }
+
+  list() {
+    return [...this.numbers.values()];
+  }
+
+  /**
+   * The number outgoing messages are sent from by default
+   */
+  getDefault() {
+    return this.list()[0] || {
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || null,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      language: 'ar'
+    };
+  }
+
+  /**
+   * Settings of the number a webhook was sent to. Without registered numbers every
+   * webhook goes to the default; otherwise unknown numbers resolve to null.
+   */
+  resolve(phoneNumberId) {
+    if (this.numbers.size === 0) return this.getDefault();
+    if (!phoneNumberId) return this.getDefault();
+    return this.numbers.get(String(phoneNumberId)) || null;
+  }
+
+  /**
+   * Client that sends from a number (the default number when none is given)
+   */
+  clientFor(phoneNumberId = null) {
+    const number = phoneNumberId ? this.resolve(phoneNumberId) || this.getDefault() : this.getDefault();
+    const key = number.phoneNumberId || 'default';
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.createClient(number));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * App secrets that may sign webhooks
+   */
+  appSecrets() {
+    return [...new Set(this.list().map(number => number.appSecret).filter(Boolean))];
+  }
+}
+
+// Singleton instance
+const whatsappNumbers = new WhatsAppNumberRegistry();
+
+module.exports = {
+  WhatsAppNumberRegistry,
+  whatsappNumbers,
+  numbersFromEnv
+};
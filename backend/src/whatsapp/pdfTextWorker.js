@@ -0,0 +1,21 @@
+/**
+ * PDF Text Worker for Maya Travel Agent
+ * Reads the text of one PDF with pdf-parse in a worker thread, so extractPdfText
+ * (./travelDocuments.js) can cap its memory and stop it when it takes too long.
+ * workerData: { data: Uint8Array, maxPages: number }; posts { text } or { error }.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { PDFParse } = require('pdf-parse');
+
+(async () => {
+  const parser = new PDFParse({ data: workerData.data, verbosity: 0 });
+  try {
+    const result = await parser.getText({ first: workerData.maxPages, pageJoiner: '', cellSeparator: ' ' });
+    parentPort.postMessage({ text: result.text });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  } finally {
+    await parser.destroy();
+  }
+})();
@@ -0,0 +1,230 @@
+/**
+ * Travel Document Parsing for Maya Travel Agent
+ * Reads the text of PDFs sent on WhatsApp (flight tickets, itineraries, passport
+ * copies) and picks out trip details: booking reference, flights, route and dates
+ * for tickets; nationality and expiry from a passport's machine-readable zone.
+ * The text is read with pdf-parse in a worker thread (./pdfTextWorker.js). Only text
+ * PDFs can be read; scanned documents have no text to extract.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { Worker } = require('worker_threads');
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const PDF_TEXT_WORKER = path.join(__dirname, 'pdfTextWorker.js');
+
+// Tickets and passports are a few pages; later pages are not read
+const MAX_PDF_PAGES = 10;
+
+// What the compressed streams of one file may inflate to in total, so a zip bomb is
+// turned away before the parser (which inflates without a limit) sees it
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+const PDF_WORKER_HEAP_MB = 256;
+const PDF_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Whether the compressed streams of a PDF inflate to at most MAX_INFLATED_BYTES. Images
+ * are left out (reading text does not decode them), and so are damaged streams, which
+ * the parser cannot inflate either. Flate behind another filter cannot be measured, so
+ * such files are refused.
+ */
+function inflatesWithinLimit(raw) {
+  let budget = MAX_INFLATED_BYTES;
+  const streams = /\bstream\r?\n/g;
+  let match;
+  while ((match = streams.exec(raw)) !== null) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streams.lastIndex = end + 'endstream'.length;
+
+    const dictionary = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+    if (!/\/FlateDecode/.test(dictionary) || /\/Subtype\s*\/Image/.test(dictionary)) continue;
+    if (!/\/Filter\s*(?:\/FlateDecode|\[\s*\/FlateDecode\s*\])/.test(dictionary)) return false;
+
+    try {
+      const data = Buffer.from(raw.slice(start, end), 'latin1');
+      budget -= zlib.inflateSync(data, {
+        maxOutputLength: Math.max(budget, 1),
+        // Truncated data is inflated as far as it goes, like the parser does
+        finishFlush: zlib.constants.Z_SYNC_FLUSH
+      }).length;
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Run pdfTextWorker.js on a file
+ * @returns {Promise<string>}
+ */
+function readPdfText(buffer) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(PDF_TEXT_WORKER, {
+      workerData: { data: new Uint8Array(buffer), maxPages: MAX_PDF_PAGES },
+      resourceLimits: { maxOldGenerationSizeMb: PDF_WORKER_HEAP_MB }
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`PDF text extraction took longer than ${PDF_TIMEOUT_MS} ms`));
+    }, PDF_TIMEOUT_MS);
+
+    worker.once('message', (result) => {
+      clearTimeout(timer);
+      if (result.error) reject(new Error(result.error));
+      else resolve(result.text);
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`PDF text worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Text of a PDF, one line per line of text on the page
+ * @param {Buffer} buffer - PDF file
+ * @returns {Promise<string>} Extracted text ('' when the PDF has none, e.g. a scan, or cannot be read)
+ */
+async function extractPdfText(buffer) {
+  const raw = buffer.toString('latin1');
+  if (!raw.startsWith('%PDF') || !inflatesWithinLimit(raw)) return '';
+
+  try {
+    const text = await readPdfText(buffer);
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * ISO date from a YYMMDD machine-readable-zone date
+ */
+function mrzDate(value, { future = false, now = new Date() } = {}) {
+  const year = Number(value.slice(0, 2));
+  const century = now.getUTCFullYear() - (now.getUTCFullYear() % 100);
+  const full = century + year;
+  // Expiry dates are at most ten years ahead; birth dates are never in the future
+  const latest = now.getUTCFullYear() + (future ? 10 : 0);
+  return `${full > latest ? full - 100 : full}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+/**
+ * Passport details from a TD3 machine-readable zone (the two lines at the bottom)
+ */
+function parsePassport(text, now) {
+  const compact = text.replace(/ /g, '');
+  const names = compact.match(/P[A-Z<]([A-Z<]{3})([A-Z]+(?:<[A-Z]+)*)<<([A-Z<]*)/);
+  const data = compact.match(/([A-Z0-9<]{9})[0-9<]([A-Z<]{3})(\d{6})[0-9<]([MF<])(\d{6})[0-9<]/);
+  if (!data) return null;
+
+  const clean = value => value.replace(/<+/g, ' ').trim();
+  return {
+    type: 'passport',
+    documentNumber: clean(data[1]),
+    nationality: clean(data[2]),
+    issuingCountry: names ? clean(names[1]) : null,
+    surname: names ? clean(names[2]) : null,
+    givenNames: names ? clean(names[3]) || null : null,
+    birthDate: mrzDate(data[3], { now }),
+    expiryDate: mrzDate(data[5], { future: true, now })
+  };
+}
+
+/**
+ * Dates written as 2026-05-10, 10/05/2026, 10 MAY 2026 or 10MAY (airline style, year implied)
+ */
+function findDates(text, now) {
+  const dates = new Set();
+  const add = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() === month - 1) dates.add(date.toISOString().slice(0, 10));
+  };
+
+  for (const [, year, month, day] of text.matchAll(/\b(20\d{2})-(\d{2})-(\d{2})\b/g)) {
+    add(Number(year), Number(month), Number(day));
+  }
+  for (const [, day, month, year] of text.matchAll(/\b(\d{1,2})\/(\d{1,2})\/(20\d{2})\b/g)) {
+    add(Number(year), Number(month), Number(day));
+  }
+  const named = new RegExp(`\\b(\\d{1,2})\\s?(${MONTHS.join('|')})[A-Z]*\\.?,?\\s?(20\\d{2}|\\d{2}(?!\\d))?`, 'gi');
+  for (const [, day, month, year] of text.matchAll(named)) {
+    const monthNumber = MONTHS.indexOf(month.slice(0, 3).toUpperCase()) + 1;
+    let fullYear = year ? Number(year.length === 2 ? `20${year}` : year) : now.getUTCFullYear();
+    // Airline dates without a year refer to the next occurrence
+    if (!year && Date.UTC(fullYear, monthNumber - 1, Number(day)) < now.getTime() - 86400000) fullYear += 1;
+    add(fullYear, monthNumber, Number(day));
+  }
+  return [...dates].sort();
+}
+
+/**
+ * Booking reference, flights, route and dates from a ticket or itinerary
+ */
+function parseTicket(text, now) {
+  const reference = text.match(/(?:PNR|booking\s+(?:reference|ref\.?|code)|confirmation\s+(?:code|number)|reservation\s+code|رقم الحجز)\s*[:#]?\s*([A-Z0-9]{6})\b/i);
+  // Airline designator and number, e.g. SV 1234 (a booking reference can look the same)
+  const flights = [...new Set([...text.matchAll(/\b([A-Z]{2}|[A-Z]\d|\d[A-Z])\s?(\d{3,4})\b/g)]
+    .filter(flight => !reference || flight[0] !== reference[1])
+    .map(([, airline, number]) => `${airline}${number}`))];
+
+  // "From: Riyadh (RUH) ... To: Istanbul (IST)" or "RUH - IST"
+  const labelled = text.match(/\bFrom\b\s*:?\s*([^\n(]*?)\s*\(([A-Z]{3})\)[\s\S]*?\bTo\b\s*:?\s*([^\n(]*?)\s*\(([A-Z]{3})\)/);
+  const codes = text.match(/\b([A-Z]{3})\s*(?:-|–|→|->|>|\bto\b)\s*([A-Z]{3})\b/);
+  const route = labelled
+    ? { from: labelled[2], to: labelled[4], fromCity: labelled[1] || null, toCity: labelled[3] || null }
+    : codes ? { from: codes[1], to: codes[2], fromCity: null, toCity: null } : null;
+
+  const dates = findDates(text, now);
+  const isTicket = Boolean(reference || route) ||
+    /e-?ticket|boarding\s+pass|itinerary|flight|تذكرة|بطاقة صعود/i.test(text);
+  if (!isTicket) return null;
+
+  return {
+    type: 'ticket',
+    bookingReference: reference ? reference[1].toUpperCase() : null,
+    flights,
+    route,
+    destination: route ? route.toCity || route.to : null,
+    dates
+  };
+}
+
+/**
+ * Trip details found in a document's text
+ * @param {string} text - Document text (see extractPdfText)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference date for implied years
+ * @returns {Object} `{ type: 'passport' | 'ticket' | 'unknown', ... }`
+ */
+function parseTravelDocument(text, { now = new Date() } = {}) {
+  return parsePassport(text, now) || parseTicket(text, now) || { type: 'unknown' };
+}
+
+/**
+ * Show only the last characters of a document number, e.g. "•••••4567"
+ */
+function maskDocumentNumber(number, visible = 3) {
+  const value = String(number || '');
+  return value.length <= visible ? value : `${'•'.repeat(value.length - visible)}${value.slice(-visible)}`;
+}
+
+module.exports = {
+  extractPdfText,
+  parseTravelDocument,
+  maskDocumentNumber
+};
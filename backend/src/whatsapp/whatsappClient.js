@@ -6,9 +6,16 @@
 const axios = require('axios');
 
 class WhatsAppClient {
-  constructor() {
-    this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
-    this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.outbox] - Delivery tracking; defaults to the shared outbox, null sends directly
+   * @param {string} [options.phoneNumberId] - Business number to send from; defaults to WHATSAPP_PHONE_NUMBER_ID
+   * @param {string} [options.accessToken] - Token of the app the number belongs to; defaults to WHATSAPP_ACCESS_TOKEN
+   */
+  constructor({ outbox, phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID, accessToken = process.env.WHATSAPP_ACCESS_TOKEN } = {}) {
+    this.outbox = outbox;
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
     this.businessAccountId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
     this.apiVersion = process.env.WHATSAPP_API_VERSION || 'v21.0';
     this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
@@ -30,175 +37,110 @@ class WhatsAppClient {
    * Send text message
    */
   async sendMessage(to, message) {
-    if (!this.isConfigured) {
-      console.log('⚠️ WhatsApp not configured - message not sent');
-      return { success: false, error: 'WhatsApp not configured' };
-    }
-
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/${this.phoneNumberId}/messages`,
-        {
-          messaging_product: 'whatsapp',
-          recipient_type: 'individual',
-          to: to.replace(/[^0-9]/g, ''), // Remove non-numeric characters
-          type: 'text',
-          text: { 
-            preview_url: false,
-            body: message 
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      console.log(`✅ WhatsApp message sent to ${to}`);
-      return { 
-        success: true, 
-        data: response.data,
-        messageId: response.data.messages?.[0]?.id
-      };
-
-    } catch (error) {
-      console.error('❌ WhatsApp Send Error:', error.response?.data || error.message);
-      return { 
-        success: false, 
-        error: error.response?.data?.error?.message || error.message 
-      };
-    }
+    return this.deliver({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to.replace(/[^0-9]/g, ''), // Remove non-numeric characters
+      type: 'text',
+      text: { 
+        preview_url: false,
+        body: message 
+      }
+    }, 'message');
   }
 
   /**
    * Send template message
    */
   async sendTemplate(to, templateName, languageCode = 'ar', components = []) {
-    if (!this.isConfigured) {
-      console.log('⚠️ WhatsApp not configured - template not sent');
-      return { success: false, error: 'WhatsApp not configured' };
-    }
-
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/${this.phoneNumberId}/messages`,
-        {
-          messaging_product: 'whatsapp',
-          to: to.replace(/[^0-9]/g, ''),
-          type: 'template',
-          template: {
-            name: templateName,
-            language: { code: languageCode },
-            components: components
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      console.log(`✅ WhatsApp template sent to ${to}`);
-      return { 
-        success: true, 
-        data: response.data,
-        messageId: response.data.messages?.[0]?.id
-      };
-
-    } catch (error) {
-      console.error('❌ WhatsApp Template Error:', error.response?.data || error.message);
-      return { 
-        success: false, 
-        error: error.response?.data?.error?.message || error.message 
-      };
-    }
+    return this.deliver({
+      messaging_product: 'whatsapp',
+      to: to.replace(/[^0-9]/g, ''),
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: languageCode },
+        components: components
+      }
+    }, 'template');
   }
 
   /**
    * Send interactive message with buttons
    */
   async sendInteractive(to, bodyText, buttons) {
-    if (!this.isConfigured) {
-      console.log('⚠️ WhatsApp not configured - interactive message not sent');
-      return { success: false, error: 'WhatsApp not configured' };
-    }
-
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/${this.phoneNumberId}/messages`,
-        {
-          messaging_product: 'whatsapp',
-          recipient_type: 'individual',
-          to: to.replace(/[^0-9]/g, ''),
-          type: 'interactive',
-          interactive: {
-            type: 'button',
-            body: { text: bodyText },
-            action: {
-              buttons: buttons.map((btn, idx) => ({
-                type: 'reply',
-                reply: {
-                  id: btn.id || `btn_${idx}`,
-                  title: btn.title.substring(0, 20) // Max 20 chars
-                }
-              }))
+    return this.deliver({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to.replace(/[^0-9]/g, ''),
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: bodyText },
+        action: {
+          buttons: buttons.map((btn, idx) => ({
+            type: 'reply',
+            reply: {
+              id: btn.id || `btn_${idx}`,
+              title: btn.title.substring(0, 20) // Max 20 chars
             }
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          }
+          }))
         }
-      );
-
-      console.log(`✅ WhatsApp interactive message sent to ${to}`);
-      return { 
-        success: true, 
-        data: response.data,
-        messageId: response.data.messages?.[0]?.id
-      };
-
-    } catch (error) {
-      console.error('❌ WhatsApp Interactive Error:', error.response?.data || error.message);
-      return { 
-        success: false, 
-        error: error.response?.data?.error?.message || error.message 
-      };
-    }
+      }
+    }, 'interactive message');
   }
 
   /**
    * Send list message
    */
   async sendList(to, bodyText, buttonText, sections) {
+    return this.deliver({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to.replace(/[^0-9]/g, ''),
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: { text: bodyText },
+        action: {
+          button: buttonText,
+          sections: sections
+        }
+      }
+    }, 'list message');
+  }
+
+  /**
+   * Send a message through the outbox, which records its delivery status and
+   * retries it on failure (see deliveryService.js)
+   */
+  async deliver(payload, label) {
     if (!this.isConfigured) {
-      console.log('⚠️ WhatsApp not configured - list message not sent');
+      console.log(`⚠️ WhatsApp not configured - ${label} not sent`);
       return { success: false, error: 'WhatsApp not configured' };
     }
 
+    const outbox = this.getOutbox();
+    return outbox ? outbox.send(this, payload) : this.post(payload);
+  }
+
+  getOutbox() {
+    if (this.outbox === undefined) {
+      this.outbox = require('./deliveryService').whatsappDelivery;
+    }
+    return this.outbox;
+  }
+
+  /**
+   * Post a message to the Cloud API
+   * @param {Object} payload - Message object (messaging_product, to, type, ...)
+   * @returns {Promise<Object>} `{ success, data, messageId }`, or `{ success: false, error, errorCode, httpStatus }`
+   */
+  async post(payload) {
     try {
       const response = await axios.post(
         `${this.baseUrl}/${this.phoneNumberId}/messages`,
-        {
-          messaging_product: 'whatsapp',
-          recipient_type: 'individual',
-          to: to.replace(/[^0-9]/g, ''),
-          type: 'interactive',
-          interactive: {
-            type: 'list',
-            body: { text: bodyText },
-            action: {
-              button: buttonText,
-              sections: sections
-            }
-          }
-        },
+        payload,
         {
           headers: {
             'Authorization': `Bearer ${this.accessToken}`,
@@ -207,7 +149,7 @@ class WhatsAppClient {
         }
       );
 
-      console.log(`✅ WhatsApp list message sent to ${to}`);
+      console.log(`✅ WhatsApp ${payload.type} sent to ${payload.to}`);
       return { 
         success: true, 
         data: response.data,
@@ -215,10 +157,12 @@ class WhatsAppClient {
       };
 
     } catch (error) {
-      console.error('❌ WhatsApp List Error:', error.response?.data || error.message);
+      console.error('❌ WhatsApp Send Error:', error.response?.data || error.message);
       return { 
         success: false, 
-        error: error.response?.data?.error?.message || error.message 
+        error: error.response?.data?.error?.message || error.message,
+        errorCode: error.response?.data?.error?.code ?? null,
+        httpStatus: error.response?.status ?? null
       };
     }
   }
@@ -275,6 +219,40 @@ class WhatsAppClient {
     }
   }
 
+  /**
+   * Download received media (image, audio, document). Media URLs expire after a few
+   * minutes and need the access token, so the file is fetched right away.
+   * @param {string} mediaId
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - Stop downloading larger files (`tooLarge` is then set)
+   * @returns {Promise<{success: boolean, data?: Buffer, mimeType?: string, error?: string, tooLarge?: boolean}>}
+   */
+  async downloadMedia(mediaId, { maxBytes = -1 } = {}) {
+    const url = await this.getMediaUrl(mediaId);
+    if (!url) {
+      return { success: false, error: 'Media not available' };
+    }
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      return {
+        success: true,
+        data: Buffer.from(response.data),
+        mimeType: response.headers['content-type'] || null
+      };
+    } catch (error) {
+      console.error('❌ WhatsApp Download Media Error:', error.response?.status || error.message);
+      return { success: false, error: error.message, tooLarge: /maxContentLength/.test(error.message) };
+    }
+  }
+
   /**
    * Health check
    */
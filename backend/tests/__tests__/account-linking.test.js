@@ -0,0 +1,216 @@
+/**
+ * Account Linking Tests
+ * Link codes across Telegram, WhatsApp and web, profile merging, unlinking and
+ * bookings shared by linked accounts
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { AccountLinkService, LINK_CODE_TTL_MS } = require('../../src/auth/accountLinkService');
+const { authService } = require('../../src/auth/authService');
+const { identityService } = require('../../src/auth/identityService');
+const accountRoutes = require('../../routes/account');
+const bookingRoutes = require('../../routes/bookings');
+
+const PHONE = '966500000000';
+const SUPABASE_SECRET = 'test-supabase-jwt-secret';
+
+describe('AccountLinkService', () => {
+  let db;
+  let clock;
+  let service;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    clock = Date.parse('2026-03-10T12:00:00Z');
+    service = new AccountLinkService({ client: db, now: () => clock });
+  });
+
+  const telegramUser = () => service.identities.resolveTelegramUser({ id: 12345, username: 'layla' });
+  const whatsappUser = () => service.identities.resolveWhatsAppUser(`+${PHONE}`, { name: 'Layla' });
+  const profile = id => db.getTable('profiles').find(row => row.id === id);
+
+  it('issues formatted codes and keeps only their hash', async () => {
+    const telegram = await telegramUser();
+    const first = await service.issueCode(telegram.id, 'telegram');
+    const second = await service.issueCode(telegram.id, 'telegram');
+
+    expect(second.code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    expect(Date.parse(second.expiresAt) - clock).toBe(LINK_CODE_TTL_MS);
+
+    // Issuing a new code retires the earlier one
+    const codes = db.getTable('account_link_codes');
+    expect(codes).toHaveLength(1);
+    expect(JSON.stringify(codes)).not.toContain(second.code.replace('-', ''));
+
+    const whatsapp = await whatsappUser();
+    await expect(service.redeemCode(first.code, whatsapp.id, 'whatsapp')).rejects.toThrow('Invalid or expired link code');
+  });
+
+  it('merges the redeeming profile into the issuing one', async () => {
+    const telegram = await telegramUser();
+    const whatsapp = await whatsappUser();
+    await db.from('profiles').update({
+      preferences: { budget: 'luxury', language: 'ar' },
+      travel_history: [{ destination: 'Istanbul', timestamp: '2026-01-05T00:00:00Z' }],
+      total_bookings: 1
+    }).eq('id', telegram.id);
+    await db.from('profiles').update({
+      preferences: { budget: 'economy', halal: true },
+      travel_history: [{ destination: 'Dubai', timestamp: '2025-11-20T00:00:00Z' }],
+      total_bookings: 2
+    }).eq('id', whatsapp.id);
+    await db.from('messages').insert([
+      { profile_id: whatsapp.id, content: 'مرحبا', role: 'user' },
+      { telegram_id: 12345, profile_id: null, content: 'hello', role: 'user' }
+    ]);
+    await db.from('auth_sessions').insert({ id: 'session-1', profile_id: whatsapp.id, provider: 'whatsapp' });
+
+    const { code } = await service.issueCode(telegram.id, 'telegram');
+    const merged = await service.redeemCode(code.toLowerCase(), whatsapp.id, 'whatsapp');
+
+    expect(merged).toMatchObject({
+      id: telegram.id,
+      telegram_id: 12345,
+      whatsapp_phone: PHONE,
+      preferences: { budget: 'luxury', language: 'ar', halal: true },
+      total_bookings: 3
+    });
+    expect(merged.travel_history.map(trip => trip.destination)).toEqual(['Dubai', 'Istanbul']);
+    expect(profile(whatsapp.id)).toMatchObject({ whatsapp_phone: null, merged_into: telegram.id });
+    expect(db.getTable('messages').every(message => message.profile_id === telegram.id)).toBe(true);
+    expect(db.getTable('auth_sessions')[0].profile_id).toBe(telegram.id);
+
+    // Both channels (and IDs issued before the merge) now resolve to one profile
+    expect((await service.identities.resolveWhatsAppUser(PHONE)).id).toBe(telegram.id);
+    expect(await service.identities.getIdentity(whatsapp.id, 'whatsapp')).toMatchObject({ id: telegram.id, telegramId: 12345 });
+
+    await expect(service.redeemCode(code, whatsapp.id, 'whatsapp')).rejects.toThrow('Invalid or expired link code');
+  });
+
+  it('rejects codes redeemed in their own channel, after expiry, or between conflicting profiles', async () => {
+    const telegram = await telegramUser();
+    const whatsapp = await whatsappUser();
+
+    const { code } = await service.issueCode(telegram.id, 'telegram');
+    await expect(service.redeemCode(code, telegram.id, 'telegram')).rejects.toThrow('different channel');
+
+    clock += LINK_CODE_TTL_MS + 1;
+    await expect(service.redeemCode(code, whatsapp.id, 'whatsapp')).rejects.toMatchObject({ statusCode: 400 });
+
+    // A profile already linked to another Telegram account cannot take this one
+    await db.from('profiles').update({ telegram_id: 67890 }).eq('id', whatsapp.id);
+    const { code: fresh } = await service.issueCode(telegram.id, 'telegram');
+    await expect(service.redeemCode(fresh, whatsapp.id, 'whatsapp')).rejects.toMatchObject({ statusCode: 409 });
+    expect(profile(whatsapp.id).merged_into).toBeUndefined();
+  });
+
+  it('unlinks a channel into a profile of its own', async () => {
+    const telegram = await telegramUser();
+    const whatsapp = await whatsappUser();
+    await db.from('auth_sessions').insert({ id: 'session-1', profile_id: telegram.id, provider: 'telegram', revoked_at: null });
+    const { code } = await service.issueCode(whatsapp.id, 'whatsapp');
+    await service.redeemCode(code, telegram.id, 'telegram');
+
+    await expect(service.unlink(whatsapp.id, 'whatsapp', { currentChannel: 'whatsapp' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.unlink(whatsapp.id, 'web')).rejects.toMatchObject({ statusCode: 404 });
+
+    const remaining = await service.unlink(whatsapp.id, 'telegram', { currentChannel: 'whatsapp' });
+    expect(remaining).toMatchObject({ id: whatsapp.id, telegram_id: null, whatsapp_phone: PHONE });
+    expect(db.getTable('auth_sessions')[0]).toMatchObject({ revoked_reason: 'unlinked' });
+
+    const detached = await service.identities.resolveTelegramUser({ id: 12345 });
+    expect(detached.id).not.toBe(whatsapp.id);
+    expect(detached.whatsappPhone).toBeNull();
+
+    await expect(service.unlink(whatsapp.id, 'whatsapp')).rejects.toThrow('The only linked account cannot be unlinked');
+  });
+});
+
+describe('Account routes', () => {
+  let app;
+  let db;
+
+  beforeEach(() => {
+    process.env.SUPABASE_JWT_SECRET = SUPABASE_SECRET;
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/account', accountRoutes);
+    app.use('/api/bookings', bookingRoutes);
+  });
+
+  afterEach(() => {
+    delete process.env.SUPABASE_JWT_SECRET;
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const webToken = jwt.sign(
+    { sub: '7f1c2a9e-5d4b-4c3a-9e8f-1a2b3c4d5e6f', email: 'layla@example.com', aud: 'authenticated', iss: 'https://test.supabase.co/auth/v1' },
+    SUPABASE_SECRET
+  );
+
+  const miniAppSession = async () => {
+    const identity = await identityService.resolveTelegramUser({ id: 12345, username: 'layla' });
+    return authService.createSession(identity);
+  };
+
+  it('links a web account to the mini app with a code and lists both', async () => {
+    const { body: issued } = await request(app)
+      .post('/api/account/link-codes')
+      .set('Authorization', `Bearer ${webToken}`);
+    expect(issued).toMatchObject({ success: true, expiresIn: 600 });
+
+    const { token } = await miniAppSession();
+    const linked = await request(app)
+      .post('/api/account/link')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: issued.code });
+
+    expect(linked.status).toBe(200);
+    expect(linked.body.links).toMatchObject({
+      current: 'telegram',
+      channels: { telegram: { id: 12345 }, web: { email: 'layla@example.com' }, whatsapp: null }
+    });
+
+    // The mini app session now resolves to the web profile
+    const links = await request(app).get('/api/account/links').set('Authorization', `Bearer ${token}`);
+    expect(links.body.links.profileId).toBe(linked.body.links.profileId);
+
+    const refused = await request(app).delete('/api/account/links/telegram').set('Authorization', `Bearer ${token}`);
+    expect(refused.status).toBe(400);
+
+    const unlinked = await request(app).delete('/api/account/links/telegram').set('Authorization', `Bearer ${webToken}`);
+    expect(unlinked.body.links.channels).toMatchObject({ telegram: null, web: { email: 'layla@example.com' } });
+  });
+
+  it('shows bookings made on a linked WhatsApp number in the mini app', async () => {
+    const whatsapp = await identityService.resolveWhatsAppUser(PHONE);
+    const { code } = await new AccountLinkService().issueCode(whatsapp.id, 'whatsapp');
+    await db.from('bookings').insert([
+      { booking_reference: 'MAYA-0000000A', whatsapp_phone: PHONE, destination: 'Dubai', status: 'confirmed', total_price: 1200, currency: 'SAR' },
+      { booking_reference: 'MAYA-0000000B', telegram_id: 99999, destination: 'Cairo', status: 'confirmed', total_price: 900, currency: 'SAR' }
+    ]);
+
+    const { token } = await miniAppSession();
+    const before = await request(app).get('/api/bookings').set('Authorization', `Bearer ${token}`);
+    expect(before.body.bookings).toHaveLength(0);
+
+    await request(app).post('/api/account/link').set('Authorization', `Bearer ${token}`).send({ code });
+
+    const after = await request(app).get('/api/bookings').set('Authorization', `Bearer ${token}`);
+    expect(after.body.bookings.map(booking => booking.reference)).toEqual(['MAYA-0000000A']);
+
+    const detail = await request(app).get(`/api/bookings/${after.body.bookings[0].id}`).set('Authorization', `Bearer ${token}`);
+    expect(detail.status).toBe(200);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * AI Agent Loop Tests
+ * Chained tool calls, argument validation against the tool schemas, step budget and trace
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+
+const { TravelAgent, validateArguments, parseToolCalls } = require('../../src/ai/agent');
+const { aiRouter } = require('../../src/ai/aiRouter');
+const MockAIProvider = require('../../src/ai/mockProvider');
+const { getToolSchemas } = require('../../src/ai/tools');
+const { ToolRegistry } = require('../../src/ai/toolRegistry');
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+
+const toolCall = (tool, args) => JSON.stringify({ tool_calls: [{ tool, arguments: args }] });
+
+function createAgent(responses, tools = {}) {
+  const ai = new MockAIProvider({ responses });
+  const handlers = {
+    getWeather: jest.fn(async ({ destination }) => ({ destination, forecast: 'Sunny', temperatureC: 24 })),
+    convertCurrency: jest.fn(async ({ amount, from, to }) => ({ amount, from, to, rate: 4, converted: amount * 4 })),
+    ...tools
+  };
+  const registry = ToolRegistry.fromHandlers(handlers, getToolSchemas());
+  return { ai, handlers, agent: new TravelAgent({ ai, registry, maxSteps: 4 }) };
+}
+
+describe('TravelAgent', () => {
+  it('chains several tool calls before answering', async () => {
+    const { agent, handlers, ai } = createAgent([
+      toolCall('getWeather', { destination: 'Dubai' }),
+      toolCall('convertCurrency', { amount: 100, from: 'USD', to: 'SAR' }),
+      'Dubai will be sunny; 100 USD is 400 SAR.'
+    ]);
+
+    const result = await agent.run({ message: 'Weather in Dubai and 100 USD in SAR?' });
+
+    expect(result).toMatchObject({ success: true, content: 'Dubai will be sunny; 100 USD is 400 SAR.', steps: 3, stop_reason: 'answer' });
+    expect(result.trace).toEqual([
+      expect.objectContaining({ step: 1, tool: 'getWeather', status: 'ok', arguments: { destination: 'Dubai' } }),
+      expect.objectContaining({ step: 2, tool: 'convertCurrency', status: 'ok', result: expect.objectContaining({ converted: 400 }) })
+    ]);
+    expect(handlers.getWeather).toHaveBeenCalledTimes(1);
+    // The second model call sees the first tool result
+    expect(ai.calls[1].messages.at(-1).content).toContain('"forecast":"Sunny"');
+  });
+
+  it('runs several calls requested in one step', async () => {
+    const { agent } = createAgent([
+      JSON.stringify({ tool_calls: [
+        { tool: 'getWeather', arguments: { destination: 'Cairo' } },
+        { tool: 'getWeather', arguments: { destination: 'Amman' } }
+      ] }),
+      'Both are warm.'
+    ]);
+
+    const result = await agent.run({ message: 'Cairo or Amman?' });
+    expect(result.trace.map(entry => [entry.step, entry.arguments.destination])).toEqual([[1, 'Cairo'], [1, 'Amman']]);
+  });
+
+  it('rejects invalid arguments without running the tool and lets the model retry', async () => {
+    const { agent, handlers, ai } = createAgent([
+      toolCall('convertCurrency', { amount: '100', from: 'USD' }),
+      toolCall('convertCurrency', { amount: 100, from: 'USD', to: 'EUR' }),
+      'Done.'
+    ]);
+
+    const result = await agent.run({ message: 'Convert 100 USD' });
+
+    expect(result.trace[0]).toMatchObject({ status: 'invalid_arguments', error: 'to is required; amount must be of type number' });
+    expect(result.trace[1]).toMatchObject({ status: 'ok' });
+    expect(handlers.convertCurrency).toHaveBeenCalledTimes(1);
+    expect(ai.calls[1].messages.at(-1).content).toContain('invalid_arguments');
+  });
+
+  it('records unknown tools and tool failures in the trace', async () => {
+    const { agent } = createAgent([
+      toolCall('bookFlight', { to: 'Paris' }),
+      toolCall('getWeather', { destination: 'Paris' }),
+      'Sorry about that.'
+    ], { getWeather: jest.fn().mockRejectedValue(new Error('weather service down')) });
+
+    const result = await agent.run({ message: 'Book Paris' });
+
+    expect(result.trace.map(entry => entry.status)).toEqual(['unknown_tool', 'error']);
+    expect(result.trace[1].error).toBe('weather service down');
+  });
+
+  it('stops at the step budget and asks for a final answer', async () => {
+    const { agent, ai } = createAgent([
+      toolCall('getWeather', { destination: 'Rome' }),
+      toolCall('getWeather', { destination: 'Rome' }),
+      'Rome looks sunny.'
+    ]);
+
+    const result = await agent.run({ message: 'Rome?', maxSteps: 2 });
+
+    expect(result).toMatchObject({ success: true, content: 'Rome looks sunny.', stop_reason: 'max_steps', steps: 3 });
+    expect(result.trace).toHaveLength(2);
+    expect(ai.calls[2].messages.at(-1).content).toContain('Tool budget reached');
+  });
+
+  it('never exceeds its own step limit', async () => {
+    const { agent, ai } = createAgent([], {});
+    ai.reply = () => toolCall('getWeather', { destination: 'Oslo' });
+
+    const result = await agent.run({ message: 'Oslo?', maxSteps: 50 });
+
+    expect(result.trace).toHaveLength(4);
+    expect(ai.calls).toHaveLength(5);
+    expect(result.content).not.toContain('tool_calls');
+  });
+
+  it('answers directly when no tool is needed', async () => {
+    const { agent } = createAgent(['Hello! Where would you like to go?']);
+
+    expect(await agent.run({ message: 'Hi' })).toMatchObject({ content: 'Hello! Where would you like to go?', trace: [], steps: 1 });
+  });
+});
+
+describe('Tool call parsing and validation', () => {
+  it('parses single calls, lists and fenced JSON', () => {
+    expect(parseToolCalls('{"tool":"getWeather","arguments":{"destination":"Rome"}}')).toEqual([{ tool: 'getWeather', arguments: { destination: 'Rome' } }]);
+    expect(parseToolCalls('```json\n[{"name":"getSafetyInfo","arguments":{"destination":"Rome"}}]\n```')).toEqual([{ tool: 'getSafetyInfo', arguments: { destination: 'Rome' } }]);
+    expect(parseToolCalls('Rome is lovely in {spring}')).toBeNull();
+    expect(parseToolCalls('{"answer": "Rome"}')).toBeNull();
+  });
+
+  it('checks required fields, types, enums and unknown arguments', () => {
+    const schema = {
+      parameters: {
+        type: 'object',
+        properties: { nights: { type: 'integer' }, style: { type: 'string', enum: ['budget', 'luxury'] } },
+        required: ['nights'],
+        additionalProperties: false
+      }
+    };
+
+    expect(validateArguments(schema, { nights: 3, style: 'budget' })).toEqual([]);
+    expect(validateArguments(schema, { nights: 2.5, style: 'cheap', extra: true })).toEqual([
+      'nights must be of type integer',
+      'style must be one of: budget, luxury',
+      'extra is not a known argument'
+    ]);
+    expect(validateArguments(schema, 'nights=3')).toEqual(['arguments must be an object']);
+  });
+});
+
+describe('POST /api/ai/chat with tools', () => {
+  let app;
+  let provider;
+
+
+  beforeEach(() => {
+    setServiceClient(new MemoryClient());
+    provider = new MockAIProvider({
+      responses: [toolCall('getSafetyInfo', { destination: 'Istanbul' }), 'Keep copies of your documents.']
+    });
+    aiRouter.setProviders([provider]);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/ai', require('../../routes/ai'));
+  });
+
+  afterAll(() => {
+    aiRouter.setProviders(null);
+    setServiceClient(null);
+  });
+
+  it('returns the reply with a trace of tool calls', async () => {
+    const res = await request(app).post('/api/ai/chat').set('Authorization', await bearerToken(12345)).send({ message: 'Is Istanbul safe?', useTools: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, reply: 'Keep copies of your documents.', steps: 2, stopReason: 'answer', provider: 'mock' });
+    expect(res.body.trace).toEqual([
+      expect.objectContaining({ step: 1, tool: 'getSafetyInfo', status: 'ok', result: expect.objectContaining({ destination: 'Istanbul' }) })
+    ]);
+  });
+
+  it('leaves the trace out of plain chat', async () => {
+    const res = await request(app).post('/api/ai/chat').set('Authorization', await bearerToken(12345)).send({ message: 'Hello' });
+    expect(res.body.trace).toBeUndefined();
+  });
+});
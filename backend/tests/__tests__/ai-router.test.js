@@ -0,0 +1,228 @@
+/**
+ * AI Router Tests
+ * Provider selection, failover on errors and timeouts, circuit breaking and the routes that use it
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+
+const { AIRouter, aiRouter, createProviders } = require('../../src/ai/aiRouter');
+const MockAIProvider = require('../../src/ai/mockProvider');
+const AIProvider = require('../../src/ai/aiProvider');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+
+const messages = [{ role: 'user', content: 'Plan a weekend in Istanbul' }];
+
+function createRouter(providers, options = {}) {
+  return new AIRouter({
+    providers,
+    timeoutMs: 50,
+    breaker: new ErrorHandler({ errorThreshold: 2, timeWindow: 60000, resetAfter: 60000 }),
+    ...options
+  });
+}
+
+describe('AIRouter', () => {
+  it('answers from the first provider and reports which one', async () => {
+    const router = createRouter([new MockAIProvider({ name: 'primary' }), new MockAIProvider({ name: 'backup' })]);
+
+    const result = await router.chatCompletion(messages);
+
+    expect(result).toMatchObject({
+      success: true,
+      content: '[primary] Plan a weekend in Istanbul',
+      provider: 'primary',
+      model: 'mock-1'
+    });
+    expect(router.getProvider('backup').calls).toHaveLength(0);
+  });
+
+  it('fails over when a provider returns an error', async () => {
+    const router = createRouter([new MockAIProvider({ name: 'primary', fail: true }), new MockAIProvider({ name: 'backup' })]);
+
+    const result = await router.chatCompletion(messages);
+
+    expect(result.provider).toBe('backup');
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ provider: 'primary', success: false, error: 'primary provider failure' }),
+      expect.objectContaining({ provider: 'backup', success: true })
+    ]);
+  });
+
+  it('fails over when a provider throws or times out', async () => {
+    const router = createRouter([
+      new MockAIProvider({ name: 'throws', responses: [new Error('ECONNRESET')] }),
+      new MockAIProvider({ name: 'slow', delayMs: 200 }),
+      new MockAIProvider({ name: 'backup', responses: ['Istanbul it is'] })
+    ]);
+
+    const result = await router.chatCompletion(messages);
+
+    expect(result).toMatchObject({ success: true, content: 'Istanbul it is', provider: 'backup' });
+    expect(result.attempts.map(a => a.error)).toEqual(['ECONNRESET', 'Operation timed out', undefined]);
+  });
+
+  it('skips a provider while its circuit breaker is open', async () => {
+    const primary = new MockAIProvider({ name: 'primary', fail: true });
+    const router = createRouter([primary, new MockAIProvider({ name: 'backup' })]);
+
+    await router.chatCompletion(messages);
+    await router.chatCompletion(messages);
+    expect(router.isCircuitOpen('primary')).toBe(true);
+
+    const result = await router.chatCompletion(messages);
+
+    expect(primary.calls).toHaveLength(2);
+    expect(result.provider).toBe('backup');
+    expect(result.attempts[0]).toMatchObject({ provider: 'primary', skipped: 'circuit_open' });
+  });
+
+  it('tries a provider again after its circuit breaker resets', async () => {
+    const primary = new MockAIProvider({ name: 'primary', fail: true });
+    const router = createRouter([primary, new MockAIProvider({ name: 'backup' })], {
+      breaker: new ErrorHandler({ errorThreshold: 1, timeWindow: 60000, resetAfter: 20 })
+    });
+
+    await router.chatCompletion(messages);
+    expect(router.isCircuitOpen('primary')).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    primary.fail = false;
+
+    expect((await router.chatCompletion(messages)).provider).toBe('primary');
+  });
+
+  it('prefers the provider chosen for a request', async () => {
+    const router = createRouter([new MockAIProvider({ name: 'primary' }), new MockAIProvider({ name: 'backup' })]);
+
+    expect((await router.prefer('backup').chatCompletion(messages)).provider).toBe('backup');
+    expect((await router.chatCompletion(messages)).provider).toBe('primary');
+    expect(() => router.prefer('unknown')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('returns a fallback reply when every provider fails', async () => {
+    const router = createRouter([new MockAIProvider({ name: 'a', fail: true }), new MockAIProvider({ name: 'b', fail: true })]);
+
+    const result = await router.chatCompletion(messages);
+
+    expect(result).toMatchObject({ success: false, error: 'All AI providers failed', provider: null });
+    expect(result.content).toEqual(expect.any(String));
+    expect(result.attempts).toHaveLength(2);
+  });
+
+  it('builds the shared travel prompts on top of chatCompletion', async () => {
+    const mock = new MockAIProvider();
+    const router = createRouter([mock]);
+
+    const result = await router.generateBudgetAnalysis({ destination: 'Tokyo', duration: 5, travelers: 2 }, 300000, { currency: 'JPY' });
+
+    expect(result).toMatchObject({ success: true, provider: 'mock' });
+    expect(mock.calls[0].messages[1].content).toContain('300000 JPY');
+    expect(mock.calls[0].options).toMatchObject({ maxTokens: 1200 });
+  });
+
+  it('reports health per provider', async () => {
+    const router = createRouter([new MockAIProvider({ name: 'up' }), new MockAIProvider({ name: 'down', fail: true })]);
+
+    const health = await router.healthCheck();
+
+    expect(health).toMatchObject({ success: true, status: 'healthy' });
+    expect(health.providers.up.status).toBe('healthy');
+    expect(health.providers.down.status).toBe('unhealthy');
+  });
+});
+
+describe('AI providers', () => {
+  afterEach(() => {
+    delete process.env.AI_PROVIDERS;
+    delete process.env.GEMINI_API_KEY;
+  });
+
+  it('skips unknown and unconfigured providers', () => {
+    expect(createProviders('gemini,mock,nope').map(p => p.name)).toEqual(['mock']);
+
+    process.env.GEMINI_API_KEY = 'gemini-key';
+    expect(createProviders('gemini,mock').map(p => p.name)).toEqual(['gemini', 'mock']);
+  });
+
+  it('gives Z.ai and Gemini the same travel methods', () => {
+    const ZaiClient = jest.requireActual('../../src/ai/zaiClient');
+    const GeminiClient = require('../../src/ai/geminiClient');
+
+    for (const client of [new ZaiClient(), new GeminiClient()]) {
+      expect(client).toBeInstanceOf(AIProvider);
+      expect(typeof client.generateTravelRecommendations).toBe('function');
+      expect(typeof client.analyzeMedia).toBe('function');
+    }
+  });
+
+  it('merges every system message into the Gemini instruction', () => {
+    const GeminiClient = require('../../src/ai/geminiClient');
+
+    const contents = new GeminiClient().convertMessagesToGemini([
+      { role: 'system', content: 'Persona' },
+      { role: 'system', content: 'Culture' },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    expect(contents).toEqual([{ role: 'user', parts: [{ text: 'Persona\n\nCulture\n\nHi' }] }]);
+  });
+});
+
+describe('AI routes', () => {
+  let app;
+
+
+  beforeEach(() => {
+    setServiceClient(new MemoryClient());
+    aiRouter.setProviders([new MockAIProvider({ name: 'primary', fail: true }), new MockAIProvider({ name: 'backup' })]);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/ai', require('../../routes/ai'));
+  });
+
+  afterAll(() => {
+    aiRouter.setProviders(null);
+    setServiceClient(null);
+  });
+
+  it('requires a signed-in user', async () => {
+    expect((await request(app).post('/api/ai/chat').send({ message: 'Hello' })).status).toBe(401);
+  });
+
+  it('reports the provider that answered a chat', async () => {
+    const res = await request(app).post('/api/ai/chat').set('Authorization', await bearerToken(12345)).send({ message: 'Hello' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, provider: 'backup', model: 'mock-1' });
+  });
+
+  it('tries the requested provider first', async () => {
+    aiRouter.getProvider('primary').fail = false;
+
+    const res = await request(app)
+      .post('/api/ai/destination-insights')
+      .set('Authorization', await bearerToken(12345))
+      .send({ destination: 'Petra', provider: 'backup' });
+
+    expect(res.body).toMatchObject({ success: true, provider: 'backup' });
+  });
+
+  it('rejects unknown providers', async () => {
+    const res = await request(app).post('/api/ai/chat').set('Authorization', await bearerToken(12345)).send({ message: 'Hello', provider: 'gpt-99' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.available).toEqual(['primary', 'backup']);
+  });
+
+  it('fails when no provider is configured', async () => {
+    aiRouter.setProviders([]);
+
+    const res = await request(app).post('/api/ai/chat').set('Authorization', await bearerToken(12345)).send({ message: 'Hello' });
+    expect(res.status).toBe(500);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Analytics API Tests
+ * Event validation, batched ingestion, daily aggregates and the offer funnel
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { AnalyticsService } = require('../../src/analytics/analyticsService');
+const analyticsRoutes = require('../../routes/analytics');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+describe('AnalyticsService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AnalyticsService({ client: new MemoryClient(), now: () => NOW });
+  });
+
+  it('validates events against the schema for their type', () => {
+    expect(service.validateEvent({ type: 'page_view', userId: 42, payload: { page: 'budget' } }, { userAgent: 'jest' })).toEqual({
+      event_type: 'page_view',
+      user_id: '42',
+      session_id: null,
+      properties: { page: 'budget' },
+      occurred_at: '2026-03-10T12:00:00.000Z',
+      received_at: '2026-03-10T12:00:00.000Z',
+      user_agent: 'jest'
+    });
+
+    expect(() => service.validateEvent({ type: 'unknown' })).toThrow('Unknown event type: unknown');
+    expect(() => service.validateEvent({ type: 'page_view', properties: { page: 3, extra: true } }))
+      .toThrow('Invalid page_view event: page must be of type string; extra is not a known argument');
+    expect(() => service.validateEvent({ type: 'chat_message', occurredAt: '2026-02-01T00:00:00Z' }))
+      .toThrow('occurredAt must be a timestamp from the last 7 days');
+  });
+
+  it('defaults to the last 30 days and bounds date ranges', () => {
+    const range = service.parseRange();
+
+    expect(range).toMatchObject({ from: '2026-02-09', to: '2026-03-10', start: '2026-02-09T00:00:00.000Z', end: '2026-03-11T00:00:00.000Z' });
+    expect(range.days).toHaveLength(30);
+    expect(() => service.parseRange({ from: '2026-03-10', to: '2026-03-01' })).toThrow('from must be on or before to');
+    expect(() => service.parseRange({ from: '2024-01-01', to: '2026-01-01' })).toThrow('at most 366 days');
+    expect(() => service.parseRange({ from: '03/01/2026' })).toThrow('from must be a date in YYYY-MM-DD format');
+  });
+});
+
+describe('Analytics routes', () => {
+  let app;
+  let db;
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/analytics', analyticsRoutes);
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const event = (type, userId, occurredAt, properties = {}) => ({ type, userId, occurredAt, properties });
+  const recent = offsetMinutes => new Date(Date.now() - offsetMinutes * 60 * 1000).toISOString();
+
+  it('accepts single events and batches, reporting invalid ones', async () => {
+    const single = await request(app).post('/api/analytics/events').send({ type: 'chat_message', userId: 'u1', payload: { length: 12 } });
+    const batch = await request(app).post('/api/analytics/events').send({
+      events: [
+        event('page_view', 'u1', recent(5), { page: 'planner' }),
+        event('trip_created', 'u1', recent(4), { destination: 'Istanbul' }),
+        event('trip_created', 'u1', recent(3), {})
+      ]
+    });
+
+    expect(single.status).toBe(202);
+    expect(batch.body).toEqual({ success: true, accepted: 2, rejected: [{ index: 2, error: 'Invalid trip_created event: destination is required' }] });
+    expect(db.getTable('analytics_events')).toHaveLength(3);
+  });
+
+  it('rejects requests with no valid events or too many events', async () => {
+    const invalid = await request(app).post('/api/analytics/events').send({ type: 'nope' });
+    const tooMany = await request(app).post('/api/analytics/events').send({ events: Array(101).fill({ type: 'chat_message' }) });
+
+    expect(invalid.status).toBe(400);
+    expect(tooMany.body).toMatchObject({ success: false, error: 'At most 100 events can be sent at once' });
+  });
+
+  it('requires the admin key for aggregates', async () => {
+    expect((await request(app).get('/api/analytics/summary')).status).toBe(401);
+    expect((await request(app).get('/api/analytics/funnel').set('X-Admin-Key', 'wrong')).status).toBe(401);
+  });
+
+  it('buckets events and active users by day', async () => {
+    db.getTable('analytics_events').push(
+      { event_type: 'page_view', user_id: 'u1', occurred_at: '2026-03-01T08:00:00.000Z' },
+      { event_type: 'page_view', user_id: 'u1', occurred_at: '2026-03-01T09:00:00.000Z' },
+      { event_type: 'chat_message', user_id: null, session_id: 's1', occurred_at: '2026-03-01T10:00:00.000Z' },
+      { event_type: 'chat_message', user_id: 'u2', occurred_at: '2026-03-03T23:59:59.000Z' },
+      { event_type: 'page_view', user_id: 'u3', occurred_at: '2026-03-04T00:00:00.000Z' }
+    );
+
+    const res = await request(app)
+      .get('/api/analytics/summary?from=2026-03-01&to=2026-03-03')
+      .set('X-Admin-Key', 'admin-secret');
+
+    expect(res.body).toEqual({
+      success: true,
+      from: '2026-03-01',
+      to: '2026-03-03',
+      total_events: 4,
+      active_users: 3,
+      by_type: { page_view: 2, chat_message: 2 },
+      daily: [
+        { date: '2026-03-01', events: 3, active_users: 2 },
+        { date: '2026-03-02', events: 0, active_users: 0 },
+        { date: '2026-03-03', events: 1, active_users: 1 }
+      ]
+    });
+  });
+
+  it('computes the offer funnel from offer interactions', async () => {
+    const at = '2026-03-02T10:00:00.000Z';
+    db.getTable('offer_interactions').push(
+      ...[1, 2, 3, 4].map(id => ({ telegram_id: id, offer_id: 'o1', interaction_type: 'view', timestamp: at })),
+      { telegram_id: 1, offer_id: 'o2', interaction_type: 'view', timestamp: at },
+      { telegram_id: 1, offer_id: 'o1', interaction_type: 'click', timestamp: at },
+      { telegram_id: 2, offer_id: 'o1', interaction_type: 'click', timestamp: at },
+      { telegram_id: 1, offer_id: 'o1', interaction_type: 'book', timestamp: at },
+      { telegram_id: 3, offer_id: 'o1', interaction_type: 'book', timestamp: '2026-02-20T10:00:00.000Z' }
+    );
+
+    const res = await request(app)
+      .get('/api/analytics/funnel?from=2026-03-01&to=2026-03-31')
+      .set('X-Admin-Key', 'admin-secret');
+
+    expect(res.body.stages).toEqual([
+      { stage: 'view', users: 4, conversion_rate: null },
+      { stage: 'selection', users: 2, conversion_rate: 50 },
+      { stage: 'booking', users: 1, conversion_rate: 50 }
+    ]);
+  });
+
+  it('counts a stage only among users who reached the stage before', async () => {
+    const at = '2026-03-02T10:00:00.000Z';
+    db.getTable('offer_interactions').push(
+      { telegram_id: 1, offer_id: 'o1', interaction_type: 'view', timestamp: at },
+      { telegram_id: 1, offer_id: 'o1', interaction_type: 'click', timestamp: at },
+      // Selected or booked from a shared link, without a view (or a selection) in the funnel
+      { telegram_id: 2, offer_id: 'o1', interaction_type: 'click', timestamp: at },
+      { telegram_id: 2, offer_id: 'o1', interaction_type: 'book', timestamp: at },
+      { telegram_id: 3, offer_id: 'o1', interaction_type: 'view', timestamp: at },
+      { telegram_id: 3, offer_id: 'o1', interaction_type: 'book', timestamp: at }
+    );
+
+    const res = await request(app)
+      .get('/api/analytics/funnel?from=2026-03-01&to=2026-03-31')
+      .set('X-Admin-Key', 'admin-secret');
+
+    expect(res.body.stages).toEqual([
+      { stage: 'view', users: 2, conversion_rate: null },
+      { stage: 'selection', users: 1, conversion_rate: 50 },
+      { stage: 'booking', users: 0, conversion_rate: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Auth API Tests
+ * Mini app sessions (refresh rotation, reuse detection, revocation), Supabase web
+ * tokens and the unified identity on protected routes
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { AuthService } = require('../../src/auth/authService');
+const authRoutes = require('../../routes/auth');
+const miniappRoutes = require('../../routes/miniapp');
+const tripRoutes = require('../../routes/trips');
+
+const BOT_TOKEN = 'test-bot-token';
+const SUPABASE_SECRET = 'test-supabase-jwt-secret';
+
+// initData signed the way Telegram signs it
+function signInitData(user) {
+  const params = new URLSearchParams({ auth_date: '1767225600', user: JSON.stringify(user) });
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+  params.set('hash', crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex'));
+  return params.toString();
+}
+
+const supabaseToken = (sub, email) => jwt.sign(
+  { sub, email, aud: 'authenticated', role: 'authenticated', iss: 'https://test.supabase.co/auth/v1' },
+  SUPABASE_SECRET,
+  { expiresIn: 3600 }
+);
+
+describe('AuthService', () => {
+  it('requires JWT_SECRET outside the test suite', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, JWT_SECRET: process.env.JWT_SECRET };
+    delete process.env.JWT_SECRET;
+
+    try {
+      for (const nodeEnv of ['production', 'development', 'staging']) {
+        process.env.NODE_ENV = nodeEnv;
+        expect(() => new AuthService({ client: new MemoryClient() }).getSecret()).toThrow('JWT_SECRET is not configured');
+      }
+    } finally {
+      Object.assign(process.env, env);
+    }
+  });
+
+  it('rejects tokens without our issuer, a session or a profile', async () => {
+    const db = new MemoryClient();
+    const service = new AuthService({ client: db });
+    const identity = await service.identities.resolveTelegramUser({ id: 12345 });
+    const { sessionId } = await service.createSession(identity);
+    const sign = (payload, options = { issuer: 'maya-trips' }) => jwt.sign(
+      { sub: '12345', typ: 'access', ...payload },
+      process.env.JWT_SECRET,
+      { expiresIn: 900, ...options }
+    );
+
+    const forged = [
+      sign({ uid: identity.id, sid: sessionId }, {}),
+      sign({ uid: identity.id }),
+      sign({ sid: sessionId }),
+      sign({ uid: identity.id, sid: sessionId, typ: 'refresh' })
+    ];
+    for (const token of forged) {
+      await expect(service.authenticate(token)).rejects.toThrow('Invalid or expired token');
+    }
+    await expect(service.authenticate(sign({ uid: identity.id, sid: sessionId }))).resolves.toMatchObject({ id: identity.id, sessionId });
+  });
+
+  it('rejects expired access tokens', async () => {
+    const db = new MemoryClient();
+    let now = Date.parse('2026-03-10T12:00:00Z');
+    const service = new AuthService({ client: db, now: () => now });
+    const identity = await service.identities.resolveTelegramUser({ id: 12345 });
+    const { token } = await service.createSession(identity);
+
+    now += 16 * 60 * 1000;
+    await expect(service.authenticate(token)).rejects.toThrow('Token has expired');
+  });
+});
+
+describe('Auth routes', () => {
+  let app;
+  let db;
+
+  beforeEach(() => {
+    process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+    process.env.SUPABASE_JWT_SECRET = SUPABASE_SECRET;
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use('/api/telegram', miniappRoutes);
+    app.use('/api/trips', tripRoutes);
+  });
+
+  afterEach(() => {
+    delete process.env.TELEGRAM_BOT_TOKEN;
+    delete process.env.SUPABASE_JWT_SECRET;
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const signIn = (user = { id: 12345, username: 'layla' }) => request(app)
+    .post('/api/telegram/auth/telegram')
+    .send({ initData: signInitData(user) });
+
+  const me = token => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  it('opens a session for a mini app user and resolves the profile', async () => {
+    const res = await signIn();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ expiresIn: 900, profile: { telegramId: 12345, username: 'layla', provider: 'telegram' } });
+    expect(res.body.refreshToken.startsWith(`${res.body.sessionId}.`)).toBe(true);
+    expect(db.getTable('auth_sessions')[0].refresh_token_hash).not.toContain(res.body.refreshToken.split('.')[1]);
+
+    const who = await me(res.body.token);
+    expect(who.body.user).toMatchObject({ id: res.body.profile.id, telegramId: 12345, sessionId: res.body.sessionId });
+  });
+
+  it('rotates refresh tokens and revokes the session when an old one is replayed', async () => {
+    const { body: session } = await signIn();
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(session.refreshToken);
+    expect((await me(refreshed.body.token)).status).toBe(200);
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(replay.body).toMatchObject({ success: false, error: 'Refresh token has already been used' });
+
+    // The stolen token's family is gone: the current tokens stop working too
+    const next = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+    expect(next.body.error).toBe('Session has been revoked');
+    expect((await me(refreshed.body.token)).body.error).toBe('Session has been revoked');
+  });
+
+  it('revokes the current session or all of them on logout', async () => {
+    const phone = (await signIn()).body;
+    const tablet = (await signIn()).body;
+    const laptop = (await signIn()).body;
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${phone.token}`);
+    expect((await me(phone.token)).status).toBe(401);
+    expect((await me(tablet.token)).status).toBe(200);
+
+    const all = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${tablet.token}`);
+    expect(all.body.revoked).toBe(2);
+    expect((await me(laptop.token)).status).toBe(401);
+  });
+
+  it('accepts Supabase web tokens as the same kind of identity', async () => {
+    const token = supabaseToken('7f1c2a9e-5d4b-4c3a-9e8f-1a2b3c4d5e6f', 'layla@example.com');
+
+    const first = await me(token);
+    const second = await me(token);
+
+    expect(first.body.user).toMatchObject({ provider: 'supabase', email: 'layla@example.com', telegramId: null, sessionId: null });
+    expect(second.body.user.id).toBe(first.body.user.id);
+    expect(db.getTable('profiles')).toHaveLength(1);
+
+    const forged = jwt.sign({ sub: 'x', aud: 'authenticated', iss: 'https://test.supabase.co/auth/v1' }, 'wrong-secret');
+    expect((await me(forged)).status).toBe(401);
+  });
+
+  it('enforces the identity on user-scoped routes', async () => {
+    const web = supabaseToken('7f1c2a9e-5d4b-4c3a-9e8f-1a2b3c4d5e6f', 'layla@example.com');
+    const { body: session } = await signIn();
+
+    expect((await request(app).get('/api/trips').set('Authorization', `Bearer ${web}`)).status).toBe(403);
+    expect((await request(app).get('/api/trips').set('Authorization', `Bearer ${session.token}`)).status).toBe(200);
+    expect((await request(app).post('/api/telegram/send-message').send({ message: 'hi' })).status).toBe(401);
+
+    const other = await request(app)
+      .post('/api/telegram/send-message')
+      .set('Authorization', `Bearer ${session.token}`)
+      .send({ message: 'hi', chat_id: 999 });
+    expect(other.status).toBe(403);
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * Booking Service Tests
+ * Holds with inventory, changes, cancellation, hold expiry, confirmation by payment and /api/bookings
+ */
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+jest.mock('stripe');
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+const stripeFactory = require('stripe');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { PaymentLedger } = require('../../src/payments/paymentLedger');
+const { BookingService } = require('../../src/bookings/bookingService');
+const { stripeWebhookProcessor } = require('../../src/payments/stripeWebhookProcessor');
+const PaymentService = require('../../src/payments/paymentService');
+const bookingRoutes = require('../../routes/bookings');
+const paymentRoutes = require('../../routes/payment');
+
+const OFFER_ID = '0c6b7a4e-1f7d-4f3e-9d55-8a1d3b2e4f01';
+const NOW = Date.parse('2026-03-01T10:00:00.000Z');
+
+function seedOffers(overrides = {}) {
+  return [{
+    id: OFFER_ID,
+    title: 'Istanbul Escape',
+    destination: 'Istanbul',
+    price: '1500.00',
+    currency: 'SAR',
+    duration_days: 5,
+    available_slots: 4,
+    is_active: true,
+    valid_until: '2026-12-31T00:00:00.000Z',
+    ...overrides
+  }];
+}
+
+describe('BookingService', () => {
+  let db;
+  let ledger;
+  let clock;
+  let service;
+
+  beforeEach(() => {
+    db = new MemoryClient({ travel_offers: seedOffers() });
+    setServiceClient(db);
+    ledger = new PaymentLedger(db);
+    clock = NOW;
+    service = new BookingService({ client: db, ledger, now: () => clock });
+  });
+
+  const slots = () => db.getTable('travel_offers')[0].available_slots;
+
+  const holdOffer = (params = {}) => service.hold({
+    telegramId: 12345,
+    offerId: OFFER_ID,
+    startDate: '2026-04-10',
+    travelers: 2,
+    ...params
+  });
+
+  async function paidPayment(booking, overrides = {}) {
+    const payment = await ledger.record({
+      paymentMethod: 'stripe',
+      amount: Number(booking.total_price),
+      currency: booking.currency,
+      bookingId: booking.id,
+      ...overrides
+    });
+    return await ledger.confirm(payment.id);
+  }
+
+  describe('hold', () => {
+    it('prices the offer per traveler and reserves its inventory', async () => {
+      const booking = await holdOffer();
+
+      expect(booking).toMatchObject({
+        status: 'pending',
+        payment_status: 'pending',
+        destination: 'Istanbul',
+        start_date: '2026-04-10',
+        end_date: '2026-04-15',
+        travelers: 2,
+        total_price: 3000,
+        currency: 'SAR',
+        hold_expires_at: '2026-03-01T10:30:00.000Z'
+      });
+      expect(booking.booking_reference).toMatch(/^MAYA-[0-9A-F]{8}$/);
+      expect(slots()).toBe(2);
+    });
+
+    it('refuses to oversell an offer', async () => {
+      await holdOffer({ travelers: 3 });
+
+      await expect(holdOffer({ travelers: 2 })).rejects.toMatchObject({ statusCode: 409 });
+      expect(slots()).toBe(1);
+      expect(db.getTable('bookings')).toHaveLength(1);
+    });
+
+    it('does not limit offers without an inventory count', async () => {
+      db.getTable('travel_offers')[0].available_slots = null;
+
+      await holdOffer({ travelers: 10 });
+      expect(slots()).toBeNull();
+    });
+
+    it('rejects expired offers, past dates and missing owners', async () => {
+      await expect(holdOffer({ startDate: '2026-02-01' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(holdOffer({ telegramId: null })).rejects.toMatchObject({ statusCode: 400 });
+
+      db.getTable('travel_offers')[0].valid_until = '2026-02-01T00:00:00.000Z';
+      await expect(holdOffer()).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('holds custom bookings for a WhatsApp number', async () => {
+      const booking = await service.hold({
+        whatsappPhone: '966500000000',
+        channel: 'whatsapp',
+        destination: 'Dubai',
+        startDate: '2026-05-01',
+        totalPrice: 2200.456,
+        currency: 'sar'
+      });
+
+      expect(booking).toMatchObject({ whatsapp_phone: '966500000000', channel: 'whatsapp', total_price: 2200.46, currency: 'SAR' });
+      expect(await service.listBookings({ whatsappPhone: '966500000000' })).toHaveLength(1);
+    });
+  });
+
+  describe('modify', () => {
+    it('re-prices a hold and adjusts inventory for the new party size', async () => {
+      const booking = await holdOffer();
+
+      const updated = await service.modify(booking.id, { travelers: 3, startDate: '2026-04-12' });
+
+      expect(updated).toMatchObject({ travelers: 3, total_price: 4500, start_date: '2026-04-12', end_date: '2026-04-17' });
+      expect(slots()).toBe(1);
+    });
+
+    it('only changes unpaid holds', async () => {
+      const booking = await holdOffer();
+      await service.confirm(booking.id, { paymentId: (await paidPayment(booking)).id });
+
+      await expect(service.modify(booking.id, { travelers: 1 })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('cancel', () => {
+    it('cancels a hold and releases its inventory', async () => {
+      const booking = await holdOffer();
+
+      const { booking: cancelled, refund } = await service.cancel(booking.id, { reason: 'changed plans' });
+
+      expect(cancelled).toMatchObject({ status: 'cancelled', cancellation_reason: 'changed plans', hold_expires_at: null });
+      expect(refund).toBeNull();
+      expect(slots()).toBe(4);
+    });
+
+    it('requires a refund to cancel a paid booking', async () => {
+      const booking = await holdOffer();
+      await service.confirm(booking.id, { paymentId: (await paidPayment(booking)).id });
+
+      await expect(service.cancel(booking.id)).rejects.toMatchObject({ statusCode: 409 });
+      expect(slots()).toBe(2);
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('expires lapsed holds once and releases their inventory', async () => {
+      const booking = await holdOffer();
+      clock += 31 * 60 * 1000;
+
+      expect(await service.expireHolds()).toEqual([booking.id]);
+      expect(await service.expireHolds()).toEqual([]);
+      expect((await service.getBooking(booking.id)).status).toBe('expired');
+      expect(slots()).toBe(4);
+    });
+
+    it('leaves holds that are still running', async () => {
+      await holdOffer();
+      clock += 10 * 60 * 1000;
+
+      expect(await service.expireHolds()).toEqual([]);
+      expect(slots()).toBe(2);
+    });
+  });
+
+  describe('confirm', () => {
+    it('confirms with a succeeded payment covering the price', async () => {
+      const booking = await holdOffer();
+      const payment = await paidPayment(booking);
+
+      const confirmed = await service.confirm(booking.id, { paymentId: payment.id });
+
+      expect(confirmed).toMatchObject({
+        status: 'confirmed',
+        payment_status: 'paid',
+        payment_id: payment.id,
+        payment_method: 'stripe',
+        hold_expires_at: null
+      });
+      await expect(service.confirm(booking.id, { paymentId: payment.id })).resolves.toMatchObject({ status: 'confirmed' });
+    });
+
+    it('rejects payments that are short, pending or for another booking', async () => {
+      const booking = await holdOffer();
+
+      const short = await paidPayment(booking, { amount: 100 });
+      await expect(service.confirm(booking.id, { paymentId: short.id })).rejects.toMatchObject({ statusCode: 409 });
+
+      const pending = await ledger.record({ paymentMethod: 'stripe', amount: 3000, currency: 'SAR', bookingId: booking.id });
+      await expect(service.confirm(booking.id, { paymentId: pending.id })).rejects.toMatchObject({ statusCode: 409 });
+
+      const other = await paidPayment({ id: 'another-booking', total_price: 3000, currency: 'SAR' });
+      await expect(service.confirm(booking.id, { paymentId: other.id })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('takes inventory back when a payment lands after the hold expired', async () => {
+      const booking = await holdOffer();
+      clock += 31 * 60 * 1000;
+      await service.expireHolds();
+
+      await service.confirm(booking.id, { paymentId: (await paidPayment(booking)).id });
+      expect(slots()).toBe(2);
+    });
+
+    it('keeps the inventory when the hold expires while the payment is confirming', async () => {
+      const booking = await holdOffer();
+      const payment = await paidPayment(booking);
+      clock += 31 * 60 * 1000;
+
+      // The expiry job runs between confirm reading the booking and writing it
+      const getPayment = ledger.getPayment.bind(ledger);
+      jest.spyOn(ledger, 'getPayment').mockImplementationOnce(async (id) => {
+        await service.expireHolds();
+        return getPayment(id);
+      });
+
+      await expect(service.confirm(booking.id, { paymentId: payment.id })).resolves.toMatchObject({ status: 'confirmed' });
+      expect(slots()).toBe(2);
+    });
+
+    it('lets only one of two payments confirm the booking', async () => {
+      const booking = await holdOffer();
+      const first = await paidPayment(booking);
+      const second = await paidPayment(booking);
+
+      const getPayment = ledger.getPayment.bind(ledger);
+      jest.spyOn(ledger, 'getPayment').mockImplementationOnce(async (id) => {
+        await service.confirm(booking.id, { paymentId: first.id });
+        return getPayment(id);
+      });
+
+      await expect(service.confirm(booking.id, { paymentId: second.id })).rejects.toMatchObject({ statusCode: 409 });
+      expect(await service.getBooking(booking.id)).toMatchObject({ status: 'confirmed', payment_id: first.id });
+    });
+
+    it('logs instead of throwing when a provider payment cannot confirm the booking', async () => {
+      const booking = await holdOffer();
+      const short = await paidPayment(booking, { amount: 1 });
+
+      await expect(service.recordPayment(short)).resolves.toBeNull();
+      expect((await service.getBooking(booking.id)).status).toBe('pending');
+    });
+  });
+});
+
+describe('Payments confirming bookings', () => {
+  let db;
+  let service;
+
+  beforeEach(() => {
+    db = new MemoryClient({ travel_offers: seedOffers() });
+    setServiceClient(db);
+    service = new BookingService({ client: db, ledger: new PaymentLedger(db) });
+  });
+
+  it('charges the booking price through Stripe and confirms on checkout.session.completed', async () => {
+    const pricesCreate = jest.fn().mockResolvedValue({ id: 'price_1' });
+    stripeFactory.mockImplementation(() => ({
+      prices: { create: pricesCreate },
+      paymentLinks: { create: jest.fn().mockResolvedValue({ id: 'plink_b1', url: 'https://buy.stripe.com/test_b1' }) }
+    }));
+    const booking = await service.hold({ telegramId: 12345, offerId: OFFER_ID, startDate: '2099-04-10' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payment', paymentRoutes);
+    const res = await request(app)
+      .post('/api/payment/create-payment')
+      .set('Authorization', await bearerToken(12345))
+      .send({ paymentMethod: 'stripe', bookingId: booking.id, description: 'Istanbul' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment).toMatchObject({ amount: 1500, currency: 'SAR', booking_id: booking.id });
+    expect(pricesCreate).toHaveBeenCalledWith(expect.objectContaining({ unit_amount: 150000, currency: 'sar' }));
+
+    const outcome = await stripeWebhookProcessor.process({
+      id: 'evt_booking_1',
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_b1', payment_link: 'plink_b1', payment_intent: 'pi_b1', payment_status: 'paid' } }
+    });
+
+    expect(outcome.outcome).toMatchObject({ booking_id: booking.id, booking_status: 'confirmed' });
+    expect(await service.getBooking(booking.id)).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+  });
+
+  it('refuses to charge for a cancelled booking', async () => {
+    const booking = await service.hold({ telegramId: 12345, offerId: OFFER_ID, startDate: '2099-04-10' });
+    await service.cancel(booking.id);
+
+    const result = await PaymentService.createStripePayment(null, null, 'Istanbul', { bookingId: booking.id });
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('Booking routes', () => {
+  let app;
+  let db;
+
+
+  beforeEach(() => {
+    db = new MemoryClient({ travel_offers: seedOffers() });
+    setServiceClient(db);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/bookings', bookingRoutes);
+  });
+
+  const createBooking = async (telegramId = 12345, body = {}) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', await bearerToken(telegramId))
+    .send({ offerId: OFFER_ID, startDate: '2099-04-10', travelers: 2, ...body });
+
+  it('requires a mini app token or the admin key', async () => {
+    expect((await request(app).get('/api/bookings')).status).toBe(401);
+    expect((await request(app).get('/api/bookings').set('Authorization', 'Bearer nope')).status).toBe(401);
+    expect((await request(app).get('/api/bookings?telegramId=1').set('X-Admin-Key', 'test-admin-key')).status).toBe(200);
+  });
+
+  it('holds an offer for the signed-in user and lists it', async () => {
+    const created = await createBooking();
+
+    expect(created.status).toBe(201);
+    expect(created.body.booking).toMatchObject({ status: 'pending', total_price: 3000, currency: 'SAR', channel: 'miniapp' });
+
+    const list = await request(app).get('/api/bookings').set('Authorization', await bearerToken(12345));
+    expect(list.body.bookings.map(b => b.id)).toEqual([created.body.booking.id]);
+  });
+
+  it('answers 404 for booking IDs that are not UUIDs', async () => {
+    const res = await request(app).get('/api/bookings/abc').set('Authorization', await bearerToken(12345));
+    expect(res.status).toBe(404);
+  });
+
+  it('hides bookings from other users', async () => {
+    const created = await createBooking();
+
+    const res = await request(app)
+      .get(`/api/bookings/${created.body.booking.id}`)
+      .set('Authorization', await bearerToken(999));
+    expect(res.status).toBe(404);
+  });
+
+  it('changes and cancels a hold', async () => {
+    const { body } = await createBooking();
+    const id = body.booking.id;
+
+    const patched = await request(app)
+      .patch(`/api/bookings/${id}`)
+      .set('Authorization', await bearerToken(12345))
+      .send({ travelers: 1 });
+    expect(patched.body.booking).toMatchObject({ travelers: 1, total_price: 1500 });
+
+    const cancelled = await request(app)
+      .post(`/api/bookings/${id}/cancel`)
+      .set('Authorization', await bearerToken(12345))
+      .send({ reason: 'dates changed' });
+    expect(cancelled.body.booking.status).toBe('cancelled');
+    expect(db.getTable('travel_offers')[0].available_slots).toBe(4);
+  });
+
+  it('leaves refunds to the support team', async () => {
+    const { body } = await createBooking();
+
+    const res = await request(app)
+      .post(`/api/bookings/${body.booking.id}/cancel`)
+      .set('Authorization', await bearerToken(12345))
+      .send({ refund: true });
+    expect(res.status).toBe(403);
+  });
+
+  it('reports sold-out offers as 409', async () => {
+    const res = await createBooking(12345, { travelers: 5 });
+    expect(res.status).toBe(409);
+  });
+
+  it('expires lapsed holds through the admin endpoint', async () => {
+    const { body } = await createBooking();
+    db.getTable('bookings')[0].hold_expires_at = '2000-01-01T00:00:00.000Z';
+
+    const res = await request(app).post('/api/bookings/expire-holds').set('X-Admin-Key', 'test-admin-key');
+    expect(res.body).toMatchObject({ success: true, expired: 1, booking_ids: [body.booking.id] });
+  });
+});
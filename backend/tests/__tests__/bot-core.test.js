@@ -0,0 +1,197 @@
+/**
+ * Bot Core Tests
+ * The shared Telegram bot core and its command modules: /start and /help built from
+ * the enabled features, safe handling, callback and free-text routing, and the AI
+ * provider switch
+ */
+
+const TelegramBot = require('node-telegram-bot-api');
+
+const { BotCore, resolveAI } = require('../../src/bot/botCore');
+const { createMayaBot, botOptionsFromEnv } = require('../../src/bot/mayaBot');
+const { telegramPayments } = require('../../src/payments/telegramPayments');
+const { bookingService } = require('../../src/bookings/bookingService');
+
+const CHAT = 77;
+
+describe('Telegram bot core', () => {
+  let bot;
+  let conversations;
+  let health;
+  let updateId;
+
+  beforeEach(() => {
+    updateId = 0;
+    bot = new TelegramBot('123:TEST', { polling: false });
+    bot.sendMessage = jest.fn().mockResolvedValue({ message_id: 1 });
+    bot.answerCallbackQuery = jest.fn().mockResolvedValue(true);
+    bot.sendChatAction = jest.fn().mockResolvedValue(true);
+
+    conversations = {
+      states: {
+        IDLE: 'idle',
+        COLLECTING_DESTINATION: 'collecting_destination',
+        COLLECTING_DATES: 'collecting_dates',
+        COLLECTING_BUDGET: 'collecting_budget',
+        COLLECTING_PREFERENCES: 'collecting_preferences'
+      },
+      setState: jest.fn().mockResolvedValue({}),
+      getContext: jest.fn().mockResolvedValue({ data: {} }),
+      addMessage: jest.fn().mockResolvedValue({}),
+      getHistory: jest.fn().mockResolvedValue([]),
+      getNextAction: jest.fn().mockResolvedValue({ action: 'default_response', nextState: 'idle' }),
+      getRecommendations: jest.fn().mockResolvedValue([]),
+      db: { trackOfferInteraction: jest.fn().mockResolvedValue(true) }
+    };
+    health = { recordRequest: jest.fn(), recordError: jest.fn() };
+  });
+
+  afterEach(() => {
+    telegramPayments.setBot(null);
+  });
+
+  const build = (options = {}) => createMayaBot({ bot, conversations, health, ai: 'none', ...options });
+
+  // Feed an update and let the async handlers finish
+  const deliver = async (update) => {
+    bot.processUpdate({ update_id: ++updateId, ...update });
+    await new Promise(resolve => setTimeout(resolve, 20));
+  };
+  const say = text => deliver({ message: { message_id: updateId, chat: { id: CHAT }, from: { id: CHAT }, date: 0, text } });
+  const press = data => deliver({ callback_query: { id: `q${updateId}`, data, from: { id: CHAT }, message: { message_id: 1, chat: { id: CHAT } } } });
+
+  const lastReply = () => bot.sendMessage.mock.calls[bot.sendMessage.mock.calls.length - 1];
+  const buttons = keyboard => keyboard.inline_keyboard.flat().map(button => button.callback_data).filter(Boolean);
+
+  it('builds /start and /help from the enabled modules', async () => {
+    build({ features: { payments: false } });
+
+    await say('/start');
+    const [chatId, welcome, options] = lastReply();
+    expect(chatId).toBe(CHAT);
+    expect(welcome).toContain('مرحباً بك في Maya Trips');
+    expect(buttons(options.reply_markup)).toEqual(['new_trip', 'budget', 'offers', 'stats', 'health', 'help']);
+
+    await say('/help');
+    const help = lastReply()[1];
+    expect(help).toContain('/trip - تخطيط رحلة جديدة');
+    expect(help).toContain('/offers - العروض المتاحة');
+    expect(help).not.toContain('/payment');
+
+    // The help button gives the same reply
+    await press('help');
+    expect(lastReply()[1]).toBe(help);
+    expect(bot.answerCallbackQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets a module replace a built-in command', async () => {
+    const core = new BotCore({ bot, conversations, health, ai: 'none' });
+    core.use({
+      name: 'custom',
+      register: (c) => c.command('help', 'مساعدة مخصصة', msg => c.reply(msg.chat.id, 'custom help'))
+    }).listen();
+
+    await say('/help');
+    await press('help');
+    expect(bot.sendMessage.mock.calls.map(call => call[1])).toEqual(['custom help', 'custom help']);
+    expect(core.commandList()).toEqual(['/start - بدء المحادثة', '/help - مساعدة مخصصة']);
+  });
+
+  it('answers failures with a friendly message', async () => {
+    const core = new BotCore({ bot, conversations, health, ai: 'none' });
+    core.command('boom', null, () => { throw new Error('kaboom'); }).listen();
+
+    await say('/boom');
+    expect(lastReply()[1]).toContain('عذراً');
+    expect(health.recordError).toHaveBeenCalledWith(expect.objectContaining({ message: 'kaboom' }));
+    // Commands without a description stay out of /help
+    expect(core.commandList()).toEqual(['/start - بدء المحادثة', '/help - عرض هذه المساعدة']);
+  });
+
+  it('routes buttons and free text without AI', async () => {
+    build({ features: { payments: false, offers: false } });
+
+    await press('dest_turkey');
+    expect(conversations.setState).toHaveBeenCalledWith(CHAT, 'collecting_dates', { destination: 'تركيا' });
+    expect(lastReply()[1]).toContain('إسطنبول');
+
+    await press('budget_low');
+    expect(lastReply()[1]).toContain('أقل من $500');
+
+    await say('What about Dubai?');
+    expect(lastReply()[1]).toContain('برج خليفة');
+    expect(conversations.addMessage).toHaveBeenCalledTimes(2);
+
+    // Without the payments module an amount is just text
+    await say('150');
+    expect(buttons(lastReply()[2].reply_markup)).not.toContain('offers');
+    expect(lastReply()[1]).toContain('كيف يمكنني مساعدتك');
+
+    await press('unknown_button');
+    expect(lastReply()[1]).toBe('شكراً! كيف يمكنني مساعدتك؟');
+  });
+
+  it('starts payments from a typed amount when payments are enabled', async () => {
+    build();
+
+    await say('150');
+    expect(lastReply()[1]).toContain('$150.00');
+    expect(buttons(lastReply()[2].reply_markup)).toEqual(['link_stripe_150', 'pay_telegram_150']);
+    expect(conversations.addMessage).not.toHaveBeenCalled();
+
+    await say('20000');
+    expect(lastReply()[1]).toContain('المبلغ غير صحيح');
+  });
+
+  it('records interest in an offer with its price', async () => {
+    jest.spyOn(bookingService, 'getOffer').mockResolvedValue({ id: 'offer-1', title: 'Dubai', price: 899 });
+    build();
+
+    await press('offer_like_offer-1');
+
+    expect(conversations.db.trackOfferInteraction).toHaveBeenCalledWith(CHAT, 'offer-1', 'click', { price: 899 });
+    expect(lastReply()[1]).toContain('تم حفظ اهتمامك');
+  });
+
+  it('answers with the selected AI provider', async () => {
+    const ai = {
+      // The NLU reading of the message, then the answer
+      chatCompletion: jest.fn().mockResolvedValue({
+        success: true,
+        content: JSON.stringify({ intent: 'destination_info', confidence: 0.9, emotion: 'excited', urgency: 'low', entities: { destination: null } })
+      }),
+      generateChatResponse: jest.fn().mockResolvedValue({ success: true, content: 'AI answer' }),
+      generateDestinationInsights: jest.fn().mockResolvedValue({ success: true, content: 'AI insights' })
+    };
+    build({ ai });
+
+    await say('ما هي أفضل الأوقات للسفر؟');
+    expect(ai.chatCompletion).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ jsonSchema: expect.any(Object) }));
+    expect(ai.generateChatResponse).toHaveBeenCalledWith(
+      'ما هي أفضل الأوقات للسفر؟', [], expect.stringContaining('CURRENT MESSAGE: intent destination_info, emotion excited')
+    );
+    expect(lastReply()[1]).toBe('AI answer');
+    expect(bot.sendChatAction).toHaveBeenCalledWith(CHAT, 'typing');
+
+    await press('dest_dubai');
+    expect(lastReply()[1]).toContain('AI insights');
+  });
+
+  it('reads the provider and feature flags from the environment', () => {
+    expect(botOptionsFromEnv({})).toEqual({ ai: 'zai', features: { payments: true, offers: true } });
+    expect(botOptionsFromEnv({ TELEGRAM_BOT_AI: 'Gemini', TELEGRAM_BOT_PAYMENTS: 'false', TELEGRAM_BOT_OFFERS: '1' }))
+      .toEqual({ ai: 'gemini', features: { payments: false, offers: true } });
+
+    const preferred = {};
+    const router = {
+      isConfigured: () => true,
+      getProvider: name => (name === 'gemini' ? { name } : null),
+      prefer: jest.fn(() => preferred)
+    };
+    expect(resolveAI('gemini', router)).toBe(preferred);
+    expect(resolveAI('zai', router)).toBe(router);
+    expect(resolveAI('none', router)).toBeNull();
+    expect(resolveAI('zai', { ...router, isConfigured: () => false })).toBeNull();
+    expect(() => resolveAI('gpt', router)).toThrow('Unknown bot AI provider');
+  });
+});
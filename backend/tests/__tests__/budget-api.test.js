@@ -0,0 +1,188 @@
+/**
+ * Budget API Tests
+ * Expenses, multi-currency summaries and overspend alerts on /api/budget
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { BudgetService } = require('../../src/budget/budgetService');
+const { budgetAlertNotifier } = require('../../src/budget/budgetAlertNotifier');
+const { currencyService } = require('../../src/currency/currencyService');
+const { StaticRateProvider } = require('../../src/currency/rateProviders');
+const budgetRoutes = require('../../routes/budget');
+const tripRoutes = require('../../routes/trips');
+
+
+describe('BudgetService', () => {
+  it('validates expenses, defaulting to the trip currency', () => {
+    expect(BudgetService.validateExpense({ category: 'Food', amount: '12.345', description: ' Lunch ' }, 'EUR')).toEqual({
+      category: 'food', amount: 12.35, currency: 'EUR', description: 'Lunch', date: null
+    });
+    expect(() => BudgetService.validateExpense({ category: 'food', amount: 0, description: 'x' })).toThrow('Amount must be a number greater than zero');
+    expect(() => BudgetService.validateExpense({ category: 'gifts', amount: 5, description: 'x' })).toThrow('Category must be one of');
+    expect(() => BudgetService.validateExpense({ category: 'food', amount: 5, description: 'x', date: '2026-13-01' })).toThrow('Date must be a date');
+  });
+
+  it('reports the budget status', () => {
+    expect(BudgetService.status(50, 100)).toEqual({ percent_used: 50, status: 'on_track' });
+    expect(BudgetService.status(80, 100)).toEqual({ percent_used: 80, status: 'warning' });
+    expect(BudgetService.status(120, 100)).toEqual({ percent_used: 120, status: 'exceeded' });
+  });
+
+  it('raises only the highest threshold crossed by one expense', () => {
+    const after = { budget: 100, spent: 110 };
+
+    expect(BudgetService.crossedThresholds({ spent: 50 }, after)).toEqual([{ level: 'exceeded', ratio: 1 }]);
+    expect(BudgetService.crossedThresholds({ spent: 50 }, { budget: 100, spent: 85 })).toEqual([{ level: 'warning', ratio: 0.8 }]);
+    expect(BudgetService.crossedThresholds({ spent: 105 }, after)).toEqual([]);
+  });
+});
+
+describe('Budget routes', () => {
+  let app;
+  let db;
+  let sendMessage;
+
+  beforeAll(() => {
+    currencyService.setProviders([new StaticRateProvider({ rates: { USD: 1, EUR: 0.5, SAR: 4 } })]);
+  });
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    sendMessage = jest.fn().mockResolvedValue({});
+    jest.spyOn(budgetAlertNotifier.telegram, 'getBot').mockReturnValue({ sendMessage });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/trips', tripRoutes);
+    app.use('/api/budget', budgetRoutes);
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+    currencyService.setProviders(null);
+  });
+
+  const createTrip = async (body, telegramId = 12345) => (await request(app)
+    .post('/api/trips')
+    .set('Authorization', await bearerToken(telegramId))
+    .send({ destination: 'Paris', startDate: '2026-05-01', endDate: '2026-05-05', budget: 1000, currency: 'EUR', ...body })).body.trip;
+
+  const addExpense = async (body, telegramId = 12345) => request(app)
+    .post('/api/budget/expenses')
+    .set('Authorization', await bearerToken(telegramId))
+    .send({ category: 'food', description: 'Dinner', date: '2026-05-02', ...body });
+
+  it('requires a mini app token', async () => {
+    expect((await request(app).get('/api/budget/summary')).status).toBe(401);
+  });
+
+  it('converts expenses to the trip currency by category', async () => {
+    const trip = await createTrip();
+
+    await addExpense({ tripId: trip.id, category: 'accommodation', amount: 300, description: 'Hotel' });
+    await addExpense({ tripId: trip.id, amount: 40, currency: 'USD' });
+    const res = await request(app).get(`/api/budget/summary?tripId=${trip.id}`).set('Authorization', await bearerToken(12345));
+
+    expect(res.status).toBe(200);
+    expect(res.body.trips).toEqual([expect.objectContaining({
+      currency: 'EUR',
+      budget: 1000,
+      spent: 320,
+      remaining: 680,
+      by_category: { accommodation: 300, food: 20 },
+      expense_count: 2,
+      status: 'on_track'
+    })]);
+  });
+
+  it('combines trips in the requested currency', async () => {
+    const paris = await createTrip();
+    const riyadh = await createTrip({ destination: 'Riyadh', budget: 4000, currency: 'SAR' });
+
+    await addExpense({ tripId: paris.id, amount: 100 });
+    await addExpense({ tripId: riyadh.id, amount: 400, category: 'shopping' });
+    const res = await request(app).get('/api/budget/summary?currency=usd').set('Authorization', await bearerToken(12345));
+
+    expect(res.body.trips).toHaveLength(2);
+    expect(res.body.totals).toEqual({
+      currency: 'USD',
+      budget: 3000,
+      spent: 300,
+      remaining: 2700,
+      by_category: { food: 200, shopping: 100 },
+      percent_used: 10,
+      status: 'on_track'
+    });
+  });
+
+  it('pushes an alert to Telegram when an expense crosses a threshold', async () => {
+    const trip = await createTrip();
+
+    const first = await addExpense({ tripId: trip.id, amount: 700 });
+    const second = await addExpense({ tripId: trip.id, amount: 150 });
+    const third = await addExpense({ tripId: trip.id, amount: 50 });
+    const fourth = await addExpense({ tripId: trip.id, amount: 200 });
+
+    expect([first, second, third, fourth].map(res => res.body.alerts.map(alert => alert.level))).toEqual([[], ['warning'], [], ['exceeded']]);
+    expect(fourth.body.summary).toMatchObject({ spent: 1100, remaining: -100, status: 'exceeded' });
+    expect(sendMessage).toHaveBeenCalledTimes(2);
+    expect(sendMessage).toHaveBeenLastCalledWith(12345, expect.stringContaining('1100.00 EUR'));
+  });
+
+  it('keeps the expense when the alert cannot be sent', async () => {
+    sendMessage.mockRejectedValue(new Error('chat not found'));
+    const trip = await createTrip({ budget: 10 });
+
+    const res = await addExpense({ tripId: trip.id, amount: 20 });
+
+    expect(res.status).toBe(201);
+    expect(db.getTable('expenses')).toHaveLength(1);
+  });
+
+  it('lists and deletes only the caller\'s expenses', async () => {
+    const trip = await createTrip();
+    const other = await createTrip({}, 999);
+
+    const { body } = await addExpense({ tripId: trip.id, amount: 10 });
+    expect((await addExpense({ tripId: other.id, amount: 10 })).status).toBe(404);
+    await addExpense({ tripId: other.id, amount: 10 }, 999);
+
+    const list = await request(app).get('/api/budget/expenses').set('Authorization', await bearerToken(12345));
+    expect(list.body.expenses).toEqual([expect.objectContaining({ id: body.expense.id, amount: 10, currency: 'EUR' })]);
+    expect(list.body.pagination.total).toBe(1);
+
+    const stolen = await request(app).delete(`/api/budget/expenses/${body.expense.id}`).set('Authorization', await bearerToken(999));
+    const removed = await request(app).delete(`/api/budget/expenses/${body.expense.id}`).set('Authorization', await bearerToken(12345));
+    expect([stolen.status, removed.status]).toEqual([404, 200]);
+    expect(db.getTable('expenses')).toHaveLength(1);
+  });
+
+  it('answers 404 for an expense ID that is not a UUID without querying', async () => {
+    const from = jest.spyOn(db, 'from');
+
+    const res = await request(app).delete('/api/budget/expenses/not-a-uuid').set('Authorization', await bearerToken(12345));
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, error: 'Expense not found' });
+    expect(from).not.toHaveBeenCalledWith('expenses');
+  });
+
+  it('answers 404 for a trip filter that is not a UUID', async () => {
+    const res = await request(app).get('/api/budget/expenses?tripId=abc').set('Authorization', await bearerToken(12345));
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, error: 'Trip not found' });
+  });
+
+  it('rejects an expense without a trip', async () => {
+    const res = await addExpense({ amount: 10 });
+    expect(res.body).toMatchObject({ success: false, error: 'Trip ID is required' });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Currency Service Tests
+ * Provider failover, rate caching, minor-unit rounding and the callers that use it
+ */
+
+jest.mock('stripe');
+
+const stripeFactory = require('stripe');
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { CurrencyService, currencyService } = require('../../src/currency/currencyService');
+const { StaticRateProvider } = require('../../src/currency/rateProviders');
+const { Tools } = require('../../src/ai/tools');
+const MCPTools = require('../../src/ai/mcpTools');
+const PaymentService = require('../../src/payments/paymentService');
+
+const USD_RATES = { USD: 1, EUR: 0.5, SAR: 4, JPY: 150, KWD: 0.3 };
+
+function fakeProvider(name, rates = USD_RATES) {
+  return {
+    name,
+    getRates: jest.fn(async (base) => {
+      const baseRate = rates[base];
+      if (!baseRate) throw new Error(`no rates for ${base}`);
+      const table = {};
+      for (const [code, rate] of Object.entries(rates)) table[code] = rate / baseRate;
+      return { base, rates: table, asOf: '2026-01-01T00:00:00.000Z' };
+    })
+  };
+}
+
+function failingProvider(name = 'down') {
+  return { name, getRates: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+}
+
+describe('CurrencyService', () => {
+  let clock;
+  let service;
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    service = new CurrencyService({ providers: [fakeProvider('live')], ttlMs: 60_000, now: () => clock });
+  });
+
+  it('converts and rounds to the target currency minor unit', async () => {
+    await expect(service.convert(10, 'usd', 'EUR')).resolves.toMatchObject({
+      from: 'USD', to: 'EUR', rate: 0.5, converted: 5, provider: 'live'
+    });
+    expect((await service.convert(1.234, 'USD', 'JPY')).converted).toBe(185);
+    expect((await service.convert(1.23456, 'USD', 'KWD')).converted).toBe(0.37);
+    expect((await service.convert(7.77, 'EUR', 'SAR')).converted).toBe(62.16);
+  });
+
+  it('caches rate tables with a timestamp until the TTL passes', async () => {
+    const provider = service.providers[0];
+
+    const first = await service.getRates('USD');
+    clock += 30_000;
+    const second = await service.getRates('USD');
+
+    expect(provider.getRates).toHaveBeenCalledTimes(1);
+    expect(second.fetched_at).toBe(first.fetched_at);
+    expect(first).toMatchObject({ base: 'USD', provider: 'live', as_of: '2026-01-01T00:00:00.000Z', stale: false });
+
+    clock += 31_000;
+    await service.getRates('USD');
+    expect(provider.getRates).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the next provider when one fails', async () => {
+    service.setProviders([failingProvider(), new StaticRateProvider()]);
+
+    const quote = await service.getRate('USD', 'SAR');
+    expect(quote).toMatchObject({ provider: 'static', rate: 3.75 });
+  });
+
+  it('serves stale rates when every provider is down', async () => {
+    const live = fakeProvider('live');
+    service.setProviders([live]);
+    await service.getRates('USD');
+
+    live.getRates.mockRejectedValue(new Error('timeout'));
+    clock += 120_000;
+
+    await expect(service.getRates('USD')).resolves.toMatchObject({ provider: 'live', stale: true });
+  });
+
+  it('reports unavailable rates with no cache as 503', async () => {
+    service.setProviders([failingProvider()]);
+    await expect(service.getRates('USD')).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it('rejects invalid and unsupported currencies', async () => {
+    await expect(service.convert(1, 'USD', 'dollars')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.convert(1, 'USD', 'XYZ')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.convert('abc', 'USD', 'EUR')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('does not call providers for same-currency conversions', async () => {
+    await expect(service.convert(12.5, 'EUR', 'eur')).resolves.toMatchObject({ rate: 1, converted: 12.5 });
+    expect(service.providers[0].getRates).not.toHaveBeenCalled();
+  });
+
+  it('handles ISO-4217 minor units', () => {
+    expect(service.toMinorUnits(19.99, 'USD')).toBe(1999);
+    expect(service.toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(service.toMinorUnits(12.345, 'KWD')).toBe(12345);
+    expect(service.round(12.3456, 'BHD')).toBe(12.346);
+    expect(service.format(1500, 'jpy')).toBe('1500 JPY');
+    expect(service.format(2.5, 'KWD')).toBe('2.500 KWD');
+  });
+});
+
+describe('Currency service callers', () => {
+  beforeEach(() => {
+    currencyService.setProviders([fakeProvider('live')]);
+  });
+
+  afterAll(() => {
+    currencyService.setProviders(null);
+  });
+
+  it('converts with live rates in the AI convertCurrency tool', async () => {
+    const result = await Tools.convertCurrency({ amount: 100, from: 'USD', to: 'SAR' });
+    expect(result).toMatchObject({ rate: 4, converted: 400, provider: 'live' });
+    expect(result.fetched_at).toEqual(expect.any(String));
+  });
+
+  it('returns an error from the tool instead of throwing', async () => {
+    const result = await Tools.convertCurrency({ amount: 100, from: 'USD', to: 'XYZ' });
+    expect(result.error).toMatch('Unsupported currency');
+  });
+
+  const mcpTools = () => new MCPTools();
+
+  it('serves MCP currency_rates from the same service', async () => {
+    const tools = mcpTools();
+    const result = await tools.getCurrencyRates({ from_currency: 'EUR', to_currency: 'SAR' });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ base_currency: 'EUR', target_rate: 8, provider: 'live' });
+    expect(result.data.recommendations.length).toBeGreaterThan(0);
+  });
+
+  it('quotes the MCP budget calculator in the requested currency', async () => {
+    const tools = mcpTools();
+    const result = await tools.calculateBudget({ duration: 2, travel_style: 'budget', currency: 'SAR' });
+
+    expect(result.data).toMatchObject({ currency: 'SAR', total_estimated: 800 });
+    expect(result.data.breakdown.accommodation).toBe(320);
+  });
+
+  describe('Stripe payment amounts', () => {
+    let pricesCreate;
+
+    beforeEach(() => {
+      setServiceClient(new MemoryClient());
+      pricesCreate = jest.fn().mockResolvedValue({ id: 'price_1' });
+      stripeFactory.mockImplementation(() => ({
+        prices: { create: pricesCreate },
+        paymentLinks: { create: jest.fn().mockResolvedValue({ id: 'plink_1', url: 'https://buy.stripe.com/test_1' }) }
+      }));
+    });
+
+    it.each([
+      [49.99, 'usd', 4999],
+      [15000, 'JPY', 15000],
+      [12.5, 'KWD', 12500]
+    ])('charges %s %s as %s minor units', async (amount, currency, unitAmount) => {
+      const result = await PaymentService.createStripePayment(amount, currency, 'Trip');
+
+      expect(result.success).toBe(true);
+      expect(pricesCreate).toHaveBeenCalledWith(expect.objectContaining({
+        unit_amount: unitAmount,
+        currency: currency.toLowerCase()
+      }));
+      expect(result.data.currency).toBe(currency.toUpperCase());
+    });
+
+    it('rejects invalid currency codes before calling Stripe', async () => {
+      const result = await PaymentService.createStripePayment(10, 'dollars', 'Trip');
+
+      expect(result.success).toBe(false);
+      expect(pricesCreate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Destinations Catalog Tests
+ * Search, filters, details and JSON/CSV import for /api/destinations
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { DestinationService, destinationService } = require('../../src/destinations/destinationService');
+const { parseCsv, parseCatalog, readCatalogFile, DEFAULT_CATALOG_PATH } = require('../../src/destinations/catalogFile');
+const { Tools } = require('../../src/ai/tools');
+const destinationRoutes = require('../../routes/destinations');
+
+describe('DestinationService records', () => {
+  it('expands best months from ranges, including ones that wrap the year', () => {
+    expect(DestinationService.parseMonths('Mar-May, Sep-Nov')).toEqual([3, 4, 5, 9, 10, 11]);
+    expect(DestinationService.parseMonths('Nov-Feb')).toEqual([1, 2, 11, 12]);
+    expect(DestinationService.parseMonths(['june', 7])).toEqual([6, 7]);
+    expect(DestinationService.formatMonths([1, 2, 11, 12])).toBe('Nov-Feb');
+    expect(() => DestinationService.parseMonths('Spring')).toThrow('Invalid month range: Spring');
+  });
+
+  it('normalizes import records into catalog rows', () => {
+    expect(DestinationService.normalize({
+      name: ' Kuala Lumpur ',
+      country: 'Malaysia',
+      description: 'Food capital',
+      rating: '4.5',
+      price_range: '$',
+      best_months: '5-7',
+      halal_friendly: 'yes',
+      tags: 'city; food',
+      unknown: 'dropped'
+    })).toEqual({
+      slug: 'kuala-lumpur-malaysia',
+      name: 'Kuala Lumpur',
+      country: 'Malaysia',
+      description: 'Food capital',
+      rating: 4.5,
+      price_range: '$',
+      best_months: [5, 6, 7],
+      best_time: 'May-Jul',
+      halal_friendly: true,
+      tags: ['city', 'food']
+    });
+    expect(() => DestinationService.normalize({ name: 'Nowhere', country: 'X', description: 'x', price_range: 'cheap' })).toThrow('Price range must be one of');
+  });
+
+  it('parses quoted CSV fields', () => {
+    const csv = 'name,country,description,best_time\r\n"Cairo",Egypt,"Pyramids, museums and the ""Nile""",Oct-Apr\r\n\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      { name: 'Cairo', country: 'Egypt', description: 'Pyramids, museums and the "Nile"', best_time: 'Oct-Apr' }
+    ]);
+    expect(() => parseCsv('name\n"open')).toThrow('CSV has an unterminated quoted field');
+    expect(() => parseCatalog('{"items": []}', 'json')).toThrow('must be an array');
+  });
+});
+
+describe('Destination routes', () => {
+  let app;
+  let db;
+
+  beforeAll(async () => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    await destinationService.importDestinations(await readCatalogFile(DEFAULT_CATALOG_PATH));
+
+    app = express();
+    app.use('/api/destinations', destinationRoutes);
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const names = res => res.body.destinations.map(destination => destination.name);
+
+  it('imports the bundled catalog', () => {
+    expect(db.getTable('destinations')).toHaveLength(12);
+  });
+
+  it('lists destinations by rating with pagination', async () => {
+    const res = await request(app).get('/api/destinations?limit=3');
+
+    expect(names(res)).toEqual(['Maldives', 'Paris', 'Santorini']);
+    expect(res.body.pagination).toEqual({ limit: 3, offset: 0, total: 12, has_more: true });
+  });
+
+  it('searches by prefix across name, country and description', async () => {
+    expect(names(await request(app).get('/api/destinations/search?q=kuala lum'))).toEqual(['Kuala Lumpur']);
+    expect(names(await request(app).get('/api/destinations/search?q=pyramids'))).toEqual(['Cairo']);
+    expect(names(await request(app).get('/api/destinations?q=japan'))).toEqual(['Tokyo']);
+  });
+
+  it('filters by region, price range, month and halal-friendliness', async () => {
+    const res = await request(app)
+      .get('/api/destinations')
+      .query({ region: 'africa', price_range: '$,$$', month: 'jan', halal_friendly: 'true', sort: 'name' });
+
+    expect(names(res)).toEqual(['Cairo']);
+    expect(names(await request(app).get('/api/destinations?month=7&halal_friendly=true&sort=name'))).toEqual(['Kuala Lumpur']);
+  });
+
+  it('rejects unknown filter values', async () => {
+    expect((await request(app).get('/api/destinations?price_range=cheap')).status).toBe(400);
+    expect((await request(app).get('/api/destinations?month=spring')).status).toBe(400);
+    expect((await request(app).get('/api/destinations?sort=popularity')).status).toBe(400);
+  });
+
+  it('returns a destination by slug or ID', async () => {
+    const bySlug = await request(app).get('/api/destinations/alula-saudi-arabia');
+    const byId = await request(app).get(`/api/destinations/${bySlug.body.destination.id}`);
+
+    expect(bySlug.body.destination).toMatchObject({ name: 'AlUla', best_months: [1, 2, 3, 10, 11, 12], halal_friendly: true });
+    expect(byId.body.destination.slug).toBe('alula-saudi-arabia');
+    expect((await request(app).get('/api/destinations/atlantis')).status).toBe(404);
+  });
+
+  it('updates existing destinations on re-import and reports bad records', async () => {
+    const result = await destinationService.importDestinations([
+      { name: 'Cairo', country: 'Egypt', description: 'Updated', rating: 4.6 },
+      { name: 'Nowhere' }
+    ]);
+
+    expect(result).toEqual({ imported: 1, skipped: [{ index: 1, name: 'Nowhere', error: 'Name, country and description are required' }] });
+    expect(db.getTable('destinations')).toHaveLength(12);
+    expect((await request(app).get('/api/destinations/cairo-egypt')).body.destination).toMatchObject({ rating: 4.6, best_time: 'Oct-Apr' });
+  });
+
+  it('backs the agent searchDestinations tool', async () => {
+    const result = await Tools.searchDestinations({ query: 'istanbul' });
+    expect(result.results).toEqual([expect.objectContaining({ name: 'Istanbul', country: 'Turkey', halal_friendly: true })]);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Insight Scheduler Tests
+ * Opt-in subscriptions, planning of price-drop, pre-departure and weather pushes,
+ * quiet hours in the user's timezone, daily caps and unsubscribing
+ */
+
+const MemoryClient = require('../../database/memoryClient');
+const { InsightScheduler, classifyForecast } = require('../../src/insights/insightScheduler');
+
+const USER = 111;
+const OTHER_USER = 222;
+const HOUR = 60 * 60 * 1000;
+
+describe('InsightScheduler', () => {
+  let db;
+  let clock;
+  let bot;
+  let tools;
+  let scheduler;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    // 12:00 in Riyadh
+    clock = Date.parse('2026-10-19T09:00:00Z');
+    bot = { sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }) };
+    tools = { getWeatherData: jest.fn().mockResolvedValue({ success: false }) };
+    scheduler = new InsightScheduler({
+      client: db,
+      telegram: { getBot: () => bot },
+      tools,
+      now: () => clock,
+      preDepartureDays: [7, 1],
+      priceDropPercent: 5
+    });
+  });
+
+  const jobs = () => db.getTable('insight_jobs');
+  const forecast = (temperature, precipitation = 0) => ({
+    success: true,
+    data: { current_weather: { temperature }, forecast: [{ temperature, precipitation, description: '' }] }
+  });
+
+  const seed = async () => {
+    await db.from('travel_offers').insert([
+      { id: 'offer-1', title: 'عرض تركيا', destination: 'تركيا', duration_days: 7, price: 1800, currency: 'SAR', is_active: true },
+      { id: 'offer-2', title: 'عرض دبي', destination: 'دبي', duration_days: 4, price: 990, currency: 'SAR', is_active: true }
+    ]);
+    await db.from('offer_interactions').insert([
+      { telegram_id: USER, offer_id: 'offer-1', interaction_type: 'view', price: 2000, timestamp: new Date(clock - 2 * 24 * HOUR).toISOString() },
+      // A 1% drop is not worth a push
+      { telegram_id: USER, offer_id: 'offer-2', interaction_type: 'click', price: 1000, timestamp: new Date(clock - HOUR).toISOString() },
+      // Not subscribed
+      { telegram_id: OTHER_USER, offer_id: 'offer-1', interaction_type: 'view', price: 2500, timestamp: new Date(clock - HOUR).toISOString() }
+    ]);
+  };
+
+  it('keeps opt-in settings and validates them', async () => {
+    const subscription = await scheduler.subscribe(USER);
+    expect(subscription).toMatchObject({ telegram_id: USER, enabled: true, timezone: 'Asia/Riyadh', quiet_start: 22, quiet_end: 8, max_per_day: 2 });
+
+    await scheduler.updateSettings(USER, { timezone: 'Europe/London', quietStart: 23, quietEnd: 7, maxPerDay: 3 });
+    await expect(scheduler.updateSettings(USER, { timezone: 'Mars/Olympus' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(scheduler.updateSettings(USER, { quietStart: 24 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(scheduler.updateSettings(OTHER_USER, { maxPerDay: 1 })).rejects.toMatchObject({ statusCode: 404 });
+
+    // Subscribing again keeps the earlier settings
+    expect(await scheduler.unsubscribe(USER)).toBe(true);
+    expect(await scheduler.unsubscribe(USER)).toBe(false);
+    expect(await scheduler.subscribe(USER)).toMatchObject({ enabled: true, timezone: 'Europe/London', max_per_day: 3 });
+  });
+
+  it('pushes price drops on viewed offers once', async () => {
+    await seed();
+    await scheduler.subscribe(USER);
+
+    const first = await scheduler.run();
+    expect(first).toMatchObject({ planned: { price_drop: 1, pre_departure: 0, weather: 0 }, sent: 1 });
+
+    const [chatId, text, options] = bot.sendMessage.mock.calls[0];
+    expect(chatId).toBe(USER);
+    expect(text).toContain('عرض تركيا');
+    expect(text).toContain('1800.00 SAR');
+    expect(text).toContain('2000.00 SAR');
+    expect(text).toContain('/unsubscribe');
+    expect(options.reply_markup.inline_keyboard[0][0].callback_data).toBe('offer_offer-1');
+
+    const second = await scheduler.run();
+    expect(second).toMatchObject({ planned: { price_drop: 0 }, sent: 0 });
+    expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+
+    // Booking the offer ends the interest in it
+    await db.from('travel_offers').update({ price: 1500 }).eq('id', 'offer-1');
+    await db.from('offer_interactions').insert({ telegram_id: USER, offer_id: 'offer-1', interaction_type: 'book', timestamp: new Date(clock).toISOString() });
+    expect((await scheduler.planJobs()).price_drop).toBe(0);
+  });
+
+  it('sends pre-departure checklists and weather changes for confirmed trips', async () => {
+    await scheduler.subscribe(USER);
+    await db.from('bookings').insert([
+      { id: 'booking-1', telegram_id: USER, status: 'confirmed', destination: 'Istanbul', start_date: '2026-10-24', booking_reference: 'MAYA-0000AAAA' },
+      { id: 'booking-2', telegram_id: USER, status: 'pending', destination: 'Dubai', start_date: '2026-10-22' }
+    ]);
+    tools.getWeatherData.mockResolvedValue(forecast(22));
+
+    const first = await scheduler.run();
+    expect(first.planned).toEqual({ price_drop: 0, pre_departure: 1, weather: 0 });
+    expect(bot.sendMessage.mock.calls[0][1]).toContain('جواز السفر');
+    expect(db.getTable('insight_forecasts')[0]).toMatchObject({ booking_id: 'booking-1', condition: 'fair' });
+    expect(tools.getWeatherData).toHaveBeenCalledTimes(1);
+
+    // Rain is now forecast
+    clock += 6 * HOUR;
+    tools.getWeatherData.mockResolvedValue(forecast(18, 6));
+    const second = await scheduler.run();
+    expect(second.planned).toEqual({ price_drop: 0, pre_departure: 0, weather: 1 });
+    expect(bot.sendMessage.mock.calls[1][1]).toContain('🌧️ أمطار');
+
+    // The day before departure
+    clock = Date.parse('2026-10-23T09:00:00Z');
+    expect((await scheduler.planJobs()).pre_departure).toBe(1);
+    expect(jobs().map(job => job.dedupe_key)).toContain('pre_departure:booking-1:1');
+  });
+
+  it('holds pushes during quiet hours and over the daily cap', async () => {
+    await seed();
+    await scheduler.subscribe(USER, { maxPerDay: 1 });
+    await scheduler.enqueue({ telegram_id: USER, kind: 'pre_departure', dedupe_key: 'pre_departure:booking-9:7', payload: { destination: 'Istanbul', start_date: '2026-10-30', checklist: 'week' } });
+
+    // 23:30 in Riyadh: quiet until 08:00
+    clock = Date.parse('2026-10-19T20:30:00Z');
+    const quiet = await scheduler.run();
+    expect(quiet).toMatchObject({ sent: 0, deferred: 2 });
+    expect(jobs().every(job => job.send_after === '2026-10-20T05:00:00.000Z')).toBe(true);
+
+    clock = Date.parse('2026-10-20T05:00:00Z');
+    const morning = await scheduler.run();
+    expect(morning).toMatchObject({ sent: 1, deferred: 1 });
+    const held = jobs().find(job => job.status === 'pending');
+    expect(held.send_after).toBe('2026-10-21T05:00:00.000Z');
+
+    clock = Date.parse('2026-10-21T05:00:00Z');
+    expect(await scheduler.dispatchDue()).toMatchObject({ sent: 1 });
+  });
+
+  it('stops pushes for users who unsubscribe or block the bot', async () => {
+    await seed();
+    await scheduler.subscribe(USER);
+    await scheduler.planJobs();
+
+    await scheduler.unsubscribe(USER);
+    expect(jobs()[0]).toMatchObject({ status: 'skipped', last_error: 'Unsubscribed' });
+    expect(await scheduler.run()).toMatchObject({ planned: { price_drop: 0 }, sent: 0 });
+
+    await scheduler.subscribe(USER);
+    await db.from('travel_offers').update({ price: 1500 }).eq('id', 'offer-1');
+    const blocked = new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user');
+    blocked.response = { statusCode: 403 };
+    bot.sendMessage.mockRejectedValue(blocked);
+
+    expect(await scheduler.run()).toMatchObject({ failed: 1 });
+    expect((await scheduler.getSubscription(USER)).enabled).toBe(false);
+  });
+
+  it('classifies forecasts into coarse conditions', () => {
+    expect(classifyForecast([])).toBeNull();
+    expect(classifyForecast([{ temperature: 25, precipitation: 0, description: 'عواصف رعدية' }])).toBe('storm');
+    expect(classifyForecast([{ temperature: 25, precipitation: 0.4 }, { temperature: 24, precipitation: 0.8 }])).toBe('rain');
+    expect(classifyForecast([{ temperature: 43 }])).toBe('heat');
+    expect(classifyForecast([{ temperature: 2 }])).toBe('cold');
+    expect(classifyForecast([{ temperature: 21 }])).toBe('fair');
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Tool Registry and MCP Server Tests
+ * One registry for the agent and MCP clients, JSON-RPC handling, stdio and HTTP transports
+ */
+
+const { PassThrough } = require('stream');
+const express = require('express');
+const request = require('supertest');
+
+const MCPTools = require('../../src/ai/mcpTools');
+const { ToolRegistry, toolRegistry } = require('../../src/ai/toolRegistry');
+const { MCPServer, JSONRPC_ERRORS } = require('../../src/mcp/mcpServer');
+const { serveStdio } = require('../../src/mcp/stdioTransport');
+
+const rpc = (id, method, params) => ({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+
+function createRegistry() {
+  return new ToolRegistry()
+    .register({
+      name: 'nights',
+      description: 'Count nights',
+      inputSchema: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' } }, required: ['from', 'to'] },
+      handler: async ({ from, to }) => ({ nights: (Date.parse(to) - Date.parse(from)) / 86400000 })
+    })
+    .register({
+      name: 'flaky',
+      description: 'Always fails',
+      handler: async () => ({ success: false, error: 'upstream unavailable' })
+    });
+}
+
+describe('MCPTools', () => {
+  it('implements every tool it declares', () => {
+    const tools = new MCPTools();
+
+    for (const tool of tools.getToolDefinitions()) {
+      expect(typeof tool.handler).toBe('function');
+      expect(tool.inputSchema.type).toBe('object');
+    }
+    expect(Object.keys(tools.tools)).toEqual(expect.arrayContaining(['local_restaurants', 'public_transport', 'safety_alerts']));
+  });
+
+  it('spreads the itinerary days over the destinations', async () => {
+    const result = await new MCPTools().optimizeItinerary({ destinations: ['Istanbul', 'Cappadocia'], duration: 4 });
+
+    expect(Object.keys(result.data.itinerary)).toEqual(['day1', 'day2', 'day3', 'day4']);
+    expect(Object.values(result.data.itinerary).map(day => day.location)).toEqual(['Istanbul', 'Istanbul', 'Cappadocia', 'Cappadocia']);
+  });
+
+  it('returns visa details with recommendations', async () => {
+    const result = await new MCPTools().getVisaRequirements({ destination: 'UK' });
+
+    expect(result.data).toMatchObject({ destination: 'UK', visa_required: true, cost: '£95' });
+    expect(result.data.recommendations.length).toBeGreaterThan(0);
+  });
+});
+
+describe('ToolRegistry', () => {
+  it('holds the agent tools and the MCP tools under unique names', () => {
+    const names = toolRegistry.list().map(tool => tool.name);
+
+    expect(names).toEqual(expect.arrayContaining(['getWeather', 'getSafetyInfo', 'budget_calculator', 'prayer_times']));
+    expect(new Set(names).size).toBe(names.length);
+    expect(toolRegistry.getSchemas()[0]).toEqual(expect.objectContaining({ name: 'getWeather', parameters: expect.any(Object) }));
+  });
+
+  it('validates arguments before running a tool', async () => {
+    const registry = createRegistry();
+
+    expect(await registry.call('nights', { from: '2026-03-01', to: '2026-03-04' })).toEqual({ status: 'ok', result: { nights: 3 } });
+    expect(await registry.call('nights', { from: 20260301 })).toEqual({
+      status: 'invalid_arguments',
+      error: 'to is required; from must be of type string'
+    });
+    expect(await registry.call('hotels', {})).toMatchObject({ status: 'unknown_tool' });
+  });
+
+  it('reports failed results and thrown errors', async () => {
+    const registry = createRegistry().register({
+      name: 'broken',
+      handler: async () => { throw new Error('timeout'); }
+    });
+
+    expect(await registry.call('flaky')).toMatchObject({ status: 'error', error: 'upstream unavailable' });
+    expect(await registry.call('broken')).toEqual({ status: 'error', error: 'timeout' });
+  });
+
+  it('rejects duplicate tool names', () => {
+    expect(() => createRegistry().register({ name: 'nights', handler: async () => ({}) })).toThrow('Tool already registered: nights');
+  });
+});
+
+describe('MCPServer', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new MCPServer({ registry: createRegistry() });
+  });
+
+  it('negotiates the protocol version on initialize', async () => {
+    const known = await server.handleMessage(rpc(1, 'initialize', { protocolVersion: '2025-03-26' }));
+    const unknown = await server.handleMessage(rpc(2, 'initialize', { protocolVersion: '1999-01-01' }));
+
+    expect(known.result).toMatchObject({
+      protocolVersion: '2025-03-26',
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'maya-travel-agent' }
+    });
+    expect(unknown.result.protocolVersion).toBe('2025-06-18');
+  });
+
+  it('lists tools with their input schemas', async () => {
+    const response = await server.handleMessage(rpc(1, 'tools/list'));
+
+    expect(response.result.tools).toEqual([
+      expect.objectContaining({ name: 'nights', inputSchema: expect.objectContaining({ required: ['from', 'to'] }) }),
+      expect.objectContaining({ name: 'flaky' })
+    ]);
+  });
+
+  it('calls a tool and returns text and structured content', async () => {
+    const response = await server.handleMessage(rpc(7, 'tools/call', { name: 'nights', arguments: { from: '2026-03-01', to: '2026-03-03' } }));
+
+    expect(response).toEqual({
+      jsonrpc: '2.0',
+      id: 7,
+      result: { content: [{ type: 'text', text: '{"nights":2}' }], structuredContent: { nights: 2 }, isError: false }
+    });
+  });
+
+  it('reports bad arguments and tool failures as tool errors', async () => {
+    const invalid = await server.handleMessage(rpc(1, 'tools/call', { name: 'nights', arguments: {} }));
+    const failed = await server.handleMessage(rpc(2, 'tools/call', { name: 'flaky' }));
+
+    expect(invalid.result).toMatchObject({ isError: true, content: [{ type: 'text', text: 'Invalid arguments: from is required; to is required' }] });
+    expect(failed.result).toMatchObject({ isError: true, structuredContent: { error: 'upstream unavailable' } });
+  });
+
+  it('answers protocol errors with JSON-RPC error codes', async () => {
+    expect((await server.handleMessage(rpc(1, 'tools/call', { name: 'hotels' }))).error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    expect((await server.handleMessage(rpc(2, 'resources/list'))).error.code).toBe(JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    expect((await server.handleMessage({ id: 3, method: 'ping' })).error).toEqual({ code: JSONRPC_ERRORS.INVALID_REQUEST, message: 'Invalid Request' });
+    expect((await server.handleRaw('{not json')).error.code).toBe(JSONRPC_ERRORS.PARSE_ERROR);
+  });
+
+  it('does not answer notifications', async () => {
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+  });
+
+  it('serves newline-delimited messages over stdio in order', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const served = serveStdio(server, { input, output });
+
+    input.write(`${JSON.stringify(rpc(1, 'ping'))}\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n\n`);
+    input.end(`${JSON.stringify(rpc(2, 'tools/call', { name: 'nights', arguments: { from: '2026-01-01', to: '2026-01-08' } }))}\n`);
+    await served;
+
+    const replies = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(replies).toEqual([
+      { jsonrpc: '2.0', id: 1, result: {} },
+      expect.objectContaining({ id: 2, result: expect.objectContaining({ structuredContent: { nights: 7 } }) })
+    ]);
+  });
+});
+
+describe('POST /api/mcp', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.MCP_API_KEY = 'mcp-secret';
+    app = express();
+    app.use(express.json());
+    app.use('/api/mcp', require('../../routes/mcp'));
+  });
+
+  afterEach(() => {
+    delete process.env.MCP_API_KEY;
+  });
+
+  it('answers JSON-RPC requests with the shared registry', async () => {
+    const res = await request(app).post('/api/mcp').set('Authorization', 'Bearer mcp-secret').send(rpc(1, 'tools/call', { name: 'getSafetyInfo', arguments: { destination: 'Marrakesh' } }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({ isError: false, structuredContent: { destination: 'Marrakesh' } });
+  });
+
+  it('accepts notifications with 202', async () => {
+    const res = await request(app).post('/api/mcp').set('Authorization', 'Bearer mcp-secret').send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    expect(res.status).toBe(202);
+  });
+
+  it('requires the bearer key', async () => {
+    const denied = await request(app).post('/api/mcp').send(rpc(1, 'ping'));
+    const allowed = await request(app).post('/api/mcp').set('Authorization', 'Bearer mcp-secret').send(rpc(1, 'ping'));
+
+    expect(denied.status).toBe(401);
+    expect(allowed.body).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+  });
+
+  it('stays closed until MCP_API_KEY is set', async () => {
+    delete process.env.MCP_API_KEY;
+
+    const res = await request(app).post('/api/mcp').set('Authorization', 'Bearer ').send(rpc(1, 'ping'));
+    expect(res.status).toBe(503);
+  });
+
+  it('rejects GET since the server never streams', async () => {
+    const res = await request(app).get('/api/mcp');
+    expect(res.status).toBe(405);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Message Understanding Tests
+ * The keyword rules against the labeled evaluation set (fixtures/nlu-eval.json),
+ * the AI reading with its JSON schema and the fallback to the rules, and the
+ * persona and conversation manager built on them
+ */
+
+const evaluationSet = require('./fixtures/nlu-eval.json');
+const MockAIProvider = require('../../src/ai/mockProvider');
+const MayaPersona = require('../../src/ai/mayaPersona');
+const { NLU, analyzeWithRules, INTENTS } = require('../../src/ai/nlu');
+const { ConversationManager } = require('../../utils/conversationManager');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+// Share of the labels the rules must get right
+const MIN_INTENT_ACCURACY = 0.9;
+const MIN_ENTITY_ACCURACY = 0.9;
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+describe('NLU evaluation set', () => {
+  const results = evaluationSet.map(example => ({ example, analysis: analyzeWithRules(example.text, { now: NOW }) }));
+
+  it('labels every example with a known intent', () => {
+    for (const { example } of results) {
+      expect(INTENTS).toContain(example.intent);
+    }
+  });
+
+  it(`gets at least ${MIN_INTENT_ACCURACY * 100}% of the intents right with the keyword rules`, () => {
+    const misses = results
+      .filter(({ example, analysis }) => analysis.intent !== example.intent)
+      .map(({ example, analysis }) => `${example.text} → ${analysis.intent} (expected ${example.intent})`);
+
+    // Lists the misses when the accuracy is too low
+    expect(1 - misses.length / results.length >= MIN_INTENT_ACCURACY ? [] : misses).toEqual([]);
+  });
+
+  it(`gets at least ${MIN_ENTITY_ACCURACY * 100}% of the labeled entities, emotions and urgencies right`, () => {
+    let labels = 0;
+    const misses = [];
+    for (const { example, analysis } of results) {
+      const expected = { ...example.entities };
+      const actual = { ...analysis.entities };
+      for (const field of ['emotion', 'urgency']) {
+        if (example[field]) {
+          expected[field] = example[field];
+          actual[field] = analysis[field];
+        }
+      }
+      for (const [field, value] of Object.entries(expected)) {
+        labels += 1;
+        if (!same(actual[field], value)) misses.push(`${example.text}: ${field} ${JSON.stringify(actual[field])}`);
+      }
+    }
+
+    expect(labels).toBeGreaterThan(40);
+    expect(1 - misses.length / labels >= MIN_ENTITY_ACCURACY ? [] : misses).toEqual([]);
+  });
+
+  it('never reads a refusal as a trip request', () => {
+    const refusals = ['لا أريد رحلة', 'لا أريد السفر إلى تركيا', 'مش عايز أسافر', 'ما بدي سافر', "I don't want to travel", 'we do not want a trip to Dubai'];
+    for (const text of refusals) {
+      expect([text, analyzeWithRules(text).intent]).not.toEqual([text, 'trip_planning']);
+    }
+  });
+});
+
+describe('NLU with an AI provider', () => {
+  const reply = (body) => ({ intent: 'trip_planning', confidence: 0.92, emotion: 'excited', urgency: 'low', ...body });
+
+  it('asks for JSON against the schema and uses the answer', async () => {
+    const ai = new MockAIProvider({
+      responses: ['```json\n' + JSON.stringify(reply({
+        entities: {
+          destination: 'Dubai',
+          startDate: '2027-03-01',
+          endDate: 'early April',
+          days: null,
+          budget: { amount: 3000, currency: 'usd' },
+          travelers: 99,
+          interests: []
+        }
+      })) + '\n```']
+    });
+    const nlu = new NLU({ ai, now: () => NOW });
+
+    const result = await nlu.analyze('ودي أروح دبي مع ٣ أشخاص، نحب التسوق');
+
+    expect(result).toMatchObject({
+      source: 'ai',
+      intent: 'trip_planning',
+      confidence: 0.92,
+      emotion: 'excited',
+      entities: {
+        // Known places in their Arabic form
+        destination: 'دبي',
+        startDate: '2027-03-01',
+        // Malformed values are dropped, then filled in from the rules where they have one
+        endDate: null,
+        budget: { amount: 3000, currency: 'USD' },
+        travelers: 3,
+        interests: ['تسوق']
+      }
+    });
+
+    const [{ messages, options }] = ai.calls;
+    expect(options).toMatchObject({ temperature: 0, jsonSchema: expect.objectContaining({ required: ['intent', 'confidence', 'entities'] }) });
+    expect(messages[0].content).toContain('today is 2026-10-19');
+    expect(messages[1]).toEqual({ role: 'user', content: 'ودي أروح دبي مع ٣ أشخاص، نحب التسوق' });
+  });
+
+  it('lets the model decide what the rules cannot', async () => {
+    const ai = new MockAIProvider({
+      responses: [JSON.stringify(reply({ intent: 'general_inquiry', confidence: 0.8, entities: { destination: 'Tokyo' } }))]
+    });
+
+    const result = await new NLU({ ai }).analyze('يمكن نفكر في طوكيو بعدين، مو الحين');
+
+    expect(result).toMatchObject({ source: 'ai', intent: 'general_inquiry', entities: { destination: 'Tokyo' } });
+  });
+
+  it('falls back to the rules when the reply does not fit the schema', async () => {
+    const replies = [
+      'أنصحك بزيارة دبي في الشتاء.',
+      JSON.stringify(reply({ intent: 'book_flight', entities: {} })),
+      JSON.stringify(reply({ confidence: 'high', entities: {} })),
+      JSON.stringify({ intent: 'trip_planning' })
+    ];
+    const ai = new MockAIProvider({ responses: replies });
+    const nlu = new NLU({ ai, now: () => NOW });
+
+    for (let i = 0; i < replies.length; i++) {
+      const result = await nlu.analyze('أريد السفر إلى دبي لشخصين');
+      expect(result).toMatchObject({ source: 'rules', intent: 'trip_planning', entities: { destination: 'دبي', travelers: 2 } });
+    }
+    expect(ai.calls).toHaveLength(replies.length);
+  });
+
+  it('falls back to the rules offline or when the provider fails', async () => {
+    const failing = new MockAIProvider({ fail: true });
+    const throwing = new MockAIProvider({ responses: [new Error('socket hang up')] });
+    const unconfigured = Object.assign(new MockAIProvider(), { isConfigured: () => false });
+
+    for (const ai of [null, failing, throwing, unconfigured]) {
+      const result = await new NLU({ ai }).analyze('I want to plan a trip to Turkey');
+      expect(result).toMatchObject({ source: 'rules', intent: 'trip_planning', entities: { destination: 'تركيا' } });
+    }
+    expect(unconfigured.calls).toHaveLength(0);
+  });
+});
+
+describe('NLU users', () => {
+  it('detects intent, emotion and urgency in English and dialect in the persona', async () => {
+    const persona = new MayaPersona({ nlu: new NLU({ ai: null }) });
+
+    expect(persona.detectIntent('I want to plan a trip to Dubai')).toBe('trip_planning');
+    expect(persona.detectIntent('بكام الرحلة لشرم الشيخ؟')).toBe('budget_inquiry');
+    expect(persona.detectIntent('لا أريد رحلة')).toBe('general_inquiry');
+    expect(persona.detectEmotion("I'm worried it's too expensive")).toBe('concerned');
+    expect(persona.detectUrgency('I need a hotel tonight')).toBe('high');
+
+    const context = await persona.analyzeMessage('عايز أسافر مصر أسبوع');
+    expect(context).toMatchObject({
+      intent: 'trip_planning',
+      entities: { destination: 'مصر', days: 7 },
+      suggested_approach: 'structured_planning',
+      data_to_collect: expect.arrayContaining(['travel_dates'])
+    });
+  });
+
+  it('keeps the conversation manager intent shape', () => {
+    const conversations = new ConversationManager({ db: {}, nlu: new NLU({ ai: null }) });
+
+    expect(conversations.analyzeIntent('أريد السفر إلى تركيا')).toMatchObject({
+      intent: 'trip_planning',
+      destination: 'تركيا',
+      hasBudgetIntent: false,
+      hasDateIntent: false,
+      isQuestion: false
+    });
+    expect(conversations.analyzeIntent('How much is a week in Istanbul?')).toMatchObject({
+      intent: 'budget_inquiry',
+      destination: 'إسطنبول',
+      hasBudgetIntent: true,
+      hasDateIntent: true,
+      isQuestion: true
+    });
+    expect(conversations.analyzeIntent('مرحبا كيف حالك؟')).toMatchObject({ isGreeting: true });
+    expect(conversations.analyzeIntent('أريد رحلة شاطئ ومغامرة')).toMatchObject({ activity: 'شاطئ' });
+    expect(conversations.analyzeIntent('')).toMatchObject({ destination: null, hasBudgetIntent: false, hasDateIntent: false });
+  });
+
+  it('decides the next conversation step with the AI reading', async () => {
+    const ai = new MockAIProvider({
+      responses: [JSON.stringify({ intent: 'trip_planning', confidence: 0.9, entities: { destination: 'Tbilisi' } })]
+    });
+    const conversations = new ConversationManager({ db: {}, nlu: new NLU({ ai }) });
+    conversations.activeConversations.set(1, { state: conversations.states.IDLE, data: {}, history: [], lastActivity: Date.now() });
+
+    // The rules know no destination here; the model does
+    await expect(conversations.getNextAction(1, 'ودي أروح تبليسي')).resolves.toMatchObject({
+      action: 'collect_dates',
+      data: { destination: 'Tbilisi' }
+    });
+    expect(ai.calls).toHaveLength(1);
+  });
+
+  it('describes the message for the system prompt', async () => {
+    const persona = new MayaPersona({ nlu: new NLU({ ai: null }) });
+
+    const context = await persona.generateContextualResponse('عايز أسافر مصر أسبوع');
+
+    expect(persona.describeMessage(context)).toBe(
+      'CURRENT MESSAGE: intent trip_planning, emotion neutral, urgency low. Approach: structured_planning.\nDETAILS GIVEN: destination: مصر, days: 7'
+    );
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Payment Ledger Tests
+ * Exercises ledger transitions and the payment routes against the in-memory Supabase stand-in
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken, profileId } = require('../utils/authTokens');
+
+jest.mock('stripe');
+
+const stripeFactory = require('stripe');
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { PaymentLedger, PAYMENT_STATUSES } = require('../../src/payments/paymentLedger');
+const PaymentService = require('../../src/payments/paymentService');
+const { telegramPayments } = require('../../src/payments/telegramPayments');
+const { paypalClient } = require('../../src/payments/paypalClient');
+const paymentRoutes = require('../../routes/payment');
+
+// PayPal orders are exercised against the mock server in paypal-checkout.test.js
+function stubPayPalOrders() {
+  jest.spyOn(paypalClient, 'createOrder').mockResolvedValue({
+    id: 'ORDER-1',
+    status: 'PAYER_ACTION_REQUIRED',
+    links: [{ rel: 'payer-action', href: 'https://www.sandbox.paypal.com/checkoutnow?token=ORDER-1' }]
+  });
+}
+
+describe('Payment Ledger', () => {
+  let db;
+  let ledger;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    ledger = new PaymentLedger(db);
+  });
+
+  it('records new payments in the created state', async () => {
+    const payment = await ledger.record({
+      paymentMethod: 'stripe',
+      providerPaymentId: 'plink_123',
+      amount: 250,
+      currency: 'usd',
+      description: 'Istanbul trip'
+    });
+
+    expect(payment.id).toBeDefined();
+    expect(payment.status).toBe(PAYMENT_STATUSES.CREATED);
+    expect(payment.currency).toBe('USD');
+    expect(payment.status_history).toHaveLength(1);
+  });
+
+  it('walks created -> pending -> succeeded -> refunded', async () => {
+    const payment = await ledger.record({ paymentMethod: 'paypal', amount: 100 });
+
+    await ledger.transition(payment.id, 'pending');
+    await ledger.transition(payment.id, 'succeeded');
+    const refunded = await ledger.transition(payment.id, 'refunded', { reason: 'customer_request' });
+
+    expect(refunded.status).toBe('refunded');
+    expect(refunded.status_history.map(h => h.status)).toEqual(['created', 'pending', 'succeeded', 'refunded']);
+    expect(refunded.status_history[3].reason).toBe('customer_request');
+  });
+
+  it('rejects transitions that skip the state machine', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', amount: 100 });
+
+    await expect(ledger.transition(payment.id, 'refunded')).rejects.toMatchObject({ statusCode: 409 });
+    await ledger.transition(payment.id, 'failed');
+    await expect(ledger.transition(payment.id, 'succeeded')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('returns 404 errors for unknown payments', async () => {
+    await expect(
+      ledger.transition('7f1c7a4e-2f1d-4c53-9d51-1c5d1b9d2a10', 'pending')
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('confirms through pending and is idempotent', async () => {
+    const payment = await ledger.record({ paymentMethod: 'telegram', amount: 40 });
+
+    const first = await ledger.confirm(payment.id);
+    const second = await ledger.confirm(payment.id);
+
+    expect(first.status).toBe('succeeded');
+    expect(second.status_history).toHaveLength(3);
+  });
+
+  it('resolves payments by ledger or provider ID', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_abc', amount: 10 });
+
+    expect((await ledger.resolve(payment.id)).id).toBe(payment.id);
+    expect((await ledger.resolve('plink_abc')).id).toBe(payment.id);
+    expect(await ledger.resolve('plink_missing')).toBeNull();
+  });
+});
+
+describe('PaymentService ledger integration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    stripeFactory.mockImplementation(() => ({
+      prices: { create: jest.fn().mockResolvedValue({ id: 'price_1' }) },
+      paymentLinks: {
+        create: jest.fn().mockResolvedValue({ id: 'plink_1', url: 'https://buy.stripe.com/test_1' })
+      }
+    }));
+    stubPayPalOrders();
+    process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN = 'provider_token';
+    telegramPayments.setBot({ sendInvoice: jest.fn().mockResolvedValue({ message_id: 1 }) });
+  });
+
+  afterEach(() => {
+    delete process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN;
+    telegramPayments.setBot(null);
+  });
+
+  it.each([
+    ['stripe', 'created', () => PaymentService.createStripePayment(120, 'USD', 'Dubai')],
+    ['paypal', 'created', () => PaymentService.createPayPalPayment(80, 'EUR', 'Paris')],
+    // Telegram payments are pending once their invoice is sent
+    ['telegram', 'pending', () => PaymentService.createTelegramPayment(35, 'USD', 'Cairo', 12345)]
+  ])('writes a %s payment to the payments table', async (method, status, create) => {
+    const result = await create();
+
+    expect(result.success).toBe(true);
+    const rows = db.getTable('payments');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ id: result.data.id, payment_method: method, status });
+  });
+
+  it('stores the Telegram chat on the payment record', async () => {
+    await PaymentService.createTelegramPayment(35, 'USD', 'Cairo', 12345);
+    expect(db.getTable('payments')[0].metadata.chat_id).toBe(12345);
+  });
+
+  it('keeps the WhatsApp number on payments of every provider', async () => {
+    const options = { metadata: { whatsapp_phone: '966500000000' } };
+    await PaymentService.createStripePayment(120, 'USD', 'Dubai', options);
+    await PaymentService.createPayPalPayment(80, 'EUR', 'Paris', options);
+    await PaymentService.createTelegramPayment(35, 'USD', 'Cairo', 12345, options);
+
+    expect(db.getTable('payments').map(row => row.metadata.whatsapp_phone)).toEqual(['966500000000', '966500000000', '966500000000']);
+  });
+});
+
+describe('Payment routes', () => {
+  let app;
+  let db;
+
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    app = express();
+    app.use(express.json());
+    app.use('/api/payment', paymentRoutes);
+    stubPayPalOrders();
+  });
+
+  it('reports the stored status instead of a hard-coded one', async () => {
+    const created = await request(app)
+      .post('/api/payment/create-payment')
+      .set('Authorization', await bearerToken(12345))
+      .send({ amount: 75.5, currency: 'USD', paymentMethod: 'paypal', description: 'Bosnia' });
+    expect(created.status).toBe(200);
+
+    const status = await request(app).get(`/api/payment/payment-status/${created.body.payment.id}`).set('Authorization', await bearerToken(12345));
+    expect(status.status).toBe(200);
+    expect(status.body.payment).toMatchObject({ status: 'created', amount: 75.5, method: 'paypal' });
+  });
+
+  it('records who created a payment and hides it from everyone else', async () => {
+    const created = await request(app)
+      .post('/api/payment/create-payment')
+      .set('Authorization', await bearerToken(12345))
+      .send({ amount: 75.5, currency: 'USD', paymentMethod: 'paypal', description: 'Bosnia' });
+    const { id } = created.body.payment;
+    expect(db.getTable('payments')[0].profile_id).toBe(await profileId(12345));
+
+    const other = await request(app).get(`/api/payment/payment-status/${id}`).set('Authorization', await bearerToken(67890));
+    expect(other.status).toBe(404);
+
+    const unowned = await new PaymentLedger(db).record({ paymentMethod: 'paypal', amount: 60 });
+    const res = await request(app).get(`/api/payment/payment-status/${unowned.id}`).set('Authorization', await bearerToken(12345));
+    expect(res.status).toBe(404);
+
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    try {
+      const support = await request(app).get(`/api/payment/payment-status/${id}`).set('X-Admin-Key', 'admin-secret');
+      expect(support.status).toBe(200);
+    } finally {
+      delete process.env.ADMIN_API_KEY;
+    }
+  });
+
+  it('returns 404 for unknown payments', async () => {
+    const res = await request(app).get('/api/payment/payment-status/PAY-unknown').set('Authorization', await bearerToken(12345));
+    expect(res.status).toBe(404);
+  });
+
+  it('leaves confirmation to the providers', async () => {
+    const payment = await new PaymentLedger(db).record({ paymentMethod: 'paypal', amount: 60, profileId: await profileId(12345) });
+
+    const res = await request(app)
+      .post('/api/payment/confirm-payment')
+      .set('Authorization', await bearerToken(12345))
+      .send({ paymentId: payment.id, paymentMethod: 'paypal' });
+
+    expect(res.status).toBe(404);
+    expect(db.getTable('payments')[0].status).toBe('created');
+  });
+});
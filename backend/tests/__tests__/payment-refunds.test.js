@@ -0,0 +1,266 @@
+/**
+ * Payment Refund Tests
+ * Full and partial refunds per provider, ledger updates and customer notifications
+ */
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('stripe');
+
+const stripeFactory = require('stripe');
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { PaymentLedger } = require('../../src/payments/paymentLedger');
+const { PaymentNotifier } = require('../../src/payments/paymentNotifier');
+const { RefundService, refundService } = require('../../src/payments/refundService');
+const paymentRoutes = require('../../routes/payment');
+
+const BOOKING_ID = '0d4b8f5e-2d1c-4c6f-9d8e-7a3b2c1d0e9f';
+
+describe('Refunds', () => {
+  let db;
+  let ledger;
+  let stripeRefunds;
+  let telegram;
+  let paypal;
+  let whatsapp;
+  let service;
+
+  async function succeededPayment(fields = {}, metadata = {}) {
+    const payment = await ledger.record({
+      paymentMethod: 'stripe',
+      amount: 200,
+      currency: 'USD',
+      metadata: { chat_id: 12345, ...metadata },
+      ...fields
+    });
+    return await ledger.confirm(payment.id, {
+      updates: { stripe_payment_intent_id: 'pi_1' }
+    });
+  }
+
+  beforeEach(() => {
+    db = new MemoryClient({
+      bookings: [{ id: BOOKING_ID, telegram_id: 999, total_price: '200.00', payment_status: 'paid' }]
+    });
+    setServiceClient(db);
+    ledger = new PaymentLedger(db);
+
+    stripeRefunds = { create: jest.fn().mockResolvedValue({ id: 're_1', status: 'succeeded' }) };
+    stripeFactory.mockImplementation(() => ({ refunds: stripeRefunds }));
+
+    const bot = { sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }) };
+    telegram = { getBot: () => bot, refundStarPayment: jest.fn().mockResolvedValue(true) };
+    paypal = { refundCapture: jest.fn().mockResolvedValue({ id: 'PPR-1', status: 'COMPLETED' }) };
+    whatsapp = { sendMessage: jest.fn().mockResolvedValue({ success: true }) };
+
+    service = new RefundService({
+      ledger,
+      telegram,
+      paypal,
+      client: db,
+      notifier: new PaymentNotifier({ telegram, whatsapp, client: db })
+    });
+  });
+
+  describe('Stripe', () => {
+    it('issues a partial refund and keeps the payment succeeded', async () => {
+      const payment = await succeededPayment();
+
+      const result = await service.refund({ paymentId: payment.id, amount: 50, reason: 'service_issue' });
+
+      expect(stripeRefunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          payment_intent: 'pi_1',
+          amount: 5000,
+          reason: 'requested_by_customer',
+          metadata: { payment_id: payment.id, reason_code: 'service_issue' }
+        }),
+        { idempotencyKey: `${payment.id}:refund:1` }
+      );
+      expect(result.payment).toMatchObject({ status: 'succeeded', amount_refunded: 50 });
+      expect(result.payment.refunds).toHaveLength(1);
+    });
+
+    it('refunds the remaining amount and moves the payment to refunded', async () => {
+      const payment = await succeededPayment();
+      await service.refund({ paymentId: payment.id, amount: 50, reason: 'service_issue' });
+
+      const result = await service.refund({ paymentId: payment.id, reason: 'booking_cancelled' });
+
+      expect(stripeRefunds.create).toHaveBeenLastCalledWith(
+        expect.objectContaining({ amount: 15000 }),
+        { idempotencyKey: `${payment.id}:refund:2` }
+      );
+      expect(result.payment).toMatchObject({ status: 'refunded', amount_refunded: 200 });
+    });
+
+    it('rejects refunds above the refundable amount', async () => {
+      const payment = await succeededPayment();
+      await service.refund({ paymentId: payment.id, amount: 150, reason: 'duplicate' });
+
+      await expect(service.refund({ paymentId: payment.id, amount: 60, reason: 'duplicate' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(stripeRefunds.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves the ledger untouched when Stripe fails', async () => {
+      const payment = await succeededPayment();
+      stripeRefunds.create.mockRejectedValue(new Error('charge_already_refunded'));
+
+      await expect(service.refund({ paymentId: payment.id, reason: 'duplicate' }))
+        .rejects.toMatchObject({ statusCode: 502 });
+      expect((await ledger.getPayment(payment.id))).toMatchObject({ status: 'succeeded', refunds: [] });
+    });
+  });
+
+  it('rejects unknown reason codes', async () => {
+    const payment = await succeededPayment();
+
+    await expect(service.refund({ paymentId: payment.id, reason: 'because' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('only refunds succeeded payments', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', amount: 20 });
+
+    await expect(service.refund({ paymentId: payment.id, reason: 'duplicate' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refunds PayPal captures', async () => {
+    const payment = await succeededPayment({ paymentMethod: 'paypal', currency: 'EUR' }, { paypal_capture_id: 'CAP-1' });
+
+    const result = await service.refund({ paymentId: payment.id, amount: 20, reason: 'price_adjustment', note: 'Discount' });
+
+    expect(paypal.refundCapture).toHaveBeenCalledWith('CAP-1', {
+      amount: 20,
+      currency: 'EUR',
+      note: 'Discount',
+      requestId: `${payment.id}:refund:1`
+    });
+    expect(result.refund).toMatchObject({ provider_refund_id: 'PPR-1', status: 'completed' });
+  });
+
+  describe('Telegram', () => {
+    it('refunds Stars payments with refundStarPayment', async () => {
+      const payment = await succeededPayment(
+        { paymentMethod: 'telegram', currency: 'XTR', amount: 500 },
+        { telegram_payment_charge_id: 'stxCharge', paid_by: 12345 }
+      );
+
+      const result = await service.refund({ paymentId: payment.id, reason: 'requested_by_customer' });
+
+      expect(telegram.refundStarPayment).toHaveBeenCalledWith(12345, 'stxCharge');
+      expect(result.payment.status).toBe('refunded');
+    });
+
+    it('does not partially refund Stars payments', async () => {
+      const payment = await succeededPayment(
+        { paymentMethod: 'telegram', currency: 'XTR', amount: 500 },
+        { telegram_payment_charge_id: 'stxCharge', paid_by: 12345 }
+      );
+
+      await expect(service.refund({ paymentId: payment.id, amount: 100, reason: 'other' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('sends provider-settled Telegram payments back to the provider', async () => {
+      const payment = await succeededPayment({ paymentMethod: 'telegram' });
+
+      await expect(service.refund({ paymentId: payment.id, reason: 'other' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(telegram.refundStarPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifications', () => {
+    it('messages the Telegram chat the customer paid from', async () => {
+      const payment = await succeededPayment();
+
+      const result = await service.refund({ paymentId: payment.id, reason: 'booking_cancelled' });
+
+      expect(result.notification).toEqual({ sent: true, channel: 'telegram' });
+      expect(telegram.getBot().sendMessage).toHaveBeenCalledWith(12345, expect.stringContaining('200.00 USD'));
+    });
+
+    it('messages WhatsApp customers on WhatsApp', async () => {
+      const payment = await succeededPayment({}, { chat_id: null, whatsapp_phone: '+201001234567' });
+
+      const result = await service.refund({ paymentId: payment.id, amount: 10, reason: 'other' });
+
+      expect(result.notification).toEqual({ sent: true, channel: 'whatsapp' });
+      expect(whatsapp.sendMessage).toHaveBeenCalledWith('+201001234567', expect.any(String));
+    });
+
+    it('falls back to the booking owner and updates the booking', async () => {
+      const payment = await succeededPayment({ bookingId: BOOKING_ID }, { chat_id: null });
+
+      await service.refund({ paymentId: payment.id, amount: 20, reason: 'service_issue' });
+
+      expect(telegram.getBot().sendMessage).toHaveBeenCalledWith(999, expect.any(String));
+      expect(db.getTable('bookings')[0].payment_status).toBe('partially_refunded');
+    });
+
+    it('still completes the refund when the notification fails', async () => {
+      const payment = await succeededPayment();
+      telegram.getBot().sendMessage.mockRejectedValue(new Error('chat not found'));
+
+      const result = await service.refund({ paymentId: payment.id, reason: 'duplicate' });
+
+      expect(result.payment.status).toBe('refunded');
+      expect(result.notification).toMatchObject({ sent: false, error: 'chat not found' });
+    });
+  });
+
+  describe('POST /api/payment/refund', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/payment', paymentRoutes);
+      jest.spyOn(refundService.notifier, 'notifyRefund').mockResolvedValue({ sent: true, channel: 'telegram' });
+    });
+
+    it('requires the admin key', async () => {
+      const res = await request(app).post('/api/payment/refund').send({ paymentId: 'x', reason: 'other' });
+      expect(res.status).toBe(401);
+    });
+
+    it('refunds through the API and returns the updated payment', async () => {
+      const payment = await succeededPayment();
+
+      const res = await request(app)
+        .post('/api/payment/refund')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ paymentId: payment.id, amount: 75, reason: 'service_issue', requestedBy: 'support@mayatrips.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.payment).toMatchObject({ status: 'succeeded', amount_refunded: 75 });
+      expect(res.body.refund).toMatchObject({ provider_refund_id: 're_1', amount: 75, reason: 'service_issue' });
+      expect(db.getTable('payments')[0].refunds[0].requested_by).toBe('support@mayatrips.com');
+    });
+
+    it('validates the request body', async () => {
+      const res = await request(app)
+        .post('/api/payment/refund')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ paymentId: 'x', amount: -5, reason: 'other' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 404 for unknown payments', async () => {
+      const res = await request(app)
+        .post('/api/payment/refund')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ paymentId: 'PAY-missing', reason: 'other' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * PayPal Checkout Tests
+ * Orders v2 create/approve/capture, return redirects, webhooks and refunds
+ * against the local mock PayPal server
+ */
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { PaymentLedger } = require('../../src/payments/paymentLedger');
+const { paypalClient } = require('../../src/payments/paypalClient');
+const paymentRoutes = require('../../routes/payment');
+const paypalRoutes = require('../../routes/paypal');
+const { createPayPalMockServer } = require('../utils/paypalMockServer');
+
+describe('PayPal checkout', () => {
+  const mock = createPayPalMockServer({ webhookId: 'WH-TEST' });
+  let app;
+  let db;
+  let ledger;
+
+
+  beforeAll(async () => {
+    const url = await mock.start();
+    process.env.PAYPAL_API_BASE = url;
+    process.env.PAYPAL_WEBHOOK_ID = 'WH-TEST';
+    process.env.API_URL = 'http://api.test';
+    process.env.FRONTEND_URL = 'http://app.test';
+  });
+
+  afterAll(async () => {
+    delete process.env.PAYPAL_API_BASE;
+    delete process.env.PAYPAL_WEBHOOK_ID;
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    ledger = new PaymentLedger(db);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/payment', paymentRoutes);
+    app.use('/api/payment/paypal', paypalRoutes);
+  });
+
+  async function createOrder(amount = 149.99, currency = 'USD') {
+    const res = await request(app)
+      .post('/api/payment/create-payment')
+      .set('Authorization', await bearerToken(12345))
+      .send({ amount, currency, paymentMethod: 'paypal', description: 'Marrakesh trip' });
+    expect(res.status).toBe(200);
+    return res.body.payment;
+  }
+
+  function deliverWebhook(event, headers = mock.signWebhook(event)) {
+    return request(app)
+      .post('/api/payment/paypal/webhook')
+      .set(headers)
+      .send(event);
+  }
+
+  it('creates a PayPal order and returns its approval URL', async () => {
+    const payment = await createOrder();
+
+    expect(payment.provider_payment_id).toMatch(/^ORDER-/);
+    expect(payment.approval_url).toBe(`${mock.url}/checkoutnow?token=${payment.provider_payment_id}`);
+
+    const order = mock.state.orders.get(payment.provider_payment_id);
+    expect(order.purchase_units[0]).toMatchObject({
+      custom_id: payment.id,
+      amount: { currency_code: 'USD', value: '149.99' }
+    });
+    expect(order.experience_context.return_url).toBe('http://api.test/api/payment/paypal/return');
+
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored).toMatchObject({ status: 'created', provider_payment_id: payment.provider_payment_id });
+  });
+
+  it('formats zero-decimal currencies without a fraction', async () => {
+    const payment = await createOrder(15000, 'JPY');
+    const order = mock.state.orders.get(payment.provider_payment_id);
+    expect(order.purchase_units[0].amount.value).toBe('15000');
+  });
+
+  it('captures the order when the payer returns and redirects to the success page', async () => {
+    const payment = await createOrder();
+    mock.approve(payment.provider_payment_id);
+
+    const res = await request(app).get(`/api/payment/paypal/return?token=${payment.provider_payment_id}&PayerID=MOCKPAYER`);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toMatch(`http://app.test/payment/success?payment_id=${payment.id}`);
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored.status).toBe('succeeded');
+    expect(stored.metadata.paypal_capture_id).toMatch(/^CAP-/);
+  });
+
+  it('treats a repeated return as already captured', async () => {
+    const payment = await createOrder();
+    mock.approve(payment.provider_payment_id);
+
+    await request(app).get(`/api/payment/paypal/return?token=${payment.provider_payment_id}`);
+    const again = await request(app).get(`/api/payment/paypal/return?token=${payment.provider_payment_id}`);
+
+    expect(again.headers.location).toMatch('/payment/success');
+    const captureCalls = mock.state.requests.filter(r => r.path === `/v2/checkout/orders/${payment.provider_payment_id}/capture`);
+    expect(captureCalls).toHaveLength(1);
+  });
+
+  it('reports declined captures without marking the payment paid', async () => {
+    const payment = await createOrder();
+    mock.approve(payment.provider_payment_id);
+    mock.state.declineNextCapture = true;
+
+    const res = await request(app)
+      .post('/api/payment/paypal/capture')
+      .send({ orderId: payment.provider_payment_id });
+
+    expect(res.status).toBe(502);
+    expect((await ledger.getPayment(payment.id)).status).toBe('pending');
+  });
+
+  it('fails the payment when the payer cancels', async () => {
+    const payment = await createOrder();
+
+    const res = await request(app).get(`/api/payment/paypal/cancel?token=${payment.provider_payment_id}`);
+
+    expect(res.headers.location).toMatch('http://app.test/payment/cancel?');
+    expect((await ledger.getPayment(payment.id)).status).toBe('failed');
+  });
+
+  it('marks the payment failed when PayPal rejects the order', async () => {
+    process.env.PAYPAL_CLIENT_SECRET = 'wrong-secret';
+    paypalClient.token = null;
+
+    try {
+      const res = await request(app)
+        .post('/api/payment/create-payment')
+        .set('Authorization', await bearerToken(12345))
+        .send({ amount: 20, currency: 'USD', paymentMethod: 'paypal' });
+
+      expect(res.status).toBe(400);
+      expect(db.getTable('payments')[0].status).toBe('failed');
+    } finally {
+      process.env.PAYPAL_CLIENT_SECRET = 'test-paypal-secret';
+    }
+  });
+
+  describe('webhooks', () => {
+    it('rejects deliveries PayPal does not verify', async () => {
+      const event = { id: 'WH-EVT-1', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: {} };
+      const headers = { ...mock.signWebhook(event), 'paypal-transmission-sig': 'forged' };
+
+      const res = await deliverWebhook(event, headers);
+      expect(res.status).toBe(400);
+    });
+
+    it('rejects deliveries without PayPal headers', async () => {
+      const res = await request(app)
+        .post('/api/payment/paypal/webhook')
+        .send({ id: 'WH-EVT-2', event_type: 'PAYMENT.CAPTURE.COMPLETED' });
+      expect(res.status).toBe(400);
+    });
+
+    it('confirms the payment on PAYMENT.CAPTURE.COMPLETED', async () => {
+      const payment = await createOrder();
+      mock.approve(payment.provider_payment_id);
+      // Captured outside our return handler, e.g. the payer closed the tab
+      const order = await paypalClient.captureOrder(payment.provider_payment_id);
+      const capture = order.purchase_units[0].payments.captures[0];
+
+      const res = await deliverWebhook({ id: 'WH-EVT-3', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: capture });
+
+      expect(res.status).toBe(200);
+      expect(res.body.outcome).toMatchObject({ action: 'capture_completed', status: 'succeeded' });
+      expect((await ledger.getPayment(payment.id)).metadata.paypal_capture_id).toBe(capture.id);
+    });
+
+    it('leaves captures for a different amount or currency unconfirmed', async () => {
+      const payment = await createOrder();
+      mock.approve(payment.provider_payment_id);
+      const order = await paypalClient.captureOrder(payment.provider_payment_id);
+      const capture = order.purchase_units[0].payments.captures[0];
+
+      const tampered = [
+        { ...capture, amount: { currency_code: 'USD', value: '1.00' } },
+        { ...capture, amount: { currency_code: 'EUR', value: '149.99' } },
+        { ...capture, amount: undefined }
+      ];
+      for (const [i, resource] of tampered.entries()) {
+        const res = await deliverWebhook({ id: `WH-EVT-MISMATCH-${i}`, event_type: 'PAYMENT.CAPTURE.COMPLETED', resource });
+        expect(res.body.outcome.status).not.toBe('succeeded');
+      }
+
+      const stored = await ledger.getPayment(payment.id);
+      expect(stored.status).not.toBe('succeeded');
+      expect(stored.metadata).toMatchObject({ paypal_capture_id: capture.id, paypal_capture_mismatch: true });
+    });
+
+    it('captures approved orders on CHECKOUT.ORDER.APPROVED', async () => {
+      const payment = await createOrder();
+      const order = mock.approve(payment.provider_payment_id);
+
+      const res = await deliverWebhook({ id: 'WH-EVT-4', event_type: 'CHECKOUT.ORDER.APPROVED', resource: { id: order.id } });
+
+      expect(res.body.outcome).toMatchObject({ action: 'captured', status: 'succeeded' });
+    });
+
+    it('ignores unhandled event types', async () => {
+      const res = await deliverWebhook({ id: 'WH-EVT-5', event_type: 'BILLING.PLAN.CREATED', resource: {} });
+      expect(res.body.outcome).toEqual({ action: 'ignored', reason: 'unhandled_event_type' });
+    });
+  });
+
+  describe('refunds', () => {
+    async function capturedPayment() {
+      const payment = await createOrder(100);
+      mock.approve(payment.provider_payment_id);
+      await request(app).get(`/api/payment/paypal/return?token=${payment.provider_payment_id}`);
+      return payment;
+    }
+
+    it('refunds part of a capture through the refund API', async () => {
+      const payment = await capturedPayment();
+
+      const res = await request(app)
+        .post('/api/payment/refund')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ paymentId: payment.id, amount: 30, reason: 'price_adjustment' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.refund.provider_refund_id).toMatch(/^REF-/);
+      expect(res.body.payment).toMatchObject({ status: 'succeeded', amount_refunded: 30 });
+      const capture = mock.state.captures.get((await ledger.getPayment(payment.id)).metadata.paypal_capture_id);
+      expect(capture.status).toBe('PARTIALLY_REFUNDED');
+    });
+
+    it('does not double count a refund reported again by webhook', async () => {
+      const payment = await capturedPayment();
+      const refundRes = await request(app)
+        .post('/api/payment/refund')
+        .set('x-admin-key', 'test-admin-key')
+        .send({ paymentId: payment.id, reason: 'booking_cancelled' });
+      const captureId = (await ledger.getPayment(payment.id)).metadata.paypal_capture_id;
+
+      const res = await deliverWebhook({
+        id: 'WH-EVT-6',
+        event_type: 'PAYMENT.CAPTURE.REFUNDED',
+        resource: {
+          id: refundRes.body.refund.provider_refund_id,
+          amount: { value: '100.00', currency_code: 'USD' },
+          links: [{ rel: 'up', href: `${mock.url}/v2/payments/captures/${captureId}` }]
+        }
+      });
+
+      expect(res.body.outcome.action).toBe('unchanged');
+      expect((await ledger.getPayment(payment.id))).toMatchObject({ status: 'refunded', amount_refunded: 100 });
+    });
+
+    it('records refunds made in the PayPal dashboard', async () => {
+      const payment = await capturedPayment();
+      const captureId = (await ledger.getPayment(payment.id)).metadata.paypal_capture_id;
+      const refund = await paypalClient.refundCapture(captureId, { amount: 40, currency: 'USD' });
+
+      await deliverWebhook({ id: 'WH-EVT-7', event_type: 'PAYMENT.CAPTURE.REFUNDED', resource: refund });
+
+      expect(await ledger.getPayment(payment.id)).toMatchObject({ status: 'succeeded', amount_refunded: 40 });
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Stripe Webhook Tests
+ * Signed deliveries, deduplication by event.id, ledger updates and admin replay
+ */
+
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { PaymentLedger } = require('../../src/payments/paymentLedger');
+const { stripeWebhookProcessor } = require('../../src/payments/stripeWebhookProcessor');
+const stripeWebhook = require('../../routes/stripe-webhook');
+
+const stripe = new Stripe('sk_test_dummy', { apiVersion: '2022-11-15' });
+
+function buildEvent(id, type, object) {
+  return { id, type, object: 'event', data: { object } };
+}
+
+function deliver(app, event) {
+  const payload = JSON.stringify(event);
+  const header = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+  return request(app)
+    .post('/api/payment/webhook/webhook')
+    .set('stripe-signature', header)
+    .set('Content-Type', 'application/json')
+    .send(payload);
+}
+
+describe('Stripe webhook', () => {
+  let app;
+  let db;
+  let ledger;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    ledger = new PaymentLedger(db);
+
+    app = express();
+    app.use('/api/payment/webhook', bodyParser.raw({ type: 'application/json' }));
+    app.use(express.json());
+    app.use('/api/payment/webhook', stripeWebhook);
+  });
+
+  const completedSession = (overrides = {}) => ({
+    id: 'cs_test_1',
+    object: 'checkout.session',
+    payment_link: 'plink_1',
+    payment_intent: 'pi_1',
+    payment_status: 'paid',
+    ...overrides
+  });
+
+  it('rejects deliveries with an invalid signature', async () => {
+    const res = await request(app)
+      .post('/api/payment/webhook/webhook')
+      .set('stripe-signature', 't=1,v1=bad')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify(buildEvent('evt_bad', 'checkout.session.completed', completedSession())));
+
+    expect(res.status).toBe(400);
+    expect(db.getTable('stripe_events')).toHaveLength(0);
+  });
+
+  it('marks the ledger payment succeeded on checkout.session.completed', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_1', amount: 100 });
+
+    const res = await deliver(app, buildEvent('evt_1', 'checkout.session.completed', completedSession()));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, duplicate: false, status: 'processed' });
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored.status).toBe('succeeded');
+    expect(stored.stripe_session_id).toBe('cs_test_1');
+    expect(stored.stripe_payment_intent_id).toBe('pi_1');
+  });
+
+  it('treats a retried delivery of the same event as a no-op', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_1', amount: 100 });
+    const event = buildEvent('evt_dup', 'checkout.session.completed', completedSession());
+
+    await deliver(app, event);
+    const retry = await deliver(app, event);
+
+    expect(retry.status).toBe(200);
+    expect(retry.body).toMatchObject({ duplicate: true, status: 'processed' });
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored.status_history.map(h => h.status)).toEqual(['created', 'pending', 'succeeded']);
+    expect(db.getTable('stripe_events')[0].attempts).toBe(1);
+  });
+
+  it('records unmatched and unhandled events as ignored', async () => {
+    await deliver(app, buildEvent('evt_nomatch', 'checkout.session.completed', completedSession({ payment_link: 'plink_other' })));
+    await deliver(app, buildEvent('evt_other', 'customer.created', { id: 'cus_1' }));
+
+    const events = db.getTable('stripe_events');
+    expect(events.map(e => e.status)).toEqual(['ignored', 'ignored']);
+    expect(events[0].outcome.reason).toBe('no_matching_payment');
+    expect(events[1].outcome.reason).toBe('unhandled_event_type');
+  });
+
+  it('moves the payment to refunded on a full charge.refunded', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_1', amount: 100 });
+    await deliver(app, buildEvent('evt_paid', 'checkout.session.completed', completedSession()));
+
+    await deliver(app, buildEvent('evt_refund', 'charge.refunded', {
+      id: 'ch_1', payment_intent: 'pi_1', amount: 10000, amount_refunded: 10000
+    }));
+
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored.status).toBe('refunded');
+    expect(stored.metadata.stripe_amount_refunded).toBe(10000);
+  });
+
+  it('keeps a partially refunded payment succeeded', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_1', amount: 100 });
+    await deliver(app, buildEvent('evt_paid', 'checkout.session.completed', completedSession()));
+
+    await deliver(app, buildEvent('evt_partial', 'charge.refunded', {
+      id: 'ch_1', payment_intent: 'pi_1', amount: 10000, amount_refunded: 2500
+    }));
+
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored.status).toBe('succeeded');
+    expect(db.getTable('stripe_events')[1].outcome.action).toBe('partial_refund_recorded');
+  });
+
+  it('records disputes on the payment', async () => {
+    const payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_1', amount: 100 });
+    await deliver(app, buildEvent('evt_paid', 'checkout.session.completed', completedSession()));
+
+    await deliver(app, buildEvent('evt_dispute', 'charge.dispute.created', {
+      id: 'dp_1', payment_intent: 'pi_1', reason: 'fraudulent', status: 'needs_response', amount: 10000
+    }));
+
+    const stored = await ledger.getPayment(payment.id);
+    expect(stored.metadata.dispute).toMatchObject({ id: 'dp_1', reason: 'fraudulent' });
+  });
+
+  it('fails only the payment tied to an expired session', async () => {
+    const sessionPayment = await ledger.record({ paymentMethod: 'stripe', stripeSessionId: 'cs_exp', amount: 50 });
+    const linkPayment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_2', amount: 50 });
+
+    await deliver(app, buildEvent('evt_exp_1', 'checkout.session.expired', { id: 'cs_exp' }));
+    await deliver(app, buildEvent('evt_exp_2', 'checkout.session.expired', { id: 'cs_other', payment_link: 'plink_2' }));
+
+    expect((await ledger.getPayment(sessionPayment.id)).status).toBe('failed');
+    expect((await ledger.getPayment(linkPayment.id)).status).toBe('created');
+  });
+
+  describe('failed events', () => {
+    let payment;
+
+    beforeEach(async () => {
+      payment = await ledger.record({ paymentMethod: 'stripe', providerPaymentId: 'plink_1', amount: 100 });
+      jest.spyOn(stripeWebhookProcessor.ledger, 'transition').mockRejectedValueOnce(new Error('database unavailable'));
+    });
+
+    it('returns 500 and stores the failure', async () => {
+      const res = await deliver(app, buildEvent('evt_fail', 'checkout.session.completed', completedSession()));
+
+      expect(res.status).toBe(500);
+      expect(db.getTable('stripe_events')[0]).toMatchObject({ status: 'failed', error: 'database unavailable' });
+    });
+
+    it('reprocesses a failed event when Stripe retries it', async () => {
+      const event = buildEvent('evt_fail', 'checkout.session.completed', completedSession());
+      await deliver(app, event);
+      const retry = await deliver(app, event);
+
+      expect(retry.body).toMatchObject({ duplicate: false, status: 'processed' });
+      expect(db.getTable('stripe_events')[0].attempts).toBe(2);
+      expect((await ledger.getPayment(payment.id)).status).toBe('succeeded');
+    });
+
+    it('replays failed events through the admin endpoint', async () => {
+      await deliver(app, buildEvent('evt_fail', 'checkout.session.completed', completedSession()));
+
+      const unauthorized = await request(app).post('/api/payment/webhook/admin/replay-failed');
+      expect(unauthorized.status).toBe(401);
+
+      const res = await request(app)
+        .post('/api/payment/webhook/admin/replay-failed')
+        .set('x-admin-key', 'test-admin-key');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ replayed: 1, failed: 0 });
+      expect((await ledger.getPayment(payment.id)).status).toBe('succeeded');
+    });
+
+    it('refuses to replay events that did not fail', async () => {
+      await deliver(app, buildEvent('evt_ok', 'customer.created', { id: 'cus_1' }));
+
+      const res = await request(app)
+        .post('/api/payment/webhook/admin/events/evt_ok/replay')
+        .set('x-admin-key', 'test-admin-key');
+
+      expect(res.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Telegram Payments Tests
+ * Invoices, pre-checkout validation against the stored booking and successful payment records
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { PaymentLedger } = require('../../src/payments/paymentLedger');
+const { TelegramPayments, telegramPayments } = require('../../src/payments/telegramPayments');
+const paymentRoutes = require('../../routes/payment');
+
+const BOOKING_ID = '5b0f0c1e-8f57-4a57-9a3c-3f1d2f7f7a01';
+
+function createBot() {
+  return {
+    sendInvoice: jest.fn().mockResolvedValue({ message_id: 42 }),
+    answerPreCheckoutQuery: jest.fn().mockResolvedValue(true)
+  };
+}
+
+describe('Telegram Payments', () => {
+  let db;
+  let bot;
+  let ledger;
+  let payments;
+
+  beforeEach(() => {
+    process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN = 'provider_token';
+    db = new MemoryClient({
+      bookings: [{
+        id: BOOKING_ID,
+        telegram_id: 12345,
+        destination: 'Istanbul',
+        total_price: '2499.00',
+        currency: 'USD',
+        status: 'pending',
+        payment_status: 'pending'
+      }]
+    });
+    setServiceClient(db);
+    bot = createBot();
+    ledger = new PaymentLedger(db);
+    payments = new TelegramPayments({ bot, ledger, client: db });
+  });
+
+  afterEach(() => {
+    delete process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN;
+  });
+
+  const preCheckoutQuery = (payload, overrides = {}) => ({
+    id: 'pcq_1',
+    from: { id: 12345 },
+    currency: 'USD',
+    total_amount: 249900,
+    invoice_payload: payload,
+    ...overrides
+  });
+
+  describe('sendInvoice', () => {
+    it('invoices the booking total in minor units with the ledger ID as payload', async () => {
+      const { payment } = await payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID, amount: 1 });
+
+      expect(bot.sendInvoice).toHaveBeenCalledWith(
+        12345,
+        'Maya Trips',
+        'Maya Trips Payment',
+        payment.id,
+        'provider_token',
+        'USD',
+        [{ label: 'Maya Trips Payment', amount: 249900 }]
+      );
+      expect(payment).toMatchObject({ status: 'pending', booking_id: BOOKING_ID, amount: 2499 });
+      expect(payment.metadata.invoice_message_id).toBe(42);
+    });
+
+    it('uses the currency minor unit for the invoice amount', async () => {
+      db.getTable('bookings')[0].currency = 'KWD';
+      db.getTable('bookings')[0].total_price = '120.500';
+
+      await payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID });
+
+      const [, , , , , currency, prices] = bot.sendInvoice.mock.calls[0];
+      expect(currency).toBe('KWD');
+      expect(prices[0].amount).toBe(120500);
+    });
+
+    it('refuses to invoice a booking that is already paid', async () => {
+      db.getTable('bookings')[0].payment_status = 'paid';
+
+      await expect(payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(bot.sendInvoice).not.toHaveBeenCalled();
+    });
+
+    it('marks the payment failed when Telegram rejects the invoice', async () => {
+      bot.sendInvoice.mockRejectedValue(new Error('PAYMENT_PROVIDER_INVALID'));
+
+      await expect(payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID }))
+        .rejects.toMatchObject({ statusCode: 502 });
+      expect(db.getTable('payments')[0].status).toBe('failed');
+    });
+
+    it('requires a payment provider token', async () => {
+      delete process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN;
+
+      await expect(payments.sendInvoice({ chatId: 12345, amount: 10 }))
+        .rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('pre-checkout', () => {
+    let payment;
+
+    beforeEach(async () => {
+      ({ payment } = await payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID }));
+    });
+
+    it('approves a query matching the booking amount and currency', async () => {
+      const result = await payments.handlePreCheckoutQuery(preCheckoutQuery(payment.id));
+
+      expect(result.ok).toBe(true);
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('pcq_1', true, {});
+    });
+
+    it.each([
+      ['amount', { total_amount: 100 }],
+      ['currency', { currency: 'EUR' }]
+    ])('rejects a query with a different %s', async (field, overrides) => {
+      const result = await payments.handlePreCheckoutQuery(preCheckoutQuery(payment.id, overrides));
+
+      expect(result.ok).toBe(false);
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('pcq_1', false, {
+        error_message: expect.any(String)
+      });
+    });
+
+    it('rejects a query when the booking price changed after invoicing', async () => {
+      db.getTable('bookings')[0].total_price = '2799.00';
+
+      const result = await payments.handlePreCheckoutQuery(preCheckoutQuery(payment.id));
+      expect(result.ok).toBe(false);
+    });
+
+    it('rejects a query for a cancelled booking', async () => {
+      db.getTable('bookings')[0].status = 'cancelled';
+
+      const result = await payments.handlePreCheckoutQuery(preCheckoutQuery(payment.id));
+      expect(result.ok).toBe(false);
+    });
+
+    it('rejects a query with an unknown payload', async () => {
+      const result = await payments.handlePreCheckoutQuery(preCheckoutQuery('not-a-payment'));
+
+      expect(result.ok).toBe(false);
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('pcq_1', false, expect.any(Object));
+    });
+  });
+
+  describe('successful_payment', () => {
+    const successMessage = (payload) => ({
+      message_id: 7,
+      from: { id: 12345 },
+      chat: { id: 12345 },
+      successful_payment: {
+        currency: 'USD',
+        total_amount: 249900,
+        invoice_payload: payload,
+        telegram_payment_charge_id: 'tg_charge_1',
+        provider_payment_charge_id: 'provider_charge_1'
+      }
+    });
+
+    it('records the charge on the payment and the booking', async () => {
+      const { payment } = await payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID });
+
+      const result = await payments.handleSuccessfulPayment(successMessage(payment.id));
+
+      expect(result.payment).toMatchObject({
+        status: 'succeeded',
+        provider_payment_id: 'tg_charge_1'
+      });
+      expect(result.payment.metadata).toMatchObject({
+        telegram_payment_charge_id: 'tg_charge_1',
+        provider_payment_charge_id: 'provider_charge_1'
+      });
+      expect(db.getTable('bookings')[0]).toMatchObject({
+        status: 'confirmed',
+        payment_status: 'paid',
+        payment_method: 'telegram',
+        payment_id: payment.id,
+        telegram_payment_charge_id: 'tg_charge_1'
+      });
+    });
+
+    it('is idempotent when Telegram delivers the same payment twice', async () => {
+      const { payment } = await payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID });
+
+      await payments.handleSuccessfulPayment(successMessage(payment.id));
+      const again = await payments.handleSuccessfulPayment(successMessage(payment.id));
+
+      expect(again.payment.status_history.map(h => h.status)).toEqual(['created', 'pending', 'succeeded']);
+    });
+
+    it('keeps a charge that does not match the invoice unconfirmed', async () => {
+      const { payment } = await payments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID });
+      const message = successMessage(payment.id);
+      message.successful_payment.total_amount = 100;
+
+      expect(await payments.handleSuccessfulPayment(message)).toBeNull();
+
+      const stored = db.getTable('payments')[0];
+      expect(stored.status).toBe('pending');
+      expect(stored.metadata).toMatchObject({
+        telegram_payment_charge_id: 'tg_charge_1',
+        charge_mismatch: { currency: 'USD', total_amount: 249900 }
+      });
+      expect(db.getTable('bookings')[0].payment_status).not.toBe('paid');
+    });
+
+    it('returns null when the payload matches no payment', async () => {
+      expect(await payments.handleSuccessfulPayment(successMessage('unknown'))).toBeNull();
+    });
+  });
+
+  describe('webhook route', () => {
+    let app;
+
+
+    const savedSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+
+    beforeEach(() => {
+      process.env.TELEGRAM_WEBHOOK_SECRET = 'webhook-secret';
+      telegramPayments.setBot(bot);
+      app = express();
+      app.use(express.json());
+      app.use('/api/payment', paymentRoutes);
+    });
+
+    afterEach(() => {
+      telegramPayments.setBot(null);
+      if (savedSecret === undefined) delete process.env.TELEGRAM_WEBHOOK_SECRET;
+      else process.env.TELEGRAM_WEBHOOK_SECRET = savedSecret;
+    });
+
+    it('answers pre-checkout queries through the Bot API', async () => {
+      const { payment } = await telegramPayments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID });
+
+      const res = await request(app)
+        .post('/api/payment/telegram-webhook')
+        .set('X-Telegram-Bot-Api-Secret-Token', 'webhook-secret')
+        .send({ update_id: 1, pre_checkout_query: preCheckoutQuery(payment.id) });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ type: 'pre_checkout_query', ok: true });
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('pcq_1', true, {});
+    });
+
+    it('rejects updates without the webhook secret', async () => {
+      const { payment } = await telegramPayments.sendInvoice({ chatId: 12345, bookingId: BOOKING_ID });
+      const forged = {
+        update_id: 2,
+        message: {
+          message_id: 7,
+          from: { id: 12345 },
+          chat: { id: 12345 },
+          successful_payment: { currency: 'USD', total_amount: 249900, invoice_payload: payment.id, telegram_payment_charge_id: 'forged' }
+        }
+      };
+
+      const missing = await request(app).post('/api/payment/telegram-webhook').send(forged);
+      const wrong = await request(app)
+        .post('/api/payment/telegram-webhook')
+        .set('X-Telegram-Bot-Api-Secret-Token', 'guess')
+        .send(forged);
+      delete process.env.TELEGRAM_WEBHOOK_SECRET;
+      const unconfigured = await request(app).post('/api/payment/telegram-webhook').send(forged);
+
+      expect([missing.status, wrong.status, unconfigured.status]).toEqual([401, 401, 503]);
+      expect(db.getTable('payments')[0].status).toBe('pending');
+    });
+
+    it('creates a booking invoice through create-payment', async () => {
+      const res = await request(app)
+        .post('/api/payment/create-payment')
+        .set('Authorization', await bearerToken(12345))
+        .send({ paymentMethod: 'telegram', chatId: 12345, bookingId: BOOKING_ID });
+
+      expect(res.status).toBe(200);
+      expect(res.body.payment).toMatchObject({ booking_id: BOOKING_ID, amount: 2499, status: 'pending' });
+      expect(bot.sendInvoice).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Telegram Session Tests
+ * Session stores shared by several bot instances (in memory and through a Redis
+ * client), webhook secret-token verification and once-only handling of updates
+ */
+
+const express = require('express');
+const request = require('supertest');
+const TelegramBot = require('node-telegram-bot-api');
+
+const MemoryRedis = require('../../database/memoryRedis');
+const { MemorySessionStore, RedisSessionStore, createSessionStore } = require('../../src/sessions/sessionStore');
+const AdvancedTelegramBot = require('../../advanced-telegram-bot');
+const { BotCore } = require('../../src/bot/botCore');
+const telegramWebhookRoutes = require('../../routes/telegram-webhook');
+
+const SECRET = 'webhook-secret';
+const MINUTE = 60 * 1000;
+
+describe('Session stores', () => {
+  let clock;
+  let redis;
+
+  beforeEach(() => {
+    clock = Date.parse('2026-10-19T09:00:00Z');
+    redis = new MemoryRedis({ now: () => clock });
+  });
+
+  const stores = () => ({
+    memory: new MemorySessionStore({ ttlMs: 30 * MINUTE, now: () => clock }),
+    redis: new RedisSessionStore({ redis, ttlMs: 30 * MINUTE })
+  });
+
+  it.each(['memory', 'redis'])('keeps JSON values until they expire (%s)', async (driver) => {
+    const store = stores()[driver];
+
+    await store.set('state:1', { stage: 'booking', context: { bookingId: 'b-1' } });
+    const state = await store.get('state:1');
+    expect(state).toEqual({ stage: 'booking', context: { bookingId: 'b-1' } });
+
+    // Callers get copies, not the stored value
+    state.stage = 'changed';
+    expect((await store.get('state:1')).stage).toBe('booking');
+
+    await store.set('state:2', { stage: 'welcome' }, { ttlMs: MINUTE });
+    expect(await store.count('state:')).toBe(2);
+
+    clock += 2 * MINUTE;
+    expect(await store.get('state:2')).toBeNull();
+    expect(await store.count('state:')).toBe(1);
+
+    await store.delete('state:1');
+    expect(await store.get('state:1')).toBeNull();
+  });
+
+  it('shares state and claims between instances using one Redis', async () => {
+    const first = new RedisSessionStore({ redis });
+    const second = new RedisSessionStore({ redis });
+
+    await first.set('state:7', { stage: 'trip_planning' });
+    expect(await second.get('state:7')).toEqual({ stage: 'trip_planning' });
+    expect(redis.data.has('maya:session:state:7')).toBe(true);
+    expect(await redis.pttl('maya:session:state:7')).toBe(30 * MINUTE);
+
+    expect(await first.claim('update:1', { ttlMs: MINUTE })).toBe(true);
+    expect(await second.claim('update:1', { ttlMs: MINUTE })).toBe(false);
+
+    clock += 2 * MINUTE;
+    expect(await second.claim('update:1', { ttlMs: MINUTE })).toBe(true);
+  });
+
+  it('builds the configured store', () => {
+    expect(createSessionStore({ driver: 'memory' })).toBeInstanceOf(MemorySessionStore);
+    expect(createSessionStore({ driver: 'redis', redis, prefix: 'test:' })).toMatchObject({ prefix: 'test:' });
+    expect(() => createSessionStore({ driver: 'redis', url: '' })).toThrow('REDIS_URL');
+    expect(() => createSessionStore({ driver: 'mongo' })).toThrow('Unknown session store');
+  });
+});
+
+describe('Telegram webhook', () => {
+  const savedSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  let redis;
+  let instances;
+  let app;
+
+  // A bot instance in webhook mode without a Telegram connection, answering /start
+  const botInstance = (sessions) => {
+    const bot = Object.create(AdvancedTelegramBot.prototype);
+    bot.mode = 'webhook';
+    bot.sessions = sessions;
+    bot.bot = new TelegramBot('123:TEST', { polling: false });
+    bot.bot.sendMessage = jest.fn().mockResolvedValue({ message_id: 1 });
+    bot.start = jest.fn().mockResolvedValue();
+    bot.core = new BotCore({
+      bot: bot.bot,
+      polling: false,
+      ai: 'none',
+      conversations: {},
+      health: { recordRequest: jest.fn(), recordError: jest.fn() }
+    });
+    bot.core.command('start', null, msg => bot.start(msg));
+    bot.core.listen();
+    return bot;
+  };
+
+  const update = (id) => ({ update_id: id, message: { message_id: id, chat: { id: 5 }, from: { id: 5 }, text: '/start' } });
+
+  beforeEach(() => {
+    process.env.TELEGRAM_WEBHOOK_SECRET = SECRET;
+    redis = new MemoryRedis();
+    instances = [botInstance(new RedisSessionStore({ redis })), botInstance(new RedisSessionStore({ redis }))];
+    app = express();
+    app.use(express.json());
+    app.set('telegramBot', instances[0]);
+    app.use('/api/telegram/webhook', telegramWebhookRoutes);
+  });
+
+  afterAll(() => {
+    if (savedSecret === undefined) delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    else process.env.TELEGRAM_WEBHOOK_SECRET = savedSecret;
+  });
+
+  it('rejects updates without the secret token', async () => {
+    const missing = await request(app).post('/api/telegram/webhook').send(update(1));
+    expect(missing.status).toBe(401);
+
+    const wrong = await request(app)
+      .post('/api/telegram/webhook')
+      .set('X-Telegram-Bot-Api-Secret-Token', 'not-the-secret')
+      .send(update(1));
+    expect(wrong.status).toBe(401);
+    expect(instances[0].start).not.toHaveBeenCalled();
+  });
+
+  it('is disabled without a secret or a bot in webhook mode', async () => {
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    const noSecret = await request(app).post('/api/telegram/webhook').send(update(1));
+    expect(noSecret.status).toBe(503);
+
+    process.env.TELEGRAM_WEBHOOK_SECRET = SECRET;
+    instances[0].mode = 'polling';
+    const polling = await request(app)
+      .post('/api/telegram/webhook')
+      .set('X-Telegram-Bot-Api-Secret-Token', SECRET)
+      .send(update(1));
+    expect(polling.status).toBe(503);
+  });
+
+  it('handles each update once across instances', async () => {
+    const send = () => request(app)
+      .post('/api/telegram/webhook')
+      .set('X-Telegram-Bot-Api-Secret-Token', SECRET)
+      .send(update(42));
+
+    const first = await send();
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ success: true, duplicate: false });
+    // Answered only after the handler is done
+    expect(instances[0].start).toHaveBeenCalledWith(update(42).message);
+
+    // Telegram's retry lands on the same or another instance
+    expect((await send()).body.duplicate).toBe(true);
+    expect(await instances[1].handleWebhookUpdate(update(42))).toBe(false);
+    expect(instances[1].start).not.toHaveBeenCalled();
+    expect(instances[0].start).toHaveBeenCalledTimes(1);
+
+    const invalid = await request(app)
+      .post('/api/telegram/webhook')
+      .set('X-Telegram-Bot-Api-Secret-Token', SECRET)
+      .send({ message: {} });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('answers 500 when handling fails and handles the redelivery', async () => {
+    const send = () => request(app)
+      .post('/api/telegram/webhook')
+      .set('X-Telegram-Bot-Api-Secret-Token', SECRET)
+      .send(update(43));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    instances[0].start.mockRejectedValueOnce(new Error('database unavailable'));
+
+    const failed = await send();
+    expect(failed.status).toBe(500);
+    // The user still gets the friendly error message
+    expect(instances[0].bot.sendMessage).toHaveBeenCalledWith(5, expect.any(String));
+
+    // The claim was released, so the redelivery is handled, here or on another instance
+    expect(await instances[1].handleWebhookUpdate(update(43))).toBe(true);
+    expect(instances[1].start).toHaveBeenCalledTimes(1);
+    expect((await send()).body.duplicate).toBe(true);
+  });
+
+  it('keeps conversation state in the shared store', async () => {
+    await instances[0].setUserState('5', { stage: 'booking', context: { bookingId: 'b-1' }, turnCount: 0 });
+    expect(await instances[1].getUserState('5')).toMatchObject({ stage: 'booking', context: { bookingId: 'b-1' } });
+    expect(await instances[1].sessions.count('state:')).toBe(1);
+
+    await instances[1].clearUserState('5');
+    expect(await instances[0].getUserState('5')).toBeNull();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Trip Planning Wizard Tests
+ * Slot parsing (Arabic and English dates, budgets with currency, traveler counts),
+ * re-prompts, answers that fill several slots, resuming after the timeout, and the
+ * same flow ending in a saved trip on WhatsApp and Telegram
+ */
+
+const TelegramBot = require('node-telegram-bot-api');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { ConversationManager } = require('../../utils/conversationManager');
+const { WhatsAppConversationHandler } = require('../../src/whatsapp/conversationHandler');
+const { createMayaBot } = require('../../src/bot/mayaBot');
+const { telegramPayments } = require('../../src/payments/telegramPayments');
+const { parseDates, parseBudget, parseTravelers, parseDestination } = require('../../src/trips/slotParsers');
+
+// tests/setup.js replaces SupabaseDB with a stub; these tests need the real store
+const SupabaseDB = jest.requireActual('../../database/supabase');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const PHONE = '966500000000';
+const CHAT = 4242;
+
+describe('Trip slot parsers', () => {
+  const dates = (text, options = {}) => parseDates(text, { now: NOW, ...options });
+
+  it('reads Arabic and English dates, ranges and durations', () => {
+    expect(dates('من 10 إلى 17 مايو')).toEqual({ startDate: '2027-05-10', endDate: '2027-05-17', nights: 7 });
+    expect(dates('من 15 يناير إلى 25 يناير')).toMatchObject({ startDate: '2027-01-15', endDate: '2027-01-25' });
+    expect(dates('١٥-٢٥ كانون الثاني ٢٠٢٧')).toMatchObject({ startDate: '2027-01-15', endDate: '2027-01-25' });
+    expect(dates('2027-03-10 لمدة أسبوعين')).toMatchObject({ startDate: '2027-03-10', endDate: '2027-03-24' });
+    expect(dates('March 3rd to March 10th')).toMatchObject({ startDate: '2027-03-03', endDate: '2027-03-10' });
+    expect(dates('1/12/2026 for 10 days')).toMatchObject({ startDate: '2026-12-01', endDate: '2026-12-11' });
+    // Over the new year
+    expect(dates('Dec 28 - Jan 5')).toMatchObject({ startDate: '2026-12-28', endDate: '2027-01-05' });
+  });
+
+  it('returns half an answer so the other half can be asked for', () => {
+    expect(dates('15 يناير')).toEqual({ startDate: '2027-01-15' });
+    expect(dates('لمدة أسبوع')).toEqual({ days: 7 });
+    expect(dates('10 nights', { startDate: '2027-01-15' })).toMatchObject({ endDate: '2027-01-25' });
+    expect(dates('20 يناير', { startDate: '2027-01-15' })).toMatchObject({ startDate: '2027-01-15', endDate: '2027-01-20' });
+    expect(dates('15 يناير', { days: 7 })).toMatchObject({ startDate: '2027-01-15', endDate: '2027-01-22' });
+    expect(dates('في شهر مايو')).toBeNull();
+  });
+
+  it('rejects dates that cannot be travelled', () => {
+    expect(dates('2026-01-01 to 2026-01-05')).toEqual({ error: 'past' });
+    expect(dates('31 أبريل')).toEqual({ error: 'invalid' });
+    expect(dates('2027-05-10 to 2027-05-01')).toEqual({ error: 'order' });
+    expect(dates('2027-01-01 to 2028-06-01')).toEqual({ error: 'too_long' });
+  });
+
+  it('reads budgets with their currency', () => {
+    expect(parseBudget('8000 ريال')).toEqual({ amount: 8000, currency: 'SAR' });
+    expect(parseBudget('ميزانيتي ٣ آلاف درهم')).toEqual({ amount: 3000, currency: 'AED' });
+    expect(parseBudget('$1,500')).toEqual({ amount: 1500, currency: 'USD' });
+    expect(parseBudget('2.5k euros')).toEqual({ amount: 2500, currency: 'EUR' });
+    expect(parseBudget('4000 ريال قطري')).toEqual({ amount: 4000, currency: 'QAR' });
+    expect(parseBudget('ألف دولار')).toEqual({ amount: 1000, currency: 'USD' });
+    expect(parseBudget('9000')).toEqual({ amount: 9000, currency: null });
+    // Numbers of dates and traveler counts are not amounts
+    expect(parseBudget('10 مايو لشخصين 3 أشخاص')).toBeNull();
+  });
+
+  it('counts travelers', () => {
+    expect(parseTravelers('2 بالغين وطفل')).toEqual({ travelers: 3 });
+    expect(parseTravelers('two adults and a child')).toEqual({ travelers: 3 });
+    expect(parseTravelers('لشخصين')).toEqual({ travelers: 2 });
+    expect(parseTravelers('نحن ٤ أشخاص')).toEqual({ travelers: 4 });
+    expect(parseTravelers('وحدي')).toEqual({ travelers: 1 });
+    expect(parseTravelers('3')).toBeNull();
+    expect(parseTravelers('3', { loose: true })).toEqual({ travelers: 3 });
+    expect(parseTravelers('25 مسافر')).toEqual({ error: 'too_many' });
+  });
+
+  it('finds destinations, and accepts unknown places only when asked', () => {
+    expect(parseDestination('أريد السفر لتركيا')).toBe('تركيا');
+    expect(parseDestination('🇦🇪 دبي')).toBe('دبي');
+    expect(parseDestination('Kuala Lumpur in March')).toBe('كوالالمبور');
+    expect(parseDestination('طوكيو')).toBeNull();
+    expect(parseDestination('طوكيو', { loose: true })).toBe('طوكيو');
+    expect(parseDestination('I want to go to New York', { loose: true })).toBe('New York');
+    expect(parseDestination('مكان جميل', { loose: true })).toBeNull();
+  });
+});
+
+describe('Trip planning wizard', () => {
+  let db;
+  let ai;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    ai = {
+      chatCompletion: jest.fn().mockResolvedValue({ success: true, content: 'جواب' }),
+      generateTravelRecommendations: jest.fn().mockResolvedValue({ success: false, error: 'All providers failed' })
+    };
+  });
+
+  afterEach(() => {
+    telegramPayments.setBot(null);
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  // A new handler has nothing cached, like a restarted or second server instance
+  const whatsapp = () => new WhatsAppConversationHandler({
+    ai,
+    conversations: new ConversationManager({
+      channel: 'whatsapp',
+      db: new SupabaseDB({ channel: 'whatsapp', client: db })
+    })
+  });
+  const state = () => db.getTable('profiles').find(row => row.whatsapp_phone === PHONE).conversation_state;
+
+  it('fills several slots from one message and re-prompts for the rest', async () => {
+    const first = await whatsapp().handleMessage(PHONE, 'أريد السفر إلى دبي من 1 إلى 5 مارس بميزانية 10000 درهم');
+    expect(first.text).toContain('كم عدد المسافرين');
+    expect(state()).toMatchObject({
+      state: 'collecting_travelers',
+      data: { destination: 'دبي', dates: expect.stringMatching(/-03-01 → \d{4}-03-05$/), budgetAmount: 10000, currency: 'AED' }
+    });
+
+    const again = await whatsapp().handleMessage(PHONE, 'كثير');
+    expect(again.text).toContain('اكتب رقماً');
+    await whatsapp().handleMessage(PHONE, 'لا أعرف');
+    const third = await whatsapp().handleMessage(PHONE, 'ربما');
+    expect(third.text).toContain('إلغاء');
+    expect(state()).toMatchObject({ state: 'collecting_travelers', data: { attempts: 3 } });
+
+    await whatsapp().handleMessage(PHONE, '2 بالغين وطفل');
+    const plan = await whatsapp().handleMessage(PHONE, 'تخطي');
+
+    // The AI failed, so the plan is the built-in outline
+    expect(plan.text).toContain('اليوم 1: الوصول إلى دبي');
+    expect(plan.text).toContain('👥 3 مسافرين');
+    expect(db.getTable('trips')[0]).toMatchObject({ destination: 'دبي', travelers: 3, currency: 'AED', whatsapp_phone: PHONE });
+  });
+
+  it('asks for the other half of the dates', async () => {
+    await whatsapp().handleMessage(PHONE, 'أريد السفر إلى تركيا');
+    const end = await whatsapp().handleMessage(PHONE, '15 يناير');
+    expect(end.text).toContain('متى تعود');
+
+    const budget = await whatsapp().handleMessage(PHONE, 'لمدة 10 ليالي');
+    expect(budget.text).toContain('ميزانيتك');
+    expect(state().data).toMatchObject({ startDate: expect.stringMatching(/-01-15$/), endDate: expect.stringMatching(/-01-25$/), pendingStart: null });
+  });
+
+  it('offers to resume a plan after the conversation timeout', async () => {
+    await whatsapp().handleMessage(PHONE, 'أريد السفر إلى ماليزيا');
+    await whatsapp().handleMessage(PHONE, 'من 10 إلى 17 مايو');
+
+    // Two hours later
+    const profile = db.getTable('profiles').find(row => row.whatsapp_phone === PHONE);
+    profile.conversation_state.updated_at = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+    // A question is answered normally, not taken as a budget
+    await whatsapp().handleMessage(PHONE, 'هل أحتاج تأشيرة؟');
+    const answers = ai.chatCompletion.mock.calls.filter(([, options]) => !options || !options.jsonSchema);
+    expect(answers).toHaveLength(1);
+
+    const offer = await whatsapp().handleMessage(PHONE, '🚀 تخطيط رحلة', { replyId: 'plan_trip' });
+    expect(offer.text).toContain('لديك رحلة لم تكتمل إلى ماليزيا');
+    expect(offer.buttons.map(button => button.id)).toEqual(['wizard_resume', 'wizard_restart']);
+
+    const resumed = await whatsapp().handleMessage(PHONE, '▶️ متابعة', { replyId: 'wizard_resume' });
+    expect(resumed.text).toContain('أهلاً بعودتك');
+    expect(resumed.text).toContain('ميزانيتك');
+    expect(state()).toMatchObject({ state: 'collecting_budget', data: { destination: 'ماليزيا' } });
+  });
+
+  it('runs the same flow on Telegram, ahead of the payment amount handler', async () => {
+    await db.from('profiles').insert({ telegram_id: CHAT, username: 'layla' });
+
+    const bot = new TelegramBot('123:TEST', { polling: false });
+    bot.sendMessage = jest.fn().mockResolvedValue({ message_id: 1 });
+    bot.answerCallbackQuery = jest.fn().mockResolvedValue(true);
+    bot.sendChatAction = jest.fn().mockResolvedValue(true);
+    createMayaBot({
+      bot,
+      ai: 'none',
+      features: { offers: false },
+      conversations: new ConversationManager({ db: new SupabaseDB({ client: db }) }),
+      health: { recordRequest: jest.fn(), recordError: jest.fn() }
+    });
+
+    let updateId = 0;
+    const deliver = async (update) => {
+      bot.processUpdate({ update_id: ++updateId, ...update });
+      await new Promise(resolve => setTimeout(resolve, 30));
+    };
+    const say = text => deliver({ message: { message_id: updateId, chat: { id: CHAT }, from: { id: CHAT }, date: 0, text } });
+    const press = data => deliver({ callback_query: { id: `q${updateId}`, data, from: { id: CHAT }, message: { message_id: 1, chat: { id: CHAT } } } });
+    const lastReply = () => bot.sendMessage.mock.calls[bot.sendMessage.mock.calls.length - 1];
+    const buttons = () => lastReply()[2].reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+
+    await say('/trip');
+    expect(buttons()).toEqual(['dest_turkey', 'dest_dubai', 'dest_malaysia', 'dest_thailand']);
+
+    await press('dest_malaysia');
+    expect(lastReply()[1]).toContain('كوالالمبور');
+    expect(lastReply()[1]).toContain('متى تخطط للسفر إلى ماليزيا');
+
+    await say('١٥ يناير لمدة أسبوع');
+    expect(buttons()).toContain('budget_medium');
+
+    await press('budget_medium');
+    expect(lastReply()[1]).toContain('كم عدد المسافرين');
+
+    // A bare number answers the question instead of starting a payment
+    await say('3');
+    expect(lastReply()[1]).toContain('اهتماماتك');
+
+    await say('شواطئ، تسوق');
+    expect(lastReply()[1]).toContain('اليوم 2: استكشاف شواطئ');
+    expect(lastReply()[1]).toContain('💾 حفظت الرحلة');
+
+    const [trip] = db.getTable('trips');
+    expect(trip).toMatchObject({ telegram_id: CHAT, destination: 'ماليزيا', budget: 750, currency: 'USD', travelers: 3 });
+    expect(Date.parse(trip.end_date) - Date.parse(trip.start_date)).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(db.getTable('profiles')[0].conversation_state).toMatchObject({ state: 'idle' });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Trips API Tests
+ * Validation, ownership, pagination and status filtering of /api/trips
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { bearerToken } = require('../utils/authTokens');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { TripService } = require('../../src/trips/tripService');
+const tripRoutes = require('../../routes/trips');
+
+
+const tokyo = { destination: 'Tokyo, Japan', startDate: '2026-03-15', endDate: '2026-03-22', budget: 2500 };
+
+describe('TripService validation', () => {
+  it('maps a request body to trip columns with defaults', () => {
+    expect(TripService.validate({ ...tokyo, destination: '  Tokyo, Japan ', budget: '2500.456' })).toEqual({
+      destination: 'Tokyo, Japan',
+      start_date: '2026-03-15',
+      end_date: '2026-03-22',
+      currency: 'USD',
+      budget: 2500.46,
+      status: 'planned'
+    });
+  });
+
+  it.each([
+    ['Destination is required', { ...tokyo, destination: ' ' }],
+    ['Start date must be a date in YYYY-MM-DD format', { ...tokyo, startDate: '15/03/2026' }],
+    ['End date must be a date in YYYY-MM-DD format', { ...tokyo, endDate: '2026-02-30' }],
+    ['End date must be on or after the start date', { ...tokyo, endDate: '2026-03-01' }],
+    ['Trips can last at most 365 days', { ...tokyo, endDate: '2027-06-01' }],
+    ['Budget must be a number of zero or more', { ...tokyo, budget: -1 }],
+    ['Budget must be a number of zero or more', { ...tokyo, budget: 'lots' }],
+    ['Budget must not exceed 99999999.99', { ...tokyo, budget: 1e9 }],
+    ['Invalid currency code: dollars', { ...tokyo, currency: 'dollars' }],
+    ['Status must be one of: planned, ongoing, completed', { ...tokyo, status: 'cancelled' }],
+    ['Image URL must be an http(s) URL', { ...tokyo, imageUrl: 'javascript:alert(1)' }]
+  ])('rejects: %s', (message, input) => {
+    expect(() => TripService.validate(input)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+
+  it('checks partial updates against the stored dates', () => {
+    const existing = { start_date: '2026-03-15', end_date: '2026-03-22', currency: 'JPY' };
+
+    expect(TripService.validate({ budget: 300000.4 }, existing)).toEqual({ budget: 300000 });
+    expect(() => TripService.validate({ startDate: '2026-03-25' }, existing)).toThrow('End date must be on or after the start date');
+  });
+});
+
+describe('Trip routes', () => {
+  let app;
+  let db;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/trips', tripRoutes);
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const createTrip = async (body = tokyo, telegramId = 12345) => request(app)
+    .post('/api/trips')
+    .set('Authorization', await bearerToken(telegramId))
+    .send(body);
+
+  it('requires a mini app token', async () => {
+    expect((await request(app).get('/api/trips')).status).toBe(401);
+    expect((await request(app).get('/api/trips').set('Authorization', 'Bearer nope')).status).toBe(401);
+  });
+
+  it('creates a trip for the caller', async () => {
+    const res = await createTrip({ ...tokyo, currency: 'jpy', budget: 300000, imageUrl: 'https://example.com/tokyo.jpg' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.trip).toMatchObject({
+      destination: 'Tokyo, Japan',
+      start_date: '2026-03-15',
+      budget: 300000,
+      currency: 'JPY',
+      status: 'planned',
+      image_url: 'https://example.com/tokyo.jpg'
+    });
+    expect(db.getTable('trips')[0].telegram_id).toBe(12345);
+  });
+
+  it('returns the travelers and itinerary', async () => {
+    const itinerary = 'Day 1: Asakusa and Senso-ji\nDay 2: Shibuya';
+    const { body } = await createTrip({ ...tokyo, travelers: 3, itinerary });
+    expect(body.trip).toMatchObject({ travelers: 3, itinerary });
+
+    const read = await request(app).get(`/api/trips/${body.trip.id}`).set('Authorization', await bearerToken(12345));
+    expect(read.body.trip).toMatchObject({ travelers: 3, itinerary });
+
+    const plain = await createTrip();
+    expect(plain.body.trip).toMatchObject({ travelers: 1, itinerary: null });
+  });
+
+  it('rejects invalid trips with 400', async () => {
+    const res = await createTrip({ ...tokyo, endDate: '2026-03-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, error: 'End date must be on or after the start date' });
+    expect(db.getTable('trips')).toHaveLength(0);
+  });
+
+  it('lists only the caller\'s trips, paginated and filtered by status', async () => {
+    await createTrip({ ...tokyo, destination: 'Tokyo', startDate: '2026-01-10', endDate: '2026-01-12', status: 'completed' });
+    await createTrip({ ...tokyo, destination: 'Paris', startDate: '2026-05-01', endDate: '2026-05-05' });
+    await createTrip({ ...tokyo, destination: 'Cairo', startDate: '2026-07-01', endDate: '2026-07-03' });
+    await createTrip({ ...tokyo, destination: 'Someone else\'s' }, 999);
+
+    const first = await request(app).get('/api/trips?limit=2').set('Authorization', await bearerToken(12345));
+    const second = await request(app).get('/api/trips?limit=2&offset=2').set('Authorization', await bearerToken(12345));
+    const completed = await request(app).get('/api/trips?status=completed').set('Authorization', await bearerToken(12345));
+
+    expect(first.body.trips.map(trip => trip.destination)).toEqual(['Cairo', 'Paris']);
+    expect(first.body.pagination).toEqual({ limit: 2, offset: 0, total: 3, has_more: true });
+    expect(second.body.trips.map(trip => trip.destination)).toEqual(['Tokyo']);
+    expect(second.body.pagination.has_more).toBe(false);
+    expect(completed.body.trips.map(trip => trip.destination)).toEqual(['Tokyo']);
+  });
+
+  it('rejects an unknown status filter', async () => {
+    const res = await request(app).get('/api/trips?status=booked').set('Authorization', await bearerToken(12345));
+    expect(res.status).toBe(400);
+  });
+
+  it('updates and deletes the caller\'s trip', async () => {
+    const { body } = await createTrip();
+    const id = body.trip.id;
+
+    const updated = await request(app)
+      .put(`/api/trips/${id}`)
+      .set('Authorization', await bearerToken(12345))
+      .send({ status: 'ongoing', endDate: '2026-03-25' });
+
+    expect(updated.body.trip).toMatchObject({ status: 'ongoing', start_date: '2026-03-15', end_date: '2026-03-25', budget: 2500 });
+
+    const deleted = await request(app).delete(`/api/trips/${id}`).set('Authorization', await bearerToken(12345));
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get(`/api/trips/${id}`).set('Authorization', await bearerToken(12345))).status).toBe(404);
+  });
+
+  it('hides other users\' trips', async () => {
+    const { body } = await createTrip();
+    const id = body.trip.id;
+
+    const read = await request(app).get(`/api/trips/${id}`).set('Authorization', await bearerToken(999));
+    const update = await request(app).put(`/api/trips/${id}`).set('Authorization', await bearerToken(999)).send({ budget: 1 });
+    const remove = await request(app).delete(`/api/trips/${id}`).set('Authorization', await bearerToken(999));
+
+    expect([read.status, update.status, remove.status]).toEqual([404, 404, 404]);
+    expect(db.getTable('trips')[0].budget).toBe(2500);
+  });
+
+  it('answers 404 for trip IDs that are not UUIDs without querying', async () => {
+    const from = jest.spyOn(db, 'from');
+    const auth = await bearerToken(12345);
+
+    const read = await request(app).get('/api/trips/abc').set('Authorization', auth);
+    const update = await request(app).put('/api/trips/abc').set('Authorization', auth).send({ status: 'ongoing' });
+    const remove = await request(app).delete('/api/trips/abc').set('Authorization', auth);
+
+    expect([read.status, update.status, remove.status]).toEqual([404, 404, 404]);
+    expect(read.body).toMatchObject({ success: false, error: 'Trip not found' });
+    expect(from).not.toHaveBeenCalledWith('trips');
+  });
+
+  it('rejects an update with no fields', async () => {
+    const { body } = await createTrip();
+
+    const res = await request(app).put(`/api/trips/${body.trip.id}`).set('Authorization', await bearerToken(12345)).send({});
+    expect(res.body).toMatchObject({ success: false, error: 'Nothing to update' });
+  });
+});
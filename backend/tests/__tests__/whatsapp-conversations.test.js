@@ -0,0 +1,160 @@
+/**
+ * WhatsApp Conversation Tests
+ * Persisted history and trip-planning state (shared across server instances),
+ * personalization from the stored profile, and history shared with linked accounts
+ */
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { ConversationManager } = require('../../utils/conversationManager');
+const { WhatsAppConversationHandler } = require('../../src/whatsapp/conversationHandler');
+const { AccountLinkService } = require('../../src/auth/accountLinkService');
+
+// tests/setup.js replaces SupabaseDB with a stub; these tests need the real store
+const SupabaseDB = jest.requireActual('../../database/supabase');
+
+const PHONE = '966500000000';
+
+describe('WhatsApp conversations', () => {
+  let db;
+  let ai;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    ai = {
+      chatCompletion: jest.fn().mockResolvedValue({ success: true, content: 'أنصحك بزيارة إسطنبول في الربيع.' }),
+      generateTravelRecommendations: jest.fn().mockResolvedValue({ success: true, content: 'اليوم 1: آيا صوفيا' })
+    };
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  // A new handler has nothing cached, like a restarted or second server instance
+  const instance = () => new WhatsAppConversationHandler({
+    ai,
+    conversations: new ConversationManager({
+      channel: 'whatsapp',
+      db: new SupabaseDB({ channel: 'whatsapp', client: db })
+    })
+  });
+
+  const profile = () => db.getTable('profiles').find(row => row.whatsapp_phone === PHONE);
+  // Chat answers, without the NLU readings (those ask for JSON)
+  const chatCalls = () => ai.chatCompletion.mock.calls.filter(([, options]) => !options.jsonSchema);
+
+  it('keeps the chat history in the database', async () => {
+    await instance().handleMessage(PHONE, 'ما أفضل وقت لزيارة إسطنبول؟', { name: 'Layla' });
+    await instance().handleMessage(PHONE, 'وماذا عن الطقس؟');
+
+    const [messages] = chatCalls()[1];
+    expect(messages.slice(1).map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(messages[1].content).toBe('ما أفضل وقت لزيارة إسطنبول؟');
+    expect(profile()).toMatchObject({ username: 'Layla' });
+    expect(db.getTable('messages')).toHaveLength(4);
+    expect(db.getTable('messages').every(m => m.profile_id === profile().id && m.channel === 'whatsapp')).toBe(true);
+  });
+
+  it('does not record failed answers', async () => {
+    ai.chatCompletion.mockResolvedValue({ success: false, error: 'All providers failed' });
+
+    const reply = await instance().handleMessage(PHONE, 'مرحبا');
+
+    expect(reply.failed).toBe(true);
+    expect(db.getTable('messages')).toHaveLength(0);
+  });
+
+  it('collects destination, dates, budget, travelers and interests across instances, then saves the trip', async () => {
+    const start = await instance().handleMessage(PHONE, 'أريد السفر إلى تركيا');
+    expect(start.text).toContain('تركيا');
+    expect(profile().conversation_state).toMatchObject({ state: 'collecting_dates', data: { destination: 'تركيا' } });
+
+    await instance().handleMessage(PHONE, 'من 10 إلى 17 مايو');
+    await instance().handleMessage(PHONE, '8000 ريال');
+    await instance().handleMessage(PHONE, 'شخصين');
+    const plan = await instance().handleMessage(PHONE, 'ثقافة وتسوق');
+
+    expect(ai.generateTravelRecommendations).toHaveBeenCalledWith(
+      'تركيا', '8,000 SAR', expect.stringMatching(/^8-day \(\d{4}-05-10 to \d{4}-05-17\)$/), ['ثقافة', 'تسوق', '2 travelers']
+    );
+    expect(plan.text).toContain('اليوم 1: آيا صوفيا');
+    expect(profile().preferences).toMatchObject({ destination: 'تركيا', budget: '8,000 SAR', travelers: 2 });
+    expect(profile().conversation_state).toMatchObject({ state: 'idle', data: {} });
+    // The only chat completion is the NLU reading the first message (its reply is not JSON, so the rules decided)
+    expect(ai.chatCompletion).toHaveBeenCalledTimes(1);
+    expect(ai.chatCompletion.mock.calls[0][1]).toMatchObject({ temperature: 0, jsonSchema: expect.any(Object) });
+
+    const [trip] = db.getTable('trips');
+    expect(trip).toMatchObject({
+      destination: 'تركيا',
+      budget: 8000,
+      currency: 'SAR',
+      travelers: 2,
+      itinerary: 'اليوم 1: آيا صوفيا',
+      telegram_id: null,
+      whatsapp_phone: PHONE
+    });
+  });
+
+  it('starts planning from the button and can be cancelled', async () => {
+    const ask = await instance().handleMessage(PHONE, '🚀 تخطيط رحلة', { replyId: 'plan_trip' });
+    expect(ask.buttons).toHaveLength(3);
+
+    const unclear = await instance().handleMessage(PHONE, 'مكان جميل');
+    expect(unclear.buttons).toHaveLength(3);
+    expect(profile().conversation_state.state).toBe('collecting_destination');
+
+    await instance().handleMessage(PHONE, 'إلغاء');
+    expect(profile().conversation_state.state).toBe('idle');
+
+    await instance().handleMessage(PHONE, 'هل أحتاج تأشيرة؟');
+    expect(chatCalls()).toHaveLength(1);
+  });
+
+  it('personalizes answers with the stored profile', async () => {
+    await db.from('profiles').insert({
+      whatsapp_phone: PHONE,
+      username: 'Layla',
+      preferences: { travel_style: 'luxury' },
+      travel_history: [{ destination: 'Dubai', timestamp: '2026-01-05T00:00:00Z' }]
+    });
+
+    await instance().handleMessage(PHONE, 'اقترح لي فندقاً');
+
+    const system = chatCalls()[0][0][0].content;
+    expect(system).toContain('Layla');
+    expect(system).toContain('USER HISTORY: User has previously traveled to: Dubai');
+    expect(system).toContain('travel_style: luxury');
+  });
+
+  it('reads the message with the NLU before answering', async () => {
+    ai.chatCompletion.mockImplementation(async (messages, options) => (options.jsonSchema
+      ? { success: true, content: JSON.stringify({ intent: 'destination_info', confidence: 0.85, emotion: 'concerned', urgency: 'high', entities: { destination: 'Istanbul' } }) }
+      : { success: true, content: 'نعم، تحتاج تأشيرة إلكترونية.' }));
+
+    const reply = await instance().handleMessage(PHONE, 'هل أحتاج تأشيرة لإسطنبول غداً؟ أنا قلق');
+
+    expect(reply.text).toBe('نعم، تحتاج تأشيرة إلكترونية.');
+    const [nluCall, chatCall] = ai.chatCompletion.mock.calls;
+    expect(nluCall[1]).toMatchObject({ jsonSchema: expect.any(Object) });
+    expect(chatCall[0][0].content).toContain('CURRENT MESSAGE: intent destination_info, emotion concerned, urgency high. Approach: direct_immediate_help.');
+    expect(chatCall[0][0].content).toContain('destination: إسطنبول');
+  });
+
+  it('shares history with a linked Telegram account', async () => {
+    await instance().handleMessage(PHONE, 'ما أفضل وقت لزيارة إسطنبول؟');
+
+    const links = new AccountLinkService({ client: db });
+    const telegram = await links.identities.resolveTelegramUser({ id: 12345 });
+    const { code } = await links.issueCode(telegram.id, 'telegram');
+    await links.redeemCode(code, profile().id, 'whatsapp');
+
+    const telegramHistory = await new SupabaseDB({ client: db }).getConversationHistory(12345);
+    expect(telegramHistory.map(entry => entry.message)).toEqual([
+      'ما أفضل وقت لزيارة إسطنبول؟',
+      'أنصحك بزيارة إسطنبول في الربيع.'
+    ]);
+  });
+});
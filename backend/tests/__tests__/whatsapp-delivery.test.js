@@ -0,0 +1,195 @@
+/**
+ * WhatsApp Delivery Tests
+ * Outbox records, status webhooks, retries with backoff, the template fallback
+ * outside the 24-hour session window, and the delivery query API
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { WhatsAppDeliveryService, whatsappDelivery } = require('../../src/whatsapp/deliveryService');
+const WhatsAppClient = require('../../src/whatsapp/whatsappClient');
+const whatsappRoutes = require('../../routes/whatsapp');
+const { whatsappNumbers } = require('../../src/whatsapp/numberRegistry');
+const { captureRawBody, signWebhookBody } = require('../../middleware/whatsappSignature');
+
+const PHONE = '966500000000';
+const TEMPLATE = { name: 'maya_follow_up', language: 'ar' };
+
+const textPayload = (body = 'تم تأكيد حجزك') => ({
+  messaging_product: 'whatsapp',
+  recipient_type: 'individual',
+  to: PHONE,
+  type: 'text',
+  text: { preview_url: false, body }
+});
+
+describe('WhatsAppDeliveryService', () => {
+  let db;
+  let clock;
+  let sender;
+  let service;
+  let nextId;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    clock = Date.parse('2026-10-19T12:00:00Z');
+    nextId = 0;
+    sender = { post: jest.fn(async () => ({ success: true, messageId: `wamid.${++nextId}` })) };
+    service = new WhatsAppDeliveryService({ client: db, whatsapp: sender, now: () => clock, maxAttempts: 3, fallbackTemplate: TEMPLATE });
+  });
+
+  const outbox = () => db.getTable('whatsapp_messages');
+  const status = (id, value, extra = {}) => ({ id, status: value, timestamp: String(Math.floor(clock / 1000)), recipient_id: PHONE, ...extra });
+
+  it('records sends and follows status webhooks forward only', async () => {
+    const result = await service.send(sender, textPayload());
+    expect(result).toMatchObject({ success: true, messageId: 'wamid.1', outboxId: outbox()[0].id });
+    expect(outbox()[0]).toMatchObject({ recipient: PHONE, status: 'sent', attempts: 1, wa_message_id: 'wamid.1' });
+
+    await service.recordStatus(status('wamid.1', 'delivered'));
+    clock += 60000;
+    await service.recordStatus(status('wamid.1', 'read'));
+    // A late "delivered" does not move the message back
+    await service.recordStatus(status('wamid.1', 'delivered'));
+
+    expect(outbox()[0]).toMatchObject({
+      status: 'read',
+      delivered_at: '2026-10-19T12:00:00.000Z',
+      read_at: '2026-10-19T12:01:00.000Z'
+    });
+    expect(await service.recordStatus(status('wamid.unknown', 'read'))).toBeNull();
+  });
+
+  it('retries temporary failures with backoff until they are sent', async () => {
+    sender.post.mockResolvedValueOnce({ success: false, error: 'Rate limit hit', errorCode: 130429, httpStatus: 400 });
+
+    const result = await service.send(sender, textPayload());
+    expect(result).toMatchObject({ success: false, error: 'Rate limit hit', retryAt: '2026-10-19T12:00:30.000Z' });
+
+    expect(await service.processRetries()).toEqual({ retried: 0, sent: 0, failed: 0 });
+    clock += 30000;
+    expect(await service.processRetries()).toEqual({ retried: 1, sent: 1, failed: 0 });
+    expect(outbox()[0]).toMatchObject({ status: 'sent', attempts: 2, last_error: null, next_attempt_at: null });
+  });
+
+  it('gives up after the last attempt and on permanent errors', async () => {
+    sender.post.mockResolvedValue({ success: false, error: 'Service unavailable', errorCode: null, httpStatus: 503 });
+    await service.send(sender, textPayload());
+    clock += 30000;
+    await service.processRetries();
+    expect(outbox()[0]).toMatchObject({ status: 'queued', attempts: 2, next_attempt_at: '2026-10-19T12:01:30.000Z' });
+    clock += 60000;
+    await service.processRetries();
+    expect(outbox()[0]).toMatchObject({ status: 'failed', attempts: 3, last_error: 'Service unavailable' });
+
+    sender.post.mockResolvedValue({ success: false, error: 'Invalid parameter', errorCode: 100, httpStatus: 400 });
+    const invalid = await service.send(sender, textPayload());
+    expect(invalid.retryAt).toBeUndefined();
+    expect(outbox()[1]).toMatchObject({ status: 'failed', attempts: 1, error_code: 100 });
+  });
+
+  it('sends the fallback template once the session window has closed', async () => {
+    await service.recordInbound(PHONE, Math.floor((clock - 25 * 60 * 60 * 1000) / 1000));
+
+    const result = await service.send(sender, textPayload('رحلتك إلى دبي\nغداً الساعة 9'));
+
+    expect(result).toMatchObject({ success: true, templateFallback: true });
+    const [payload] = sender.post.mock.calls[0];
+    expect(payload).toMatchObject({ type: 'template', template: { name: 'maya_follow_up', language: { code: 'ar' } } });
+    expect(payload.template.components[0].parameters[0].text).toBe('رحلتك إلى دبي - غداً الساعة 9');
+
+    // Inside the window free-form messages go out as they are
+    await service.recordInbound(PHONE);
+    await service.send(sender, textPayload());
+    expect(sender.post.mock.calls[1][0].type).toBe('text');
+
+    // Without a template there is nothing that may be sent
+    const noTemplate = new WhatsAppDeliveryService({ client: db, whatsapp: sender, now: () => clock + 25 * 60 * 60 * 1000, fallbackTemplate: null });
+    const closed = await noTemplate.send(sender, textPayload());
+    expect(closed).toMatchObject({ success: false, error: expect.stringContaining('Session window closed') });
+    expect(sender.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('reacts to failed status webhooks', async () => {
+    await service.send(sender, textPayload('first'));
+    await service.send(sender, textPayload('second'));
+
+    // Re-engagement error: resent as the template
+    await service.recordStatus(status('wamid.1', 'failed', { errors: [{ code: 131047, title: 'Re-engagement message' }] }));
+    expect(outbox()[0]).toMatchObject({ status: 'sent', template_fallback: true, wa_message_id: 'wamid.3', attempts: 2 });
+
+    // Temporary error: queued for a retry
+    await service.recordStatus(status('wamid.2', 'failed', { errors: [{ code: 131000, title: 'Something went wrong' }] }));
+    expect(outbox()[1]).toMatchObject({ status: 'queued', next_attempt_at: '2026-10-19T12:00:30.000Z', error_code: 131000 });
+  });
+
+  it('tracks messages sent through WhatsAppClient', async () => {
+    const client = new WhatsAppClient({ outbox: service });
+    client.isConfigured = true;
+    client.post = sender.post;
+
+    await client.sendInteractive(`+${PHONE}`, 'اختر وجهة', [{ id: 'dest_dubai', title: 'دبي' }]);
+
+    expect(outbox()[0]).toMatchObject({ recipient: PHONE, message_type: 'interactive', status: 'sent' });
+  });
+});
+
+describe('WhatsApp delivery routes', () => {
+  let app;
+  let db;
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use('/api/whatsapp', whatsappRoutes);
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  it('applies status webhooks and reports delivery per customer', async () => {
+    const sender = { post: jest.fn().mockResolvedValue({ success: true, messageId: 'wamid.42' }) };
+    await whatsappDelivery.send(sender, textPayload());
+
+    jest.spyOn(whatsappNumbers, 'appSecrets').mockReturnValue(['test-app-secret']);
+    const raw = JSON.stringify({
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ field: 'messages', value: { statuses: [{ id: 'wamid.42', status: 'delivered', timestamp: '1792411200' }] } }] }]
+    });
+    const acknowledged = await request(app)
+      .post('/api/whatsapp/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', signWebhookBody(raw, 'test-app-secret'))
+      .send(raw);
+    expect(acknowledged.status).toBe(200);
+    // The webhook is acknowledged before it is processed
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const denied = await request(app).get(`/api/whatsapp/delivery/${PHONE}`);
+    expect(denied.status).toBe(401);
+
+    const { body } = await request(app).get(`/api/whatsapp/delivery/+${PHONE}`).set('X-Admin-Key', 'test-admin-key');
+    expect(body).toMatchObject({
+      success: true,
+      phone: PHONE,
+      session: { open: null },
+      counts: { queued: 0, sent: 0, delivered: 1, read: 0, failed: 0 }
+    });
+    expect(body.messages[0]).toMatchObject({ message_id: 'wamid.42', status: 'delivered', preview: 'تم تأكيد حجزك' });
+
+    const invalid = await request(app).get('/api/whatsapp/messages?status=lost').set('X-Admin-Key', 'test-admin-key');
+    expect(invalid.status).toBe(400);
+  });
+});
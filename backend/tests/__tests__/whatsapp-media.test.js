@@ -0,0 +1,271 @@
+/**
+ * WhatsApp Media Tests
+ * Photos analyzed by the vision model, nearby attractions for shared locations,
+ * PDF tickets and passports, and voice notes through the speech-to-text interface
+ */
+
+const zlib = require('zlib');
+const axios = require('axios');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const { ConversationManager } = require('../../utils/conversationManager');
+const { WhatsAppConversationHandler } = require('../../src/whatsapp/conversationHandler');
+const { WhatsAppMediaHandler } = require('../../src/whatsapp/mediaHandler');
+const WhatsAppClient = require('../../src/whatsapp/whatsappClient');
+const { extractPdfText, parseTravelDocument } = require('../../src/whatsapp/travelDocuments');
+const { SpeechToTextProvider } = require('../../src/ai/speechToText');
+
+// tests/setup.js replaces SupabaseDB with a stub; these tests need the real store
+const SupabaseDB = jest.requireActual('../../database/supabase');
+
+const PHONE = '966500000000';
+const NOW = new Date('2026-10-19T09:00:00Z');
+
+// One-page PDF with a Helvetica font and one (optionally compressed) content stream;
+// lines are text operators
+function pdf(operators, { compress = true } = {}) {
+  const content = operators.map((op, i) => `BT /F1 12 Tf 50 ${750 - i * 20} Td ${op} ET`).join('\n');
+  const data = compress ? zlib.deflateSync(content) : Buffer.from(content, 'latin1');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    Buffer.concat([
+      Buffer.from(`<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>\nstream\n`),
+      data,
+      Buffer.from('\nendstream')
+    ]),
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  let size = parts[0].length;
+  objects.forEach((body, i) => {
+    const object = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')]);
+    offsets.push(size);
+    size += object.length;
+    parts.push(object);
+  });
+  const entries = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  parts.push(Buffer.from(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${entries}` +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${size}\n%%EOF\n`
+  ));
+  return Buffer.concat(parts);
+}
+
+const TICKET = pdf([
+  '(Electronic Ticket Receipt) Tj',
+  '(Booking Reference: XK7Q2M) Tj',
+  '(From: Riyadh \\(RUH\\)) Tj',
+  '(To: Istanbul \\(IST\\)) Tj',
+  '[(Flight) -250 (TK) -250 (145)] TJ',
+  '(Departure: 10 MAY 2027  Return: 17 MAY 2027) Tj'
+]);
+
+const PASSPORT = pdf([
+  '(KINGDOM OF SAUDI ARABIA) Tj',
+  '(P<SAUALHARBI<<LAYLA<<<<<<<<<<<<<<<<<<<<<<<<<<<) Tj',
+  '(A123456741SAU9001017F2612015<<<<<<<<<<<<<<06) Tj'
+], { compress: false });
+
+describe('Travel documents', () => {
+  it('reads ticket details from a compressed PDF', async () => {
+    const text = await extractPdfText(TICKET);
+    expect(text).toContain('Flight TK 145');
+
+    expect(parseTravelDocument(text, { now: NOW })).toEqual({
+      type: 'ticket',
+      bookingReference: 'XK7Q2M',
+      flights: ['TK145'],
+      route: { from: 'RUH', to: 'IST', fromCity: 'Riyadh', toCity: 'Istanbul' },
+      destination: 'Istanbul',
+      dates: ['2027-05-10', '2027-05-17']
+    });
+  });
+
+  it('reads a passport machine-readable zone', async () => {
+    expect(parseTravelDocument(await extractPdfText(PASSPORT), { now: NOW })).toMatchObject({
+      type: 'passport',
+      documentNumber: 'A12345674',
+      nationality: 'SAU',
+      surname: 'ALHARBI',
+      givenNames: 'LAYLA',
+      birthDate: '1990-01-01',
+      expiryDate: '2026-12-01'
+    });
+  });
+
+  it('finds no text in files that are not text PDFs', async () => {
+    expect(await extractPdfText(Buffer.from('\x89PNG\r\n'))).toBe('');
+    expect(await extractPdfText(pdf([]))).toBe('');
+    // Broken files are unreadable rather than an error
+    expect(await extractPdfText(TICKET.subarray(0, 200))).toBe('');
+  });
+
+  it('turns away files whose streams inflate past the limit', async () => {
+    const bomb = Buffer.concat([
+      pdf(['(Booking Reference: XK7Q2M) Tj']),
+      Buffer.from('6 0 obj\n<< /Filter /FlateDecode >>\nstream\n'),
+      zlib.deflateSync(Buffer.alloc(60 * 1024 * 1024)),
+      Buffer.from('\nendstream\nendobj\n')
+    ]);
+
+    expect(await extractPdfText(bomb)).toBe('');
+  });
+});
+
+describe('WhatsApp media messages', () => {
+  let db;
+  let ai;
+  let files;
+  let client;
+  let tools;
+  let conversation;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+    files = {
+      'img-1': { data: Buffer.from('jpeg-bytes'), mimeType: 'image/jpeg' },
+      'doc-ticket': { data: TICKET, mimeType: 'application/pdf' },
+      'doc-passport': { data: PASSPORT, mimeType: 'application/pdf' },
+      'doc-scan': { data: pdf([]), mimeType: 'application/pdf' },
+      'voice-1': { data: Buffer.from('ogg-bytes'), mimeType: 'audio/ogg' }
+    };
+    client = {
+      downloadMedia: jest.fn(async id => (files[id] ? { success: true, ...files[id] } : { success: false, error: 'Media not available' }))
+    };
+    ai = {
+      analyzeMedia: jest.fn().mockResolvedValue({ success: true, content: 'هذه قلعة جالاتا في إسطنبول. أفضل وقت للزيارة هو الربيع.' }),
+      chatCompletion: jest.fn().mockResolvedValue({ success: true, content: 'ملخص' }),
+      generateTravelRecommendations: jest.fn().mockResolvedValue({ success: true, content: 'اليوم 1: السلطان أحمد' })
+    };
+    tools = {
+      getNearbyAttractions: jest.fn().mockResolvedValue({
+        success: true,
+        data: { attractions: [{ name: 'Galata Tower', distance: '1 km', rating: 4.7 }] }
+      })
+    };
+    conversation = new WhatsAppConversationHandler({
+      ai,
+      conversations: new ConversationManager({
+        channel: 'whatsapp',
+        db: new SupabaseDB({ channel: 'whatsapp', client: db })
+      })
+    });
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const handler = (options = {}) => new WhatsAppMediaHandler({
+    client, ai, tools, conversation, speechToText: null, now: () => NOW, ...options
+  });
+
+  const messages = () => db.getTable('messages').map(m => m.content);
+  const profile = () => db.getTable('profiles').find(row => row.whatsapp_phone === PHONE);
+
+  it('sends photos to the vision model as inline images', async () => {
+    const reply = await handler().handleMessage(PHONE, {
+      type: 'image',
+      image: { id: 'img-1', mime_type: 'image/jpeg', caption: 'أين هذا المكان؟' }
+    });
+
+    const [params] = ai.analyzeMedia.mock.calls[0];
+    expect(params.prompt).toMatch(/^أين هذا المكان؟/);
+    expect(params.imageUrls).toEqual([`data:image/jpeg;base64,${Buffer.from('jpeg-bytes').toString('base64')}`]);
+    expect(reply.text).toContain('قلعة جالاتا');
+    expect(messages()).toEqual(['📷 صورة: أين هذا المكان؟', reply.text]);
+  });
+
+  it('suggests attractions near a shared location', async () => {
+    const reply = await handler().handleMessage(PHONE, {
+      type: 'location',
+      location: { latitude: 41.0256, longitude: 28.9744, name: 'Karaköy' }
+    });
+
+    expect(tools.getNearbyAttractions).toHaveBeenCalledWith({ location: 'Karaköy', latitude: 41.0256, longitude: 28.9744, radius: 5 });
+    expect(reply.text).toContain('Galata Tower - 1 km ⭐ 4.7');
+    expect(messages()[0]).toBe('📍 موقع: Karaköy (41.0256, 28.9744)');
+  });
+
+  it('continues trip planning from a ticket', async () => {
+    const reply = await handler().handleMessage(PHONE, {
+      type: 'document',
+      document: { id: 'doc-ticket', mime_type: 'application/pdf', filename: 'eticket.pdf' }
+    });
+
+    expect(reply.text).toContain('XK7Q2M');
+    expect(reply.text).toContain('RUH → IST');
+    expect(profile().conversation_state).toMatchObject({
+      state: 'collecting_budget',
+      data: { destination: 'Istanbul', dates: '2027-05-10 → 2027-05-17' }
+    });
+
+    await conversation.handleMessage(PHONE, '6000 ريال');
+    await conversation.handleMessage(PHONE, 'وحدي');
+    await conversation.handleMessage(PHONE, 'ثقافة');
+    expect(ai.generateTravelRecommendations).toHaveBeenCalledWith('Istanbul', '6,000 SAR', '8-day (2027-05-10 to 2027-05-17)', ['ثقافة', '1 traveler']);
+  });
+
+  it('checks passport validity without storing the passport number', async () => {
+    const reply = await handler().handleMessage(PHONE, {
+      type: 'document',
+      document: { id: 'doc-passport', mime_type: 'application/pdf', filename: 'passport.pdf' }
+    });
+
+    expect(reply.text).toContain('••••••674');
+    expect(reply.text).toContain('أقل من 6 أشهر');
+    expect(profile().preferences).toMatchObject({ nationality: 'SAU', passport_expiry: '2026-12-01' });
+    expect(JSON.stringify(db.getTable('messages'))).not.toContain('A12345674');
+  });
+
+  it('asks for a photo of scanned documents and does not record the failure', async () => {
+    const reply = await handler().handleMessage(PHONE, {
+      type: 'document',
+      document: { id: 'doc-scan', mime_type: 'application/pdf' }
+    });
+
+    expect(reply.failed).toBe(true);
+    expect(messages()).toHaveLength(0);
+  });
+
+  it('does not download documents over the size limit', async () => {
+    client.downloadMedia.mockResolvedValueOnce({ success: false, error: 'maxContentLength size of 10485760 exceeded', tooLarge: true });
+
+    const reply = await handler().handleMessage(PHONE, {
+      type: 'document',
+      document: { id: 'doc-ticket', mime_type: 'application/pdf' }
+    });
+
+    expect(client.downloadMedia).toHaveBeenCalledWith('doc-ticket', { maxBytes: 10 * 1024 * 1024 });
+    expect(reply).toMatchObject({ failed: true, text: expect.stringContaining('10 ميجابايت') });
+  });
+
+  it('stops the download at the size limit', async () => {
+    const whatsapp = new WhatsAppClient();
+    jest.spyOn(whatsapp, 'getMediaUrl').mockResolvedValue('https://lookaside.fbsbx.com/media/1');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const get = jest.spyOn(axios, 'get').mockRejectedValue(new Error('maxContentLength size of 100 exceeded'));
+
+    expect(await whatsapp.downloadMedia('doc-1', { maxBytes: 100 })).toMatchObject({ success: false, tooLarge: true });
+    expect(get).toHaveBeenCalledWith('https://lookaside.fbsbx.com/media/1', expect.objectContaining({ maxContentLength: 100 }));
+  });
+
+  it('transcribes voice notes through the configured provider', async () => {
+    const audio = { id: 'voice-1', mime_type: 'audio/ogg; codecs=opus', voice: true };
+    expect(await handler().transcribe(audio)).toMatchObject({ success: false, reply: { text: expect.stringContaining('كتابة') } });
+
+    class FakeSpeechToText extends SpeechToTextProvider {
+      async transcribe(data, options) {
+        return { success: true, text: ` أريد السفر إلى تركيا (${data.toString()}, ${options.mimeType}) ` };
+      }
+    }
+    const result = await handler({ speechToText: new FakeSpeechToText('fake') }).transcribe(audio);
+    expect(result).toEqual({ success: true, text: 'أريد السفر إلى تركيا (ogg-bytes, audio/ogg; codecs=opus)' });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * WhatsApp Number Tests
+ * Webhook signature verification (X-Hub-Signature-256) and routing by
+ * `metadata.phone_number_id` to business numbers with their own persona and language
+ */
+
+const SAVED_ENV = {
+  WHATSAPP_NUMBERS: process.env.WHATSAPP_NUMBERS,
+  WHATSAPP_PHONE_NUMBER_ID: process.env.WHATSAPP_PHONE_NUMBER_ID
+};
+
+const NUMBERS = [
+  { phoneNumberId: '1001', accessToken: 'token-ksa', appSecret: 'secret-ksa', name: 'Maya Trips KSA', language: 'ar' },
+  { phoneNumberId: '2002', accessToken: 'token-uk', appSecret: 'secret-uk', name: 'Maya Trips UK', language: 'en', persona: 'Prices are in GBP.' }
+];
+
+// The route module builds its clients from the environment when it is loaded
+process.env.WHATSAPP_NUMBERS = JSON.stringify(NUMBERS);
+delete process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+const express = require('express');
+const request = require('supertest');
+
+const MemoryClient = require('../../database/memoryClient');
+const { setServiceClient } = require('../../database/client');
+const WhatsAppClient = require('../../src/whatsapp/whatsappClient');
+const { WhatsAppNumberRegistry, numbersFromEnv } = require('../../src/whatsapp/numberRegistry');
+const { WhatsAppConversationHandler, whatsappConversationHandler } = require('../../src/whatsapp/conversationHandler');
+const { captureRawBody, signWebhookBody, createWhatsAppSignatureVerifier } = require('../../middleware/whatsappSignature');
+const whatsappRoutes = require('../../routes/whatsapp');
+
+const PHONE = '966500000000';
+
+const webhook = (phoneNumberId, message) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    changes: [{
+      field: 'messages',
+      value: {
+        metadata: { phone_number_id: phoneNumberId },
+        contacts: [{ wa_id: PHONE, profile: { name: 'Sam' } }],
+        messages: [{ id: `wamid.in.${phoneNumberId}`, from: PHONE, timestamp: '1792411200', type: 'text', text: { body: message } }]
+      }
+    }]
+  }]
+});
+
+afterAll(() => {
+  for (const [key, value] of Object.entries(SAVED_ENV)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe('WhatsApp webhook signatures', () => {
+  let app;
+  let secrets;
+
+  beforeEach(() => {
+    secrets = ['secret-ksa', 'secret-uk'];
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/webhook', createWhatsAppSignatureVerifier({ secrets: () => secrets }), (req, res) => res.json({ received: true }));
+  });
+
+  const post = (raw, signature) => {
+    const req = request(app).post('/webhook').set('Content-Type', 'application/json');
+    if (signature) req.set('X-Hub-Signature-256', signature);
+    return req.send(raw);
+  };
+
+  it('accepts bodies signed with any registered app secret', async () => {
+    const raw = JSON.stringify(webhook('2002', 'hello'));
+
+    expect((await post(raw, signWebhookBody(raw, 'secret-ksa'))).status).toBe(200);
+    expect((await post(raw, signWebhookBody(raw, 'secret-uk'))).status).toBe(200);
+  });
+
+  it('rejects missing, wrong and tampered signatures', async () => {
+    const raw = JSON.stringify(webhook('2002', 'hello'));
+    const tampered = raw.replace('hello', 'hi');
+
+    expect((await post(raw)).status).toBe(401);
+    expect((await post(raw, signWebhookBody(raw, 'another-secret'))).status).toBe(401);
+    expect((await post(tampered, signWebhookBody(raw, 'secret-uk'))).body).toEqual({ success: false, error: 'Invalid signature' });
+    expect((await post(raw, 'sha256=short')).status).toBe(401);
+  });
+
+  it('refuses webhooks when no secret is configured', async () => {
+    secrets = [];
+    const raw = JSON.stringify(webhook('2002', 'hello'));
+
+    expect((await post(raw)).body).toEqual({ success: false, error: 'WhatsApp app secret is not configured' });
+    expect((await post(raw, signWebhookBody(raw, 'any-secret'))).status).toBe(503);
+  });
+});
+
+describe('WhatsAppNumberRegistry', () => {
+  it('reads the configured numbers and the single-number settings', () => {
+    const numbers = numbersFromEnv({
+      WHATSAPP_PHONE_NUMBER_ID: '3003',
+      WHATSAPP_ACCESS_TOKEN: 'token-legacy',
+      WHATSAPP_APP_SECRET: 'secret-legacy',
+      WHATSAPP_NUMBERS: JSON.stringify(NUMBERS)
+    });
+    expect(numbers.map(number => number.phoneNumberId)).toEqual(['3003', '1001', '2002']);
+
+    expect(numbersFromEnv({ WHATSAPP_PHONE_NUMBER_ID: 'your_whatsapp_phone_number_id_here', WHATSAPP_NUMBERS: '{not json' })).toEqual([]);
+  });
+
+  it('resolves webhook numbers and caches one client per number', () => {
+    const registry = new WhatsAppNumberRegistry({ numbers: [...NUMBERS, { name: 'No ID' }, { phoneNumberId: 4004, language: 'fr' }] });
+
+    expect(registry.resolve('2002')).toMatchObject({ name: 'Maya Trips UK', language: 'en' });
+    expect(registry.resolve('4004')).toMatchObject({ phoneNumberId: '4004', language: 'ar' });
+    expect(registry.resolve('9999')).toBeNull();
+    expect(registry.resolve(undefined)).toMatchObject({ phoneNumberId: '1001' });
+    expect(registry.appSecrets()).toEqual(['secret-ksa', 'secret-uk']);
+
+    const client = registry.clientFor('2002');
+    expect(client).toBeInstanceOf(WhatsAppClient);
+    expect(client).toMatchObject({ phoneNumberId: '2002', accessToken: 'token-uk' });
+    expect(registry.clientFor('2002')).toBe(client);
+    expect(registry.clientFor().phoneNumberId).toBe('1001');
+  });
+
+  it('sends every webhook to the default number when none are registered', () => {
+    const registry = new WhatsAppNumberRegistry({ numbers: [] });
+    expect(registry.resolve('9999')).toMatchObject({ language: 'ar' });
+    expect(registry.appSecrets()).toEqual([]);
+  });
+});
+
+describe('WhatsApp conversations per number', () => {
+  it('adds the number\'s name, persona and language to the prompt', async () => {
+    const ai = { chatCompletion: jest.fn().mockResolvedValue({ success: true, content: 'London is lovely in May.' }) };
+    const handler = new WhatsAppConversationHandler({ ai });
+
+    await handler.chat('Where should I go?', null, [], 'Sam', NUMBERS[1]);
+
+    // The first call is the NLU reading the message
+    const [[system]] = ai.chatCompletion.mock.calls[1];
+    expect(system.content).toContain('"Maya Trips UK" WhatsApp number');
+    expect(system.content).toContain('Prices are in GBP.');
+    expect(system.content).toContain('Reply in English');
+  });
+});
+
+describe('WhatsApp webhook routing', () => {
+  let app;
+  let db;
+  let sent;
+
+  beforeEach(() => {
+    db = new MemoryClient();
+    setServiceClient(db);
+
+    sent = [];
+    jest.spyOn(WhatsAppClient.prototype, 'post').mockImplementation(async function (payload) {
+      sent.push({ from: this.phoneNumberId, token: this.accessToken, payload });
+      return { success: true, messageId: `wamid.out.${sent.length}` };
+    });
+    jest.spyOn(WhatsAppClient.prototype, 'markAsRead').mockResolvedValue({ success: true });
+
+    app = express();
+    app.use('/api/whatsapp/webhook', express.json({ verify: captureRawBody }));
+    app.use(express.json());
+    app.use('/api/whatsapp', whatsappRoutes);
+  });
+
+  afterAll(() => {
+    setServiceClient(null);
+  });
+
+  const deliver = async (body, secret = 'secret-uk') => {
+    const raw = JSON.stringify(body);
+    const res = await request(app)
+      .post('/api/whatsapp/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', signWebhookBody(raw, secret))
+      .send(raw);
+    // The webhook is acknowledged before it is processed
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return res;
+  };
+
+  it('rejects unsigned webhooks', async () => {
+    const res = await request(app).post('/api/whatsapp/webhook').send(webhook('2002', '/start'));
+    expect(res.status).toBe(401);
+    expect(sent).toHaveLength(0);
+  });
+
+  it('answers from the number that was written to, in its language', async () => {
+    await deliver(webhook('2002', '/start'));
+    await deliver(webhook('1001', '/start'), 'secret-ksa');
+
+    expect(sent).toHaveLength(2);
+    expect(sent[0]).toMatchObject({ from: '2002', token: 'token-uk', payload: { to: PHONE, type: 'interactive' } });
+    expect(sent[0].payload.interactive.body.text).toContain("I'm Maya");
+    expect(sent[1]).toMatchObject({ from: '1001', token: 'token-ksa' });
+    expect(sent[1].payload.interactive.body.text).toContain('أنا مايا');
+
+    // Session windows are kept per business number
+    expect(db.getTable('whatsapp_contacts').map(contact => contact.phone_number_id).sort()).toEqual(['1001', '2002']);
+    expect(db.getTable('whatsapp_messages').map(message => message.phone_number_id)).toEqual(['2002', '1001']);
+  });
+
+  it('passes the number to the conversation handler', async () => {
+    const handleMessage = jest.spyOn(whatsappConversationHandler, 'handleMessage').mockResolvedValue({ text: 'Happy to help!' });
+
+    await deliver(webhook('2002', 'Weekend ideas in Europe?'));
+
+    expect(handleMessage).toHaveBeenCalledWith(PHONE, 'Weekend ideas in Europe?', expect.objectContaining({
+      name: 'Sam',
+      number: expect.objectContaining({ phoneNumberId: '2002', persona: 'Prices are in GBP.' })
+    }));
+    expect(sent[0]).toMatchObject({ from: '2002', payload: { text: { body: 'Happy to help!' } } });
+  });
+
+  it('ignores webhooks for numbers it does not serve', async () => {
+    await deliver(webhook('9999', '/start'));
+    expect(sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Access Tokens for Route Tests
+ * Opens a real mini app session for a Telegram user through the shared AuthService,
+ * so tokens carry a session and a profile like the ones the API issues. Sessions are
+ * stored on the client installed with setServiceClient.
+ */
+
+const { authService } = require('../../src/auth/authService');
+
+/**
+ * Authorization header value for a Telegram user
+ * @param {number} telegramId
+ * @returns {Promise<string>} `Bearer <access token>`
+ */
+async function bearerToken(telegramId) {
+  const identity = await authService.identities.resolveTelegramUser({ id: telegramId });
+  const { token } = await authService.createSession(identity);
+  return `Bearer ${token}`;
+}
+
+/**
+ * Profile ID of a Telegram user, for records the user should own
+ * @param {number} telegramId
+ * @returns {Promise<string>}
+ */
+async function profileId(telegramId) {
+  return (await authService.identities.resolveTelegramUser({ id: telegramId })).id;
+}
+
+module.exports = {
+  bearerToken,
+  profileId
+};
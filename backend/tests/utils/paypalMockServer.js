@@ -0,0 +1,246 @@
+/**
+ * Local mock of the PayPal REST API
+ * Implements the endpoints used by src/payments/paypalClient.js: OAuth tokens,
+ * Orders v2 (create, get, capture), capture refunds and webhook verification.
+ *
+ * Tests start it on a random port; for local development run
+ *   node tests/utils/paypalMockServer.js
+ * and set PAYPAL_API_BASE=http://localhost:4010 (approve orders by opening their approval URL).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+function createPayPalMockServer({
+  clientId = 'test-paypal-id',
+  clientSecret = 'test-paypal-secret',
+  webhookId = 'WH-MOCK'
+} = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const signingSecret = crypto.randomBytes(16).toString('hex');
+  const state = {
+    orders: new Map(),
+    captures: new Map(),
+    requestIds: new Map(),
+    requests: [],
+    declineNextCapture: false,
+    accessToken: `A21AA-${crypto.randomBytes(8).toString('hex')}`
+  };
+  let counter = 0;
+  let server = null;
+  let baseUrl = '';
+
+  const nextId = (prefix) => `${prefix}-${Date.now()}${++counter}`;
+
+  const unprocessable = (res, issue, description) => res.status(422).json({
+    name: 'UNPROCESSABLE_ENTITY',
+    message: 'The requested action could not be performed.',
+    details: [{ issue, description }]
+  });
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, body: req.body, headers: req.headers });
+    next();
+  });
+
+  app.post('/v1/oauth2/token', (req, res) => {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const [id, secret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+    if (scheme !== 'Basic' || id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+    }
+    res.json({ access_token: state.accessToken, token_type: 'Bearer', expires_in: 32400 });
+  });
+
+  // Everything below needs the bearer token
+  app.use(['/v1/notifications', '/v2'], (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${state.accessToken}`) {
+      return res.status(401).json({ name: 'AUTHENTICATION_FAILURE', message: 'Authentication failed' });
+    }
+    next();
+  });
+
+  app.post('/v2/checkout/orders', (req, res) => {
+    const requestId = req.headers['paypal-request-id'];
+    if (requestId && state.requestIds.has(requestId)) {
+      return res.status(200).json(state.orders.get(state.requestIds.get(requestId)));
+    }
+
+    const unit = req.body.purchase_units?.[0];
+    if (req.body.intent !== 'CAPTURE' || !unit?.amount?.value || !unit.amount.currency_code) {
+      return res.status(400).json({ name: 'INVALID_REQUEST', details: [{ issue: 'MISSING_REQUIRED_PARAMETER' }] });
+    }
+
+    const id = nextId('ORDER');
+    const order = {
+      id,
+      intent: 'CAPTURE',
+      status: 'PAYER_ACTION_REQUIRED',
+      purchase_units: [{ ...unit }],
+      experience_context: req.body.payment_source?.paypal?.experience_context || {},
+      links: [
+        { href: `${baseUrl}/v2/checkout/orders/${id}`, rel: 'self', method: 'GET' },
+        { href: `${baseUrl}/checkoutnow?token=${id}`, rel: 'payer-action', method: 'GET' }
+      ]
+    };
+    state.orders.set(id, order);
+    if (requestId) state.requestIds.set(requestId, id);
+    res.status(200).json(order);
+  });
+
+  // Stand-in for the PayPal approval page: approves and sends the payer back
+  app.get('/checkoutnow', (req, res) => {
+    const order = state.orders.get(req.query.token);
+    if (!order) return res.status(404).send('Unknown order');
+
+    approve(order.id);
+    res.redirect(`${order.experience_context.return_url}?token=${order.id}&PayerID=MOCKPAYER`);
+  });
+
+  app.get('/v2/checkout/orders/:id', (req, res) => {
+    const order = state.orders.get(req.params.id);
+    if (!order) return res.status(404).json({ name: 'RESOURCE_NOT_FOUND' });
+    res.json(order);
+  });
+
+  app.post('/v2/checkout/orders/:id/capture', (req, res) => {
+    const order = state.orders.get(req.params.id);
+    if (!order) return res.status(404).json({ name: 'RESOURCE_NOT_FOUND' });
+    if (order.status === 'COMPLETED') {
+      return unprocessable(res, 'ORDER_ALREADY_CAPTURED', 'Order already captured.');
+    }
+    if (order.status !== 'APPROVED') {
+      return unprocessable(res, 'ORDER_NOT_APPROVED', 'Payer has not yet approved the Order for payment.');
+    }
+    if (state.declineNextCapture) {
+      state.declineNextCapture = false;
+      return unprocessable(res, 'INSTRUMENT_DECLINED', 'The instrument presented was declined.');
+    }
+
+    const unit = order.purchase_units[0];
+    const capture = {
+      id: nextId('CAP'),
+      status: 'COMPLETED',
+      amount: unit.amount,
+      custom_id: unit.custom_id,
+      supplementary_data: { related_ids: { order_id: order.id } },
+      refunded: 0
+    };
+    state.captures.set(capture.id, capture);
+
+    order.status = 'COMPLETED';
+    unit.payments = { captures: [publicCapture(capture)] };
+    order.payer = { payer_id: 'MOCKPAYER', email_address: 'payer@example.com' };
+    res.status(201).json(order);
+  });
+
+  app.post('/v2/payments/captures/:id/refund', (req, res) => {
+    const capture = state.captures.get(req.params.id);
+    if (!capture) return res.status(404).json({ name: 'RESOURCE_NOT_FOUND' });
+
+    const total = Number(capture.amount.value);
+    const amount = req.body.amount ? Number(req.body.amount.value) : total - capture.refunded;
+    if (amount <= 0 || capture.refunded + amount > total + 1e-9) {
+      return unprocessable(res, 'REFUND_AMOUNT_EXCEEDED', 'The refund amount must be less than or equal to the capture amount that has not yet been refunded.');
+    }
+
+    capture.refunded += amount;
+    capture.status = capture.refunded >= total ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    res.status(201).json({
+      id: nextId('REF'),
+      status: 'COMPLETED',
+      amount: { value: amount.toFixed(2), currency_code: capture.amount.currency_code },
+      note_to_payer: req.body.note_to_payer,
+      links: [{ href: `${baseUrl}/v2/payments/captures/${capture.id}`, rel: 'up', method: 'GET' }]
+    });
+  });
+
+  app.post('/v1/notifications/verify-webhook-signature', (req, res) => {
+    const body = req.body;
+    const expected = sign(body.transmission_id, body.transmission_time, body.webhook_event);
+    const valid = body.webhook_id === webhookId &&
+      body.auth_algo === 'SHA256withRSA' &&
+      body.transmission_sig === expected;
+    res.json({ verification_status: valid ? 'SUCCESS' : 'FAILURE' });
+  });
+
+  function publicCapture(capture) {
+    const { refunded, ...rest } = capture;
+    return rest;
+  }
+
+  function sign(transmissionId, transmissionTime, event) {
+    return crypto
+      .createHmac('sha256', signingSecret)
+      .update(`${transmissionId}|${transmissionTime}|${webhookId}|${JSON.stringify(event)}`)
+      .digest('base64');
+  }
+
+  /**
+   * Mark an order as approved by the payer
+   */
+  function approve(orderId) {
+    const order = state.orders.get(orderId);
+    if (order && order.status !== 'COMPLETED') {
+      order.status = 'APPROVED';
+    }
+    return order;
+  }
+
+  /**
+   * Headers PayPal would send with a webhook delivery of `event`
+   */
+  function signWebhook(event) {
+    const transmissionId = crypto.randomUUID();
+    const transmissionTime = new Date().toISOString();
+    return {
+      'paypal-auth-algo': 'SHA256withRSA',
+      'paypal-cert-url': `${baseUrl}/v1/notifications/certs/CERT-MOCK`,
+      'paypal-transmission-id': transmissionId,
+      'paypal-transmission-sig': sign(transmissionId, transmissionTime, event),
+      'paypal-transmission-time': transmissionTime
+    };
+  }
+
+  function start(port = 0) {
+    return new Promise((resolve) => {
+      server = app.listen(port, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve(baseUrl);
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    app,
+    state,
+    webhookId,
+    start,
+    stop,
+    approve,
+    signWebhook,
+    get url() {
+      return baseUrl;
+    }
+  };
+}
+
+module.exports = { createPayPalMockServer };
+
+if (require.main === module) {
+  const mock = createPayPalMockServer({
+    clientId: process.env.PAYPAL_CLIENT_ID || undefined,
+    clientSecret: process.env.PAYPAL_CLIENT_SECRET || undefined,
+    webhookId: process.env.PAYPAL_WEBHOOK_ID || undefined
+  });
+  mock.start(Number(process.env.PAYPAL_MOCK_PORT) || 4010).then((url) => {
+    console.log(`🅿️ PayPal mock API listening on ${url}`);
+  });
+}
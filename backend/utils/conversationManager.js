@@ -1,16 +1,32 @@
 /**
  * Comprehensive Conversation Manager for Maya Travel Agent
- * Handles conversation state, context, and history
+ * Handles conversation state, context, and history.
+ * History is stored through SupabaseDB; the trip-planning state is saved on the
+ * profile (`conversation_state`), so a conversation can continue after a restart
+ * or on another server instance. Contexts are cached per instance; pass
+ * `{ refresh: true }` to getContext to reload one from the database.
+ * A flow left alone longer than the conversation timeout is set aside as
+ * `context.suspended` (for up to a week) rather than dropped, so it can be resumed.
  */
 
 const logger = require('./logger');
 const SupabaseDB = require('../database/supabase');
+const { nlu: defaultNLU } = require('../src/ai/nlu');
 
 class ConversationManager {
-  constructor() {
-    this.db = new SupabaseDB();
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.channel] - 'telegram' (default) or 'whatsapp'; users are Telegram IDs or WhatsApp numbers
+   * @param {SupabaseDB} [options.db] - Store to use instead of a new SupabaseDB for the channel
+   * @param {NLU} [options.nlu] - Message understanding for analyzeIntent and understand
+   */
+  constructor({ channel = 'telegram', db = null, nlu = defaultNLU } = {}) {
+    this.channel = channel;
+    this.db = db || new SupabaseDB({ channel });
+    this.nlu = nlu;
     this.activeConversations = new Map();
     this.conversationTimeout = 30 * 60 * 1000; // 30 minutes
+    this.resumeWindow = 7 * 24 * 60 * 60 * 1000; // 7 days
     this.maxHistoryLength = 50;
     
     // Conversation states
@@ -19,6 +35,7 @@ class ConversationManager {
       COLLECTING_DESTINATION: 'collecting_destination',
       COLLECTING_DATES: 'collecting_dates',
       COLLECTING_BUDGET: 'collecting_budget',
+      COLLECTING_TRAVELERS: 'collecting_travelers',
       COLLECTING_PREFERENCES: 'collecting_preferences',
       GENERATING_PLAN: 'generating_plan',
       PAYMENT_FLOW: 'payment_flow',
@@ -31,27 +48,43 @@ class ConversationManager {
 
   /**
    * Get or create conversation context
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Reload profile, history and state from the database
    */
-  async getContext(userId) {
+  async getContext(userId, { refresh = false } = {}) {
     // Check active conversations first
-    if (this.activeConversations.has(userId)) {
-      const context = this.activeConversations.get(userId);
-      context.lastActivity = Date.now();
-      return context;
+    const cached = this.activeConversations.get(userId);
+    if (cached && !refresh) {
+      if (cached.state !== this.states.IDLE && Date.now() - cached.lastActivity >= this.conversationTimeout) {
+        cached.suspended = { state: cached.state, data: cached.data, updated_at: new Date(cached.lastActivity).toISOString() };
+        cached.state = this.states.IDLE;
+        cached.data = {};
+      }
+      cached.lastActivity = Date.now();
+      return cached;
     }
 
     // Load from database
     const profile = await this.db.getUserProfile(userId);
     const history = await this.db.getConversationHistory(userId, 20);
 
+    // Resume a trip-planning flow unless it was abandoned; an abandoned one is set aside
+    const saved = profile && profile.conversation_state;
+    const age = saved ? Date.now() - new Date(saved.updated_at).getTime() : Infinity;
+    const inFlow = Boolean(saved && saved.state && saved.state !== this.states.IDLE);
+    const resumable = inFlow && age < this.conversationTimeout;
+
     const context = {
       userId,
-      state: this.states.IDLE,
-      data: {},
+      state: resumable ? saved.state : this.states.IDLE,
+      data: resumable ? saved.data || {} : {},
+      suspended: inFlow && !resumable && age < this.resumeWindow
+        ? { state: saved.state, data: saved.data || {}, updated_at: saved.updated_at }
+        : null,
       history: history || [],
       profile: profile || null,
       lastActivity: Date.now(),
-      metadata: {
+      metadata: cached ? cached.metadata : {
         sessionStart: Date.now(),
         messageCount: 0,
         lastCommand: null
@@ -62,6 +95,18 @@ class ConversationManager {
     return context;
   }
 
+  /**
+   * Save the state machine position on the profile, for other instances and restarts
+   */
+  async persistState(context) {
+    if (!context.profile) return;
+
+    const updated = await this.db.updateUserProfile(context.userId, {
+      conversation_state: { state: context.state, data: context.data, updated_at: new Date().toISOString() }
+    });
+    if (updated) context.profile = updated;
+  }
+
   /**
    * Update conversation state
    */
@@ -75,9 +120,40 @@ class ConversationManager {
 
     context.state = newState;
     context.data = { ...context.data, ...data };
+    context.suspended = null;
     context.lastActivity = Date.now();
 
     this.activeConversations.set(userId, context);
+    await this.persistState(context);
+    return context;
+  }
+
+  /**
+   * Leave any flow in progress and forget the data collected for it
+   */
+  async resetState(userId) {
+    const context = await this.getContext(userId);
+    context.state = this.states.IDLE;
+    context.data = {};
+    context.suspended = null;
+    await this.persistState(context);
+    return context;
+  }
+
+  /**
+   * Pick up a flow that was set aside after the conversation timeout
+   * @returns {Promise<Object|null>} The context, or null when there is nothing to resume
+   */
+  async resumeState(userId) {
+    const context = await this.getContext(userId);
+    if (!context.suspended) return null;
+
+    logger.debug(`State resumed: ${context.suspended.state}`, { user_id: userId });
+    context.state = context.suspended.state;
+    context.data = context.suspended.data;
+    context.suspended = null;
+    context.lastActivity = Date.now();
+    await this.persistState(context);
     return context;
   }
 
@@ -128,6 +204,7 @@ class ConversationManager {
     context.history = [];
     context.state = this.states.IDLE;
     context.data = {};
+    await this.persistState(context);
     
     logger.info('Conversation history cleared', { user_id: userId });
     return context;
@@ -151,34 +228,31 @@ class ConversationManager {
   }
 
   /**
-   * Extract travel intent from conversation
+   * Extract travel intent from a message with the NLU keyword rules (no AI call)
    */
   analyzeIntent(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Destination intent
-    const destinations = ['تركيا', 'دبي', 'مصر', 'السعودية', 'ماليزيا', 'تايلاند', 'اليونان', 'إيطاليا'];
-    const foundDestination = destinations.find(dest => lowerMessage.includes(dest.toLowerCase()));
-    
-    // Budget intent
-    const budgetKeywords = ['ميزانية', 'سعر', 'تكلفة', 'كم', 'رخيص', 'غالي'];
-    const hasBudgetIntent = budgetKeywords.some(keyword => lowerMessage.includes(keyword));
-    
-    // Date intent
-    const dateKeywords = ['متى', 'تاريخ', 'موعد', 'يوم', 'شهر', 'أسبوع'];
-    const hasDateIntent = dateKeywords.some(keyword => lowerMessage.includes(keyword));
-    
-    // Activity intent
-    const activityKeywords = ['شاطئ', 'جبال', 'تسوق', 'مغامرة', 'استرخاء', 'ثقافة', 'تاريخ'];
-    const foundActivity = activityKeywords.find(keyword => lowerMessage.includes(keyword));
-    
+    return this.intentFrom(this.nlu.analyzeRules(message));
+  }
+
+  /**
+   * Extract travel intent from a message with the NLU: the AI first, the keyword
+   * rules when it is unavailable or its answer is unusable
+   */
+  async understand(message) {
+    return this.intentFrom(await this.nlu.analyze(message));
+  }
+
+  intentFrom({ intent, confidence, entities, signals }) {
     return {
-      destination: foundDestination || null,
-      hasBudgetIntent,
-      hasDateIntent,
-      activity: foundActivity || null,
-      isQuestion: lowerMessage.includes('؟') || lowerMessage.includes('كيف') || lowerMessage.includes('ماذا'),
-      isGreeting: lowerMessage.includes('مرحبا') || lowerMessage.includes('السلام') || lowerMessage.includes('أهلا')
+      intent,
+      confidence,
+      entities,
+      destination: entities.destination,
+      hasBudgetIntent: signals.budget,
+      hasDateIntent: signals.dates,
+      activity: entities.interests[0] || null,
+      isQuestion: signals.question,
+      isGreeting: signals.greeting
     };
   }
 
@@ -187,7 +261,7 @@ class ConversationManager {
    */
   async getNextAction(userId, message) {
     const context = await this.getContext(userId);
-    const intent = this.analyzeIntent(message);
+    const intent = await this.understand(message);
 
     // State machine logic
     switch (context.state) {
@@ -272,14 +346,14 @@ class ConversationManager {
     
     if (!context.profile) {
       // Create new profile
-      await this.db.createUserProfile(userId, {
+      context.profile = await this.db.createUserProfile(userId, {
         preferences: context.data
       });
     } else {
       // Update existing profile
-      await this.db.updateUserProfile(userId, {
+      context.profile = await this.db.updateUserProfile(userId, {
         preferences: { ...context.profile.preferences, ...context.data }
-      });
+      }) || context.profile;
     }
 
     logger.info('Profile updated from conversation', {
@@ -306,7 +380,7 @@ class ConversationManager {
    * Cleanup inactive conversations
    */
   startCleanupInterval() {
-    setInterval(() => {
+    this.cleanupTimer = setInterval(() => {
       const now = Date.now();
       let cleaned = 0;
 
@@ -321,6 +395,8 @@ class ConversationManager {
         logger.info(`Cleaned up ${cleaned} inactive conversations`);
       }
     }, 5 * 60 * 1000); // Every 5 minutes
+    // The cache is disposable; it should not keep the process alive
+    this.cleanupTimer.unref();
   }
 
   /**
@@ -354,3 +430,4 @@ class ConversationManager {
 const conversationManager = new ConversationManager();
 
 module.exports = conversationManager;
+module.exports.ConversationManager = ConversationManager;
@@ -17,10 +17,17 @@ class AppError extends Error {
 }
 
 class ErrorHandler {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.errorThreshold] - Errors within the time window that open a circuit breaker
+   * @param {number} [options.timeWindow] - Window for counting errors (ms)
+   * @param {number} [options.resetAfter] - How long an open circuit breaker stays open (ms)
+   */
+  constructor({ errorThreshold = 10, timeWindow = 60000, resetAfter = 300000 } = {}) {
     this.errorCounts = new Map();
-    this.errorThreshold = 10;
-    this.timeWindow = 60000; // 1 minute
+    this.errorThreshold = errorThreshold;
+    this.timeWindow = timeWindow; // 1 minute by default
+    this.resetAfter = resetAfter; // 5 minutes by default
     this.circuitBreakers = new Map();
   }
 
@@ -146,13 +153,14 @@ class ErrorHandler {
     this.circuitBreakers.set(errorType, {
       triggered: true,
       timestamp: Date.now(),
-      resetAfter: 300000 // 5 minutes
+      resetAfter: this.resetAfter
     });
 
     // Auto-reset after timeout
-    setTimeout(() => {
+    const timer = setTimeout(() => {
       this.resetCircuitBreaker(errorType);
-    }, 300000);
+    }, this.resetAfter);
+    if (timer.unref) timer.unref();
   }
 
   /**
@@ -239,12 +247,17 @@ class ErrorHandler {
    * Execute operation with timeout
    */
   async withTimeout(operation, timeoutMs = 30000) {
-    return Promise.race([
-      operation(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Operation timed out')), timeoutMs)
-      )
-    ]);
+    let timer;
+    try {
+      return await Promise.race([
+        operation(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Operation timed out')), timeoutMs);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -298,6 +311,7 @@ class ErrorHandler {
 const errorHandler = new ErrorHandler();
 
 module.exports = {
+  ErrorHandler,
   errorHandler,
   AppError
 };
@@ -0,0 +1,58 @@
+/**
+ * Schema Validator for Maya Travel Agent
+ * Checks plain objects against the small JSON-schema subset used for tool arguments
+ * and analytics event properties
+ */
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * Check tool arguments against a tool's JSON schema (type, required, enum, additionalProperties)
+ * @param {Object} schema - Tool with `inputSchema` (or `parameters`)
+ * @returns {string[]} Problems found; empty when the arguments are valid
+ */
+function validateArguments(schema = {}, args) {
+  const parameters = schema.inputSchema || schema.parameters || { type: 'object', properties: {} };
+  if (!JSON_TYPES.object(args)) {
+    return ['arguments must be an object'];
+  }
+
+  const errors = [];
+  const properties = parameters.properties || {};
+
+  for (const field of parameters.required || []) {
+    if (args[field] === undefined || args[field] === null || args[field] === '') {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(args)) {
+    const property = properties[field];
+    if (!property) {
+      if (parameters.additionalProperties === false) errors.push(`${field} is not a known argument`);
+      continue;
+    }
+    if (value === undefined || value === null) continue;
+
+    const check = JSON_TYPES[property.type];
+    if (check && !check(value)) {
+      errors.push(`${field} must be of type ${property.type}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${field} must be one of: ${property.enum.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  JSON_TYPES,
+  validateArguments
+};
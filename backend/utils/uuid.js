@@ -0,0 +1,21 @@
+/**
+ * UUID Check for Maya Travel Agent
+ * Record IDs (trips, bookings, expenses, payments, destinations) are UUID columns, and
+ * Postgres answers any other value with an error rather than no rows, so services check
+ * IDs from requests before querying.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a value is a UUID in its usual text form
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isUuid(value) {
+  return UUID_PATTERN.test(String(value));
+}
+
+module.exports = {
+  isUuid
+};
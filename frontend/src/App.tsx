@@ -19,24 +19,18 @@ import Destinations from './components/Destinations';
 import BudgetTracker from './components/BudgetTracker';
 import TripHistory from './components/TripHistory';
 import AIAssistant from './components/AIAssistant';
+import LinkedAccounts from './components/LinkedAccounts';
 import ErrorBoundary from './components/ErrorBoundary';
 import AuthCallback from './pages/AuthCallback';
 import { initTelegramWebApp, isTelegramWebApp } from './telegram-webapp';
-
-interface Trip {
-  id: string;
-  destination: string;
-  startDate: string;
-  endDate: string;
-  budget: number;
-  status: 'planned' | 'ongoing' | 'completed';
-  image: string;
-}
+import { TelegramService } from './api/telegram';
+import { tripService, toTripView, TripView } from './api/services';
 
 const AppContent: React.FC = () => {
   const { user, loading } = useAuth();
   const [activeTab, setActiveTab] = useState('planner');
   const [authMode, setAuthMode] = useState<'login' | 'signup'>('login');
+  const [showAccounts, setShowAccounts] = useState(false);
 
   // Check if we're on an auth callback page
   useEffect(() => {
@@ -57,26 +51,23 @@ const AppContent: React.FC = () => {
       initTelegramWebApp();
     }
   }, []);
-  const [trips, setTrips] = useState<Trip[]>([
-    {
-      id: '1',
-      destination: 'Tokyo, Japan',
-      startDate: '2024-03-15',
-      endDate: '2024-03-22',
-      budget: 2500,
-      status: 'planned',
-      image: 'https://images.unsplash.com/photo-1540959733332-eab4deabeeaf?w=400'
-    },
-    {
-      id: '2',
-      destination: 'Paris, France',
-      startDate: '2024-04-10',
-      endDate: '2024-04-17',
-      budget: 1800,
-      status: 'planned',
-      image: 'https://images.unsplash.com/photo-1502602898536-47ad22581b52?w=400'
-    }
-  ]);
+  const [trips, setTrips] = useState<TripView[]>([]);
+
+  // Trips are stored per Telegram user, so they load once the mini app session exists
+  useEffect(() => {
+    const loadTrips = async () => {
+      const auth = await TelegramService.authenticate();
+      if (!auth.success) return;
+
+      try {
+        const response = await tripService.getTrips({ limit: 100 });
+        setTrips(response.data.trips.map(toTripView));
+      } catch (error) {
+        console.error('Failed to load trips', error);
+      }
+    };
+    loadTrips();
+  }, []);
 
   const tabs = [
     { id: 'planner', label: 'Trip Planner', icon: Compass },
@@ -95,7 +86,7 @@ const AppContent: React.FC = () => {
       case 'budget':
         return <BudgetTracker trips={trips} />;
       case 'history':
-        return <TripHistory trips={trips} />;
+        return <TripHistory trips={trips} setTrips={setTrips} />;
       case 'ai':
         return <AIAssistant />;
       default:
@@ -186,6 +177,8 @@ const AppContent: React.FC = () => {
             <motion.button
               whileHover={{ scale: 1.1 }}
               whileTap={{ scale: 0.95 }}
+              onClick={() => setShowAccounts(true)}
+              title="Linked accounts"
               className="p-2 rounded-lg bg-white/20 hover:bg-white/30 transition-colors"
             >
               <User className="w-5 h-5 text-gray-700" />
@@ -233,6 +226,8 @@ const AppContent: React.FC = () => {
       >
         {renderContent()}
       </motion.main>
+
+      <LinkedAccounts isOpen={showAccounts} onClose={() => setShowAccounts(false)} />
     </div>
   );
 };
@@ -1,14 +1,101 @@
-import axios from "axios";
+import axios, { AxiosError, InternalAxiosRequestConfig } from "axios";
 import { API_BASE_URL } from "./config";
+import { supabase } from "../lib/supabase";
 
 export const api = axios.create({
   baseURL: API_BASE_URL,
   headers: { "Content-Type": "application/json" },
 });
 
+// Mini app session (issued by /telegram/auth/telegram, renewed through /auth/refresh)
+const AUTH_TOKEN_KEY = 'maya_miniapp_token';
+const REFRESH_TOKEN_KEY = 'maya_miniapp_refresh_token';
+
+export interface AuthSession {
+  token: string;
+  refreshToken?: string;
+}
+
+export const setAuthSession = (session: AuthSession | null) => {
+  if (session) {
+    sessionStorage.setItem(AUTH_TOKEN_KEY, session.token);
+    if (session.refreshToken) {
+      sessionStorage.setItem(REFRESH_TOKEN_KEY, session.refreshToken);
+    }
+  } else {
+    sessionStorage.removeItem(AUTH_TOKEN_KEY);
+    sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+export const getAuthToken = (): string | null => sessionStorage.getItem(AUTH_TOKEN_KEY);
+
+// Bearer token for API calls: the mini app session, otherwise the Supabase web session
+export const getAccessToken = async (): Promise<string | null> => {
+  const token = getAuthToken();
+  if (token) return token;
+
+  try {
+    const { data } = await supabase.auth.getSession();
+    return data.session?.access_token || null;
+  } catch {
+    return null;
+  }
+};
+
+// Concurrent 401s share one refresh; refresh tokens are single-use
+let refreshing: Promise<boolean> | null = null;
+
+export const refreshAuthSession = (): Promise<boolean> => {
+  const refreshToken = sessionStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok || !data.token) {
+          setAuthSession(null);
+          return false;
+        }
+        setAuthSession({ token: data.token, refreshToken: data.refreshToken });
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// fetch() with the bearer token, retried once after renewing an expired mini app session
+export const authorizedFetch = async (input: string, init: RequestInit = {}): Promise<Response> => {
+  const send = async () => {
+    const headers = new Headers(init.headers);
+    const token = await getAccessToken();
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+    return fetch(input, { ...init, headers });
+  };
+
+  const response = await send();
+  if (response.status === 401 && getAuthToken() && (await refreshAuthSession())) {
+    return send();
+  }
+  return response;
+};
+
 // Add request interceptor for logging
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    const token = await getAccessToken();
+    if (token && config.headers) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     console.log(`🚀 API Request: ${config.method?.toUpperCase()} ${config.url}`);
     return config;
   },
@@ -24,7 +111,15 @@ api.interceptors.response.use(
     console.log(`✅ API Response: ${response.status} ${response.config.url}`);
     return response;
   },
-  (error) => {
+  async (error: AxiosError) => {
+    const config = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    if (error.response?.status === 401 && config && !config._retried && getAuthToken()) {
+      config._retried = true;
+      if (await refreshAuthSession()) {
+        return api(config);
+      }
+    }
+
     console.error('❌ API Response Error:', error.response?.data || error.message);
     return Promise.reject(error);
   }
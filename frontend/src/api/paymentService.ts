@@ -1,10 +1,13 @@
 // Payment Service for Maya Trips
+import { authorizedFetch } from './client';
+
 export interface PaymentRequest {
   amount: number;
   currency: string;
   paymentMethod: 'stripe' | 'paypal' | 'telegram';
   description: string;
   chatId?: string;
+  bookingId?: string;
 }
 
 export interface PaymentResponse {
@@ -16,15 +19,23 @@ export interface PaymentResponse {
     status: string;
     description: string;
     created_at: string;
+    // PayPal: where the payer approves the order
+    approval_url?: string;
   };
   error?: string;
 }
 
 export interface PaymentStatus {
   id: string;
-  status: 'pending' | 'processing' | 'succeeded' | 'failed';
+  provider_payment_id: string | null;
+  method: 'stripe' | 'paypal' | 'telegram';
+  booking_id: string | null;
+  status: 'created' | 'pending' | 'succeeded' | 'failed' | 'refunded';
   amount: number;
   currency: string;
+  amount_refunded: number;
+  description: string | null;
+  status_history: Array<{ status: string; at: string; reason?: string | null }>;
   created_at: string;
   updated_at: string;
 }
@@ -35,7 +46,7 @@ export class PaymentService {
   // Create a new payment
   static async createPayment(request: PaymentRequest): Promise<PaymentResponse> {
     try {
-      const response = await fetch(`${this.baseURL}/create-payment`, {
+      const response = await authorizedFetch(`${this.baseURL}/create-payment`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -53,34 +64,10 @@ export class PaymentService {
     }
   }
 
-  // Confirm a payment
-  static async confirmPayment(paymentId: string, paymentMethod: string): Promise<PaymentResponse> {
-    try {
-      const response = await fetch(`${this.baseURL}/confirm-payment`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          paymentId,
-          paymentMethod,
-        }),
-      });
-
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      return {
-        success: false,
-        error: 'Network error. Please check your connection.',
-      };
-    }
-  }
-
   // Get payment status
   static async getPaymentStatus(paymentId: string): Promise<{ success: boolean; payment?: PaymentStatus; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/payment-status/${paymentId}`);
+      const response = await authorizedFetch(`${this.baseURL}/payment-status/${paymentId}`);
       const data = await response.json();
       return data;
     } catch (error) {
@@ -92,20 +79,21 @@ export class PaymentService {
   }
 
   // Telegram Bot payment integration
-  static async createTelegramPayment(amount: number, description: string, chatId: string): Promise<PaymentResponse> {
+  static async createTelegramPayment(amount: number, description: string, chatId: string, bookingId?: string): Promise<PaymentResponse> {
     return this.createPayment({
       amount,
       currency: 'USD',
       paymentMethod: 'telegram',
       description,
       chatId,
+      bookingId,
     });
   }
 
   // Stripe payment integration with payment links
   static async createStripePaymentLink(amount: number, description: string, customerEmail?: string): Promise<{ success: boolean; paymentLink?: { id: string; url: string; amount: number; currency: string; description: string; status: string }; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/create-payment-link`, {
+      const response = await authorizedFetch(`${this.baseURL}/create-payment-link`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -1,35 +1,156 @@
-import { api } from './client';
+import { api, setAuthSession } from './client';
+import type { AccountLinks, AnalyticsEvent, AnalyticsSummary, AuthIdentity, Destination, Expense, ExpenseCategory, LinkChannel, OfferFunnel, PriceRange, Trip, TripStatus } from '../types';
 
-// Trip Services
+// Trip fields accepted by POST/PUT /trips
+export interface TripInput {
+  destination: string;
+  startDate: string;
+  endDate: string;
+  budget: number;
+  currency?: string;
+  status?: TripStatus;
+  imageUrl?: string | null;
+}
+
+export interface TripPage {
+  success: boolean;
+  trips: Trip[];
+  pagination: { limit: number; offset: number; total: number; has_more: boolean };
+}
+
+// Trip as shown by the planner, history and budget screens
+export interface TripView {
+  id: string;
+  destination: string;
+  startDate: string;
+  endDate: string;
+  budget: number;
+  currency: string;
+  status: TripStatus;
+  image: string;
+}
+
+const DEFAULT_TRIP_IMAGE = 'https://images.unsplash.com/photo-1488646953014-85cb44e25828?w=400';
+
+// Amount with its currency symbol, e.g. $2,500 or SAR 9,000
+export const formatMoney = (amount: number, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${amount.toLocaleString()} ${currency}`;
+  }
+};
+
+export const formatTripBudget = (trip: Pick<TripView, 'budget' | 'currency'>) => formatMoney(trip.budget, trip.currency || 'USD');
+
+export const toTripView = (trip: Trip): TripView => ({
+  id: trip.id,
+  destination: trip.destination,
+  startDate: trip.start_date,
+  endDate: trip.end_date,
+  budget: trip.budget,
+  currency: trip.currency,
+  status: trip.status,
+  image: trip.image_url || DEFAULT_TRIP_IMAGE
+});
+
+// Auth Services (the session itself is opened by TelegramService.authenticate or Supabase sign-in)
+export const authService = {
+  me: () => api.get<{ success: boolean; user: AuthIdentity }>('/auth/me'),
+
+  // Sign out of this device, or of every device
+  logout: async (everywhere = false) => {
+    try {
+      await api.post(everywhere ? '/auth/logout-all' : '/auth/logout');
+    } finally {
+      setAuthSession(null);
+    }
+  }
+};
+
+// Linked accounts: a code issued here is redeemed on Telegram (/link CODE), WhatsApp ("ربط CODE") or the web
+type AccountLinksResponse = { success: boolean; links: AccountLinks };
+
+export const accountService = {
+  getLinks: () => api.get<AccountLinksResponse>('/account/links'),
+
+  createLinkCode: () =>
+    api.post<{ success: boolean; code: string; expiresAt: string; expiresIn: number }>('/account/link-codes'),
+
+  redeemLinkCode: (code: string) => api.post<AccountLinksResponse>('/account/link', { code }),
+
+  unlink: (channel: LinkChannel) => api.delete<AccountLinksResponse>(`/account/links/${channel}`)
+};
+
+// Trip Services (mini app: requires TelegramService.authenticate first)
 export const tripService = {
-  // Get all trips
-  getTrips: () => api.get('/trips'),
+  // List the signed-in user's trips, newest first
+  getTrips: (params?: { status?: TripStatus; limit?: number; offset?: number }) =>
+    params ? api.get<TripPage>('/trips', { params }) : api.get<TripPage>('/trips'),
   
   // Get trip by ID
-  getTrip: (id: string) => api.get(`/trips/${id}`),
+  getTrip: (id: string) => api.get<{ success: boolean; trip: Trip }>(`/trips/${id}`),
   
   // Create new trip
-  createTrip: (tripData: any) => api.post('/trips', tripData),
+  createTrip: (tripData: TripInput) => api.post<{ success: boolean; trip: Trip }>('/trips', tripData),
   
   // Update trip
-  updateTrip: (id: string, tripData: any) => api.put(`/trips/${id}`, tripData),
+  updateTrip: (id: string, tripData: Partial<TripInput>) =>
+    api.put<{ success: boolean; trip: Trip }>(`/trips/${id}`, tripData),
   
   // Delete trip
-  deleteTrip: (id: string) => api.delete(`/trips/${id}`)
+  deleteTrip: (id: string) => api.delete<{ success: boolean; trip: Trip }>(`/trips/${id}`)
 };
 
+// Catalog filters accepted by GET /destinations
+export interface DestinationFilters {
+  q?: string;
+  region?: string;
+  price_range?: PriceRange | PriceRange[];
+  month?: number;
+  halal_friendly?: boolean;
+  sort?: 'rating' | 'name' | 'price';
+  limit?: number;
+  offset?: number;
+}
+
+export interface DestinationPage {
+  success: boolean;
+  destinations: Destination[];
+  pagination: { limit: number; offset: number; total: number; has_more: boolean };
+}
+
 // Destination Services
 export const destinationService = {
-  // Get all destinations
-  getDestinations: () => api.get('/destinations'),
+  // Browse the catalog, best rated first
+  getDestinations: (filters?: DestinationFilters) =>
+    filters
+      ? api.get<DestinationPage>('/destinations', {
+          params: {
+            ...filters,
+            price_range: Array.isArray(filters.price_range) ? filters.price_range.join(',') : filters.price_range
+          }
+        })
+      : api.get<DestinationPage>('/destinations'),
   
-  // Get destination by ID
-  getDestination: (id: string) => api.get(`/destinations/${id}`),
+  // Get destination by ID or slug
+  getDestination: (id: string) => api.get<{ success: boolean; destination: Destination }>(`/destinations/${id}`),
   
   // Search destinations
-  searchDestinations: (query: string) => api.get(`/destinations/search?q=${query}`)
+  searchDestinations: (query: string) => api.get<DestinationPage>(`/destinations/search?q=${encodeURIComponent(query)}`)
 };
 
+// One tool call made by the /ai/chat agent (returned as `trace` when useTools is on)
+export interface ToolTraceEntry {
+  step: number;
+  tool: string;
+  arguments: Record<string, unknown>;
+  status: 'ok' | 'invalid_arguments' | 'unknown_tool' | 'error';
+  result?: unknown;
+  error?: string;
+  duration_ms: number;
+}
+
 // AI Assistant Services
 export const aiService = {
   // Send message to AI
@@ -44,22 +165,153 @@ export const aiService = {
     api.post('/ai/multimodal/analyze', params)
 };
 
+// Events are queued and sent in batches (POST /analytics/events accepts up to 100 at once)
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_FLUSH_MS = 2000;
+let analyticsQueue: AnalyticsEvent[] = [];
+let analyticsTimer: ReturnType<typeof setTimeout> | null = null;
+
+const analyticsSessionId = (() => {
+  try {
+    const existing = sessionStorage.getItem('maya_session_id');
+    if (existing) return existing;
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    sessionStorage.setItem('maya_session_id', id);
+    return id;
+  } catch {
+    return undefined;
+  }
+})();
+
+// Dashboard aggregates require the admin key
+const adminHeaders = (adminKey: string) => ({ headers: { 'X-Admin-Key': adminKey } });
+
 // Analytics API
 export const analyticsService = {
-  track: (event: { type: string; userId?: string; payload?: any }) => api.post('/analytics/events', event),
-  summary: () => api.get('/analytics/summary')
+  // Queue an event; it is sent with the next batch
+  track: (event: AnalyticsEvent) => {
+    analyticsQueue.push({ sessionId: analyticsSessionId, ...event, occurredAt: new Date().toISOString() });
+    if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) {
+      return analyticsService.flush();
+    }
+    if (!analyticsTimer) {
+      analyticsTimer = setTimeout(() => { analyticsService.flush().catch(() => {}); }, ANALYTICS_FLUSH_MS);
+    }
+    return Promise.resolve();
+  },
+
+  // Send every queued event now
+  flush: async () => {
+    if (analyticsTimer) {
+      clearTimeout(analyticsTimer);
+      analyticsTimer = null;
+    }
+    const events = analyticsQueue;
+    analyticsQueue = [];
+    if (events.length > 0) {
+      await api.post('/analytics/events', { events });
+    }
+  },
+
+  // Events and daily active users between two dates (YYYY-MM-DD, inclusive)
+  summary: (adminKey: string, range?: { from?: string; to?: string }) =>
+    api.get<AnalyticsSummary & { success: boolean }>('/analytics/summary', { params: range, ...adminHeaders(adminKey) }),
+
+  // Offer view → selection → booking funnel
+  funnel: (adminKey: string, range?: { from?: string; to?: string }) =>
+    api.get<OfferFunnel & { success: boolean }>('/analytics/funnel', { params: range, ...adminHeaders(adminKey) })
 };
 
-// Budget Services
+// Expense fields accepted by POST /budget/expenses (currency defaults to the trip's)
+export interface ExpenseInput {
+  tripId: string;
+  category: ExpenseCategory;
+  amount: number;
+  currency?: string;
+  description: string;
+  date?: string;
+}
+
+export type BudgetStatus = 'on_track' | 'warning' | 'exceeded';
+
+// Spent and remaining budget in one currency
+export interface BudgetTotals {
+  currency: string;
+  budget: number;
+  spent: number;
+  remaining: number;
+  by_category: Partial<Record<ExpenseCategory, number>>;
+  percent_used: number | null;
+  status: BudgetStatus;
+}
+
+export interface TripBudgetSummary extends BudgetTotals {
+  trip_id: string;
+  destination: string;
+  expense_count: number;
+}
+
+export interface BudgetSummary {
+  success: boolean;
+  trips: TripBudgetSummary[];
+  totals: BudgetTotals;
+}
+
+// Budget Services (mini app: requires TelegramService.authenticate first)
 export const budgetService = {
-  // Get budget summary
-  getBudgetSummary: (tripId?: string) => api.get(`/budget/summary${tripId ? `?tripId=${tripId}` : ''}`),
+  // Per-trip summaries plus totals converted to `currency` (default USD)
+  getBudgetSummary: (tripId?: string, currency?: string) =>
+    api.get<BudgetSummary>('/budget/summary', { params: { tripId, currency } }),
   
-  // Add expense
-  addExpense: (expenseData: any) => api.post('/budget/expenses', expenseData),
+  // Add expense; `alerts` lists budget thresholds this expense crossed
+  addExpense: (expenseData: ExpenseInput) =>
+    api.post<{ success: boolean; expense: Expense; summary: TripBudgetSummary; alerts: Array<{ level: 'warning' | 'exceeded' }> }>('/budget/expenses', expenseData),
   
-  // Get expenses
-  getExpenses: (tripId?: string) => api.get(`/budget/expenses${tripId ? `?tripId=${tripId}` : ''}`)
+  // Get expenses, newest first
+  getExpenses: (tripId?: string) =>
+    api.get<{ success: boolean; expenses: Expense[] }>('/budget/expenses', { params: { tripId } }),
+
+  // Delete expense
+  deleteExpense: (id: string) => api.delete<{ success: boolean; expense: Expense }>(`/budget/expenses/${id}`)
+};
+
+// Booking Services (mini app: requires TelegramService.authenticate first)
+export interface Booking {
+  id: string;
+  reference: string;
+  status: 'pending' | 'confirmed' | 'cancelled' | 'expired' | 'completed';
+  payment_status: 'pending' | 'paid' | 'partially_refunded' | 'refunded';
+  offer_id: string | null;
+  destination: string;
+  start_date: string;
+  end_date: string;
+  travelers: number;
+  total_price: number;
+  currency: string;
+  hold_expires_at: string | null;
+  notes: string | null;
+  created_at: string;
+}
+
+export const bookingService = {
+  // List the signed-in user's bookings
+  getBookings: (params?: { status?: string; limit?: number; offset?: number }) =>
+    api.get<{ success: boolean; bookings: Booking[] }>('/bookings', { params }),
+
+  // Get booking by ID
+  getBooking: (id: string) => api.get<{ success: boolean; booking: Booking }>(`/bookings/${id}`),
+
+  // Hold an offer until it is paid
+  holdOffer: (data: { offerId: string; startDate: string; endDate?: string; travelers?: number; notes?: string }) =>
+    api.post<{ success: boolean; booking: Booking }>('/bookings', data),
+
+  // Change dates, travelers or notes of an unpaid booking
+  updateBooking: (id: string, data: { startDate?: string; endDate?: string; travelers?: number; notes?: string }) =>
+    api.patch<{ success: boolean; booking: Booking }>(`/bookings/${id}`, data),
+
+  // Cancel a booking
+  cancelBooking: (id: string, reason?: string) =>
+    api.post<{ success: boolean; booking: Booking }>(`/bookings/${id}/cancel`, { reason })
 };
 
 // Health check
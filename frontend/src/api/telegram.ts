@@ -1,5 +1,6 @@
 // Telegram API Integration
 import { getTelegramUser, getInitData, isTelegramWebApp } from '../telegram-webapp';
+import { authorizedFetch, getAuthToken, setAuthSession } from './client';
 
 export interface TelegramUser {
   id: number;
@@ -31,6 +32,39 @@ export class TelegramService {
     return getTelegramUser();
   }
 
+  // Exchange the Web App init data for an API session token
+  static async authenticate(): Promise<{ success: boolean; error?: string }> {
+    if (!isTelegramWebApp()) {
+      return { success: false, error: 'Not running inside Telegram' };
+    }
+    if (getAuthToken()) {
+      return { success: true };
+    }
+
+    try {
+      const response = await fetch(`${this.baseURL}/auth/telegram`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ initData: getInitData() }),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.token) {
+        return { success: false, error: data.error || 'Telegram sign-in failed' };
+      }
+
+      setAuthSession({ token: data.token, refreshToken: data.refreshToken });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Network error. Please check your connection.',
+      };
+    }
+  }
+
   // Get chat information
   static getChatInfo(): TelegramChat | null {
     if (!isTelegramWebApp()) {
@@ -45,7 +79,7 @@ export class TelegramService {
   // Send message to user
   static async sendMessage(message: string, chatId?: number): Promise<{ success: boolean; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/send-message`, {
+      const response = await authorizedFetch(`${this.baseURL}/send-message`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -69,7 +103,7 @@ export class TelegramService {
   // Send payment link to user
   static async sendPaymentLink(amount: number, description: string, chatId?: number): Promise<{ success: boolean; paymentLink?: string; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/send-payment-link`, {
+      const response = await authorizedFetch(`${this.baseURL}/send-payment-link`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -94,7 +128,7 @@ export class TelegramService {
   // Share trip with user
   static async shareTrip(tripData: any, chatId?: number): Promise<{ success: boolean; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/share-trip`, {
+      const response = await authorizedFetch(`${this.baseURL}/share-trip`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -118,7 +152,7 @@ export class TelegramService {
   // Get user's trips from Telegram
   static async getUserTrips(): Promise<{ success: boolean; trips?: any[]; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/user-trips`);
+      const response = await authorizedFetch(`${this.baseURL}/user-trips`);
       const data = await response.json();
       return data;
     } catch (error) {
@@ -132,7 +166,7 @@ export class TelegramService {
   // Sync user data with Telegram
   static async syncUserData(userData: any): Promise<{ success: boolean; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/sync-user`, {
+      const response = await authorizedFetch(`${this.baseURL}/sync-user`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -153,7 +187,7 @@ export class TelegramService {
   // Get bot commands
   static async getBotCommands(): Promise<{ success: boolean; commands?: any[]; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/bot-commands`);
+      const response = await authorizedFetch(`${this.baseURL}/bot-commands`);
       const data = await response.json();
       return data;
     } catch (error) {
@@ -167,7 +201,7 @@ export class TelegramService {
   // Send notification to user
   static async sendNotification(message: string, type: 'info' | 'success' | 'warning' | 'error' = 'info'): Promise<{ success: boolean; error?: string }> {
     try {
-      const response = await fetch(`${this.baseURL}/send-notification`, {
+      const response = await authorizedFetch(`${this.baseURL}/send-notification`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { aiService, analyticsService } from '../api/services';
+import { aiService, analyticsService, ToolTraceEntry } from '../api/services';
 import { motion } from 'framer-motion';
 import { 
   Bot, 
@@ -15,7 +15,8 @@ import {
   MessageCircle,
   Lightbulb,
   Shield,
-  Zap
+  Zap,
+  Search
 } from 'lucide-react';
 
 interface Message {
@@ -24,8 +25,20 @@ interface Message {
   isUser: boolean;
   timestamp: Date;
   suggestions?: string[];
+  trace?: ToolTraceEntry[];
 }
 
+// Short labels for the tools Maya can call
+const toolLabels: Record<string, string> = {
+  getWeather: 'الطقس',
+  convertCurrency: 'تحويل العملات',
+  searchDestinations: 'البحث عن الوجهات',
+  getSafetyInfo: 'معلومات السلامة'
+};
+
+const formatToolArguments = (args: Record<string, unknown>) =>
+  Object.values(args || {}).map(value => String(value)).join('، ');
+
 const AIAssistant: React.FC = () => {
   const [messages, setMessages] = useState<Message[]>([
     {
@@ -76,6 +89,7 @@ const AIAssistant: React.FC = () => {
         text: data?.success ? data.reply : 'عذراً، حدث خطأ في الاتصال. يرجى المحاولة مرة أخرى.',
         isUser: false,
         timestamp: new Date(),
+        trace: data?.trace,
         suggestions: data.success ? [
           'أخبرني المزيد عن هذا الاقتراح',
           'ما هي التكلفة المتوقعة؟',
@@ -222,6 +236,30 @@ const AIAssistant: React.FC = () => {
                 <p className="text-xs opacity-70 mt-1">
                   {message.timestamp.toLocaleTimeString()}
                 </p>
+
+                {/* What Maya looked up */}
+                {message.trace && message.trace.length > 0 && (
+                  <details className="mt-2 text-xs bg-white/60 rounded-lg px-3 py-2">
+                    <summary className="cursor-pointer flex items-center gap-1 font-medium">
+                      <Search className="w-3 h-3" />
+                      <span>ما بحثت عنه ({message.trace.length})</span>
+                    </summary>
+                    <ol className="mt-2 space-y-1">
+                      {message.trace.map((entry, idx) => (
+                        <li key={idx} className="flex items-start gap-2">
+                          <span className="opacity-60">{entry.step}.</span>
+                          <span className="flex-1">
+                            {toolLabels[entry.tool] || entry.tool}
+                            {formatToolArguments(entry.arguments) && ` (${formatToolArguments(entry.arguments)})`}
+                            {entry.status === 'ok'
+                              ? <span className="text-green-600"> ✓</span>
+                              : <span className="text-red-600"> ✗ {entry.error}</span>}
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                  </details>
+                )}
                 
                 {/* Suggestions */}
                 {message.suggestions && (
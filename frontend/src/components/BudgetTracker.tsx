@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { 
   DollarSign, 
@@ -8,112 +8,161 @@ import {
   Target,
   AlertCircle,
   CheckCircle,
-  Calendar
+  Calendar,
+  Plus,
+  Trash2
 } from 'lucide-react';
-
-interface Trip {
-  id: string;
-  destination: string;
-  startDate: string;
-  endDate: string;
-  budget: number;
-  status: 'planned' | 'ongoing' | 'completed';
-  image: string;
-}
+import { budgetService, formatMoney, BudgetTotals, TripView } from '../api/services';
+import { TelegramService } from '../api/telegram';
+import type { Expense, ExpenseCategory } from '../types';
 
 interface BudgetTrackerProps {
-  trips: Trip[];
+  trips: TripView[];
 }
 
-interface Expense {
-  id: string;
-  tripId: string;
-  category: string;
-  amount: number;
-  date: string;
-  description: string;
-}
+const EXPENSE_CATEGORIES: ExpenseCategory[] = ['accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'];
 
-const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
-  const [expenses, setExpenses] = useState<Expense[]>([
-    {
-      id: '1',
-      tripId: '1',
-      category: 'Accommodation',
-      amount: 800,
-      date: '2024-03-15',
-      description: 'Hotel booking'
-    },
-    {
-      id: '2',
-      tripId: '1',
-      category: 'Food',
-      amount: 300,
-      date: '2024-03-16',
-      description: 'Restaurant meals'
-    },
-    {
-      id: '3',
-      tripId: '2',
-      category: 'Transportation',
-      amount: 400,
-      date: '2024-04-10',
-      description: 'Flight tickets'
-    }
-  ]);
+const categoryLabel = (category: string) => category.charAt(0).toUpperCase() + category.slice(1);
 
+// Totals worked out in the browser when there is no mini app session (amounts are not converted)
+const summarizeLocally = (trips: TripView[], expenses: Expense[], selectedTrip: string): BudgetTotals => {
+  const selected = selectedTrip === 'all' ? trips : trips.filter(trip => trip.id === selectedTrip);
+  const tripIds = new Set(selected.map(trip => trip.id));
+  const byCategory: Partial<Record<ExpenseCategory, number>> = {};
+  let spent = 0;
+
+  for (const expense of expenses) {
+    if (!tripIds.has(expense.trip_id)) continue;
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + expense.amount;
+    spent += expense.amount;
+  }
+
+  const budget = selected.reduce((sum, trip) => sum + trip.budget, 0);
+  const ratio = budget > 0 ? spent / budget : spent > 0 ? 1 : 0;
+  return {
+    currency: selected[0]?.currency || 'USD',
+    budget,
+    spent,
+    remaining: budget - spent,
+    by_category: byCategory,
+    percent_used: budget > 0 ? Math.round(ratio * 1000) / 10 : null,
+    status: ratio >= 1 ? 'exceeded' : ratio >= 0.8 ? 'warning' : 'on_track'
+  };
+};
+
+const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
+  const [expenses, setExpenses] = useState<Expense[]>([]);
   const [selectedTrip, setSelectedTrip] = useState<string>('all');
+  const [authenticated, setAuthenticated] = useState(false);
+  // Server-side totals for the selected trip(s), converted to one currency (null outside the mini app)
+  const [serverTotals, setServerTotals] = useState<BudgetTotals | null>(null);
+  const [budgetError, setBudgetError] = useState<string | null>(null);
+  const [newExpense, setNewExpense] = useState({
+    category: 'food' as ExpenseCategory,
+    amount: 0,
+    description: '',
+    date: ''
+  });
+  const [saving, setSaving] = useState(false);
 
-  const getTotalBudget = () => {
-    if (selectedTrip === 'all') {
-      return trips.reduce((sum, trip) => sum + trip.budget, 0);
+  // Expenses are per Telegram user, so they only load inside the mini app
+  useEffect(() => {
+    const checkSession = async () => {
+      const auth = await TelegramService.authenticate();
+      if (auth.success) setAuthenticated(true);
+    };
+    checkSession();
+  }, []);
+
+  const loadBudget = async () => {
+    const tripId = selectedTrip === 'all' ? undefined : selectedTrip;
+    try {
+      const [summary, list] = await Promise.all([
+        budgetService.getBudgetSummary(tripId),
+        budgetService.getExpenses(tripId)
+      ]);
+      setServerTotals(tripId ? summary.data.trips[0] ?? null : summary.data.totals);
+      setExpenses(list.data.expenses);
+      setBudgetError(null);
+    } catch (error) {
+      setBudgetError('Could not load your budget');
     }
-    const trip = trips.find(t => t.id === selectedTrip);
-    return trip ? trip.budget : 0;
   };
 
-  const getTotalExpenses = () => {
-    if (selectedTrip === 'all') {
-      return expenses.reduce((sum, expense) => sum + expense.amount, 0);
+  useEffect(() => {
+    if (authenticated) loadBudget();
+  }, [authenticated, selectedTrip, trips]);
+
+  const handleAddExpense = async () => {
+    const trip = trips.find(t => t.id === selectedTrip);
+    if (!trip) {
+      setBudgetError('Select a trip to add an expense');
+      return;
+    }
+    if (!newExpense.description || newExpense.amount <= 0) {
+      setBudgetError('Enter a description and an amount greater than zero');
+      return;
+    }
+
+    setSaving(true);
+    setBudgetError(null);
+    try {
+      if (authenticated) {
+        await budgetService.addExpense({
+          tripId: trip.id,
+          category: newExpense.category,
+          amount: newExpense.amount,
+          description: newExpense.description,
+          date: newExpense.date || undefined
+        });
+        await loadBudget();
+      } else {
+        setExpenses([{
+          id: Date.now().toString(),
+          trip_id: trip.id,
+          category: newExpense.category,
+          amount: newExpense.amount,
+          currency: trip.currency,
+          description: newExpense.description,
+          date: newExpense.date || new Date().toISOString().slice(0, 10),
+          created_at: new Date().toISOString()
+        }, ...expenses]);
+      }
+      setNewExpense({ category: newExpense.category, amount: 0, description: '', date: '' });
+    } catch (error: any) {
+      setBudgetError(error.response?.data?.error || 'Could not save the expense');
+    } finally {
+      setSaving(false);
     }
-    return expenses
-      .filter(expense => expense.tripId === selectedTrip)
-      .reduce((sum, expense) => sum + expense.amount, 0);
   };
 
-  const getRemainingBudget = () => {
-    return getTotalBudget() - getTotalExpenses();
+  const handleDeleteExpense = async (id: string) => {
+    try {
+      if (authenticated) {
+        await budgetService.deleteExpense(id);
+        await loadBudget();
+      } else {
+        setExpenses(expenses.filter(expense => expense.id !== id));
+      }
+    } catch (error: any) {
+      setBudgetError(error.response?.data?.error || 'Could not delete the expense');
+    }
   };
 
+  const totals = serverTotals ?? summarizeLocally(trips, expenses, selectedTrip);
+
   const getBudgetStatus = () => {
-    const remaining = getRemainingBudget();
-    const total = getTotalBudget();
-    const percentage = total > 0 ? (remaining / total) * 100 : 0;
-    
-    if (percentage > 50) return { status: 'good', color: 'text-green-600', bgColor: 'bg-green-100' };
-    if (percentage > 25) return { status: 'warning', color: 'text-yellow-600', bgColor: 'bg-yellow-100' };
+    if (totals.status === 'on_track') return { status: 'good', color: 'text-green-600', bgColor: 'bg-green-100' };
+    if (totals.status === 'warning') return { status: 'warning', color: 'text-yellow-600', bgColor: 'bg-yellow-100' };
     return { status: 'danger', color: 'text-red-600', bgColor: 'bg-red-100' };
   };
 
-  const getExpensesByCategory = () => {
-    const filteredExpenses = selectedTrip === 'all' 
-      ? expenses 
-      : expenses.filter(expense => expense.tripId === selectedTrip);
-    
-    const categories = filteredExpenses.reduce((acc, expense) => {
-      acc[expense.category] = (acc[expense.category] || 0) + expense.amount;
-      return acc;
-    }, {} as Record<string, number>);
-    
-    return Object.entries(categories).map(([category, amount]) => ({
-      category,
-      amount,
-      percentage: getTotalExpenses() > 0 ? (amount / getTotalExpenses()) * 100 : 0
-    }));
-  };
-
   const budgetStatus = getBudgetStatus();
-  const expensesByCategory = getExpensesByCategory();
+  const expensesByCategory = Object.entries(totals.by_category).map(([category, amount]) => ({
+    category,
+    amount: amount ?? 0,
+    percentage: totals.spent > 0 ? ((amount ?? 0) / totals.spent) * 100 : 0
+  }));
 
   return (
     <div className="space-y-6">
@@ -149,7 +198,7 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
             <h3 className="text-lg font-semibold text-gray-800">Total Budget</h3>
             <DollarSign className="w-8 h-8 text-blue-500" />
           </div>
-          <p className="text-3xl font-bold text-gray-800">${getTotalBudget().toLocaleString()}</p>
+          <p className="text-3xl font-bold text-gray-800">{formatMoney(totals.budget, totals.currency)}</p>
         </motion.div>
 
         <motion.div
@@ -162,7 +211,7 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
             <h3 className="text-lg font-semibold text-gray-800">Total Spent</h3>
             <TrendingDown className="w-8 h-8 text-red-500" />
           </div>
-          <p className="text-3xl font-bold text-red-500">${getTotalExpenses().toLocaleString()}</p>
+          <p className="text-3xl font-bold text-red-500">{formatMoney(totals.spent, totals.currency)}</p>
         </motion.div>
 
         <motion.div
@@ -176,7 +225,7 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
             <Target className="w-8 h-8 text-green-500" />
           </div>
           <p className={`text-3xl font-bold ${budgetStatus.color}`}>
-            ${getRemainingBudget().toLocaleString()}
+            {formatMoney(totals.remaining, totals.currency)}
           </p>
         </motion.div>
       </div>
@@ -211,6 +260,67 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
         </div>
       </motion.div>
 
+      {/* Add Expense */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.35 }}
+        className="bg-white rounded-2xl p-6 shadow-lg"
+      >
+        <div className="flex items-center space-x-3 mb-6">
+          <Plus className="w-6 h-6 text-blue-500" />
+          <h3 className="text-lg font-semibold text-gray-800">Add Expense</h3>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <select
+            value={newExpense.category}
+            onChange={(e) => setNewExpense({ ...newExpense, category: e.target.value as ExpenseCategory })}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {EXPENSE_CATEGORIES.map(category => (
+              <option key={category} value={category}>{categoryLabel(category)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newExpense.description}
+            onChange={(e) => setNewExpense({ ...newExpense, description: e.target.value })}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="Description"
+          />
+          <input
+            type="number"
+            value={newExpense.amount}
+            onChange={(e) => setNewExpense({ ...newExpense, amount: Number(e.target.value) })}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="Amount in the trip currency"
+          />
+          <input
+            type="date"
+            value={newExpense.date}
+            onChange={(e) => setNewExpense({ ...newExpense, date: e.target.value })}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div className="flex items-center gap-3 mt-4">
+          <motion.button
+            onClick={handleAddExpense}
+            className="px-6 py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-60"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            disabled={saving || selectedTrip === 'all'}
+          >
+            {saving ? 'Saving…' : 'Add Expense'}
+          </motion.button>
+          {selectedTrip === 'all' && (
+            <span className="text-sm text-gray-500">Select a trip to add expenses</span>
+          )}
+        </div>
+        {budgetError && (
+          <p className="mt-4 text-sm text-red-600">{budgetError}</p>
+        )}
+      </motion.div>
+
       {/* Expenses by Category */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <motion.div
@@ -227,8 +337,8 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
             {expensesByCategory.map((item, index) => (
               <div key={item.category} className="space-y-2">
                 <div className="flex justify-between items-center">
-                  <span className="text-sm font-medium text-gray-700">{item.category}</span>
-                  <span className="text-sm font-semibold text-gray-800">${item.amount.toLocaleString()}</span>
+                  <span className="text-sm font-medium text-gray-700">{categoryLabel(item.category)}</span>
+                  <span className="text-sm font-semibold text-gray-800">{formatMoney(item.amount, totals.currency)}</span>
                 </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <motion.div
@@ -255,7 +365,7 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
           </div>
           <div className="space-y-4">
             {expenses
-              .filter(expense => selectedTrip === 'all' || expense.tripId === selectedTrip)
+              .filter(expense => selectedTrip === 'all' || expense.trip_id === selectedTrip)
               .slice(0, 5)
               .map((expense, index) => (
                 <motion.div
@@ -267,9 +377,18 @@ const BudgetTracker: React.FC<BudgetTrackerProps> = ({ trips }) => {
                 >
                   <div>
                     <p className="font-medium text-gray-800">{expense.description}</p>
-                    <p className="text-sm text-gray-600">{expense.category} • {expense.date}</p>
+                    <p className="text-sm text-gray-600">{categoryLabel(expense.category)} • {expense.date}</p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className="font-semibold text-gray-800">{formatMoney(expense.amount, expense.currency)}</span>
+                    <button
+                      onClick={() => handleDeleteExpense(expense.id)}
+                      className="text-gray-400 hover:text-red-500 transition-colors"
+                      aria-label="Delete expense"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
                   </div>
-                  <span className="font-semibold text-gray-800">${expense.amount}</span>
                 </motion.div>
               ))}
           </div>
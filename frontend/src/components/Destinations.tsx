@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { 
   MapPin, 
@@ -10,97 +10,54 @@ import {
   Heart,
   Share2
 } from 'lucide-react';
+import { destinationService } from '../api/services';
+import type { Destination, PriceRange } from '../types';
 
-interface Destination {
-  id: string;
-  name: string;
-  country: string;
-  image: string;
-  rating: number;
-  priceRange: string;
-  bestTime: string;
-  description: string;
-  isFavorite: boolean;
-}
+const DEFAULT_DESTINATION_IMAGE = 'https://images.unsplash.com/photo-1488646953014-85cb44e25828?w=400';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
 
 const Destinations: React.FC = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterPrice, setFilterPrice] = useState('all');
-  const [destinations] = useState<Destination[]>([
-    {
-      id: '1',
-      name: 'Tokyo',
-      country: 'Japan',
-      image: 'https://images.unsplash.com/photo-1540959733332-eab4deabeeaf?w=400',
-      rating: 4.8,
-      priceRange: '$$$',
-      bestTime: 'Mar-May, Sep-Nov',
-      description: 'A vibrant metropolis blending traditional culture with cutting-edge technology.',
-      isFavorite: false
-    },
-    {
-      id: '2',
-      name: 'Paris',
-      country: 'France',
-      image: 'https://images.unsplash.com/photo-1502602898536-47ad22581b52?w=400',
-      rating: 4.9,
-      priceRange: '$$$$',
-      bestTime: 'Apr-Jun, Sep-Oct',
-      description: 'The City of Light, famous for its art, fashion, and romantic atmosphere.',
-      isFavorite: true
-    },
-    {
-      id: '3',
-      name: 'Bali',
-      country: 'Indonesia',
-      image: 'https://images.unsplash.com/photo-1537953773345-d172ccf13cf1?w=400',
-      rating: 4.7,
-      priceRange: '$$',
-      bestTime: 'Apr-Oct',
-      description: 'Tropical paradise with stunning beaches, temples, and lush landscapes.',
-      isFavorite: false
-    },
-    {
-      id: '4',
-      name: 'New York',
-      country: 'USA',
-      image: 'https://images.unsplash.com/photo-1496442226666-8d4d0e62e6e9?w=400',
-      rating: 4.6,
-      priceRange: '$$$$',
-      bestTime: 'Apr-Jun, Sep-Nov',
-      description: 'The city that never sleeps, offering endless entertainment and culture.',
-      isFavorite: false
-    },
-    {
-      id: '5',
-      name: 'Santorini',
-      country: 'Greece',
-      image: 'https://images.unsplash.com/photo-1570077188670-e3a8d69ac5ff?w=400',
-      rating: 4.9,
-      priceRange: '$$$',
-      bestTime: 'May-Oct',
-      description: 'Breathtaking sunsets, white-washed buildings, and crystal-clear waters.',
-      isFavorite: true
-    },
-    {
-      id: '6',
-      name: 'Dubai',
-      country: 'UAE',
-      image: 'https://images.unsplash.com/photo-1512453979798-5ea266f8880c?w=400',
-      rating: 4.5,
-      priceRange: '$$$',
-      bestTime: 'Nov-Mar',
-      description: 'Ultra-modern city with world-class shopping, dining, and entertainment.',
-      isFavorite: false
-    }
-  ]);
+  const [filterMonth, setFilterMonth] = useState('all');
+  const [halalOnly, setHalalOnly] = useState(false);
+  const [destinations, setDestinations] = useState<Destination[]>([]);
+  const [favorites, setFavorites] = useState<Set<string>>(new Set());
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
 
-  const filteredDestinations = destinations.filter(dest => {
-    const matchesSearch = dest.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         dest.country.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesPrice = filterPrice === 'all' || dest.priceRange === filterPrice;
-    return matchesSearch && matchesPrice;
-  });
+  // Filtering happens on the server; wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const response = await destinationService.getDestinations({
+          q: searchTerm || undefined,
+          price_range: filterPrice === 'all' ? undefined : filterPrice as PriceRange,
+          month: filterMonth === 'all' ? undefined : Number(filterMonth),
+          halal_friendly: halalOnly || undefined,
+          limit: 50
+        });
+        setDestinations(response.data.destinations);
+        setLoadError(null);
+      } catch (error) {
+        setLoadError('Could not load destinations');
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm, filterPrice, filterMonth, halalOnly]);
+
+  const toggleFavorite = (id: string) => {
+    setFavorites(current => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
 
   const getPriceColor = (priceRange: string) => {
     switch (priceRange) {
@@ -147,12 +104,34 @@ const Destinations: React.FC = () => {
               <option value="$$$$">$$$$ Luxury</option>
             </select>
           </div>
+          <div className="flex items-center space-x-2">
+            <Calendar className="w-5 h-5 text-gray-400" />
+            <select
+              value={filterMonth}
+              onChange={(e) => setFilterMonth(e.target.value)}
+              className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="all">Any Month</option>
+              {MONTH_NAMES.map((month, index) => (
+                <option key={month} value={index + 1}>{month}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={halalOnly}
+              onChange={(e) => setHalalOnly(e.target.checked)}
+              className="w-4 h-4 text-blue-500 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span>Halal-friendly</span>
+          </label>
         </div>
       </div>
 
       {/* Destinations Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {filteredDestinations.map((destination, index) => (
+        {destinations.map((destination, index) => (
           <motion.div
             key={destination.id}
             initial={{ opacity: 0, y: 20 }}
@@ -162,17 +141,18 @@ const Destinations: React.FC = () => {
           >
             <div className="relative h-48 overflow-hidden">
               <img
-                src={destination.image}
+                src={destination.image_url || DEFAULT_DESTINATION_IMAGE}
                 alt={destination.name}
                 className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
               />
               <div className="absolute top-4 right-4 flex space-x-2">
                 <motion.button
+                  onClick={() => toggleFavorite(destination.id)}
                   className="p-2 bg-white/90 rounded-full hover:bg-white transition-colors"
                   whileHover={{ scale: 1.1 }}
                   whileTap={{ scale: 0.9 }}
                 >
-                  <Heart className={`w-4 h-4 ${destination.isFavorite ? 'text-red-500 fill-current' : 'text-gray-400'}`} />
+                  <Heart className={`w-4 h-4 ${favorites.has(destination.id) ? 'text-red-500 fill-current' : 'text-gray-400'}`} />
                 </motion.button>
                 <motion.button
                   className="p-2 bg-white/90 rounded-full hover:bg-white transition-colors"
@@ -183,8 +163,8 @@ const Destinations: React.FC = () => {
                 </motion.button>
               </div>
               <div className="absolute bottom-4 left-4">
-                <span className={`px-3 py-1 rounded-full text-xs font-medium ${getPriceColor(destination.priceRange)}`}>
-                  {destination.priceRange}
+                <span className={`px-3 py-1 rounded-full text-xs font-medium ${getPriceColor(destination.price_range)}`}>
+                  {destination.price_range}
                 </span>
               </div>
             </div>
@@ -193,7 +173,10 @@ const Destinations: React.FC = () => {
               <div className="flex items-center justify-between mb-3">
                 <div>
                   <h3 className="text-xl font-semibold text-gray-800">{destination.name}</h3>
-                  <p className="text-gray-600 text-sm">{destination.country}</p>
+                  <p className="text-gray-600 text-sm">
+                    {destination.country}
+                    {destination.halal_friendly && <span className="ml-2 text-green-600">• Halal-friendly</span>}
+                  </p>
                 </div>
                 <div className="flex items-center space-x-1">
                   <Star className="w-4 h-4 text-yellow-400 fill-current" />
@@ -206,7 +189,7 @@ const Destinations: React.FC = () => {
               <div className="space-y-2 mb-4">
                 <div className="flex items-center space-x-2 text-gray-600">
                   <Calendar className="w-4 h-4" />
-                  <span className="text-sm">Best time: {destination.bestTime}</span>
+                  <span className="text-sm">Best time: {destination.best_time}</span>
                 </div>
               </div>
               
@@ -222,7 +205,11 @@ const Destinations: React.FC = () => {
         ))}
       </div>
 
-      {filteredDestinations.length === 0 && (
+      {loadError && (
+        <p className="text-center text-sm text-red-600">{loadError}</p>
+      )}
+
+      {!loading && !loadError && destinations.length === 0 && (
         <motion.div
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Link2, Unlink, Copy, CheckCircle, AlertCircle, Loader, Send, MessageCircle, Globe } from 'lucide-react';
+import { accountService } from '../api/services';
+import type { AccountLinks, LinkChannel } from '../types';
+
+interface LinkedAccountsProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const CHANNELS: { id: LinkChannel; label: string; icon: React.ElementType; hint: string }[] = [
+  { id: 'telegram', label: 'Telegram', icon: Send, hint: 'Send /link CODE to the Maya bot' },
+  { id: 'whatsapp', label: 'WhatsApp', icon: MessageCircle, hint: 'Send "ربط CODE" to Maya on WhatsApp' },
+  { id: 'web', label: 'Web', icon: Globe, hint: 'Enter the code on this page while signed in on the web' }
+];
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback;
+
+const describe = (links: AccountLinks, channel: LinkChannel) => {
+  const { telegram, whatsapp, web } = links.channels;
+  if (channel === 'telegram' && telegram) return telegram.username ? `@${telegram.username}` : `ID ${telegram.id}`;
+  if (channel === 'whatsapp' && whatsapp) return `+${whatsapp.phone}`;
+  if (channel === 'web' && web) return web.email || 'Signed in';
+  return null;
+};
+
+const LinkedAccounts: React.FC<LinkedAccountsProps> = ({ isOpen, onClose }) => {
+  const [links, setLinks] = useState<AccountLinks | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [issued, setIssued] = useState<{ code: string; expiresAt: string } | null>(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    setError('');
+    accountService.getLinks()
+      .then(response => setLinks(response.data.links))
+      .catch(err => setError(errorMessage(err, 'Failed to load linked accounts')))
+      .finally(() => setLoading(false));
+  }, [isOpen]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createCode = () => run(async () => {
+    const response = await accountService.createLinkCode();
+    setIssued({ code: response.data.code, expiresAt: response.data.expiresAt });
+  }, 'Failed to create link code');
+
+  const redeem = () => run(async () => {
+    const response = await accountService.redeemLinkCode(code.trim());
+    setLinks(response.data.links);
+    setCode('');
+    setNotice('Accounts linked. Your chats, preferences and trips are now in one place.');
+  }, 'Failed to link accounts');
+
+  const unlink = (channel: LinkChannel) => run(async () => {
+    const response = await accountService.unlink(channel);
+    setLinks(response.data.links);
+    setNotice(`${CHANNELS.find(c => c.id === channel)?.label} was unlinked.`);
+  }, 'Failed to unlink account');
+
+  const copyCode = async () => {
+    if (!issued) return;
+    try {
+      await navigator.clipboard.writeText(issued.code);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const handleClose = () => {
+    onClose();
+    setIssued(null);
+    setCode('');
+    setError('');
+    setNotice('');
+  };
+
+  const linkedCount = links ? CHANNELS.filter(channel => describe(links, channel.id)).length : 0;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-2xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <h2 className="text-xl font-bold text-gray-800">Linked Accounts</h2>
+                <p className="text-sm text-gray-600">Use Maya on Telegram, WhatsApp and the web as one traveler</p>
+              </div>
+              <button
+                onClick={handleClose}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-6">
+              {/* Channels */}
+              {loading ? (
+                <div className="flex justify-center py-6">
+                  <Loader className="w-6 h-6 animate-spin text-blue-600" />
+                </div>
+              ) : links && (
+                <div className="space-y-3">
+                  {CHANNELS.map(({ id, label, icon: Icon }) => {
+                    const detail = describe(links, id);
+                    return (
+                      <div key={id} className="flex items-center justify-between bg-gray-50 rounded-xl p-4">
+                        <div className="flex items-center space-x-3">
+                          <Icon className="w-5 h-5 text-blue-600" />
+                          <div>
+                            <p className="font-medium text-gray-800">
+                              {label}
+                              {links.current === id && <span className="ml-2 text-xs text-gray-500">(this device)</span>}
+                            </p>
+                            <p className="text-sm text-gray-600">{detail || 'Not linked'}</p>
+                          </div>
+                        </div>
+                        {detail && links.current !== id && linkedCount > 1 && (
+                          <button
+                            onClick={() => unlink(id)}
+                            disabled={busy}
+                            className="flex items-center space-x-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                          >
+                            <Unlink className="w-4 h-4" />
+                            <span>Unlink</span>
+                          </button>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {/* Issue a code for another channel */}
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-2">Link another account</h3>
+                {issued ? (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between">
+                      <code className="text-2xl font-bold tracking-widest text-gray-800">{issued.code}</code>
+                      <button
+                        onClick={copyCode}
+                        className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                        title="Copy code"
+                      >
+                        {isCopied ? <CheckCircle className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4 text-gray-600" />}
+                      </button>
+                    </div>
+                    <p className="text-sm text-green-700 mt-2">
+                      Valid until {new Date(issued.expiresAt).toLocaleTimeString()}.
+                    </p>
+                    <ul className="text-sm text-gray-600 mt-2 list-disc list-inside">
+                      {CHANNELS.filter(channel => channel.id !== links?.current).map(channel => (
+                        <li key={channel.id}>{channel.hint.replace('CODE', issued.code)}</li>
+                      ))}
+                    </ul>
+                  </div>
+                ) : (
+                  <motion.button
+                    onClick={createCode}
+                    disabled={busy}
+                    className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                  >
+                    <Link2 className="w-4 h-4" />
+                    <span>Get a link code</span>
+                  </motion.button>
+                )}
+              </div>
+
+              {/* Redeem a code from another channel */}
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-2">Have a code?</h3>
+                <div className="flex space-x-2">
+                  <input
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.toUpperCase())}
+                    placeholder="ABCD-EFGH"
+                    maxLength={9}
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={redeem}
+                    disabled={busy || code.trim().length < 8}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+                  >
+                    Link
+                  </button>
+                </div>
+              </div>
+
+              {notice && (
+                <div className="flex items-center space-x-2 p-3 bg-green-50 rounded-lg">
+                  <CheckCircle className="w-5 h-5 text-green-600" />
+                  <span className="text-sm text-green-700">{notice}</span>
+                </div>
+              )}
+
+              {error && (
+                <motion.div
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="flex items-center space-x-2 p-3 bg-red-50 rounded-lg"
+                >
+                  <AlertCircle className="w-5 h-5 text-red-600" />
+                  <span className="text-sm text-red-700">{error}</span>
+                </motion.div>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default LinkedAccounts;
@@ -9,6 +9,7 @@ import {
   Shield,
   Lock
 } from 'lucide-react';
+import { authorizedFetch } from '../api/client';
 
 interface PaymentModalProps {
   isOpen: boolean;
@@ -72,7 +73,7 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
     setErrorMessage('');
 
     try {
-      const response = await fetch('/api/payment/create-payment', {
+      const response = await authorizedFetch('/api/payment/create-payment', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -81,13 +82,19 @@ const PaymentModal: React.FC<PaymentModalProps> = ({
           amount,
           currency,
           paymentMethod: selectedMethod,
-          description,
-          chatId: 'telegram_chat_id' // This would come from Telegram context
+          description
+          // Telegram invoices go to the signed-in user's own chat
         }),
       });
 
       const data = await response.json();
 
+      if (data.success && data.payment?.approval_url) {
+        // PayPal: the payer approves at PayPal and is sent back to our return URL
+        window.location.assign(data.payment.approval_url);
+        return;
+      }
+
       if (data.success) {
         setPaymentStatus('success');
         if (onSuccess) {
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { 
   Calendar, 
@@ -10,28 +10,115 @@ import {
   Camera,
   Share2,
   Download,
-  Filter
+  Filter,
+  Ticket,
+  XCircle,
+  Trash2,
+  CheckCircle
 } from 'lucide-react';
-
-interface Trip {
-  id: string;
-  destination: string;
-  startDate: string;
-  endDate: string;
-  budget: number;
-  status: 'planned' | 'ongoing' | 'completed';
-  image: string;
-}
+import { bookingService, Booking, tripService, toTripView, formatTripBudget, TripView } from '../api/services';
+import { TelegramService } from '../api/telegram';
+import type { TripStatus } from '../types';
 
 interface TripHistoryProps {
-  trips: Trip[];
+  trips: TripView[];
+  setTrips: React.Dispatch<React.SetStateAction<TripView[]>>;
 }
 
-const TripHistory: React.FC<TripHistoryProps> = ({ trips }) => {
+const TRIPS_PAGE_SIZE = 10;
+
+const TripHistory: React.FC<TripHistoryProps> = ({ trips, setTrips }) => {
   const [filterStatus, setFilterStatus] = useState<string>('all');
   const [sortBy, setSortBy] = useState<string>('date');
+  const [bookings, setBookings] = useState<Booking[]>([]);
+  const [bookingError, setBookingError] = useState<string | null>(null);
+  const [authenticated, setAuthenticated] = useState(false);
+  // Server-side page of trips for the current filter (null outside the mini app)
+  const [tripPage, setTripPage] = useState<TripView[] | null>(null);
+  const [hasMoreTrips, setHasMoreTrips] = useState(false);
+  const [tripError, setTripError] = useState<string | null>(null);
+
+  // Bookings and trips are per Telegram user, so they only load inside the mini app
+  useEffect(() => {
+    const loadBookings = async () => {
+      const auth = await TelegramService.authenticate();
+      if (!auth.success) return;
+      setAuthenticated(true);
+
+      try {
+        const response = await bookingService.getBookings({ limit: 20 });
+        setBookings(response.data.bookings);
+      } catch (error) {
+        setBookingError('Could not load your bookings');
+      }
+    };
+    loadBookings();
+  }, []);
+
+  const loadTrips = async (offset: number) => {
+    try {
+      const response = await tripService.getTrips({
+        status: filterStatus === 'all' ? undefined : filterStatus as TripStatus,
+        limit: TRIPS_PAGE_SIZE,
+        offset
+      });
+      const page = response.data.trips.map(toTripView);
+      setTripPage(current => offset === 0 || !current ? page : [...current, ...page]);
+      setHasMoreTrips(response.data.pagination.has_more);
+      setTripError(null);
+    } catch (error) {
+      setTripError('Could not load your trips');
+    }
+  };
+
+  useEffect(() => {
+    if (authenticated) loadTrips(0);
+  }, [authenticated, filterStatus]);
+
+  const replaceTrip = (updated: TripView) => {
+    setTripPage(current => current && current.map(trip => trip.id === updated.id ? updated : trip));
+    setTrips(current => current.map(trip => trip.id === updated.id ? updated : trip));
+  };
+
+  const completeTrip = async (id: string) => {
+    try {
+      const response = await tripService.updateTrip(id, { status: 'completed' });
+      replaceTrip(toTripView(response.data.trip));
+    } catch (error: any) {
+      setTripError(error.response?.data?.error || 'Could not update the trip');
+    }
+  };
+
+  const deleteTrip = async (id: string) => {
+    try {
+      await tripService.deleteTrip(id);
+      setTripPage(current => current && current.filter(trip => trip.id !== id));
+      setTrips(current => current.filter(trip => trip.id !== id));
+    } catch (error: any) {
+      setTripError(error.response?.data?.error || 'Could not delete the trip');
+    }
+  };
+
+  const cancelBooking = async (id: string) => {
+    try {
+      const response = await bookingService.cancelBooking(id, 'customer_request');
+      setBookings(current => current.map(booking => booking.id === id ? response.data.booking : booking));
+    } catch (error: any) {
+      setBookingError(error.response?.data?.error || 'Could not cancel the booking');
+    }
+  };
+
+  const getBookingStatusColor = (status: Booking['status']) => {
+    switch (status) {
+      case 'pending': return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+      case 'confirmed': return 'bg-green-100 text-green-800 border-green-200';
+      case 'completed': return 'bg-blue-100 text-blue-800 border-blue-200';
+      default: return 'bg-gray-100 text-gray-800 border-gray-200';
+    }
+  };
 
-  const filteredTrips = trips.filter(trip => {
+  // The API already filtered the page by status
+  const filteredTrips = tripPage ?? trips.filter(trip => {
     if (filterStatus === 'all') return true;
     return trip.status === filterStatus;
   });
@@ -168,13 +255,59 @@ const TripHistory: React.FC<TripHistoryProps> = ({ trips }) => {
             <DollarSign className="w-6 h-6 text-purple-600" />
           </div>
           <p className="text-2xl font-bold text-gray-800">
-            ${trips.reduce((sum, trip) => sum + trip.budget, 0).toLocaleString()}
+            {trips.reduce((sum, trip) => sum + trip.budget, 0).toLocaleString()}
           </p>
           <p className="text-sm text-gray-600">Total Budget</p>
         </motion.div>
       </div>
 
+      {/* Bookings */}
+      {(bookings.length > 0 || bookingError) && (
+        <div className="bg-white rounded-2xl p-6 shadow-lg">
+          <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center space-x-2">
+            <Ticket className="w-5 h-5 text-blue-600" />
+            <span>My Bookings</span>
+          </h3>
+          {bookingError && <p className="text-sm text-red-600 mb-4">{bookingError}</p>}
+          <div className="space-y-3">
+            {bookings.map(booking => (
+              <div key={booking.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 border border-gray-200 rounded-lg">
+                <div>
+                  <p className="font-semibold text-gray-800">{booking.destination}</p>
+                  <p className="text-sm text-gray-600">
+                    {booking.reference} · {booking.start_date} - {booking.end_date} · <Users className="w-4 h-4 inline" /> {booking.travelers}
+                  </p>
+                  {booking.status === 'pending' && booking.hold_expires_at && (
+                    <p className="text-xs text-yellow-700 mt-1">
+                      Held until {new Date(booking.hold_expires_at).toLocaleTimeString()}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3">
+                  <span className="font-semibold text-gray-800">{booking.total_price.toLocaleString()} {booking.currency}</span>
+                  <span className={`px-3 py-1 rounded-full text-sm font-medium border capitalize ${getBookingStatusColor(booking.status)}`}>
+                    {booking.status}
+                  </span>
+                  {booking.status === 'pending' && (
+                    <motion.button
+                      onClick={() => cancelBooking(booking.id)}
+                      className="p-2 bg-gray-100 rounded-lg hover:bg-red-100 transition-colors"
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      title="Cancel booking"
+                    >
+                      <XCircle className="w-4 h-4 text-red-600" />
+                    </motion.button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Trips List */}
+      {tripError && <p className="text-sm text-red-600">{tripError}</p>}
       <div className="space-y-6">
         {sortedTrips.map((trip, index) => (
           <motion.div
@@ -223,7 +356,7 @@ const TripHistory: React.FC<TripHistoryProps> = ({ trips }) => {
                   <div className="flex items-center space-x-6">
                     <div className="flex items-center space-x-2">
                       <DollarSign className="w-5 h-5 text-green-500" />
-                      <span className="text-lg font-semibold text-gray-800">${trip.budget.toLocaleString()}</span>
+                      <span className="text-lg font-semibold text-gray-800">{formatTripBudget(trip)}</span>
                     </div>
                     <div className="flex items-center space-x-1">
                       <Star className="w-5 h-5 text-yellow-400 fill-current" />
@@ -253,6 +386,28 @@ const TripHistory: React.FC<TripHistoryProps> = ({ trips }) => {
                     >
                       <Download className="w-4 h-4 text-gray-600" />
                     </motion.button>
+                    {authenticated && trip.status !== 'completed' && (
+                      <motion.button
+                        onClick={() => completeTrip(trip.id)}
+                        className="p-2 bg-gray-100 rounded-lg hover:bg-green-100 transition-colors"
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        title="Mark as completed"
+                      >
+                        <CheckCircle className="w-4 h-4 text-green-600" />
+                      </motion.button>
+                    )}
+                    {authenticated && (
+                      <motion.button
+                        onClick={() => deleteTrip(trip.id)}
+                        className="p-2 bg-gray-100 rounded-lg hover:bg-red-100 transition-colors"
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        title="Delete trip"
+                      >
+                        <Trash2 className="w-4 h-4 text-red-600" />
+                      </motion.button>
+                    )}
                   </div>
                 </div>
                 
@@ -278,6 +433,19 @@ const TripHistory: React.FC<TripHistoryProps> = ({ trips }) => {
         ))}
       </div>
 
+      {hasMoreTrips && tripPage && (
+        <div className="text-center">
+          <motion.button
+            onClick={() => loadTrips(tripPage.length)}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            Load more trips
+          </motion.button>
+        </div>
+      )}
+
       {sortedTrips.length === 0 && (
         <motion.div
           initial={{ opacity: 0 }}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { aiService } from '../api/services';
+import { aiService, tripService, toTripView, formatTripBudget, TripView } from '../api/services';
+import { TelegramService } from '../api/telegram';
 import { motion } from 'framer-motion';
 import { 
   Plus, 
@@ -12,19 +13,9 @@ import {
   Star
 } from 'lucide-react';
 
-interface Trip {
-  id: string;
-  destination: string;
-  startDate: string;
-  endDate: string;
-  budget: number;
-  status: 'planned' | 'ongoing' | 'completed';
-  image: string;
-}
-
 interface TripPlannerProps {
-  trips: Trip[];
-  setTrips: React.Dispatch<React.SetStateAction<Trip[]>>;
+  trips: TripView[];
+  setTrips: React.Dispatch<React.SetStateAction<TripView[]>>;
 }
 
 const TripPlanner: React.FC<TripPlannerProps> = ({ trips, setTrips }) => {
@@ -39,21 +30,51 @@ const TripPlanner: React.FC<TripPlannerProps> = ({ trips, setTrips }) => {
   const [videoUrl, setVideoUrl] = useState('');
   const [analysis, setAnalysis] = useState<string | null>(null);
   const [analyzing, setAnalyzing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const handleAddTrip = async () => {
+    if (!newTrip.destination || !newTrip.startDate || !newTrip.endDate) {
+      setFormError('Destination and dates are required');
+      return;
+    }
+    if (newTrip.endDate < newTrip.startDate) {
+      setFormError('End date must be on or after the start date');
+      return;
+    }
 
-  const handleAddTrip = () => {
-    if (newTrip.destination && newTrip.startDate && newTrip.endDate) {
-      const trip: Trip = {
-        id: Date.now().toString(),
-        destination: newTrip.destination,
-        startDate: newTrip.startDate,
-        endDate: newTrip.endDate,
-        budget: newTrip.budget,
-        status: 'planned',
-        image: `https://images.unsplash.com/photo-${Math.floor(Math.random() * 1000000)}?w=400`
-      };
-      setTrips([...trips, trip]);
+    setSaving(true);
+    setFormError(null);
+    try {
+      const auth = await TelegramService.authenticate();
+      if (auth.success) {
+        const response = await tripService.createTrip({
+          destination: newTrip.destination,
+          startDate: newTrip.startDate,
+          endDate: newTrip.endDate,
+          budget: newTrip.budget,
+          imageUrl: mediaUrl || null
+        });
+        setTrips([toTripView(response.data.trip), ...trips]);
+      } else {
+        // Outside the mini app there is no trip owner to save for; keep the trip on this screen
+        setTrips([...trips, {
+          id: Date.now().toString(),
+          destination: newTrip.destination,
+          startDate: newTrip.startDate,
+          endDate: newTrip.endDate,
+          budget: newTrip.budget,
+          currency: 'USD',
+          status: 'planned',
+          image: mediaUrl || `https://images.unsplash.com/photo-${Math.floor(Math.random() * 1000000)}?w=400`
+        }]);
+      }
       setNewTrip({ destination: '', startDate: '', endDate: '', budget: 0 });
       setShowAddForm(false);
+    } catch (error: any) {
+      setFormError(error.response?.data?.error || 'Could not save the trip');
+    } finally {
+      setSaving(false);
     }
   };
 
@@ -180,11 +201,12 @@ const TripPlanner: React.FC<TripPlannerProps> = ({ trips, setTrips }) => {
           <div className="flex flex-wrap items-center gap-3 mt-6">
             <motion.button
               onClick={handleAddTrip}
-              className="px-6 py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+              className="px-6 py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-60"
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
+              disabled={saving}
             >
-              Add Trip
+              {saving ? 'Saving…' : 'Add Trip'}
             </motion.button>
             <motion.button
               onClick={handleAnalyzeMedia}
@@ -204,6 +226,9 @@ const TripPlanner: React.FC<TripPlannerProps> = ({ trips, setTrips }) => {
               Cancel
             </motion.button>
           </div>
+          {formError && (
+            <p className="mt-4 text-sm text-red-600">{formError}</p>
+          )}
           {analysis && (
             <div className="mt-4 p-4 bg-purple-50 border border-purple-100 rounded-lg text-sm text-purple-900 whitespace-pre-wrap">
               {analysis}
@@ -248,7 +273,7 @@ const TripPlanner: React.FC<TripPlannerProps> = ({ trips, setTrips }) => {
                 </div>
                 <div className="flex items-center space-x-2 text-gray-600">
                   <DollarSign className="w-4 h-4" />
-                  <span className="text-sm">${trip.budget.toLocaleString()}</span>
+                  <span className="text-sm">{formatTripBudget(trip)}</span>
                 </div>
               </div>
               
@@ -0,0 +1,182 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import BudgetTracker from '../BudgetTracker'
+import { budgetService, BudgetTotals, TripView } from '../../api/services'
+import { TelegramService } from '../../api/telegram'
+import type { Expense } from '../../types'
+
+vi.mock('../../api/services', async (importOriginal) => ({
+  ...await importOriginal<typeof import('../../api/services')>(),
+  budgetService: { getBudgetSummary: vi.fn(), getExpenses: vi.fn(), addExpense: vi.fn(), deleteExpense: vi.fn() }
+}))
+
+vi.mock('../../api/telegram', () => ({
+  TelegramService: { authenticate: vi.fn() }
+}))
+
+const trips: TripView[] = [
+  {
+    id: 'trip-1',
+    destination: 'Tokyo, Japan',
+    startDate: '2024-03-15',
+    endDate: '2024-03-22',
+    budget: 2500,
+    currency: 'USD',
+    status: 'planned',
+    image: 'https://example.com/tokyo.jpg'
+  }
+]
+
+const expense = (overrides: Partial<Expense>): Expense => ({
+  id: 'expense-1',
+  trip_id: 'trip-1',
+  category: 'food',
+  amount: 120,
+  currency: 'USD',
+  description: 'Sushi dinner',
+  date: '2024-03-16',
+  created_at: '2024-03-16T20:00:00Z',
+  ...overrides
+})
+
+const totals = (overrides: Partial<BudgetTotals>): BudgetTotals => ({
+  currency: 'USD',
+  budget: 2500,
+  spent: 120,
+  remaining: 2380,
+  by_category: { food: 120 },
+  percent_used: 4.8,
+  status: 'on_track',
+  ...overrides
+})
+
+const mockBudget = (expenses: Expense[], summary: BudgetTotals) => {
+  vi.mocked(budgetService.getExpenses).mockResolvedValue({ data: { success: true, expenses } } as any)
+  vi.mocked(budgetService.getBudgetSummary).mockResolvedValue({
+    data: {
+      success: true,
+      trips: [{ ...summary, trip_id: 'trip-1', destination: 'Tokyo, Japan', expense_count: expenses.length }],
+      totals: summary
+    }
+  } as any)
+}
+
+const fillExpenseForm = (description: string, amount: string) => {
+  fireEvent.change(screen.getByDisplayValue('All Trips'), { target: { value: 'trip-1' } })
+  fireEvent.change(screen.getByPlaceholderText('Description'), { target: { value: description } })
+  fireEvent.change(screen.getByPlaceholderText('Amount in the trip currency'), { target: { value: amount } })
+}
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
+describe('BudgetTracker Component', () => {
+  it('lists the expenses and totals from the API', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    mockBudget([expense({})], totals({}))
+    render(<BudgetTracker trips={trips} />)
+
+    expect(await screen.findByText('Sushi dinner')).toBeInTheDocument()
+    expect(screen.getByText('$2,380')).toBeInTheDocument()
+    expect(screen.getByText('Budget on track!')).toBeInTheDocument()
+    expect(budgetService.getExpenses).toHaveBeenCalledWith(undefined)
+  })
+
+  it('loads the selected trip\'s summary', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    mockBudget([expense({})], totals({ spent: 2400, remaining: 100, status: 'warning' }))
+    render(<BudgetTracker trips={trips} />)
+    await screen.findByText('Sushi dinner')
+
+    fireEvent.change(screen.getByDisplayValue('All Trips'), { target: { value: 'trip-1' } })
+
+    await waitFor(() => expect(budgetService.getBudgetSummary).toHaveBeenLastCalledWith('trip-1'))
+    expect(budgetService.getExpenses).toHaveBeenLastCalledWith('trip-1')
+    expect(screen.getByText('Budget getting tight')).toBeInTheDocument()
+  })
+
+  it('adds an expense through the API and reloads the budget', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    mockBudget([], totals({ spent: 0, remaining: 2500, by_category: {} }))
+    vi.mocked(budgetService.addExpense).mockResolvedValue({ data: { success: true } } as any)
+    render(<BudgetTracker trips={trips} />)
+    await waitFor(() => expect(budgetService.getExpenses).toHaveBeenCalled())
+
+    fillExpenseForm('Train pass', '80')
+    await waitFor(() => expect(budgetService.getExpenses).toHaveBeenLastCalledWith('trip-1'))
+    mockBudget([expense({ id: 'expense-2', category: 'transportation', amount: 80, description: 'Train pass' })], totals({ spent: 80, remaining: 2420 }))
+    fireEvent.click(screen.getByRole('button', { name: 'Add Expense' }))
+
+    expect(await screen.findByText('Train pass')).toBeInTheDocument()
+    expect(budgetService.addExpense).toHaveBeenCalledWith({
+      tripId: 'trip-1',
+      category: 'food',
+      amount: 80,
+      description: 'Train pass',
+      date: undefined
+    })
+    expect(screen.getByText('$2,420')).toBeInTheDocument()
+  })
+
+  it('keeps expenses on screen outside the mini app', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: false, error: 'Not running inside Telegram' })
+    render(<BudgetTracker trips={trips} />)
+    await waitFor(() => expect(TelegramService.authenticate).toHaveBeenCalled())
+
+    fillExpenseForm('Museum tickets', '40')
+    fireEvent.click(screen.getByRole('button', { name: 'Add Expense' }))
+
+    expect(await screen.findByText('Museum tickets')).toBeInTheDocument()
+    expect(screen.getByText('$2,460')).toBeInTheDocument()
+    expect(budgetService.addExpense).not.toHaveBeenCalled()
+  })
+
+  it('rejects an expense without an amount', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: false })
+    render(<BudgetTracker trips={trips} />)
+
+    fillExpenseForm('Museum tickets', '0')
+    fireEvent.click(screen.getByRole('button', { name: 'Add Expense' }))
+
+    expect(await screen.findByText('Enter a description and an amount greater than zero')).toBeInTheDocument()
+    expect(budgetService.addExpense).not.toHaveBeenCalled()
+  })
+
+  it('deletes an expense through the API and reloads the budget', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    mockBudget([expense({})], totals({}))
+    vi.mocked(budgetService.deleteExpense).mockResolvedValue({ data: { success: true } } as any)
+    render(<BudgetTracker trips={trips} />)
+    await screen.findByText('Sushi dinner')
+
+    mockBudget([], totals({ spent: 0, remaining: 2500, by_category: {} }))
+    fireEvent.click(screen.getByLabelText('Delete expense'))
+
+    await waitFor(() => expect(screen.queryByText('Sushi dinner')).not.toBeInTheDocument())
+    expect(budgetService.deleteExpense).toHaveBeenCalledWith('expense-1')
+  })
+
+  it('shows an error when the budget cannot be loaded', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(budgetService.getBudgetSummary).mockRejectedValue(new Error('Network Error'))
+    vi.mocked(budgetService.getExpenses).mockResolvedValue({ data: { success: true, expenses: [] } } as any)
+    render(<BudgetTracker trips={trips} />)
+
+    expect(await screen.findByText('Could not load your budget')).toBeInTheDocument()
+  })
+
+  it('shows the API error when an expense cannot be saved', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    mockBudget([], totals({ spent: 0, remaining: 2500, by_category: {} }))
+    vi.mocked(budgetService.addExpense).mockRejectedValue({ response: { data: { error: 'Trip not found' } } })
+    render(<BudgetTracker trips={trips} />)
+    await waitFor(() => expect(budgetService.getExpenses).toHaveBeenCalled())
+
+    fillExpenseForm('Train pass', '80')
+    await waitFor(() => expect(budgetService.getExpenses).toHaveBeenLastCalledWith('trip-1'))
+    fireEvent.click(screen.getByRole('button', { name: 'Add Expense' }))
+
+    expect(await screen.findByText('Trip not found')).toBeInTheDocument()
+  })
+})
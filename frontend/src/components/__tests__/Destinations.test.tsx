@@ -0,0 +1,106 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Destinations from '../Destinations'
+import { destinationService } from '../../api/services'
+import type { Destination } from '../../types'
+
+vi.mock('../../api/services', async (importOriginal) => ({
+  ...await importOriginal<typeof import('../../api/services')>(),
+  destinationService: { getDestinations: vi.fn() }
+}))
+
+const destination = (overrides: Partial<Destination>): Destination => ({
+  id: 'dest-1',
+  slug: 'istanbul',
+  name: 'Istanbul',
+  country: 'Turkey',
+  region: 'Europe',
+  image_url: null,
+  rating: 4.8,
+  price_range: '$$',
+  best_time: 'April to May',
+  best_months: [4, 5],
+  description: 'Where East meets West',
+  halal_friendly: true,
+  tags: ['culture'],
+  ...overrides
+})
+
+const destinationPage = (destinations: Destination[]) => ({
+  data: {
+    success: true,
+    destinations,
+    pagination: { limit: 50, offset: 0, total: destinations.length, has_more: false }
+  }
+}) as any
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
+describe('Destinations Component', () => {
+  it('lists destinations from the API', async () => {
+    vi.mocked(destinationService.getDestinations).mockResolvedValue(destinationPage([
+      destination({}),
+      destination({ id: 'dest-2', slug: 'kyoto', name: 'Kyoto', country: 'Japan', halal_friendly: false })
+    ]))
+    render(<Destinations />)
+
+    expect(await screen.findByText('Istanbul')).toBeInTheDocument()
+    expect(screen.getByText('Kyoto')).toBeInTheDocument()
+    expect(screen.getAllByText('• Halal-friendly')).toHaveLength(1)
+    expect(destinationService.getDestinations).toHaveBeenCalledWith({
+      q: undefined,
+      price_range: undefined,
+      month: undefined,
+      halal_friendly: undefined,
+      limit: 50
+    })
+  })
+
+  it('searches once typing pauses', async () => {
+    vi.mocked(destinationService.getDestinations).mockResolvedValue(destinationPage([destination({})]))
+    render(<Destinations />)
+    await screen.findByText('Istanbul')
+
+    const search = screen.getByPlaceholderText('Search destinations...')
+    fireEvent.change(search, { target: { value: 'ist' } })
+    fireEvent.change(search, { target: { value: 'istanbul' } })
+
+    await waitFor(() => expect(destinationService.getDestinations).toHaveBeenCalledTimes(2))
+    expect(destinationService.getDestinations).toHaveBeenLastCalledWith(expect.objectContaining({ q: 'istanbul' }))
+  })
+
+  it('sends the price, month and halal filters to the API', async () => {
+    vi.mocked(destinationService.getDestinations).mockResolvedValue(destinationPage([destination({})]))
+    render(<Destinations />)
+    await screen.findByText('Istanbul')
+
+    fireEvent.change(screen.getByDisplayValue('All Prices'), { target: { value: '$$' } })
+    fireEvent.change(screen.getByDisplayValue('Any Month'), { target: { value: '4' } })
+    fireEvent.click(screen.getByLabelText('Halal-friendly'))
+
+    await waitFor(() => expect(destinationService.getDestinations).toHaveBeenLastCalledWith({
+      q: undefined,
+      price_range: '$$',
+      month: 4,
+      halal_friendly: true,
+      limit: 50
+    }))
+  })
+
+  it('shows the empty state when nothing matches', async () => {
+    vi.mocked(destinationService.getDestinations).mockResolvedValue(destinationPage([]))
+    render(<Destinations />)
+
+    expect(await screen.findByText('No destinations found')).toBeInTheDocument()
+  })
+
+  it('shows an error when destinations cannot be loaded', async () => {
+    vi.mocked(destinationService.getDestinations).mockRejectedValue(new Error('Network Error'))
+    render(<Destinations />)
+
+    expect(await screen.findByText('Could not load destinations')).toBeInTheDocument()
+    expect(screen.queryByText('No destinations found')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,118 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import LinkedAccounts from '../LinkedAccounts'
+import { accountService } from '../../api/services'
+import type { AccountLinks } from '../../types'
+
+vi.mock('../../api/services', async (importOriginal) => ({
+  ...await importOriginal<typeof import('../../api/services')>(),
+  accountService: { getLinks: vi.fn(), createLinkCode: vi.fn(), redeemLinkCode: vi.fn(), unlink: vi.fn() }
+}))
+
+const links = (channels: Partial<AccountLinks['channels']>): AccountLinks => ({
+  profileId: 'profile-1',
+  current: 'telegram',
+  channels: { telegram: { id: 42, username: 'traveler' }, whatsapp: null, web: null, ...channels }
+})
+
+const linksResponse = (value: AccountLinks) => ({ data: { success: true, links: value } }) as any
+
+const mockOnClose = vi.fn()
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
+describe('LinkedAccounts Component', () => {
+  it('loads nothing while closed', () => {
+    render(<LinkedAccounts isOpen={false} onClose={mockOnClose} />)
+
+    expect(screen.queryByText('Linked Accounts')).not.toBeInTheDocument()
+    expect(accountService.getLinks).not.toHaveBeenCalled()
+  })
+
+  it('lists the linked channels', async () => {
+    vi.mocked(accountService.getLinks).mockResolvedValue(linksResponse(links({ whatsapp: { phone: '201234567890' } })))
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+
+    expect(await screen.findByText('@traveler')).toBeInTheDocument()
+    expect(screen.getByText('+201234567890')).toBeInTheDocument()
+    expect(screen.getByText('Not linked')).toBeInTheDocument()
+    expect(screen.getByText('(this device)')).toBeInTheDocument()
+    // Only channels other than this device can be unlinked
+    expect(screen.getAllByText('Unlink')).toHaveLength(1)
+  })
+
+  it('does not offer to unlink the only linked channel', async () => {
+    vi.mocked(accountService.getLinks).mockResolvedValue(linksResponse({ ...links({}), current: 'web' }))
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+
+    await screen.findByText('@traveler')
+    expect(screen.queryByText('Unlink')).not.toBeInTheDocument()
+  })
+
+  it('creates a link code with instructions for the other channels', async () => {
+    vi.mocked(accountService.getLinks).mockResolvedValue(linksResponse(links({})))
+    vi.mocked(accountService.createLinkCode).mockResolvedValue({
+      data: { success: true, code: 'ABCD-EFGH', expiresAt: '2024-03-01T12:10:00Z', expiresIn: 600 }
+    } as any)
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+    await screen.findByText('@traveler')
+
+    fireEvent.click(screen.getByText('Get a link code'))
+
+    expect(await screen.findByText('ABCD-EFGH')).toBeInTheDocument()
+    expect(screen.getByText('Send "ربط ABCD-EFGH" to Maya on WhatsApp')).toBeInTheDocument()
+    expect(screen.queryByText('Send /link ABCD-EFGH to the Maya bot')).not.toBeInTheDocument()
+  })
+
+  it('redeems a code and shows the merged channels', async () => {
+    vi.mocked(accountService.getLinks).mockResolvedValue(linksResponse(links({})))
+    vi.mocked(accountService.redeemLinkCode).mockResolvedValue(linksResponse(links({ web: { email: 'traveler@example.com' } })))
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+    await screen.findByText('@traveler')
+
+    const input = screen.getByPlaceholderText('ABCD-EFGH')
+    expect(screen.getByRole('button', { name: 'Link' })).toBeDisabled()
+    fireEvent.change(input, { target: { value: 'wxyz-2345' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Link' }))
+
+    expect(await screen.findByText('traveler@example.com')).toBeInTheDocument()
+    expect(accountService.redeemLinkCode).toHaveBeenCalledWith('WXYZ-2345')
+    expect(screen.getByText('Accounts linked. Your chats, preferences and trips are now in one place.')).toBeInTheDocument()
+    expect(input).toHaveValue('')
+  })
+
+  it('unlinks another channel', async () => {
+    vi.mocked(accountService.getLinks).mockResolvedValue(linksResponse(links({ whatsapp: { phone: '201234567890' } })))
+    vi.mocked(accountService.unlink).mockResolvedValue(linksResponse(links({})))
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+    await screen.findByText('+201234567890')
+
+    fireEvent.click(screen.getByText('Unlink'))
+
+    expect(await screen.findByText('WhatsApp was unlinked.')).toBeInTheDocument()
+    expect(accountService.unlink).toHaveBeenCalledWith('whatsapp')
+    expect(screen.queryByText('+201234567890')).not.toBeInTheDocument()
+  })
+
+  it('shows an error when the links cannot be loaded', async () => {
+    vi.mocked(accountService.getLinks).mockRejectedValue(new Error('Network Error'))
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+
+    expect(await screen.findByText('Failed to load linked accounts')).toBeInTheDocument()
+  })
+
+  it('shows the API error when a code cannot be redeemed', async () => {
+    vi.mocked(accountService.getLinks).mockResolvedValue(linksResponse(links({})))
+    vi.mocked(accountService.redeemLinkCode).mockRejectedValue({ response: { data: { error: 'Link code is invalid or expired' } } })
+    render(<LinkedAccounts isOpen={true} onClose={mockOnClose} />)
+    await screen.findByText('@traveler')
+
+    fireEvent.change(screen.getByPlaceholderText('ABCD-EFGH'), { target: { value: 'ABCD-EFGH' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Link' }))
+
+    expect(await screen.findByText('Link code is invalid or expired')).toBeInTheDocument()
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Link' })).not.toBeDisabled())
+  })
+})
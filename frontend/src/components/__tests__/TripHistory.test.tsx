@@ -0,0 +1,163 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import TripHistory from '../TripHistory'
+import { bookingService, tripService, TripView } from '../../api/services'
+import { TelegramService } from '../../api/telegram'
+import type { Trip } from '../../types'
+
+vi.mock('../../api/services', async (importOriginal) => ({
+  ...await importOriginal<typeof import('../../api/services')>(),
+  bookingService: { getBookings: vi.fn(), cancelBooking: vi.fn() },
+  tripService: { getTrips: vi.fn(), updateTrip: vi.fn(), deleteTrip: vi.fn() }
+}))
+
+vi.mock('../../api/telegram', () => ({
+  TelegramService: { authenticate: vi.fn() }
+}))
+
+const apiTrip = (overrides: Partial<Trip>): Trip => ({
+  id: 'trip-1',
+  destination: 'Tokyo, Japan',
+  start_date: '2024-03-15',
+  end_date: '2024-03-22',
+  budget: 2500,
+  currency: 'USD',
+  status: 'planned',
+  travelers: 1,
+  image_url: null,
+  created_at: '2024-02-01T00:00:00Z',
+  updated_at: '2024-02-01T00:00:00Z',
+  ...overrides
+})
+
+const tripPage = (trips: Trip[], hasMore = false) => ({
+  data: {
+    success: true,
+    trips,
+    pagination: { limit: 10, offset: 0, total: trips.length, has_more: hasMore }
+  }
+}) as any
+
+const localTrips: TripView[] = [
+  {
+    id: 'local-1',
+    destination: 'Cairo, Egypt',
+    startDate: '2024-01-10',
+    endDate: '2024-01-15',
+    budget: 900,
+    currency: 'USD',
+    status: 'completed',
+    image: 'https://example.com/cairo.jpg'
+  }
+]
+
+const mockSetTrips = vi.fn()
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  vi.mocked(bookingService.getBookings).mockResolvedValue({ data: { success: true, bookings: [] } } as any)
+})
+
+describe('TripHistory Component', () => {
+  it('shows the trips passed in outside the mini app', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: false, error: 'Not running inside Telegram' })
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+
+    expect(screen.getByText('Cairo, Egypt')).toBeInTheDocument()
+    await waitFor(() => expect(TelegramService.authenticate).toHaveBeenCalled())
+    expect(tripService.getTrips).not.toHaveBeenCalled()
+    expect(screen.queryByTitle('Delete trip')).not.toBeInTheDocument()
+  })
+
+  it('lists the signed-in user\'s trips from the API', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips).mockResolvedValue(tripPage([
+      apiTrip({ id: 'trip-1', destination: 'Tokyo, Japan' }),
+      apiTrip({ id: 'trip-2', destination: 'Lisbon, Portugal', start_date: '2024-05-01', end_date: '2024-05-08' })
+    ]))
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+
+    expect(await screen.findByText('Lisbon, Portugal')).toBeInTheDocument()
+    expect(screen.getByText('Tokyo, Japan')).toBeInTheDocument()
+    expect(screen.queryByText('Cairo, Egypt')).not.toBeInTheDocument()
+    expect(tripService.getTrips).toHaveBeenCalledWith({ status: undefined, limit: 10, offset: 0 })
+  })
+
+  it('asks the API for the chosen status', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips).mockResolvedValue(tripPage([apiTrip({})]))
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+    await screen.findByText('Tokyo, Japan')
+
+    fireEvent.change(screen.getByDisplayValue('All Trips'), { target: { value: 'completed' } })
+
+    await waitFor(() => expect(tripService.getTrips).toHaveBeenLastCalledWith({ status: 'completed', limit: 10, offset: 0 }))
+  })
+
+  it('loads the next page when asked', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips)
+      .mockResolvedValueOnce(tripPage([apiTrip({ id: 'trip-1', destination: 'Tokyo, Japan' })], true))
+      .mockResolvedValueOnce(tripPage([apiTrip({ id: 'trip-2', destination: 'Lisbon, Portugal' })]))
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+
+    fireEvent.click(await screen.findByText('Load more trips'))
+
+    expect(await screen.findByText('Lisbon, Portugal')).toBeInTheDocument()
+    expect(screen.getByText('Tokyo, Japan')).toBeInTheDocument()
+    expect(tripService.getTrips).toHaveBeenLastCalledWith({ status: undefined, limit: 10, offset: 1 })
+    expect(screen.queryByText('Load more trips')).not.toBeInTheDocument()
+  })
+
+  it('deletes a trip through the API', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips).mockResolvedValue(tripPage([apiTrip({})]))
+    vi.mocked(tripService.deleteTrip).mockResolvedValue({ data: { success: true } } as any)
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+    await screen.findByText('Tokyo, Japan')
+
+    fireEvent.click(screen.getByTitle('Delete trip'))
+
+    await waitFor(() => expect(screen.queryByText('Tokyo, Japan')).not.toBeInTheDocument())
+    expect(tripService.deleteTrip).toHaveBeenCalledWith('trip-1')
+    const update = mockSetTrips.mock.calls[0][0]
+    expect(update([...localTrips, { ...localTrips[0], id: 'trip-1' }])).toEqual(localTrips)
+  })
+
+  it('marks a trip as completed through the API', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips).mockResolvedValue(tripPage([apiTrip({})]))
+    vi.mocked(tripService.updateTrip).mockResolvedValue({
+      data: { success: true, trip: apiTrip({ status: 'completed' }) }
+    } as any)
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+    await screen.findByText('Tokyo, Japan')
+
+    fireEvent.click(screen.getByTitle('Mark as completed'))
+
+    await waitFor(() => expect(screen.queryByTitle('Mark as completed')).not.toBeInTheDocument())
+    expect(tripService.updateTrip).toHaveBeenCalledWith('trip-1', { status: 'completed' })
+  })
+
+  it('shows an error when the trips cannot be loaded', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips).mockRejectedValue(new Error('Network Error'))
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+
+    expect(await screen.findByText('Could not load your trips')).toBeInTheDocument()
+  })
+
+  it('keeps the trip and shows the API error when it cannot be deleted', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.getTrips).mockResolvedValue(tripPage([apiTrip({})]))
+    vi.mocked(tripService.deleteTrip).mockRejectedValue({ response: { data: { error: 'Trip not found' } } })
+    render(<TripHistory trips={localTrips} setTrips={mockSetTrips} />)
+    await screen.findByText('Tokyo, Japan')
+
+    fireEvent.click(screen.getByTitle('Delete trip'))
+
+    expect(await screen.findByText('Trip not found')).toBeInTheDocument()
+    expect(screen.getByText('Tokyo, Japan')).toBeInTheDocument()
+    expect(mockSetTrips).not.toHaveBeenCalled()
+  })
+})
@@ -1,6 +1,17 @@
-import { render, screen, fireEvent } from '@testing-library/react'
-import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
 import TripPlanner from '../TripPlanner'
+import { tripService } from '../../api/services'
+import { TelegramService } from '../../api/telegram'
+
+vi.mock('../../api/services', async (importOriginal) => ({
+  ...await importOriginal<typeof import('../../api/services')>(),
+  tripService: { createTrip: vi.fn() }
+}))
+
+vi.mock('../../api/telegram', () => ({
+  TelegramService: { authenticate: vi.fn() }
+}))
 
 const mockTrips = [
   {
@@ -9,6 +20,7 @@ const mockTrips = [
     startDate: '2024-03-15',
     endDate: '2024-03-22',
     budget: 2500,
+    currency: 'USD',
     status: 'planned' as const,
     image: 'https://example.com/tokyo.jpg'
   }
@@ -16,6 +28,23 @@ const mockTrips = [
 
 const mockSetTrips = vi.fn()
 
+const fillTripForm = (container: HTMLElement, startDate = '2024-05-01', endDate = '2024-05-08') => {
+  fireEvent.click(screen.getByText('Add Trip'))
+  fireEvent.change(screen.getByPlaceholderText('Where do you want to go?'), { target: { value: 'Lisbon, Portugal' } })
+  fireEvent.change(screen.getByPlaceholderText('Budget in USD'), { target: { value: '1800' } })
+  const [start, end] = container.querySelectorAll('input[type="date"]')
+  fireEvent.change(start, { target: { value: startDate } })
+  fireEvent.change(end, { target: { value: endDate } })
+}
+
+const submitTripForm = () => {
+  fireEvent.click(screen.getAllByRole('button', { name: 'Add Trip' })[1])
+}
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
 describe('TripPlanner Component', () => {
   it('renders trip cards', () => {
     render(<TripPlanner trips={mockTrips} setTrips={mockSetTrips} />)
@@ -37,3 +66,78 @@ describe('TripPlanner Component', () => {
     expect(addButton).toBeInTheDocument()
   })
 })
+
+describe('TripPlanner trip creation', () => {
+  it('saves the trip through the API inside the mini app', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.createTrip).mockResolvedValue({
+      data: {
+        success: true,
+        trip: {
+          id: 'trip-2',
+          destination: 'Lisbon, Portugal',
+          start_date: '2024-05-01',
+          end_date: '2024-05-08',
+          budget: 1800,
+          currency: 'USD',
+          status: 'planned',
+          travelers: 1,
+          image_url: null,
+          created_at: '2024-04-01T00:00:00Z',
+          updated_at: '2024-04-01T00:00:00Z'
+        }
+      }
+    } as any)
+    const { container } = render(<TripPlanner trips={mockTrips} setTrips={mockSetTrips} />)
+
+    fillTripForm(container)
+    submitTripForm()
+
+    await waitFor(() => expect(mockSetTrips).toHaveBeenCalled())
+    expect(tripService.createTrip).toHaveBeenCalledWith({
+      destination: 'Lisbon, Portugal',
+      startDate: '2024-05-01',
+      endDate: '2024-05-08',
+      budget: 1800,
+      imageUrl: null
+    })
+    const [saved, ...rest] = mockSetTrips.mock.calls[0][0]
+    expect(saved).toMatchObject({ id: 'trip-2', destination: 'Lisbon, Portugal', startDate: '2024-05-01' })
+    expect(rest).toEqual(mockTrips)
+  })
+
+  it('keeps the trip on screen outside the mini app', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: false, error: 'Not running inside Telegram' })
+    const { container } = render(<TripPlanner trips={mockTrips} setTrips={mockSetTrips} />)
+
+    fillTripForm(container)
+    submitTripForm()
+
+    await waitFor(() => expect(mockSetTrips).toHaveBeenCalled())
+    expect(tripService.createTrip).not.toHaveBeenCalled()
+    expect(mockSetTrips.mock.calls[0][0][1]).toMatchObject({ destination: 'Lisbon, Portugal', status: 'planned' })
+  })
+
+  it('rejects an end date before the start date without calling the API', () => {
+    const { container } = render(<TripPlanner trips={mockTrips} setTrips={mockSetTrips} />)
+
+    fillTripForm(container, '2024-05-08', '2024-05-01')
+    submitTripForm()
+
+    expect(screen.getByText('End date must be on or after the start date')).toBeInTheDocument()
+    expect(TelegramService.authenticate).not.toHaveBeenCalled()
+    expect(mockSetTrips).not.toHaveBeenCalled()
+  })
+
+  it('shows the API error when the trip cannot be saved', async () => {
+    vi.mocked(TelegramService.authenticate).mockResolvedValue({ success: true })
+    vi.mocked(tripService.createTrip).mockRejectedValue({ response: { data: { error: 'Budget must be a positive number' } } })
+    const { container } = render(<TripPlanner trips={mockTrips} setTrips={mockSetTrips} />)
+
+    fillTripForm(container)
+    submitTripForm()
+
+    expect(await screen.findByText('Budget must be a positive number')).toBeInTheDocument()
+    expect(mockSetTrips).not.toHaveBeenCalled()
+  })
+})
@@ -1,43 +1,186 @@
 import React, { useEffect, useState } from 'react';
 import { analyticsService } from '../api/services';
+import type { AnalyticsSummary, OfferFunnel } from '../types';
+
+const ADMIN_KEY_STORAGE = 'maya_admin_key';
+
+const isoDate = (date: Date) => date.toISOString().slice(0, 10);
+
+const daysAgo = (days: number) => isoDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+const STAGE_LABELS: Record<string, string> = {
+  view: 'Viewed an offer',
+  selection: 'Selected an offer',
+  booking: 'Booked'
+};
 
 const AnalyticsPage: React.FC = () => {
-  const [data, setData] = useState<any>(null);
-  const [loading, setLoading] = useState(true);
+  const [adminKey, setAdminKey] = useState(() => sessionStorage.getItem(ADMIN_KEY_STORAGE) || '');
+  const [from, setFrom] = useState(daysAgo(29));
+  const [to, setTo] = useState(isoDate(new Date()));
+  const [summary, setSummary] = useState<AnalyticsSummary | null>(null);
+  const [funnel, setFunnel] = useState<OfferFunnel | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = async () => {
+    if (!adminKey) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [summaryRes, funnelRes] = await Promise.all([
+        analyticsService.summary(adminKey, { from, to }),
+        analyticsService.funnel(adminKey, { from, to })
+      ]);
+      setSummary(summaryRes.data);
+      setFunnel(funnelRes.data);
+      sessionStorage.setItem(ADMIN_KEY_STORAGE, adminKey);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Could not load analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   useEffect(() => {
-    (async () => {
-      try {
-        const res = await analyticsService.summary();
-        setData(res.data);
-      } finally {
-        setLoading(false);
-      }
-    })();
-  }, []);
-
-  if (loading) {
-    return <div className="p-6">Loading analytics…</div>;
-  }
+    load();
+  }, [from, to]);
+
+  const presets = [
+    { label: '7 days', days: 7 },
+    { label: '30 days', days: 30 },
+    { label: '90 days', days: 90 }
+  ];
+
+  const maxActive = Math.max(1, ...(summary?.daily.map(day => day.active_users) || [0]));
+  const maxFunnel = Math.max(1, funnel?.stages[0]?.users || 0);
 
   return (
     <div className="p-6 space-y-4">
       <h1 className="text-2xl font-bold">Analytics Dashboard</h1>
-      <div className="bg-white rounded-xl p-4 shadow border">
-        <div className="text-sm text-gray-500">Total events</div>
-        <div className="text-3xl font-semibold">{data?.total ?? 0}</div>
-      </div>
-      <div className="bg-white rounded-xl p-4 shadow border">
-        <div className="text-sm text-gray-500 mb-2">Events by type</div>
-        <pre className="text-xs whitespace-pre-wrap">{JSON.stringify(data?.byType || {}, null, 2)}</pre>
-      </div>
-      <div className="bg-white rounded-xl p-4 shadow border">
-        <div className="text-sm text-gray-500 mb-2">Last 10 events</div>
-        <pre className="text-xs whitespace-pre-wrap">{JSON.stringify(data?.last10 || [], null, 2)}</pre>
+
+      <div className="bg-white rounded-xl p-4 shadow border flex flex-wrap items-end gap-4">
+        <label className="text-sm text-gray-600">
+          Admin key
+          <input
+            type="password"
+            value={adminKey}
+            onChange={(e) => setAdminKey(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          From
+          <input
+            type="date"
+            value={from}
+            max={to}
+            onChange={(e) => setFrom(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          To
+          <input
+            type="date"
+            value={to}
+            min={from}
+            onChange={(e) => setTo(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <div className="flex gap-2">
+          {presets.map(preset => (
+            <button
+              key={preset.label}
+              onClick={() => { setFrom(daysAgo(preset.days - 1)); setTo(isoDate(new Date())); }}
+              className="px-3 py-2 text-sm bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={load}
+          disabled={!adminKey || loading}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-60"
+        >
+          {loading ? 'Loading…' : 'Refresh'}
+        </button>
       </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {summary && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-white rounded-xl p-4 shadow border">
+              <div className="text-sm text-gray-500">Total events</div>
+              <div className="text-3xl font-semibold">{summary.total_events}</div>
+            </div>
+            <div className="bg-white rounded-xl p-4 shadow border">
+              <div className="text-sm text-gray-500">Active users</div>
+              <div className="text-3xl font-semibold">{summary.active_users}</div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl p-4 shadow border">
+            <div className="text-sm text-gray-500 mb-2">Daily active users</div>
+            <div className="flex items-end gap-1 h-40">
+              {summary.daily.map(day => (
+                <div
+                  key={day.date}
+                  title={`${day.date}: ${day.active_users} users, ${day.events} events`}
+                  className="flex-1 bg-blue-400 rounded-t"
+                  style={{ height: `${(day.active_users / maxActive) * 100}%`, minHeight: day.active_users ? 2 : 0 }}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-400 mt-1">
+              <span>{summary.from}</span>
+              <span>{summary.to}</span>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl p-4 shadow border">
+            <div className="text-sm text-gray-500 mb-2">Events by type</div>
+            <table className="w-full text-sm">
+              <tbody>
+                {Object.entries(summary.by_type).sort(([, a], [, b]) => b - a).map(([type, count]) => (
+                  <tr key={type} className="border-t">
+                    <td className="py-1">{type}</td>
+                    <td className="py-1 text-right font-medium">{count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {funnel && (
+        <div className="bg-white rounded-xl p-4 shadow border">
+          <div className="text-sm text-gray-500 mb-2">Offer funnel</div>
+          <div className="space-y-3">
+            {funnel.stages.map(stage => (
+              <div key={stage.stage}>
+                <div className="flex justify-between text-sm">
+                  <span>{STAGE_LABELS[stage.stage] || stage.stage}</span>
+                  <span className="font-medium">
+                    {stage.users}
+                    {stage.conversion_rate !== null && <span className="text-gray-500"> ({stage.conversion_rate}%)</span>}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-purple-500 h-2 rounded-full" style={{ width: `${(stage.users / maxFunnel) * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
 export default AnalyticsPage;
-
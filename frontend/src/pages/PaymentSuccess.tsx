@@ -10,7 +10,7 @@ const PaymentSuccess: React.FC = () => {
   useEffect(() => {
     // Get payment details from URL parameters or localStorage
     const urlParams = new URLSearchParams(window.location.search);
-    const paymentId = urlParams.get('payment_intent');
+    const paymentId = urlParams.get('payment_intent') || urlParams.get('payment_id');
     const amount = urlParams.get('amount');
     const currency = urlParams.get('currency');
 
@@ -0,0 +1,95 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import AnalyticsPage from '../Analytics'
+import { analyticsService } from '../../api/services'
+import type { AnalyticsSummary, OfferFunnel } from '../../types'
+
+vi.mock('../../api/services', async (importOriginal) => ({
+  ...await importOriginal<typeof import('../../api/services')>(),
+  analyticsService: { summary: vi.fn(), funnel: vi.fn() }
+}))
+
+const summary: AnalyticsSummary = {
+  from: '2024-03-01',
+  to: '2024-03-02',
+  total_events: 57,
+  active_users: 12,
+  by_type: { offer_view: 40, offer_selected: 17 },
+  daily: [
+    { date: '2024-03-01', events: 30, active_users: 8 },
+    { date: '2024-03-02', events: 27, active_users: 9 }
+  ]
+}
+
+const funnel: OfferFunnel = {
+  from: '2024-03-01',
+  to: '2024-03-02',
+  stages: [
+    { stage: 'view', users: 10, conversion_rate: null },
+    { stage: 'selection', users: 4, conversion_rate: 40 },
+    { stage: 'booking', users: 1, conversion_rate: 25 }
+  ]
+}
+
+const mockAnalytics = () => {
+  vi.mocked(analyticsService.summary).mockResolvedValue({ data: { success: true, ...summary } } as any)
+  vi.mocked(analyticsService.funnel).mockResolvedValue({ data: { success: true, ...funnel } } as any)
+}
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  sessionStorage.clear()
+})
+
+describe('Analytics page', () => {
+  it('waits for an admin key before loading', () => {
+    render(<AnalyticsPage />)
+
+    expect(screen.getByRole('button', { name: 'Refresh' })).toBeDisabled()
+    expect(analyticsService.summary).not.toHaveBeenCalled()
+  })
+
+  it('loads the summary and funnel with the admin key', async () => {
+    mockAnalytics()
+    render(<AnalyticsPage />)
+
+    fireEvent.change(screen.getByLabelText('Admin key'), { target: { value: 'secret-key' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Refresh' }))
+
+    expect(await screen.findByText('57')).toBeInTheDocument()
+    expect(screen.getByText('offer_view')).toBeInTheDocument()
+    expect(screen.getByText('Selected an offer')).toBeInTheDocument()
+    expect(screen.getByText('(40%)')).toBeInTheDocument()
+    const range = { from: expect.any(String), to: expect.any(String) }
+    expect(analyticsService.summary).toHaveBeenCalledWith('secret-key', range)
+    expect(analyticsService.funnel).toHaveBeenCalledWith('secret-key', range)
+    expect(sessionStorage.getItem('maya_admin_key')).toBe('secret-key')
+  })
+
+  it('reloads with the stored key when the range changes', async () => {
+    sessionStorage.setItem('maya_admin_key', 'stored-key')
+    mockAnalytics()
+    render(<AnalyticsPage />)
+    await screen.findByText('57')
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2024-03-01' } })
+
+    await waitFor(() => expect(analyticsService.summary).toHaveBeenLastCalledWith('stored-key', {
+      from: '2024-03-01',
+      to: expect.any(String)
+    }))
+  })
+
+  it('shows the API error and keeps the key out of storage', async () => {
+    vi.mocked(analyticsService.summary).mockRejectedValue({ response: { data: { error: 'Invalid admin key' } } })
+    vi.mocked(analyticsService.funnel).mockResolvedValue({ data: { success: true, ...funnel } } as any)
+    render(<AnalyticsPage />)
+
+    fireEvent.change(screen.getByLabelText('Admin key'), { target: { value: 'wrong-key' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Refresh' }))
+
+    expect(await screen.findByText('Invalid admin key')).toBeInTheDocument()
+    expect(screen.queryByText('Offer funnel')).not.toBeInTheDocument()
+    expect(sessionStorage.getItem('maya_admin_key')).toBeNull()
+  })
+})
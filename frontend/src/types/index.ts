@@ -15,6 +15,39 @@ export interface User {
   updated_at: string;
 }
 
+/**
+ * The signed-in traveler as the API sees them (GET /auth/me), whether they
+ * signed in through the Telegram mini app or on the web
+ */
+export interface AuthIdentity {
+  id: string;
+  telegramId: number | null;
+  whatsappPhone: string | null;
+  authUserId: string | null;
+  email: string | null;
+  username: string | null;
+  provider: 'telegram' | 'supabase';
+  sessionId: string | null;
+}
+
+/**
+ * Channel a traveler can reach Maya through; each can be linked to one profile
+ */
+export type LinkChannel = 'telegram' | 'whatsapp' | 'web';
+
+/**
+ * Channels linked to the signed-in traveler's profile (GET /account/links)
+ */
+export interface AccountLinks {
+  profileId: string;
+  current: LinkChannel;
+  channels: {
+    telegram: { id: number; username: string | null } | null;
+    whatsapp: { phone: string } | null;
+    web: { email: string | null } | null;
+  };
+}
+
 /**
  * Trip status enum
  */
@@ -25,13 +58,16 @@ export type TripStatus = 'planned' | 'ongoing' | 'completed';
  */
 export interface Trip {
   id: string;
-  user_id: string;
+  user_id?: string;
   destination: string;
   start_date: string;
   end_date: string;
   budget: number;
+  currency: string;
   status: TripStatus;
-  image_url?: string;
+  travelers: number;
+  itinerary?: string | null;
+  image_url?: string | null;
   created_at: string;
   updated_at: string;
 }
@@ -41,16 +77,25 @@ export interface Trip {
  */
 export interface Destination {
   id: string;
+  slug: string;
   name: string;
   country: string;
-  image_url: string;
+  region: string | null;
+  image_url: string | null;
   rating: number;
-  price_range: string;
+  price_range: PriceRange;
   best_time: string;
+  best_months: number[];
   description: string;
-  created_at: string;
+  halal_friendly: boolean;
+  tags: string[];
 }
 
+/**
+ * Destination price band, cheapest first
+ */
+export type PriceRange = '$' | '$$' | '$$$' | '$$$$';
+
 /**
  * Expense category
  */
@@ -68,9 +113,10 @@ export type ExpenseCategory =
 export interface Expense {
   id: string;
   trip_id: string;
-  user_id: string;
+  user_id?: string;
   category: ExpenseCategory;
   amount: number;
+  currency: string;
   description: string;
   date: string;
   created_at: string;
@@ -234,7 +280,30 @@ export interface RateLimitInfo {
 export interface AnalyticsEvent {
   type: string;
   userId?: string;
+  sessionId?: string;
   payload?: Record<string, any>;
+  occurredAt?: string;
+}
+
+/**
+ * Events and active users over a date range
+ */
+export interface AnalyticsSummary {
+  from: string;
+  to: string;
+  total_events: number;
+  active_users: number;
+  by_type: Record<string, number>;
+  daily: Array<{ date: string; events: number; active_users: number }>;
+}
+
+/**
+ * Offer view → selection → booking funnel
+ */
+export interface OfferFunnel {
+  from: string;
+  to: string;
+  stages: Array<{ stage: 'view' | 'selection' | 'booking'; users: number; conversion_rate: number | null }>;
 }
 
 /**
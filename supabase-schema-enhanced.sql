@@ -32,6 +32,8 @@ CREATE TABLE IF NOT EXISTS travel_offers (
   duration_days INTEGER DEFAULT 7,
   includes JSONB DEFAULT '[]', -- flights, hotels, meals, tours
   image_url TEXT,
+  currency TEXT NOT NULL DEFAULT 'SAR',
+  available_slots INTEGER CHECK (available_slots >= 0), -- seats/rooms left; NULL = unlimited
   is_active BOOLEAN DEFAULT TRUE,
   priority INTEGER DEFAULT 0, -- Higher priority shows first
   valid_until TIMESTAMP WITH TIME ZONE,
@@ -53,24 +55,89 @@ CREATE TABLE IF NOT EXISTS offer_interactions (
 -- Bookings Table
 CREATE TABLE IF NOT EXISTS bookings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  telegram_id BIGINT NOT NULL,
+  telegram_id BIGINT,
+  whatsapp_phone TEXT,
+  channel TEXT DEFAULT 'telegram', -- telegram, whatsapp, miniapp, web
   offer_id UUID,
   destination TEXT NOT NULL,
   start_date DATE NOT NULL,
   end_date DATE NOT NULL,
   travelers INTEGER DEFAULT 1,
   total_price DECIMAL(10, 2) NOT NULL,
-  status TEXT DEFAULT 'pending', -- pending, confirmed, cancelled, completed
+  currency TEXT NOT NULL DEFAULT 'USD',
+  status TEXT DEFAULT 'pending', -- pending, confirmed, cancelled, expired, completed
   payment_method TEXT,
-  payment_status TEXT DEFAULT 'pending',
+  payment_status TEXT DEFAULT 'pending', -- pending, paid, partially_refunded, refunded
+  payment_id UUID, -- payments.id of the payment that settled the booking
+  telegram_payment_charge_id TEXT,
   booking_reference TEXT UNIQUE,
+  hold_expires_at TIMESTAMP WITH TIME ZONE, -- unpaid holds release their inventory after this
+  cancellation_reason TEXT,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
   notes TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (telegram_id IS NOT NULL OR whatsapp_phone IS NOT NULL),
   FOREIGN KEY (telegram_id) REFERENCES user_profiles(telegram_id) ON DELETE CASCADE,
   FOREIGN KEY (offer_id) REFERENCES travel_offers(id) ON DELETE SET NULL
 );
 
+-- Payment columns for databases created before Telegram Payments
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_id UUID;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS telegram_payment_charge_id TEXT;
+
+-- Booking lifecycle columns for databases created before holds and inventory
+ALTER TABLE travel_offers ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SAR';
+ALTER TABLE travel_offers ADD COLUMN IF NOT EXISTS available_slots INTEGER CHECK (available_slots >= 0);
+ALTER TABLE bookings ALTER COLUMN telegram_id DROP NOT NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS whatsapp_phone TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS channel TEXT DEFAULT 'telegram';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+-- Price the user saw, for price-drop insights
+ALTER TABLE offer_interactions ADD COLUMN IF NOT EXISTS price DECIMAL(10, 2);
+
+-- Proactive insights: opt-in settings per Telegram user
+CREATE TABLE IF NOT EXISTS insight_subscriptions (
+  telegram_id BIGINT PRIMARY KEY,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  timezone TEXT NOT NULL DEFAULT 'Asia/Riyadh',
+  quiet_start SMALLINT NOT NULL DEFAULT 22 CHECK (quiet_start BETWEEN 0 AND 23),
+  quiet_end SMALLINT NOT NULL DEFAULT 8 CHECK (quiet_end BETWEEN 0 AND 23),
+  max_per_day SMALLINT NOT NULL DEFAULT 2 CHECK (max_per_day BETWEEN 1 AND 10),
+  subscribed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  unsubscribed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Planned and sent insight pushes (one per dedupe key)
+CREATE TABLE IF NOT EXISTS insight_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  telegram_id BIGINT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('price_drop', 'pre_departure', 'weather')),
+  dedupe_key TEXT NOT NULL UNIQUE,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'skipped', 'failed')),
+  send_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- moved past quiet hours and daily caps
+  expires_at TIMESTAMP WITH TIME ZONE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Last forecast seen for each upcoming trip, to detect weather changes
+CREATE TABLE IF NOT EXISTS insight_forecasts (
+  booking_id UUID PRIMARY KEY REFERENCES bookings(id) ON DELETE CASCADE,
+  condition TEXT NOT NULL,
+  temperature DECIMAL(5, 2),
+  checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- User Preferences Tracking
 CREATE TABLE IF NOT EXISTS public.user_preferences_log (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -95,6 +162,11 @@ CREATE INDEX IF NOT EXISTS idx_offer_interactions_telegram_id ON offer_interacti
 CREATE INDEX IF NOT EXISTS idx_offer_interactions_offer_id ON offer_interactions(offer_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_telegram_id ON bookings(telegram_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(status);
+CREATE INDEX IF NOT EXISTS idx_bookings_whatsapp_phone ON bookings(whatsapp_phone);
+CREATE INDEX IF NOT EXISTS idx_bookings_hold_expires_at ON bookings(hold_expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_bookings_start_date ON bookings(start_date) WHERE status = 'confirmed';
+CREATE INDEX IF NOT EXISTS idx_insight_jobs_due ON insight_jobs(send_after) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_insight_jobs_sent ON insight_jobs(telegram_id, sent_at) WHERE status = 'sent';
 
 -- Insert sample travel offers
 INSERT INTO travel_offers (title, destination, description, price, original_price, discount_percentage, category, duration_days, includes, image_url, priority, valid_until) VALUES
@@ -145,3 +217,5 @@ COMMENT ON TABLE travel_offers IS 'Active travel offers and packages';
 COMMENT ON TABLE offer_interactions IS 'Tracks user engagement with offers';
 COMMENT ON TABLE bookings IS 'User bookings and reservations';
 COMMENT ON TABLE user_preferences_log IS 'Logs learned user preferences over time';
+COMMENT ON TABLE insight_subscriptions IS 'Opt-in settings for proactive travel insights';
+COMMENT ON TABLE insight_jobs IS 'Planned and sent proactive insight pushes';
@@ -19,37 +19,78 @@ CREATE TABLE IF NOT EXISTS public.trips (
   start_date DATE NOT NULL,
   end_date DATE NOT NULL,
   budget DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'USD',
   status TEXT NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'ongoing', 'completed')),
   image_url TEXT,
+  travelers SMALLINT NOT NULL DEFAULT 1 CHECK (travelers > 0),
+  itinerary TEXT, -- day-by-day plan from the trip-planning conversation
+  telegram_id BIGINT, -- owner when the trip was planned in the Telegram mini app
+  whatsapp_phone TEXT, -- planned on WhatsApp by a number with no linked Telegram account
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (end_date >= start_date),
+  CHECK (budget >= 0)
 );
 
+-- Mini app trip columns for databases created before the trips API
+ALTER TABLE public.trips ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+ALTER TABLE public.trips ADD COLUMN IF NOT EXISTS telegram_id BIGINT;
+
+-- Trip-planning conversation columns for databases created before the planning wizard
+ALTER TABLE public.trips ADD COLUMN IF NOT EXISTS travelers SMALLINT NOT NULL DEFAULT 1;
+ALTER TABLE public.trips ADD COLUMN IF NOT EXISTS itinerary TEXT;
+ALTER TABLE public.trips ADD COLUMN IF NOT EXISTS whatsapp_phone TEXT;
+
 -- Create destinations table
 CREATE TABLE IF NOT EXISTS public.destinations (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  slug TEXT UNIQUE,
   name TEXT NOT NULL,
   country TEXT NOT NULL,
-  image_url TEXT NOT NULL,
+  region TEXT,
+  image_url TEXT,
   rating DECIMAL(3,2) NOT NULL DEFAULT 0,
-  price_range TEXT NOT NULL DEFAULT '$',
-  best_time TEXT NOT NULL,
+  price_range TEXT NOT NULL DEFAULT '$' CHECK (price_range IN ('$', '$$', '$$$', '$$$$')),
+  best_time TEXT NOT NULL DEFAULT '',
+  best_months SMALLINT[] NOT NULL DEFAULT '{}',
   description TEXT NOT NULL,
+  halal_friendly BOOLEAN NOT NULL DEFAULT false,
+  tags TEXT[] NOT NULL DEFAULT '{}',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Catalog columns for databases created before the destinations API
+ALTER TABLE public.destinations ADD COLUMN IF NOT EXISTS slug TEXT UNIQUE;
+ALTER TABLE public.destinations ADD COLUMN IF NOT EXISTS region TEXT;
+ALTER TABLE public.destinations ADD COLUMN IF NOT EXISTS best_months SMALLINT[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.destinations ADD COLUMN IF NOT EXISTS halal_friendly BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE public.destinations ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.destinations ALTER COLUMN image_url DROP NOT NULL;
+
+-- Full-text search over the catalog ('simple' config: names are not stemmed)
+ALTER TABLE public.destinations ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('simple', name || ' ' || country || ' ' || coalesce(region, '') || ' ' || description)
+  ) STORED;
+
 -- Create expenses table
 CREATE TABLE IF NOT EXISTS public.expenses (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   trip_id UUID REFERENCES public.trips(id) ON DELETE CASCADE,
   user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
-  category TEXT NOT NULL,
-  amount DECIMAL(10,2) NOT NULL,
+  telegram_id BIGINT,
+  category TEXT NOT NULL CHECK (category IN ('accommodation', 'transportation', 'food', 'activities', 'shopping', 'other')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'USD',
   description TEXT NOT NULL,
   date DATE NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Mini app expense columns for databases created before the budget API
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS telegram_id BIGINT;
+
 -- Create AI conversations table
 CREATE TABLE IF NOT EXISTS public.ai_conversations (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -59,19 +100,40 @@ CREATE TABLE IF NOT EXISTS public.ai_conversations (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create analytics events table (written by the backend with the service role only)
+CREATE TABLE IF NOT EXISTS public.analytics_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_type TEXT NOT NULL,
+  user_id TEXT,
+  session_id TEXT,
+  properties JSONB NOT NULL DEFAULT '{}',
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_trips_user_id ON public.trips(user_id);
 CREATE INDEX IF NOT EXISTS idx_trips_status ON public.trips(status);
+CREATE INDEX IF NOT EXISTS idx_trips_telegram_id ON public.trips(telegram_id, start_date DESC);
+CREATE INDEX IF NOT EXISTS idx_trips_whatsapp_phone ON public.trips(whatsapp_phone) WHERE whatsapp_phone IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_expenses_trip_id ON public.expenses(trip_id);
 CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON public.expenses(user_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_telegram_id ON public.expenses(telegram_id, date DESC);
 CREATE INDEX IF NOT EXISTS idx_ai_conversations_user_id ON public.ai_conversations(user_id);
 CREATE INDEX IF NOT EXISTS idx_destinations_rating ON public.destinations(rating);
+CREATE INDEX IF NOT EXISTS idx_destinations_search ON public.destinations USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_destinations_best_months ON public.destinations USING GIN (best_months);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_occurred_at ON public.analytics_events(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_type ON public.analytics_events(event_type, occurred_at);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.trips ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.expenses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.ai_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.analytics_events ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for users table
 CREATE POLICY "Users can view own profile" ON public.users
@@ -150,15 +212,41 @@ INSERT INTO public.destinations (name, country, image_url, rating, price_range,
 -- Telegram Profiles + Messages + Payments + Storage Bucket
 -- ==========================================================
 
--- Create profiles table for Telegram users
+-- Create profiles table: one row per traveler, whichever way they reach Maya
+-- (telegram_id for the bot and mini app, whatsapp_phone for WhatsApp, auth_user_id
+-- for Supabase web sign-in). Linked accounts share one row; a profile absorbed by
+-- linking keeps merged_into pointing at the row it was merged into.
 CREATE TABLE IF NOT EXISTS public.profiles (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-  telegram_id BIGINT UNIQUE NOT NULL,
+  telegram_id BIGINT UNIQUE,
+  whatsapp_phone TEXT UNIQUE,
+  auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL,
+  email TEXT,
   username TEXT,
   avatar_url TEXT,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  preferences JSONB DEFAULT '{}',
+  travel_history JSONB DEFAULT '[]',
+  merged_into UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  conversation_state JSONB, -- trip-planning flow in progress ({ state, data, updated_at })
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Web sign-in columns for databases created before unified authentication
+ALTER TABLE public.profiles ALTER COLUMN telegram_id DROP NOT NULL;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS email TEXT;
+
+-- Account linking columns for databases created before account linking
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS whatsapp_phone TEXT UNIQUE;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS preferences JSONB DEFAULT '{}';
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS travel_history JSONB DEFAULT '[]';
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES public.profiles(id) ON DELETE SET NULL;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Conversation state shared by every server instance
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS conversation_state JSONB;
+
 ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
 
 -- RLS: Allow users to manage only their own profile based on JWT sub (Telegram id)
@@ -167,6 +255,85 @@ CREATE POLICY IF NOT EXISTS "Users manage own profile (telegram)" ON public.prof
   USING (((current_setting('request.jwt.claims', true)::jsonb ->> 'sub')::bigint) = telegram_id)
   WITH CHECK (((current_setting('request.jwt.claims', true)::jsonb ->> 'sub')::bigint) = telegram_id);
 
+-- Mini app sessions: one per sign-in, holding the hash of the current refresh token.
+-- Revoking a session also rejects the access tokens issued for it.
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+  id UUID PRIMARY KEY,
+  profile_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL DEFAULT 'telegram',
+  refresh_token_hash TEXT NOT NULL,
+  previous_token_hash TEXT, -- the rotated-out token; presenting it again revokes the session
+  user_agent TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_profile_open ON public.auth_sessions(profile_id) WHERE revoked_at IS NULL;
+
+-- Only the backend (service role) reads or writes sessions
+ALTER TABLE public.auth_sessions ENABLE ROW LEVEL SECURITY;
+
+-- One-time codes for linking accounts across channels. Only a hash of the code is
+-- stored; a code is redeemed once, in a different channel than it was issued in.
+CREATE TABLE IF NOT EXISTS public.account_link_codes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code_hash TEXT NOT NULL UNIQUE,
+  profile_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL CHECK (channel IN ('telegram','whatsapp','web')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  redeemed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_link_codes_profile ON public.account_link_codes(profile_id) WHERE redeemed_at IS NULL;
+
+-- Only the backend (service role) reads or writes link codes
+ALTER TABLE public.account_link_codes ENABLE ROW LEVEL SECURITY;
+
+-- Outbox of messages sent to WhatsApp, with their delivery status from the status
+-- webhooks. Temporary failures are retried at next_attempt_at.
+CREATE TABLE IF NOT EXISTS public.whatsapp_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  wa_message_id TEXT UNIQUE,
+  recipient TEXT NOT NULL,
+  phone_number_id TEXT,
+  message_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  template_fallback BOOLEAN NOT NULL DEFAULT false,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued','sent','delivered','read','failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  error_code INTEGER,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_recipient ON public.whatsapp_messages(recipient, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_retry ON public.whatsapp_messages(next_attempt_at) WHERE status = 'queued';
+
+-- When each customer last wrote to each of our business numbers (free-form replies
+-- are allowed for 24 hours, per business number; '' is a number without an ID)
+CREATE TABLE IF NOT EXISTS public.whatsapp_contacts (
+  phone TEXT NOT NULL,
+  phone_number_id TEXT NOT NULL DEFAULT '',
+  last_inbound_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (phone, phone_number_id)
+);
+
+-- Only the backend (service role) reads or writes the outbox
+ALTER TABLE public.whatsapp_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.whatsapp_contacts ENABLE ROW LEVEL SECURITY;
+
 -- Create messages table
 CREATE TABLE IF NOT EXISTS public.messages (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -176,6 +343,13 @@ CREATE TABLE IF NOT EXISTS public.messages (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Conversation history of linked accounts is kept per profile
+ALTER TABLE public.messages ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_messages_profile_id ON public.messages(profile_id, created_at DESC);
+
+-- Channel the message was exchanged on (WhatsApp messages are kept by profile_id)
+ALTER TABLE public.messages ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'telegram';
+
 ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
 
 CREATE POLICY IF NOT EXISTS "Users can view own messages" ON public.messages
@@ -191,20 +365,49 @@ CREATE POLICY IF NOT EXISTS "Users can delete own messages" ON public.messages
 CREATE TABLE IF NOT EXISTS public.payments (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  -- Profile of the user who started the payment; only they (and support) can look it up
+  profile_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
   amount DECIMAL(10,2) NOT NULL,
   currency TEXT NOT NULL DEFAULT 'usd',
-  status TEXT NOT NULL DEFAULT 'created' CHECK (status IN ('created','pending','completed','failed','refunded')),
+  status TEXT NOT NULL DEFAULT 'created' CHECK (status IN ('created','pending','succeeded','failed','refunded')),
+  payment_method TEXT,
+  provider_payment_id TEXT,
   stripe_session_id TEXT,
+  stripe_payment_intent_id TEXT,
+  booking_id UUID,
+  amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0,
+  refunds JSONB DEFAULT '[]',
   description TEXT,
+  metadata JSONB DEFAULT '{}',
+  status_history JSONB DEFAULT '[]',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Payment ledger columns for databases created before the ledger existed
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS payment_method TEXT;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS provider_payment_id TEXT;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS booking_id UUID;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS refunds JSONB DEFAULT '[]';
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS status_history JSONB DEFAULT '[]';
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_profile_id ON public.payments(profile_id);
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_status_check;
+UPDATE public.payments SET status = 'succeeded' WHERE status = 'completed';
+ALTER TABLE public.payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('created','pending','succeeded','failed','refunded'));
+
 ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
 
 CREATE INDEX IF NOT EXISTS idx_payments_user_id ON public.payments(user_id);
 CREATE INDEX IF NOT EXISTS idx_payments_status ON public.payments(status);
 CREATE INDEX IF NOT EXISTS idx_payments_stripe_session_id ON public.payments(stripe_session_id);
+CREATE INDEX IF NOT EXISTS idx_payments_provider_payment_id ON public.payments(provider_payment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_stripe_payment_intent_id ON public.payments(stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_payments_booking_id ON public.payments(booking_id);
 
 CREATE POLICY IF NOT EXISTS "Users can view own payments" ON public.payments
   FOR SELECT USING (auth.uid() = user_id);
@@ -215,6 +418,26 @@ CREATE POLICY IF NOT EXISTS "Users can insert own payments" ON public.payments
 CREATE POLICY IF NOT EXISTS "Users can update own payments" ON public.payments
   FOR UPDATE USING (auth.uid() = user_id);
 
+-- Stripe webhook event store (one row per event.id, used for dedup and replay)
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing','processed','ignored','failed')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  payload JSONB NOT NULL,
+  outcome JSONB,
+  error TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Service role only: no policies are defined, so RLS blocks client access
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON public.stripe_events(status);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_received_at ON public.stripe_events(received_at DESC);
+
 -- Storage bucket for avatars
 DO $$
 BEGIN
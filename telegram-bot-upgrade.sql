@@ -79,6 +79,7 @@ CREATE INDEX IF NOT EXISTS idx_travel_offers_valid_until ON public.travel_offers
 CREATE INDEX IF NOT EXISTS idx_offer_interactions_telegram_id ON public.offer_interactions(telegram_id);
 CREATE INDEX IF NOT EXISTS idx_offer_interactions_offer_id ON public.offer_interactions(offer_id);
 CREATE INDEX IF NOT EXISTS idx_offer_interactions_timestamp ON public.offer_interactions(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_offer_interactions_funnel ON public.offer_interactions(timestamp, interaction_type);
 
 -- ========================================
 -- 6. Enable Row Level Security